@@ -318,10 +318,18 @@ class AnthropicClient extends BaseClient {
    * @param {number} params.completionTokens
    * @param {AnthropicStreamUsage} [params.usage]
    * @param {string} [params.model]
+   * @param {number} [params.contextTokens] - Prompt tokens of the injected context.
    * @param {string} [params.context='message']
    * @returns {Promise<void>}
    */
-  async recordTokenUsage({ promptTokens, completionTokens, usage, model, context = 'message' }) {
+  async recordTokenUsage({
+    promptTokens,
+    completionTokens,
+    contextTokens,
+    usage,
+    model,
+    context = 'message',
+  }) {
     if (usage != null && usage?.input_tokens != null) {
       const input = usage.input_tokens ?? 0;
       const write = usage.cache_creation_input_tokens ?? 0;
@@ -338,6 +346,7 @@ class AnthropicClient extends BaseClient {
         {
           promptTokens: { input, write, read },
           completionTokens,
+          contextTokens,
         },
       );
 
@@ -352,7 +361,7 @@ class AnthropicClient extends BaseClient {
         model: model ?? this.modelOptions.model,
         endpointTokenConfig: this.options.endpointTokenConfig,
       },
-      { promptTokens, completionTokens },
+      { promptTokens, completionTokens, contextTokens },
     );
   }
 
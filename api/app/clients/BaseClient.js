@@ -9,7 +9,9 @@ const {
   encodeAndFormatDocuments,
 } = require('@librechat/api');
 const {
+  Tools,
   Constants,
+  ContextSources,
   ErrorTypes,
   FileSources,
   ContentTypes,
@@ -17,7 +19,9 @@ const {
   EModelEndpoint,
   isParamEndpoint,
   isAgentsEndpoint,
+  getUserDateSettings,
   supportsBalanceCheck,
+  defaultContextReserve,
 } = require('librechat-data-provider');
 const { getMessages, saveMessage, updateMessage, saveConvo, getConvo } = require('~/models');
 const { getStrategyFunctions } = require('~/server/services/Files/strategies');
@@ -27,9 +31,11 @@ const countTokens = require('~/server/utils/countTokens');
 const { getFiles } = require('~/models/File');
 const TextStream = require('./TextStream');
 
-const listEmails = require('~/customUtils/gmailFetch');
-const listCalendar = require('~/customUtils/calendarFetch');
-const { getAllTasksMd, createTasksBulk } = require('~/customUtils/ticktickUtils');
+const { DateTime } = require('luxon');
+const { formatTaskDate } = require('~/customUtils/taskModels');
+const { proposeTaskChanges } = require('~/customUtils/taskPlanner');
+const { getActiveContextSources, buildContextSection } = require('~/customUtils/contextSources');
+const { hasSuspiciousContent } = require('~/customUtils/untrustedContent');
 const { text } = require('stream/consumers');
 require('dotenv').config();
 
@@ -138,14 +144,17 @@ class BaseClient {
    * @param {AppConfig['balance']} [balance]
    * @param {number} promptTokens
    * @param {number} completionTokens
+   * @param {number} [contextTokens] - How many of the prompt tokens are injected context, recorded
+   *   as `context` tokens.
    * @returns {Promise<void>}
    */
-  async recordTokenUsage({ model, balance, promptTokens, completionTokens }) {
+  async recordTokenUsage({ model, balance, promptTokens, completionTokens, contextTokens }) {
     logger.debug('[BaseClient] `recordTokenUsage` not implemented.', {
       model,
       balance,
       promptTokens,
       completionTokens,
+      contextTokens,
     });
   }
 
@@ -486,14 +495,18 @@ class BaseClient {
 
     let orderedWithInstructions = this.addInstructions(orderedMessages, instructions);
 
+    /** Room taken by the context prompt, see `buildContextPrompt` */
+    const contextTokens = this.contextTokens ?? 0;
     let { context, remainingContextTokens, messagesToRefine } =
       await this.getMessagesWithinTokenLimit({
         messages: orderedWithInstructions,
+        maxContextTokens: this.maxContextTokens - contextTokens,
         instructions,
       });
 
     logger.debug('[BaseClient] Context Count (1/2)', {
       remainingContextTokens,
+      contextTokens,
       maxContextTokens: this.maxContextTokens,
     });
 
@@ -652,6 +665,18 @@ class BaseClient {
      */
     const parentMessageId = isEdited ? head : userMessage.messageId;
     this.parentMessageId = parentMessageId;
+
+    const contextSources = getActiveContextSources(appConfig, {
+      endpoint: this.options.endpoint,
+      agentId: this.options.agent?.id,
+      tools: this.options.agent?.tools,
+      disabled: this.options.req?.body?.ephemeralAgent?.disabled_context_sources,
+    });
+    /** Assembled before `buildMessages`, so that pruning and the balance check count it */
+    const contextPrompt = contextSources.length
+      ? await this.buildContextPrompt(userMessage.text ?? '', contextSources)
+      : null;
+
     let {
       prompt: payload,
       tokenCountMap,
@@ -702,71 +727,17 @@ class BaseClient {
       });
     }
 
-    const estDate = new Date().toLocaleString("en-US", {
-      timeZone: "America/New_York",
-      dateStyle: "full",
-      timeStyle: "short"
-    });
-
-    const timeSection = `Current Local Time: ${estDate}\n\n`;
-
-    const personalInfo = process.env.PERSONAL_INFO;
-    
-    const [calendarData, emailData, ticktickData] = await Promise.all([
-      listCalendar().catch((err) => `[Calendar Error: ${err.message}]`),
-      listEmails().catch((err) => `[Email Error: ${err.message}]`),
-      getAllTasksMd().catch((err) => `[TickTick Error: ${err.message}]`)
-    ]);
-
-    const customFormat = `
-    ✈️ New York Trip
-      [ ] <2025-12-24 9:00 pm> Check in to flight and verify plan to get to the airport (#15m)
-      [ ] <2025-12-25 11:00 am> Fly to New York
-    💰 Work
-      [ ] <2025-12-23 10:00 am> Check mail one last time for Invoice (#5m)
-      [ ] <2025-12-23 11:00 am> Email John Doe before leaving town (#5m)
-      [ ] <2025-12-24 11:00 am> Ask boss about schedule (#5m)
-      [ ] <2025-12-25 9:00 am> Submit PR on github for new project (#25m)
-    `;
-
-    const contextSection = `
-    Context:
-    <personal_context>
-    ${personalInfo || ''}
-    </personal_context>
-
-    <calendar desc="next 30 days">
-    ${calendarData}
-    </calendar>
-
-    <emails desc="past 7 days">
-    ${emailData}
-    </emails>
-
-    <ticktick_task_list>
-    ${ticktickData}
-    </ticktick_task_list>
-    \n`;
-    
-    const instructionSection = `
-    Task:
-    - Respond to the user's input based on the context provided.
-    - Write a super concise description (ideally 2-7 words) for any task suggestions.
-    - Ensure advice is ADHD-friendly: clear, specific, and actionable.
-    - Focus on one clear objective per task.
-    - Write out tasks for the day and for the upcoming 7 days.
-    - Try to fit in as many tasks as possible without being overwhelming.
-    
-    Reasoning step:
-    - Take a deep breath and think step-by-step about the context.
-
-    Task List Format:
-    ${customFormat}
-    `;
-
-    const fullConstructedPrompt = `${timeSection}${contextSection}${instructionSection}\n\nUser Input:\n${payload[payload.length-1].content}`;
-    
-    payload[payload.length-1].content = fullConstructedPrompt;
+    if (contextPrompt) {
+      const latestMessage = payload[payload.length - 1];
+      if (Array.isArray(latestMessage.content)) {
+        latestMessage.content = [
+          { type: ContentTypes.TEXT, text: contextPrompt },
+          ...latestMessage.content,
+        ];
+      } else {
+        latestMessage.content = `${contextPrompt}${latestMessage.content}`;
+      }
+    }
 
     const { completion, metadata } = await this.sendCompletion(payload, opts);
     if (this.abortController) {
@@ -786,7 +757,7 @@ class BaseClient {
       iconURL: this.options.iconURL,
       endpoint: this.options.endpoint,
       ...(this.metadata ?? {}),
-      metadata,
+      metadata: this.contextUsage ? { ...metadata, context: this.contextUsage } : metadata,
     };
 
     if (typeof completion === 'string') {
@@ -850,6 +821,7 @@ class BaseClient {
           usage,
           promptTokens,
           completionTokens,
+          contextTokens: this.contextTokens,
           balance: balanceConfig,
           model: responseMessage.model,
         });
@@ -872,13 +844,18 @@ class BaseClient {
       }
     }
 
-    if (Array.isArray(responseMessage.content)) {
-      const textContent = responseMessage.content.find(item => item.type === 'text')?.text;
+    const proposesTasks = this.contextUsage?.sources.some(
+      (source) => source.name === ContextSources.tasks && !source.omitted,
+    );
+    if (proposesTasks && Array.isArray(responseMessage.content)) {
+      const textContent = responseMessage.content.find((item) => item.type === 'text')?.text;
       if (textContent && textContent.length > 0) {
-        createTasksBulk(textContent);
+        const taskChanges = await this.proposeTaskChanges(textContent, responseMessage);
+        if (taskChanges) {
+          responseMessage.attachments = [...(responseMessage.attachments ?? []), taskChanges];
+        }
       }
     }
-    
 
     responseMessage.databasePromise = this.saveMessageToDatabase(
       responseMessage,
@@ -890,6 +867,118 @@ class BaseClient {
     return responseMessage;
   }
 
+  /**
+   * Builds what precedes the user's input in the latest message: the current time, the enabled
+   * context sources and the planning instructions. Times and task dates follow the user's
+   * timezone and date format. The sources are fit in the context window left by the input and
+   * the share kept for the system prompt and recent messages (`contextReserve`).
+   * What each source added is kept in `this.contextUsage`, and the prompt's token count in
+   * `this.contextTokens`.
+   * @param {string} userInput
+   * @param {TContextSource[]} contextSources - The sources that apply to this request, in order.
+   * @returns {Promise<string>}
+   */
+  async buildContextPrompt(userInput, contextSources) {
+    const user = this.options.req?.user;
+    const { timezone, dateFormat } = getUserDateSettings(user);
+    const localDate = new Date().toLocaleString('en-US', {
+      timeZone: timezone,
+      dateStyle: 'full',
+      timeStyle: 'short',
+    });
+
+    const timeSection = `Current Local Time: ${localDate} (${timezone})\n\n`;
+
+    const date = (iso) => formatTaskDate(DateTime.fromISO(iso), dateFormat);
+    const customFormat = `
+    ✈️ New York Trip
+      [ ] <${date('2025-12-24T21:00')}> Check in to flight and verify plan to get to the airport (#15m)
+      [ ] <${date('2025-12-25T11:00')}> Fly to New York !high
+        > Terminal 4, seat 14C
+        > [ ] Passport
+        > [x] Phone charger
+    💰 Work
+      [ ] <${date('2025-12-23T10:00')}> Check mail one last time for Invoice (#5m)
+      [ ] <${date('2025-12-23T11:00')}> Email John Doe before leaving town (#5m) #email
+      [ ] <${date('2025-12-24T11:00')}> Ask boss about schedule (#5m)
+      [ ] <${date('2025-12-25T09:00')}> Submit PR on github for new project (#25m) !medium #github
+        [ ] Write tests (#15m)
+      [ ] <${date('2025-12-29T09:00')}> Plan the week (#15m) 🔁 FREQ=WEEKLY;BYDAY=MO
+    `;
+
+    const instructionSection = `
+    Task:
+    - Respond to the user's input based on the context provided.
+    - Write a super concise description (ideally 2-7 words) for any task suggestions.
+    - Ensure advice is ADHD-friendly: clear, specific, and actionable.
+    - Focus on one clear objective per task.
+    - Write out tasks for the day and for the upcoming 7 days.
+    - Try to fit in as many tasks as possible without being overwhelming.
+    
+    Reasoning step:
+    - Take a deep breath and think step-by-step about the context.
+
+    Task List Format:
+    ${customFormat}
+    - After the task name come, in any order: estimated time (#15m), priority (!high, !medium, !low), tags (#tag) and recurrence as an RFC 5545 RRULE after 🔁.
+    - Notes and checklist items are quoted (>) below their task; subtasks are indented below their parent.
+    `;
+
+    const inputSection = '\n\nUser Input:\n';
+    const reserve = this.options.req?.config?.contextReserve ?? defaultContextReserve;
+    const maxTokens =
+      Math.floor(this.maxContextTokens * (1 - reserve)) -
+      this.getTokenCount(`${timeSection}${instructionSection}${inputSection}${userInput}`);
+
+    const { section: contextSection, context } = await buildContextSection(user, contextSources, {
+      query: userInput,
+      maxTokens,
+    });
+    /** Stored on the response as `metadata.context`, see `sendMessage` */
+    this.contextUsage = context;
+    /** Flags the task changes proposed in this turn, see `proposeTaskChanges` */
+    this.sawSuspiciousContent = hasSuspiciousContent(contextSection);
+
+    const contextPrompt = `${timeSection}${contextSection}${instructionSection}${inputSection}`;
+    /** Reserved in `handleContextStrategy` and recorded apart in `recordTokenUsage` */
+    this.contextTokens = this.getTokenCount(contextPrompt);
+    return contextPrompt;
+  }
+
+  /**
+   * Computes the task list changes implied by the response, as a reviewable attachment.
+   * Nothing is written to the task backend until the user accepts the changes. Changes proposed
+   * after the context had suspicious third-party content are flagged, so none is preselected.
+   * @param {string} text - The response text containing the task list.
+   * @param {TMessage} responseMessage
+   * @returns {Promise<TAttachment | null>}
+   */
+  async proposeTaskChanges(text, responseMessage) {
+    try {
+      const changes = await proposeTaskChanges(text, this.options.req?.user, {
+        appConfig: this.options.req?.config,
+        conversationId: responseMessage.conversationId,
+      });
+      if (!changes) {
+        return null;
+      }
+      return {
+        type: Tools.task_changes,
+        messageId: responseMessage.messageId,
+        conversationId: responseMessage.conversationId,
+        toolCallId: `${Tools.task_changes}_${responseMessage.messageId}`,
+        [Tools.task_changes]: {
+          status: 'pending',
+          changes,
+          ...(this.sawSuspiciousContent ? { suspicious: true } : {}),
+        },
+      };
+    } catch (error) {
+      logger.error('[BaseClient] Error proposing task changes', error);
+      return null;
+    }
+  }
+
   /**
    * Stream usage should only be used for user message token count re-calculation if:
    * - The stream usage is available, with input tokens greater than 0,
@@ -927,10 +1016,14 @@ class BaseClient {
       return;
     }
 
+    /** The context prompt is not kept with the user message, see `buildContextPrompt` */
+    const contextTokens = this.contextTokens ?? 0;
     const userMessageTokenCount = this.calculateCurrentTokenCount({
       currentMessageId: userMessage.messageId,
       tokenCountMap,
-      usage,
+      usage: contextTokens
+        ? { ...usage, [this.inputTokensKey]: usage[this.inputTokensKey] - contextTokens }
+        : usage,
     });
 
     if (userMessageTokenCount === userMessage.tokenCount) {
@@ -1503,4 +1596,4 @@ class BaseClient {
   }
 }
 
-module.exports = BaseClient;
\ No newline at end of file
+module.exports = BaseClient;
@@ -840,10 +840,17 @@ class GoogleClient extends BaseClient {
    * @param {number} params.completionTokens
    * @param {UsageMetadata} [params.usage]
    * @param {string} [params.model]
+   * @param {number} [params.contextTokens] - Prompt tokens of the injected context.
    * @param {string} [params.context='message']
    * @returns {Promise<void>}
    */
-  async recordTokenUsage({ promptTokens, completionTokens, model, context = 'message' }) {
+  async recordTokenUsage({
+    promptTokens,
+    completionTokens,
+    contextTokens,
+    model,
+    context = 'message',
+  }) {
     await spendTokens(
       {
         context,
@@ -852,7 +859,7 @@ class GoogleClient extends BaseClient {
         model: model ?? this.modelOptions.model,
         endpointTokenConfig: this.options.endpointTokenConfig,
       },
-      { promptTokens, completionTokens },
+      { promptTokens, completionTokens, contextTokens },
     );
   }
 
@@ -665,10 +665,17 @@ class OpenAIClient extends BaseClient {
    * @param {number} params.completionTokens
    * @param {OpenAIUsageMetadata} [params.usage]
    * @param {string} [params.model]
+   * @param {number} [params.contextTokens] - Prompt tokens of the injected context.
    * @param {string} [params.context='message']
    * @returns {Promise<void>}
    */
-  async recordTokenUsage({ promptTokens, completionTokens, usage, context = 'message' }) {
+  async recordTokenUsage({
+    promptTokens,
+    completionTokens,
+    contextTokens,
+    usage,
+    context = 'message',
+  }) {
     await spendTokens(
       {
         context,
@@ -677,7 +684,7 @@ class OpenAIClient extends BaseClient {
         user: this.user ?? this.options.req.user?.id,
         endpointTokenConfig: this.options.endpointTokenConfig,
       },
-      { promptTokens, completionTokens },
+      { promptTokens, completionTokens, contextTokens },
     );
 
     if (
@@ -38,7 +38,13 @@ jest.mock('~/models', () => ({
   updateFileUsage: jest.fn(),
 }));
 
+jest.mock('~/customUtils/contextSources', () => ({
+  getActiveContextSources: jest.fn(() => []),
+  buildContextSection: jest.fn(),
+}));
+
 const { getConvo, saveConvo } = require('~/models');
+const { getActiveContextSources, buildContextSection } = require('~/customUtils/contextSources');
 
 jest.mock('@librechat/agents', () => {
   const { Providers } = jest.requireActual('@librechat/agents');
@@ -215,6 +221,56 @@ describe('BaseClient', () => {
     expect(result.messagesToRefine).toEqual(expectedMessagesToRefine);
   });
 
+  test('reserves room for the context prompt when pruning in handleContextStrategy()', async () => {
+    TestClient.maxContextTokens = 50;
+    TestClient.shouldSummarize = false;
+    TestClient.contextTokens = 20;
+
+    const orderedMessages = [
+      { messageId: '1', role: 'user', content: 'Hello', tokenCount: 15 },
+      { messageId: '2', role: 'assistant', content: 'How can I help you?', tokenCount: 10 },
+      { messageId: '3', role: 'user', content: 'Plan my week', tokenCount: 10 },
+    ];
+    const formattedMessages = orderedMessages.map(({ role, content }) => ({ role, content }));
+
+    const { payload, promptTokens, tokenCountMap } = await TestClient.handleContextStrategy({
+      orderedMessages,
+      formattedMessages,
+    });
+
+    expect(payload).toEqual(formattedMessages.slice(1));
+    expect(promptTokens).toBe(43); // 20 (context) + 10 + 10 + 3 (assistant label)
+    expect(tokenCountMap).toEqual({ 2: 10, 3: 10 });
+  });
+
+  test('keeps the reserved share of the window for recent messages when the context overflows', async () => {
+    TestClient.maxContextTokens = 10000;
+    TestClient.shouldSummarize = false;
+    TestClient.options = { ...options, req: { config: { contextReserve: 0.6 } } };
+    buildContextSection.mockImplementationOnce(async (user, sources, { maxTokens }) => ({
+      section: 'x'.repeat(maxTokens),
+      context: { tokens: maxTokens, sources: [{ name: 'email', tokens: maxTokens }] },
+    }));
+
+    await TestClient.buildContextPrompt('Plan my week', [{ name: 'email' }]);
+    expect(TestClient.contextTokens).toBe(4000 - 'Plan my week'.length);
+
+    const orderedMessages = [
+      { messageId: '1', role: 'user', content: 'a'.repeat(2990), tokenCount: 2990 },
+      { messageId: '2', role: 'assistant', content: 'b'.repeat(2990), tokenCount: 2990 },
+      { messageId: '3', role: 'user', content: 'Plan my week', tokenCount: 12 },
+    ];
+    const formattedMessages = orderedMessages.map(({ role, content }) => ({ role, content }));
+
+    const { payload, promptTokens } = await TestClient.handleContextStrategy({
+      orderedMessages,
+      formattedMessages,
+    });
+
+    expect(payload).toEqual(formattedMessages);
+    expect(promptTokens).toBe(9983); // 3988 (context) + 2990 + 2990 + 12 + 3 (assistant label)
+  });
+
   describe('getMessagesForConversation', () => {
     it('should return an empty array if the parentMessageId does not exist', () => {
       const result = TestClient.constructor.getMessagesForConversation({
@@ -430,6 +486,48 @@ describe('BaseClient', () => {
       expect(response).toEqual(expectedResult);
     });
 
+    test('stores what the context sources added as metadata of the response', async () => {
+      const context = {
+        tokens: 12,
+        sources: [{ name: 'personal', tokens: 10 }],
+      };
+      getActiveContextSources.mockReturnValueOnce([{ name: 'personal' }]);
+      buildContextSection.mockResolvedValueOnce({
+        section: 'Context:\n<personal_context>\nPrefers mornings\n</personal_context>\n\n',
+        context,
+      });
+      const sendCompletion = jest.spyOn(TestClient, 'sendCompletion');
+
+      const response = await TestClient.sendMessage(userMessage);
+
+      const payload = sendCompletion.mock.calls[0][0];
+      expect(payload[payload.length - 1].content).toContain('Prefers mornings');
+      expect(response.metadata).toEqual(expect.objectContaining({ context }));
+    });
+
+    test('assembles the context before the messages are counted', async () => {
+      getActiveContextSources.mockReturnValueOnce([{ name: 'personal' }]);
+      buildContextSection.mockResolvedValueOnce({
+        section: 'Context:\n<personal_context>\nPrefers mornings\n</personal_context>\n\n',
+        context: { tokens: 12, sources: [{ name: 'personal', tokens: 10 }] },
+      });
+      const sendCompletion = jest.spyOn(TestClient, 'sendCompletion');
+
+      await TestClient.sendMessage(userMessage);
+
+      expect(buildContextSection).toHaveBeenCalledWith(undefined, [{ name: 'personal' }], {
+        query: userMessage,
+        maxTokens: expect.any(Number),
+      });
+      expect(buildContextSection.mock.invocationCallOrder[0]).toBeLessThan(
+        TestClient.buildMessages.mock.invocationCallOrder[0],
+      );
+      const payload = sendCompletion.mock.calls[0][0];
+      const content = payload[payload.length - 1].content;
+      expect(content.endsWith(`User Input:\n${userMessage}`)).toBe(true);
+      expect(TestClient.contextTokens).toBe(content.length - userMessage.length);
+    });
+
     test('should replace responseMessageId with new UUID when isRegenerate is true and messageId ends with underscore', async () => {
       const mockCrypto = require('crypto');
       const newUUID = 'new-uuid-1234';
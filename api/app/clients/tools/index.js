@@ -6,6 +6,7 @@ const FluxAPI = require('./structured/FluxAPI');
 const OpenWeather = require('./structured/OpenWeather');
 const StructuredWolfram = require('./structured/Wolfram');
 const createYouTubeTools = require('./structured/YouTube');
+const { createPlannerTools, getPlannerToolContext } = require('./structured/Planner');
 const StructuredACS = require('./structured/AzureAISearch');
 const StructuredSD = require('./structured/StableDiffusion');
 const GoogleSearchAPI = require('./structured/GoogleSearch');
@@ -25,6 +26,8 @@ module.exports = {
   TraversaalSearch,
   StructuredWolfram,
   createYouTubeTools,
+  createPlannerTools,
   TavilySearchResults,
+  getPlannerToolContext,
   createOpenAIImageTools,
 };
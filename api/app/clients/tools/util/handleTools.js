@@ -33,7 +33,9 @@ const {
   TraversaalSearch,
   StructuredWolfram,
   createYouTubeTools,
+  createPlannerTools,
   TavilySearchResults,
+  getPlannerToolContext,
   createOpenAIImageTools,
 } = require('../');
 const { primeFiles: primeCodeFiles } = require('~/server/services/Files/Code/process');
@@ -187,6 +189,10 @@ const loadTools = async ({
       const authValues = await loadAuthValues({ userId: user, authFields });
       return createYouTubeTools(authValues);
     },
+    planner: async (toolContextMap) => {
+      toolContextMap.planner = getPlannerToolContext(options.req?.user);
+      return createPlannerTools({ user: options.req?.user });
+    },
     image_gen_oai: async (toolContextMap) => {
       const authFields = getAuthFields('image_gen_oai');
       const authValues = await loadAuthValues({ userId: user, authFields });
@@ -1,135 +1,162 @@
-require('dotenv').config();
 const { google } = require('googleapis');
 const { DateTime } = require('luxon');
-
-const TIMEZONE = 'America/New_York';
+const { logger } = require('@librechat/data-schemas');
+const { getUserDateSettings } = require('librechat-data-provider');
+const { getGoogleAuthClient, handleGoogleError } = require('~/customUtils/googleAuth');
+const { quarantine } = require('~/customUtils/untrustedContent');
 
 /**
- * Load Authorization using the standard Client + Token env vars
+ * Fetches the events of all the user's calendars for the next `days` days, sorted by start.
+ * @param {IUser} user
+ * @param {Object} options
+ * @param {number} options.days
+ * @param {string} [options.query] - Free text search of the events.
+ * @throws {Error} When Google cannot be reached.
  */
-function getAuthClient() {
-  if (!process.env.GOOGLE_CLIENT_JSON) {
-    throw new Error("Missing GOOGLE_CLIENT_JSON environment variable.");
-  }
-  const clientData = JSON.parse(process.env.GOOGLE_CLIENT_JSON);
-  const keys = clientData.installed || clientData.web;
-
-  if (!process.env.GOOGLE_TOKEN_JSON) {
-    throw new Error("Missing GOOGLE_TOKEN_JSON environment variable.");
+async function fetchEvents(user, { days, query }) {
+  const { timezone } = getUserDateSettings(user);
+  const auth = await getGoogleAuthClient(user);
+  const calendar = google.calendar({ version: 'v3', auth });
+
+  // --- Date Logic: Next `days` Days (Including Today) ---
+  const now = DateTime.now().setZone(timezone);
+  const startDateTime = now.startOf('day');
+  const endDateTime = startDateTime.plus({ days: days - 1 }).endOf('day');
+
+  const calendarListRes = await calendar.calendarList.list();
+  const calendarList = calendarListRes.data.items;
+  let allEvents = [];
+
+  for (const calEntry of calendarList) {
+    const calendarId = calEntry.id;
+    const calendarSummary = calEntry.summary || calendarId;
+
+    try {
+      const eventsRes = await calendar.events.list({
+        calendarId: calendarId,
+        timeMin: startDateTime.toISO(),
+        timeMax: endDateTime.toISO(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        q: query || undefined,
+      });
+
+      const events = eventsRes.data.items;
+
+      if (events && events.length > 0) {
+        events.forEach((event) => {
+          const isAllDay = !!event.start.date;
+          let startObj, endObj;
+
+          if (isAllDay) {
+            startObj = DateTime.fromISO(event.start.date, { zone: timezone });
+            endObj = DateTime.fromISO(event.end.date, { zone: timezone });
+          } else {
+            startObj = DateTime.fromISO(event.start.dateTime).setZone(timezone);
+            endObj = DateTime.fromISO(event.end.dateTime).setZone(timezone);
+          }
+
+          allEvents.push({
+            id: event.id,
+            calendar: calendarSummary,
+            summary: event.summary || 'No Title',
+            location: event.location || null,
+            description: event.description || null,
+            _start: startObj,
+            _end: endObj,
+            _isAllDay: isAllDay,
+            _external: !(event.organizer?.self || event.creator?.self),
+          });
+        });
+      }
+    } catch {
+      // Skip calendars that fail or are empty
+    }
   }
-  const tokenData = JSON.parse(process.env.GOOGLE_TOKEN_JSON);
 
-  const oAuth2Client = new google.auth.OAuth2(
-    keys.client_id,
-    keys.client_secret,
-    'http://localhost'
-  );
-
-  oAuth2Client.setCredentials(tokenData);
-
-  return oAuth2Client;
+  allEvents.sort((a, b) => a._start.toMillis() - b._start.toMillis());
+  return allEvents;
 }
 
 /**
- * Main function: Fetch events for the next 30 days.
+ * Renders events as a JSON list of lines in the user's date format.
+ * @param {Array<Object>} events - Output of `fetchEvents`.
+ * @param {Object} options
+ * @param {string} options.dateFormat
+ * @param {boolean} options.quarantineExternal
  */
-async function listCalendar() {
-  try {
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: 'v3', auth });
-
-    // --- Date Logic: Next 30 Days (Including Today) ---
-    const now = DateTime.now().setZone(TIMEZONE);
-    const startDateTime = now.startOf('day');
-    const endDateTime = startDateTime.plus({ days: 29 }).endOf('day');
-
-    const calendarListRes = await calendar.calendarList.list();
-    const calendarList = calendarListRes.data.items;
-    let allEvents = [];
-
-    for (const calEntry of calendarList) {
-      const calendarId = calEntry.id;
-      const calendarSummary = calEntry.summary || calendarId;
-
-      try {
-        const eventsRes = await calendar.events.list({
-          calendarId: calendarId,
-          timeMin: startDateTime.toISO(),
-          timeMax: endDateTime.toISO(),
-          singleEvents: true,
-          orderBy: 'startTime',
-        });
-
-        const events = eventsRes.data.items;
-
-        if (events && events.length > 0) {
-          events.forEach((event) => {
-            const isAllDay = !!event.start.date;
-            let startObj, endObj;
-
-            if (isAllDay) {
-              startObj = DateTime.fromISO(event.start.date, { zone: TIMEZONE });
-              endObj = DateTime.fromISO(event.end.date, { zone: TIMEZONE }); 
-            } else {
-              startObj = DateTime.fromISO(event.start.dateTime).setZone(TIMEZONE);
-              endObj = DateTime.fromISO(event.end.dateTime).setZone(TIMEZONE);
-            }
-
-            allEvents.push({
-              calendar: calendarSummary,
-              summary: event.summary || 'No Title',
-              location: event.location || null,
-              description: event.description || null,
-              _start: startObj, 
-              _end: endObj,
-              _isAllDay: isAllDay
-            });
-          });
-        }
-      } catch (e) {
-        // Skip calendars that fail or are empty
+function formatEvents(events, { dateFormat, quarantineExternal }) {
+  const prettyEvents = events.map((ev) => {
+    const pDate = ev._start.toFormat(`ccc ${dateFormat}`);
+    let timeStr = '';
+
+    if (ev._isAllDay) {
+      timeStr = 'All Day';
+    } else {
+      timeStr = ev._start.toFormat('hh:mm a');
+      if (ev._end) {
+        timeStr += ` - ${ev._end.toFormat('hh:mm a')}`;
       }
     }
 
-    allEvents.sort((a, b) => a._start.toMillis() - b._start.toMillis());
+    var details = ev.summary;
 
-    const prettyEvents = allEvents.map(ev => {
-      const pDate = ev._start.toFormat('LLL-dd-yyyy hh:mm a'); 
-      let timeStr = "";
+    if (ev.description) details += ` (${ev.description})`;
 
-      if (ev._isAllDay) {
-        timeStr = "All Day";
-      } else {
-        timeStr = ev._start.toFormat('hh:mm a'); 
-        if (ev._end) {
-          timeStr += ` - ${ev._end.toFormat('hh:mm a')}`;
-        }
-      }
+    if (ev.location) details += ` @ location ${ev.location}`;
 
-      var finalStr = `[${ev.calendar}] ${ev.summary}`;
+    if (quarantineExternal && ev._external) details = quarantine(details, { source: 'calendar' });
 
-      if (ev.description)
-        finalStr += ` (${ev.description})`;
+    return `[${ev.calendar}] ${details} on ${pDate} (${timeStr})`;
+  });
 
-      if (ev.location)
-        finalStr += ` @ location ${ev.location}`;
-
-      finalStr += ` on ${pDate} (${timeStr})`;
-
-      return finalStr;
-    });
-
-    var resultsStr = JSON.stringify(prettyEvents, null, 2);
-    resultsStr = resultsStr.replace('<context>', '').replace('</context>', '').replace('<time>', '').replace('</time>', '');
+  return JSON.stringify(prettyEvents, null, 2);
+}
 
-    return resultsStr;
+/**
+ * Main function: Fetch events for the next 30 days, or `days` days, optionally matching `query`.
+ * Events are rendered in the user's timezone and date format. The title, description and location of
+ * events organized by someone else are quarantined as untrusted content for prompts.
+ * @param {IUser} user
+ * @param {Object} [options]
+ * @param {number} [options.days]
+ * @param {string} [options.query] - Free text search of the events.
+ * @param {boolean} [options.quarantine] - Set to false for text shown to the user, not to a model.
+ */
+async function listCalendar(
+  user,
+  { days = 30, query, quarantine: quarantineExternal = true } = {},
+) {
+  const { dateFormat } = getUserDateSettings(user);
+  try {
+    const events = await fetchEvents(user, { days, query });
+    return formatEvents(events, { dateFormat, quarantineExternal });
+  } catch (error) {
+    logger.error('[listCalendar] Error fetching calendar events:', error);
+    await handleGoogleError(user, error);
+    return JSON.stringify(`Error: ${error.message}`, null, 2);
+  }
+}
 
+/**
+ * Fetches the calendar context source: the next 30 days of events, with their IDs.
+ * @param {IUser} user
+ * @returns {Promise<{ content: string, items: string[] }>}
+ * @throws {Error} When Google cannot be reached, so the failure is reported instead of cached.
+ */
+async function getCalendarContext(user) {
+  const { dateFormat } = getUserDateSettings(user);
+  try {
+    const events = await fetchEvents(user, { days: 30 });
+    return {
+      content: formatEvents(events, { dateFormat, quarantineExternal: true }),
+      items: events.map((ev) => ev.id).filter(Boolean),
+    };
   } catch (error) {
-    console.error('Error:', error.message);
-    var errStr = JSON.stringify(`Error: ${error.message}`, null, 2);
-    errStr = errStr.replace('<context>', '').replace('</context>', '').replace('<time>', '').replace('</time>', '');
-    return errStr;
+    await handleGoogleError(user, error);
+    throw error;
   }
 }
 
-module.exports = listCalendar;
\ No newline at end of file
+module.exports = listCalendar;
+module.exports.getCalendarContext = getCalendarContext;
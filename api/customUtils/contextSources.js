@@ -0,0 +1,308 @@
+/**
+ * Registry of the personal context sources that can be injected into the prompt.
+ * Which sources run, for which endpoints/agents and within what token budget is configured
+ * under `contextSources` in `librechat.yaml`; users can turn sources off per conversation.
+ * Fetched sources are cached as snapshots, see `ContextSnapshotService`.
+ */
+
+const { Tokenizer, processTextWithTokenLimit } = require('@librechat/api');
+const { Time, ContextSources, isContextSourceInScope } = require('librechat-data-provider');
+const { getContextSnapshot } = require('~/server/services/ContextSnapshotService');
+const {
+  UNTRUSTED_CONTENT_NOTICE,
+  hasUntrustedContent,
+  closeUntrustedBlocks,
+} = require('./untrustedContent');
+const { getTaskContext } = require('./taskPlanner');
+const { getPersonalContext } = require('./personalProfile');
+const { getCalendarContext } = require('./calendarFetch');
+const { listEmails, rankEmails } = require('./gmailFetch');
+
+/**
+ * Fetched content of a source, with the IDs of the emails, events or tasks it lists.
+ * @typedef {Object} ContextSourceContent
+ * @property {string} content
+ * @property {string[]} [items]
+ */
+
+/**
+ * @typedef {Object} ContextSourceDefinition
+ * @property {string} tag - Element the content is wrapped in.
+ * @property {string} [desc] - Description attribute of the element.
+ * @property {string} label - Prefix of fetch error messages.
+ * @property {number} ttl - Default milliseconds a fetched snapshot is served before a refresh.
+ * @property {(user: IUser) => Promise<string | ContextSourceContent>} fetch
+ * @property {(content: string, query: string, user: IUser) => Array<{ id: string, text: string }>} [rank] -
+ *   Splits a fetched snapshot into items, most relevant to the user's message first. Only the
+ *   top `topK` items that fit the token budget are added.
+ * @property {number} [topK] - Default number of ranked items added.
+ * @property {number} [tokenBudget] - Default token budget.
+ * @property {number} priority - Default priority; sources with the lowest priority are cut first
+ *   when the context does not fit in the context window.
+ */
+
+/** @type {Record<ContextSources, ContextSourceDefinition>} */
+const contextSourceRegistry = {
+  [ContextSources.personal]: {
+    tag: 'personal_context',
+    label: 'Personal',
+    ttl: Time.ONE_HOUR,
+    fetch: getPersonalContext,
+    priority: 40,
+  },
+  [ContextSources.calendar]: {
+    tag: 'calendar',
+    desc: 'next 30 days',
+    label: 'Calendar',
+    ttl: Time.FIVE_MINUTES,
+    fetch: getCalendarContext,
+    priority: 20,
+  },
+  [ContextSources.email]: {
+    tag: 'emails',
+    desc: 'most relevant of the past 30 days',
+    label: 'Email',
+    ttl: Time.TEN_MINUTES,
+    fetch: listEmails,
+    rank: rankEmails,
+    topK: 20,
+    tokenBudget: 2000,
+    priority: 10,
+  },
+  [ContextSources.tasks]: {
+    tag: 'task_list',
+    label: 'Tasks',
+    ttl: Time.FIVE_MINUTES,
+    fetch: getTaskContext,
+    priority: 30,
+  },
+};
+
+/** Sources that agents with the toolkit read through its tools, on demand, instead. */
+const toolkitContextSources = {
+  planner: [ContextSources.calendar, ContextSources.email, ContextSources.tasks],
+};
+
+/**
+ * Selects the configured sources that apply to a request.
+ * @param {AppConfig | undefined} appConfig
+ * @param {Object} params
+ * @param {string} [params.endpoint]
+ * @param {string} [params.agentId]
+ * @param {string[]} [params.tools] - Tools of the agent; toolkits replace the sources they cover.
+ * @param {string[]} [params.disabled] - Sources the user turned off for the conversation.
+ * @returns {TContextSource[]}
+ */
+function getActiveContextSources(appConfig, { endpoint, agentId, tools, disabled }) {
+  const replaced = (tools ?? []).flatMap((tool) => toolkitContextSources[tool] ?? []);
+  return (appConfig?.contextSources ?? []).filter(
+    (source) =>
+      contextSourceRegistry[source.name] != null &&
+      !disabled?.includes(source.name) &&
+      !replaced.includes(source.name) &&
+      isContextSourceInScope(source, { endpoint, agentId }),
+  );
+}
+
+/**
+ * @param {unknown} value - Fetched content; snapshots cached as plain text have no items.
+ * @returns {ContextSourceContent}
+ */
+const toSourceContent = (value) =>
+  value != null && typeof value === 'object' ? value : { content: String(value ?? '') };
+
+/**
+ * Picks the first `topK` items that fit in the token budget together; items too long to fit are
+ * skipped in favor of later ones.
+ * @param {Array<{ id: string, text: string }>} items
+ * @param {Object} params
+ * @param {number} params.topK
+ * @param {number} [params.tokenBudget]
+ * @returns {ContextSourceContent}
+ */
+function selectWithinBudget(items, { topK, tokenBudget }) {
+  const selected = [];
+  let tokens = 0;
+  for (const item of items) {
+    if (selected.length >= topK) {
+      break;
+    }
+    const itemTokens = Tokenizer.getTokenCount(item.text);
+    if (tokenBudget && tokens + itemTokens > tokenBudget) {
+      continue;
+    }
+    selected.push(item);
+    tokens += itemTokens;
+  }
+  return {
+    content: selected.map(({ text }) => text).join('\n\n'),
+    items: selected.map(({ id }) => id).filter(Boolean),
+  };
+}
+
+/** Sources with less room left than this are left out rather than truncated */
+const MIN_SOURCE_TOKENS = 100;
+
+/**
+ * @param {ContextSources} name
+ * @param {string} content
+ * @returns {string} The source's block of the prompt.
+ */
+function toBlock(name, content) {
+  const { tag, desc } = contextSourceRegistry[name];
+  const attributes = desc ? ` desc="${desc}"` : '';
+  return `<${tag}${attributes}>\n${content}\n</${tag}>`;
+}
+
+/**
+ * Cuts content to a token limit, closing quarantined content that was cut off.
+ * @param {string} content
+ * @param {number} tokenLimit
+ * @param {(text: string) => string} [wrap] - Counts the tokens of the content wrapped with this.
+ * @returns {Promise<{ text: string, wasTruncated: boolean }>}
+ */
+async function truncateContent(content, tokenLimit, wrap = (text) => text) {
+  const limited = await processTextWithTokenLimit({
+    text: content,
+    tokenLimit,
+    tokenCountFn: (text) => Tokenizer.getTokenCount(wrap(closeUntrustedBlocks(text))),
+  });
+  return { text: closeUntrustedBlocks(limited.text), wasTruncated: limited.wasTruncated };
+}
+
+/**
+ * Fetches one source and trims it to its token budget; ranked sources keep only the items most
+ * relevant to the user's message.
+ * A failing source is reported inline instead of failing the whole prompt.
+ * @param {TContextSource} source
+ * @param {IUser} user
+ * @param {string} query - The user's message.
+ * @returns {Promise<{ content: string, usage: TContextSourceUsage }>} The source's content, and
+ *   what it added.
+ */
+async function fetchContextSource(source, user, query) {
+  const { label, ttl, fetch, rank, ...defaults } = contextSourceRegistry[source.name];
+  const tokenBudget = source.tokenBudget ?? defaults.tokenBudget;
+  /** @type {TContextSourceUsage} */
+  const usage = { name: source.name };
+
+  let content;
+  try {
+    const snapshot = toSourceContent(
+      await getContextSnapshot({
+        user,
+        source: source.name,
+        ttl: source.ttl ?? ttl,
+        fetch: async () => toSourceContent(await fetch(user)),
+      }),
+    );
+    const selected = rank
+      ? selectWithinBudget(rank(snapshot.content, query, user), {
+          topK: source.topK ?? defaults.topK,
+          tokenBudget,
+        })
+      : snapshot;
+    content = selected.content;
+    if (selected.items?.length) {
+      usage.items = selected.items;
+    }
+  } catch (err) {
+    content = `[${label} Error: ${err.message}]`;
+    usage.error = err.message;
+  }
+
+  if (tokenBudget) {
+    const limited = await truncateContent(content, tokenBudget);
+    content = limited.text;
+    if (limited.wasTruncated) {
+      usage.truncated = true;
+    }
+  }
+
+  usage.tokens = Tokenizer.getTokenCount(toBlock(source.name, content));
+  return { content, usage };
+}
+
+/**
+ * Fits the fetched sources in `maxTokens`, the way `getMessagesWithinTokenLimit` fits messages:
+ * the sources with the lowest priority are truncated first, and left out when too little of them
+ * would remain.
+ * @param {TContextSource[]} sources
+ * @param {Array<{ content: string, usage: TContextSourceUsage }>} results - Mutated in place.
+ * @param {number} maxTokens
+ */
+async function fitWithinTokenLimit(sources, results, maxTokens) {
+  let total = results.reduce((sum, { usage }) => sum + usage.tokens, 0);
+  const byPriority = sources
+    .map((source, index) => ({
+      index,
+      priority: source.priority ?? contextSourceRegistry[source.name].priority,
+    }))
+    .sort((a, b) => a.priority - b.priority);
+
+  for (const { index } of byPriority) {
+    if (total <= maxTokens) {
+      break;
+    }
+    const result = results[index];
+    const available = result.usage.tokens - (total - maxTokens);
+    total -= result.usage.tokens;
+    if (available < MIN_SOURCE_TOKENS) {
+      result.content = null;
+      result.usage.tokens = 0;
+      result.usage.omitted = true;
+      delete result.usage.items;
+      continue;
+    }
+    const limited = await truncateContent(result.content, available, (text) =>
+      toBlock(result.usage.name, text),
+    );
+    result.content = limited.text;
+    result.usage.truncated = true;
+    result.usage.tokens = Tokenizer.getTokenCount(toBlock(result.usage.name, result.content));
+    total += result.usage.tokens;
+  }
+}
+
+/**
+ * Builds the context section of the prompt from the given sources, in order. When third-party
+ * content was quarantined, the section starts with a notice on how to treat it.
+ * @param {IUser} user
+ * @param {TContextSource[]} sources
+ * @param {Object} [options]
+ * @param {string} [options.query] - The user's message, which ranked sources are matched against.
+ * @param {number} [options.maxTokens] - Room left for the sources in the context window; see
+ *   `fitWithinTokenLimit`.
+ * @returns {Promise<{ section: string, context: TContextUsage | null }>} The section, empty when
+ *   there are no sources or none fit, and what each source added to it.
+ */
+async function buildContextSection(user, sources, { query = '', maxTokens } = {}) {
+  if (!sources.length) {
+    return { section: '', context: null };
+  }
+  const results = await Promise.all(
+    sources.map((source) => fetchContextSource(source, user, query)),
+  );
+  if (Number.isFinite(maxTokens)) {
+    await fitWithinTokenLimit(sources, results, maxTokens);
+  }
+  const blocks = results
+    .filter(({ content }) => content != null)
+    .map(({ content, usage }) => toBlock(usage.name, content))
+    .join('\n\n');
+  const notice = hasUntrustedContent(blocks) ? `${UNTRUSTED_CONTENT_NOTICE}\n\n` : '';
+  const section = blocks ? `Context:\n${notice}${blocks}\n\n` : '';
+  return {
+    section,
+    context: {
+      tokens: Tokenizer.getTokenCount(section),
+      sources: results.map(({ usage }) => usage),
+    },
+  };
+}
+
+module.exports = {
+  contextSourceRegistry,
+  getActiveContextSources,
+  buildContextSection,
+};
@@ -0,0 +1,207 @@
+const { Time, ContextSources } = require('librechat-data-provider');
+
+jest.mock('./personalProfile', () => ({
+  getPersonalContext: jest.fn(async () => 'Prefers mornings'),
+}));
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  getContextSnapshot: jest.fn(({ fetch }) => fetch()),
+}));
+jest.mock('./taskPlanner', () => ({
+  getTaskContext: jest.fn(async () => ({ content: '- [ ] Submit PR', items: ['task-1'] })),
+}));
+jest.mock('./calendarFetch', () => ({ getCalendarContext: jest.fn() }));
+jest.mock('./gmailFetch', () => ({
+  listEmails: jest.fn(),
+  rankEmails: jest.fn((content) =>
+    JSON.parse(content).map((text, i) => ({ id: `m${i + 1}`, text })),
+  ),
+}));
+
+const { getCalendarContext } = require('./calendarFetch');
+const { getTaskContext } = require('./taskPlanner');
+const { listEmails, rankEmails } = require('./gmailFetch');
+const { getContextSnapshot } = require('~/server/services/ContextSnapshotService');
+const { getActiveContextSources, buildContextSection } = require('./contextSources');
+
+const user = { id: 'user-1' };
+
+describe('contextSources', () => {
+  const appConfig = {
+    contextSources: [
+      { name: ContextSources.tasks, enabled: true },
+      { name: ContextSources.calendar, enabled: true, scope: { endpoints: ['google'] } },
+      { name: ContextSources.email, enabled: true, scope: { agents: ['agent_planner'] } },
+    ],
+  };
+
+  it('selects the sources in scope that the user has not turned off', () => {
+    const names = (params) =>
+      getActiveContextSources(appConfig, params).map((source) => source.name);
+
+    expect(names({ endpoint: 'openAI' })).toEqual(['tasks']);
+    expect(names({ endpoint: 'google' })).toEqual(['tasks', 'calendar']);
+    expect(names({ endpoint: 'agents', agentId: 'agent_planner' })).toEqual(['tasks', 'email']);
+    expect(names({ endpoint: 'google', disabled: ['tasks'] })).toEqual(['calendar']);
+    expect(
+      names({ endpoint: 'agents', agentId: 'agent_planner', tools: ['planner', 'calculator'] }),
+    ).toEqual([]);
+    expect(getActiveContextSources(undefined, { endpoint: 'google' })).toEqual([]);
+  });
+
+  it('builds the context in source order and reports failing sources inline', async () => {
+    getCalendarContext.mockRejectedValue(new Error('Google access has expired'));
+
+    const { section } = await buildContextSection(user, [
+      { name: ContextSources.personal },
+      { name: ContextSources.calendar },
+      { name: ContextSources.tasks },
+    ]);
+
+    expect(section).toBe(
+      'Context:\n' +
+        '<personal_context>\nPrefers mornings\n</personal_context>\n\n' +
+        '<calendar desc="next 30 days">\n[Calendar Error: Google access has expired]\n</calendar>\n\n' +
+        '<task_list>\n- [ ] Submit PR\n</task_list>\n\n',
+    );
+    expect(getCalendarContext).toHaveBeenCalledWith(user);
+  });
+
+  it('records what each source added, with item IDs and fetch errors', async () => {
+    getCalendarContext.mockRejectedValue(new Error('Google access has expired'));
+
+    const { context } = await buildContextSection(user, [
+      { name: ContextSources.personal },
+      { name: ContextSources.calendar },
+      { name: ContextSources.tasks },
+    ]);
+
+    expect(context.sources).toEqual([
+      { name: 'personal', tokens: expect.any(Number) },
+      { name: 'calendar', tokens: expect.any(Number), error: 'Google access has expired' },
+      { name: 'tasks', tokens: expect.any(Number), items: ['task-1'] },
+    ]);
+    expect(context.sources.every(({ tokens }) => tokens > 0)).toBe(true);
+    expect(context.tokens).toBeGreaterThanOrEqual(
+      context.sources.reduce((sum, { tokens }) => sum + tokens, 0),
+    );
+  });
+
+  it('reads snapshots cached as plain text', async () => {
+    getContextSnapshot.mockResolvedValueOnce('- [ ] Cached task');
+
+    const { section, context } = await buildContextSection(user, [{ name: ContextSources.tasks }]);
+
+    expect(section).toContain('<task_list>\n- [ ] Cached task\n</task_list>');
+    expect(context.sources[0].items).toBeUndefined();
+  });
+
+  it('reads sources through snapshots with the configured or default TTL', async () => {
+    await buildContextSection(user, [
+      { name: ContextSources.tasks, ttl: 1000 },
+      { name: ContextSources.email },
+    ]);
+
+    expect(getContextSnapshot).toHaveBeenCalledWith(
+      expect.objectContaining({ user, source: 'tasks', ttl: 1000 }),
+    );
+    expect(getContextSnapshot).toHaveBeenCalledWith(
+      expect.objectContaining({ user, source: 'email', ttl: Time.TEN_MINUTES }),
+    );
+  });
+
+  it('trims a source to its token budget', async () => {
+    getTaskContext.mockResolvedValueOnce({ content: 'word '.repeat(500) });
+
+    const { section, context } = await buildContextSection(user, [
+      { name: ContextSources.tasks, tokenBudget: 20 },
+    ]);
+    const content = section.split('\n')[2];
+
+    expect(content.length).toBeGreaterThan(0);
+    expect(content.length).toBeLessThan(200);
+    expect(context.sources[0].truncated).toBe(true);
+  });
+
+  it('adds the top ranked items of a source that fit its token budget', async () => {
+    listEmails.mockResolvedValue(
+      JSON.stringify(['first email', 'word '.repeat(100), 'second email', 'third email']),
+    );
+
+    const { section, context } = await buildContextSection(
+      user,
+      [{ name: ContextSources.email, topK: 2, tokenBudget: 50 }],
+      { query: 'invoice' },
+    );
+
+    expect(rankEmails).toHaveBeenCalledWith(expect.any(String), 'invoice', user);
+    expect(section).toBe(
+      'Context:\n' +
+        '<emails desc="most relevant of the past 30 days">\nfirst email\n\nsecond email\n</emails>\n\n',
+    );
+    expect(context.sources[0].items).toEqual(['m1', 'm3']);
+  });
+
+  it('explains quarantined third-party content before the sources', async () => {
+    listEmails.mockResolvedValue(
+      JSON.stringify(['<untrusted_content source="email">Lunch</untrusted_content>']),
+    );
+
+    const { section } = await buildContextSection(user, [{ name: ContextSources.email }]);
+
+    expect(section).toMatch(
+      /^Context:\nText inside <untrusted_content> elements comes from third parties/,
+    );
+  });
+
+  it('closes quarantined content cut off by the token budget', async () => {
+    getTaskContext.mockResolvedValueOnce({
+      content: `<untrusted_content source="calendar">${'word '.repeat(500)}</untrusted_content>`,
+    });
+
+    const { section } = await buildContextSection(user, [
+      { name: ContextSources.tasks, tokenBudget: 20 },
+    ]);
+
+    expect(section).toMatch(/<\/untrusted_content>\n<\/task_list>/);
+  });
+
+  it('cuts the lowest priority sources first to fit the context window', async () => {
+    getTaskContext.mockResolvedValueOnce({ content: 'task '.repeat(600), items: ['task-1'] });
+    getCalendarContext.mockResolvedValueOnce({ content: 'event '.repeat(400), items: ['e1'] });
+    const sources = [
+      { name: ContextSources.personal },
+      { name: ContextSources.calendar },
+      { name: ContextSources.tasks },
+    ];
+
+    const { section, context } = await buildContextSection(user, sources, { maxTokens: 500 });
+    const [personal, calendar, tasks] = context.sources;
+
+    expect(calendar).toEqual({ name: 'calendar', tokens: 0, omitted: true });
+    expect(section).not.toContain('<calendar');
+    expect(tasks).toEqual(
+      expect.objectContaining({ truncated: true, items: ['task-1'], tokens: expect.any(Number) }),
+    );
+    expect(personal.truncated).toBeUndefined();
+    expect(section).toContain('<personal_context>\nPrefers mornings\n</personal_context>');
+    expect(personal.tokens + tasks.tokens).toBeLessThanOrEqual(500);
+  });
+
+  it('follows the configured priorities', async () => {
+    getTaskContext.mockResolvedValueOnce({ content: 'task '.repeat(400) });
+    getCalendarContext.mockResolvedValueOnce({ content: 'event '.repeat(400) });
+
+    const { context } = await buildContextSection(
+      user,
+      [{ name: ContextSources.calendar, priority: 50 }, { name: ContextSources.tasks }],
+      { maxTokens: 450 },
+    );
+
+    expect(context.sources[0].omitted).toBeUndefined();
+    expect(context.sources[1].omitted).toBe(true);
+  });
+
+  it('returns nothing without sources', async () => {
+    expect(await buildContextSection(user, [])).toEqual({ section: '', context: null });
+  });
+});
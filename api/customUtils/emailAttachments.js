@@ -0,0 +1,216 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { parseText } = require('@librechat/api');
+const { logger } = require('@librechat/data-schemas');
+const { getUserDateSettings } = require('librechat-data-provider');
+const { getUserId } = require('~/server/services/IntegrationService');
+const { parseVEvents } = require('~/customUtils/taskProviders/ical');
+const { emailToMarkdown } = require('~/customUtils/htmlToMd');
+
+/** Characters of each document kept on the email record. */
+const EXCERPT_LENGTH = 1000;
+
+/** Larger attachments are not downloaded. */
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+/** Documents read per email; the rest are left out. */
+const MAX_DOCUMENTS = 3;
+
+const CALENDAR_TYPES = new Set(['text/calendar', 'application/ics']);
+const DOCUMENT_TYPES = new Set([
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+]);
+
+/**
+ * Tells calendar invitations and readable documents apart from other message parts.
+ * @param {{ mimeType?: string, filename?: string }} part
+ * @returns {'calendar' | 'document' | null}
+ */
+function getAttachmentKind({ mimeType = '', filename = '' }) {
+  const type = mimeType.toLowerCase();
+  const extension = path.extname(filename).toLowerCase();
+  if (CALENDAR_TYPES.has(type) || extension === '.ics') {
+    return 'calendar';
+  }
+  if (DOCUMENT_TYPES.has(type) || extension === '.pdf' || extension === '.docx') {
+    return 'document';
+  }
+  return null;
+}
+
+/**
+ * Lists the invitation and document parts of a Gmail message, including nested ones.
+ * @param {Object} payload - Payload of a message fetched with `format: 'full'`.
+ * @returns {Array<{ kind: 'calendar' | 'document', part: Object }>}
+ */
+function findAttachmentParts(payload) {
+  const found = [];
+  const traverse = (part) => {
+    const kind = getAttachmentKind(part);
+    if (kind && (part.body?.data || part.body?.attachmentId)) {
+      found.push({ kind, part });
+    }
+    (part.parts ?? []).forEach(traverse);
+  };
+  traverse(payload ?? {});
+  return found;
+}
+
+/**
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {string} messageId
+ * @param {Object} part
+ * @returns {Promise<Buffer>}
+ */
+async function readPart(gmail, messageId, part) {
+  if (part.body.data) {
+    return Buffer.from(part.body.data, 'base64url');
+  }
+  const { data } = await gmail.users.messages.attachments.get({
+    userId: 'me',
+    messageId,
+    id: part.body.attachmentId,
+  });
+  return Buffer.from(data.data ?? '', 'base64url');
+}
+
+/**
+ * Extracts the text of a PDF or DOCX document with the file text extraction used for uploads,
+ * which needs the RAG API for these formats.
+ * @param {string} userId
+ * @param {Object} part
+ * @param {Buffer} data
+ * @returns {Promise<string>} The text as markdown; empty when it could not be read.
+ */
+async function readDocument(userId, part, data) {
+  if (!process.env.RAG_API_URL) {
+    return '';
+  }
+  const file_id = crypto.randomUUID();
+  const filepath = path.join(os.tmpdir(), `email-attachment-${file_id}`);
+  await fs.writeFile(filepath, data);
+  try {
+    const { text } = await parseText({
+      req: { user: { id: userId } },
+      file: {
+        path: filepath,
+        size: data.length,
+        mimetype: part.mimeType,
+        originalname: part.filename,
+      },
+      file_id,
+    });
+    /** Without the RAG API, the native fallback returns the raw bytes */
+    if (!text || text.includes('\0') || text.startsWith('%PDF-') || text.startsWith('PK')) {
+      return '';
+    }
+    return emailToMarkdown(text).markdown;
+  } finally {
+    await fs.rm(filepath, { force: true });
+  }
+}
+
+/**
+ * @param {import('luxon').DateTime} dt
+ * @param {boolean} allDay
+ * @returns {string} An ISO date for all-day events, an ISO date-time otherwise.
+ */
+const toISOValue = (dt, allDay) => (allDay ? dt.toISODate() : dt.toISO());
+
+/**
+ * @param {string} text
+ * @returns {string} The text on one line, cut to `EXCERPT_LENGTH` characters.
+ */
+function toExcerpt(text) {
+  const value = text.replace(/\s+/g, ' ').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH - 1)}…` : value;
+}
+
+/**
+ * Reads the calendar invitations and the PDF and DOCX documents attached to a Gmail message.
+ * Invitations become events, documents short excerpts. An attachment that cannot be read is
+ * logged and left out.
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {IUser | string} user
+ * @param {Object} message - A message fetched with `format: 'full'`.
+ * @param {Object} [options]
+ * @param {boolean} [options.documents] - Whether documents are read, besides invitations.
+ * @returns {Promise<{ attachments: EmailAttachment[], events: EmailEvent[] }>}
+ */
+async function extractEmailAttachments(gmail, user, message, { documents = true } = {}) {
+  const userId = getUserId(user);
+  const { timezone } = getUserDateSettings(user);
+  const attachments = [];
+  const events = new Map();
+
+  for (const { kind, part } of findAttachmentParts(message.payload)) {
+    if ((part.body.size ?? 0) > MAX_ATTACHMENT_BYTES) {
+      continue;
+    }
+    if (kind === 'document' && (!documents || attachments.length >= MAX_DOCUMENTS)) {
+      continue;
+    }
+    try {
+      const data = await readPart(gmail, message.id, part);
+      if (kind === 'calendar') {
+        for (const event of parseVEvents(data.toString('utf8'), timezone)) {
+          events.set(event.uid || `${event.summary}|${event.start.toISO()}`, {
+            uid: event.uid,
+            summary: event.summary || '(No Title)',
+            start: toISOValue(event.start, event.allDay),
+            end: event.end ? toISOValue(event.end, event.allDay) : null,
+            allDay: event.allDay,
+            location: event.location,
+            organizer: event.organizer,
+            method: event.method,
+          });
+        }
+        continue;
+      }
+      const excerpt = toExcerpt(await readDocument(userId, part, data));
+      if (excerpt) {
+        attachments.push({
+          filename: part.filename || 'attachment',
+          mimeType: part.mimeType,
+          excerpt,
+        });
+      }
+    } catch (error) {
+      logger.warn(
+        `[extractEmailAttachments] Could not read attachment "${part.filename}" of message ${message.id}`,
+        error,
+      );
+    }
+  }
+  return { attachments, events: [...events.values()] };
+}
+
+/**
+ * Renders the invitations and document excerpts of an email as lines of text.
+ * @param {{ attachments?: EmailAttachment[], events?: EmailEvent[] }} email
+ * @returns {string[]}
+ */
+function formatEmailAttachments({ attachments = [], events = [] }) {
+  const lines = events.map(({ summary, start, end, location, organizer, method }) => {
+    const label = method === 'CANCEL' ? 'Cancelled event' : 'Proposed event';
+    const time = end ? `${start} to ${end}` : start;
+    return [
+      `${label}: ${summary}, ${time}`,
+      location ? ` @ ${location}` : '',
+      organizer ? ` (organized by ${organizer})` : '',
+    ].join('');
+  });
+  for (const { filename, excerpt } of attachments) {
+    lines.push(`Attachment ${filename}: ${excerpt}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  EXCERPT_LENGTH,
+  extractEmailAttachments,
+  formatEmailAttachments,
+};
@@ -0,0 +1,188 @@
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  parseText: jest.fn(),
+}));
+
+jest.mock('~/customUtils/htmlToMd', () => ({
+  emailToMarkdown: (text) => ({ markdown: text }),
+}));
+
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserId: (user) => (typeof user === 'string' ? user : user?.id),
+}));
+
+const { parseText } = require('@librechat/api');
+const { logger } = require('@librechat/data-schemas');
+const {
+  EXCERPT_LENGTH,
+  extractEmailAttachments,
+  formatEmailAttachments,
+} = require('./emailAttachments');
+
+const user = { id: 'user-1', personalization: { timezone: 'Europe/Berlin' } };
+
+const invitation = [
+  'BEGIN:VCALENDAR',
+  'METHOD:REQUEST',
+  'BEGIN:VEVENT',
+  'UID:sync@example.com',
+  'SUMMARY:Project sync',
+  'DTSTART;TZID=W. Europe Standard Time:20261022T100000',
+  'DTEND;TZID=W. Europe Standard Time:20261022T110000',
+  'LOCATION:Room 4',
+  'ORGANIZER;CN=Jane Doe:mailto:jane@example.com',
+  'BEGIN:VALARM',
+  'SUMMARY:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:offsite@example.com',
+  'SUMMARY:Offsite',
+  'DTSTART;VALUE=DATE:20261105',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+const encode = (text) => Buffer.from(text).toString('base64url');
+
+/** A message with an inline invitation, the same invitation as a file, a PDF and an image */
+const message = {
+  id: 'gmail-1',
+  payload: {
+    mimeType: 'multipart/mixed',
+    parts: [
+      {
+        mimeType: 'multipart/alternative',
+        parts: [
+          { mimeType: 'text/plain', body: { data: encode('See you there') } },
+          { mimeType: 'text/calendar', body: { data: encode(invitation) } },
+        ],
+      },
+      { mimeType: 'application/ics', filename: 'invite.ics', body: { data: encode(invitation) } },
+      {
+        mimeType: 'application/pdf',
+        filename: 'agenda.pdf',
+        body: { attachmentId: 'att-1', size: 2048 },
+      },
+      { mimeType: 'image/png', filename: 'logo.png', body: { attachmentId: 'att-2', size: 10 } },
+    ],
+  },
+};
+
+describe('emailAttachments', () => {
+  const gmail = { users: { messages: { attachments: { get: jest.fn() } } } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.RAG_API_URL = 'http://rag:8000';
+    gmail.users.messages.attachments.get.mockResolvedValue({ data: { data: encode('%PDF-1.7') } });
+    parseText.mockResolvedValue({ text: '  Agenda:\n\n1. Budget\n2. Hiring  ' });
+  });
+
+  afterAll(() => {
+    delete process.env.RAG_API_URL;
+  });
+
+  it('reads invitation events once and document excerpts', async () => {
+    const result = await extractEmailAttachments(gmail, user, message);
+
+    expect(result.events).toEqual([
+      {
+        uid: 'sync@example.com',
+        summary: 'Project sync',
+        start: '2026-10-22T10:00:00.000+02:00',
+        end: '2026-10-22T11:00:00.000+02:00',
+        allDay: false,
+        location: 'Room 4',
+        organizer: 'Jane Doe',
+        method: 'REQUEST',
+      },
+      {
+        uid: 'offsite@example.com',
+        summary: 'Offsite',
+        start: '2026-11-05',
+        end: null,
+        allDay: true,
+        location: null,
+        organizer: null,
+        method: 'REQUEST',
+      },
+    ]);
+    expect(result.attachments).toEqual([
+      {
+        filename: 'agenda.pdf',
+        mimeType: 'application/pdf',
+        excerpt: 'Agenda: 1. Budget 2. Hiring',
+      },
+    ]);
+    expect(gmail.users.messages.attachments.get).toHaveBeenCalledTimes(1);
+    expect(gmail.users.messages.attachments.get).toHaveBeenCalledWith({
+      userId: 'me',
+      messageId: 'gmail-1',
+      id: 'att-1',
+    });
+    expect(parseText).toHaveBeenCalledWith(
+      expect.objectContaining({
+        req: { user: { id: 'user-1' } },
+        file: expect.objectContaining({ mimetype: 'application/pdf', originalname: 'agenda.pdf' }),
+      }),
+    );
+  });
+
+  it('keeps excerpts short and leaves out documents it cannot read', async () => {
+    parseText.mockResolvedValueOnce({ text: 'word '.repeat(1000) });
+    let result = await extractEmailAttachments(gmail, user, message);
+    expect(result.attachments[0].excerpt).toHaveLength(EXCERPT_LENGTH);
+    expect(result.attachments[0].excerpt.endsWith('…')).toBe(true);
+
+    parseText.mockResolvedValueOnce({ text: '%PDF-1.7 binary' });
+    result = await extractEmailAttachments(gmail, user, message);
+    expect(result.attachments).toEqual([]);
+
+    parseText.mockRejectedValueOnce(new Error('RAG API unavailable'));
+    result = await extractEmailAttachments(gmail, user, message);
+    expect(result.attachments).toEqual([]);
+    expect(result.events).toHaveLength(2);
+    expect(logger.warn).toHaveBeenCalled();
+
+    delete process.env.RAG_API_URL;
+    result = await extractEmailAttachments(gmail, user, message);
+    expect(result.attachments).toEqual([]);
+    expect(gmail.users.messages.attachments.get).toHaveBeenCalledTimes(4);
+  });
+
+  it('only reads invitations when documents are not wanted', async () => {
+    const result = await extractEmailAttachments(gmail, user, message, { documents: false });
+
+    expect(result.events).toHaveLength(2);
+    expect(result.attachments).toEqual([]);
+    expect(gmail.users.messages.attachments.get).not.toHaveBeenCalled();
+  });
+
+  it('renders events and excerpts as lines', () => {
+    expect(
+      formatEmailAttachments({
+        events: [
+          {
+            summary: 'Project sync',
+            start: '2026-10-22T10:00:00.000+02:00',
+            end: '2026-10-22T11:00:00.000+02:00',
+            location: 'Room 4',
+            organizer: 'Jane Doe',
+            method: 'REQUEST',
+          },
+          { summary: 'Old slot', start: '2026-10-21', method: 'CANCEL' },
+        ],
+        attachments: [{ filename: 'agenda.pdf', excerpt: 'Agenda: 1. Budget' }],
+      }),
+    ).toEqual([
+      'Proposed event: Project sync, 2026-10-22T10:00:00.000+02:00 to 2026-10-22T11:00:00.000+02:00 @ Room 4 (organized by Jane Doe)',
+      'Cancelled event: Old slot, 2026-10-21',
+      'Attachment agenda.pdf: Agenda: 1. Budget',
+    ]);
+    expect(formatEmailAttachments({})).toEqual([]);
+  });
+});
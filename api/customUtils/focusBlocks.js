@@ -0,0 +1,225 @@
+const { google } = require('googleapis');
+const { DateTime } = require('luxon');
+const { logger } = require('@librechat/data-schemas');
+const { getGoogleAuthClient, handleGoogleError } = require('~/customUtils/googleAuth');
+const { getUserIntegration } = require('~/server/services/IntegrationService');
+
+/**
+ * Focus blocks are Google Calendar events on the user's primary calendar that reserve time for a
+ * task. The task they belong to is stored in the event's private extended properties, which works
+ * for every task provider and lets changed or deleted tasks find their blocks again.
+ */
+
+const FOCUS_BLOCK_CALENDAR = 'primary';
+const FOCUS_BLOCK_PROPERTY = 'librechatFocusBlock';
+
+/**
+ * @typedef {Object} FocusBlockChange
+ * @property {string} taskId
+ * @property {string} provider - Name of the task provider the task id belongs to.
+ * @property {boolean} [deleted]
+ * @property {string} [name]
+ * @property {boolean} [completed]
+ * @property {DateTime | null} [start]
+ * @property {number | null} [duration] - Minutes.
+ */
+
+/**
+ * @param {IUser | string} user
+ */
+async function getCalendarClient(user) {
+  const auth = await getGoogleAuthClient(user);
+  return google.calendar({ version: 'v3', auth });
+}
+
+/**
+ * Rethrows Google errors with a hint when the grant lacks calendar write access,
+ * which connections made before focus blocks existed do.
+ * @param {IUser | string} user
+ * @param {Error & { code?: number }} error
+ */
+async function rethrowGoogleError(user, error) {
+  await handleGoogleError(user, error);
+  if (error?.code === 403 || error?.response?.status === 403) {
+    throw new Error(
+      'Google Calendar write access is missing; reconnect Google under Settings > Integrations',
+    );
+  }
+  throw error;
+}
+
+/**
+ * Returns the busy intervals of every calendar the user can see, from Calendar free/busy.
+ * @param {IUser | string} user
+ * @param {Object} params
+ * @param {DateTime} params.from
+ * @param {DateTime} params.to
+ * @returns {Promise<Array<{ start: DateTime, end: DateTime }>>}
+ */
+async function getBusyIntervals(user, { from, to }) {
+  try {
+    const calendar = await getCalendarClient(user);
+    const { data: calendarList } = await calendar.calendarList.list();
+    const items = (calendarList.items ?? []).map((entry) => ({ id: entry.id }));
+    if (items.length === 0) {
+      return [];
+    }
+    const { data } = await calendar.freebusy.query({
+      requestBody: { timeMin: from.toISO(), timeMax: to.toISO(), items },
+    });
+    return Object.values(data.calendars ?? {}).flatMap((entry) =>
+      (entry.busy ?? []).map(({ start, end }) => ({
+        start: DateTime.fromISO(start),
+        end: DateTime.fromISO(end),
+      })),
+    );
+  } catch (error) {
+    return rethrowGoogleError(user, error);
+  }
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {DateTime} params.start
+ * @param {number} params.duration
+ */
+function buildEventTimes({ name, start, duration }) {
+  return {
+    summary: `Focus: ${name}`,
+    start: { dateTime: start.toISO(), timeZone: start.zoneName },
+    end: { dateTime: start.plus({ minutes: duration }).toISO(), timeZone: start.zoneName },
+  };
+}
+
+/**
+ * @param {string | undefined} a
+ * @param {string} b
+ */
+const isSameInstant = (a, b) =>
+  a != null && DateTime.fromISO(a).toMillis() === DateTime.fromISO(b).toMillis();
+
+/**
+ * Creates a focus block for a scheduled task.
+ * @param {IUser | string} user
+ * @param {Object} params
+ * @param {string} params.taskId
+ * @param {string} params.provider
+ * @param {string} params.name
+ * @param {DateTime} params.start
+ * @param {number} params.duration
+ * @returns {Promise<string>} The event id.
+ */
+async function createFocusBlock(user, { taskId, provider, name, start, duration }) {
+  try {
+    const calendar = await getCalendarClient(user);
+    const { data } = await calendar.events.insert({
+      calendarId: FOCUS_BLOCK_CALENDAR,
+      requestBody: {
+        ...buildEventTimes({ name, start, duration }),
+        description: 'Time blocked for this task by LibreChat.',
+        transparency: 'opaque',
+        extendedProperties: {
+          private: { [FOCUS_BLOCK_PROPERTY]: 'true', taskId, taskProvider: provider },
+        },
+      },
+    });
+    return data.id;
+  } catch (error) {
+    return rethrowGoogleError(user, error);
+  }
+}
+
+/**
+ * Lists the focus block changes implied by a task diff applied through a task provider.
+ * @param {TaskProvider} provider
+ * @param {TaskDiff} diff
+ * @returns {FocusBlockChange[]}
+ */
+function getFocusBlockChanges(provider, diff) {
+  const changes = [...diff.tasks.update, ...diff.tasks.complete]
+    .filter(({ before }) => before.id)
+    .map(({ before, after }) => ({
+      taskId: before.id,
+      provider: provider.name,
+      name: after.name,
+      completed: !!after.completed,
+      start: provider.getDueDateTime(after),
+      duration: after.duration ?? null,
+    }));
+  for (const { task } of diff.tasks.delete) {
+    if (task.id) {
+      changes.push({ taskId: task.id, provider: provider.name, deleted: true });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Updates or removes the upcoming focus blocks of changed tasks. Blocks of deleted or completed
+ * tasks, and of tasks that lost their time or duration, are removed; the others follow the
+ * task's name, time and duration. Past blocks are left as a record of the time spent.
+ * Does nothing when Google is not connected.
+ * @param {IUser | string} user
+ * @param {FocusBlockChange[]} changes
+ * @returns {Promise<void>}
+ */
+async function syncFocusBlocks(user, changes) {
+  if (changes.length === 0) {
+    return;
+  }
+  const integration = await getUserIntegration(user, 'google');
+  if (!integration || integration.status === 'expired') {
+    return;
+  }
+
+  try {
+    const calendar = await getCalendarClient(user);
+    const { data } = await calendar.events.list({
+      calendarId: FOCUS_BLOCK_CALENDAR,
+      privateExtendedProperty: [`${FOCUS_BLOCK_PROPERTY}=true`],
+      timeMin: DateTime.now().toISO(),
+      singleEvents: true,
+      maxResults: 250,
+    });
+
+    for (const event of data.items ?? []) {
+      const { taskId, taskProvider } = event.extendedProperties?.private ?? {};
+      const change = changes.find(
+        (candidate) => candidate.taskId === taskId && candidate.provider === taskProvider,
+      );
+      if (!change) {
+        continue;
+      }
+
+      const keep = !change.deleted && !change.completed && change.start && change.duration > 0;
+      if (!keep) {
+        await calendar.events.delete({ calendarId: FOCUS_BLOCK_CALENDAR, eventId: event.id });
+        continue;
+      }
+
+      const times = buildEventTimes(change);
+      const unchanged =
+        event.summary === times.summary &&
+        isSameInstant(event.start?.dateTime, times.start.dateTime) &&
+        isSameInstant(event.end?.dateTime, times.end.dateTime);
+      if (!unchanged) {
+        await calendar.events.patch({
+          calendarId: FOCUS_BLOCK_CALENDAR,
+          eventId: event.id,
+          requestBody: times,
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('[syncFocusBlocks] Could not update focus blocks', error);
+    await handleGoogleError(user, error);
+  }
+}
+
+module.exports = {
+  getBusyIntervals,
+  createFocusBlock,
+  syncFocusBlocks,
+  getFocusBlockChanges,
+};
@@ -0,0 +1,143 @@
+const { DateTime } = require('luxon');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const mockCalendar = {
+  calendarList: { list: jest.fn() },
+  freebusy: { query: jest.fn() },
+  events: { list: jest.fn(), insert: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+};
+jest.mock('googleapis', () => ({ google: { calendar: () => mockCalendar } }));
+jest.mock('~/customUtils/googleAuth', () => ({
+  getGoogleAuthClient: jest.fn(async () => ({})),
+  handleGoogleError: jest.fn(),
+}));
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserIntegration: jest.fn(async () => ({ status: 'active' })),
+}));
+
+const { getUserIntegration } = require('~/server/services/IntegrationService');
+const { getBusyIntervals, createFocusBlock, syncFocusBlocks } = require('./focusBlocks');
+
+const user = { id: 'user-1' };
+const start = DateTime.fromISO('2025-12-19T10:00', { zone: 'America/New_York' });
+
+const block = (id, taskId, startTime = '2025-12-19T10:00:00-05:00') => ({
+  id,
+  summary: 'Focus: Write report',
+  start: { dateTime: startTime },
+  end: { dateTime: DateTime.fromISO(startTime).plus({ hours: 1 }).toISO() },
+  extendedProperties: { private: { librechatFocusBlock: 'true', taskId, taskProvider: 'local' } },
+});
+
+describe('focusBlocks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reads busy time from every calendar', async () => {
+    mockCalendar.calendarList.list.mockResolvedValue({
+      data: { items: [{ id: 'primary' }, { id: 'team' }] },
+    });
+    mockCalendar.freebusy.query.mockResolvedValue({
+      data: {
+        calendars: {
+          primary: { busy: [{ start: '2025-12-19T15:00:00Z', end: '2025-12-19T16:00:00Z' }] },
+          team: { busy: [] },
+        },
+      },
+    });
+
+    const busy = await getBusyIntervals(user, { from: start, to: start.plus({ days: 1 }) });
+
+    expect(mockCalendar.freebusy.query).toHaveBeenCalledWith({
+      requestBody: expect.objectContaining({ items: [{ id: 'primary' }, { id: 'team' }] }),
+    });
+    expect(busy).toHaveLength(1);
+    expect(busy[0].start.toMillis()).toBe(start.toMillis());
+  });
+
+  it('links created blocks to their task', async () => {
+    mockCalendar.events.insert.mockResolvedValue({ data: { id: 'event-1' } });
+
+    const id = await createFocusBlock(user, {
+      taskId: 't1',
+      provider: 'local',
+      name: 'Write report',
+      start,
+      duration: 60,
+    });
+
+    expect(id).toBe('event-1');
+    expect(mockCalendar.events.insert).toHaveBeenCalledWith({
+      calendarId: 'primary',
+      requestBody: expect.objectContaining({
+        summary: 'Focus: Write report',
+        end: { dateTime: start.plus({ hours: 1 }).toISO(), timeZone: 'America/New_York' },
+        extendedProperties: {
+          private: { librechatFocusBlock: 'true', taskId: 't1', taskProvider: 'local' },
+        },
+      }),
+    });
+  });
+
+  it('explains missing calendar write access', async () => {
+    mockCalendar.events.insert.mockRejectedValue(
+      Object.assign(new Error('Forbidden'), { code: 403 }),
+    );
+
+    await expect(
+      createFocusBlock(user, { taskId: 't1', provider: 'local', name: 'x', start, duration: 30 }),
+    ).rejects.toThrow('reconnect Google');
+  });
+
+  it('moves, keeps and removes the blocks of changed tasks', async () => {
+    mockCalendar.events.list.mockResolvedValue({
+      data: { items: [block('e1', 't1'), block('e2', 't2'), block('e3', 't3'), block('e4', 't4')] },
+    });
+
+    await syncFocusBlocks(user, [
+      {
+        taskId: 't1',
+        provider: 'local',
+        name: 'Write report',
+        start: start.plus({ hours: 2 }),
+        duration: 60,
+      },
+      { taskId: 't2', provider: 'local', name: 'Write report', start, duration: 60 },
+      { taskId: 't3', provider: 'local', deleted: true },
+      {
+        taskId: 't4',
+        provider: 'local',
+        name: 'Write report',
+        completed: true,
+        start,
+        duration: 60,
+      },
+    ]);
+
+    expect(mockCalendar.events.patch).toHaveBeenCalledTimes(1);
+    expect(mockCalendar.events.patch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        eventId: 'e1',
+        requestBody: expect.objectContaining({
+          start: { dateTime: start.plus({ hours: 2 }).toISO(), timeZone: 'America/New_York' },
+        }),
+      }),
+    );
+    expect(mockCalendar.events.delete.mock.calls.map(([params]) => params.eventId)).toEqual([
+      'e3',
+      'e4',
+    ]);
+  });
+
+  it('does nothing without a Google connection', async () => {
+    getUserIntegration.mockResolvedValueOnce(null);
+
+    await syncFocusBlocks(user, [{ taskId: 't1', provider: 'local', deleted: true }]);
+
+    expect(mockCalendar.events.list).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,391 @@
+const { DateTime } = require('luxon');
+const { google } = require('googleapis');
+const { logger } = require('@librechat/data-schemas');
+const { ContextSources } = require('librechat-data-provider');
+const { createEmailAction, getDueSnoozes, markEmailUnsnoozed } = require('~/models');
+const { getUserId } = require('~/server/services/IntegrationService');
+const { extractEmailAttachments } = require('~/customUtils/emailAttachments');
+const { getGoogleAuthClient, handleGoogleError } = require('~/customUtils/googleAuth');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+
+/**
+ * Gmail actions are proposed by the assistant as `email_action` artifacts and only run once the
+ * user confirms their preview card. Every action that runs, or fails to, is recorded in the
+ * user's email action log.
+ */
+
+const EMAIL_ACTION_TYPES = ['draft_reply', 'archive', 'label', 'mark_read', 'snooze', 'add_event'];
+
+/** What a failed action records and shows on its card; Google's own error text is only logged. */
+const ACTION_ERRORS = {
+  draft_reply: 'Could not create the draft reply',
+  archive: 'Could not archive the email',
+  label: 'Could not change the labels of the email',
+  mark_read: 'Could not mark the email as read',
+  snooze: 'Could not snooze the email',
+  add_event: 'Could not add the event to the calendar',
+};
+
+/** Label snoozed messages wait under; Gmail's own snooze is not available through its API. */
+const SNOOZE_LABEL = 'Snoozed';
+
+/** Characters of the message snippet shown on the preview card. */
+const SNIPPET_LIMIT = 300;
+
+/**
+ * @param {IUser | string} user
+ * @returns {Promise<import('googleapis').gmail_v1.Gmail>}
+ */
+async function getGmail(user) {
+  const auth = await getGoogleAuthClient(user);
+  return google.gmail({ version: 'v1', auth });
+}
+
+/**
+ * Reads the headers of a message needed to preview an action and to reply to it.
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {string} messageId
+ */
+async function getMessageHeaders(gmail, messageId) {
+  const { data: message } = await gmail.users.messages.get({
+    userId: 'me',
+    id: messageId,
+    format: 'metadata',
+    metadataHeaders: ['From', 'Reply-To', 'Subject', 'Date', 'Message-ID', 'References'],
+  });
+  const headers = message.payload?.headers ?? [];
+  const getHeader = (name) =>
+    headers.find((header) => header.name.toLowerCase() === name.toLowerCase())?.value;
+  return {
+    threadId: message.threadId ?? null,
+    labelIds: message.labelIds ?? [],
+    snippet: message.snippet ?? '',
+    from: getHeader('From') || '(Unknown)',
+    replyTo: getHeader('Reply-To'),
+    subject: getHeader('Subject') || '(No Subject)',
+    date: getHeader('Date'),
+    rfcMessageId: getHeader('Message-ID'),
+    references: getHeader('References'),
+  };
+}
+
+/**
+ * Reads the invitation of a message as the event to add to the calendar. Events without an end
+ * last an hour, or a day when they are all-day.
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {IUser} user
+ * @param {string} messageId
+ * @returns {Promise<EmailEvent>}
+ */
+async function getInvitationEvent(gmail, user, messageId) {
+  const { data: message } = await gmail.users.messages.get({
+    userId: 'me',
+    id: messageId,
+    format: 'full',
+  });
+  const { events } = await extractEmailAttachments(gmail, user, message, { documents: false });
+  const event = events.find(({ method }) => method !== 'CANCEL');
+  if (!event) {
+    throw new Error('The email has no calendar invitation');
+  }
+  if (!event.end) {
+    const start = DateTime.fromISO(event.start, { setZone: true });
+    event.end = event.allDay
+      ? start.plus({ days: 1 }).toISODate()
+      : start.plus({ hours: 1 }).toISO();
+  }
+  return event;
+}
+
+/** @param {string[] | undefined} labels */
+const cleanLabels = (labels) => [
+  ...new Set((labels ?? []).map((label) => label.trim()).filter(Boolean)),
+];
+
+/**
+ * Looks up a message and describes what an action would do to it, without changing anything.
+ * @param {IUser} user
+ * @param {Object} params
+ * @param {EmailActionType} params.type
+ * @param {string} params.messageId - Gmail message id.
+ * @param {string} [params.body] - Text of a draft reply.
+ * @param {string[]} [params.addLabels] - Label names to add.
+ * @param {string[]} [params.removeLabels] - Label names to remove.
+ * @param {Date} [params.until] - When a snoozed message returns to the inbox.
+ * An `add_event` action takes the event of the message's calendar invitation.
+ * @returns {Promise<EmailActionArtifact>} The pending action, shown as a preview card.
+ */
+async function proposeEmailAction(user, { type, messageId, body, addLabels, removeLabels, until }) {
+  if (!EMAIL_ACTION_TYPES.includes(type)) {
+    throw new Error(`Unknown email action "${type}"`);
+  }
+  const action = { status: 'pending', type, messageId };
+
+  if (type === 'draft_reply') {
+    if (!body?.trim()) {
+      throw new Error('A draft reply needs a body');
+    }
+    action.body = body.trim();
+  } else if (type === 'label') {
+    action.addLabels = cleanLabels(addLabels);
+    action.removeLabels = cleanLabels(removeLabels);
+    if (!action.addLabels.length && !action.removeLabels.length) {
+      throw new Error('Give labels to add or remove');
+    }
+  } else if (type === 'snooze') {
+    if (!(until instanceof Date) || Number.isNaN(until.getTime()) || until <= new Date()) {
+      throw new Error('A snooze needs a time in the future');
+    }
+    action.until = until.toISOString();
+  }
+
+  try {
+    const gmail = await getGmail(user);
+    const message = await getMessageHeaders(gmail, messageId);
+    Object.assign(action, {
+      threadId: message.threadId,
+      from: message.from,
+      subject: message.subject,
+      date: message.date,
+      snippet: message.snippet.slice(0, SNIPPET_LIMIT),
+    });
+    if (type === 'draft_reply') {
+      action.to = message.replyTo || message.from;
+    } else if (type === 'add_event') {
+      action.event = await getInvitationEvent(gmail, user, messageId);
+    }
+    return action;
+  } catch (error) {
+    await handleGoogleError(user, error);
+    throw error;
+  }
+}
+
+/**
+ * Removes line breaks from a header value, so it cannot add headers of its own.
+ * Non-ASCII values are encoded as an RFC 2047 encoded-word.
+ * @param {string} value
+ */
+function encodeHeader(value) {
+  const line = value.replace(/[\r\n]+/g, ' ');
+  // eslint-disable-next-line no-control-regex
+  if (/^[\x00-\x7F]*$/.test(line)) {
+    return line;
+  }
+  return `=?UTF-8?B?${Buffer.from(line).toString('base64')}?=`;
+}
+
+/**
+ * Builds the raw RFC 2822 reply to a message, threaded under it.
+ * @param {Awaited<ReturnType<typeof getMessageHeaders>>} message
+ * @param {{ to: string, body: string }} reply
+ * @returns {string} The reply, base64url encoded for the Gmail API.
+ */
+function buildReply(message, { to, body }) {
+  const subject = /^re:/i.test(message.subject) ? message.subject : `Re: ${message.subject}`;
+  const headers = [`To: ${encodeHeader(to)}`, `Subject: ${encodeHeader(subject)}`];
+  if (message.rfcMessageId) {
+    const references = [message.references, message.rfcMessageId].filter(Boolean).join(' ');
+    headers.push(
+      `In-Reply-To: ${encodeHeader(message.rfcMessageId)}`,
+      `References: ${encodeHeader(references)}`,
+    );
+  }
+  headers.push(
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset="UTF-8"',
+    'Content-Transfer-Encoding: base64',
+  );
+  const encodedBody = Buffer.from(body).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return Buffer.from(`${headers.join('\r\n')}\r\n\r\n${encodedBody}`).toString('base64url');
+}
+
+/**
+ * Resolves label names to Gmail label ids, matching names case-insensitively. System labels such
+ * as `STARRED` match by their id.
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {string[]} names
+ * @param {boolean} create - Whether missing labels are created; otherwise they are skipped.
+ * @returns {Promise<string[]>}
+ */
+async function getLabelIds(gmail, names, create) {
+  if (!names.length) {
+    return [];
+  }
+  const { data } = await gmail.users.labels.list({ userId: 'me' });
+  const labels = data.labels ?? [];
+  const ids = [];
+  for (const name of names) {
+    const key = name.toLowerCase();
+    const label = labels.find(
+      (candidate) => candidate.name?.toLowerCase() === key || candidate.id?.toLowerCase() === key,
+    );
+    if (label) {
+      ids.push(label.id);
+    } else if (create) {
+      const { data: created } = await gmail.users.labels.create({
+        userId: 'me',
+        requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' },
+      });
+      labels.push(created);
+      ids.push(created.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {string} messageId
+ * @param {{ addLabelIds?: string[], removeLabelIds?: string[] }} changes
+ */
+const modifyMessage = (gmail, messageId, changes) =>
+  gmail.users.messages.modify({ userId: 'me', id: messageId, requestBody: changes });
+
+/**
+ * @param {string} value - ISO date-time, or ISO date for all-day events.
+ * @param {boolean} allDay
+ * @returns {import('googleapis').calendar_v3.Schema$EventDateTime}
+ */
+const toEventTime = (value, allDay) => (allDay ? { date: value } : { dateTime: value });
+
+/**
+ * Imports an invitation event into the user's primary calendar as a private copy; importing the
+ * same invitation again updates that copy instead of adding another one.
+ * @param {IUser} user
+ * @param {EmailEvent} event
+ */
+async function addCalendarEvent(user, event) {
+  const auth = await getGoogleAuthClient(user);
+  const calendar = google.calendar({ version: 'v3', auth });
+  await calendar.events.import({
+    calendarId: 'primary',
+    requestBody: {
+      iCalUID: event.uid,
+      summary: event.summary,
+      location: event.location ?? undefined,
+      start: toEventTime(event.start, event.allDay),
+      end: toEventTime(event.end ?? event.start, event.allDay),
+    },
+  });
+  await invalidateContextSnapshots(user, [ContextSources.calendar]);
+}
+
+/**
+ * Runs a confirmed action in Gmail and records it in the user's email action log, also when it
+ * fails.
+ * @param {IUser} user
+ * @param {EmailActionArtifact} action
+ * @param {Object} [options]
+ * @param {string} [options.conversationId] - Conversation the action was proposed in.
+ * @param {string} [options.responseMessageId] - Message the action was proposed on.
+ * @returns {Promise<{ ok: boolean, error?: string, audit: IEmailActionLean }>}
+ */
+async function runEmailAction(user, action, { conversationId, responseMessageId } = {}) {
+  const { type, messageId } = action;
+  const entry = {
+    userId: getUserId(user),
+    type,
+    messageId,
+    threadId: action.threadId ?? null,
+    from: action.from ?? null,
+    subject: action.subject ?? null,
+    details: {},
+    conversationId: conversationId ?? null,
+    responseMessageId: responseMessageId ?? null,
+  };
+
+  try {
+    const gmail = await getGmail(user);
+    if (type === 'draft_reply') {
+      const message = await getMessageHeaders(gmail, messageId);
+      const { data: draft } = await gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: {
+          message: { raw: buildReply(message, action), threadId: message.threadId },
+        },
+      });
+      entry.details = { body: action.body };
+      entry.draftId = draft.id ?? null;
+    } else if (type === 'archive') {
+      await modifyMessage(gmail, messageId, { removeLabelIds: ['INBOX'] });
+    } else if (type === 'mark_read') {
+      await modifyMessage(gmail, messageId, { removeLabelIds: ['UNREAD'] });
+    } else if (type === 'label') {
+      const addLabels = action.addLabels ?? [];
+      const removeLabels = action.removeLabels ?? [];
+      await modifyMessage(gmail, messageId, {
+        addLabelIds: await getLabelIds(gmail, addLabels, true),
+        removeLabelIds: await getLabelIds(gmail, removeLabels, false),
+      });
+      entry.details = { addLabels, removeLabels };
+    } else if (type === 'snooze') {
+      await modifyMessage(gmail, messageId, {
+        addLabelIds: await getLabelIds(gmail, [SNOOZE_LABEL], true),
+        removeLabelIds: ['INBOX'],
+      });
+      entry.snoozedUntil = new Date(action.until);
+    } else if (type === 'add_event') {
+      if (!action.event) {
+        throw new Error('The action has no event to add');
+      }
+      await addCalendarEvent(user, action.event);
+      entry.details = { event: action.event };
+    } else {
+      throw new Error(`Unknown email action "${type}"`);
+    }
+
+    const audit = await createEmailAction({ ...entry, status: 'applied' });
+    return { ok: true, audit };
+  } catch (error) {
+    logger.error(`[runEmailAction] Could not ${type} message ${messageId}`, error);
+    await handleGoogleError(user, error);
+    const message = ACTION_ERRORS[type] ?? 'Could not run the email action';
+    const audit = await createEmailAction({ ...entry, status: 'error', error: message });
+    return { ok: false, error: message, audit };
+  }
+}
+
+/** @param {Error & { code?: number, response?: { status?: number } }} error */
+const isNotFound = (error) => error?.code === 404 || error?.response?.status === 404;
+
+/**
+ * Moves the user's snoozed messages that are due back to the inbox, marked unread.
+ * Messages deleted meanwhile are skipped.
+ * @param {IUser | string} user
+ * @returns {Promise<number>} The number of messages returned.
+ */
+async function returnSnoozedEmails(user) {
+  const snoozes = await getDueSnoozes({ userId: getUserId(user) });
+  if (!snoozes.length) {
+    return 0;
+  }
+
+  const gmail = await getGmail(user);
+  const snoozeLabelIds = await getLabelIds(gmail, [SNOOZE_LABEL], false);
+  let returned = 0;
+  for (const snooze of snoozes) {
+    try {
+      await modifyMessage(gmail, snooze.messageId, {
+        addLabelIds: ['INBOX', 'UNREAD'],
+        removeLabelIds: snoozeLabelIds,
+      });
+      returned++;
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+    }
+    await markEmailUnsnoozed(snooze._id);
+  }
+  return returned;
+}
+
+module.exports = {
+  EMAIL_ACTION_TYPES,
+  SNOOZE_LABEL,
+  buildReply,
+  proposeEmailAction,
+  runEmailAction,
+  returnSnoozedEmails,
+};
@@ -0,0 +1,279 @@
+const mockGmail = {
+  users: {
+    messages: { get: jest.fn(), modify: jest.fn() },
+    drafts: { create: jest.fn() },
+    labels: { list: jest.fn(), create: jest.fn() },
+  },
+};
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const mockCalendar = { events: { import: jest.fn() } };
+
+jest.mock('googleapis', () => ({
+  google: { gmail: () => mockGmail, calendar: () => mockCalendar },
+}));
+
+jest.mock('~/models', () => ({
+  createEmailAction: jest.fn(async (entry) => ({ _id: 'audit-1', ...entry })),
+  getDueSnoozes: jest.fn(),
+  markEmailUnsnoozed: jest.fn(),
+}));
+
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserId: (user) => (typeof user === 'string' ? user : user?.id),
+}));
+
+jest.mock('~/customUtils/googleAuth', () => ({
+  getGoogleAuthClient: jest.fn(async () => ({})),
+  handleGoogleError: jest.fn(),
+}));
+
+jest.mock('~/customUtils/emailAttachments', () => ({
+  extractEmailAttachments: jest.fn(),
+}));
+
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+
+const models = require('~/models');
+const { extractEmailAttachments } = require('~/customUtils/emailAttachments');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { handleGoogleError } = require('~/customUtils/googleAuth');
+const { proposeEmailAction, runEmailAction, returnSnoozedEmails } = require('./gmailActions');
+
+const user = { id: 'user-1' };
+
+const metadata = {
+  data: {
+    id: 'gmail-1',
+    threadId: 'thread-1',
+    snippet: 'Please find the invoice attached',
+    labelIds: ['INBOX', 'UNREAD'],
+    payload: {
+      headers: [
+        { name: 'From', value: 'John Doe <john@example.com>' },
+        { name: 'Subject', value: 'Invoice' },
+        { name: 'Date', value: 'Tue, 23 Dec 2025 10:00:00 -0500' },
+        { name: 'Message-Id', value: '<abc@example.com>' },
+      ],
+    },
+  },
+};
+
+describe('gmailActions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGmail.users.messages.get.mockResolvedValue(metadata);
+    mockGmail.users.labels.list.mockResolvedValue({
+      data: {
+        labels: [
+          { id: 'STARRED', name: 'STARRED' },
+          { id: 'Label_1', name: 'Finance' },
+        ],
+      },
+    });
+  });
+
+  it('previews an action from the message headers without changing Gmail', async () => {
+    const action = await proposeEmailAction(user, {
+      type: 'draft_reply',
+      messageId: 'gmail-1',
+      body: ' Thanks, paid today. ',
+    });
+
+    expect(action).toEqual({
+      status: 'pending',
+      type: 'draft_reply',
+      messageId: 'gmail-1',
+      threadId: 'thread-1',
+      from: 'John Doe <john@example.com>',
+      to: 'John Doe <john@example.com>',
+      subject: 'Invoice',
+      date: 'Tue, 23 Dec 2025 10:00:00 -0500',
+      snippet: 'Please find the invoice attached',
+      body: 'Thanks, paid today.',
+    });
+    expect(mockGmail.users.messages.modify).not.toHaveBeenCalled();
+    expect(mockGmail.users.drafts.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects incomplete proposals', async () => {
+    await expect(
+      proposeEmailAction(user, { type: 'draft_reply', messageId: 'gmail-1' }),
+    ).rejects.toThrow('A draft reply needs a body');
+    await expect(proposeEmailAction(user, { type: 'label', messageId: 'gmail-1' })).rejects.toThrow(
+      'Give labels to add or remove',
+    );
+    await expect(
+      proposeEmailAction(user, { type: 'snooze', messageId: 'gmail-1', until: new Date(0) }),
+    ).rejects.toThrow('A snooze needs a time in the future');
+  });
+
+  it('creates a threaded draft reply and records it', async () => {
+    mockGmail.users.drafts.create.mockResolvedValue({ data: { id: 'draft-1' } });
+
+    const result = await runEmailAction(
+      user,
+      { type: 'draft_reply', messageId: 'gmail-1', to: 'john@example.com', body: 'Thanks!' },
+      { conversationId: 'convo-1', responseMessageId: 'msg-1' },
+    );
+
+    expect(result.ok).toBe(true);
+    const { requestBody } = mockGmail.users.drafts.create.mock.calls[0][0];
+    expect(requestBody.message.threadId).toBe('thread-1');
+    const raw = Buffer.from(requestBody.message.raw, 'base64url').toString();
+    expect(raw).toContain('To: john@example.com\r\nSubject: Re: Invoice\r\n');
+    expect(raw).toContain('In-Reply-To: <abc@example.com>\r\nReferences: <abc@example.com>\r\n');
+    expect(raw).toContain(Buffer.from('Thanks!').toString('base64'));
+    expect(models.createEmailAction).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: 'user-1',
+        type: 'draft_reply',
+        status: 'applied',
+        draftId: 'draft-1',
+        details: { body: 'Thanks!' },
+        conversationId: 'convo-1',
+        responseMessageId: 'msg-1',
+      }),
+    );
+  });
+
+  it('adds and removes labels by name, creating missing ones', async () => {
+    mockGmail.users.labels.create.mockResolvedValue({ data: { id: 'Label_2', name: 'Travel' } });
+
+    await runEmailAction(user, {
+      type: 'label',
+      messageId: 'gmail-1',
+      addLabels: ['finance', 'Travel'],
+      removeLabels: ['starred', 'Unknown'],
+    });
+
+    expect(mockGmail.users.labels.create).toHaveBeenCalledTimes(1);
+    expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+      userId: 'me',
+      id: 'gmail-1',
+      requestBody: { addLabelIds: ['Label_1', 'Label_2'], removeLabelIds: ['STARRED'] },
+    });
+  });
+
+  it('snoozes by moving the message out of the inbox until it is due', async () => {
+    mockGmail.users.labels.create.mockResolvedValue({ data: { id: 'Label_9', name: 'Snoozed' } });
+    const until = '2025-12-24T14:00:00.000Z';
+
+    await runEmailAction(user, { type: 'snooze', messageId: 'gmail-1', until });
+
+    expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+      userId: 'me',
+      id: 'gmail-1',
+      requestBody: { addLabelIds: ['Label_9'], removeLabelIds: ['INBOX'] },
+    });
+    expect(models.createEmailAction).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'snooze', snoozedUntil: new Date(until) }),
+    );
+  });
+
+  it('proposes the event of a calendar invitation, giving it an end', async () => {
+    extractEmailAttachments.mockResolvedValue({
+      attachments: [],
+      events: [
+        { uid: 'old@example.com', summary: 'Old slot', method: 'CANCEL' },
+        {
+          uid: 'sync@example.com',
+          summary: 'Project sync',
+          start: '2025-12-29T10:00:00.000-05:00',
+          end: null,
+          allDay: false,
+          method: 'REQUEST',
+        },
+      ],
+    });
+
+    const action = await proposeEmailAction(user, { type: 'add_event', messageId: 'gmail-1' });
+
+    expect(extractEmailAttachments).toHaveBeenCalledWith(mockGmail, user, metadata.data, {
+      documents: false,
+    });
+    expect(action.event).toEqual(
+      expect.objectContaining({
+        uid: 'sync@example.com',
+        start: '2025-12-29T10:00:00.000-05:00',
+        end: '2025-12-29T11:00:00.000-05:00',
+      }),
+    );
+
+    extractEmailAttachments.mockResolvedValue({ attachments: [], events: [] });
+    await expect(
+      proposeEmailAction(user, { type: 'add_event', messageId: 'gmail-1' }),
+    ).rejects.toThrow('no calendar invitation');
+  });
+
+  it('imports a confirmed invitation event into the primary calendar', async () => {
+    const event = {
+      uid: 'offsite@example.com',
+      summary: 'Offsite',
+      start: '2026-01-05',
+      end: '2026-01-07',
+      allDay: true,
+      location: 'Lisbon',
+    };
+
+    const result = await runEmailAction(user, { type: 'add_event', messageId: 'gmail-1', event });
+
+    expect(result.ok).toBe(true);
+    expect(mockCalendar.events.import).toHaveBeenCalledWith({
+      calendarId: 'primary',
+      requestBody: {
+        iCalUID: 'offsite@example.com',
+        summary: 'Offsite',
+        location: 'Lisbon',
+        start: { date: '2026-01-05' },
+        end: { date: '2026-01-07' },
+      },
+    });
+    expect(invalidateContextSnapshots).toHaveBeenCalledWith(user, ['calendar']);
+    expect(models.createEmailAction).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'add_event', status: 'applied', details: { event } }),
+    );
+  });
+
+  it('records failed actions in the audit log', async () => {
+    const error = Object.assign(new Error('Insufficient Permission'), { code: 403 });
+    mockGmail.users.messages.modify.mockRejectedValue(error);
+
+    const result = await runEmailAction(user, { type: 'archive', messageId: 'gmail-1' });
+
+    expect(result).toEqual(
+      expect.objectContaining({ ok: false, error: 'Could not archive the email' }),
+    );
+    expect(handleGoogleError).toHaveBeenCalledWith(user, error);
+    expect(models.createEmailAction).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'error', error: 'Could not archive the email' }),
+    );
+  });
+
+  it('returns due snoozes to the inbox, skipping deleted messages', async () => {
+    mockGmail.users.labels.list.mockResolvedValue({
+      data: { labels: [{ id: 'Label_9', name: 'Snoozed' }] },
+    });
+    models.getDueSnoozes.mockResolvedValue([
+      { _id: 'a1', messageId: 'gmail-1' },
+      { _id: 'a2', messageId: 'gone' },
+    ]);
+    mockGmail.users.messages.modify
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error('Not Found'), { code: 404 }));
+
+    expect(await returnSnoozedEmails('user-1')).toBe(1);
+    expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+      userId: 'me',
+      id: 'gmail-1',
+      requestBody: { addLabelIds: ['INBOX', 'UNREAD'], removeLabelIds: ['Label_9'] },
+    });
+    expect(models.markEmailUnsnoozed).toHaveBeenCalledWith('a1');
+    expect(models.markEmailUnsnoozed).toHaveBeenCalledWith('a2');
+  });
+});
@@ -1,58 +1,81 @@
-require('dotenv').config();
+const pLimit = require('p-limit');
+const { DateTime } = require('luxon');
 const { google } = require('googleapis');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { logger } = require('@librechat/data-schemas');
+const {
+  Time,
+  ContextSources,
+  getUserDateSettings,
+  StructuredOutputPurposes,
+} = require('librechat-data-provider');
+const {
+  addEmails,
+  getEmailSync,
+  updateEmailSync,
+  saveEmailSummary,
+  getEmailSummaries,
+  recordEmailFailure,
+  getEmailsToSummarize,
+} = require('~/models');
 const { emailToMarkdown } = require('~/customUtils/htmlToMd');
-const mongoose = require('mongoose');
-const pLimit = require('p-limit');
-
-const GOOGLE_API_KEY = process.env.GOOGLE_KEY;
-
-const EmailSchema = new mongoose.Schema({
-  messageId: { type: String, unique: true, required: true },
-  threadId: String,
-  from: String,
-  date: String,
-  subject: String,
-  summary: String,
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-}, { strict: false });
-
-const Email = mongoose.models.Email || mongoose.model('Email', EmailSchema);
-
-async function summarizeEmail(text) {
-  const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
+const { rankByRelevance } = require('~/customUtils/relevance');
+const { quarantine, isSuspicious, escapeUntrusted } = require('~/customUtils/untrustedContent');
+const { formatTaskDate } = require('~/customUtils/taskModels');
+const {
+  extractEmailAttachments,
+  formatEmailAttachments,
+} = require('~/customUtils/emailAttachments');
+const { getUserId } = require('~/server/services/IntegrationService');
+const { getGoogleAuthClient, handleGoogleError } = require('~/customUtils/googleAuth');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { generateStructuredOutput } = require('~/server/services/StructuredOutputService');
+
+/** Messages considered on a full sync, and the window summaries are added to the context from. */
+const SYNC_QUERY = 'newer_than:30d (label:INBOX OR label:SENT OR has:userlabels)';
+const SYNC_WINDOW = 30 * Time.ONE_DAY;
+
+/** Summaries are attempted this many times, waiting twice as long after every failure. */
+const MAX_SUMMARY_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = Time.FIVE_MINUTES;
+const RETRY_MAX_DELAY = Time.ONE_DAY;
+
+/** Summaries generated per sync; the rest wait for the next run. */
+const SUMMARY_BATCH_SIZE = 100;
+const CONCURRENCY_LIMIT = 5;
+
+/** Opens a thread in Gmail's web app when followed by its thread id. */
+const GMAIL_THREAD_URL = 'https://mail.google.com/mail/#all/';
+
+/** Characters of each email body returned by a search. */
+const SEARCH_BODY_LIMIT = 8000;
+
+const SUMMARY_INSTRUCTIONS =
+  'Condense the email: distill, concise, info-dense, phrases, word soup, as short as possible, no complete sentences, no newlines, ensure all datetimes names actions meanings are clear, result should be understandable without external context, use abbreviations.';
+
+const summarySchema = {
+  type: 'object',
+  properties: { summary: { type: 'string' } },
+  required: ['summary'],
+};
+
+/**
+ * Condenses an email with the model configured for email summaries under `structuredOutput`.
+ * @param {string} text
+ * @param {string} userId - The user the tokens are recorded for.
+ * @returns {Promise<string | false>} `false` for an empty email.
+ */
+async function summarizeEmail(text, userId) {
   if (!text || text.trim().length === 0) {
     return false;
   }
-  var prompt = 'email condense,distill,concise,info-dense,phrases,word soup,as short as possible,no complete sentences,no newlines,ensure all datetimes names actions meanings are clear,result should be understandable without external context,use abbreviations: ```';
-  prompt += text + '```'
-  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-  const result = await model.generateContent(prompt.trim());
-  return result.response.text().trim();
-}
-
-function setupAuth() {
-  const clientStr = process.env.GOOGLE_CLIENT_JSON;
-  const tokenStr = process.env.GOOGLE_TOKEN_JSON;
-
-  if (!clientStr || !tokenStr) {
-    throw new Error('Missing GOOGLE_CLIENT_JSON or GOOGLE_TOKEN_JSON in .env');
-  }
-
-  const clientData = JSON.parse(clientStr);
-  const keys = clientData.installed || clientData.web;
-
-  const oAuth2Client = new google.auth.OAuth2(
-    keys.client_id,
-    keys.client_secret,
-    keys.redirect_uris ? keys.redirect_uris[0] : 'http://localhost'
-  );
-
-  const tokenData = JSON.parse(tokenStr);
-  const finalToken = { ...tokenData, access_token: tokenData.access_token || tokenData.token };
-  oAuth2Client.setCredentials(finalToken);
-  return oAuth2Client;
+  const { summary } = await generateStructuredOutput({
+    user: userId,
+    purpose: StructuredOutputPurposes.emailSummary,
+    instructions: SUMMARY_INSTRUCTIONS,
+    input: text,
+    schema: summarySchema,
+  });
+  return summary.trim();
 }
 
 function decodeBase64(data) {
@@ -82,114 +105,378 @@ function extractBody(payload) {
   return '(No readable content found)';
 }
 
-async function listEmails() {
-  const CONCURRENCY_LIMIT = 5; // Only process 5 emails at a time
-  const limit = pLimit(CONCURRENCY_LIMIT);
-
-  try {
-    if (mongoose.connection.readyState === 0 && process.env.MONGO_URI) {
-        await mongoose.connect(process.env.MONGO_URI);
-    }
+/**
+ * Reads the stored details of a Gmail message from its headers.
+ * @param {Object} message - A message fetched with `format: 'full'`.
+ */
+function getMessageDetails(message) {
+  const headers = message.payload?.headers ?? [];
+  const getHeader = (name) => headers.find((header) => header.name === name)?.value;
+  return {
+    threadId: message.threadId,
+    subject: getHeader('Subject') || '(No Subject)',
+    from: getHeader('From') || '(Unknown)',
+    date: getHeader('Date') || '(Unknown Date)',
+    important: message.labelIds?.includes('IMPORTANT') ?? false,
+    receivedAt: message.internalDate ? new Date(Number(message.internalDate)) : new Date(),
+  };
+}
 
-    const auth = setupAuth();
-    const gmail = google.gmail({ version: 'v1', auth });
+/**
+ * @param {Object} message - A message fetched with `format: 'full'`.
+ * @returns {string} The message body as markdown.
+ */
+function getMessageMarkdown(message) {
+  return emailToMarkdown(extractBody(message.payload ?? {})).markdown;
+}
 
-    const query = 'newer_than:30d (label:INBOX OR label:SENT OR has:userlabels)';
-    console.log(`Searching: ${query}`);
+/**
+ * Delay before retrying a summary that has already failed `attempts` times.
+ * @param {number} attempts
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** attempts, RETRY_MAX_DELAY);
+}
 
-    const res = await gmail.users.messages.list({ userId: 'me', q: query, maxResults: 10000 });
-    const messages = res.data.messages;
+/**
+ * Whether a message added to the mailbox is one the full sync query would have found.
+ * @param {{ labelIds?: string[] }} message
+ */
+function isSyncedMessage({ labelIds = [] }) {
+  if (labelIds.some((label) => label === 'DRAFT' || label === 'SPAM' || label === 'TRASH')) {
+    return false;
+  }
+  return labelIds.some(
+    (label) => label === 'INBOX' || label === 'SENT' || label.startsWith('Label_'),
+  );
+}
 
-    if (!messages || messages.length === 0) return JSON.stringify([], null, 2);
+/** @param {Error & { code?: number, response?: { status?: number } }} error */
+const isNotFound = (error) => error?.code === 404 || error?.response?.status === 404;
+
+/**
+ * Lists the messages matching the sync query, along with the mailbox's current history id.
+ * The history id is read first, so messages arriving meanwhile are picked up by the next delta.
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ */
+async function listRecentMessages(gmail) {
+  const { data: profile } = await gmail.users.getProfile({ userId: 'me' });
+  const messages = [];
+  let pageToken;
+  do {
+    const { data } = await gmail.users.messages.list({
+      userId: 'me',
+      q: SYNC_QUERY,
+      maxResults: 500,
+      pageToken,
+    });
+    messages.push(...(data.messages ?? []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return { messages, historyId: profile.historyId };
+}
 
-    console.log(`Found ${messages.length} emails. Processing with concurrency: ${CONCURRENCY_LIMIT}...`);
+/**
+ * Lists the messages added to the mailbox since `startHistoryId`.
+ * Rejects with a 404 once Gmail no longer has history that old.
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {string} startHistoryId
+ */
+async function listAddedMessages(gmail, startHistoryId) {
+  const messages = [];
+  let historyId = startHistoryId;
+  let pageToken;
+  do {
+    const { data } = await gmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded'],
+      pageToken,
+    });
+    for (const record of data.history ?? []) {
+      for (const { message } of record.messagesAdded ?? []) {
+        if (message && isSyncedMessage(message)) {
+          messages.push(message);
+        }
+      }
+    }
+    historyId = data.historyId ?? historyId;
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return { messages, historyId };
+}
 
-    const processPromises = messages.map((msg) => limit(async () => {
+/**
+ * Fetches and summarizes the user's unsummarized emails, including failed ones whose retry is due.
+ * Invitations and document excerpts read from attachments are stored with the summary.
+ * A failed summary is retried with exponential backoff, up to `MAX_SUMMARY_ATTEMPTS` times.
+ * @param {import('googleapis').gmail_v1.Gmail} gmail
+ * @param {IUser | string} user
+ * @returns {Promise<number>} The number of emails summarized.
+ */
+async function summarizePendingEmails(gmail, user) {
+  const userId = getUserId(user);
+  const limit = pLimit(CONCURRENCY_LIMIT);
+  const emails = await getEmailsToSummarize({
+    userId,
+    maxAttempts: MAX_SUMMARY_ATTEMPTS,
+    limit: SUMMARY_BATCH_SIZE,
+  });
+
+  const results = await Promise.all(
+    emails.map((email) =>
+      limit(async () => {
+        const { messageId } = email;
+        const recordFailure = (error, details) =>
+          recordEmailFailure({
+            userId,
+            messageId,
+            details,
+            error: error.message,
+            nextAttemptAt: new Date(Date.now() + getRetryDelay(email.attempts ?? 0)),
+          });
+
+        let message;
         try {
-          const existingEmail = await Email.findOne({ messageId: msg.id });
-
-          if (existingEmail) {
-             if (existingEmail.summary && existingEmail.summary.startsWith("ERROR:")) {
-                 return `[SKIPPING PREVIOUSLY FAILED] ${existingEmail.subject}`;
-             }
-             return `From: ${existingEmail.from}\nSubject: ${existingEmail.subject}\nSummarized: ${existingEmail.summary}\n=================\n`;
+          ({ data: message } = await gmail.users.messages.get({
+            userId: 'me',
+            id: messageId,
+            format: 'full',
+          }));
+        } catch (error) {
+          if (!isNotFound(error)) {
+            throw error;
           }
+          await recordFailure(new Error('Message no longer exists'));
+          return false;
+        }
 
-          const details = await gmail.users.messages.get({ userId: 'me', id: msg.id, format: 'full' });
-          const payload = details.data.payload;
-          const headers = payload.headers;
-
-          const subject = headers.find(h => h.name === 'Subject')?.value || '(No Subject)';
-          const from = headers.find(h => h.name === 'From')?.value || '(Unknown)';
-          const date = headers.find(h => h.name === 'Date')?.value || '(Unknown Date)';
-          
-          let summarizedBody = "";
-          let rawBody = "";
-
-          try {
-            rawBody = emailToMarkdown(extractBody(payload)).markdown;
-            summarizedBody = await summarizeEmail(rawBody.slice(0, 100000)); // Reduced limit to be safe
-          } catch (aiError) {
-            console.error(`>> AI ERROR on ${msg.id}: ${aiError.message}`);
-            summarizedBody = `ERROR: Could not summarize. ${aiError.message}`;
-          }
+        const details = getMessageDetails(message);
 
-          await Email.findOneAndUpdate(
-            { messageId: msg.id },
-            {
-                $set: {
-                    messageId: msg.id,
-                    threadId: msg.threadId,
-                    from: from,
-                    date: date,
-                    subject: subject,
-                    summary: summarizedBody || "No summary generated", 
-                    updatedAt: new Date()
-                }
-            },
-            { upsert: true, new: true }
-          );
-
-          console.log(`Saved: ${subject.substring(0, 30)}...`);
-
-          return `From: ${from}\nSubject: ${subject}\nSummarized: ${summarizedBody}\n=================\n`;
-
-        } catch (innerErr) {
-          console.error(`CRITICAL FAILURE on ${msg.id}: ${innerErr.message}`);
+        try {
+          const { attachments, events } = await extractEmailAttachments(gmail, user, message);
+          details.attachments = attachments;
+          details.events = events;
+          const text = [
+            getMessageMarkdown(message),
+            ...formatEmailAttachments({ attachments, events }),
+          ].join('\n\n');
+          details.suspicious = isSuspicious(`${details.subject}\n${text}`);
+          const summary = await summarizeEmail(text.slice(0, 100000), userId);
+          await saveEmailSummary({
+            userId,
+            messageId,
+            details,
+            summary: summary || 'No summary generated',
+          });
+          return true;
+        } catch (error) {
+          logger.warn(`[summarizePendingEmails] Could not summarize message ${messageId}`, error);
+          await recordFailure(error, details);
           return false;
         }
-    }));
+      }),
+    ),
+  );
+  return results.filter(Boolean).length;
+}
+
+/**
+ * Brings a user's stored emails up to date with their mailbox.
+ * - First run, or history expired: lists the past 30 days.
+ * - Otherwise: reads the messages added since the stored Gmail `historyId`.
+ * New messages, and failed ones due for a retry, are then summarized.
+ * @param {IUser | string} user
+ * @returns {Promise<{ added: number, summarized: number }>}
+ */
+async function syncMailbox(user) {
+  const userId = getUserId(user);
+  const sync = await getEmailSync(userId);
+  await updateEmailSync({ userId, updates: { status: 'syncing' } });
 
-    const allResults = await Promise.all(processPromises);
-    
-    const cleanResults = allResults.filter(r => r);
-    return JSON.stringify(cleanResults, null, 2).replace(/<[^>]*>/g, '');
+  try {
+    const auth = await getGoogleAuthClient(userId);
+    const gmail = google.gmail({ version: 'v1', auth });
 
+    let delta = null;
+    if (sync?.historyId) {
+      delta = await listAddedMessages(gmail, sync.historyId).catch((error) => {
+        if (!isNotFound(error)) {
+          throw error;
+        }
+        logger.info(`[syncMailbox] Gmail history expired for user ${userId}; running a full sync`);
+        return null;
+      });
+    }
+    const fullSync = delta == null;
+    const { messages, historyId } = delta ?? (await listRecentMessages(gmail));
+
+    const added = await addEmails({
+      userId,
+      messages: messages.map(({ id, threadId }) => ({ messageId: id, threadId })),
+    });
+    const summarized = await summarizePendingEmails(gmail, user);
+
+    const now = new Date();
+    await updateEmailSync({
+      userId,
+      updates: {
+        historyId,
+        status: 'idle',
+        error: null,
+        lastSyncAt: now,
+        ...(fullSync ? { lastFullSyncAt: now } : {}),
+      },
+    });
+    if (summarized > 0) {
+      await invalidateContextSnapshots(userId, [ContextSources.email]);
+    }
+    return { added, summarized };
   } catch (error) {
-    console.error('Global Error:', error.message);
-    return JSON.stringify(`Error: ${error.message}`, null, 2);
+    await handleGoogleError(userId, error);
+    await updateEmailSync({ userId, updates: { status: 'error', error: error.message } });
+    throw error;
   }
 }
 
-async function getEmailFromQuery(customQuery) {
-    try {
-        const auth = setupAuth();
-        const gmail = google.gmail({ version: 'v1', auth });
-        const res = await gmail.users.messages.list({ userId: 'me', q: customQuery, maxResults: 1 });
-        const messages = res.data.messages;
-    
-        if (!messages || messages.length === 0) {
-          return `No emails found matching query: ${customQuery}`;
-        }
-        
-        const msgId = messages[0].id;
-        const details = await gmail.users.messages.get({ userId: 'me', id: msgId, format: 'full' });
-        const payload = details.data.payload;
-        return extractBody(payload);
-      } catch (error) {
-        console.error('Error:', error.message);
-        return `Error fetching email: ${error.message}`;
-      }
+/**
+ * Lists the summaries of the user's emails from the past 30 days, newest first, as JSON.
+ * Summaries are kept up to date by the ingestion worker, so Gmail is not called here; the
+ * ones relevant to a message are picked with `rankEmails`.
+ * @param {IUser} user
+ * @returns {Promise<string>}
+ */
+async function listEmails(user) {
+  const userId = getUserId(user);
+  const emails = await getEmailSummaries({
+    userId,
+    since: new Date(Date.now() - SYNC_WINDOW),
+  });
+
+  if (!emails.length) {
+    const sync = await getEmailSync(userId);
+    if (sync?.status === 'error') {
+      throw new Error(sync.error);
+    }
+  }
+
+  return JSON.stringify(
+    emails.map(
+      ({
+        messageId,
+        threadId,
+        from,
+        subject,
+        date,
+        receivedAt,
+        summary,
+        suspicious,
+        attachments,
+        events,
+      }) => ({
+        messageId,
+        threadId,
+        from,
+        subject,
+        date,
+        receivedAt,
+        summary,
+        suspicious,
+        attachments,
+        events,
+      }),
+    ),
+  );
+}
+
+/**
+ * Renders listed email summaries most relevant to the user's message first, each with its local
+ * date, a link to its Gmail thread and, quarantined as untrusted, its sender, subject, summary,
+ * invitations and attachment excerpts.
+ * @param {string} content - Output of `listEmails`.
+ * @param {string} query - The user's message.
+ * @param {IUser} user
+ * @returns {Array<{ id: string, text: string }>} Each email's Gmail message ID and rendered text.
+ */
+function rankEmails(content, query, user) {
+  const { timezone, dateFormat } = getUserDateSettings(user);
+  const emails = JSON.parse(content).filter((email) => email && typeof email === 'object');
+  const ranked = rankByRelevance(
+    query,
+    emails.map((email) =>
+      [email.from, email.subject, email.summary, ...formatEmailAttachments(email)].join(' '),
+    ),
+  );
+
+  return ranked.map(({ index }) => {
+    const email = emails[index];
+    const { messageId, from, subject, date, receivedAt, summary, threadId, suspicious } = email;
+    const received = receivedAt ? DateTime.fromISO(receivedAt).setZone(timezone) : null;
+    const content = [
+      `From: ${from}`,
+      `Subject: ${subject}`,
+      `Summary: ${summary}`,
+      ...formatEmailAttachments(email),
+    ].join('\n');
+    const lines = [
+      `Date: ${escapeUntrusted(received?.isValid ? formatTaskDate(received, dateFormat) : date)}`,
+      threadId ? `Thread: ${GMAIL_THREAD_URL}${threadId}` : null,
+      quarantine(content, { source: 'email', suspicious }),
+    ];
+    return { id: messageId, text: lines.filter(Boolean).join('\n') };
+  });
+}
+
+/**
+ * Searches Gmail directly and renders the newest matching emails with their IDs and, quarantined
+ * as untrusted, their details, body, invitations and attachment excerpts.
+ * @param {string} customQuery - Gmail search syntax.
+ * @param {IUser | string} user
+ * @param {Object} [options]
+ * @param {number} [options.maxResults]
+ * @returns {Promise<string>} The emails, or a message saying none or an error was found.
+ */
+async function getEmailFromQuery(customQuery, user, { maxResults = 1 } = {}) {
+  try {
+    const auth = await getGoogleAuthClient(user);
+    const gmail = google.gmail({ version: 'v1', auth });
+    const res = await gmail.users.messages.list({ userId: 'me', q: customQuery, maxResults });
+    const messages = res.data.messages;
+
+    if (!messages || messages.length === 0) {
+      return `No emails found matching query: ${customQuery}`;
+    }
+
+    const results = [];
+    for (const { id } of messages) {
+      const { data: message } = await gmail.users.messages.get({
+        userId: 'me',
+        id,
+        format: 'full',
+      });
+      const { from, subject, date, threadId } = getMessageDetails(message);
+      const body = getMessageMarkdown(message).slice(0, SEARCH_BODY_LIMIT);
+      const extras = formatEmailAttachments(await extractEmailAttachments(gmail, user, message));
+      const content = [`From: ${from}\nSubject: ${subject}\nDate: ${date}`, body, ...extras].join(
+        '\n\n',
+      );
+      results.push(
+        `Message: ${id}\nThread: ${threadId}\n${quarantine(content, { source: 'email' })}`,
+      );
+    }
+    return results.join('\n=================\n');
+  } catch (error) {
+    logger.error('[getEmailFromQuery] Could not fetch email', error);
+    await handleGoogleError(user, error);
+    return `Error fetching email: ${error.message}`;
+  }
 }
 
-module.exports = listEmails;
\ No newline at end of file
+module.exports = {
+  MAX_SUMMARY_ATTEMPTS,
+  getRetryDelay,
+  syncMailbox,
+  listEmails,
+  rankEmails,
+  getEmailFromQuery,
+};
@@ -0,0 +1,385 @@
+const { Time } = require('librechat-data-provider');
+
+const mockGmail = {
+  users: {
+    getProfile: jest.fn(),
+    messages: { list: jest.fn(), get: jest.fn() },
+    history: { list: jest.fn() },
+  },
+};
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('googleapis', () => ({
+  google: { gmail: () => mockGmail },
+}));
+
+jest.mock('~/server/services/StructuredOutputService', () => ({
+  generateStructuredOutput: jest.fn(),
+}));
+
+jest.mock('@librechat/api', () => ({
+  parseText: jest.fn(),
+}));
+
+jest.mock('~/customUtils/htmlToMd', () => ({
+  emailToMarkdown: (text) => ({ markdown: text }),
+}));
+
+jest.mock('~/models', () => ({
+  addEmails: jest.fn(async ({ messages }) => messages.length),
+  getEmailSync: jest.fn(),
+  updateEmailSync: jest.fn(),
+  saveEmailSummary: jest.fn(),
+  getEmailSummaries: jest.fn(),
+  recordEmailFailure: jest.fn(),
+  getEmailsToSummarize: jest.fn(),
+}));
+
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserId: (user) => (typeof user === 'string' ? user : user?.id),
+}));
+
+jest.mock('~/customUtils/googleAuth', () => ({
+  getGoogleAuthClient: jest.fn(async () => ({})),
+  handleGoogleError: jest.fn(),
+}));
+
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+
+const models = require('~/models');
+const { handleGoogleError } = require('~/customUtils/googleAuth');
+const { generateStructuredOutput } = require('~/server/services/StructuredOutputService');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const {
+  syncMailbox,
+  listEmails,
+  rankEmails,
+  getRetryDelay,
+  getEmailFromQuery,
+  MAX_SUMMARY_ATTEMPTS,
+} = require('./gmailFetch');
+
+const userId = 'user-1';
+
+/** A Gmail message in `format: 'full'` */
+const fullMessage = (id, subject) => ({
+  data: {
+    id,
+    threadId: `thread-${id}`,
+    labelIds: ['INBOX', 'IMPORTANT'],
+    internalDate: String(Date.UTC(2026, 9, 1)),
+    payload: {
+      mimeType: 'text/plain',
+      headers: [
+        { name: 'Subject', value: subject },
+        { name: 'From', value: 'jane@example.com' },
+      ],
+      body: { data: Buffer.from(`Body of ${subject}`).toString('base64') },
+    },
+  },
+});
+
+describe('gmailFetch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    models.getEmailsToSummarize.mockResolvedValue([]);
+    mockGmail.users.getProfile.mockResolvedValue({ data: { historyId: '500' } });
+  });
+
+  it('lists the past 30 days and stores the history id on the first sync', async () => {
+    models.getEmailSync.mockResolvedValue(null);
+    mockGmail.users.messages.list
+      .mockResolvedValueOnce({
+        data: { messages: [{ id: 'a', threadId: 't' }], nextPageToken: 'p2' },
+      })
+      .mockResolvedValueOnce({ data: { messages: [{ id: 'b', threadId: 't' }] } });
+
+    const result = await syncMailbox(userId);
+
+    expect(result).toEqual({ added: 2, summarized: 0 });
+    expect(mockGmail.users.messages.list).toHaveBeenLastCalledWith(
+      expect.objectContaining({ pageToken: 'p2' }),
+    );
+    expect(mockGmail.users.history.list).not.toHaveBeenCalled();
+    expect(models.addEmails).toHaveBeenCalledWith({
+      userId,
+      messages: [
+        { messageId: 'a', threadId: 't' },
+        { messageId: 'b', threadId: 't' },
+      ],
+    });
+    expect(models.updateEmailSync).toHaveBeenLastCalledWith({
+      userId,
+      updates: expect.objectContaining({
+        historyId: '500',
+        status: 'idle',
+        lastFullSyncAt: expect.any(Date),
+      }),
+    });
+  });
+
+  it('only reads the history delta once a history id is stored', async () => {
+    models.getEmailSync.mockResolvedValue({ historyId: '400' });
+    mockGmail.users.history.list.mockResolvedValue({
+      data: {
+        historyId: '450',
+        history: [
+          {
+            messagesAdded: [
+              { message: { id: 'c', threadId: 't', labelIds: ['INBOX', 'UNREAD'] } },
+              { message: { id: 'd', threadId: 't', labelIds: ['DRAFT'] } },
+              { message: { id: 'e', threadId: 't', labelIds: ['SPAM', 'Label_1'] } },
+            ],
+          },
+        ],
+      },
+    });
+
+    await syncMailbox(userId);
+
+    expect(mockGmail.users.history.list).toHaveBeenCalledWith(
+      expect.objectContaining({ startHistoryId: '400', historyTypes: ['messageAdded'] }),
+    );
+    expect(mockGmail.users.messages.list).not.toHaveBeenCalled();
+    expect(models.addEmails).toHaveBeenCalledWith({
+      userId,
+      messages: [{ messageId: 'c', threadId: 't' }],
+    });
+    const { updates } = models.updateEmailSync.mock.calls.at(-1)[0];
+    expect(updates.historyId).toBe('450');
+    expect(updates.lastFullSyncAt).toBeUndefined();
+  });
+
+  it('falls back to a full sync when Gmail no longer has the history', async () => {
+    models.getEmailSync.mockResolvedValue({ historyId: '1' });
+    mockGmail.users.history.list.mockRejectedValue(
+      Object.assign(new Error('Not Found'), { code: 404 }),
+    );
+    mockGmail.users.messages.list.mockResolvedValue({ data: { messages: [] } });
+
+    await syncMailbox(userId);
+
+    expect(mockGmail.users.messages.list).toHaveBeenCalled();
+    expect(models.updateEmailSync).toHaveBeenLastCalledWith({
+      userId,
+      updates: expect.objectContaining({ historyId: '500', lastFullSyncAt: expect.any(Date) }),
+    });
+  });
+
+  it('summarizes pending emails and backs off failed ones', async () => {
+    models.getEmailSync.mockResolvedValue({ historyId: '400' });
+    mockGmail.users.history.list.mockResolvedValue({ data: { historyId: '400' } });
+    models.getEmailsToSummarize.mockResolvedValue([
+      { messageId: 'ok', attempts: 0 },
+      { messageId: 'retry', attempts: 2 },
+    ]);
+    mockGmail.users.messages.get.mockImplementation(async ({ id }) => fullMessage(id, id));
+    generateStructuredOutput.mockImplementation(async ({ input }) => {
+      if (input.includes('Body of retry')) {
+        throw new Error('quota exceeded');
+      }
+      return { summary: ' short summary ' };
+    });
+
+    const before = Date.now();
+    const result = await syncMailbox(userId);
+
+    expect(result.summarized).toBe(1);
+    expect(generateStructuredOutput).toHaveBeenCalledWith(
+      expect.objectContaining({ user: userId, purpose: 'email_summary' }),
+    );
+    expect(models.getEmailsToSummarize).toHaveBeenCalledWith(
+      expect.objectContaining({ userId, maxAttempts: MAX_SUMMARY_ATTEMPTS }),
+    );
+    expect(models.saveEmailSummary).toHaveBeenCalledWith({
+      userId,
+      messageId: 'ok',
+      summary: 'short summary',
+      details: expect.objectContaining({
+        subject: 'ok',
+        from: 'jane@example.com',
+        important: true,
+        receivedAt: new Date(Date.UTC(2026, 9, 1)),
+        suspicious: false,
+      }),
+    });
+
+    const failure = models.recordEmailFailure.mock.calls[0][0];
+    expect(failure).toMatchObject({ userId, messageId: 'retry', error: 'quota exceeded' });
+    expect(failure.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + getRetryDelay(2));
+    expect(getRetryDelay(2)).toBe(4 * Time.FIVE_MINUTES);
+    expect(getRetryDelay(20)).toBe(Time.ONE_DAY);
+    expect(invalidateContextSnapshots).toHaveBeenCalledWith(userId, ['email']);
+  });
+
+  it('stores the events of attached invitations and summarizes them with the body', async () => {
+    const invitation = [
+      'BEGIN:VCALENDAR',
+      'METHOD:REQUEST',
+      'BEGIN:VEVENT',
+      'UID:sync@example.com',
+      'SUMMARY:Project sync',
+      'DTSTART:20261022T080000Z',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    const message = fullMessage('invite', 'Invitation: Project sync');
+    message.data.payload = {
+      mimeType: 'multipart/mixed',
+      headers: message.data.payload.headers,
+      parts: [
+        message.data.payload,
+        { mimeType: 'text/calendar', body: { data: Buffer.from(invitation).toString('base64') } },
+      ],
+    };
+    models.getEmailSync.mockResolvedValue({ historyId: '400' });
+    mockGmail.users.history.list.mockResolvedValue({ data: { historyId: '400' } });
+    models.getEmailsToSummarize.mockResolvedValue([{ messageId: 'invite', attempts: 0 }]);
+    mockGmail.users.messages.get.mockResolvedValue(message);
+    generateStructuredOutput.mockResolvedValue({ summary: 'sync thu 8am' });
+
+    await syncMailbox(userId);
+
+    expect(generateStructuredOutput.mock.calls[0][0].input).toContain(
+      'Proposed event: Project sync, 2026-10-22T08:00:00.000Z',
+    );
+    expect(models.saveEmailSummary).toHaveBeenCalledWith(
+      expect.objectContaining({
+        details: expect.objectContaining({
+          attachments: [],
+          events: [
+            expect.objectContaining({
+              uid: 'sync@example.com',
+              start: '2026-10-22T08:00:00.000Z',
+              method: 'REQUEST',
+            }),
+          ],
+        }),
+      }),
+    );
+  });
+
+  it('records a failed sync in the sync status', async () => {
+    const error = new Error('invalid_grant');
+    models.getEmailSync.mockResolvedValue(null);
+    mockGmail.users.getProfile.mockRejectedValue(error);
+
+    await expect(syncMailbox(userId)).rejects.toThrow('invalid_grant');
+
+    expect(handleGoogleError).toHaveBeenCalledWith(userId, error);
+    expect(models.updateEmailSync).toHaveBeenLastCalledWith({
+      userId,
+      updates: { status: 'error', error: 'invalid_grant' },
+    });
+  });
+
+  it('lists stored summaries without calling Gmail', async () => {
+    models.getEmailSummaries.mockResolvedValue([
+      {
+        _id: 'e1',
+        messageId: 'm1',
+        threadId: 't1',
+        from: 'jane@example.com',
+        subject: 'Lunch',
+        date: 'Thu, 1 Oct 2026 10:00:00 +0000',
+        receivedAt: new Date('2026-10-01T10:00:00Z'),
+        summary: 'lunch fri 12pm',
+        attempts: 1,
+      },
+    ]);
+
+    const result = JSON.parse(await listEmails({ id: userId }));
+
+    expect(result).toEqual([
+      {
+        messageId: 'm1',
+        threadId: 't1',
+        from: 'jane@example.com',
+        subject: 'Lunch',
+        date: 'Thu, 1 Oct 2026 10:00:00 +0000',
+        receivedAt: '2026-10-01T10:00:00.000Z',
+        summary: 'lunch fri 12pm',
+      },
+    ]);
+    expect(mockGmail.users.messages.list).not.toHaveBeenCalled();
+  });
+
+  it('renders the summaries most relevant to the message first, quarantined, with thread links and IDs', () => {
+    const content = JSON.stringify([
+      {
+        messageId: 'm1',
+        threadId: 't1',
+        from: 'Jane <jane@example.com>',
+        subject: 'Lunch',
+        receivedAt: '2026-10-02T10:00:00.000Z',
+        summary: 'lunch fri 12pm',
+        suspicious: true,
+        attachments: [{ filename: 'menu.pdf', excerpt: 'Soup of the day' }],
+      },
+      {
+        messageId: 'm2',
+        threadId: 't2',
+        from: 'billing@example.com',
+        subject: 'Invoice #42',
+        date: 'Thu, 1 Oct 2026 10:00:00 +0000',
+        summary: 'invoices due 10/15, pay via portal',
+      },
+    ]);
+    const user = { personalization: { timezone: 'Europe/Berlin', dateFormat: 'yyyy-MM-dd' } };
+
+    const emails = rankEmails(content, 'When is the invoice due?', user);
+
+    expect(emails.map(({ id }) => id)).toEqual(['m2', 'm1']);
+    expect(emails.map(({ text }) => text)).toEqual([
+      'Date: Thu, 1 Oct 2026 10:00:00 +0000\n' +
+        'Thread: https://mail.google.com/mail/#all/t2\n' +
+        '<untrusted_content source="email">\n' +
+        'From: billing@example.com\n' +
+        'Subject: Invoice #42\n' +
+        'Summary: invoices due 10/15, pay via portal\n' +
+        '</untrusted_content>',
+      'Date: 2026-10-02 12:00\n' +
+        'Thread: https://mail.google.com/mail/#all/t1\n' +
+        '<untrusted_content source="email" suspicious="true">\n' +
+        'From: Jane &lt;jane@example.com&gt;\n' +
+        'Subject: Lunch\n' +
+        'Summary: lunch fri 12pm\n' +
+        'Attachment menu.pdf: Soup of the day\n' +
+        '</untrusted_content>',
+    ]);
+  });
+
+  it('reports the last sync error when there is nothing to list', async () => {
+    models.getEmailSummaries.mockResolvedValue([]);
+    models.getEmailSync.mockResolvedValue({ status: 'error', error: 'Google access has expired' });
+
+    await expect(listEmails({ id: userId })).rejects.toThrow('Google access has expired');
+  });
+
+  it('searches Gmail and renders the matching emails as untrusted content', async () => {
+    mockGmail.users.messages.list.mockResolvedValue({
+      data: { messages: [{ id: 'a' }, { id: 'b' }] },
+    });
+    mockGmail.users.messages.get
+      .mockResolvedValueOnce(fullMessage('a', 'Invoice'))
+      .mockResolvedValueOnce(fullMessage('b', 'Lunch'));
+
+    const result = await getEmailFromQuery('from:jane', userId, { maxResults: 2 });
+
+    expect(mockGmail.users.messages.list).toHaveBeenCalledWith({
+      userId: 'me',
+      q: 'from:jane',
+      maxResults: 2,
+    });
+    const email = (id, subject) =>
+      `Message: ${id}\nThread: thread-${id}\n<untrusted_content source="email">\n` +
+      `From: jane@example.com\nSubject: ${subject}\nDate: (Unknown Date)\n\nBody of ${subject}\n` +
+      '</untrusted_content>';
+    expect(result).toBe(`${email('a', 'Invoice')}\n=================\n${email('b', 'Lunch')}`);
+  });
+});
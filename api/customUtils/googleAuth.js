@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { nanoid } = require('nanoid');
+const { google } = require('googleapis');
+const { logger } = require('@librechat/data-schemas');
+const { createHandleOAuthToken, decryptV2 } = require('@librechat/api');
+const { findToken, updateToken, createToken } = require('~/models');
+const {
+  getUserIntegration,
+  saveUserIntegration,
+  saveOAuthIntegration,
+  markIntegrationExpired,
+  getIntegrationTokenIdentifier,
+} = require('~/server/services/IntegrationService');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+
+/**
+ * Access to the mailbox for planning context and for the email actions the user confirms (no
+ * permanent deletion), read-only access to calendars, and access to events for the focus blocks
+ * of scheduled tasks.
+ */
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/gmail.modify',
+  'https://www.googleapis.com/auth/calendar.readonly',
+  'https://www.googleapis.com/auth/calendar.events',
+];
+
+/** Google refresh tokens lapse after six months without use; every refresh extends the stored copy. */
+const REFRESH_TOKEN_TTL = 180 * 24 * 60 * 60;
+
+/** Cookie binding a consent flow to the browser that started it */
+const GOOGLE_STATE_COOKIE = 'google_oauth_state';
+
+/** Seconds the user has to finish the consent screen */
+const STATE_TTL = 10 * 60;
+
+/**
+ * Key for the consent `state`: `GOOGLE_OAUTH_STATE_SECRET`, else one derived from `JWT_SECRET`,
+ * so a state can never pass as a login token or the other way around.
+ */
+const getStateSecret = () =>
+  process.env.GOOGLE_OAUTH_STATE_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update('google-oauth-state').digest('hex');
+
+const getRedirectUri = () => `${process.env.DOMAIN_SERVER}/oauth/integrations/google/callback`;
+
+const handleOAuthToken = createHandleOAuthToken({ findToken, updateToken, createToken });
+
+/**
+ * OAuth client keys: the user's own client JSON, else the instance-wide `GOOGLE_CLIENT_JSON`.
+ * @param {Record<string, unknown> | undefined} credentials
+ */
+function getClientKeys(credentials) {
+  const clientData = credentials?.client ?? JSON.parse(process.env.GOOGLE_CLIENT_JSON || 'null');
+  if (!clientData) {
+    throw new Error('Missing Google OAuth client JSON');
+  }
+  return clientData.installed || clientData.web;
+}
+
+/** @param {Record<string, unknown> | undefined} credentials */
+function createOAuthClient(credentials) {
+  const keys = getClientKeys(credentials);
+  return new google.auth.OAuth2(keys.client_id, keys.client_secret, getRedirectUri());
+}
+
+/**
+ * Builds the consent URL for connecting a user's Google account.
+ * The signed `state` carries the user id back to the `/oauth` callback, and its `nonce` must be
+ * set as the `GOOGLE_STATE_COOKIE` of the browser that opens the URL.
+ * @param {string} userId
+ * @returns {Promise<{ authUrl: string, nonce: string }>}
+ */
+async function getGoogleAuthUrl(userId) {
+  const integration = await getUserIntegration(userId, 'google');
+  const nonce = nanoid();
+  const state = jwt.sign({ nonce, user: userId, provider: 'google' }, getStateSecret(), {
+    expiresIn: STATE_TTL,
+  });
+  const authUrl = createOAuthClient(integration?.credentials).generateAuthUrl({
+    access_type: 'offline',
+    prompt: 'consent',
+    include_granted_scopes: true,
+    scope: GOOGLE_SCOPES,
+    state,
+  });
+  return { authUrl, nonce };
+}
+
+/**
+ * Checks the `state` returned to the consent callback against the nonce cookie of the browser,
+ * so a consent started by someone else cannot be completed in the user's session.
+ * @param {string} state
+ * @param {string | undefined} nonce - The `GOOGLE_STATE_COOKIE` sent with the callback.
+ * @returns {string} The id of the user who started the consent flow.
+ * @throws {Error} When the state is invalid, expired or was issued to another browser.
+ */
+function verifyGoogleAuthState(state, nonce) {
+  const payload = jwt.verify(state, getStateSecret());
+  const expected = Buffer.from(String(payload.nonce ?? ''));
+  const actual = Buffer.from(String(nonce ?? ''));
+  if (
+    payload.provider !== 'google' ||
+    !payload.user ||
+    expected.length === 0 ||
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw new Error('Google consent state does not match this browser');
+  }
+  return payload.user;
+}
+
+/**
+ * Stores tokens returned by Google in the shared OAuth token storage.
+ * @param {string} userId
+ * @param {import('google-auth-library').Credentials} tokens
+ */
+async function saveGoogleTokens(userId, tokens) {
+  const identifier = getIntegrationTokenIdentifier(userId, 'google');
+  if (tokens.access_token) {
+    const expiresIn = tokens.expiry_date
+      ? Math.round((tokens.expiry_date - Date.now()) / 1000)
+      : 3600;
+    await handleOAuthToken({
+      userId,
+      identifier,
+      token: tokens.access_token,
+      expiresIn: Math.max(expiresIn, 60),
+    });
+  }
+  if (tokens.refresh_token) {
+    await handleOAuthToken({
+      userId,
+      identifier: `${identifier}:refresh`,
+      token: tokens.refresh_token,
+      type: 'oauth_refresh',
+      expiresIn: REFRESH_TOKEN_TTL,
+    });
+  }
+}
+
+/**
+ * Completes the consent flow: exchanges the authorization code and marks Google connected.
+ * @param {string} userId
+ * @param {string} code
+ */
+async function connectGoogleAccount(userId, code) {
+  const integration = await getUserIntegration(userId, 'google');
+  const { tokens } = await createOAuthClient(integration?.credentials).getToken(code);
+  if (!tokens.refresh_token) {
+    throw new Error('Google did not return a refresh token');
+  }
+  const granted = new Set((tokens.scope ?? '').split(' '));
+  const missing = tokens.scope ? GOOGLE_SCOPES.filter((scope) => !granted.has(scope)) : [];
+  if (missing.length > 0) {
+    throw new Error(`Google did not grant the scopes ${missing.join(', ')}`);
+  }
+  await saveGoogleTokens(userId, tokens);
+  await saveOAuthIntegration(userId, 'google');
+  await invalidateContextSnapshots(userId);
+}
+
+/**
+ * Builds an authorized Google client from the user's integration.
+ * Tokens refreshed by the client are written back, so the grant survives restarts.
+ * @param {IUser | string} user
+ */
+async function getGoogleAuthClient(user) {
+  const integration = await getUserIntegration(user, 'google');
+  if (!integration) {
+    throw new Error('Google is not connected; add it under Settings > Integrations');
+  }
+  if (integration.status === 'expired') {
+    throw new Error('Google access has expired; reconnect it under Settings > Integrations');
+  }
+
+  const userId = integration.user.toString();
+  const { credentials } = integration;
+  const client = createOAuthClient(credentials);
+
+  if (integration.authType === 'oauth') {
+    const identifier = getIntegrationTokenIdentifier(userId, 'google');
+    const [accessToken, refreshToken] = await Promise.all([
+      findToken({ userId, identifier }),
+      findToken({ userId, identifier: `${identifier}:refresh` }),
+    ]);
+    if (!refreshToken) {
+      const error = new Error('Google refresh token is missing');
+      await markIntegrationExpired(userId, 'google', error);
+      throw error;
+    }
+    const refresh_token = await decryptV2(refreshToken.token);
+    client.setCredentials({
+      refresh_token,
+      access_token: accessToken ? await decryptV2(accessToken.token) : undefined,
+      expiry_date: accessToken ? new Date(accessToken.expiresAt).getTime() : undefined,
+    });
+    client.on('tokens', (tokens) => {
+      saveGoogleTokens(userId, { refresh_token, ...tokens }).catch((error) =>
+        logger.error('[getGoogleAuthClient] Could not save refreshed Google tokens', error),
+      );
+    });
+    return client;
+  }
+
+  const tokenData = credentials.token;
+  client.setCredentials({ ...tokenData, access_token: tokenData.access_token || tokenData.token });
+  client.on('tokens', (tokens) => {
+    const token = JSON.stringify({ ...tokenData, ...tokens });
+    saveUserIntegration(userId, 'google', { token }).catch((error) =>
+      logger.error('[getGoogleAuthClient] Could not save refreshed Google token', error),
+    );
+  });
+  return client;
+}
+
+/** Reasons Google gives for a 403 when the grant lacks a scope the request needs */
+const SCOPE_ERROR_REASONS = ['insufficientPermissions', 'ACCESS_TOKEN_SCOPE_INSUFFICIENT'];
+
+/**
+ * Whether a 403 from Google is about missing scopes, rather than e.g. a rate limit.
+ * @param {Error & { errors?: Array<{ reason?: string }>, response?: Object }} error
+ */
+function isScopeError(error) {
+  if (error?.response?.status !== 403) {
+    return false;
+  }
+  const details = error.response.data?.error;
+  const reasons = [
+    ...(error.errors ?? []),
+    ...(details?.errors ?? []),
+    ...(details?.details ?? []),
+  ].map((item) => item?.reason);
+  return (
+    reasons.some((reason) => SCOPE_ERROR_REASONS.includes(reason)) ||
+    /insufficient (authentication scopes|permission)/i.test(details?.message ?? error.message ?? '')
+  );
+}
+
+/**
+ * Whether Google rejected the stored grant (revoked, expired or missing scopes).
+ * @param {Error & { response?: { status?: number, data?: { error?: string | Object } } }} error
+ */
+function isGrantError(error) {
+  return (
+    error?.response?.data?.error === 'invalid_grant' ||
+    error?.response?.status === 401 ||
+    /invalid_grant/.test(error?.message ?? '') ||
+    isScopeError(error)
+  );
+}
+
+/**
+ * Flags the user's Google integration as expired when a request failed because of the grant.
+ * @param {IUser | string} user
+ * @param {Error} error
+ */
+async function handleGoogleError(user, error) {
+  if (isGrantError(error)) {
+    await markIntegrationExpired(user, 'google', error);
+  }
+}
+
+module.exports = {
+  STATE_TTL,
+  GOOGLE_SCOPES,
+  GOOGLE_STATE_COOKIE,
+  getGoogleAuthUrl,
+  verifyGoogleAuthState,
+  connectGoogleAccount,
+  getGoogleAuthClient,
+  handleGoogleError,
+};
@@ -0,0 +1,200 @@
+const jwt = require('jsonwebtoken');
+const { google } = require('googleapis');
+
+const mockHandleOAuthToken = jest.fn();
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  createHandleOAuthToken: () => mockHandleOAuthToken,
+  decryptV2: jest.fn(async (value) => value.replace(/^enc:/, '')),
+}));
+
+jest.mock('~/models', () => ({
+  findToken: jest.fn(),
+  updateToken: jest.fn(),
+  createToken: jest.fn(),
+}));
+
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserIntegration: jest.fn(),
+  saveUserIntegration: jest.fn(async () => ({})),
+  saveOAuthIntegration: jest.fn(),
+  markIntegrationExpired: jest.fn(),
+  getIntegrationTokenIdentifier: (userId, provider) => `${userId}:integration:${provider}`,
+}));
+
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+
+const { findToken } = require('~/models');
+const service = require('~/server/services/IntegrationService');
+const {
+  GOOGLE_SCOPES,
+  getGoogleAuthUrl,
+  connectGoogleAccount,
+  getGoogleAuthClient,
+  handleGoogleError,
+  verifyGoogleAuthState,
+} = require('./googleAuth');
+
+const userId = '64b7f0c2e4b0a1a2b3c4d5e6';
+const identifier = `${userId}:integration:google`;
+const client = { installed: { client_id: 'client-id', client_secret: 'client-secret' } };
+
+/** Waits for the fire-and-forget persistence started by the `tokens` listener. */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('googleAuth', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'secret';
+    process.env.DOMAIN_SERVER = 'http://localhost:3080';
+    process.env.GOOGLE_CLIENT_JSON = JSON.stringify(client);
+  });
+
+  it('builds an offline consent URL with a signed state', async () => {
+    service.getUserIntegration.mockResolvedValue(null);
+
+    const { authUrl, nonce } = await getGoogleAuthUrl(userId);
+    const url = new URL(authUrl);
+
+    expect(url.searchParams.get('client_id')).toBe('client-id');
+    expect(url.searchParams.get('access_type')).toBe('offline');
+    expect(url.searchParams.get('redirect_uri')).toBe(
+      'http://localhost:3080/oauth/integrations/google/callback',
+    );
+    expect(verifyGoogleAuthState(url.searchParams.get('state'), nonce)).toBe(userId);
+  });
+
+  it('only accepts the state in the browser that started the consent', async () => {
+    service.getUserIntegration.mockResolvedValue(null);
+    const { authUrl, nonce } = await getGoogleAuthUrl(userId);
+    const state = new URL(authUrl).searchParams.get('state');
+
+    expect(() => verifyGoogleAuthState(state, undefined)).toThrow(/does not match/);
+    expect(() => verifyGoogleAuthState(state, `${nonce}x`)).toThrow(/does not match/);
+    expect(() => jwt.verify(state, 'secret')).toThrow();
+
+    const loginToken = jwt.sign({ nonce, user: userId, provider: 'google' }, 'secret');
+    expect(() => verifyGoogleAuthState(loginToken, nonce)).toThrow();
+
+    process.env.GOOGLE_OAUTH_STATE_SECRET = 'state-secret';
+    try {
+      const signed = new URL((await getGoogleAuthUrl(userId)).authUrl).searchParams.get('state');
+      expect(jwt.verify(signed, 'state-secret')).toMatchObject({ user: userId });
+    } finally {
+      delete process.env.GOOGLE_OAUTH_STATE_SECRET;
+    }
+  });
+
+  it('refuses a consent that left out some of the scopes', async () => {
+    service.getUserIntegration.mockResolvedValue(null);
+    const getToken = jest.spyOn(google.auth.OAuth2.prototype, 'getToken');
+    const tokens = { access_token: 'access', refresh_token: 'refresh', expiry_date: Date.now() };
+
+    getToken.mockResolvedValueOnce({ tokens: { ...tokens, scope: GOOGLE_SCOPES[0] } });
+    await expect(connectGoogleAccount(userId, 'code')).rejects.toThrow(/did not grant/);
+    expect(service.saveOAuthIntegration).not.toHaveBeenCalled();
+
+    getToken.mockResolvedValueOnce({ tokens: { ...tokens, scope: GOOGLE_SCOPES.join(' ') } });
+    await connectGoogleAccount(userId, 'code');
+    expect(service.saveOAuthIntegration).toHaveBeenCalledWith(userId, 'google');
+    getToken.mockRestore();
+  });
+
+  it('loads OAuth tokens and persists refreshed ones', async () => {
+    service.getUserIntegration.mockResolvedValue({
+      user: userId,
+      authType: 'oauth',
+      status: 'active',
+      credentials: {},
+    });
+    findToken.mockImplementation(async (query) =>
+      query.identifier === identifier
+        ? { token: 'enc:access', expiresAt: new Date('2030-01-01T00:00:00.000Z') }
+        : { token: 'enc:refresh' },
+    );
+
+    const auth = await getGoogleAuthClient({ id: userId });
+    expect(auth.credentials).toMatchObject({
+      access_token: 'access',
+      refresh_token: 'refresh',
+      expiry_date: new Date('2030-01-01T00:00:00.000Z').getTime(),
+    });
+
+    auth.emit('tokens', { access_token: 'fresh', expiry_date: Date.now() + 3600 * 1000 });
+    await flush();
+
+    expect(mockHandleOAuthToken).toHaveBeenCalledWith(
+      expect.objectContaining({ userId, identifier, token: 'fresh' }),
+    );
+    expect(mockHandleOAuthToken).toHaveBeenCalledWith(
+      expect.objectContaining({
+        identifier: `${identifier}:refresh`,
+        token: 'refresh',
+        type: 'oauth_refresh',
+      }),
+    );
+  });
+
+  it('writes refreshed pasted tokens back to the integration', async () => {
+    service.getUserIntegration.mockResolvedValue({
+      user: userId,
+      authType: 'manual',
+      status: 'active',
+      credentials: { token: { token: 'old', refresh_token: 'refresh' } },
+    });
+
+    const auth = await getGoogleAuthClient(userId);
+    expect(auth.credentials).toMatchObject({ access_token: 'old', refresh_token: 'refresh' });
+
+    auth.emit('tokens', { access_token: 'fresh' });
+    await flush();
+
+    expect(service.saveUserIntegration).toHaveBeenCalledWith(userId, 'google', {
+      token: JSON.stringify({ token: 'old', refresh_token: 'refresh', access_token: 'fresh' }),
+    });
+  });
+
+  it('refuses expired grants and flags revoked ones', async () => {
+    service.getUserIntegration.mockResolvedValue({ user: userId, status: 'expired' });
+    await expect(getGoogleAuthClient(userId)).rejects.toThrow(/reconnect/);
+
+    await handleGoogleError(userId, new Error('network down'));
+    expect(service.markIntegrationExpired).not.toHaveBeenCalled();
+
+    const revoked = Object.assign(new Error('invalid_grant'), {
+      response: { data: { error: 'invalid_grant' } },
+    });
+    await handleGoogleError(userId, revoked);
+    expect(service.markIntegrationExpired).toHaveBeenCalledWith(userId, 'google', revoked);
+  });
+
+  it('asks to reconnect when the grant lacks a scope, but not on rate limits', async () => {
+    const rateLimited = Object.assign(new Error('Rate Limit Exceeded'), {
+      response: { status: 403, data: { error: { errors: [{ reason: 'rateLimitExceeded' }] } } },
+    });
+    await handleGoogleError(userId, rateLimited);
+    expect(service.markIntegrationExpired).not.toHaveBeenCalled();
+
+    const insufficient = Object.assign(new Error('Insufficient Permission'), {
+      errors: [{ reason: 'insufficientPermissions' }],
+      response: {
+        status: 403,
+        data: {
+          error: {
+            code: 403,
+            message: 'Request had insufficient authentication scopes.',
+            details: [{ reason: 'ACCESS_TOKEN_SCOPE_INSUFFICIENT' }],
+          },
+        },
+      },
+    });
+    await handleGoogleError(userId, insufficient);
+    expect(service.markIntegrationExpired).toHaveBeenCalledWith(userId, 'google', insufficient);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * The user's personal profile: working hours, routines, energy peaks, recurring commitments,
+ * people and planning preferences. It is what the personal context source adds to the prompt.
+ * Users edit it from the Personalization settings; the assistant can only propose changes, as
+ * `profile_update` artifacts applied once the user approves them.
+ *
+ * The profile replaces the free-text `personal` integration. Until a profile is saved, that text
+ * is read as the profile's notes; saving the profile moves it there.
+ */
+
+const { ContextSources, personalProfileSchema } = require('librechat-data-provider');
+const { getPersonalProfile, savePersonalProfile, deleteIntegration } = require('~/models');
+const {
+  getUserId,
+  getUserIntegrationCredentials,
+} = require('~/server/services/IntegrationService');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+
+/** @type {Array<keyof TPersonalProfile>} */
+const PROFILE_FIELDS = [
+  'workingHours',
+  'routines',
+  'energyPeaks',
+  'commitments',
+  'people',
+  'planningPreferences',
+  'notes',
+];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/** Headings of the list fields, in the order they are rendered */
+const LIST_HEADINGS = [
+  ['energyPeaks', 'Energy peaks'],
+  ['routines', 'Routines'],
+  ['commitments', 'Recurring commitments'],
+  ['planningPreferences', 'Planning preferences'],
+];
+
+/** @param {unknown} value */
+const isEmpty = (value) =>
+  value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Validates profile fields, reporting every invalid field at once.
+ * @param {unknown} input
+ * @returns {TPersonalProfile}
+ */
+function parseProfile(input) {
+  const result = personalProfileSchema.safeParse(input ?? {});
+  if (!result.success) {
+    const issues = result.error.issues.map(({ path, message }) => `${path.join('.')}: ${message}`);
+    throw new Error(`Invalid profile: ${issues.join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * @param {IPersonalProfileLean} stored
+ * @returns {TPersonalProfile} The profile fields of a stored profile.
+ */
+function toProfile(stored) {
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    if (stored[field] != null) {
+      profile[field] = stored[field];
+    }
+  }
+  return JSON.parse(JSON.stringify(profile));
+}
+
+/**
+ * Reads a user's profile; until one is saved, the text of their `personal` integration is read
+ * as its notes.
+ * @param {IUser | string} user
+ * @returns {Promise<{ profile: TPersonalProfile, updatedAt: Date | null }>}
+ */
+async function getUserProfile(user) {
+  const stored = await getPersonalProfile(getUserId(user));
+  if (stored) {
+    return { profile: toProfile(stored), updatedAt: stored.updatedAt ?? null };
+  }
+  const info = (await getUserIntegrationCredentials(user, 'personal'))?.info;
+  return { profile: info ? { notes: info } : {}, updatedAt: null };
+}
+
+/**
+ * Validates and saves profile fields, keeping the fields left out. The first save takes over the
+ * text of the `personal` integration, which is then deleted.
+ * @param {IUser | string} user
+ * @param {TPersonalProfile} input
+ * @returns {Promise<{ profile: TPersonalProfile, updatedAt: Date | null }>}
+ * @throws {Error} When a field is invalid.
+ */
+async function saveUserProfile(user, input) {
+  const userId = getUserId(user);
+  const fields = parseProfile(input);
+  const current = await getUserProfile(user);
+  const saved = await savePersonalProfile({
+    userId,
+    profile: current.updatedAt ? fields : { ...current.profile, ...fields },
+  });
+  if (!current.updatedAt) {
+    await deleteIntegration({ userId, provider: 'personal' });
+  }
+  await invalidateContextSnapshots(userId, [ContextSources.personal]);
+  return { profile: toProfile(saved), updatedAt: saved.updatedAt ?? null };
+}
+
+/**
+ * Renders a profile as the text of the personal context source.
+ * @param {TPersonalProfile} profile
+ * @returns {string} Empty when the profile has nothing filled in.
+ */
+function formatProfile(profile) {
+  const sections = [];
+  const { workingHours, people, notes } = profile;
+  if (workingHours) {
+    const days = [...workingHours.days].sort((a, b) => a - b).map((day) => WEEKDAYS[day - 1]);
+    sections.push(
+      `Working hours: ${workingHours.start}-${workingHours.end}${days.length ? ` on ${days.join(', ')}` : ''}`,
+    );
+  }
+  for (const [field, heading] of LIST_HEADINGS) {
+    if (profile[field]?.length) {
+      sections.push(`${heading}:\n${profile[field].map((entry) => `- ${entry}`).join('\n')}`);
+    }
+  }
+  if (people?.length) {
+    const lines = people.map(({ name, role, notes: about }) =>
+      [`- ${name}`, role ? ` (${role})` : '', about ? `: ${about}` : ''].join(''),
+    );
+    sections.push(`People:\n${lines.join('\n')}`);
+  }
+  if (notes?.trim()) {
+    sections.push(`Notes:\n${notes.trim()}`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Fetches the personal context source.
+ * @param {IUser} user
+ * @returns {Promise<string>}
+ */
+async function getPersonalContext(user) {
+  return formatProfile((await getUserProfile(user)).profile);
+}
+
+/**
+ * Describes a change to the user's profile without saving it. Only the fields that differ from
+ * the profile are kept; each replaces the field as a whole.
+ * @param {IUser} user
+ * @param {Object} params
+ * @param {TPersonalProfile} params.changes - New values of the fields to change.
+ * @param {string} [params.reason] - Why the change is proposed.
+ * @returns {Promise<ProfileUpdateArtifact>} The pending update, shown to the user for approval.
+ * @throws {Error} When a field is invalid or nothing would change.
+ */
+async function proposeProfileUpdate(user, { changes, reason }) {
+  const fields = parseProfile(changes);
+  const { profile } = await getUserProfile(user);
+
+  const update = { status: 'pending', changes: {}, previous: {} };
+  for (const field of PROFILE_FIELDS) {
+    if (fields[field] === undefined) {
+      continue;
+    }
+    const unchanged =
+      (isEmpty(fields[field]) && isEmpty(profile[field])) ||
+      JSON.stringify(fields[field]) === JSON.stringify(profile[field]);
+    if (unchanged) {
+      continue;
+    }
+    update.changes[field] = fields[field];
+    if (profile[field] !== undefined) {
+      update.previous[field] = profile[field];
+    }
+  }
+  if (!Object.keys(update.changes).length) {
+    throw new Error('The profile already has these values');
+  }
+  if (reason?.trim()) {
+    update.reason = reason.trim();
+  }
+  return update;
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  formatProfile,
+  getUserProfile,
+  saveUserProfile,
+  getPersonalContext,
+  proposeProfileUpdate,
+};
@@ -0,0 +1,135 @@
+jest.mock('~/models', () => ({
+  getPersonalProfile: jest.fn(),
+  savePersonalProfile: jest.fn(async ({ profile }) => ({
+    _id: 'p1',
+    userId: 'user-1',
+    ...profile,
+    updatedAt: new Date('2026-10-19T08:00:00Z'),
+  })),
+  deleteIntegration: jest.fn(),
+}));
+
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserId: (user) => (typeof user === 'string' ? user : user?.id),
+  getUserIntegrationCredentials: jest.fn(),
+}));
+
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+
+const models = require('~/models');
+const { getUserIntegrationCredentials } = require('~/server/services/IntegrationService');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const {
+  formatProfile,
+  getUserProfile,
+  saveUserProfile,
+  getPersonalContext,
+  proposeProfileUpdate,
+} = require('./personalProfile');
+
+const user = { id: 'user-1' };
+
+const stored = {
+  _id: 'p1',
+  userId: 'user-1',
+  workingHours: { start: '09:00', end: '17:30', days: [5, 1, 2, 3, 4] },
+  routines: ['Gym on Tuesday and Thursday evenings'],
+  energyPeaks: ['Mornings'],
+  commitments: [],
+  people: [
+    { name: 'Anna', role: 'manager', notes: 'Prefers Slack' },
+    { name: 'Tom', role: '' },
+  ],
+  planningPreferences: ['No meetings before 10:00'],
+  notes: '',
+  updatedAt: new Date('2026-10-01T08:00:00Z'),
+};
+
+describe('personalProfile', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    models.getPersonalProfile.mockResolvedValue(stored);
+  });
+
+  it('renders the filled-in fields as the personal context', async () => {
+    expect(await getPersonalContext(user)).toBe(
+      'Working hours: 09:00-17:30 on Mon, Tue, Wed, Thu, Fri\n\n' +
+        'Energy peaks:\n- Mornings\n\n' +
+        'Routines:\n- Gym on Tuesday and Thursday evenings\n\n' +
+        'Planning preferences:\n- No meetings before 10:00\n\n' +
+        'People:\n- Anna (manager): Prefers Slack\n- Tom',
+    );
+    expect(formatProfile({})).toBe('');
+  });
+
+  it('reads the text of the personal integration until a profile is saved', async () => {
+    models.getPersonalProfile.mockResolvedValue(null);
+    getUserIntegrationCredentials.mockResolvedValue({ info: 'Two kids, school run at 8' });
+
+    expect(await getUserProfile(user)).toEqual({
+      profile: { notes: 'Two kids, school run at 8' },
+      updatedAt: null,
+    });
+    expect(await getPersonalContext(user)).toBe('Notes:\nTwo kids, school run at 8');
+  });
+
+  it('moves the integration text into the profile on the first save', async () => {
+    models.getPersonalProfile.mockResolvedValue(null);
+    getUserIntegrationCredentials.mockResolvedValue({ info: 'Two kids' });
+
+    const result = await saveUserProfile(user, { energyPeaks: ['Evenings'] });
+
+    expect(models.savePersonalProfile).toHaveBeenCalledWith({
+      userId: 'user-1',
+      profile: { notes: 'Two kids', energyPeaks: ['Evenings'] },
+    });
+    expect(models.deleteIntegration).toHaveBeenCalledWith({
+      userId: 'user-1',
+      provider: 'personal',
+    });
+    expect(invalidateContextSnapshots).toHaveBeenCalledWith('user-1', ['personal']);
+    expect(result.profile).toEqual({ notes: 'Two kids', energyPeaks: ['Evenings'] });
+  });
+
+  it('only saves the given fields of an existing profile', async () => {
+    await saveUserProfile(user, { notes: 'Vegetarian' });
+
+    expect(models.savePersonalProfile).toHaveBeenCalledWith({
+      userId: 'user-1',
+      profile: { notes: 'Vegetarian' },
+    });
+    expect(models.deleteIntegration).not.toHaveBeenCalled();
+    await expect(
+      saveUserProfile(user, { workingHours: { start: '9am', end: '17:00', days: [1] } }),
+    ).rejects.toThrow('workingHours.start');
+  });
+
+  it('proposes only the fields that change, with their current values', async () => {
+    const update = await proposeProfileUpdate(user, {
+      changes: {
+        energyPeaks: ['Mornings'],
+        commitments: [],
+        routines: ['Gym on Tuesday and Thursday evenings', 'Yoga on Sundays'],
+        notes: 'Vegetarian',
+      },
+      reason: ' You mentioned yoga ',
+    });
+
+    expect(update).toEqual({
+      status: 'pending',
+      changes: {
+        routines: ['Gym on Tuesday and Thursday evenings', 'Yoga on Sundays'],
+        notes: 'Vegetarian',
+      },
+      previous: { routines: ['Gym on Tuesday and Thursday evenings'], notes: '' },
+      reason: 'You mentioned yoga',
+    });
+    expect(models.savePersonalProfile).not.toHaveBeenCalled();
+
+    await expect(
+      proposeProfileUpdate(user, { changes: { energyPeaks: ['Mornings'] } }),
+    ).rejects.toThrow('already has these values');
+  });
+});
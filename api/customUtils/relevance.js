@@ -0,0 +1,91 @@
+/**
+ * In-process relevance ranking of short texts, such as email summaries, against the user's message.
+ * Texts and query are embedded as TF-IDF vectors over the candidate set and compared by cosine
+ * similarity, so no embedding service or vector store is needed.
+ */
+
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be by can could did do does for from had has have how i if in is it its me ' +
+    'my no not of on or our so than that the their them then there these they this to us was we ' +
+    'were what when where which who why will with would you your'
+  ).split(' '),
+);
+
+/**
+ * Splits a text into lowercase words, leaving out stop words and single characters.
+ * A trailing plural `s` is dropped, so "invoices" matches "invoice".
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (
+    String(text ?? '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) ?? []
+  )
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word));
+}
+
+/**
+ * @param {string[]} words
+ * @returns {Map<string, number>} Occurrences of each word.
+ */
+function countWords(words) {
+  const counts = new Map();
+  for (const word of words) {
+    counts.set(word, (counts.get(word) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Ranks texts by their similarity to a query, most similar first.
+ * Ties, including every text when the query has no searchable words, keep their original order.
+ * @param {string} query
+ * @param {string[]} texts
+ * @returns {{ index: number, score: number }[]} Indexes into `texts` with scores from 0 to 1.
+ */
+function rankByRelevance(query, texts) {
+  const documents = texts.map((text) => countWords(tokenize(text)));
+  const frequencies = new Map();
+  for (const counts of documents) {
+    for (const word of counts.keys()) {
+      frequencies.set(word, (frequencies.get(word) ?? 0) + 1);
+    }
+  }
+
+  /** @param {Map<string, number>} counts */
+  const embed = (counts) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [word, count] of counts) {
+      const idf = Math.log((documents.length + 1) / ((frequencies.get(word) ?? 0) + 1)) + 1;
+      const weight = (1 + Math.log(count)) * idf;
+      vector.set(word, weight);
+      norm += weight * weight;
+    }
+    return { vector, norm: Math.sqrt(norm) };
+  };
+
+  const queryVector = embed(countWords(tokenize(query)));
+  return documents
+    .map((counts, index) => {
+      const { vector, norm } = embed(counts);
+      if (!norm || !queryVector.norm) {
+        return { index, score: 0 };
+      }
+      let dot = 0;
+      for (const [word, weight] of queryVector.vector) {
+        dot += weight * (vector.get(word) ?? 0);
+      }
+      return { index, score: dot / (norm * queryVector.norm) };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+module.exports = {
+  tokenize,
+  rankByRelevance,
+};
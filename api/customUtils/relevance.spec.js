@@ -0,0 +1,38 @@
+const { tokenize, rankByRelevance } = require('./relevance');
+
+describe('relevance', () => {
+  it('tokenizes into lowercase words without stop words or plurals', () => {
+    expect(tokenize('The Invoices for März are due, see #42!')).toEqual([
+      'invoice',
+      'märz',
+      'due',
+      'see',
+      '42',
+    ]);
+  });
+
+  it('ranks texts by their similarity to the query, favoring rare words', () => {
+    const texts = [
+      'team lunch friday',
+      'invoice from acme due friday',
+      'acme newsletter',
+      'friday standup notes',
+    ];
+
+    const ranked = rankByRelevance('Did Acme send the invoice?', texts);
+
+    expect(ranked.map(({ index }) => index)).toEqual([1, 2, 0, 3]);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+    expect(ranked[2].score).toBe(0);
+  });
+
+  it('keeps the original order when the query has nothing to match', () => {
+    const ranked = rankByRelevance('is it?', ['b', 'second text', 'third text']);
+
+    expect(ranked).toEqual([
+      { index: 0, score: 0 },
+      { index: 1, score: 0 },
+      { index: 2, score: 0 },
+    ]);
+  });
+});
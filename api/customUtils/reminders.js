@@ -0,0 +1,119 @@
+const { google } = require('googleapis');
+const { DateTime } = require('luxon');
+const { getUserDateSettings } = require('librechat-data-provider');
+const { getGoogleAuthClient, handleGoogleError } = require('~/customUtils/googleAuth');
+const { getUserIntegration } = require('~/server/services/IntegrationService');
+const { getTaskProvider } = require('~/customUtils/taskProviders');
+const { formatTaskDate } = require('~/customUtils/taskModels');
+
+/**
+ * Reminders are read from the user's tracked tasks with a due time and from the timed events of
+ * their Google calendars. Each task or event is identified by a key that includes its due time,
+ * so a rescheduled task or event gets a new reminder and the old one is dropped.
+ */
+
+/** Private extended property of focus blocks; their task is reminded of instead. */
+const FOCUS_BLOCK_PROPERTY = 'librechatFocusBlock';
+
+/**
+ * @param {DateTime} due
+ * @param {number} minutesBefore
+ */
+const getRemindAt = (due, minutesBefore) => due.minus({ minutes: minutesBefore }).toJSDate();
+
+/**
+ * Lists reminders of the user's open tasks due in `(from, to]`.
+ * @param {IUser} user
+ * @param {Object} params
+ * @param {DateTime} params.from
+ * @param {DateTime} params.to
+ * @param {number} params.minutesBefore
+ * @returns {Promise<UpcomingNotification[]>}
+ */
+async function getTaskReminders(user, { from, to, minutesBefore }) {
+  const { timezone, dateFormat } = getUserDateSettings(user);
+  const provider = await getTaskProvider(user);
+  const reminders = [];
+  for (const project of await provider.fetchAllTasks()) {
+    for (const task of project.tasks) {
+      const due = provider.getDueDateTime(task);
+      if (task.completed || !task.id || !due || due <= from || due > to) {
+        continue;
+      }
+      reminders.push({
+        type: 'task',
+        key: `task:${provider.name}:${task.id}:${due.toUTC().toISO()}`,
+        title: task.name,
+        body: `Due ${formatTaskDate(due.setZone(timezone), dateFormat)} · ${project.name}`,
+        provider: provider.name,
+        taskId: task.id,
+        dueAt: due.toJSDate(),
+        remindAt: getRemindAt(due, minutesBefore),
+      });
+    }
+  }
+  return reminders;
+}
+
+/**
+ * Lists reminders of the timed events starting in `(from, to]` on the user's Google calendars.
+ * Returns none when Google is not connected.
+ * @param {IUser} user
+ * @param {Object} params
+ * @param {DateTime} params.from
+ * @param {DateTime} params.to
+ * @param {number} params.minutesBefore
+ * @returns {Promise<UpcomingNotification[]>}
+ */
+async function getEventReminders(user, { from, to, minutesBefore }) {
+  const integration = await getUserIntegration(user, 'google');
+  if (!integration || integration.status === 'expired') {
+    return [];
+  }
+
+  const { timezone, dateFormat } = getUserDateSettings(user);
+  try {
+    const auth = await getGoogleAuthClient(user);
+    const calendar = google.calendar({ version: 'v3', auth });
+    const { data: calendarList } = await calendar.calendarList.list();
+
+    const reminders = [];
+    for (const entry of calendarList.items ?? []) {
+      const { data } = await calendar.events.list({
+        calendarId: entry.id,
+        timeMin: from.toISO(),
+        timeMax: to.toISO(),
+        singleEvents: true,
+        orderBy: 'startTime',
+      });
+      for (const event of data.items ?? []) {
+        const focusBlock = event.extendedProperties?.private?.[FOCUS_BLOCK_PROPERTY] === 'true';
+        if (!event.start?.dateTime || event.status === 'cancelled' || focusBlock) {
+          continue;
+        }
+        const start = DateTime.fromISO(event.start.dateTime);
+        if (start <= from || start > to) {
+          continue;
+        }
+        reminders.push({
+          type: 'event',
+          key: `event:${entry.id}:${event.id}:${start.toUTC().toISO()}`,
+          title: event.summary || 'No Title',
+          body: `Starts ${formatTaskDate(start.setZone(timezone), dateFormat)} · ${entry.summary || entry.id}`,
+          link: event.htmlLink ?? null,
+          dueAt: start.toJSDate(),
+          remindAt: getRemindAt(start, minutesBefore),
+        });
+      }
+    }
+    return reminders;
+  } catch (error) {
+    await handleGoogleError(user, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getTaskReminders,
+  getEventReminders,
+};
@@ -0,0 +1,123 @@
+const { DateTime } = require('luxon');
+const { Task, Project } = require('./taskModels');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const mockCalendar = {
+  calendarList: { list: jest.fn() },
+  events: { list: jest.fn() },
+};
+jest.mock('googleapis', () => ({ google: { calendar: () => mockCalendar } }));
+jest.mock('~/customUtils/googleAuth', () => ({
+  getGoogleAuthClient: jest.fn(async () => ({})),
+  handleGoogleError: jest.fn(),
+}));
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserIntegration: jest.fn(async () => ({ status: 'active' })),
+}));
+jest.mock('~/customUtils/taskProviders', () => ({ getTaskProvider: jest.fn() }));
+
+const TaskProvider = require('./taskProviders/TaskProvider');
+const { getTaskProvider } = require('~/customUtils/taskProviders');
+const { handleGoogleError } = require('~/customUtils/googleAuth');
+const { getUserIntegration } = require('~/server/services/IntegrationService');
+const { getTaskReminders, getEventReminders } = require('./reminders');
+
+const TIMEZONE = 'America/New_York';
+const user = { id: 'user-1', personalization: { timezone: TIMEZONE } };
+/** Monday 2026-10-19, 08:10 in New York */
+const from = DateTime.fromISO('2026-10-19T08:10', { zone: TIMEZONE });
+const to = from.plus({ hours: 2 });
+
+describe('reminders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reminds of the open tasks due in the window, ahead of their due time', async () => {
+    const provider = new TaskProvider({ timezone: TIMEZONE });
+    Object.defineProperty(provider, 'name', { value: 'local' });
+    provider.fetchAllTasks = jest.fn(async () => [
+      new Project('💰 Work', [
+        new Task('Standup notes', false, 2026, 10, 19, 9, 0, '', 't1'),
+        new Task('Submit PR', true, 2026, 10, 19, 9, 30, '', 't2'),
+        new Task('Send invoice', false, 2026, 10, 19, 15, 0, '', 't3'),
+        new Task('Overdue', false, 2026, 10, 18, 9, 0, '', 't4'),
+        new Task('Someday', false, 0, 0, 0, 0, 0, '', 't5'),
+      ]),
+    ]);
+    getTaskProvider.mockResolvedValue(provider);
+
+    const reminders = await getTaskReminders(user, { from, to, minutesBefore: 15 });
+
+    expect(reminders).toEqual([
+      {
+        type: 'task',
+        key: 'task:local:t1:2026-10-19T13:00:00.000Z',
+        title: 'Standup notes',
+        body: 'Due 10/19/2026 09:00 · 💰 Work',
+        provider: 'local',
+        taskId: 't1',
+        dueAt: new Date('2026-10-19T13:00:00Z'),
+        remindAt: new Date('2026-10-19T12:45:00Z'),
+      },
+    ]);
+  });
+
+  it('reminds of timed events, skipping all-day events and focus blocks', async () => {
+    mockCalendar.calendarList.list.mockResolvedValue({
+      data: { items: [{ id: 'primary', summary: 'Work' }] },
+    });
+    mockCalendar.events.list.mockResolvedValue({
+      data: {
+        items: [
+          {
+            id: 'e1',
+            summary: 'Standup',
+            htmlLink: 'https://calendar.google.com/event?eid=e1',
+            start: { dateTime: '2026-10-19T09:00:00-04:00' },
+          },
+          { id: 'e2', summary: 'Holiday', start: { date: '2026-10-19' } },
+          {
+            id: 'e3',
+            summary: 'Focus: Submit PR',
+            start: { dateTime: '2026-10-19T09:30:00-04:00' },
+            extendedProperties: { private: { librechatFocusBlock: 'true' } },
+          },
+        ],
+      },
+    });
+
+    const reminders = await getEventReminders(user, { from, to, minutesBefore: 10 });
+
+    expect(reminders).toEqual([
+      {
+        type: 'event',
+        key: 'event:primary:e1:2026-10-19T13:00:00.000Z',
+        title: 'Standup',
+        body: 'Starts 10/19/2026 09:00 · Work',
+        link: 'https://calendar.google.com/event?eid=e1',
+        dueAt: new Date('2026-10-19T13:00:00Z'),
+        remindAt: new Date('2026-10-19T12:50:00Z'),
+      },
+    ]);
+    expect(mockCalendar.events.list).toHaveBeenCalledWith(
+      expect.objectContaining({ calendarId: 'primary', singleEvents: true }),
+    );
+  });
+
+  it('has no event reminders without Google and reports Google errors', async () => {
+    getUserIntegration.mockResolvedValueOnce(null);
+    expect(await getEventReminders(user, { from, to, minutesBefore: 10 })).toEqual([]);
+    expect(mockCalendar.calendarList.list).not.toHaveBeenCalled();
+
+    const error = new Error('invalid_grant');
+    mockCalendar.calendarList.list.mockRejectedValue(error);
+    await expect(getEventReminders(user, { from, to, minutesBefore: 10 })).rejects.toThrow(
+      'invalid_grant',
+    );
+    expect(handleGoogleError).toHaveBeenCalledWith(user, error);
+  });
+});
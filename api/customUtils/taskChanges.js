@@ -0,0 +1,226 @@
+/**
+ * Converts a computed task diff into a reviewable "proposed changes" artifact and back.
+ * The artifact is attached to the assistant's response message; nothing is written to the
+ * task backend until the user accepts some or all of its changes.
+ */
+
+const TASK_FIELDS = [
+  'name',
+  'completed',
+  'year',
+  'month',
+  'day',
+  'hour',
+  'minute',
+  'content',
+  'id',
+  'projectId',
+  'duration',
+  'repeat',
+  'parent',
+  'parentId',
+];
+
+/**
+ * @param {Task} task
+ * @returns {Object} A plain copy of the task, safe to store on a message.
+ */
+function toPlainTask(task) {
+  const plain = {};
+  for (const field of TASK_FIELDS) {
+    plain[field] = task[field] ?? null;
+  }
+  plain.completed = !!task.completed;
+  plain.content = task.content || '';
+  plain.priority = task.priority ?? 0;
+  plain.tags = [...(task.tags ?? [])];
+  plain.items = (task.items ?? []).map(({ title, completed }) => ({
+    title,
+    completed: !!completed,
+  }));
+  return plain;
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * @param {Task} task
+ * @returns {string | null} The due date as `yyyy-MM-dd HH:mm`, or null when the task has none.
+ */
+function formatDue(task) {
+  if (!task || !(task.year > 0)) {
+    return null;
+  }
+  return `${task.year}-${pad(task.month)}-${pad(task.day)} ${pad(task.hour)}:${pad(task.minute)}`;
+}
+
+/**
+ * Flattens a task diff into a list of individually selectable changes.
+ * @param {TaskDiff} diff
+ * @returns {TaskChangeItem[]}
+ */
+function serializeTaskDiff(diff) {
+  const items = [];
+  /** Subtasks of added parents point at the id of their parent's change */
+  const addIds = new Map(diff.tasks.add.map(({ key }, index) => [key, `add-${index}`]));
+  const parentOf = ({ parentKey }) =>
+    parentKey && addIds.has(parentKey) ? { parentKey: addIds.get(parentKey) } : {};
+
+  diff.tasks.add.forEach((entry, index) => {
+    const { project, task } = entry;
+    items.push({
+      id: `add-${index}`,
+      type: 'add',
+      ...parentOf(entry),
+      project,
+      name: task.name,
+      due: formatDue(task),
+      after: toPlainTask(task),
+    });
+  });
+
+  for (const type of ['update', 'complete']) {
+    diff.tasks[type].forEach((entry, index) => {
+      const { before, after, fromProject, project, changes } = entry;
+      items.push({
+        id: `${type}-${index}`,
+        type,
+        ...parentOf(entry),
+        project,
+        fromProject,
+        name: after.name,
+        previousName: before.name,
+        due: formatDue(after),
+        previousDue: formatDue(before),
+        fields: changes,
+        before: toPlainTask(before),
+        after: toPlainTask(after),
+      });
+    });
+  }
+
+  diff.tasks.delete.forEach(({ project, task }, index) => {
+    items.push({
+      id: `delete-${index}`,
+      type: 'delete',
+      project,
+      name: task.name,
+      due: formatDue(task),
+      before: toPlainTask(task),
+    });
+  });
+
+  diff.projects.delete.forEach(({ id, name }, index) => {
+    items.push({
+      id: `delete_project-${index}`,
+      type: 'delete_project',
+      project: name,
+      name,
+      projectId: id,
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Rebuilds a task diff from the accepted subset of a proposal.
+ *
+ * Projects needed by accepted additions and moves are created on demand. A proposed project
+ * deletion is only kept when every task currently in that project is being deleted or moved
+ * out by an accepted change, so rejecting part of a proposal never deletes tasks indirectly.
+ *
+ * @param {TaskChangeItem[]} items - The changes from the proposal.
+ * @param {string[]} acceptedIds - Ids of the changes the user accepted.
+ * @param {Project[]} [current] - Current projects, used to guard project deletions.
+ * @returns {TaskDiff}
+ */
+function selectTaskChanges(items, acceptedIds, current = []) {
+  const accepted = new Set(acceptedIds);
+  const selected = items.filter((item) => accepted.has(item.id));
+
+  const diff = {
+    projects: { add: [], delete: [] },
+    tasks: { add: [], update: [], complete: [], delete: [] },
+  };
+
+  const projectNames = new Set();
+  const leavingTaskIds = new Set();
+
+  for (const item of selected) {
+    switch (item.type) {
+      case 'add':
+        diff.tasks.add.push({
+          project: item.project,
+          task: item.after,
+          key: item.id,
+          parentKey: item.parentKey,
+        });
+        projectNames.add(item.project);
+        break;
+      case 'update':
+      case 'complete':
+        diff.tasks[item.type].push({
+          before: item.before,
+          after: item.after,
+          fromProject: item.fromProject,
+          project: item.project,
+          changes: item.fields,
+          parentKey: item.parentKey,
+        });
+        if (item.fields.includes('project')) {
+          projectNames.add(item.project);
+          leavingTaskIds.add(item.before.id);
+        }
+        break;
+      case 'delete':
+        diff.tasks.delete.push({ project: item.project, task: item.before });
+        leavingTaskIds.add(item.before.id);
+        break;
+      default:
+        break;
+    }
+  }
+
+  diff.projects.add = [...projectNames].map((name) => ({ name }));
+
+  for (const item of selected) {
+    if (item.type !== 'delete_project') {
+      continue;
+    }
+    const project = current.find((p) =>
+      item.projectId ? p.id === item.projectId : p.name === item.name,
+    );
+    const remaining = (project?.tasks ?? []).filter((task) => !leavingTaskIds.has(task.id));
+    if (remaining.length === 0) {
+      diff.projects.delete.push({ id: item.projectId, name: item.name });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * @typedef {Object} TaskChangeItem
+ * @property {string} id
+ * @property {'add' | 'update' | 'complete' | 'delete' | 'delete_project'} type
+ * @property {string} project - Target project name.
+ * @property {string} [fromProject] - Previous project name, for updates.
+ * @property {string} name
+ * @property {string} [previousName]
+ * @property {string | null} [due]
+ * @property {string | null} [previousDue]
+ * @property {string[]} [fields] - Changed fields, for updates.
+ * @property {string} [parentKey] - Id of the added task's change that becomes the parent.
+ * @property {Object} [before]
+ * @property {Object} [after]
+ * @property {string | null} [projectId] - For project deletions.
+ * @property {boolean} [accepted] - Set once the proposal has been reviewed.
+ */
+
+module.exports = {
+  formatDue,
+  toPlainTask,
+  serializeTaskDiff,
+  selectTaskChanges,
+};
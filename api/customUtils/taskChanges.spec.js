@@ -0,0 +1,82 @@
+const { Task, Project } = require('./taskModels');
+const { diffTasks } = require('./taskDiff');
+const { serializeTaskDiff, selectTaskChanges, formatDue } = require('./taskChanges');
+
+const task = (name, overrides = {}) =>
+  Object.assign(new Task(name, false, 2025, 12, 24, 9, 0, '', null, null), overrides);
+
+describe('taskChanges', () => {
+  const current = [
+    new Project(
+      '✈️ New York Trip',
+      [
+        task('Fly to New York', { id: 't1', projectId: 'p1' }),
+        task('Pack bags', { id: 't2', projectId: 'p1' }),
+      ],
+      'p1',
+    ),
+    new Project('💰 Work', [task('Submit PR', { id: 't3', projectId: 'p2' })], 'p2'),
+  ];
+  const desired = [
+    new Project('💰 Work', [
+      task('Submit PR', { completed: true }),
+      task('Fly to New York', { hour: 11 }),
+      task('Email John'),
+    ]),
+  ];
+
+  it('formats due dates', () => {
+    expect(formatDue(task('x', { month: 1, day: 2, hour: 3, minute: 4 }))).toBe('2025-01-02 03:04');
+    expect(formatDue(task('x', { year: 0 }))).toBeNull();
+  });
+
+  it('serializes every operation as a selectable change', () => {
+    const items = serializeTaskDiff(diffTasks(current, desired));
+    expect(items.map((item) => [item.id, item.type, item.name])).toEqual([
+      ['add-0', 'add', 'Email John'],
+      ['update-0', 'update', 'Fly to New York'],
+      ['complete-0', 'complete', 'Submit PR'],
+      ['delete-0', 'delete', 'Pack bags'],
+      ['delete_project-0', 'delete_project', '✈️ New York Trip'],
+    ]);
+    const update = items.find((item) => item.id === 'update-0');
+    expect(update).toMatchObject({
+      fromProject: '✈️ New York Trip',
+      project: '💰 Work',
+      due: '2025-12-24 11:00',
+      previousDue: '2025-12-24 09:00',
+      fields: ['due', 'project'],
+    });
+    expect(JSON.parse(JSON.stringify(items))).toEqual(items);
+  });
+
+  it('rebuilds a diff from all accepted changes', () => {
+    const items = serializeTaskDiff(diffTasks(current, desired));
+    const diff = selectTaskChanges(
+      items,
+      items.map((item) => item.id),
+      current,
+    );
+    expect(diff.tasks.add).toHaveLength(1);
+    expect(diff.tasks.update).toHaveLength(1);
+    expect(diff.tasks.complete).toHaveLength(1);
+    expect(diff.tasks.delete).toHaveLength(1);
+    expect(diff.projects.add).toEqual([{ name: '💰 Work' }]);
+    expect(diff.projects.delete).toEqual([{ id: 'p1', name: '✈️ New York Trip' }]);
+  });
+
+  it('keeps a project whose tasks were not all accepted for removal', () => {
+    const items = serializeTaskDiff(diffTasks(current, desired));
+    const diff = selectTaskChanges(items, ['add-0', 'delete_project-0'], current);
+    expect(diff.tasks.add).toHaveLength(1);
+    expect(diff.tasks.delete).toHaveLength(0);
+    expect(diff.projects.delete).toHaveLength(0);
+  });
+
+  it('returns an empty diff when everything is rejected', () => {
+    const items = serializeTaskDiff(diffTasks(current, desired));
+    const diff = selectTaskChanges(items, [], current);
+    expect(diff.projects).toEqual({ add: [], delete: [] });
+    expect(Object.values(diff.tasks).flat()).toHaveLength(0);
+  });
+});
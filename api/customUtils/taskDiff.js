@@ -0,0 +1,307 @@
+/**
+ * Reconciles the task list proposed by the assistant against the tasks that currently exist
+ * in the task backend. Tasks are matched by stable identity (backend id when known, otherwise
+ * normalized project + task name) so that unchanged tasks are left untouched.
+ */
+
+const DATE_FIELDS = ['year', 'month', 'day', 'hour', 'minute'];
+
+/**
+ * Normalizes a project or task name for identity matching:
+ * case, emoji, punctuation and repeated whitespace are ignored.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {Task} task
+ * @returns {boolean}
+ */
+function hasDueDate(task) {
+  return (task.year ?? 0) > 0;
+}
+
+/**
+ * @param {string[] | undefined} tags
+ * @returns {string} The tags in a comparable form; order and case are ignored.
+ */
+function tagsKey(tags) {
+  return [...new Set((tags ?? []).map((tag) => tag.toLowerCase()))].sort().join(' ');
+}
+
+/**
+ * @param {Array<{ title: string, completed: boolean }> | undefined} items
+ * @returns {string} The checklist in a comparable form.
+ */
+function itemsKey(items) {
+  return JSON.stringify((items ?? []).map(({ title, completed }) => [title, !!completed]));
+}
+
+/**
+ * Lists the fields that differ between an existing task and its proposed version.
+ * @param {Task} before
+ * @param {Task} after
+ * @param {string} beforeProject
+ * @param {string} afterProject
+ * @returns {string[]}
+ */
+function getTaskChanges(before, after, beforeProject, afterProject) {
+  const changes = [];
+  if (before.name !== after.name) {
+    changes.push('name');
+  }
+  if ((before.content || '') !== (after.content || '')) {
+    changes.push('content');
+  }
+  if (!!before.completed !== !!after.completed) {
+    changes.push('completed');
+  }
+
+  const dueChanged = hasDueDate(before)
+    ? !hasDueDate(after) || DATE_FIELDS.some((field) => before[field] !== after[field])
+    : hasDueDate(after);
+  if (dueChanged) {
+    changes.push('due');
+  }
+  if ((before.duration ?? null) !== (after.duration ?? null)) {
+    changes.push('duration');
+  }
+  if ((before.repeat ?? null) !== (after.repeat ?? null)) {
+    changes.push('repeat');
+  }
+  if ((before.priority ?? 0) !== (after.priority ?? 0)) {
+    changes.push('priority');
+  }
+  if (tagsKey(before.tags) !== tagsKey(after.tags)) {
+    changes.push('tags');
+  }
+  if (itemsKey(before.items) !== itemsKey(after.items)) {
+    changes.push('items');
+  }
+  if (normalizeName(before.parent) !== normalizeName(after.parent)) {
+    changes.push('parent');
+  }
+
+  if (normalizeName(beforeProject) !== normalizeName(afterProject)) {
+    changes.push('project');
+  }
+  return changes;
+}
+
+/**
+ * Flattens a project list into entries that remember the project each task belongs to.
+ * @param {Project[]} projects
+ * @returns {Array<{ task: Task, project: Project, key: string, projectKey: string }>}
+ */
+function flattenProjects(projects = []) {
+  const entries = [];
+  for (const project of projects) {
+    for (const task of project.tasks || []) {
+      entries.push({
+        task,
+        project,
+        key: normalizeName(task.name),
+        projectKey: normalizeName(project.name),
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Computes the operations needed to turn `current` into `desired`.
+ *
+ * Matching is done in three passes, each only considering tasks not matched yet:
+ * 1. by backend id, when the proposed task carries one;
+ * 2. by normalized project + task name;
+ * 3. by normalized task name alone, which detects tasks moved between projects.
+ *
+ * Unmatched proposed tasks are added. Unmatched open tasks are deleted; unmatched completed
+ * tasks are kept so that completion history survives the assistant omitting them.
+ *
+ * Proposed subtasks get the `parentId` of their parent when it already exists. Added tasks get a
+ * `key`, and subtasks of added parents the `parentKey` of their parent, which links them when
+ * the diff is applied; a parent is the closest task before its subtask with the parent's name.
+ *
+ * @param {Project[]} current - Projects and tasks as fetched from the backend.
+ * @param {Project[]} desired - Projects and tasks proposed by the assistant.
+ * @returns {TaskDiff}
+ */
+function diffTasks(current = [], desired = []) {
+  const currentEntries = flattenProjects(current);
+  const desiredEntries = flattenProjects(desired);
+
+  /** @type {Map<object, object>} desired entry -> current entry */
+  const matches = new Map();
+  const matchedCurrent = new Set();
+
+  const match = (predicate) => {
+    for (const wanted of desiredEntries) {
+      if (matches.has(wanted)) {
+        continue;
+      }
+      const existing = currentEntries.find(
+        (entry) => !matchedCurrent.has(entry) && predicate(entry, wanted),
+      );
+      if (existing) {
+        matches.set(wanted, existing);
+        matchedCurrent.add(existing);
+      }
+    }
+  };
+
+  match((entry, wanted) => wanted.task.id != null && entry.task.id === wanted.task.id);
+  match((entry, wanted) => entry.projectKey === wanted.projectKey && entry.key === wanted.key);
+  match((entry, wanted) => entry.key === wanted.key);
+
+  /** @type {Map<object, object>} desired entry -> its parent's desired entry */
+  const parents = new Map();
+  desiredEntries.forEach((wanted, index) => {
+    const parentName = normalizeName(wanted.task.parent);
+    const isParent = (entry) => entry.projectKey === wanted.projectKey && entry.key === parentName;
+    const parent = parentName
+      ? (desiredEntries.slice(0, index).findLast(isParent) ?? desiredEntries.find(isParent))
+      : null;
+    if (parent) {
+      parents.set(wanted, parent);
+    }
+    wanted.task.parentId = parent ? (matches.get(parent)?.task.id ?? null) : null;
+  });
+
+  /** @type {Map<object, string>} added desired entry -> its key */
+  const addedKeys = new Map();
+  for (const wanted of desiredEntries) {
+    if (!matches.has(wanted)) {
+      addedKeys.set(wanted, `add-${addedKeys.size}`);
+    }
+  }
+  const parentKeyOf = (wanted) => {
+    const parent = parents.get(wanted);
+    return parent ? addedKeys.get(parent) : undefined;
+  };
+
+  const tasks = { add: [], update: [], complete: [], delete: [] };
+
+  for (const wanted of desiredEntries) {
+    const existing = matches.get(wanted);
+    if (!existing) {
+      const parentKey = parentKeyOf(wanted);
+      tasks.add.push({
+        project: wanted.project.name,
+        task: wanted.task,
+        key: addedKeys.get(wanted),
+        ...(parentKey ? { parentKey } : {}),
+      });
+      continue;
+    }
+
+    const changes = getTaskChanges(
+      existing.task,
+      wanted.task,
+      existing.project.name,
+      wanted.project.name,
+    );
+    if (changes.length === 0) {
+      continue;
+    }
+
+    const parentKey = parentKeyOf(wanted);
+    const change = {
+      before: existing.task,
+      after: wanted.task,
+      fromProject: existing.project.name,
+      project: wanted.project.name,
+      changes,
+      ...(parentKey ? { parentKey } : {}),
+    };
+    if (changes.includes('completed') && wanted.task.completed) {
+      tasks.complete.push(change);
+    } else {
+      tasks.update.push(change);
+    }
+  }
+
+  for (const entry of currentEntries) {
+    if (!matchedCurrent.has(entry) && !entry.task.completed) {
+      tasks.delete.push({ project: entry.project.name, task: entry.task });
+    }
+  }
+
+  const currentProjectKeys = new Set(current.map((project) => normalizeName(project.name)));
+  const desiredProjectKeys = new Set(desired.map((project) => normalizeName(project.name)));
+  const keptProjectKeys = new Set(
+    currentEntries
+      .filter((entry) => !matchedCurrent.has(entry) && entry.task.completed)
+      .map((entry) => entry.projectKey),
+  );
+
+  const projects = {
+    add: desired
+      .filter((project) => !currentProjectKeys.has(normalizeName(project.name)))
+      .map((project) => ({ name: project.name })),
+    delete: current
+      .filter((project) => {
+        const key = normalizeName(project.name);
+        return key !== 'inbox' && !desiredProjectKeys.has(key) && !keptProjectKeys.has(key);
+      })
+      .map((project) => ({ id: project.id ?? null, name: project.name })),
+  };
+
+  return { projects, tasks };
+}
+
+/**
+ * @param {TaskDiff} diff
+ * @returns {boolean} Whether the diff contains no operations.
+ */
+function isEmptyDiff(diff) {
+  return (
+    diff.projects.add.length === 0 &&
+    diff.projects.delete.length === 0 &&
+    Object.values(diff.tasks).every((list) => list.length === 0)
+  );
+}
+
+/**
+ * @typedef {Object} TaskChange
+ * @property {Task} before
+ * @property {Task} after
+ * @property {string} fromProject
+ * @property {string} project
+ * @property {string[]} changes - Any of `name`, `content`, `completed`, `due`, `duration`,
+ *   `repeat`, `priority`, `tags`, `items`, `parent`, `project`.
+ * @property {string} [parentKey] - `key` of the added task that becomes the parent.
+ */
+
+/**
+ * @typedef {Object} TaskAddition
+ * @property {string} project
+ * @property {Task} task
+ * @property {string} [key] - Identifies the task within the diff until it has a backend id.
+ * @property {string} [parentKey] - `key` of the added task that is its parent.
+ */
+
+/**
+ * @typedef {Object} TaskDiff
+ * @property {{ add: Array<{ name: string }>, delete: Array<{ id: string | null, name: string }> }} projects
+ * @property {{
+ *   add: TaskAddition[],
+ *   update: TaskChange[],
+ *   complete: TaskChange[],
+ *   delete: Array<{ project: string, task: Task }>,
+ * }} tasks
+ */
+
+module.exports = {
+  diffTasks,
+  isEmptyDiff,
+  normalizeName,
+  getTaskChanges,
+};
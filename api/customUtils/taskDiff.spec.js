@@ -0,0 +1,241 @@
+const { Task, Project, TickTickManager } = require('./ticktickUtils');
+const { diffTasks, isEmptyDiff, normalizeName } = require('./taskDiff');
+
+const task = (name, overrides = {}) =>
+  Object.assign(new Task(name, false, 2025, 12, 24, 9, 0, '', null, null), overrides);
+
+describe('normalizeName', () => {
+  it('ignores case, emoji, punctuation and spacing', () => {
+    expect(normalizeName('✈️  New York Trip!')).toBe('new york trip');
+    expect(normalizeName('Email  John-Doe')).toBe(normalizeName('email john doe'));
+  });
+});
+
+describe('diffTasks', () => {
+  const current = () => [
+    new Project(
+      '✈️ New York Trip',
+      [
+        task('Fly to New York', { id: 't1', projectId: 'p1' }),
+        task('Pack bags', { id: 't2', projectId: 'p1' }),
+      ],
+      'p1',
+    ),
+    new Project(
+      '💰 Work',
+      [
+        task('Submit PR', { id: 't3', projectId: 'p2' }),
+        task('Old report', { id: 't4', projectId: 'p2', completed: true }),
+      ],
+      'p2',
+    ),
+  ];
+
+  it('returns an empty diff when nothing changed', () => {
+    const desired = [
+      new Project('✈️ New York Trip', [task('Fly to New York'), task('Pack bags')]),
+      new Project('💰 Work', [task('Submit PR')]),
+    ];
+    const diff = diffTasks(current(), desired);
+    expect(isEmptyDiff(diff)).toBe(true);
+  });
+
+  it('keeps unmatched completed tasks and deletes unmatched open tasks', () => {
+    const desired = [
+      new Project('✈️ New York Trip', [task('Fly to New York')]),
+      new Project('💰 Work', [task('Submit PR')]),
+    ];
+    const diff = diffTasks(current(), desired);
+    expect(diff.tasks.delete.map(({ task }) => task.id)).toEqual(['t2']);
+    expect(diff.tasks.update).toHaveLength(0);
+    expect(diff.projects.delete).toHaveLength(0);
+  });
+
+  it('detects updates, completions, moves and additions', () => {
+    const desired = [
+      new Project('✈️ New York Trip', [
+        task('Fly to New York', { hour: 11, duration: 90 }),
+        task('Pack bags', { completed: true }),
+      ]),
+      new Project('🏠 Home', [task('Submit PR'), task('Water plants')]),
+    ];
+    const diff = diffTasks(current(), desired);
+
+    expect(diff.tasks.update).toHaveLength(2);
+    const flight = diff.tasks.update.find((c) => c.before.id === 't1');
+    expect(flight.changes).toEqual(['due', 'duration']);
+    const moved = diff.tasks.update.find((c) => c.before.id === 't3');
+    expect(moved.changes).toEqual(['project']);
+    expect(moved.project).toBe('🏠 Home');
+
+    expect(diff.tasks.complete.map((c) => c.before.id)).toEqual(['t2']);
+    expect(diff.tasks.add.map(({ task }) => task.name)).toEqual(['Water plants']);
+    expect(diff.tasks.delete).toHaveLength(0);
+    expect(diff.projects.add).toEqual([{ name: '🏠 Home' }]);
+    // "Work" still holds a completed task, so it is not deleted
+    expect(diff.projects.delete).toHaveLength(0);
+  });
+
+  it('detects recurrence, priority, tag, checklist and parent changes', () => {
+    const desired = [
+      new Project('✈️ New York Trip', [
+        task('Fly to New York', { priority: 5, tags: ['travel'] }),
+        task('Pack bags', {
+          repeat: 'FREQ=YEARLY',
+          items: [{ title: 'Passport', completed: false }],
+          parent: 'Fly to New York',
+        }),
+      ]),
+      new Project('💰 Work', [task('Submit PR', { parent: 'Write tests' }), task('Write tests')]),
+    ];
+    const diff = diffTasks(current(), desired);
+
+    const changes = Object.fromEntries(diff.tasks.update.map((c) => [c.before.id, c.changes]));
+    expect(changes).toEqual({
+      t1: ['priority', 'tags'],
+      t2: ['repeat', 'items', 'parent'],
+      t3: ['parent'],
+    });
+    // Existing parents are linked by id; new parents once they are created
+    expect(diff.tasks.update.find((c) => c.before.id === 't2').after.parentId).toBe('t1');
+    expect(diff.tasks.update.find((c) => c.before.id === 't3').after.parentId).toBeNull();
+  });
+
+  it('ignores the order and case of tags', () => {
+    const before = [new Project('💰 Work', [task('Submit PR', { tags: ['Dev', 'github'] })])];
+    const after = [new Project('💰 Work', [task('Submit PR', { tags: ['github', 'dev'] })])];
+    expect(isEmptyDiff(diffTasks(before, after))).toBe(true);
+  });
+
+  it('deletes projects that no longer hold any tasks', () => {
+    const desired = [new Project('💰 Work', [task('Submit PR')])];
+    const diff = diffTasks(current(), desired);
+    expect(diff.projects.delete).toEqual([{ id: 'p1', name: '✈️ New York Trip' }]);
+  });
+
+  it('prefers matching by id over matching by name', () => {
+    const desired = [
+      new Project('✈️ New York Trip', [
+        task('Catch flight to NYC', { id: 't1' }),
+        task('Pack bags'),
+      ]),
+      new Project('💰 Work', [task('Submit PR')]),
+    ];
+    const diff = diffTasks(current(), desired);
+    expect(diff.tasks.update).toHaveLength(1);
+    expect(diff.tasks.update[0].changes).toEqual(['name']);
+    expect(diff.tasks.add).toHaveLength(0);
+  });
+});
+
+describe('TickTickManager.applyTaskDiff', () => {
+  it('only sends changed tasks through the batch endpoints', async () => {
+    const manager = new TickTickManager();
+    manager.projectIds = new Map([
+      ['new york trip', 'p1'],
+      ['inbox', 'inbox123'],
+    ]);
+    manager.rawTasks = new Map([
+      ['t1', { id: 't1', projectId: 'p1', reminders: ['TRIGGER:PT0S'] }],
+    ]);
+    const makeApiRequest = jest.spyOn(manager, 'makeApiRequest').mockResolvedValue({});
+
+    const before = task('Fly to New York', { id: 't1', projectId: 'p1' });
+    const ok = await manager.applyTaskDiff({
+      projects: { add: [{ name: '🏠 Home' }], delete: [] },
+      tasks: {
+        add: [{ project: '🏠 Home', task: task('Water plants') }],
+        update: [
+          {
+            before,
+            after: task('Fly to New York', { hour: 11 }),
+            fromProject: '✈️ New York Trip',
+            project: '✈️ New York Trip',
+            changes: ['due'],
+          },
+        ],
+        complete: [],
+        delete: [],
+      },
+    });
+
+    expect(ok).toBe(true);
+    expect(makeApiRequest).toHaveBeenCalledTimes(2);
+    const [, projectEndpoint, projectPayload] = makeApiRequest.mock.calls[0];
+    expect(projectEndpoint).toBe('/batch/project');
+    expect(projectPayload.add[0].name).toBe('🏠 Home');
+
+    const [, taskEndpoint, taskPayload] = makeApiRequest.mock.calls[1];
+    expect(taskEndpoint).toBe('/batch/task');
+    expect(taskPayload.add[0].projectId).toBe(projectPayload.add[0].id);
+    expect(taskPayload.update[0]).toMatchObject({
+      id: 't1',
+      projectId: 'p1',
+      reminders: ['TRIGGER:PT0S'],
+    });
+    expect(taskPayload.delete).toEqual([]);
+  });
+
+  it('links subtasks to parents added in the same batch, even with the same name', async () => {
+    const manager = new TickTickManager();
+    manager.projectIds = new Map([['inbox', 'inbox123']]);
+    const makeApiRequest = jest.spyOn(manager, 'makeApiRequest').mockResolvedValue({});
+
+    const diff = diffTasks(
+      [],
+      [
+        new Project('Inbox', [
+          task('Pack bags', { content: 'Trip' }),
+          task('Passport', { parent: 'Pack bags' }),
+          task('Pack bags', { content: 'Gym' }),
+          task('Towel', { parent: 'Pack bags' }),
+        ]),
+      ],
+    );
+    expect(diff.tasks.add.map(({ key, parentKey }) => [key, parentKey])).toEqual([
+      ['add-0', undefined],
+      ['add-1', 'add-0'],
+      ['add-2', undefined],
+      ['add-3', 'add-2'],
+    ]);
+    await manager.applyTaskDiff(diff);
+
+    const [, , taskPayload] = makeApiRequest.mock.calls[0];
+    const [trip, passport, gym, towel] = taskPayload.add;
+    expect(trip.id).not.toBe(gym.id);
+    expect(passport.parentId).toBe(trip.id);
+    expect(towel.parentId).toBe(gym.id);
+    expect(makeApiRequest.mock.calls[1]).toEqual([
+      'POST',
+      '/batch/taskParent',
+      [
+        { taskId: passport.id, projectId: 'inbox123', parentId: trip.id },
+        { taskId: towel.id, projectId: 'inbox123', parentId: gym.id },
+      ],
+    ]);
+  });
+
+  it('looks up the inbox when it holds no tasks yet', async () => {
+    const manager = new TickTickManager();
+    const makeApiRequest = jest
+      .spyOn(manager, 'makeApiRequest')
+      .mockImplementation(async (method, endpoint) =>
+        endpoint === '/user/status' ? { inboxId: 'inbox123' } : {},
+      );
+
+    await manager.applyTaskDiff({
+      projects: { add: [], delete: [] },
+      tasks: {
+        add: [{ project: 'Inbox', task: task('Call mom') }],
+        update: [],
+        complete: [],
+        delete: [],
+      },
+    });
+
+    const [, , taskPayload] = makeApiRequest.mock.calls.find(
+      ([, endpoint]) => endpoint === '/batch/task',
+    );
+    expect(taskPayload.add[0].projectId).toBe('inbox123');
+  });
+});
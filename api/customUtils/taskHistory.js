@@ -0,0 +1,160 @@
+/**
+ * Change sets record each run of task changes written to a task provider, with snapshots of
+ * every affected task before and after the run. Reverting a change set computes the diff that
+ * puts those tasks back, against the tasks as they are now.
+ */
+
+const { Task, Project } = require('~/customUtils/taskModels');
+const { diffTasks, normalizeName } = require('~/customUtils/taskDiff');
+const { toPlainTask } = require('~/customUtils/taskChanges');
+
+/**
+ * Finds a task by backend id, or by name within the named project.
+ * @param {Project[]} projects
+ * @param {{ id?: string | null, name: string }} task
+ * @param {string} projectName
+ * @returns {{ task: Task, project: Project } | null}
+ */
+function findTask(projects, { id, name }, projectName) {
+  const entries = projects.flatMap((project) => project.tasks.map((task) => ({ task, project })));
+  if (id != null) {
+    const byId = entries.find((entry) => entry.task.id === id);
+    if (byId) {
+      return byId;
+    }
+  }
+  const projectKey = normalizeName(projectName);
+  const key = normalizeName(name);
+  return (
+    entries.find(
+      (entry) =>
+        normalizeName(entry.project.name) === projectKey && normalizeName(entry.task.name) === key,
+    ) ?? null
+  );
+}
+
+/**
+ * Replaces the proposed `before`/`after` of applied changes with snapshots of the tasks as they
+ * were right before and after the run, so that reverting uses the ids the backend assigned.
+ * @param {TaskChangeItem[]} changes - The applied changes.
+ * @param {Project[]} before - Tasks fetched before the run.
+ * @param {Project[]} after - Tasks fetched after the run.
+ * @returns {TaskChangeItem[]}
+ */
+function snapshotTaskChanges(changes, before, after) {
+  const snapshot = (projects, task, projectName) => {
+    const found = task ? findTask(projects, task, projectName) : null;
+    return found ? toPlainTask(found.task) : (task ?? null);
+  };
+
+  return changes.map((change) => {
+    const { accepted: _accepted, ...item } = change;
+    const fromProject = change.fromProject ?? change.project;
+    switch (change.type) {
+      case 'add':
+        return { ...item, after: snapshot(after, change.after, change.project) };
+      case 'update':
+      case 'complete':
+        return {
+          ...item,
+          before: snapshot(before, change.before, fromProject),
+          after: snapshot(
+            after,
+            { id: change.before?.id, name: change.after?.name ?? change.name },
+            change.project,
+          ),
+        };
+      case 'delete':
+        return { ...item, before: snapshot(before, change.before, change.project) };
+      default:
+        return item;
+    }
+  });
+}
+
+/**
+ * @param {TaskDiff} diff
+ * @param {Array<{ name: string }>} existing - Projects that existed before the run.
+ * @returns {string[]} Names of the projects the diff creates.
+ */
+function getCreatedProjects(diff, existing) {
+  const keys = new Set(existing.map((project) => normalizeName(project.name)));
+  return diff.projects.add.map(({ name }) => name).filter((name) => !keys.has(normalizeName(name)));
+}
+
+/**
+ * Computes the diff that reverts a change set: added tasks are deleted, updated and completed
+ * tasks get their previous values back, and deleted tasks are created again. Tasks changed
+ * since are reverted too; added tasks that are gone already are skipped. Projects created by the
+ * change set are removed when reverting leaves them empty.
+ * @param {{ changes: TaskChangeItem[], createdProjects?: string[] }} changeSet
+ * @param {Project[]} current - Tasks as they are now.
+ * @returns {TaskDiff}
+ */
+function getRevertDiff({ changes, createdProjects = [] }, current) {
+  const desired = current.map(
+    (project) =>
+      new Project(
+        project.name,
+        project.tasks.map((task) => Object.assign(new Task(), task)),
+        project.id,
+      ),
+  );
+
+  const remove = (found) => {
+    found.project.tasks = found.project.tasks.filter((task) => task !== found.task);
+  };
+  const restore = (task, projectName, id) => {
+    let project = desired.find(
+      (candidate) => normalizeName(candidate.name) === normalizeName(projectName),
+    );
+    if (!project) {
+      project = new Project(projectName, []);
+      desired.push(project);
+    }
+    project.tasks.push(Object.assign(new Task(), task, { id, projectId: project.id }));
+  };
+
+  for (const change of [...changes].reverse()) {
+    const fromProject = change.fromProject ?? change.project;
+    switch (change.type) {
+      case 'add': {
+        const found = change.after ? findTask(desired, change.after, change.project) : null;
+        if (found) {
+          remove(found);
+        }
+        break;
+      }
+      case 'update':
+      case 'complete': {
+        const found = change.after ? findTask(desired, change.after, change.project) : null;
+        if (found) {
+          remove(found);
+        }
+        restore(change.before, fromProject, found?.task.id ?? null);
+        break;
+      }
+      case 'delete':
+        if (!findTask(desired, change.before, change.project)) {
+          restore(change.before, change.project, null);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  const created = new Set(createdProjects.map(normalizeName));
+  return diffTasks(
+    current,
+    desired.filter(
+      (project) => project.tasks.length > 0 || !created.has(normalizeName(project.name)),
+    ),
+  );
+}
+
+module.exports = {
+  snapshotTaskChanges,
+  getCreatedProjects,
+  getRevertDiff,
+};
@@ -0,0 +1,101 @@
+const { Task, Project } = require('./taskModels');
+const { diffTasks, isEmptyDiff } = require('./taskDiff');
+const { serializeTaskDiff } = require('./taskChanges');
+const { snapshotTaskChanges, getCreatedProjects, getRevertDiff } = require('./taskHistory');
+
+const task = (name, overrides = {}) =>
+  Object.assign(new Task(name, false, 2025, 12, 24, 9, 0, '', null, null), overrides);
+
+describe('taskHistory', () => {
+  const before = [
+    new Project(
+      '✈️ New York Trip',
+      [
+        task('Fly to New York', { id: 't1', projectId: 'p1' }),
+        task('Pack bags', { id: 't2', projectId: 'p1', content: 'Passport' }),
+      ],
+      'p1',
+    ),
+    new Project('💰 Work', [task('Submit PR', { id: 't3', projectId: 'p2' })], 'p2'),
+  ];
+  /** The tasks after the assistant moved, completed, added and dropped some of them */
+  const after = [
+    new Project('✈️ New York Trip', [], 'p1'),
+    new Project(
+      '💰 Work',
+      [
+        task('Submit PR', { id: 't3', projectId: 'p2', completed: true }),
+        task('Fly to New York', { id: 't1', projectId: 'p2', hour: 11 }),
+      ],
+      'p2',
+    ),
+    new Project('🏠 Home', [task('Water plants', { id: 't9', projectId: 'p3' })], 'p3'),
+  ];
+  const diff = diffTasks(before, [
+    new Project('💰 Work', [
+      task('Submit PR', { completed: true }),
+      task('Fly to New York', { hour: 11 }),
+    ]),
+    new Project('🏠 Home', [task('Water plants')]),
+  ]);
+  const changes = serializeTaskDiff(diff).map((change) => ({ ...change, accepted: true }));
+
+  it('records the tasks as they were before and after the run', () => {
+    const snapshots = snapshotTaskChanges(changes, before, after);
+
+    expect(snapshots.find((change) => change.type === 'add').after).toMatchObject({
+      id: 't9',
+      projectId: 'p3',
+      name: 'Water plants',
+    });
+    expect(snapshots.find((change) => change.type === 'update')).toMatchObject({
+      before: { id: 't1', projectId: 'p1', hour: 9 },
+      after: { id: 't1', projectId: 'p2', hour: 11 },
+    });
+    expect(snapshots.find((change) => change.type === 'delete').before).toMatchObject({
+      id: 't2',
+      content: 'Passport',
+    });
+    expect(snapshots.every((change) => change.accepted === undefined)).toBe(true);
+    expect(getCreatedProjects(diff, before)).toEqual(['🏠 Home']);
+  });
+
+  it('reverts a change set against the current tasks', () => {
+    const changeSet = {
+      changes: snapshotTaskChanges(changes, before, after),
+      createdProjects: ['🏠 Home'],
+    };
+    const revert = getRevertDiff(changeSet, after);
+
+    expect(revert.tasks.delete).toEqual([
+      { project: '🏠 Home', task: expect.objectContaining({ id: 't9' }) },
+    ]);
+    expect(revert.tasks.update).toEqual([
+      expect.objectContaining({
+        before: expect.objectContaining({ id: 't1' }),
+        after: expect.objectContaining({ id: 't1', hour: 9 }),
+        fromProject: '💰 Work',
+        project: '✈️ New York Trip',
+        changes: ['due', 'project'],
+      }),
+      expect.objectContaining({
+        before: expect.objectContaining({ id: 't3', completed: true }),
+        after: expect.objectContaining({ id: 't3', completed: false }),
+        changes: ['completed'],
+      }),
+    ]);
+    expect(revert.tasks.add).toEqual([
+      {
+        project: '✈️ New York Trip',
+        task: expect.objectContaining({ id: null, name: 'Pack bags', content: 'Passport' }),
+        key: 'add-0',
+      },
+    ]);
+    expect(revert.projects).toEqual({ add: [], delete: [{ id: 'p3', name: '🏠 Home' }] });
+  });
+
+  it('has nothing to revert once the tasks are back', () => {
+    const changeSet = { changes: snapshotTaskChanges(changes, before, after) };
+    expect(isEmptyDiff(getRevertDiff(changeSet, before))).toBe(true);
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Parses the task list format the assistant is instructed to answer with (see `customFormat` in
+ * `BaseClient.buildContextPrompt`):
+ *
+ *     ✈️ New York Trip
+ *       [ ] <12/24/2025 21:00> Check in to flight (#15m) !high #travel
+ *         > Seat 14C
+ *         > [ ] Print boarding pass
+ *         [ ] Pick a seat
+ *       [x] Book hotel
+ *       [ ] <12/26/2025 09:00> Water the plants 🔁 FREQ=DAILY
+ *
+ * - A project header is a line starting with an emoji or a markdown heading (`#`).
+ * - A task is a checkbox (`[ ]`, `[x]`), optionally after a list marker, followed by an optional
+ *   `<date time>`, the task name and optional attributes in any order: a duration tag (`(#15m)`,
+ *   `(#1h30m)`), a priority (`!high`, `!medium`, `!low`), a recurrence rule (`🔁 FREQ=...`) and
+ *   tags (`#tag`).
+ * - A task indented below another task is its subtask.
+ * - Lines indented below a task, or starting with `>`, are its notes; quoted checkboxes
+ *   (`> [ ] ...`) are its checklist items.
+ * - Any other line is prose and ends the current project.
+ *
+ * Problems are reported as diagnostics with their line number instead of being guessed at.
+ */
+
+const { DateTime } = require('luxon');
+const { DEFAULT_DATE_FORMAT } = require('librechat-data-provider');
+const { TASK_PRIORITIES, Task, Project, normalizeRepeat } = require('./taskModels');
+
+/** Time used for tasks dated without a time of day. */
+const DEFAULT_TASK_HOUR = 9;
+
+const TASK_PATTERN = /^(\s*)(?:(?:[-*+]|\d+[.)])\s+)?\[([ xX✓✔])\]\s*(.*)$/u;
+const DATE_PATTERN = /^<([^>]*)>\s*/;
+const DURATION_PATTERN = /\s*\(#(?:(\d+)h)?\s*(?:(\d+)m)?\)\s*$/i;
+const PRIORITY_PATTERN = /\s+!(high|medium|low|none)\s*$/i;
+const REPEAT_PATTERN = /\s*🔁\s*((?:RRULE:)?[A-Z]+=[\w=;,:+-]+)\s*$/iu;
+const TAG_PATTERN = /\s+#(\p{L}[\p{L}\p{N}_/-]*)\s*$/u;
+const ATTRIBUTE_PATTERNS = {
+  duration: DURATION_PATTERN,
+  priority: PRIORITY_PATTERN,
+  repeat: REPEAT_PATTERN,
+  tag: TAG_PATTERN,
+};
+const CHECKLIST_PATTERN = /^\[([ xX✓✔])\]\s*(.*)$/u;
+const HEADING_PATTERN = /^#{1,6}\s+(.*)$/;
+const EMOJI_PATTERN = /^\p{Extended_Pictographic}/u;
+const FENCE_PATTERN = /^\s*```/;
+
+const TIME_FORMATS = ['H:mm', 'h:mm a', 'h:mma', 'h a', 'ha'];
+
+/**
+ * @typedef {Object} TaskListDiagnostic
+ * @property {number} line - 1-based line number in the parsed text.
+ * @property {'error' | 'warning'} severity - Errors make the parsed list unusable.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} TaskListParseResult
+ * @property {Project[]} projects
+ * @property {TaskListDiagnostic[]} diagnostics
+ */
+
+/**
+ * Date formats accepted in `<...>`: the user's format (with optional leading zeros), ISO and
+ * written-out month names. Formats with the other day/month order are not tried, as they are ambiguous.
+ * @param {string} dateFormat
+ * @returns {string[]}
+ */
+function getDateFormats(dateFormat) {
+  const lenient = dateFormat.replace('MM', 'M').replace('dd', 'd');
+  return [...new Set([lenient, 'yyyy-M-d', 'LLL d, yyyy', 'LLLL d, yyyy', 'd LLL yyyy'])];
+}
+
+/**
+ * Parses the contents of a `<...>` date tag.
+ * @param {string} value
+ * @param {string} dateFormat
+ * @returns {{ date: DateTime, hasTime: boolean } | null}
+ */
+function parseTaskDate(value, dateFormat) {
+  const text = value.trim().replace(/\s+/g, ' ');
+  for (const format of getDateFormats(dateFormat)) {
+    for (const timeFormat of TIME_FORMATS) {
+      const date = DateTime.fromFormat(text, `${format} ${timeFormat}`, { zone: 'utc' });
+      if (date.isValid) {
+        return { date, hasTime: true };
+      }
+    }
+    const date = DateTime.fromFormat(text, format, { zone: 'utc' });
+    if (date.isValid) {
+      return { date, hasTime: false };
+    }
+  }
+  const iso = DateTime.fromISO(text, { zone: 'utc' });
+  if (iso.isValid) {
+    return { date: iso, hasTime: text.includes('T') };
+  }
+  return null;
+}
+
+/**
+ * Returns the project name of a header line, or null when the line is not a header.
+ * Markdown emphasis and a trailing colon are dropped.
+ * @param {string} line
+ * @returns {string | null}
+ */
+function parseProjectHeader(line) {
+  let text = line.trim();
+  const heading = text.match(HEADING_PATTERN);
+  text = (heading ? heading[1] : text)
+    .replace(/^[*_]+|[*_]+$/g, '')
+    .replace(/:$/, '')
+    .trim();
+  if (!text || (!heading && !EMOJI_PATTERN.test(text))) {
+    return null;
+  }
+  return text;
+}
+
+/**
+ * Matches the attribute at the end of a task line. Attributes follow the name in any order,
+ * so they are stripped from the end one at a time.
+ * @param {string} text
+ * @returns {{ kind: 'duration' | 'priority' | 'repeat' | 'tag', match: RegExpMatchArray } | null}
+ */
+function matchAttribute(text) {
+  for (const [kind, pattern] of Object.entries(ATTRIBUTE_PATTERNS)) {
+    const match = text.match(pattern);
+    if (match && (kind !== 'duration' || match[1] || match[2])) {
+      return { kind, match };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses the remainder of a task line after its checkbox.
+ * @param {string} text
+ * @param {Object} params
+ * @param {boolean} params.completed
+ * @param {string} params.dateFormat
+ * @param {(severity: TaskListDiagnostic['severity'], message: string) => void} params.report
+ * @returns {Task | null}
+ */
+function parseTask(text, { completed, dateFormat, report }) {
+  let rest = text.trim();
+  let due = null;
+
+  const dateMatch = rest.match(DATE_PATTERN);
+  if (dateMatch) {
+    due = parseTaskDate(dateMatch[1], dateFormat);
+    if (!due) {
+      report('error', `Unrecognized date "${dateMatch[1]}"; expected ${dateFormat} HH:mm`);
+      return null;
+    }
+    if (!due.hasTime) {
+      report('warning', `No time given for "${dateMatch[1]}"; using ${DEFAULT_TASK_HOUR}:00`);
+    }
+    rest = rest.slice(dateMatch[0].length);
+  }
+
+  let duration = null;
+  let priority = TASK_PRIORITIES.none;
+  let repeat = null;
+  const tags = [];
+  for (let attribute = matchAttribute(rest); attribute; attribute = matchAttribute(rest)) {
+    const { kind, match } = attribute;
+    rest = rest.slice(0, match.index);
+    if (kind === 'duration') {
+      duration = Number(match[1] ?? 0) * 60 + Number(match[2] ?? 0);
+    } else if (kind === 'priority') {
+      priority = TASK_PRIORITIES[match[1].toLowerCase()];
+    } else if (kind === 'tag') {
+      tags.unshift(match[1]);
+    } else {
+      repeat = normalizeRepeat(match[1]);
+      if (!repeat) {
+        report('warning', `Ignored recurrence "${match[1]}"; expected an RRULE with FREQ`);
+      }
+    }
+  }
+
+  const name = rest.trim();
+  if (!name) {
+    report('error', 'Task has no name');
+    return null;
+  }
+
+  const date = due?.date;
+  const timed = date != null && due.hasTime;
+  const hour = date != null && !timed ? DEFAULT_TASK_HOUR : (date?.hour ?? 0);
+  const task = new Task(
+    name,
+    completed,
+    date?.year ?? 0,
+    date?.month ?? 0,
+    date?.day ?? 0,
+    hour,
+    timed ? date.minute : 0,
+    '',
+    null,
+    null,
+    duration,
+  );
+  return Object.assign(task, { priority, repeat, tags: [...new Set(tags)] });
+}
+
+/**
+ * Parses every task list in a text. Text without any task yields no projects and no diagnostics.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] - The user's date format, tried first for `<...>` dates.
+ * @returns {TaskListParseResult}
+ */
+function parseTaskList(text, { dateFormat = DEFAULT_DATE_FORMAT } = {}) {
+  /** @type {Project[]} */
+  const projects = [];
+  /** @type {TaskListDiagnostic[]} */
+  const diagnostics = [];
+
+  /** @type {Project | null} */
+  let project = null;
+  /** @type {{ task: Task, indent: number } | null} */
+  let current = null;
+  /** Tasks that may still receive subtasks, outermost first. */
+  let parents = [];
+  const notes = new Map();
+
+  const lines = (text ?? '').split(/\r?\n/);
+  lines.forEach((line, index) => {
+    const report = (severity, message) => diagnostics.push({ line: index + 1, severity, message });
+
+    if (!line.trim() || FENCE_PATTERN.test(line)) {
+      return;
+    }
+
+    const taskMatch = line.match(TASK_PATTERN);
+    if (taskMatch) {
+      const [, indent, mark, rest] = taskMatch;
+      const task = parseTask(rest, { completed: mark !== ' ', dateFormat, report });
+      current = null;
+      if (!task) {
+        return;
+      }
+      if (!project) {
+        report('error', `Task "${task.name}" is not under a project header`);
+        return;
+      }
+      if (project.tasks.some((other) => other.name.toLowerCase() === task.name.toLowerCase())) {
+        report('warning', `Task "${task.name}" appears twice in "${project.name}"`);
+      }
+      parents = parents.filter((entry) => entry.indent < indent.length);
+      task.parent = parents[parents.length - 1]?.task.name ?? null;
+      project.tasks.push(task);
+      current = { task, indent: indent.length };
+      parents.push(current);
+      return;
+    }
+
+    const indent = line.match(/^\s*/)[0].length;
+    const trimmed = line.trim();
+    const quoted = trimmed.startsWith('>');
+    const name = quoted ? null : parseProjectHeader(line);
+    if (current && name == null && (quoted || indent > current.indent)) {
+      const note = trimmed.replace(/^>\s?/, '');
+      const item = quoted ? note.match(CHECKLIST_PATTERN) : null;
+      if (item) {
+        current.task.items.push({ title: item[2].trim(), completed: item[1] !== ' ' });
+        return;
+      }
+      notes.set(current.task, [...(notes.get(current.task) ?? []), note]);
+      return;
+    }
+
+    current = null;
+    parents = [];
+    if (name == null) {
+      project = null;
+      return;
+    }
+    project = projects.find((other) => other.name === name) ?? null;
+    if (!project) {
+      project = new Project(name, []);
+      projects.push(project);
+    }
+  });
+
+  for (const [task, lines] of notes) {
+    task.content = lines.join('\n').trim();
+  }
+
+  return { projects: projects.filter((p) => p.tasks.length > 0), diagnostics };
+}
+
+/**
+ * @param {TaskListDiagnostic} diagnostic
+ * @returns {string}
+ */
+function formatDiagnostic({ line, severity, message }) {
+  return `line ${line}: ${severity}: ${message}`;
+}
+
+module.exports = {
+  parseTaskDate,
+  parseTaskList,
+  formatDiagnostic,
+};
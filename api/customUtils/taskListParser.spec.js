@@ -0,0 +1,162 @@
+const { DateFormats } = require('librechat-data-provider');
+const { parseTaskList, parseTaskDate } = require('./taskListParser');
+
+const reply = `Here is your plan for the week:
+
+    ✈️ New York Trip
+      [ ] <12/24/2025 21:00> Check in to flight (#15m)
+      [x] <12/25/2025 11:00> Fly to New York
+        > Terminal 4, seat 14C
+        > Bring the passport
+    💰 Work
+      [ ] <12/23/2025 10:00> Check mail for Invoice (#1h30m)
+      [ ] Ask boss about schedule
+
+Let me know if anything should move.`;
+
+describe('taskListParser', () => {
+  it('parses projects, checkboxes, dates, durations and notes', () => {
+    const { projects, diagnostics } = parseTaskList(reply);
+
+    expect(diagnostics).toEqual([]);
+    expect(projects.map((project) => project.name)).toEqual(['✈️ New York Trip', '💰 Work']);
+    expect(projects[0].tasks).toEqual([
+      expect.objectContaining({
+        name: 'Check in to flight',
+        completed: false,
+        year: 2025,
+        month: 12,
+        day: 24,
+        hour: 21,
+        minute: 0,
+        duration: 15,
+        content: '',
+      }),
+      expect.objectContaining({
+        name: 'Fly to New York',
+        completed: true,
+        hour: 11,
+        duration: null,
+        content: 'Terminal 4, seat 14C\nBring the passport',
+      }),
+    ]);
+    expect(projects[1].tasks[0]).toMatchObject({ name: 'Check mail for Invoice', duration: 90 });
+    expect(projects[1].tasks[1]).toMatchObject({ name: 'Ask boss about schedule', year: 0 });
+  });
+
+  it('parses priorities, tags, recurrence, checklist items and subtasks', () => {
+    const { projects, diagnostics } = parseTaskList(`💰 Work
+- [ ] <12/25/2025 09:00> Submit PR for C# client (#25m) !medium #dev #github
+  > Link the issue
+  > [x] Run lint
+  > [ ] Update changelog
+  - [ ] Write tests !high
+    - [ ] Cover edge cases
+- [ ] Plan the week 🔁 RRULE:freq=weekly;byday=MO #planning`);
+
+    expect(diagnostics).toEqual([]);
+    expect(projects[0].tasks).toEqual([
+      expect.objectContaining({
+        name: 'Submit PR for C# client',
+        duration: 25,
+        priority: 3,
+        tags: ['dev', 'github'],
+        content: 'Link the issue',
+        items: [
+          { title: 'Run lint', completed: true },
+          { title: 'Update changelog', completed: false },
+        ],
+        parent: null,
+      }),
+      expect.objectContaining({
+        name: 'Write tests',
+        priority: 5,
+        parent: 'Submit PR for C# client',
+      }),
+      expect.objectContaining({ name: 'Cover edge cases', parent: 'Write tests' }),
+      expect.objectContaining({
+        name: 'Plan the week',
+        repeat: 'FREQ=WEEKLY;BYDAY=MO',
+        tags: ['planning'],
+        parent: null,
+      }),
+    ]);
+  });
+
+  it('warns about recurrence rules without a frequency', () => {
+    const { projects, diagnostics } = parseTaskList('💰 Work\n[ ] Stand-up 🔁 INTERVAL=2');
+
+    expect(projects[0].tasks[0]).toMatchObject({ name: 'Stand-up', repeat: null });
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        line: 2,
+        severity: 'warning',
+        message: expect.stringMatching(/FREQ/),
+      }),
+    ]);
+  });
+
+  it('accepts markdown headers, list markers and blockquote notes', () => {
+    const { projects, diagnostics } = parseTaskList(
+      '```\n### Errands:\n- [ ] <2025-12-24 9:00 pm> Buy milk\n  > Oat milk\n* [X] Post letter\n```',
+    );
+
+    expect(diagnostics).toEqual([]);
+    expect(projects).toHaveLength(1);
+    expect(projects[0].name).toBe('Errands');
+    expect(projects[0].tasks).toEqual([
+      expect.objectContaining({ name: 'Buy milk', day: 24, hour: 21, content: 'Oat milk' }),
+      expect.objectContaining({ name: 'Post letter', completed: true }),
+    ]);
+  });
+
+  it("reads dates in the user's format and common alternatives", () => {
+    const components = (value, format = DateFormats.monthFirst) => {
+      const parsed = parseTaskDate(value, format);
+      return parsed && [parsed.date.toFormat('yyyy-MM-dd HH:mm'), parsed.hasTime];
+    };
+
+    expect(components('1/4/2026 7:05')).toEqual(['2026-01-04 07:05', true]);
+    expect(components('04/01/2026 19:30', DateFormats.dayFirst)).toEqual([
+      '2026-01-04 19:30',
+      true,
+    ]);
+    expect(components('Jan 4, 2026 3pm')).toEqual(['2026-01-04 15:00', true]);
+    expect(components('2026-01-04T08:15')).toEqual(['2026-01-04 08:15', true]);
+    expect(components('2026-01-04')).toEqual(['2026-01-04 00:00', false]);
+    expect(components('next tuesday')).toBeNull();
+  });
+
+  it('reports problems as diagnostics with line numbers', () => {
+    const { projects, diagnostics } = parseTaskList(
+      [
+        '[ ] Orphan task',
+        '🏠 Home',
+        '  [ ] <someday> Clean garage',
+        '  [ ] <12/24/2025> Wrap gifts',
+        '  [ ] Wrap gifts',
+        '  [ ] (#5m)',
+      ].join('\n'),
+    );
+
+    expect(diagnostics).toEqual([
+      { line: 1, severity: 'error', message: 'Task "Orphan task" is not under a project header' },
+      {
+        line: 3,
+        severity: 'error',
+        message: 'Unrecognized date "someday"; expected MM/dd/yyyy HH:mm',
+      },
+      { line: 4, severity: 'warning', message: 'No time given for "12/24/2025"; using 9:00' },
+      { line: 5, severity: 'warning', message: 'Task "Wrap gifts" appears twice in "🏠 Home"' },
+      { line: 6, severity: 'error', message: 'Task has no name' },
+    ]);
+    expect(projects[0].tasks[0]).toMatchObject({ name: 'Wrap gifts', hour: 9 });
+  });
+
+  it('finds nothing in a reply without a task list', () => {
+    expect(parseTaskList('🎉 Great job this week!\nKeep it up.')).toEqual({
+      projects: [],
+      diagnostics: [],
+    });
+  });
+});
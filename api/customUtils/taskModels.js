@@ -0,0 +1,154 @@
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DATE_FORMAT,
+  TaskPriorities: TASK_PRIORITIES,
+} = require('librechat-data-provider');
+
+/**
+ * Renders a due date the way task lists are written in prompts and replies, e.g. `<10/19/2026 14:30>`
+ * for `MM/dd/yyyy`. The planner parses task lists back with the same format.
+ * @param {import('luxon').DateTime} dt
+ * @param {string} [dateFormat]
+ */
+function formatTaskDate(dt, dateFormat = DEFAULT_DATE_FORMAT) {
+  return dt.toFormat(`${dateFormat} HH:mm`);
+}
+
+/**
+ * Renders a duration the way task lists are written, e.g. `(#1h30m)`; the parser reads it back.
+ * @param {number | null | undefined} minutes
+ * @returns {string} The tag, or an empty string without a duration.
+ */
+function formatDurationTag(minutes) {
+  if (!(minutes > 0)) {
+    return '';
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `(#${hours ? `${hours}h` : ''}${rest ? `${rest}m` : ''})`;
+}
+
+/**
+ * Normalizes a recurrence rule to its RFC 5545 `RRULE` value, e.g. `FREQ=WEEKLY;BYDAY=MO`.
+ * @param {string | null | undefined} rule - With or without the `RRULE:` prefix.
+ * @returns {string | null} The rule, or null when it has no frequency.
+ */
+function normalizeRepeat(rule) {
+  const value = (rule ?? '')
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .toUpperCase();
+  return /(^|;)FREQ=[A-Z]+/.test(value) ? value : null;
+}
+
+/**
+ * Renders the attributes that follow a task's name in task lists, e.g.
+ * `(#1h30m) !high 🔁 FREQ=WEEKLY;BYDAY=MO #work #deep`; the parser reads them back.
+ * @param {Task} task
+ * @returns {string} The attributes, or an empty string when the task has none.
+ */
+function formatTaskAttributes(task) {
+  const priority = Object.keys(TASK_PRIORITIES).find(
+    (name) => name !== 'none' && TASK_PRIORITIES[name] === task.priority,
+  );
+  return [
+    formatDurationTag(task.duration),
+    priority ? `!${priority}` : '',
+    task.repeat ? `🔁 ${task.repeat}` : '',
+    ...(task.tags ?? []).map((tag) => `#${tag}`),
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Sets the `parent` name of subtasks from their backend `parentId`; providers call this once
+ * they have fetched every task.
+ * @param {Project[]} projects
+ * @returns {Project[]}
+ */
+function linkSubtasks(projects) {
+  const names = new Map();
+  for (const project of projects) {
+    for (const task of project.tasks) {
+      names.set(task.id, task.name);
+    }
+  }
+  for (const project of projects) {
+    for (const task of project.tasks) {
+      task.parent = task.parentId ? (names.get(task.parentId) ?? null) : null;
+    }
+  }
+  return projects;
+}
+
+/**
+ * A task as exchanged between the planner and the task providers.
+ * Due dates are expressed in the user's local timezone; `year` 0 means no due date.
+ * `duration` is the estimated minutes from a `(#15m)` tag, or null.
+ *
+ * Attributes without a constructor argument are assigned after construction:
+ * - `repeat`: RRULE value (see `normalizeRepeat`), or null;
+ * - `priority`: one of `TASK_PRIORITIES`;
+ * - `tags`: tag names without `#`;
+ * - `items`: checklist items, `{ title, completed }`;
+ * - `parent`: name of the parent task in the same project for subtasks, with its backend id in
+ *   `parentId` once known.
+ */
+class Task {
+  constructor(
+    name,
+    completed,
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    content = '',
+    id = null,
+    projectId = null,
+    duration = null,
+  ) {
+    this.name = name;
+    this.completed = completed;
+
+    this.year = year;
+    this.month = month;
+    this.day = day;
+    this.hour = hour;
+    this.minute = minute;
+
+    this.content = content;
+
+    this.id = id;
+    this.projectId = projectId;
+    this.duration = duration;
+
+    this.repeat = null;
+    this.priority = TASK_PRIORITIES.none;
+    this.tags = [];
+    this.items = [];
+    this.parent = null;
+    this.parentId = null;
+  }
+}
+
+class Project {
+  constructor(name, tasks, id = null) {
+    this.name = name;
+    this.tasks = tasks;
+    this.id = id;
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  formatTaskDate,
+  TASK_PRIORITIES,
+  formatDurationTag,
+  formatTaskAttributes,
+  normalizeRepeat,
+  linkSubtasks,
+  Task,
+  Project,
+};
@@ -0,0 +1,574 @@
+const { DateTime } = require('luxon');
+const {
+  ContextSources,
+  DEFAULT_DATE_FORMAT,
+  getUserDateSettings,
+  StructuredOutputPurposes,
+} = require('librechat-data-provider');
+const { isEnabled } = require('@librechat/api');
+const { logger } = require('@librechat/data-schemas');
+const {
+  DEFAULT_TIMEZONE,
+  TASK_PRIORITIES,
+  formatTaskDate,
+  formatTaskAttributes,
+  normalizeRepeat,
+  Task,
+  Project,
+} = require('~/customUtils/taskModels');
+const { parseTaskList, formatDiagnostic } = require('~/customUtils/taskListParser');
+const { diffTasks, isEmptyDiff, normalizeName } = require('~/customUtils/taskDiff');
+const { serializeTaskDiff, selectTaskChanges } = require('~/customUtils/taskChanges');
+const {
+  getRevertDiff,
+  getCreatedProjects,
+  snapshotTaskChanges,
+} = require('~/customUtils/taskHistory');
+const { getTaskProvider } = require('~/customUtils/taskProviders');
+const { syncFocusBlocks, getFocusBlockChanges } = require('~/customUtils/focusBlocks');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { generateStructuredOutput } = require('~/server/services/StructuredOutputService');
+const {
+  createTaskChangeSet,
+  claimTaskChangeSetRevert,
+  releaseTaskChangeSetRevert,
+  markTaskChangeSetReverted,
+} = require('~/models');
+
+/** JSON schema of the projects and tasks extracted from free-form replies */
+const taskListSchema = {
+  type: 'object',
+  properties: {
+    projects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tasks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                content: { type: 'string' },
+                completed: { type: 'boolean' },
+                year: { type: 'integer' },
+                month: { type: 'integer' },
+                day: { type: 'integer' },
+                hour: { type: 'integer' },
+                minute: { type: 'integer' },
+                duration: { type: 'integer', description: 'Estimated minutes, when mentioned' },
+                priority: { type: 'string', enum: Object.keys(TASK_PRIORITIES) },
+                tags: { type: 'array', items: { type: 'string' } },
+                repeat: {
+                  type: 'string',
+                  description: 'RFC 5545 RRULE for recurring tasks, e.g. FREQ=WEEKLY;BYDAY=MO',
+                },
+                checklist: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      title: { type: 'string' },
+                      completed: { type: 'boolean' },
+                    },
+                    required: ['title', 'completed'],
+                  },
+                },
+                parent: {
+                  type: 'string',
+                  description: 'Name of the parent task in the same project, for subtasks',
+                },
+              },
+              required: ['name', 'completed', 'year', 'month', 'day', 'hour', 'minute'],
+            },
+          },
+        },
+        required: ['name', 'tasks'],
+      },
+    },
+  },
+  required: ['projects'],
+};
+
+/**
+ * Extracts projects and tasks from free-form text (usually the assistant's reply) with the model
+ * configured for task lists under `structuredOutput`.
+ * Only used as a fallback for replies the task list parser cannot read, see `TASK_PARSER_LLM_FALLBACK`.
+ * @param {string} taskDescription
+ * @param {Object} params
+ * @param {IUser} params.user
+ * @param {string} [params.timezone] - Timezone used for "Current Local Time" and the extracted dates.
+ * @param {string} [params.dateFormat] - Format of the dates written in the task list.
+ * @param {AppConfig} [params.appConfig]
+ * @param {string} [params.conversationId]
+ * @returns {Promise<Project[]>}
+ */
+async function extractTaskList(
+  taskDescription,
+  {
+    user,
+    timezone = DEFAULT_TIMEZONE,
+    dateFormat = DEFAULT_DATE_FORMAT,
+    appConfig,
+    conversationId,
+  },
+) {
+  const localTime = DateTime.now().setZone(timezone).toFormat('FFFF');
+
+  const instructions = `
+    Current Local Time: ${localTime}
+    Task: Convert the input into a list of Projects containing Tasks.
+
+    Refined Logic:
+    - Write a super concise description of the task (single sentence)
+    - Ideally, 2-7 words per task name
+    - Tasks must be ADHD-friendly: clear, specific, and actionable
+    - Focus on one clear objective per task
+    - Make as few tasks as possible while maintaining clarity
+    - If a task contains multiple actions, break it down
+
+    Extraction Rules:
+    1. Extract dates (year/month/day). Dates are written as ${dateFormat}.
+    2. Extract times (hour/minute). Times are REQUIRED. If no time is mentioned, infer a logical time or use current time.
+    3. Extract additional info into the 'content' field.
+    4. Extract how long a task takes into 'duration' (minutes), e.g. "(#1h30m)" is 90.
+    5. Extract "!high", "!medium" and "!low" into 'priority', "#tag" words into 'tags' (without "#")
+       and "🔁 FREQ=..." recurrence rules into 'repeat'.
+    6. Quoted checkboxes under a task ("> [ ] item") are its 'checklist'; tasks indented under another
+       task are subtasks and name that task as their 'parent'.
+    7. Project names should start with an emoji.
+    `;
+
+  const parsed = await generateStructuredOutput({
+    user,
+    appConfig,
+    conversationId,
+    purpose: StructuredOutputPurposes.taskList,
+    instructions,
+    input: taskDescription,
+    schema: taskListSchema,
+  });
+
+  return (parsed.projects ?? []).map(
+    (p) =>
+      new Project(
+        p.name,
+        (p.tasks ?? []).map((t) =>
+          Object.assign(
+            new Task(
+              t.name,
+              t.completed,
+              t.year,
+              t.month,
+              t.day,
+              t.hour,
+              t.minute,
+              t.content || '',
+              null,
+              null,
+              t.duration > 0 ? t.duration : null,
+            ),
+            {
+              priority: TASK_PRIORITIES[t.priority] ?? TASK_PRIORITIES.none,
+              tags: (t.tags ?? []).map((tag) => tag.replace(/^#/, '')).filter(Boolean),
+              repeat: normalizeRepeat(t.repeat),
+              items: t.checklist ?? [],
+              parent: t.parent || null,
+            },
+          ),
+        ),
+      ),
+  );
+}
+
+/**
+ * Renders one task and, indented below it, its subtasks.
+ * @param {Task} task
+ * @param {Map<string, Task[]>} subtasks - Open tasks first, by normalized parent name.
+ * @param {string} dateFormat
+ * @param {string} indent
+ * @returns {string}
+ */
+function convertTaskToMarkdown(task, subtasks, dateFormat, indent = '') {
+  const check = task.completed ? '[X]' : '[ ]';
+  let dateStr = '';
+
+  if (task.year > 0) {
+    const taskDate = DateTime.fromObject({
+      year: task.year,
+      month: task.month,
+      day: task.day,
+      hour: task.hour,
+      minute: task.minute,
+    });
+
+    dateStr = `<${formatTaskDate(taskDate, dateFormat)}> `;
+  }
+
+  const attributes = formatTaskAttributes(task);
+  let md = `${indent}- ${check} ${dateStr}${task.name}${attributes ? ` ${attributes}` : ''}\n`;
+  for (const line of task.content ? task.content.split('\n') : []) {
+    md += `${indent}  > ${line}\n`;
+  }
+  for (const item of task.items ?? []) {
+    md += `${indent}  > ${item.completed ? '[X]' : '[ ]'} ${item.title}\n`;
+  }
+  for (const subtask of subtasks.get(normalizeName(task.name)) ?? []) {
+    md += convertTaskToMarkdown(subtask, subtasks, dateFormat, `${indent}  `);
+  }
+  return md;
+}
+
+/**
+ * Renders projects as the markdown task list injected into the prompt.
+ * Subtasks are indented below their parent and checklist items are quoted checkboxes.
+ * @param {Project[]} projects
+ * @param {string} [dateFormat]
+ * @returns {string}
+ */
+function convertTasksToMarkdown(projects, dateFormat = DEFAULT_DATE_FORMAT) {
+  let mdOutput = '';
+
+  for (const proj of projects) {
+    mdOutput += `${proj.name}\n`;
+    const sortedTasks = [...proj.tasks].sort((a, b) => a.completed - b.completed);
+    const names = new Set(sortedTasks.map((t) => normalizeName(t.name)));
+
+    const subtasks = new Map();
+    const topLevel = [];
+    for (const t of sortedTasks) {
+      const parent = normalizeName(t.parent);
+      if (!parent || !names.has(parent) || parent === normalizeName(t.name)) {
+        topLevel.push(t);
+        continue;
+      }
+      subtasks.set(parent, [...(subtasks.get(parent) ?? []), t]);
+    }
+
+    for (const t of topLevel) {
+      mdOutput += convertTaskToMarkdown(t, subtasks, dateFormat);
+    }
+    mdOutput += '\n';
+  }
+  return mdOutput.trim();
+}
+
+/**
+ * Renders the user's current tasks for the planner prompt.
+ * @param {IUser} user
+ */
+async function getAllTasksMd(user) {
+  try {
+    const provider = await getTaskProvider(user);
+    const tasks = await provider.fetchAllTasks();
+    return convertTasksToMarkdown(tasks, getUserDateSettings(user).dateFormat);
+  } catch (error) {
+    logger.error('[getAllTasksMd] Error getting tasks:', error);
+    return `Error getting tasks: ${error.message}`;
+  }
+}
+
+/**
+ * Fetches the tasks context source: the user's current tasks, with their IDs.
+ * @param {IUser} user
+ * @returns {Promise<{ content: string, items: string[] }>}
+ * @throws {Error} When the task backend cannot be reached, so the failure is reported instead
+ *   of cached.
+ */
+async function getTaskContext(user) {
+  const provider = await getTaskProvider(user);
+  const projects = await provider.fetchAllTasks();
+  return {
+    content: convertTasksToMarkdown(projects, getUserDateSettings(user).dateFormat),
+    items: projects.flatMap((project) => project.tasks.map((task) => task.id)).filter(Boolean),
+  };
+}
+
+/**
+ * Reads the projects and tasks of the assistant's reply with the task list parser.
+ * When the reply has no readable task list, the configured model extracts them instead if
+ * `TASK_PARSER_LLM_FALLBACK` is enabled; otherwise no tasks are returned.
+ * @param {string} text
+ * @param {Object} params
+ * @param {IUser} params.user
+ * @param {string} params.timezone
+ * @param {string} params.dateFormat
+ * @param {AppConfig} [params.appConfig]
+ * @param {string} [params.conversationId]
+ * @returns {Promise<Project[] | null>} Null when the reply has no usable task list.
+ */
+async function readTaskList(text, { dateFormat, ...options }) {
+  const { projects, diagnostics } = parseTaskList(text, { dateFormat });
+  if (diagnostics.length) {
+    logger.warn(
+      `[readTaskList] Task list diagnostics:\n${diagnostics.map(formatDiagnostic).join('\n')}`,
+    );
+  }
+
+  const failed = diagnostics.some((diagnostic) => diagnostic.severity === 'error');
+  if (projects.length && !failed) {
+    return projects;
+  }
+  if (!isEnabled(process.env.TASK_PARSER_LLM_FALLBACK)) {
+    return null;
+  }
+  logger.debug('[readTaskList] Extracting tasks with the structured output model');
+  const extracted = await extractTaskList(text, { dateFormat, ...options });
+  return extracted.some((project) => project.tasks.length) ? extracted : null;
+}
+
+/**
+ * Parses the assistant's reply and computes the changes it implies against the user's
+ * current tasks, without writing anything. Replies without a task list propose nothing.
+ * @param {string} tasksDescription
+ * @param {IUser} user
+ * @param {Object} [options]
+ * @param {AppConfig} [options.appConfig]
+ * @param {string} [options.conversationId] - Conversation the extraction tokens are recorded for.
+ * @returns {Promise<TaskChangeItem[] | null>} The proposed changes, or null when there are none.
+ */
+async function proposeTaskChanges(tasksDescription, user, { appConfig, conversationId } = {}) {
+  const provider = await getTaskProvider(user);
+  const projects = await readTaskList(tasksDescription, {
+    user,
+    appConfig,
+    conversationId,
+    timezone: provider.timezone,
+    dateFormat: getUserDateSettings(user).dateFormat,
+  });
+  if (!projects) {
+    return null;
+  }
+  const current = await provider.fetchAllTasks();
+  const diff = diffTasks(current, projects);
+  if (isEmptyDiff(diff)) {
+    return null;
+  }
+  return serializeTaskDiff(diff);
+}
+
+/**
+ * Writes a diff to the user's task provider and records it as a change set, with snapshots of
+ * the affected tasks before and after. The cached task context is dropped afterwards, even when
+ * only some changes were written, and the focus blocks of changed tasks follow them.
+ * @param {TaskProvider} provider
+ * @param {IUser} user
+ * @param {TaskDiff} diff
+ * @param {Project[]} current - The tasks the diff was computed against.
+ * @param {Object} record
+ * @param {TaskChangeItem[]} record.changes - The changes the diff is made of.
+ * @param {string | null} [record.conversationId]
+ * @param {string | null} [record.messageId]
+ * @param {string | null} [record.revertOf] - The change set this diff reverts.
+ * @returns {Promise<{ ok: boolean, changeSet: ITaskChangeSetLean }>}
+ */
+async function writeTaskDiff(provider, user, diff, current, { changes, ...record }) {
+  const projects = await provider.listProjects();
+  let ok;
+  try {
+    ok = await provider.applyTaskDiff(diff);
+  } finally {
+    await invalidateContextSnapshots(user, [ContextSources.tasks]);
+    await syncFocusBlocks(user, getFocusBlockChanges(provider, diff));
+  }
+
+  const changeSet = await saveTaskChangeSet(
+    provider,
+    user,
+    diff,
+    { current, projects },
+    {
+      status: ok ? 'applied' : 'partial',
+      changes,
+      ...record,
+    },
+  );
+  return { ok, changeSet };
+}
+
+/**
+ * @param {TaskProvider} provider
+ * @param {IUser} user
+ * @param {TaskDiff} diff - The diff that was written.
+ * @param {{ current: Project[], projects: Array<{ name: string }> }} before - Tasks and projects
+ *   as they were before the diff was written.
+ * @param {Object} record - Change set fields; `changes` are snapshotted.
+ * @returns {Promise<ITaskChangeSetLean>}
+ */
+async function saveTaskChangeSet(provider, user, diff, { current, projects }, record) {
+  return createTaskChangeSet({
+    userId: user.id,
+    provider: provider.name,
+    ...record,
+    changes: snapshotTaskChanges(record.changes, current, await provider.fetchAllTasks()),
+    createdProjects: getCreatedProjects(diff, projects),
+  });
+}
+
+/**
+ * Records a task written straight to the user's task provider, e.g. by a planner tool, as a
+ * change set of the response that wrote it, so it is listed in the task history and can be
+ * restored like accepted changes. The cached task context is dropped and the focus blocks of
+ * changed tasks follow them.
+ * @param {TaskProvider} provider
+ * @param {IUser} user
+ * @param {TaskDiff} diff - The write, as a diff.
+ * @param {{ current: Project[], projects: Array<{ name: string }> }} before - Tasks and projects
+ *   as they were before the write.
+ * @param {Object} [record]
+ * @param {string | null} [record.conversationId]
+ * @param {string | null} [record.messageId]
+ * @returns {Promise<ITaskChangeSetLean>}
+ */
+async function recordTaskWrite(provider, user, diff, before, { conversationId, messageId } = {}) {
+  await invalidateContextSnapshots(user, [ContextSources.tasks]);
+  await syncFocusBlocks(user, getFocusBlockChanges(provider, diff));
+  return saveTaskChangeSet(provider, user, diff, before, {
+    status: 'applied',
+    changes: serializeTaskDiff(diff),
+    conversationId: conversationId ?? null,
+    messageId: messageId ?? null,
+  });
+}
+
+/**
+ * Writes the accepted subset of a proposal to the user's task provider and records it as a
+ * change set of the message that proposed it.
+ * Current tasks are re-fetched first so ids and backend-specific fields are up to date.
+ * @param {TaskChangeItem[]} changes
+ * @param {string[]} acceptedIds
+ * @param {IUser} user
+ * @param {Object} [options]
+ * @param {string} [options.conversationId]
+ * @param {string} [options.messageId]
+ * @returns {Promise<{ ok: boolean, changeSet: ITaskChangeSetLean | null }>} Whether every change
+ *   was written, and the recorded change set; null when there was nothing to write.
+ */
+async function applyTaskChanges(changes, acceptedIds, user, { conversationId, messageId } = {}) {
+  const provider = await getTaskProvider(user);
+  const current = await provider.fetchAllTasks();
+  const diff = selectTaskChanges(changes, acceptedIds, current);
+  if (isEmptyDiff(diff)) {
+    return { ok: true, changeSet: null };
+  }
+  const accepted = new Set(acceptedIds);
+  return writeTaskDiff(provider, user, diff, current, {
+    changes: changes.filter((change) => accepted.has(change.id)),
+    conversationId: conversationId ?? null,
+    messageId: messageId ?? null,
+  });
+}
+
+/**
+ * Puts the tasks of a change set back the way they were before it, and records that as a new
+ * change set of the same message. Change sets can only be reverted on the provider they were
+ * written to. The change set is claimed before anything is written, so concurrent requests
+ * revert it once; the claim is released when the revert fails.
+ * @param {ITaskChangeSetLean} changeSet
+ * @param {IUser} user
+ * @returns {Promise<{ ok: boolean, changeSet: ITaskChangeSetLean | null } | null>} The change set
+ *   of the revert, null when the tasks were already back; null when the change set was already
+ *   reverted.
+ */
+async function revertTaskChangeSet(changeSet, user) {
+  const provider = await getTaskProvider(user);
+  if (provider.name !== changeSet.provider) {
+    throw new Error(
+      `These changes were written to ${changeSet.provider}; switch back to it to restore them`,
+    );
+  }
+
+  const claim = { userId: user.id, changeSetId: changeSet._id };
+  if (!(await claimTaskChangeSetRevert(claim))) {
+    return null;
+  }
+
+  let result;
+  try {
+    const current = await provider.fetchAllTasks();
+    const diff = getRevertDiff(changeSet, current);
+    result = isEmptyDiff(diff)
+      ? { ok: true, changeSet: null }
+      : await writeTaskDiff(provider, user, diff, current, {
+          changes: serializeTaskDiff(diff),
+          conversationId: changeSet.conversationId ?? null,
+          messageId: changeSet.messageId ?? null,
+          revertOf: changeSet._id,
+        });
+  } catch (error) {
+    await releaseTaskChangeSetRevert(claim);
+    throw error;
+  }
+
+  await markTaskChangeSetReverted({
+    userId: user.id,
+    changeSetId: changeSet._id,
+    revertedBy: result.changeSet?._id ?? null,
+  });
+  return result;
+}
+
+/**
+ * Completes a single task by its backend id, e.g. from a reminder, and records it as a change set
+ * so it can be undone from the task history.
+ * @param {IUser} user
+ * @param {Object} params
+ * @param {string} params.provider - Name of the task provider the task id belongs to.
+ * @param {string} params.taskId
+ * @returns {Promise<{ ok: boolean, changeSet: ITaskChangeSetLean | null }>} The change set; null
+ *   when the task was already completed.
+ */
+async function completeTask(user, { provider: providerName, taskId }) {
+  const provider = await getTaskProvider(user);
+  if (provider.name !== providerName) {
+    throw new Error(`This task is in ${providerName}; switch back to it to complete the task`);
+  }
+
+  const current = await provider.fetchAllTasks();
+  const project = current.find(({ tasks }) => tasks.some((task) => task.id === taskId));
+  const task = project?.tasks.find((candidate) => candidate.id === taskId);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+  if (task.completed) {
+    return { ok: true, changeSet: null };
+  }
+
+  const diff = {
+    projects: { add: [], delete: [] },
+    tasks: {
+      add: [],
+      update: [],
+      complete: [
+        {
+          before: task,
+          after: { ...task, completed: true },
+          fromProject: project.name,
+          project: project.name,
+          changes: ['completed'],
+        },
+      ],
+      delete: [],
+    },
+  };
+  return writeTaskDiff(provider, user, diff, current, {
+    changes: serializeTaskDiff(diff),
+    conversationId: null,
+    messageId: null,
+  });
+}
+
+module.exports = {
+  extractTaskList,
+  readTaskList,
+  convertTasksToMarkdown,
+  getAllTasksMd,
+  getTaskContext,
+  proposeTaskChanges,
+  applyTaskChanges,
+  revertTaskChangeSet,
+  recordTaskWrite,
+  completeTask,
+};
@@ -0,0 +1,356 @@
+const { DateFormats } = require('librechat-data-provider');
+const { Task, Project } = require('./taskModels');
+const { parseTaskList } = require('./taskListParser');
+const { diffTasks, isEmptyDiff } = require('./taskDiff');
+
+jest.mock('./taskProviders', () => ({ getTaskProvider: jest.fn() }));
+jest.mock('~/server/services/StructuredOutputService', () => ({
+  generateStructuredOutput: jest.fn(),
+}));
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+jest.mock('~/customUtils/focusBlocks', () => ({
+  syncFocusBlocks: jest.fn(),
+  getFocusBlockChanges: jest.fn(() => []),
+}));
+jest.mock('~/models', () => ({
+  createTaskChangeSet: jest.fn(async ({ userId: _userId, ...changeSet }) => ({
+    _id: 'set-1',
+    ...changeSet,
+  })),
+  claimTaskChangeSetRevert: jest.fn(async ({ changeSetId }) => ({ _id: changeSetId })),
+  releaseTaskChangeSetRevert: jest.fn(),
+  markTaskChangeSetReverted: jest.fn(),
+}));
+
+const { generateStructuredOutput } = require('~/server/services/StructuredOutputService');
+const { getTaskProvider } = require('./taskProviders');
+const {
+  createTaskChangeSet,
+  claimTaskChangeSetRevert,
+  releaseTaskChangeSetRevert,
+  markTaskChangeSetReverted,
+} = require('~/models');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const {
+  readTaskList,
+  getAllTasksMd,
+  getTaskContext,
+  applyTaskChanges,
+  proposeTaskChanges,
+  revertTaskChangeSet,
+  completeTask,
+  convertTasksToMarkdown,
+} = require('./taskPlanner');
+
+const projects = [
+  new Project('💰 Work', [
+    new Task('Submit PR', true, 2025, 12, 25, 9, 0),
+    new Task('Email John Doe', false, 2025, 12, 23, 14, 30, 'About the invoice', null, null, 90),
+    new Task('Someday', false, 0, 0, 0, 0, 0),
+  ]),
+];
+
+describe('taskPlanner', () => {
+  it('renders open tasks first with dates and durations in the default format', () => {
+    expect(convertTasksToMarkdown(projects)).toBe(
+      '💰 Work\n' +
+        '- [ ] <12/23/2025 14:30> Email John Doe (#1h30m)\n  > About the invoice\n' +
+        '- [ ] Someday\n' +
+        '- [X] <12/25/2025 09:00> Submit PR',
+    );
+  });
+
+  it('renders attributes, checklists and subtasks so that they parse back unchanged', () => {
+    const pr = Object.assign(new Task('Submit PR', false, 2025, 12, 25, 9, 0, 'Line 1\nLine 2'), {
+      priority: 5,
+      tags: ['dev', 'github'],
+      items: [
+        { title: 'Run lint', completed: true },
+        { title: 'Update changelog', completed: false },
+      ],
+    });
+    const tests = Object.assign(new Task('Write tests', false, 0, 0, 0, 0, 0), {
+      parent: 'Submit PR',
+    });
+    const review = Object.assign(new Task('Weekly review', false, 2025, 12, 26, 16, 0), {
+      repeat: 'FREQ=WEEKLY;BYDAY=FR',
+      priority: 1,
+    });
+    const work = [new Project('💰 Work', [tests, pr, review])];
+
+    const markdown = convertTasksToMarkdown(work);
+    expect(markdown).toBe(
+      '💰 Work\n' +
+        '- [ ] <12/25/2025 09:00> Submit PR !high #dev #github\n' +
+        '  > Line 1\n  > Line 2\n  > [X] Run lint\n  > [ ] Update changelog\n' +
+        '  - [ ] Write tests\n' +
+        '- [ ] <12/26/2025 16:00> Weekly review !low 🔁 FREQ=WEEKLY;BYDAY=FR',
+    );
+    const { projects: parsed, diagnostics } = parseTaskList(markdown);
+    expect(diagnostics).toEqual([]);
+    expect(isEmptyDiff(diffTasks(work, parsed))).toBe(true);
+  });
+
+  it("renders task dates in the user's date format", async () => {
+    getTaskProvider.mockResolvedValue({ fetchAllTasks: jest.fn(async () => projects) });
+    const user = { id: 'user-1', personalization: { dateFormat: DateFormats.iso } };
+
+    const markdown = await getAllTasksMd(user);
+
+    expect(getTaskProvider).toHaveBeenCalledWith(user);
+    expect(markdown).toContain('<2025-12-23 14:30> Email John Doe');
+    expect(convertTasksToMarkdown(projects, DateFormats.dayFirst)).toContain(
+      '<25/12/2025 09:00> Submit PR',
+    );
+  });
+
+  it('lists the IDs of the tasks in the context, and fails loudly', async () => {
+    const withIds = [
+      new Project('💰 Work', [
+        Object.assign(new Task('Submit PR', false, 2025, 12, 25, 9, 0), { id: 'task-1' }),
+        Object.assign(new Task('Someday', false, 0, 0, 0, 0, 0), { id: 'task-2' }),
+      ]),
+    ];
+    getTaskProvider.mockResolvedValue({ fetchAllTasks: jest.fn(async () => withIds) });
+
+    const context = await getTaskContext({ id: 'user-1' });
+    expect(context.content).toContain('<12/25/2025 09:00> Submit PR');
+    expect(context.items).toEqual(['task-1', 'task-2']);
+
+    getTaskProvider.mockRejectedValue(new Error('TickTick is not connected'));
+    await expect(getTaskContext({ id: 'user-1' })).rejects.toThrow('TickTick is not connected');
+  });
+
+  describe('reading task lists from replies', () => {
+    const options = { timezone: 'America/New_York', dateFormat: DateFormats.monthFirst };
+
+    afterEach(() => {
+      delete process.env.TASK_PARSER_LLM_FALLBACK;
+    });
+
+    it('proposes changes from the parsed task list without calling a model', async () => {
+      getTaskProvider.mockResolvedValue({
+        timezone: options.timezone,
+        fetchAllTasks: jest.fn(async () => projects),
+      });
+      const reply = [
+        '💰 Work',
+        '  [X] <12/25/2025 09:00> Submit PR',
+        '  [ ] <12/23/2025 14:30> Email John Doe (#1h30m)',
+        '    > About the invoice',
+        '  [ ] Someday',
+        '  [ ] <12/26/2025 10:00> Plan sprint (#30m)',
+      ].join('\n');
+
+      const changes = await proposeTaskChanges(reply, { id: 'user-1' });
+
+      expect(generateStructuredOutput).not.toHaveBeenCalled();
+      expect(changes).toEqual([
+        expect.objectContaining({
+          type: 'add',
+          name: 'Plan sprint',
+          project: '💰 Work',
+          after: expect.objectContaining({ duration: 30 }),
+        }),
+      ]);
+    });
+
+    it('proposes nothing for replies without a readable task list', async () => {
+      expect(await readTaskList('Sounds good, enjoy the trip!', options)).toBeNull();
+      expect(await readTaskList('💰 Work\n  [ ] <soon> Submit PR', options)).toBeNull();
+      expect(generateStructuredOutput).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the structured output model only when enabled', async () => {
+      process.env.TASK_PARSER_LLM_FALLBACK = 'true';
+      generateStructuredOutput.mockResolvedValue({
+        projects: [
+          {
+            name: '🏠 Home',
+            tasks: [
+              {
+                name: 'Call plumber',
+                completed: false,
+                year: 2025,
+                month: 12,
+                day: 22,
+                priority: 'high',
+                tags: ['#home'],
+                repeat: 'RRULE:FREQ=MONTHLY',
+              },
+            ],
+          },
+        ],
+      });
+      const user = { id: 'user-1' };
+
+      const extracted = await readTaskList('Remember to call the plumber on Monday.', {
+        ...options,
+        user,
+        conversationId: 'convo-1',
+      });
+
+      expect(generateStructuredOutput).toHaveBeenCalledWith(
+        expect.objectContaining({ user, purpose: 'task_list', conversationId: 'convo-1' }),
+      );
+      expect(extracted[0].tasks[0]).toMatchObject({
+        name: 'Call plumber',
+        day: 22,
+        priority: 5,
+        tags: ['home'],
+        repeat: 'FREQ=MONTHLY',
+        items: [],
+      });
+    });
+  });
+
+  describe('change sets', () => {
+    const user = { id: 'user-1' };
+    let tasks;
+    let provider;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      tasks = [new Task('Submit PR', false, 2025, 12, 25, 9, 0, '', 't1', 'work')];
+      provider = {
+        name: 'local',
+        listProjects: jest.fn(async () => [{ id: 'work', name: '💰 Work' }]),
+        fetchAllTasks: jest.fn(async () => [new Project('💰 Work', tasks, 'work')]),
+        applyTaskDiff: jest.fn(async (diff) => {
+          const deleted = new Set(diff.tasks.delete.map(({ task }) => task.id));
+          tasks = tasks.filter((task) => !deleted.has(task.id));
+          diff.tasks.add.forEach(({ task }, index) => {
+            tasks.push(Object.assign(new Task(), task, { id: `new-${index}`, projectId: 'work' }));
+          });
+          return true;
+        }),
+      };
+      getTaskProvider.mockResolvedValue(provider);
+    });
+
+    it('records applied changes with the ids the provider assigned, and reverts them', async () => {
+      const changes = [
+        {
+          id: 'add-0',
+          type: 'add',
+          project: '💰 Work',
+          name: 'Email John',
+          after: new Task('Email John', false, 0, 0, 0, 0, 0),
+        },
+      ];
+
+      const { ok, changeSet } = await applyTaskChanges(changes, ['add-0'], user, {
+        conversationId: 'convo-1',
+        messageId: 'msg-1',
+      });
+
+      expect(ok).toBe(true);
+      expect(createTaskChangeSet).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'user-1',
+          provider: 'local',
+          status: 'applied',
+          conversationId: 'convo-1',
+          messageId: 'msg-1',
+          createdProjects: [],
+        }),
+      );
+      expect(changeSet.changes[0].after).toMatchObject({ id: 'new-0', name: 'Email John' });
+      expect(invalidateContextSnapshots).toHaveBeenCalled();
+
+      const revert = await revertTaskChangeSet(changeSet, user);
+
+      expect(tasks.map((task) => task.id)).toEqual(['t1']);
+      expect(revert.changeSet).toMatchObject({
+        revertOf: 'set-1',
+        messageId: 'msg-1',
+        changes: [expect.objectContaining({ type: 'delete', name: 'Email John' })],
+      });
+      expect(markTaskChangeSetReverted).toHaveBeenCalledWith({
+        userId: 'user-1',
+        changeSetId: 'set-1',
+        revertedBy: 'set-1',
+      });
+    });
+
+    it('reverts a change set once when reverted concurrently, and releases failed reverts', async () => {
+      const changeSet = {
+        _id: 'set-1',
+        provider: 'local',
+        changes: [
+          {
+            id: 'delete-0',
+            type: 'delete',
+            project: '💰 Work',
+            name: 'Old',
+            before: { name: 'Old' },
+          },
+        ],
+      };
+      const reverted = new Set();
+      claimTaskChangeSetRevert.mockImplementation(async ({ changeSetId }) => {
+        await new Promise((resolve) => setImmediate(resolve));
+        if (reverted.has(changeSetId)) {
+          return null;
+        }
+        reverted.add(changeSetId);
+        return { _id: changeSetId };
+      });
+
+      const results = await Promise.all([
+        revertTaskChangeSet(changeSet, user),
+        revertTaskChangeSet(changeSet, user),
+      ]);
+
+      expect(results.filter((result) => result === null)).toHaveLength(1);
+      expect(provider.applyTaskDiff).toHaveBeenCalledTimes(1);
+      expect(tasks.filter((task) => task.name === 'Old')).toHaveLength(1);
+
+      claimTaskChangeSetRevert.mockResolvedValueOnce({ _id: 'set-2' });
+      provider.fetchAllTasks.mockRejectedValueOnce(new Error('offline'));
+      await expect(revertTaskChangeSet({ ...changeSet, _id: 'set-2' }, user)).rejects.toThrow(
+        'offline',
+      );
+      expect(releaseTaskChangeSetRevert).toHaveBeenCalledWith({
+        userId: 'user-1',
+        changeSetId: 'set-2',
+      });
+    });
+
+    it('only reverts change sets on the provider they were written to', async () => {
+      await expect(
+        revertTaskChangeSet({ _id: 'set-1', provider: 'ticktick', changes: [] }, user),
+      ).rejects.toThrow('ticktick');
+      expect(provider.applyTaskDiff).not.toHaveBeenCalled();
+    });
+
+    it('completes a single task by id as a change set', async () => {
+      const { changeSet } = await completeTask(user, { provider: 'local', taskId: 't1' });
+
+      const [diff] = provider.applyTaskDiff.mock.calls[0];
+      expect(diff.tasks.complete).toEqual([
+        expect.objectContaining({ before: tasks[0], changes: ['completed'] }),
+      ]);
+      expect(changeSet).toMatchObject({
+        provider: 'local',
+        messageId: null,
+        changes: [expect.objectContaining({ type: 'complete', name: 'Submit PR' })],
+      });
+
+      tasks[0].completed = true;
+      expect(await completeTask(user, { provider: 'local', taskId: 't1' })).toEqual({
+        ok: true,
+        changeSet: null,
+      });
+      await expect(completeTask(user, { provider: 'local', taskId: 'gone' })).rejects.toThrow(
+        'Task not found',
+      );
+      await expect(completeTask(user, { provider: 'ticktick', taskId: 't1' })).rejects.toThrow(
+        'ticktick',
+      );
+      expect(provider.applyTaskDiff).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const { Task, Project, linkSubtasks } = require('~/customUtils/taskModels');
+const { parseVTodo, buildVTodo } = require('./ical');
+const TaskProvider = require('./TaskProvider');
+
+const xmlParser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: false,
+  parseTagValue: false,
+  isArray: (name) => ['response', 'propstat', 'comp'].includes(name),
+});
+
+const PROPFIND_CALENDARS = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:displayname/>
+    <d:resourcetype/>
+    <c:supported-calendar-component-set/>
+  </d:prop>
+</d:propfind>`;
+
+const REPORT_TODOS = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data/>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VTODO"/>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+/** @param {string} name */
+const mkcalendarBody = (name) => `<?xml version="1.0" encoding="utf-8"?>
+<c:mkcalendar xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:set>
+    <d:prop>
+      <d:displayname>${escapeXml(name)}</d:displayname>
+      <c:supported-calendar-component-set>
+        <c:comp name="VTODO"/>
+      </c:supported-calendar-component-set>
+    </d:prop>
+  </d:set>
+</c:mkcalendar>`;
+
+/** @param {string} value */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the successful `prop` of a multistatus response entry.
+ * @param {Object} response
+ */
+function getProp(response) {
+  const propstat = (response.propstat || []).find((ps) => /\s200\s/.test(` ${ps.status} `));
+  return propstat?.prop ?? {};
+}
+
+/** Text content of a parsed XML node, which may carry attributes. */
+function textOf(node) {
+  if (node == null) {
+    return '';
+  }
+  return typeof node === 'object' ? String(node['#text'] ?? '') : String(node);
+}
+
+/**
+ * Task provider for CalDAV servers (Nextcloud, Radicale, Fastmail, iCloud, ...).
+ *
+ * Each calendar collection under `url` that accepts VTODO components is a project; each VTODO
+ * resource is a task. Task and project ids are the resources' absolute URLs; subtasks point at
+ * their parent's UID with `RELATED-TO`.
+ * Connection settings come from the user's CalDAV integration.
+ */
+class CalDavProvider extends TaskProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - The calendar home collection, e.g. `https://dav.example.com/calendars/jane/`.
+   * @param {string} [options.username]
+   * @param {string} [options.password]
+   * @param {string} [options.timezone]
+   */
+  constructor(options = {}) {
+    super(options);
+    const url = options.url ?? '';
+    this.url = url.endsWith('/') ? url : `${url}/`;
+    this.auth = {
+      username: options.username ?? '',
+      password: options.password ?? '',
+    };
+    /** Parsed VTODOs by resource URL, so updates keep properties we don't model. */
+    this.todos = new Map();
+  }
+
+  get name() {
+    return 'caldav';
+  }
+
+  /**
+   * Sends a request, with the user's credentials, to a URL on the CalDAV server.
+   * @param {string} method
+   * @param {string} url - Must be on the server's origin, see `resolve`.
+   * @param {Object} [options]
+   * @param {string} [options.data]
+   * @param {Record<string, string>} [options.headers]
+   */
+  async request(method, url, { data, headers = {} } = {}) {
+    if (!this.url || this.url === '/') {
+      throw new Error('CalDAV is not connected; add it under Settings > Integrations');
+    }
+    const response = await axios({
+      method,
+      url: this.resolve(url),
+      data,
+      auth: this.auth,
+      headers,
+      responseType: 'text',
+      transformResponse: (body) => body,
+    });
+    return response.data;
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @param {string} body
+   * @param {string} depth
+   * @returns {Promise<Object[]>} The multistatus `response` entries.
+   */
+  async multistatus(method, url, body, depth) {
+    const xml = await this.request(method, url, {
+      data: body,
+      headers: { Depth: depth, 'Content-Type': 'application/xml; charset=utf-8' },
+    });
+    return xmlParser.parse(xml)?.multistatus?.response ?? [];
+  }
+
+  /**
+   * Resolves an href against the calendar home. Hrefs on another origin are rejected, so a
+   * server cannot point the user's credentials at other hosts.
+   * @param {string} href
+   */
+  resolve(href) {
+    const url = new URL(href, this.url);
+    const { origin } = new URL(this.url);
+    if (url.origin !== origin) {
+      throw new Error(`CalDAV URL is outside ${origin}`);
+    }
+    return url.toString();
+  }
+
+  async listProjects() {
+    const responses = await this.multistatus('PROPFIND', this.url, PROPFIND_CALENDARS, '1');
+    const projects = [];
+    for (const response of responses) {
+      const prop = getProp(response);
+      if (prop.resourcetype?.calendar === undefined) {
+        continue;
+      }
+      const components = prop['supported-calendar-component-set']?.comp;
+      if (components && !components.some((comp) => comp['@_name'] === 'VTODO')) {
+        continue;
+      }
+      const id = this.resolve(textOf(response.href));
+      const name =
+        textOf(prop.displayname) || decodeURIComponent(id.split('/').filter(Boolean).pop());
+      projects.push({ id, name });
+    }
+    return projects;
+  }
+
+  async fetchAllTasks() {
+    const projects = await this.listProjects();
+    this.todos = new Map();
+
+    const result = [];
+    for (const project of projects) {
+      const responses = await this.multistatus('REPORT', project.id, REPORT_TODOS, '1');
+      const tasks = [];
+      for (const response of responses) {
+        const todo = parseVTodo(textOf(getProp(response)['calendar-data']), this.timezone);
+        if (!todo) {
+          continue;
+        }
+        const id = this.resolve(textOf(response.href));
+        this.todos.set(id, todo);
+        const { year, month, day, hour, minute } = this.getDateFields(todo.due ?? todo.start);
+        const task = new Task(
+          todo.summary || 'Untitled',
+          todo.completed,
+          year,
+          month,
+          day,
+          hour,
+          minute,
+          todo.description,
+          id,
+          project.id,
+          todo.due ? null : todo.duration,
+        );
+        const { repeat, priority, tags, items } = todo;
+        tasks.push(Object.assign(task, { repeat, priority, tags, items }));
+      }
+      if (tasks.length > 0) {
+        result.push(new Project(project.name, tasks, project.id));
+      }
+    }
+
+    const urls = new Map([...this.todos].map(([url, todo]) => [todo.uid, url]));
+    for (const { tasks } of result) {
+      for (const task of tasks) {
+        task.parentId = urls.get(this.todos.get(task.id).parent) ?? null;
+      }
+    }
+    return linkSubtasks(result);
+  }
+
+  async createProject(name) {
+    const slug = name
+      .normalize('NFKD')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    const id = this.resolve(`${slug || 'tasks'}-${crypto.randomBytes(4).toString('hex')}/`);
+    await this.request('MKCALENDAR', id, {
+      data: mkcalendarBody(name),
+      headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+    });
+    return { id, name };
+  }
+
+  async deleteProject(project) {
+    await this.request('DELETE', project.id);
+  }
+
+  /**
+   * A task with a duration is written as `DTSTART` + `DURATION`, any other task as `DUE`;
+   * the `DTSTART` another client set next to a `DUE` is kept.
+   * @param {string} url
+   * @param {Task} task
+   * @param {Object} [previous] - The parsed VTODO being replaced.
+   */
+  async putTask(url, task, previous) {
+    const dt = this.getDueDateTime(task);
+    const timed = dt != null && task.duration > 0;
+    let start = timed ? dt : null;
+    if (!timed && previous?.due) {
+      start = previous.start;
+    }
+    const todo = {
+      uid: previous?.uid || crypto.randomUUID(),
+      summary: task.name,
+      description: task.content || '',
+      completed: !!task.completed,
+      due: timed ? null : dt,
+      start,
+      duration: timed ? task.duration : null,
+      repeat: task.repeat ?? null,
+      priority: task.priority ?? 0,
+      tags: task.tags ?? [],
+      items: task.items ?? [],
+      parent: task.parentId ? (this.todos.get(task.parentId)?.uid ?? null) : null,
+      extra: previous?.extra ?? [],
+    };
+    await this.request('PUT', url, {
+      data: buildVTodo(todo),
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        ...(previous ? {} : { 'If-None-Match': '*' }),
+      },
+    });
+    this.todos.set(url, todo);
+    return todo;
+  }
+
+  async createTask(projectId, task) {
+    const uid = crypto.randomUUID();
+    const url = new URL(`${uid}.ics`, projectId).toString();
+    await this.putTask(url, task, null);
+    return Object.assign(new Task(), task, { id: url, projectId });
+  }
+
+  async updateTask(task, projectId) {
+    const previous = this.todos.get(task.id) ?? { uid: '', extra: [] };
+    const targetProject = projectId || task.projectId;
+    if (targetProject === task.projectId) {
+      await this.putTask(task.id, task, previous);
+      return Object.assign(new Task(), task, { projectId: targetProject });
+    }
+
+    const url = new URL(task.id.split('/').pop(), targetProject).toString();
+    await this.putTask(url, task, { ...previous, uid: previous.uid || crypto.randomUUID() });
+    await this.request('DELETE', task.id);
+    this.todos.delete(task.id);
+    return Object.assign(new Task(), task, { id: url, projectId: targetProject });
+  }
+
+  async deleteTask(task) {
+    await this.request('DELETE', task.id);
+    this.todos.delete(task.id);
+  }
+}
+
+module.exports = CalDavProvider;
@@ -0,0 +1,333 @@
+const http = require('http');
+const { Task } = require('~/customUtils/taskModels');
+const { diffTasks } = require('~/customUtils/taskDiff');
+const { parseVTodo, buildVTodo, unfoldLines } = require('./ical');
+const CalDavProvider = require('./CalDavProvider');
+
+const TIMEZONE = 'America/New_York';
+
+/**
+ * In-memory CalDAV server: calendars under /cal/jane/, each holding `.ics` resources.
+ * Implements just enough of PROPFIND, REPORT, MKCALENDAR, PUT and DELETE for the provider.
+ */
+function createStubServer() {
+  const calendars = new Map();
+  const requests = [];
+
+  const multistatus = (responses) =>
+    `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">${responses.join('')}</d:multistatus>`;
+  const response = (href, prop) =>
+    `<d:response><d:href>${href}</d:href><d:propstat><d:prop>${prop}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const calendarPath = req.url.replace(/[^/]*$/, '');
+
+      if (req.method === 'PROPFIND') {
+        const entries = [
+          response('/cal/jane/', '<d:resourcetype><d:collection/></d:resourcetype>'),
+        ];
+        for (const [path, calendar] of calendars) {
+          entries.push(
+            response(
+              path,
+              `<d:displayname>${calendar.name}</d:displayname><d:resourcetype><d:collection/><c:calendar/></d:resourcetype><c:supported-calendar-component-set>${calendar.components.map((c) => `<c:comp name="${c}"/>`).join('')}</c:supported-calendar-component-set>`,
+            ),
+          );
+        }
+        res.writeHead(207, { 'Content-Type': 'application/xml' });
+        return res.end(multistatus(entries));
+      }
+
+      if (req.method === 'REPORT') {
+        const calendar = calendars.get(req.url);
+        const entries = [...calendar.items].map(([href, ics]) =>
+          response(href, `<d:getetag>"1"</d:getetag><c:calendar-data>${ics}</c:calendar-data>`),
+        );
+        res.writeHead(207, { 'Content-Type': 'application/xml' });
+        return res.end(multistatus(entries));
+      }
+
+      if (req.method === 'MKCALENDAR') {
+        const name = body.match(/<d:displayname>(.*)<\/d:displayname>/)[1];
+        calendars.set(req.url, { name, components: ['VTODO'], items: new Map() });
+        res.writeHead(201);
+        return res.end();
+      }
+
+      if (req.method === 'PUT') {
+        calendars.get(calendarPath).items.set(req.url, body);
+        res.writeHead(201);
+        return res.end();
+      }
+
+      if (req.method === 'DELETE') {
+        if (calendars.has(req.url)) {
+          calendars.delete(req.url);
+        } else {
+          calendars.get(calendarPath)?.items.delete(req.url);
+        }
+        res.writeHead(204);
+        return res.end();
+      }
+
+      res.writeHead(405);
+      res.end();
+    });
+  });
+
+  return { server, calendars, requests };
+}
+
+describe('ical', () => {
+  it('round-trips VTODO fields and keeps unmanaged properties', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      'UID:abc',
+      'SUMMARY:Buy milk\\, eggs',
+      'DESCRIPTION:Line one\\nLine two',
+      'DUE;TZID=America/New_York:20251224T090000',
+      'CLASS:PRIVATE',
+      'BEGIN:VALARM',
+      'TRIGGER:-PT15M',
+      'END:VALARM',
+      'END:VTODO',
+      'END:VCALENDAR',
+    ].join('\r\n');
+
+    const todo = parseVTodo(ics, TIMEZONE);
+    expect(todo).toMatchObject({
+      uid: 'abc',
+      summary: 'Buy milk, eggs',
+      description: 'Line one\nLine two',
+      completed: false,
+    });
+    expect(todo.due.setZone(TIMEZONE).toFormat('yyyy-MM-dd HH:mm')).toBe('2025-12-24 09:00');
+    expect(todo.extra).toEqual(['CLASS:PRIVATE', 'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM']);
+
+    const rebuilt = parseVTodo(buildVTodo({ ...todo, completed: true }), TIMEZONE);
+    expect(rebuilt).toMatchObject({ uid: 'abc', summary: 'Buy milk, eggs', completed: true });
+    expect(rebuilt.due.toMillis()).toBe(todo.due.toMillis());
+    expect(rebuilt.extra).toEqual(todo.extra);
+  });
+
+  it('writes a duration as DTSTART and DURATION instead of DUE', () => {
+    const start = parseVTodo(
+      'BEGIN:VTODO\r\nDTSTART:20251224T140000Z\r\nEND:VTODO',
+      TIMEZONE,
+    ).start;
+    const ics = buildVTodo({ uid: 'x', summary: 'Deep work', start, duration: 90 });
+
+    expect(unfoldLines(ics)).toEqual(
+      expect.arrayContaining(['DTSTART:20251224T140000Z', 'DURATION:PT1H30M']),
+    );
+    expect(ics).not.toContain('DUE:');
+    expect(parseVTodo(ics, TIMEZONE)).toMatchObject({ due: null, duration: 90 });
+    expect(buildVTodo({ uid: 'x', summary: 'Call', start, duration: 60 })).toContain(
+      'DURATION:PT1H\r\n',
+    );
+  });
+
+  it('maps recurrence, priority, categories, parents and checklists', () => {
+    const ics = [
+      'BEGIN:VTODO',
+      'UID:child',
+      'SUMMARY:Pack bags',
+      'DESCRIPTION:Carry-on only\\n\\n- [x] Passport\\n- [ ] Charger',
+      'RRULE:FREQ=YEARLY',
+      'PRIORITY:2',
+      'CATEGORIES:travel,home\\, garden',
+      'RELATED-TO;RELTYPE=PARENT:parent',
+      'RELATED-TO;RELTYPE=SIBLING:other',
+      'END:VTODO',
+    ].join('\r\n');
+
+    const todo = parseVTodo(ics, TIMEZONE);
+    expect(todo).toMatchObject({
+      description: 'Carry-on only',
+      items: [
+        { title: 'Passport', completed: true },
+        { title: 'Charger', completed: false },
+      ],
+      repeat: 'FREQ=YEARLY',
+      priority: 5,
+      tags: ['travel', 'home, garden'],
+      parent: 'parent',
+      extra: ['RELATED-TO;RELTYPE=SIBLING:other'],
+    });
+
+    const rebuilt = buildVTodo({ ...todo, priority: 3 });
+    expect(unfoldLines(rebuilt)).toEqual(
+      expect.arrayContaining([
+        'RRULE:FREQ=YEARLY',
+        'PRIORITY:5',
+        'CATEGORIES:travel,home\\, garden',
+        'RELATED-TO;RELTYPE=PARENT:parent',
+      ]),
+    );
+    expect(parseVTodo(rebuilt, TIMEZONE)).toMatchObject({
+      description: 'Carry-on only',
+      items: todo.items,
+      priority: 3,
+      tags: todo.tags,
+    });
+  });
+
+  it('folds long lines and unfolds them again', () => {
+    const ics = buildVTodo({ uid: 'x', summary: 'ü'.repeat(100) });
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    }
+    expect(unfoldLines(ics)).toContain(`SUMMARY:${'ü'.repeat(100)}`);
+  });
+});
+
+describe('CalDavProvider', () => {
+  let stub;
+  let provider;
+
+  beforeAll(async () => {
+    stub = createStubServer();
+    await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.calendars.clear();
+    stub.requests.length = 0;
+    stub.calendars.set('/cal/jane/work/', {
+      name: '💰 Work',
+      components: ['VTODO'],
+      items: new Map([
+        [
+          '/cal/jane/work/t1.ics',
+          buildVTodo({ uid: 't1', summary: 'Submit PR', extra: ['CLASS:PRIVATE'] }),
+        ],
+      ]),
+    });
+    stub.calendars.set('/cal/jane/events/', {
+      name: 'Events',
+      components: ['VEVENT'],
+      items: new Map(),
+    });
+    const { port } = stub.server.address();
+    provider = new CalDavProvider({
+      url: `http://127.0.0.1:${port}/cal/jane`,
+      username: 'jane',
+      password: 'secret',
+      timezone: TIMEZONE,
+    });
+  });
+
+  it('lists task calendars as projects and VTODOs as tasks', async () => {
+    const projects = await provider.fetchAllTasks();
+    expect(projects).toHaveLength(1);
+    expect(projects[0].name).toBe('💰 Work');
+    expect(projects[0].tasks[0]).toMatchObject({
+      name: 'Submit PR',
+      completed: false,
+      year: 0,
+      id: provider.resolve('/cal/jane/work/t1.ics'),
+      projectId: provider.resolve('/cal/jane/work/'),
+    });
+    expect(stub.requests[0].headers.authorization).toBe(
+      `Basic ${Buffer.from('jane:secret').toString('base64')}`,
+    );
+  });
+
+  it('rejects hrefs and task URLs outside the server origin', async () => {
+    stub.calendars.set('/cal/jane/work/', {
+      name: '💰 Work',
+      components: ['VTODO'],
+      items: new Map([['http://169.254.169.254/latest/t1.ics', buildVTodo({ uid: 't1' })]]),
+    });
+
+    await expect(provider.fetchAllTasks()).rejects.toThrow('CalDAV URL is outside');
+    await expect(
+      provider.deleteTask({ id: 'http://169.254.169.254/latest/meta-data' }),
+    ).rejects.toThrow('CalDAV URL is outside');
+    expect(stub.requests.map(({ method }) => method)).toEqual(['PROPFIND', 'REPORT']);
+  });
+
+  it('applies a diff through the CalDAV primitives', async () => {
+    const current = await provider.fetchAllTasks();
+    const submit = current[0].tasks[0];
+    const desired = [
+      {
+        name: '💰 Work',
+        tasks: [Object.assign(new Task(), submit, { completed: true, id: null, projectId: null })],
+      },
+      {
+        name: '✈️ New York Trip',
+        tasks: [new Task('Fly to New York', false, 2025, 12, 25, 11, 0, 'Gate B12')],
+      },
+    ];
+
+    const ok = await provider.applyTaskDiff(diffTasks(current, desired));
+    expect(ok).toBe(true);
+
+    const trip = [...stub.calendars.values()].find((c) => c.name === '✈️ New York Trip');
+    expect(trip.items.size).toBe(1);
+    const created = parseVTodo([...trip.items.values()][0], TIMEZONE);
+    expect(created).toMatchObject({ summary: 'Fly to New York', description: 'Gate B12' });
+    expect(created.due.setZone(TIMEZONE).toFormat('yyyy-MM-dd HH:mm')).toBe('2025-12-25 11:00');
+
+    const updated = parseVTodo(
+      stub.calendars.get('/cal/jane/work/').items.get('/cal/jane/work/t1.ics'),
+      TIMEZONE,
+    );
+    expect(updated).toMatchObject({ uid: 't1', completed: true, extra: ['CLASS:PRIVATE'] });
+  });
+
+  it('links subtasks to their parent with RELATED-TO', async () => {
+    const current = await provider.fetchAllTasks();
+    const submit = current[0].tasks[0];
+    const desired = [
+      {
+        name: '💰 Work',
+        tasks: [
+          Object.assign(new Task(), submit, { id: null }),
+          Object.assign(new Task('Write tests', false, 0, 0, 0, 0, 0), {
+            parent: 'Submit PR',
+            items: [{ title: 'Parser', completed: false }],
+          }),
+        ],
+      },
+    ];
+
+    expect(await provider.applyTaskDiff(diffTasks(current, desired))).toBe(true);
+
+    const [, written] = [...stub.calendars.get('/cal/jane/work/').items.values()];
+    expect(parseVTodo(written, TIMEZONE)).toMatchObject({ parent: 't1', description: '' });
+    const [work] = await provider.fetchAllTasks();
+    expect(work.tasks.find((task) => task.name === 'Write tests')).toMatchObject({
+      parent: 'Submit PR',
+      parentId: submit.id,
+      items: [{ title: 'Parser', completed: false }],
+    });
+  });
+
+  it('moves tasks between calendars and deletes emptied projects', async () => {
+    const current = await provider.fetchAllTasks();
+    const submit = current[0].tasks[0];
+    const desired = [
+      { name: 'Inbox', tasks: [Object.assign(new Task(), submit, { id: null, projectId: null })] },
+    ];
+
+    const ok = await provider.applyTaskDiff(diffTasks(current, desired));
+    expect(ok).toBe(true);
+    expect(stub.calendars.has('/cal/jane/work/')).toBe(false);
+    const inbox = [...stub.calendars.values()].find((c) => c.name === 'Inbox');
+    expect(parseVTodo([...inbox.items.values()][0], TIMEZONE)).toMatchObject({
+      uid: 't1',
+      summary: 'Submit PR',
+    });
+  });
+});
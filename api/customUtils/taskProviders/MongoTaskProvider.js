@@ -0,0 +1,155 @@
+const { DateTime } = require('luxon');
+const { Task, Project, linkSubtasks } = require('~/customUtils/taskModels');
+const TaskProvider = require('./TaskProvider');
+
+/**
+ * Task provider backed by LibreChat's own database (the `Task` and `TaskList` collections).
+ * Task lists are projects; due dates are stored as UTC instants.
+ */
+class MongoTaskProvider extends TaskProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.userId
+   * @param {string} [options.timezone]
+   * @param {Object} [options.methods] - Task methods; defaults to those exported by `~/models`.
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.userId) {
+      throw new Error('MongoTaskProvider requires a userId');
+    }
+    this.userId = options.userId;
+    this.methods = options.methods ?? require('~/models');
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  /** @param {import('@librechat/data-schemas').ITaskLean} doc */
+  toTask(doc) {
+    const dueDate = doc.dueDate ? DateTime.fromJSDate(new Date(doc.dueDate)) : null;
+    const { year, month, day, hour, minute } = this.getDateFields(dueDate);
+    const task = new Task(
+      doc.title,
+      doc.completed,
+      year,
+      month,
+      day,
+      hour,
+      minute,
+      doc.content || '',
+      doc._id.toString(),
+      doc.taskList.toString(),
+      doc.duration ?? null,
+    );
+    return Object.assign(task, {
+      repeat: doc.repeat ?? null,
+      priority: doc.priority ?? 0,
+      tags: doc.tags ?? [],
+      items: (doc.items ?? []).map(({ title, completed }) => ({ title, completed })),
+      parentId: doc.parent?.toString() ?? null,
+    });
+  }
+
+  /**
+   * The fields written for a task, apart from its title and list.
+   * @param {Task} task
+   */
+  toTaskFields(task) {
+    return {
+      content: task.content || '',
+      completed: !!task.completed,
+      dueDate: this.toDueDate(task),
+      duration: task.duration ?? null,
+      repeat: task.repeat ?? null,
+      priority: task.priority ?? 0,
+      tags: task.tags ?? [],
+      items: task.items ?? [],
+      parent: task.parentId ?? null,
+    };
+  }
+
+  /** @param {Task} task */
+  toDueDate(task) {
+    const dt = this.getDueDateTime(task);
+    return dt ? dt.toJSDate() : null;
+  }
+
+  async listProjects() {
+    const lists = await this.methods.getTaskLists(this.userId);
+    return lists.map((list) => ({ id: list._id.toString(), name: list.name }));
+  }
+
+  async fetchAllTasks() {
+    const [lists, docs] = await Promise.all([
+      this.methods.getTaskLists(this.userId),
+      this.methods.getTasks({ userId: this.userId }),
+    ]);
+
+    const tasksByList = new Map(lists.map((list) => [list._id.toString(), []]));
+    for (const doc of docs) {
+      tasksByList.get(doc.taskList.toString())?.push(this.toTask(doc));
+    }
+
+    return linkSubtasks(
+      lists
+        .map(
+          (list) =>
+            new Project(list.name, tasksByList.get(list._id.toString()), list._id.toString()),
+        )
+        .filter((project) => project.tasks.length > 0),
+    );
+  }
+
+  async createProject(name) {
+    const lists = await this.methods.getTaskLists(this.userId);
+    const list = await this.methods.createTaskList({
+      userId: this.userId,
+      name,
+      position: lists.length,
+    });
+    return { id: list._id.toString(), name: list.name };
+  }
+
+  async deleteProject(project) {
+    await this.methods.deleteTaskList({ userId: this.userId, taskListId: project.id });
+  }
+
+  /**
+   * Task lists are created on demand, so `projectId` may be missing for a brand-new user;
+   * tasks then go to an "Inbox" list.
+   */
+  async createTask(projectId, task) {
+    const taskListId = projectId ?? (await this.createProject('Inbox')).id;
+    const doc = await this.methods.createTask({
+      userId: this.userId,
+      taskListId,
+      title: task.name,
+      ...this.toTaskFields(task),
+    });
+    return this.toTask(doc);
+  }
+
+  async updateTask(task, projectId) {
+    const doc = await this.methods.updateTask({
+      userId: this.userId,
+      taskId: task.id,
+      updates: {
+        title: task.name,
+        ...this.toTaskFields(task),
+        ...(projectId ? { taskList: projectId } : {}),
+      },
+    });
+    if (!doc) {
+      throw new Error(`Task ${task.id} not found`);
+    }
+    return this.toTask(doc);
+  }
+
+  async deleteTask(task) {
+    await this.methods.deleteTask({ userId: this.userId, taskId: task.id });
+  }
+}
+
+module.exports = MongoTaskProvider;
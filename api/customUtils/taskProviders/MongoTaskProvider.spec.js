@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createModels, createMethods } = require('@librechat/data-schemas');
+const { Task } = require('~/customUtils/taskModels');
+const { diffTasks } = require('~/customUtils/taskDiff');
+const MongoTaskProvider = require('./MongoTaskProvider');
+
+describe('MongoTaskProvider', () => {
+  let mongoServer;
+  let methods;
+  let provider;
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    createModels(mongoose);
+    methods = createMethods(mongoose);
+  }, 20000);
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await mongoose.models.Task.deleteMany({});
+    await mongoose.models.TaskList.deleteMany({});
+    provider = new MongoTaskProvider({ userId, methods, timezone: 'America/New_York' });
+  });
+
+  it('requires a user', () => {
+    expect(() => new MongoTaskProvider({ methods })).toThrow('requires a userId');
+  });
+
+  it('creates, moves, completes and deletes tasks from a diff', async () => {
+    const work = await provider.createProject('💰 Work');
+    await provider.createTask(work.id, new Task('Submit PR', false, 2025, 12, 24, 9, 0, 'Review'));
+    await provider.createTask(work.id, new Task('Old task', false, 0, 0, 0, 0, 0));
+
+    const current = await provider.fetchAllTasks();
+    expect(current).toHaveLength(1);
+    expect(current[0].tasks.find((t) => t.name === 'Submit PR')).toMatchObject({
+      year: 2025,
+      month: 12,
+      day: 24,
+      hour: 9,
+      minute: 0,
+      content: 'Review',
+      projectId: work.id,
+    });
+
+    const desired = [
+      { name: '✈️ New York Trip', tasks: [new Task('Submit PR', true, 2025, 12, 24, 10, 0)] },
+    ];
+    const ok = await provider.applyTaskDiff(diffTasks(current, desired));
+    expect(ok).toBe(true);
+
+    const projects = await provider.fetchAllTasks();
+    expect(projects.map((p) => p.name)).toEqual(['✈️ New York Trip']);
+    expect(projects[0].tasks).toHaveLength(1);
+    expect(projects[0].tasks[0]).toMatchObject({ name: 'Submit PR', completed: true, hour: 10 });
+
+    const [stored] = await methods.getTasks({ userId });
+    expect(stored.completedAt).toBeInstanceOf(Date);
+    expect(stored.dueDate.toISOString()).toBe('2025-12-24T15:00:00.000Z');
+  });
+
+  it('stores recurrence, priority, tags, checklists and subtasks', async () => {
+    const work = await provider.createProject('💰 Work');
+    const desired = [
+      {
+        name: '💰 Work',
+        tasks: [
+          Object.assign(new Task('Submit PR', false, 0, 0, 0, 0, 0), {
+            repeat: 'FREQ=WEEKLY;BYDAY=MO',
+            priority: 3,
+            tags: ['dev'],
+            items: [{ title: 'Run lint', completed: true }],
+          }),
+          Object.assign(new Task('Write tests', false, 0, 0, 0, 0, 0), { parent: 'Submit PR' }),
+        ],
+      },
+    ];
+    expect(await provider.applyTaskDiff(diffTasks([], desired))).toBe(true);
+
+    const [project] = await provider.fetchAllTasks();
+    const pr = project.tasks.find((t) => t.name === 'Submit PR');
+    expect(pr).toMatchObject({
+      projectId: work.id,
+      repeat: 'FREQ=WEEKLY;BYDAY=MO',
+      priority: 3,
+      tags: ['dev'],
+      items: [{ title: 'Run lint', completed: true }],
+      parentId: null,
+    });
+    expect(project.tasks.find((t) => t.name === 'Write tests')).toMatchObject({
+      parent: 'Submit PR',
+      parentId: pr.id,
+    });
+
+    await provider.deleteTask(pr);
+    const [remaining] = await methods.getTasks({ userId });
+    expect(remaining.parent).toBeNull();
+  });
+
+  it("only sees the current user's tasks", async () => {
+    const other = new MongoTaskProvider({
+      userId: new mongoose.Types.ObjectId().toString(),
+      methods,
+    });
+    const list = await other.createProject('Secret');
+    await other.createTask(list.id, new Task('Hidden', false, 0, 0, 0, 0, 0));
+
+    expect(await provider.fetchAllTasks()).toEqual([]);
+    expect(await provider.listProjects()).toEqual([]);
+  });
+});
@@ -0,0 +1,215 @@
+const { DateTime } = require('luxon');
+const { logger } = require('@librechat/data-schemas');
+const { normalizeName } = require('~/customUtils/taskDiff');
+const { DEFAULT_TIMEZONE } = require('~/customUtils/taskModels');
+
+/**
+ * Base class for task backends.
+ *
+ * Providers implement the primitive operations below in terms of the shared `Task`/`Project`
+ * classes; the planner only talks to this interface. `applyTaskDiff` is implemented on top of
+ * the primitives and can be overridden by backends that support batch writes.
+ */
+class TaskProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - IANA timezone task dates are expressed in.
+   */
+  constructor(options = {}) {
+    this.timezone = options.timezone || DEFAULT_TIMEZONE;
+  }
+
+  /** @returns {string} Provider identifier, as stored in the user's preferences. */
+  get name() {
+    throw new Error(`${this.constructor.name} must define a name`);
+  }
+
+  /**
+   * Fetches all tasks, open and completed, grouped by project.
+   * @returns {Promise<Project[]>}
+   */
+  async fetchAllTasks() {
+    throw new Error(`${this.constructor.name}.fetchAllTasks is not implemented`);
+  }
+
+  /**
+   * Lists projects, including those without tasks.
+   * @returns {Promise<Array<{ id: string, name: string }>>}
+   */
+  async listProjects() {
+    throw new Error(`${this.constructor.name}.listProjects is not implemented`);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<{ id: string, name: string }>}
+   */
+  async createProject(_name) {
+    throw new Error(`${this.constructor.name}.createProject is not implemented`);
+  }
+
+  /**
+   * Deletes a project and any tasks still in it.
+   * @param {{ id: string, name: string }} project
+   */
+  async deleteProject(_project) {
+    throw new Error(`${this.constructor.name}.deleteProject is not implemented`);
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {Task} task
+   * @returns {Promise<Task>} The created task, with its backend id.
+   */
+  async createTask(_projectId, _task) {
+    throw new Error(`${this.constructor.name}.createTask is not implemented`);
+  }
+
+  /**
+   * Updates an existing task; `task.id` and `task.projectId` identify it.
+   * @param {Task} task - The task with its new values.
+   * @param {string} projectId - The project the task should end up in.
+   * @returns {Promise<Task>}
+   */
+  async updateTask(_task, _projectId) {
+    throw new Error(`${this.constructor.name}.updateTask is not implemented`);
+  }
+
+  /**
+   * @param {Task} task
+   * @returns {Promise<Task>}
+   */
+  async completeTask(task) {
+    return this.updateTask({ ...task, completed: true }, task.projectId);
+  }
+
+  /**
+   * @param {Task} task
+   */
+  async deleteTask(_task) {
+    throw new Error(`${this.constructor.name}.deleteTask is not implemented`);
+  }
+
+  /**
+   * Applies a task diff one operation at a time. Failures are logged and reported through the
+   * return value so that one failing task does not block the rest of the diff.
+   * Subtasks of parents added by the same diff are linked to the created parents, which the
+   * task list lists before their subtasks.
+   * @param {TaskDiff} diff
+   * @returns {Promise<boolean>} Whether every operation succeeded.
+   */
+  async applyTaskDiff(diff) {
+    let ok = true;
+    const run = async (label, fn) => {
+      try {
+        await fn();
+      } catch (error) {
+        ok = false;
+        logger.error(`[${this.constructor.name}] Failed to ${label}`, error);
+      }
+    };
+
+    const projectIds = new Map();
+    for (const project of await this.listProjects()) {
+      projectIds.set(normalizeName(project.name), project.id);
+    }
+
+    for (const { name } of diff.projects.add) {
+      if (projectIds.has(normalizeName(name))) {
+        continue;
+      }
+      await run(`create project "${name}"`, async () => {
+        const created = await this.createProject(name);
+        projectIds.set(normalizeName(name), created.id);
+      });
+    }
+
+    const projectIdFor = (name) => projectIds.get(normalizeName(name)) ?? projectIds.get('inbox');
+
+    /** Ids of the tasks created below, by the `key` of their addition */
+    const createdIds = new Map();
+    const withParentId = (task, parentKey) => ({
+      ...task,
+      parentId: task.parent ? (task.parentId ?? createdIds.get(parentKey) ?? null) : null,
+    });
+
+    for (const { project, task, key, parentKey } of diff.tasks.add) {
+      await run(`create task "${task.name}"`, async () => {
+        const created = await this.createTask(projectIdFor(project), withParentId(task, parentKey));
+        if (key != null) {
+          createdIds.set(key, created.id);
+        }
+      });
+    }
+
+    for (const { before, after, project, changes, parentKey } of diff.tasks.update) {
+      const projectId = changes.includes('project') ? projectIdFor(project) : before.projectId;
+      await run(`update task "${before.name}"`, () =>
+        this.updateTask(
+          { ...withParentId(after, parentKey), id: before.id, projectId: before.projectId },
+          projectId,
+        ),
+      );
+    }
+
+    for (const { before, after, project, changes, parentKey } of diff.tasks.complete) {
+      if (changes.length === 1) {
+        await run(`complete task "${before.name}"`, () => this.completeTask(before));
+        continue;
+      }
+      const projectId = changes.includes('project') ? projectIdFor(project) : before.projectId;
+      await run(`update task "${before.name}"`, () =>
+        this.updateTask(
+          { ...withParentId(after, parentKey), id: before.id, projectId: before.projectId },
+          projectId,
+        ),
+      );
+    }
+
+    for (const { task } of diff.tasks.delete) {
+      await run(`delete task "${task.name}"`, () => this.deleteTask(task));
+    }
+
+    for (const project of diff.projects.delete) {
+      const id = project.id ?? projectIds.get(normalizeName(project.name));
+      if (!id) {
+        continue;
+      }
+      await run(`delete project "${project.name}"`, () => this.deleteProject({ ...project, id }));
+    }
+
+    return ok;
+  }
+
+  /**
+   * @param {Task} task
+   * @returns {DateTime | null} The task's due date in the provider timezone.
+   */
+  getDueDateTime(task) {
+    if (!(task.year > 0)) {
+      return null;
+    }
+    const { year, month, day, hour, minute } = task;
+    return DateTime.fromObject({ year, month, day, hour, minute }, { zone: this.timezone });
+  }
+
+  /**
+   * @param {DateTime | null} dt
+   * @returns {{ year: number, month: number, day: number, hour: number, minute: number }}
+   */
+  getDateFields(dt) {
+    if (!dt || !dt.isValid) {
+      return { year: 0, month: 0, day: 0, hour: 0, minute: 0 };
+    }
+    const local = dt.setZone(this.timezone);
+    return {
+      year: local.year,
+      month: local.month,
+      day: local.day,
+      hour: local.hour,
+      minute: local.minute,
+    };
+  }
+}
+
+module.exports = TaskProvider;
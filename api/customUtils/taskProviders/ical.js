@@ -0,0 +1,466 @@
+const { DateTime, Duration } = require('luxon');
+
+/**
+ * Minimal iCalendar (RFC 5545) helpers for VTODO components, and for reading the VEVENTs of
+ * invitations attached to emails.
+ * Only the properties the task model uses are interpreted; everything else is kept verbatim
+ * so that updating a task does not drop data written by other clients.
+ */
+
+const MANAGED_PROPERTIES = new Set([
+  'UID',
+  'SUMMARY',
+  'DESCRIPTION',
+  'STATUS',
+  'DUE',
+  'DTSTART',
+  'DURATION',
+  'RRULE',
+  'PRIORITY',
+  'CATEGORIES',
+  'COMPLETED',
+  'PERCENT-COMPLETE',
+  'DTSTAMP',
+  'LAST-MODIFIED',
+]);
+
+/**
+ * iCalendar priorities (1 highest, 9 lowest, 0 undefined) for the task model's priorities;
+ * read back by range, so 1-4 is high, 5 medium and 6-9 low.
+ */
+const ICAL_PRIORITIES = { 5: 1, 3: 5, 1: 9 };
+
+/** @param {number} value - iCalendar `PRIORITY`. */
+function parsePriority(value) {
+  if (!(value > 0)) {
+    return 0;
+  }
+  if (value < 5) {
+    return 5;
+  }
+  return value === 5 ? 3 : 1;
+}
+
+/** A checklist item line at the end of a description, e.g. `- [x] Passport`. */
+const CHECKLIST_LINE = /^- \[([ xX])\] (.*)$/;
+
+/**
+ * Splits the checklist items off the end of a description. iCalendar has no checklists, so
+ * they are written as markdown checkboxes, which clients like Nextcloud Tasks render.
+ * @param {string} description
+ * @returns {{ description: string, items: Array<{ title: string, completed: boolean }> }}
+ */
+function splitChecklist(description) {
+  const lines = description.split('\n');
+  let start = lines.length;
+  while (start > 0 && CHECKLIST_LINE.test(lines[start - 1])) {
+    start--;
+  }
+  const items = lines.slice(start).map((line) => {
+    const [, mark, title] = line.match(CHECKLIST_LINE);
+    return { title, completed: mark !== ' ' };
+  });
+  return { description: lines.slice(0, start).join('\n').trim(), items };
+}
+
+/**
+ * @param {string} description
+ * @param {Array<{ title: string, completed: boolean }>} items
+ * @returns {string} The description followed by the checklist items.
+ */
+function joinChecklist(description, items) {
+  const checklist = items.map(({ title, completed }) => `- [${completed ? 'x' : ' '}] ${title}`);
+  return [description, checklist.join('\n')].filter(Boolean).join('\n\n');
+}
+
+/** @param {string} value */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** @param {string} value */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/** Folds a content line to 75 octets, as required by RFC 5545 section 3.1. */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Splits an iCalendar document into unfolded content lines.
+ * @param {string} ics
+ * @returns {string[]}
+ */
+function unfoldLines(ics) {
+  return ics
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * @param {string} line
+ * @returns {{ name: string, params: Record<string, string>, value: string }}
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  const head = colon === -1 ? line : line.slice(0, colon);
+  const value = colon === -1 ? '' : line.slice(colon + 1);
+  const [name, ...rawParams] = head.split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+/**
+ * Parses an iCalendar date or date-time value.
+ * @param {string} value
+ * @param {Record<string, string>} params
+ * @param {string} timezone - Zone for floating times and dates without a time.
+ * @returns {DateTime | null}
+ */
+function parseDateValue(value, params, timezone) {
+  if (!value) {
+    return null;
+  }
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return DateTime.fromFormat(value, 'yyyyMMdd', { zone: timezone });
+  }
+  if (value.endsWith('Z')) {
+    return DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss'Z'", { zone: 'utc' });
+  }
+  return DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss", { zone: params.TZID || timezone });
+}
+
+/** @param {DateTime} dt */
+function formatUtc(dt) {
+  return dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+/**
+ * Parses an iCalendar duration (e.g. `PT1H30M`) into minutes.
+ * @param {string} value
+ * @returns {number | null}
+ */
+function parseDuration(value) {
+  const minutes = Duration.fromISO(value.replace(/^\+/, '')).as('minutes');
+  return Number.isFinite(minutes) && minutes > 0 ? Math.round(minutes) : null;
+}
+
+/** @param {number} minutes */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+}
+
+/**
+ * Parses the first VTODO of an iCalendar document.
+ * @param {string} ics
+ * @param {string} timezone
+ * @returns {{ uid: string, summary: string, description: string, completed: boolean,
+ *   due: DateTime | null, start: DateTime | null, duration: number | null, repeat: string | null,
+ *   priority: number, tags: string[], items: Array<{ title: string, completed: boolean }>,
+ *   parent: string | null, extra: string[] } | null}
+ *   `duration` is in minutes; `priority` is on the task model's scale; `parent` is the UID of
+ *   the parent todo; `extra` holds the unmanaged VTODO lines.
+ */
+function parseVTodo(ics, timezone) {
+  const lines = unfoldLines(ics);
+  const start = lines.findIndex((line) => line.toUpperCase() === 'BEGIN:VTODO');
+  if (start === -1) {
+    return null;
+  }
+
+  const todo = {
+    uid: '',
+    summary: '',
+    description: '',
+    completed: false,
+    due: null,
+    start: null,
+    duration: null,
+    repeat: null,
+    priority: 0,
+    tags: [],
+    items: [],
+    parent: null,
+    extra: [],
+  };
+  let depth = 0;
+  for (const line of lines.slice(start + 1)) {
+    const upper = line.toUpperCase();
+    if (upper.startsWith('BEGIN:')) {
+      depth++;
+    } else if (upper === 'END:VTODO' && depth === 0) {
+      break;
+    } else if (upper.startsWith('END:')) {
+      depth--;
+    }
+    if (depth > 0 || upper.startsWith('END:')) {
+      todo.extra.push(line);
+      continue;
+    }
+
+    const { name, params, value } = parseLine(line);
+    switch (name) {
+      case 'UID':
+        todo.uid = value;
+        break;
+      case 'SUMMARY':
+        todo.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        todo.description = unescapeText(value);
+        break;
+      case 'STATUS':
+        todo.completed = todo.completed || value.toUpperCase() === 'COMPLETED';
+        break;
+      case 'COMPLETED':
+        todo.completed = true;
+        break;
+      case 'DUE':
+        todo.due = parseDateValue(value, params, timezone);
+        break;
+      case 'DTSTART':
+        todo.start = parseDateValue(value, params, timezone);
+        break;
+      case 'DURATION':
+        todo.duration = parseDuration(value);
+        break;
+      case 'RRULE':
+        todo.repeat = value.toUpperCase();
+        break;
+      case 'PRIORITY':
+        todo.priority = parsePriority(Number(value));
+        break;
+      case 'CATEGORIES':
+        todo.tags.push(
+          ...value
+            .split(/(?<!\\),/)
+            .map((tag) => unescapeText(tag).trim())
+            .filter(Boolean),
+        );
+        break;
+      case 'RELATED-TO':
+        if ((params.RELTYPE ?? 'PARENT').toUpperCase() === 'PARENT') {
+          todo.parent = value;
+        } else {
+          todo.extra.push(line);
+        }
+        break;
+      default:
+        if (!MANAGED_PROPERTIES.has(name)) {
+          todo.extra.push(line);
+        }
+    }
+  }
+  Object.assign(todo, splitChecklist(todo.description));
+  return todo;
+}
+
+/**
+ * Parses an event date like `parseDateValue`; a `TZID` luxon does not know, such as the Windows
+ * zone names Outlook writes, falls back to `timezone`.
+ * @param {string} value
+ * @param {Record<string, string>} params
+ * @param {string} timezone
+ * @returns {DateTime | null}
+ */
+function parseEventDate(value, params, timezone) {
+  const dt = parseDateValue(value, params, timezone);
+  if (dt && !dt.isValid && params.TZID) {
+    return parseDateValue(value, { ...params, TZID: undefined }, timezone);
+  }
+  return dt;
+}
+
+/**
+ * Parses the VEVENTs of an iCalendar document, such as a meeting invitation.
+ * Events without a start are left out; nested components (alarms) are ignored.
+ * @param {string} ics
+ * @param {string} timezone - Zone for floating times and dates without a time.
+ * @returns {Array<{ uid: string, summary: string, description: string, location: string | null,
+ *   organizer: string | null, start: DateTime, end: DateTime | null, allDay: boolean,
+ *   method: string | null }>} `method` is the iTIP method of the document, e.g. `REQUEST`.
+ */
+function parseVEvents(ics, timezone) {
+  const events = [];
+  let method = null;
+  let event = null;
+  let depth = 0;
+  for (const line of unfoldLines(ics)) {
+    const { name, params, value } = parseLine(line);
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT' && !event) {
+      event = { uid: '', summary: '', description: '', location: null, organizer: null };
+      continue;
+    }
+    if (!event) {
+      if (name === 'METHOD') {
+        method = value.toUpperCase();
+      }
+      continue;
+    }
+    if (name === 'BEGIN') {
+      depth++;
+    } else if (name === 'END' && depth > 0) {
+      depth--;
+    } else if (name === 'END') {
+      if (event.start?.isValid) {
+        events.push({ ...event, end: event.end?.isValid ? event.end : null, method });
+      }
+      event = null;
+    } else if (depth === 0) {
+      switch (name) {
+        case 'UID':
+          event.uid = value;
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(value);
+          break;
+        case 'DESCRIPTION':
+          event.description = unescapeText(value);
+          break;
+        case 'LOCATION':
+          event.location = unescapeText(value) || null;
+          break;
+        case 'ORGANIZER':
+          event.organizer = params.CN || value.replace(/^mailto:/i, '') || null;
+          break;
+        case 'DTSTART':
+          event.start = parseEventDate(value, params, timezone);
+          event.allDay = params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+          break;
+        case 'DTEND':
+          event.end = parseEventDate(value, params, timezone);
+          break;
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * Builds a VCALENDAR document holding a single VTODO.
+ * RFC 5545 allows either `DUE` or `DURATION`, and `DURATION` only with `DTSTART`, so a duration
+ * is written only for todos with a start and no due date.
+ * @param {Object} todo
+ * @param {string} todo.uid
+ * @param {string} todo.summary
+ * @param {string} [todo.description]
+ * @param {boolean} [todo.completed]
+ * @param {DateTime | null} [todo.due]
+ * @param {DateTime | null} [todo.start]
+ * @param {number | null} [todo.duration] - Minutes.
+ * @param {string | null} [todo.repeat] - `RRULE` value.
+ * @param {number} [todo.priority] - On the task model's scale.
+ * @param {string[]} [todo.tags]
+ * @param {Array<{ title: string, completed: boolean }>} [todo.items] - Appended to the description.
+ * @param {string | null} [todo.parent] - UID of the parent todo.
+ * @param {string[]} [todo.extra] - Unmanaged VTODO lines to carry over from a previous version.
+ * @returns {string}
+ */
+function buildVTodo({
+  uid,
+  summary,
+  description = '',
+  completed = false,
+  due = null,
+  start = null,
+  duration = null,
+  repeat = null,
+  priority = 0,
+  tags = [],
+  items = [],
+  parent = null,
+  extra = [],
+}) {
+  const now = formatUtc(DateTime.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//LibreChat//Tasks//EN',
+    'BEGIN:VTODO',
+    `UID:${uid}`,
+    `DTSTAMP:${now}`,
+    `LAST-MODIFIED:${now}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  const text = joinChecklist(description, items);
+  if (text) {
+    lines.push(`DESCRIPTION:${escapeText(text)}`);
+  }
+  if (start) {
+    lines.push(`DTSTART:${formatUtc(start)}`);
+  }
+  if (due) {
+    lines.push(`DUE:${formatUtc(due)}`);
+  } else if (start && duration > 0) {
+    lines.push(`DURATION:${formatDuration(duration)}`);
+  }
+  if (repeat) {
+    lines.push(`RRULE:${repeat}`);
+  }
+  if (ICAL_PRIORITIES[priority]) {
+    lines.push(`PRIORITY:${ICAL_PRIORITIES[priority]}`);
+  }
+  if (tags.length > 0) {
+    lines.push(`CATEGORIES:${tags.map(escapeText).join(',')}`);
+  }
+  if (parent) {
+    lines.push(`RELATED-TO;RELTYPE=PARENT:${parent}`);
+  }
+  if (completed) {
+    lines.push('STATUS:COMPLETED', `COMPLETED:${now}`, 'PERCENT-COMPLETE:100');
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+  lines.push(...extra, 'END:VTODO', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  unfoldLines,
+  parseVTodo,
+  buildVTodo,
+  parseVEvents,
+};
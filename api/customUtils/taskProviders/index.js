@@ -0,0 +1,70 @@
+const { getUserDateSettings } = require('librechat-data-provider');
+const { TickTickManager } = require('~/customUtils/ticktickUtils');
+const { getUserIntegrationCredentials } = require('~/server/services/IntegrationService');
+const MongoTaskProvider = require('./MongoTaskProvider');
+const CalDavProvider = require('./CalDavProvider');
+const TaskProvider = require('./TaskProvider');
+
+/** Provider factories by the name stored in `user.personalization.taskProvider`. */
+const taskProviders = {
+  ticktick: (options) => new TickTickManager(options),
+  caldav: (options) => new CalDavProvider(options),
+  local: (options) => new MongoTaskProvider(options),
+};
+
+/** @param {string} name */
+function isTaskProvider(name) {
+  return Object.prototype.hasOwnProperty.call(taskProviders, name);
+}
+
+/**
+ * Picks the task backend for a user: their saved preference, then `TASK_PROVIDER`,
+ * then TickTick if the user has connected it, then the local database.
+ * @param {IUser | undefined} user
+ * @returns {Promise<{ name: string, credentials: Object | null }>}
+ */
+async function resolveTaskProvider(user) {
+  const candidates = [user?.personalization?.taskProvider, process.env.TASK_PROVIDER];
+  const name = candidates.find((candidate) => candidate && isTaskProvider(candidate));
+  const credentials =
+    name === 'local' ? null : await getUserIntegrationCredentials(user, name ?? 'ticktick');
+  return { name: name ?? (credentials ? 'ticktick' : 'local'), credentials };
+}
+
+/**
+ * Names the task backend `getTaskProvider` resolves for a user, even when it is not connected.
+ * @param {IUser | undefined} user
+ * @returns {Promise<string>}
+ */
+async function getTaskProviderName(user) {
+  const { name } = await resolveTaskProvider(user);
+  return name;
+}
+
+/**
+ * Resolves the task backend for a user (see `resolveTaskProvider`).
+ * Remote backends are authenticated with the user's own integration credentials, and task dates
+ * are expressed in the user's timezone.
+ * @param {IUser | undefined} user
+ * @param {Object} [options] - Extra provider options (e.g. `baseUrl` for tests).
+ * @returns {Promise<TaskProvider>}
+ */
+async function getTaskProvider(user, options = {}) {
+  const { name, credentials } = await resolveTaskProvider(user);
+  if (name !== 'local' && !credentials) {
+    throw new Error(`${name} is not connected; add it under Settings > Integrations`);
+  }
+  return taskProviders[name]({
+    timezone: getUserDateSettings(user).timezone,
+    userId: user?.id ?? user?._id?.toString(),
+    ...credentials,
+    ...options,
+  });
+}
+
+module.exports = {
+  TaskProvider,
+  isTaskProvider,
+  getTaskProvider,
+  getTaskProviderName,
+};
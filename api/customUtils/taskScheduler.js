@@ -0,0 +1,236 @@
+const { DateTime } = require('luxon');
+const { logger } = require('@librechat/data-schemas');
+const { ContextSources } = require('librechat-data-provider');
+const { getTaskProvider } = require('~/customUtils/taskProviders');
+const { getBusyIntervals, createFocusBlock } = require('~/customUtils/focusBlocks');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+
+/**
+ * Time blocking: open tasks with a duration but no date are placed into the free time between
+ * the user's calendar events, within working hours.
+ */
+
+/** Hours of the day tasks are placed in, and the weekdays (1 = Monday) they are placed on. */
+const DEFAULT_WORKING_HOURS = { start: 9, end: 17, days: [1, 2, 3, 4, 5] };
+/** Placed tasks start on a multiple of this many minutes. */
+const SLOT_STEP = 15;
+const DEFAULT_SCHEDULE_DAYS = 7;
+const MAX_SCHEDULE_DAYS = 30;
+
+/**
+ * @typedef {Object} Interval
+ * @property {DateTime} start
+ * @property {DateTime} end
+ */
+
+/**
+ * @param {DateTime} dt
+ * @returns {DateTime} `dt` rounded up to the next {@link SLOT_STEP}.
+ */
+function roundUpToStep(dt) {
+  const floored = dt
+    .startOf('hour')
+    .plus({ minutes: Math.floor(dt.minute / SLOT_STEP) * SLOT_STEP });
+  return floored < dt ? floored.plus({ minutes: SLOT_STEP }) : floored;
+}
+
+/**
+ * Sorts intervals and merges the overlapping or touching ones.
+ * @param {Interval[]} intervals
+ * @returns {Interval[]}
+ */
+function mergeIntervals(intervals) {
+  const sorted = [...intervals]
+    .filter(({ start, end }) => start.isValid && end.isValid && end > start)
+    .sort((a, b) => a.start.toMillis() - b.start.toMillis());
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = interval.end > last.end ? interval.end : last.end;
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Finds the free time within working hours between `from` and `to`.
+ * @param {Object} params
+ * @param {Interval[]} params.busy
+ * @param {DateTime} params.from
+ * @param {DateTime} params.to
+ * @param {string} params.timezone - Zone the working hours are in.
+ * @param {{ start: number, end: number, days: number[] }} [params.workingHours]
+ * @returns {Interval[]}
+ */
+function findFreeSlots({ busy, from, to, timezone, workingHours = DEFAULT_WORKING_HOURS }) {
+  const busyIntervals = mergeIntervals(busy);
+  const slots = [];
+
+  for (let day = from.setZone(timezone).startOf('day'); day < to; day = day.plus({ days: 1 })) {
+    if (!workingHours.days.includes(day.weekday)) {
+      continue;
+    }
+    let start = DateTime.max(day.set({ hour: workingHours.start }), from);
+    const end = DateTime.min(day.set({ hour: workingHours.end }), to);
+
+    for (const interval of busyIntervals) {
+      if (interval.end <= start || interval.start >= end) {
+        continue;
+      }
+      if (interval.start > start) {
+        slots.push({ start, end: interval.start });
+      }
+      start = DateTime.max(start, interval.end);
+    }
+    if (end > start) {
+      slots.push({ start, end });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Places tasks, in order, at the earliest free time long enough for their duration.
+ * @template {{ duration: number }} T
+ * @param {T[]} tasks
+ * @param {Interval[]} slots - Free time, in order; not modified.
+ * @returns {{ placed: Array<{ task: T, start: DateTime, end: DateTime }>, unplaced: T[] }}
+ */
+function placeTasks(tasks, slots) {
+  const free = slots.map((slot) => ({ ...slot }));
+  const placed = [];
+  const unplaced = [];
+
+  for (const task of tasks) {
+    const slot = free.find(
+      (candidate) =>
+        roundUpToStep(candidate.start).plus({ minutes: task.duration }) <= candidate.end,
+    );
+    if (!slot) {
+      unplaced.push(task);
+      continue;
+    }
+    const start = roundUpToStep(slot.start);
+    const end = start.plus({ minutes: task.duration });
+    placed.push({ task, start, end });
+    slot.start = end;
+  }
+  return { placed, unplaced };
+}
+
+/**
+ * Finds the start of the scheduling window and the free time in it: working hours minus the
+ * user's Google Calendar events and the open tasks that have a date and a duration.
+ * @param {IUser} user
+ * @param {TaskProvider} provider
+ * @param {Task[]} open - The user's open tasks.
+ * @param {number} days
+ * @returns {Promise<Interval[]>}
+ */
+async function getFreeSlots(user, provider, open, days) {
+  const from = roundUpToStep(DateTime.now().setZone(provider.timezone));
+  const to = from.plus({ days: Math.min(Math.max(days, 1), MAX_SCHEDULE_DAYS) });
+  const busy = await getBusyIntervals(user, { from, to });
+  for (const task of open) {
+    const start = task.duration > 0 ? provider.getDueDateTime(task) : null;
+    if (start) {
+      busy.push({ start, end: start.plus({ minutes: task.duration }) });
+    }
+  }
+  return findFreeSlots({ busy, from, to, timezone: provider.timezone });
+}
+
+/**
+ * @param {Project[]} projects
+ * @returns {Task[]}
+ */
+const getOpenTasks = (projects) =>
+  projects.flatMap((project) => project.tasks).filter((task) => !task.completed);
+
+/**
+ * Lists the free time of the next `days` days that is at least `duration` minutes long, the way
+ * {@link scheduleTasks} sees it.
+ * @param {IUser} user
+ * @param {Object} [options]
+ * @param {number} [options.days]
+ * @param {number} [options.duration] - Minimum minutes of a slot.
+ * @returns {Promise<Array<{ start: string, end: string }>>} ISO times in the user's timezone.
+ */
+async function findFreeTime(user, { days = DEFAULT_SCHEDULE_DAYS, duration = SLOT_STEP } = {}) {
+  const provider = await getTaskProvider(user);
+  const open = getOpenTasks(await provider.fetchAllTasks());
+  const slots = await getFreeSlots(user, provider, open, days);
+  return slots
+    .filter(({ start, end }) => end.diff(start, 'minutes').minutes >= duration)
+    .map(({ start, end }) => ({ start: start.toISO(), end: end.toISO() }));
+}
+
+/**
+ * Schedules the user's open tasks that have a duration but no date into free time from their
+ * Google Calendar over the next `days` days. Tasks that already have a date and a duration keep
+ * their time and count as busy. Each placed task gets the slot's start as its date; with
+ * `focusBlocks`, a focus block event is created for it as well.
+ *
+ * @param {IUser} user
+ * @param {Object} [options]
+ * @param {number} [options.days]
+ * @param {boolean} [options.focusBlocks]
+ * @returns {Promise<import('librechat-data-provider').TScheduleTasksResponse>}
+ */
+async function scheduleTasks(user, { days = DEFAULT_SCHEDULE_DAYS, focusBlocks = false } = {}) {
+  const provider = await getTaskProvider(user);
+  const open = getOpenTasks(await provider.fetchAllTasks());
+  const pending = open.filter((task) => task.duration > 0 && !(task.year > 0));
+  if (pending.length === 0) {
+    return { scheduled: [], unscheduled: [] };
+  }
+
+  const slots = await getFreeSlots(user, provider, open, days);
+  const { placed, unplaced } = placeTasks(pending, slots);
+
+  const scheduled = [];
+  try {
+    for (const { task, start, end } of placed) {
+      const updated = await provider.updateTask(
+        { ...task, ...provider.getDateFields(start) },
+        task.projectId,
+      );
+      const taskId = updated?.id ?? task.id;
+      let eventId = null;
+      if (focusBlocks) {
+        eventId = await createFocusBlock(user, {
+          taskId,
+          provider: provider.name,
+          name: task.name,
+          start,
+          duration: task.duration,
+        });
+      }
+      scheduled.push({ taskId, name: task.name, start: start.toISO(), end: end.toISO(), eventId });
+    }
+  } finally {
+    await invalidateContextSnapshots(user, [ContextSources.tasks]);
+  }
+
+  logger.debug(`[scheduleTasks] Scheduled ${scheduled.length} of ${pending.length} tasks`);
+  return {
+    scheduled,
+    unscheduled: unplaced.map((task) => ({
+      taskId: task.id,
+      name: task.name,
+      duration: task.duration,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  mergeIntervals,
+  findFreeSlots,
+  placeTasks,
+  findFreeTime,
+  scheduleTasks,
+};
@@ -0,0 +1,141 @@
+const { DateTime, Settings } = require('luxon');
+const { Task, Project } = require('./taskModels');
+
+jest.mock('./taskProviders', () => ({ getTaskProvider: jest.fn() }));
+jest.mock('./focusBlocks', () => ({
+  getBusyIntervals: jest.fn(),
+  createFocusBlock: jest.fn(async () => 'event-1'),
+}));
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+
+const TaskProvider = require('./taskProviders/TaskProvider');
+const { getTaskProvider } = require('./taskProviders');
+const { getBusyIntervals, createFocusBlock } = require('./focusBlocks');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { findFreeSlots, placeTasks, findFreeTime, scheduleTasks } = require('./taskScheduler');
+
+const TIMEZONE = 'America/New_York';
+const at = (iso) => DateTime.fromISO(iso, { zone: TIMEZONE });
+const format = ({ start, end }) => `${start.toFormat('ccc HH:mm')}-${end.toFormat('HH:mm')}`;
+
+describe('taskScheduler', () => {
+  describe('findFreeSlots', () => {
+    it('returns working hours minus busy time, skipping weekends', () => {
+      const slots = findFreeSlots({
+        busy: [
+          { start: at('2025-12-19T10:00'), end: at('2025-12-19T11:00') },
+          { start: at('2025-12-19T10:30'), end: at('2025-12-19T12:00') },
+          { start: at('2025-12-22T08:00'), end: at('2025-12-22T09:30') },
+        ],
+        from: at('2025-12-19T09:20'),
+        to: at('2025-12-22T13:00'),
+        timezone: TIMEZONE,
+      });
+
+      expect(slots.map(format)).toEqual(['Fri 09:20-10:00', 'Fri 12:00-17:00', 'Mon 09:30-13:00']);
+    });
+  });
+
+  describe('placeTasks', () => {
+    it('places tasks in order at the earliest slot that fits, on 15 minute steps', () => {
+      const slots = [
+        { start: at('2025-12-19T09:20'), end: at('2025-12-19T10:00') },
+        { start: at('2025-12-19T12:00'), end: at('2025-12-19T13:00') },
+      ];
+      const tasks = [{ duration: 30 }, { duration: 30 }, { duration: 45 }, { duration: 15 }];
+
+      const { placed, unplaced } = placeTasks(tasks, slots);
+
+      expect(placed.map(format)).toEqual(['Fri 09:30-10:00', 'Fri 12:00-12:30', 'Fri 12:30-12:45']);
+      expect(placed[2].task).toBe(tasks[3]);
+      expect(unplaced).toEqual([tasks[2]]);
+      expect(slots[0].start.toFormat('HH:mm')).toBe('09:20');
+    });
+  });
+
+  describe('scheduleTasks', () => {
+    const now = at('2025-12-19T09:05').toMillis();
+    let provider;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Settings.now = () => now;
+      provider = new TaskProvider({ timezone: TIMEZONE });
+      Object.defineProperty(provider, 'name', { value: 'local' });
+      provider.updateTask = jest.fn(async (task) => task);
+      provider.fetchAllTasks = jest.fn(async () => [
+        new Project('💰 Work', [
+          new Task('Write report', false, 0, 0, 0, 0, 0, '', 't1', 'p1', 60),
+          new Task('Standup', false, 2025, 12, 19, 9, 15, '', 't2', 'p1', 15),
+          new Task('Someday', false, 0, 0, 0, 0, 0, '', 't3', 'p1'),
+          new Task('Done', true, 0, 0, 0, 0, 0, '', 't4', 'p1', 30),
+        ]),
+      ]);
+      getTaskProvider.mockResolvedValue(provider);
+      getBusyIntervals.mockResolvedValue([
+        { start: at('2025-12-19T09:30'), end: at('2025-12-19T10:00') },
+      ]);
+    });
+
+    afterEach(() => {
+      Settings.now = () => Date.now();
+    });
+
+    it('dates open tasks with a duration and creates their focus blocks', async () => {
+      const user = { id: 'user-1' };
+
+      const result = await scheduleTasks(user, { focusBlocks: true });
+
+      expect(getBusyIntervals).toHaveBeenCalledWith(user, {
+        from: at('2025-12-19T09:15'),
+        to: at('2025-12-26T09:15'),
+      });
+      expect(provider.updateTask).toHaveBeenCalledTimes(1);
+      expect(provider.updateTask).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 't1', year: 2025, month: 12, day: 19, hour: 10, minute: 0 }),
+        'p1',
+      );
+      expect(createFocusBlock).toHaveBeenCalledWith(user, {
+        taskId: 't1',
+        provider: 'local',
+        name: 'Write report',
+        start: at('2025-12-19T10:00'),
+        duration: 60,
+      });
+      expect(result).toEqual({
+        scheduled: [
+          {
+            taskId: 't1',
+            name: 'Write report',
+            start: at('2025-12-19T10:00').toISO(),
+            end: at('2025-12-19T11:00').toISO(),
+            eventId: 'event-1',
+          },
+        ],
+        unscheduled: [],
+      });
+      expect(invalidateContextSnapshots).toHaveBeenCalledWith(user, ['tasks']);
+    });
+
+    it('finds free time long enough for a duration around events and dated tasks', async () => {
+      const slots = await findFreeTime({ id: 'user-1' }, { duration: 60 });
+
+      expect(slots).toHaveLength(5);
+      expect(slots[0]).toEqual({
+        start: at('2025-12-19T10:00').toISO(),
+        end: at('2025-12-19T17:00').toISO(),
+      });
+      expect(slots[4].start).toBe(at('2025-12-25T09:00').toISO());
+      expect(provider.updateTask).not.toHaveBeenCalled();
+    });
+
+    it('only writes task dates without focus blocks', async () => {
+      await scheduleTasks({ id: 'user-1' });
+
+      expect(provider.updateTask).toHaveBeenCalledTimes(1);
+      expect(createFocusBlock).not.toHaveBeenCalled();
+    });
+  });
+});
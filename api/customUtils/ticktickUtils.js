@@ -1,414 +1,456 @@
-require('dotenv').config();
+const crypto = require('crypto');
 const axios = require('axios');
-const FormData = require('form-data');
-const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
-const { DateTime } = require('luxon'); 
+const { DateTime } = require('luxon');
+const { logger } = require('@librechat/data-schemas');
+const { normalizeName } = require('~/customUtils/taskDiff');
+const { Task, Project, linkSubtasks, normalizeRepeat } = require('~/customUtils/taskModels');
+const TaskProvider = require('~/customUtils/taskProviders/TaskProvider');
 
-const TOKEN = process.env.TICKTICK_TOKEN || '';
-const DEVICE_ID = process.env.TICKTICK_DEVICE_ID;
 const BASE_URL = 'https://api.ticktick.com/api/v2';
-const GOOGLE_API_KEY = process.env.GOOGLE_KEY;
-const USER_TIMEZONE = 'America/New_York';
 
-const HEADERS = {
-    'accept': 'application/json, text/plain, */*',
+function buildHeaders({ token, deviceId, timezone }) {
+  return {
+    accept: 'application/json, text/plain, */*',
     'content-type': 'application/json;charset=UTF-8',
-    'cookie': `t=${TOKEN};`,
+    cookie: `t=${token};`,
     'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)',
-    'x-tz': USER_TIMEZONE,
-    'origin': 'https://ticktick.com',
-    'referer': 'https://ticktick.com/',
-    'X-Device': DEVICE_ID
-};
-
-
-class Task {
-    constructor(name, completed, year, month, day, hour, minute, content = '', id = null, projectId = null) {
-        this.name = name;
-        this.completed = completed;
-        
-        this.year = year; 
-        this.month = month;
-        this.day = day;
-        this.hour = hour;
-        this.minute = minute;
-        
-        this.content = content; 
-
-        this.id = id;
-        this.projectId = projectId;
-    }
+    'x-tz': timezone,
+    origin: 'https://ticktick.com',
+    referer: 'https://ticktick.com/',
+    'X-Device': deviceId,
+  };
 }
 
-class Project {
-    constructor(name, tasks) {
-        this.name = name;
-        this.tasks = tasks;
-    }
+/** TickTick expects client-generated ids for new tasks and projects (Mongo ObjectId format). */
+function generateTickTickId() {
+  return crypto.randomBytes(12).toString('hex');
 }
 
-
-class TickTickManager {
-    constructor() {
-        this.projectsCache = [];
+/**
+ * Task provider for TickTick's private v2 API.
+ * `token` and `deviceId` come from the user's TickTick integration; `baseUrl` can point at a
+ * stub server in tests.
+ */
+class TickTickManager extends TaskProvider {
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = options.baseUrl || BASE_URL;
+    this.headers = buildHeaders({
+      token: options.token ?? '',
+      deviceId: options.deviceId,
+      timezone: this.timezone,
+    });
+    this.projectsCache = [];
+    /** Raw TickTick task objects by id, so updates keep fields we don't model (reminders, ...). */
+    this.rawTasks = new Map();
+    /** Project ids by normalized project name, including projects without tasks. */
+    this.projectIds = new Map();
+    /** See `getInboxId` */
+    this.inboxId = null;
+  }
+
+  get name() {
+    return 'ticktick';
+  }
+
+  async makeApiRequest(method, endpoint, data = null) {
+    const url = `${this.baseUrl}${endpoint}`;
+    try {
+      const config = {
+        method: method,
+        url: url,
+        headers: this.headers,
+        data: data,
+      };
+      const response = await axios(config);
+      return response.data;
+    } catch (e) {
+      logger.error(`[TickTickManager] API error on ${method} ${endpoint}:`, e.message);
+      return null;
     }
-
-    async makeApiRequest(method, endpoint, data = null) {
-        const url = `${BASE_URL}${endpoint}`;
-        try {
-            const config = {
-                method: method,
-                url: url,
-                headers: HEADERS,
-                data: data
-            };
-            const response = await axios(config);
-            return response.data;
-        } catch (e) {
-            console.error(`API Error [${endpoint}]: ${e.message}`);
-            return null;
-        }
+  }
+
+  formatTickTickDate(luxonDt) {
+    return luxonDt.toUTC().toFormat("yyyy-MM-dd'T'HH:mm:ss'+0000'");
+  }
+
+  /** A task's time is its start; TickTick only sets a separate start for tasks spanning a range. */
+  parseTaskDate(taskData) {
+    const start = taskData.startDate || taskData.dueDate;
+    return this.getDateFields(start ? DateTime.fromISO(start) : null);
+  }
+
+  /** Minutes between start and due date, the duration written by `buildTaskPayload`. */
+  parseTaskDuration(taskData) {
+    if (!taskData.startDate || !taskData.dueDate || taskData.isAllDay) {
+      return null;
     }
-
-    formatTickTickDate(luxonDt) {
-        return luxonDt.toUTC().toFormat("yyyy-MM-dd'T'HH:mm:ss'+0000'");
+    const minutes = DateTime.fromISO(taskData.dueDate).diff(
+      DateTime.fromISO(taskData.startDate),
+      'minutes',
+    ).minutes;
+    return minutes > 0 ? Math.round(minutes) : null;
+  }
+
+  /** Recurrence, priority, tags, checklist and parent of a TickTick task, as Task fields. */
+  parseTaskAttributes(taskData) {
+    return {
+      repeat: normalizeRepeat(taskData.repeatFlag),
+      priority: taskData.priority || 0,
+      tags: taskData.tags || [],
+      items: (taskData.items || []).map((item) => ({
+        title: item.title || '',
+        completed: item.status !== 0,
+      })),
+      parentId: taskData.parentId || null,
+    };
+  }
+
+  /**
+   * TickTick checklist items for a task's items; items keep the id of an existing item
+   * with the same title.
+   */
+  buildChecklist(items, rawItems = []) {
+    return items.map((item, index) => ({
+      id: rawItems.find((raw) => raw.title === item.title)?.id || generateTickTickId(),
+      title: item.title,
+      status: item.completed ? 1 : 0,
+      sortOrder: index,
+    }));
+  }
+
+  /** An entry for `/batch/taskParent`, which links a subtask to its parent or unlinks it. */
+  buildParentLink(taskId, projectId, parentId, oldParentId) {
+    return parentId ? { taskId, projectId, parentId } : { taskId, projectId, oldParentId };
+  }
+
+  /**
+   * Start and due date of a task in TickTick's format; a task with a duration ends
+   * `duration` minutes after it starts.
+   * @param {Task} task
+   * @returns {{ startDate: string | null, dueDate: string | null }}
+   */
+  formatTaskRange(task) {
+    const start = this.getDueDateTime(task);
+    if (!start) {
+      return { startDate: null, dueDate: null };
     }
-
-    parseTaskDate(taskData) {
-        const due = taskData.dueDate;
-        if (due) {
-            const dt = DateTime.fromISO(due).setZone(USER_TIMEZONE);
-            return {
-                year: dt.year, month: dt.month, day: dt.day,
-                hour: dt.hour, minute: dt.minute
-            };
-        }
-        return { year: 0, month: 0, day: 0, hour: 0, minute: 0 };
+    const end = task.duration > 0 ? start.plus({ minutes: task.duration }) : start;
+    return { startDate: this.formatTickTickDate(start), dueDate: this.formatTickTickDate(end) };
+  }
+
+  async fetchAllTasks() {
+    logger.debug('[TickTickManager] Fetching tasks');
+    const [completedData, activeData, projectsList] = await Promise.all([
+      this.makeApiRequest('GET', '/project/all/completedInAll?limit=1000'),
+      this.makeApiRequest('GET', '/project/all/tasks?limit=1000'),
+      this.makeApiRequest('GET', '/projects?limit=1000'),
+    ]);
+
+    const projectMap = {};
+    this.projectIds = new Map();
+    if (projectsList && Array.isArray(projectsList)) {
+      projectsList.forEach((p) => {
+        projectMap[p.id] = p.name;
+        this.projectIds.set(normalizeName(p.name), p.id);
+      });
     }
 
+    const uniqueTasksMap = new Map();
+    const processRawTask = (t) => {
+      if (!t || !t.id) return;
+      uniqueTasksMap.set(t.id, t);
+    };
+
+    if (completedData && Array.isArray(completedData)) completedData.forEach(processRawTask);
+    if (activeData && Array.isArray(activeData)) activeData.forEach(processRawTask);
+    this.rawTasks = uniqueTasksMap;
+
+    const tasksByProject = {};
+
+    for (const item of uniqueTasksMap.values()) {
+      const pId = item.projectId;
+      if (!pId) continue;
+
+      if (!tasksByProject[pId]) tasksByProject[pId] = [];
+
+      const { year, month, day, hour, minute } = this.parseTaskDate(item);
+      const isCompleted = item.status === 2;
+      // Checklists keep their description in `desc`
+      const content = item.kind === 'CHECKLIST' ? item.desc || item.content : item.content;
+
+      const taskObj = new Task(
+        item.title || 'Untitled',
+        isCompleted,
+        year,
+        month,
+        day,
+        hour,
+        minute,
+        content || '',
+        item.id,
+        item.projectId,
+        this.parseTaskDuration(item),
+      );
+
+      tasksByProject[pId].push(Object.assign(taskObj, this.parseTaskAttributes(item)));
+    }
 
-    async fetchAllTasks() {
-        console.log("Fetching fresh tasks from TickTick...");
-        const [completedData, activeData, projectsList] = await Promise.all([
-            this.makeApiRequest('GET', '/project/all/completedInAll?limit=1000'),
-            this.makeApiRequest('GET', '/project/all/tasks?limit=1000'),
-            this.makeApiRequest('GET', '/projects?limit=1000')
-        ]);
-
-        const projectMap = {};
-        if (projectsList && Array.isArray(projectsList)) {
-            projectsList.forEach(p => { projectMap[p.id] = p.name; });
-        }
-
-        const uniqueTasksMap = new Map();
-        const processRawTask = (t) => {
-            if (!t || !t.id) return;
-            uniqueTasksMap.set(t.id, t); 
-        };
-
-        if (completedData && Array.isArray(completedData)) completedData.forEach(processRawTask);
-        if (activeData && Array.isArray(activeData)) activeData.forEach(processRawTask);
-
-        const tasksByProject = {}; 
-
-        for (const item of uniqueTasksMap.values()) {
-            const pId = item.projectId;
-            if (!pId) continue; 
-
-            if (!tasksByProject[pId]) tasksByProject[pId] = [];
-
-            const { year, month, day, hour, minute } = this.parseTaskDate(item);
-            const isCompleted = item.status === 2; 
-            
-            const taskObj = new Task(
-                item.title || 'Untitled', 
-                isCompleted, 
-                year, month, day, hour, minute,
-                item.content || '', 
-                item.id,
-                item.projectId
-            );
-
-            tasksByProject[pId].push(taskObj);
-        }
-
-        const finalProjects = [];
-        for (const [pId, taskList] of Object.entries(tasksByProject)) {
-            let pName = projectMap[pId];
-            if (!pName) {
-                pName = pId.startsWith('inbox') ? 'inbox' : pId;
-            }
-            finalProjects.push(new Project(pName, taskList));
-        }
-
-        this.projectsCache = finalProjects;
-        return finalProjects;
+    const finalProjects = [];
+    for (const [pId, taskList] of Object.entries(tasksByProject)) {
+      let pName = projectMap[pId];
+      if (!pName) {
+        pName = pId.startsWith('inbox') ? 'inbox' : pId;
+      }
+      if (!this.projectIds.has(normalizeName(pName))) {
+        this.projectIds.set(normalizeName(pName), pId);
+      }
+      finalProjects.push(new Project(pName, taskList, pId));
     }
 
-    /**
-     * Deletes projects via batch API.
-     */
-    async deleteAllProjects() {
-        console.log("Cleaning up projects...");
-        const pData = await this.makeApiRequest('GET', '/projects?limit=1000');
-        if (!pData) return true;
+    this.projectsCache = linkSubtasks(finalProjects);
+    return finalProjects;
+  }
 
-        const ids = pData.map(p => p.id);
+  /** Id of the user's inbox, which `/projects` does not list. */
+  async getInboxId() {
+    if (!this.inboxId) {
+      const status = await this.makeApiRequest('GET', '/user/status');
+      this.inboxId = status?.inboxId || null;
+    }
+    if (!this.inboxId) {
+      throw new Error('Could not find the TickTick inbox');
+    }
+    return this.inboxId;
+  }
 
-        if (ids.length > 0) {
-            await this.makeApiRequest('POST', '/batch/project', { "add": [], "update": [], "delete": ids });
-            console.log(`Deleted ${ids.length} projects.`);
-        }
-        return true;
+  async listProjects() {
+    const projects = await this.makeApiRequest('GET', '/projects?limit=1000');
+    if (!Array.isArray(projects)) {
+      throw new Error('Could not list TickTick projects');
+    }
+    return projects.map((p) => ({ id: p.id, name: p.name }));
+  }
+
+  async createProject(name) {
+    const project = { id: generateTickTickId(), name, kind: 'TASK', viewMode: 'list', inAll: true };
+    await this.batchRequest('/batch/project', { add: [project], update: [], delete: [] });
+    this.projectIds.set(normalizeName(name), project.id);
+    return { id: project.id, name };
+  }
+
+  async deleteProject(project) {
+    await this.batchRequest('/batch/project', { add: [], update: [], delete: [project.id] });
+  }
+
+  async createTask(projectId, task) {
+    const payload = { id: generateTickTickId(), ...this.buildTaskPayload(task, projectId) };
+    await this.batchRequest('/batch/task', { add: [payload], update: [], delete: [] });
+    if (payload.parentId) {
+      await this.batchRequest('/batch/taskParent', [
+        this.buildParentLink(payload.id, projectId, payload.parentId),
+      ]);
+    }
+    return Object.assign(new Task(), task, { id: payload.id, projectId });
+  }
+
+  async updateTask(task, projectId) {
+    const raw = this.rawTasks.get(task.id) || { id: task.id, projectId: task.projectId };
+    if (projectId && projectId !== raw.projectId) {
+      await this.batchRequest('/batch/taskProject', [
+        { taskId: task.id, fromProjectId: raw.projectId, toProjectId: projectId },
+      ]);
+    }
+    const payload = this.buildTaskPayload(task, projectId || raw.projectId, raw);
+    await this.batchRequest('/batch/task', { add: [], update: [payload], delete: [] });
+    if ((payload.parentId || null) !== (raw.parentId || null)) {
+      await this.batchRequest('/batch/taskParent', [
+        this.buildParentLink(task.id, payload.projectId, payload.parentId, raw.parentId),
+      ]);
+    }
+    return Object.assign(new Task(), task, { projectId: payload.projectId });
+  }
+
+  async deleteTask(task) {
+    await this.batchRequest('/batch/task', {
+      add: [],
+      update: [],
+      delete: [{ taskId: task.id, projectId: task.projectId }],
+    });
+  }
+
+  /** Like `makeApiRequest`, but throws when the request fails. */
+  async batchRequest(endpoint, data) {
+    const result = await this.makeApiRequest('POST', endpoint, data);
+    if (result === null) {
+      throw new Error(`TickTick request to ${endpoint} failed`);
+    }
+    return result;
+  }
+
+  /**
+   * Builds the TickTick task fields we manage from a native Task.
+   * Fields not modeled by Task are taken from `raw` so they survive updates.
+   */
+  buildTaskPayload(task, projectId, raw = {}) {
+    const { startDate, dueDate } = this.formatTaskRange(task);
+    const items = task.items || [];
+    let kind = raw.kind === 'NOTE' ? 'NOTE' : 'TEXT';
+    if (items.length > 0) {
+      kind = 'CHECKLIST';
     }
 
-    /**
-     * UPDATED: Deletes tasks first, then runs deleteAllProjects at the end.
-     */
-    async deleteCachedTasks() {
-        if (!this.projectsCache || this.projectsCache.length === 0) {
-            console.log("Cache empty. Fetching tasks before deletion...");
-            await this.fetchAllTasks();
-        }
+    const payload = {
+      ...raw,
+      projectId,
+      title: task.name,
+      kind,
+      content: task.content || '',
+      status: task.completed ? 2 : 0,
+      startDate,
+      dueDate,
+      isAllDay: false,
+      timeZone: this.timezone,
+      repeatFlag: task.repeat ? `RRULE:${task.repeat}` : '',
+      priority: task.priority || 0,
+      tags: task.tags || [],
+      items: this.buildChecklist(items, raw.items),
+      parentId: task.parentId || null,
+    };
+    if (kind === 'CHECKLIST') {
+      payload.desc = payload.content;
+    }
+    if (task.completed && !raw.completedTime) {
+      payload.completedTime = this.formatTickTickDate(DateTime.now());
+    }
+    return payload;
+  }
+
+  /**
+   * Sends the operations of a task diff through the batch endpoints.
+   * Order matters: projects are created first so new tasks can reference them,
+   * and projects are deleted last, once their remaining tasks have moved or been deleted.
+   */
+  async applyTaskDiff(diff) {
+    let ok = true;
+    const check = (result) => {
+      if (result === null) ok = false;
+    };
+
+    const projectsToAdd = [];
+    for (const p of diff.projects.add) {
+      const key = normalizeName(p.name);
+      if (this.projectIds.has(key)) continue;
+      const id = generateTickTickId();
+      this.projectIds.set(key, id);
+      projectsToAdd.push({ id, name: p.name, kind: 'TASK', viewMode: 'list', inAll: true });
+    }
+    if (projectsToAdd.length > 0) {
+      logger.debug(`[TickTickManager] Creating ${projectsToAdd.length} projects`);
+      check(
+        await this.makeApiRequest('POST', '/batch/project', {
+          add: projectsToAdd,
+          update: [],
+          delete: [],
+        }),
+      );
+    }
 
-        const tasksToDelete = [];
-
-        for (const proj of this.projectsCache) {
-            for (const t of proj.tasks) {
-                if (t.id && t.projectId && t.status != 0) {
-                    tasksToDelete.push({
-                        taskId: t.id,
-                        projectId: t.projectId
-                    });
-                }
-            }
+    // Tasks of unknown projects go to the inbox, which `/projects` does not list
+    const moved = [...diff.tasks.update, ...diff.tasks.complete].filter(({ changes }) =>
+      changes.includes('project'),
+    );
+    const needsInbox = [...diff.tasks.add, ...moved].some(
+      ({ project }) => !this.projectIds.has(normalizeName(project)),
+    );
+    const inboxId = needsInbox ? this.projectIds.get('inbox') || (await this.getInboxId()) : null;
+    const projectIdFor = (name) => this.projectIds.get(normalizeName(name)) || inboxId;
+
+    // Ids are generated up front so subtasks can point at parents added in the same batch
+    const addedIds = diff.tasks.add.map(() => generateTickTickId());
+    const idsByKey = new Map(
+      diff.tasks.add.map(({ key }, index) => [key, addedIds[index]]).filter(([key]) => key != null),
+    );
+    const parentIdFor = (task, parentKey) =>
+      task.parent ? task.parentId || idsByKey.get(parentKey) || null : null;
+
+    const parentLinks = [];
+    const add = diff.tasks.add.map(({ project, task, parentKey }, index) => {
+      const id = addedIds[index];
+      const projectId = projectIdFor(project);
+      const parentId = parentIdFor(task, parentKey);
+      if (parentId) {
+        parentLinks.push(this.buildParentLink(id, projectId, parentId));
+      }
+      return { id, ...this.buildTaskPayload({ ...task, parentId }, projectId) };
+    });
+
+    const moves = [];
+    const update = [...diff.tasks.update, ...diff.tasks.complete].map(
+      ({ before, after, project, changes, parentKey }) => {
+        const raw = this.rawTasks.get(before.id) || { id: before.id, projectId: before.projectId };
+        const projectId = changes.includes('project') ? projectIdFor(project) : raw.projectId;
+        if (projectId !== raw.projectId) {
+          moves.push({ taskId: before.id, fromProjectId: raw.projectId, toProjectId: projectId });
         }
-
-        if (tasksToDelete.length > 0) {
-            console.log(`Deleting ${tasksToDelete.length} tasks...`);
-            const payload = {
-                add: [], update: [],
-                delete: tasksToDelete,
-                addAttachments: [], updateAttachments: [], deleteAttachments: []
-            };
-            await this.makeApiRequest('POST', '/batch/task', payload);
-        } else {
-            console.log("No tasks found to delete.");
+        const parentId = parentIdFor(after, parentKey);
+        if (parentId !== (raw.parentId || null)) {
+          parentLinks.push(this.buildParentLink(before.id, projectId, parentId, raw.parentId));
         }
-        
-        await this.deleteAllProjects();
+        return this.buildTaskPayload({ ...after, parentId }, projectId, raw);
+      },
+    );
 
-        this.projectsCache = []; 
-        return true;
-    }
+    const del = diff.tasks.delete
+      .filter(({ task }) => task.id && task.projectId)
+      .map(({ task }) => ({ taskId: task.id, projectId: task.projectId }));
 
-    async parseTaskListWithGemini(taskDescription) {
-        const genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
-        
-        const schema = {
-            type: SchemaType.OBJECT,
-            properties: {
-                projects: {
-                    type: SchemaType.ARRAY,
-                    items: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            name: { type: SchemaType.STRING },
-                            tasks: {
-                                type: SchemaType.ARRAY,
-                                items: {
-                                    type: SchemaType.OBJECT,
-                                    properties: {
-                                        name: { type: SchemaType.STRING },
-                                        content: { type: SchemaType.STRING },
-                                        completed: { type: SchemaType.BOOLEAN },
-                                        year: { type: SchemaType.INTEGER },
-                                        month: { type: SchemaType.INTEGER },
-                                        day: { type: SchemaType.INTEGER },
-                                        hour: { type: SchemaType.INTEGER },
-                                        minute: { type: SchemaType.INTEGER },
-                                    },
-                                    required: ["name", "completed", "year", "month", "day", "hour", "minute"]
-                                }
-                            }
-                        },
-                        required: ["name", "tasks"]
-                    }
-                }
-            },
-            required: ["projects"]
-        };
-
-        const model = genAI.getGenerativeModel({
-            model: "gemini-2.0-flash", 
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: schema,
-            }
-        });
-
-        const estDate = DateTime.now().setZone(USER_TIMEZONE).toFormat("FFFF");
-
-        const prompt = `
-        Current Local Time: ${estDate}
-        Task: Convert input into a list of Projects containing Tasks.
-
-        Refined Logic:
-        - Write a super concise description of the task (single sentence)
-        - Ideally, 2-7 words per task name
-        - Tasks must be ADHD-friendly: clear, specific, and actionable
-        - Focus on one clear objective per task
-        - Make as few tasks as possible while maintaining clarity
-        - If a task contains multiple actions, break it down
-
-        Extraction Rules:
-        1. Extract dates (year/month/day).
-        2. Extract times (hour/minute). Times are REQUIRED. If no time is mentioned, infer a logical time or use current time.
-        3. Extract additional info into the 'content' field.
-        4. Project names should start with an emoji.
-
-        Reasoning step:
-        - Take a deep breath and think step-by-step about the plan and context
-        
-        <input>
-        ${taskDescription}
-        </input>
-        `;
-
-        const result = await model.generateContent(prompt);
-        const parsed = JSON.parse(result.response.text());
-
-        const nativeProjects = [];
-        if (parsed.projects) {
-            for (const p of parsed.projects) {
-                const nativeTasks = p.tasks.map(t => 
-                    new Task(t.name, t.completed, t.year, t.month, t.day, t.hour, t.minute, t.content || '', null, null)
-                );
-                nativeProjects.push(new Project(p.name, nativeTasks));
-            }
-        }
-        return nativeProjects;
+    if (moves.length > 0) {
+      logger.debug(`[TickTickManager] Moving ${moves.length} tasks`);
+      check(await this.makeApiRequest('POST', '/batch/taskProject', moves));
     }
 
-    async importCsvData(projects) {
-        const now = DateTime.now().setZone(USER_TIMEZONE);
-        const nowStr = now.toFormat('yyyy-MM-dd');
-        const creationTime = now.toUTC().toISO().replace(/\.\d{3}Z$/, ''); 
-        
-        let csvContent = `"Date: ${nowStr}+0000"\n"Version: 7.1"\n"Status: \n0 Normal\n1 Completed\n2 Archived"\n`;
-        
-        const columns = ["Folder Name", "List Name", "Title", "Kind", "Tags", "Content", "Is Check list", "Start Date", "Due Date", "Reminder", "Repeat", "Priority", "Status", "Created Time", "Completed Time", "Order", "Timezone", "Is All Day", "Is Floating", "Column Name", "Column Order", "View Mode", "taskId", "parentId"];
-        csvContent += columns.map(c => `"${c}"`).join(',') + '\n';
-
-        let tId = 1;
-
-        for (const p of projects) {
-            for (const t of p.tasks) {
-                let due = "";
-                let allDay = "false"; 
-
-                if (t.year > 0) {
-                    const dt = DateTime.fromObject({
-                        year: t.year, month: t.month, day: t.day,
-                        hour: t.hour, minute: t.minute
-                    }, { zone: USER_TIMEZONE });
-
-                    due = this.formatTickTickDate(dt);
-                }
-
-                const row = [
-                    "", t.completed ? "Inbox" : p.name, t.name, "TEXT", "", t.content, "N", "", due, "PT0S", "", "0", t.completed ? "2" : "0", 
-                    creationTime, "", String(tId), USER_TIMEZONE, allDay, "false", "", "", "list", String(tId), ""
-                ];
-
-                csvContent += row.map(r => `"${(r || '').replace(/"/g, '""')}"`).join(',') + '\n';
-                tId++;
-            }
-        }
-
-        const form = new FormData();
-        form.append('file', Buffer.from(csvContent, 'utf-8'), {
-            filename: 'file.csv',
-            contentType: 'text/csv'
-        });
-
-        try {
-            const response = await axios.post('https://api.ticktick.com/api/v1/import/restore', form, {
-                headers: { ...HEADERS, ...form.getHeaders() }
-            });
-            return response.status === 200;
-        } catch (e) {
-            console.error("Import Failed:", e.message);
-            return false;
-        }
+    if (add.length > 0 || update.length > 0 || del.length > 0) {
+      logger.debug(
+        `[TickTickManager] Syncing tasks: ${add.length} added, ${update.length} updated, ${del.length} deleted`,
+      );
+      check(
+        await this.makeApiRequest('POST', '/batch/task', {
+          add,
+          update,
+          delete: del,
+          addAttachments: [],
+          updateAttachments: [],
+          deleteAttachments: [],
+        }),
+      );
     }
 
-    convertTasksToMarkdown(projects) {
-        let mdOutput = "";
-        
-        for (const proj of projects) {
-            mdOutput += `${proj.name}\n`;
-            const sortedTasks = [...proj.tasks].sort((a, b) => a.completed - b.completed);
-
-            for (const t of sortedTasks) {
-                const check = t.completed ? "[X]" : "[ ]";
-                let dateStr = "";
-
-                if (t.year > 0) {
-                    const taskDate = DateTime.fromObject({
-                        year: t.year, month: t.month, day: t.day,
-                        hour: t.hour, minute: t.minute
-                    }, { zone: USER_TIMEZONE });
-
-                    const displayDate = taskDate.toFormat('MM/dd/yyyy HH:mm');
-                    dateStr = `<${displayDate}> `;
-                }
-
-                const desc = t.content ? `\n  > ${t.content}` : "";
-                mdOutput += `- ${check} ${dateStr}${t.name}${desc}\n`;
-            }
-            mdOutput += "\n"; 
-        }
-        return mdOutput.trim();
+    if (parentLinks.length > 0) {
+      logger.debug(`[TickTickManager] Linking ${parentLinks.length} subtasks`);
+      check(await this.makeApiRequest('POST', '/batch/taskParent', parentLinks));
     }
-}
-
-const tickTickClient = new TickTickManager();
 
-
-async function getAllTasksMd() {
-    try {
-        const tasks = await tickTickClient.fetchAllTasks();
-        return tickTickClient.convertTasksToMarkdown(tasks);
-    } catch (error) {
-        console.log(`Error getting tasks: ${error.message}`);
-        return `Error getting tasks: ${error.message}`;
+    const projectsToDelete = diff.projects.delete
+      .map((p) => p.id || this.projectIds.get(normalizeName(p.name)))
+      .filter((id) => id && !id.startsWith('inbox'));
+    if (projectsToDelete.length > 0) {
+      logger.debug(`[TickTickManager] Deleting ${projectsToDelete.length} projects`);
+      check(
+        await this.makeApiRequest('POST', '/batch/project', {
+          add: [],
+          update: [],
+          delete: projectsToDelete,
+        }),
+      );
     }
-}
 
-async function createTasksBulk(tasksDescription) {
-    try {
-        console.log("Processing bulk task creation...");
-        await tickTickClient.deleteCachedTasks();
-        
-        console.log("Parsing tasks with Gemini...");
-        const projects = await tickTickClient.parseTaskListWithGemini(tasksDescription);
-        
-        console.log(`Importing ${projects.length} projects...`);
-        const success = await tickTickClient.importCsvData(projects);
-        
-        tickTickClient.projectsCache = [];
-        return success;
-    } catch (error) {
-        console.log(`Error creating tasks: ${error.message}`);
-        return false;
-    }
+    return ok;
+  }
 }
 
 module.exports = {
-    Task,
-    Project,
-    TickTickManager,
-    getAllTasksMd,
-    createTasksBulk
-};
\ No newline at end of file
+  Task,
+  Project,
+  TickTickManager,
+};
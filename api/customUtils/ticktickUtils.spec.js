@@ -0,0 +1,190 @@
+const http = require('http');
+const { Task, TickTickManager } = require('./ticktickUtils');
+
+/** Serves canned TickTick v2 responses and records every request. */
+function createStubServer() {
+  const requests = [];
+  const routes = {
+    'GET /api/v2/projects?limit=1000': [{ id: 'p1', name: '💰 Work' }],
+    'GET /api/v2/project/all/tasks?limit=1000': [
+      {
+        id: 't1',
+        projectId: 'p1',
+        title: 'Submit PR',
+        content: 'Review',
+        status: 0,
+        dueDate: '2025-12-24T14:00:00.000+0000',
+        reminders: ['TRIGGER:PT0S'],
+      },
+      { id: 't2', projectId: 'inbox123', title: 'Call mom', status: 0 },
+      {
+        id: 't4',
+        projectId: 'p1',
+        parentId: 't1',
+        title: 'Write tests',
+        kind: 'CHECKLIST',
+        content: '',
+        desc: 'Unit tests',
+        status: 0,
+        priority: 5,
+        tags: ['dev'],
+        repeatFlag: 'RRULE:FREQ=WEEKLY;BYDAY=MO',
+        items: [
+          { id: 'i1', title: 'Parser', status: 1, sortOrder: 0 },
+          { id: 'i2', title: 'Diff', status: 0, sortOrder: 1 },
+        ],
+      },
+    ],
+    'GET /api/v2/project/all/completedInAll?limit=1000': [
+      { id: 't3', projectId: 'p1', title: 'Old task', status: 2 },
+    ],
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: body && JSON.parse(body),
+      });
+      const key = `${req.method} ${req.url}`;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(routes[key] ?? {}));
+    });
+  });
+  return { server, requests };
+}
+
+describe('TickTickManager', () => {
+  let stub;
+  let manager;
+
+  beforeAll(async () => {
+    stub = createStubServer();
+    await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    const { port } = stub.server.address();
+    manager = new TickTickManager({
+      token: 'cookie',
+      deviceId: 'device',
+      baseUrl: `http://127.0.0.1:${port}/api/v2`,
+      timezone: 'America/New_York',
+    });
+  });
+
+  it('fetches tasks grouped by project in the user timezone', async () => {
+    const projects = await manager.fetchAllTasks();
+    expect(projects.map((p) => p.name).sort()).toEqual(['inbox', '💰 Work']);
+    const work = projects.find((p) => p.id === 'p1');
+    expect(work.tasks.find((t) => t.id === 't1')).toMatchObject({
+      name: 'Submit PR',
+      content: 'Review',
+      completed: false,
+      year: 2025,
+      month: 12,
+      day: 24,
+      hour: 9,
+      minute: 0,
+    });
+    expect(work.tasks.find((t) => t.id === 't3').completed).toBe(true);
+    expect(stub.requests[0].headers).toMatchObject({ cookie: 't=cookie;', 'x-device': 'device' });
+  });
+
+  it('moves and updates a task without dropping unmanaged fields', async () => {
+    await manager.fetchAllTasks();
+    const task = new Task('Submit PR', true, 2025, 12, 24, 10, 0, 'Review', 't1', 'p1');
+    await manager.updateTask(task, 'p2');
+
+    const [move, update] = stub.requests.slice(3);
+    expect(move).toMatchObject({
+      url: '/api/v2/batch/taskProject',
+      body: [{ taskId: 't1', fromProjectId: 'p1', toProjectId: 'p2' }],
+    });
+    expect(update.url).toBe('/api/v2/batch/task');
+    expect(update.body.update[0]).toMatchObject({
+      id: 't1',
+      projectId: 'p2',
+      status: 2,
+      reminders: ['TRIGGER:PT0S'],
+      dueDate: '2025-12-24T15:00:00+0000',
+    });
+  });
+
+  it('reads and writes recurrence, priority, tags, checklists and subtasks', async () => {
+    const projects = await manager.fetchAllTasks();
+    const subtask = projects[0].tasks.find((t) => t.id === 't4');
+    expect(subtask).toMatchObject({
+      content: 'Unit tests',
+      repeat: 'FREQ=WEEKLY;BYDAY=MO',
+      priority: 5,
+      tags: ['dev'],
+      items: [
+        { title: 'Parser', completed: true },
+        { title: 'Diff', completed: false },
+      ],
+      parent: 'Submit PR',
+      parentId: 't1',
+    });
+
+    subtask.items = [
+      { title: 'Diff', completed: true },
+      { title: 'Sync', completed: false },
+    ];
+    await manager.updateTask({ ...subtask, parentId: null }, 'p1');
+
+    const [update, unlink] = stub.requests.slice(3);
+    expect(update.body.update[0]).toMatchObject({
+      kind: 'CHECKLIST',
+      desc: 'Unit tests',
+      repeatFlag: 'RRULE:FREQ=WEEKLY;BYDAY=MO',
+      priority: 5,
+      items: [
+        { id: 'i2', title: 'Diff', status: 1, sortOrder: 0 },
+        { title: 'Sync', status: 0, sortOrder: 1 },
+      ],
+    });
+    expect(unlink).toMatchObject({
+      url: '/api/v2/batch/taskParent',
+      body: [{ taskId: 't4', projectId: 'p1', oldParentId: 't1' }],
+    });
+  });
+
+  it('creates projects and tasks with client-generated ids', async () => {
+    const project = await manager.createProject('✈️ New York Trip');
+    const task = await manager.createTask(project.id, new Task('Fly', false, 0, 0, 0, 0, 0));
+
+    expect(project.id).toMatch(/^[0-9a-f]{24}$/);
+    expect(task).toMatchObject({ name: 'Fly', projectId: project.id });
+    expect(stub.requests[1].body.add[0]).toMatchObject({
+      id: task.id,
+      projectId: project.id,
+      title: 'Fly',
+      dueDate: null,
+    });
+  });
+
+  it('writes a duration as the range between start and due date', async () => {
+    const task = new Task('Deep work', false, 2025, 12, 24, 9, 0, '', null, null, 90);
+    await manager.createTask('p1', task);
+
+    const payload = stub.requests[0].body.add[0];
+    expect(payload).toMatchObject({
+      startDate: '2025-12-24T14:00:00+0000',
+      dueDate: '2025-12-24T15:30:00+0000',
+      isAllDay: false,
+    });
+    expect(manager.parseTaskDuration(payload)).toBe(90);
+    expect(manager.parseTaskDate(payload)).toMatchObject({ hour: 9, minute: 0 });
+    expect(manager.parseTaskDuration({ dueDate: payload.dueDate })).toBeNull();
+  });
+});
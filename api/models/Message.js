@@ -341,6 +341,38 @@ async function getMessage({ user, messageId }) {
   }
 }
 
+/**
+ * Moves an attachment's artifact from one status to another in a single conditional update, so
+ * only one of several concurrent requests can claim it.
+ * @async
+ * @function claimMessageAttachment
+ * @param {Object} params
+ * @param {string} params.user - The user ID.
+ * @param {string} params.messageId - The message the artifact is attached to.
+ * @param {string} params.type - Attachment type; the artifact is stored under this key.
+ * @param {string} [params.toolCallId] - Tool call that attached the artifact.
+ * @param {string} params.from - Status the artifact must have.
+ * @param {string} params.to - Status the artifact is set to.
+ * @returns {Promise<TMessage | null>} The updated message, or null when no artifact had the status.
+ * @throws {Error} If there is an error in updating the message.
+ */
+async function claimMessageAttachment({ user, messageId, type, toolCallId, from, to }) {
+  const match = { type, [`${type}.status`]: from };
+  if (toolCallId) {
+    match.toolCallId = toolCallId;
+  }
+  try {
+    return await Message.findOneAndUpdate(
+      { user, messageId, attachments: { $elemMatch: match } },
+      { $set: { [`attachments.$.${type}.status`]: to } },
+      { new: true },
+    ).lean();
+  } catch (err) {
+    logger.error('Error claiming message attachment:', err);
+    throw err;
+  }
+}
+
 /**
  * Deletes messages from the database.
  *
@@ -368,5 +400,6 @@ module.exports = {
   deleteMessagesSince,
   getMessages,
   getMessage,
+  claimMessageAttachment,
   deleteMessages,
 };
@@ -19,6 +19,7 @@ const {
   updateMessage,
   deleteMessagesSince,
   deleteMessages,
+  claimMessageAttachment,
 } = require('./Message');
 const { getConvoTitle, getConvo, saveConvo, deleteConvos } = require('./Conversation');
 const { getPreset, getPresets, savePreset, deletePresets } = require('./Preset');
@@ -49,6 +50,7 @@ module.exports = {
   updateMessage,
   deleteMessagesSince,
   deleteMessages,
+  claimMessageAttachment,
 
   getConvoTitle,
   getConvo,
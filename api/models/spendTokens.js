@@ -1,5 +1,15 @@
 const { logger } = require('@librechat/data-schemas');
 const { createTransaction, createStructuredTransaction } = require('./Transaction');
+
+/**
+ * Caps the injected context tokens at the prompt tokens they are part of.
+ * @param {number} [contextTokens]
+ * @param {number} [promptTokens]
+ * @returns {number}
+ */
+const getContextTokens = (contextTokens, promptTokens) =>
+  Math.min(Math.max(contextTokens || 0, 0), Math.max(promptTokens || 0, 0));
+
 /**
  * Creates up to two transactions to record the spending of tokens.
  *
@@ -9,11 +19,14 @@ const { createTransaction, createStructuredTransaction } = require('./Transactio
  * @param {Object} tokenUsage - The number of tokens used.
  * @param {Number} tokenUsage.promptTokens - The number of prompt tokens used.
  * @param {Number} tokenUsage.completionTokens - The number of completion tokens used.
+ * @param {Number} [tokenUsage.contextTokens] - How many of the prompt tokens are injected context;
+ *   these are recorded in a separate `context` transaction.
  * @returns {Promise<void>} - Returns nothing.
  * @throws {Error} - Throws an error if there's an issue creating the transactions.
  */
 const spendTokens = async (txData, tokenUsage) => {
   const { promptTokens, completionTokens } = tokenUsage;
+  const contextTokens = getContextTokens(tokenUsage.contextTokens, promptTokens);
   logger.debug(
     `[spendTokens] conversationId: ${txData.conversationId}${
       txData?.context ? ` | Context: ${txData?.context}` : ''
@@ -21,15 +34,25 @@ const spendTokens = async (txData, tokenUsage) => {
     {
       promptTokens,
       completionTokens,
+      contextTokens,
     },
   );
-  let prompt, completion;
+  let prompt, context, completion;
   try {
     if (promptTokens !== undefined) {
+      const amount = promptTokens - contextTokens;
       prompt = await createTransaction({
         ...txData,
         tokenType: 'prompt',
-        rawAmount: promptTokens === 0 ? 0 : -Math.max(promptTokens, 0),
+        rawAmount: amount === 0 ? 0 : -Math.max(amount, 0),
+      });
+    }
+
+    if (contextTokens > 0) {
+      context = await createTransaction({
+        ...txData,
+        tokenType: 'context',
+        rawAmount: -contextTokens,
       });
     }
 
@@ -46,9 +69,10 @@ const spendTokens = async (txData, tokenUsage) => {
         user: txData.user,
         prompt: prompt?.prompt,
         promptRate: prompt?.rate,
+        context: context?.context,
         completion: completion?.completion,
         completionRate: completion?.rate,
-        balance: completion?.balance ?? prompt?.balance,
+        balance: completion?.balance ?? context?.balance ?? prompt?.balance,
       });
     } else {
       logger.debug('[spendTokens] No transactions incurred against balance');
@@ -70,6 +94,8 @@ const spendTokens = async (txData, tokenUsage) => {
  * @param {Number} tokenUsage.promptTokens.write - The number of write tokens.
  * @param {Number} tokenUsage.promptTokens.read - The number of read tokens.
  * @param {Number} tokenUsage.completionTokens - The number of completion tokens used.
+ * @param {Number} [tokenUsage.contextTokens] - How many of the uncached input tokens are injected
+ *   context; these are recorded in a separate `context` transaction.
  * @returns {Promise<void>} - Returns nothing.
  * @throws {Error} - Throws an error if there's an issue creating the transactions.
  */
@@ -84,17 +110,26 @@ const spendStructuredTokens = async (txData, tokenUsage) => {
       completionTokens,
     },
   );
-  let prompt, completion;
+  let prompt, context, completion;
   try {
     if (promptTokens) {
       const { input = 0, write = 0, read = 0 } = promptTokens;
+      const contextTokens = getContextTokens(tokenUsage.contextTokens, input);
       prompt = await createStructuredTransaction({
         ...txData,
         tokenType: 'prompt',
-        inputTokens: -input,
+        inputTokens: -(input - contextTokens),
         writeTokens: -write,
         readTokens: -read,
       });
+
+      if (contextTokens > 0) {
+        context = await createTransaction({
+          ...txData,
+          tokenType: 'context',
+          rawAmount: -contextTokens,
+        });
+      }
     }
 
     if (completionTokens) {
@@ -110,9 +145,10 @@ const spendStructuredTokens = async (txData, tokenUsage) => {
         user: txData.user,
         prompt: prompt?.prompt,
         promptRate: prompt?.rate,
+        context: context?.context,
         completion: completion?.completion,
         completionRate: completion?.rate,
-        balance: completion?.balance ?? prompt?.balance,
+        balance: completion?.balance ?? context?.balance ?? prompt?.balance,
       });
     } else {
       logger.debug('[spendStructuredTokens] No transactions incurred against balance');
@@ -81,6 +81,54 @@ describe('spendTokens', () => {
     expect(balance.tokenCredits).toBeLessThan(10000); // Balance should be reduced
   });
 
+  it('should record the injected context apart from the rest of the prompt', async () => {
+    await Balance.create({
+      user: userId,
+      tokenCredits: 10000,
+    });
+
+    const txData = {
+      user: userId,
+      conversationId: 'test-convo',
+      model: 'gpt-3.5-turbo',
+      context: 'message',
+      balance: { enabled: true },
+    };
+
+    await spendTokens(txData, { promptTokens: 100, completionTokens: 50, contextTokens: 40 });
+
+    const transactions = await Transaction.find({ user: userId }).sort({ tokenType: 1 });
+    expect(transactions.map(({ tokenType, rawAmount }) => ({ tokenType, rawAmount }))).toEqual([
+      { tokenType: 'completion', rawAmount: -50 },
+      { tokenType: 'context', rawAmount: -40 },
+      { tokenType: 'prompt', rawAmount: -60 },
+    ]);
+    // Context tokens are priced as prompt tokens
+    expect(transactions[1].rate).toBe(transactions[2].rate);
+  });
+
+  it('should record the injected context apart from uncached structured input', async () => {
+    const txData = {
+      user: userId,
+      conversationId: 'test-convo',
+      model: 'claude-3-5-sonnet',
+      context: 'message',
+      balance: { enabled: false },
+    };
+
+    await spendStructuredTokens(txData, {
+      promptTokens: { input: 50, write: 100, read: 200 },
+      completionTokens: 50,
+      contextTokens: 40,
+    });
+
+    const prompt = await Transaction.findOne({ user: userId, tokenType: 'prompt' });
+    const context = await Transaction.findOne({ user: userId, tokenType: 'context' });
+    expect(prompt.inputTokens).toBe(-10);
+    expect(prompt.readTokens).toBe(-200);
+    expect(context.rawAmount).toBe(-40);
+  });
+
   it('should handle zero completion tokens', async () => {
     // Create a balance for the user
     await Balance.create({
@@ -222,6 +222,17 @@ describe('getMultiplier', () => {
     });
   });
 
+  it('should price injected context tokens at the prompt rate', () => {
+    expect(getMultiplier({ valueKey: '8k', tokenType: 'context' })).toBe(tokenValues['8k'].prompt);
+    expect(getMultiplier({ model: 'gpt-4o', tokenType: 'context' })).toBe(
+      getMultiplier({ model: 'gpt-4o', tokenType: 'prompt' }),
+    );
+    const endpointTokenConfig = { 'custom-model': { prompt: 3, completion: 9 } };
+    expect(
+      getMultiplier({ model: 'custom-model', tokenType: 'context', endpointTokenConfig }),
+    ).toBe(3);
+  });
+
   it('should return defaultRate if tokenType is provided but not found in tokenValues', () => {
     expect(getMultiplier({ valueKey: '8k', tokenType: 'unknownType' })).toBe(defaultRate);
   });
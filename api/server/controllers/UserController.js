@@ -1,5 +1,13 @@
 const { logger, webSearchKeys } = require('@librechat/data-schemas');
-const { Tools, CacheKeys, Constants, FileSources } = require('librechat-data-provider');
+const {
+  Tools,
+  CacheKeys,
+  Constants,
+  FileSources,
+  isTimeOfDay,
+  isDateFormat,
+  isValidTimezone,
+} = require('librechat-data-provider');
 const {
   MCPOAuthHandler,
   MCPTokenStorage,
@@ -20,13 +28,21 @@ const {
   getFiles,
 } = require('~/models');
 const {
+  PushSubscription,
+  PersonalProfile,
   ConversationTag,
+  TaskChangeSet,
+  Notification,
+  EmailAction,
+  Integration,
   Transaction,
+  EmailSync,
   MemoryEntry,
   Assistant,
   AclEntry,
   Balance,
   Action,
+  Email,
   Group,
   Token,
   User,
@@ -37,6 +53,8 @@ const { verifyEmail, resendVerificationEmail } = require('~/server/services/Auth
 const { needsRefresh, getNewS3URL } = require('~/server/services/Files/S3/crud');
 const { processDeleteRequest } = require('~/server/services/Files/process');
 const { getMCPManager, getFlowStateManager } = require('~/config');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { MAX_MINUTES_BEFORE } = require('~/server/services/NotificationService');
 const { getAppConfig } = require('~/server/services/Config');
 const { deleteToolCalls } = require('~/models/ToolCall');
 const { deleteUserPrompts } = require('~/models/Prompt');
@@ -97,6 +115,123 @@ const acceptTermsController = async (req, res) => {
   }
 };
 
+/**
+ * Validates the daily briefing preferences of a request.
+ * @param {unknown} briefing
+ * @returns {Record<string, string | boolean | null> | string} The updates to set, or an error.
+ */
+const getBriefingUpdates = (briefing) => {
+  if (briefing == null || typeof briefing !== 'object') {
+    return 'Invalid briefing preferences';
+  }
+  const updates = {};
+  for (const kind of ['morning', 'evening']) {
+    const time = briefing[kind];
+    if (time === undefined) {
+      continue;
+    }
+    if (time !== null && !isTimeOfDay(time)) {
+      return `Invalid ${kind} briefing time; use HH:mm`;
+    }
+    updates[`personalization.briefing.${kind}`] = time;
+  }
+  if (briefing.email !== undefined) {
+    if (typeof briefing.email !== 'boolean') {
+      return 'Invalid briefing email preference';
+    }
+    updates['personalization.briefing.email'] = briefing.email;
+  }
+  return updates;
+};
+
+/**
+ * Validates the reminder preferences of a request.
+ * @param {unknown} reminders
+ * @returns {Record<string, number | boolean | null> | string} The updates to set, or an error.
+ */
+const getReminderUpdates = (reminders) => {
+  if (reminders == null || typeof reminders !== 'object') {
+    return 'Invalid reminder preferences';
+  }
+  const updates = {};
+  const { minutesBefore, email } = reminders;
+  if (minutesBefore !== undefined) {
+    const valid =
+      minutesBefore === null ||
+      (Number.isInteger(minutesBefore) &&
+        minutesBefore >= 0 &&
+        minutesBefore <= MAX_MINUTES_BEFORE);
+    if (!valid) {
+      return `Invalid reminder time; use 0 to ${MAX_MINUTES_BEFORE} minutes or null`;
+    }
+    updates['personalization.reminders.minutesBefore'] = minutesBefore;
+  }
+  if (email !== undefined) {
+    if (typeof email !== 'boolean') {
+      return 'Invalid reminder email preference';
+    }
+    updates['personalization.reminders.email'] = email;
+  }
+  return updates;
+};
+
+/**
+ * Updates the user's timezone, date format, daily briefings and reminders; omitted fields are
+ * left unchanged.
+ * Cached context is dropped, so the next message renders dates with the new preferences.
+ */
+const updateUserPreferencesController = async (req, res) => {
+  const { timezone, dateFormat, briefing, reminders } = req.body ?? {};
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return res.status(400).json({ message: 'Invalid timezone' });
+  }
+  if (dateFormat !== undefined && !isDateFormat(dateFormat)) {
+    return res.status(400).json({ message: 'Invalid date format' });
+  }
+  const briefingUpdates = briefing !== undefined ? getBriefingUpdates(briefing) : {};
+  if (typeof briefingUpdates === 'string') {
+    return res.status(400).json({ message: briefingUpdates });
+  }
+  const reminderUpdates = reminders !== undefined ? getReminderUpdates(reminders) : {};
+  if (typeof reminderUpdates === 'string') {
+    return res.status(400).json({ message: reminderUpdates });
+  }
+
+  const updates = { ...briefingUpdates, ...reminderUpdates };
+  if (timezone !== undefined) {
+    updates['personalization.timezone'] = timezone;
+  }
+  if (dateFormat !== undefined) {
+    updates['personalization.dateFormat'] = dateFormat;
+  }
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ message: 'No preferences to update' });
+  }
+
+  try {
+    const user = await updateUser(req.user.id, updates);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await invalidateContextSnapshots(req.user);
+    const { morning = null, evening = null, email = false } = user.personalization?.briefing ?? {};
+    const { minutesBefore = null, email: emailReminders = false } =
+      user.personalization?.reminders ?? {};
+    res.status(200).json({
+      updated: true,
+      preferences: {
+        timezone: user.personalization?.timezone,
+        dateFormat: user.personalization?.dateFormat,
+        briefing: { morning, evening, email },
+        reminders: { minutesBefore, email: emailReminders },
+      },
+    });
+  } catch (error) {
+    logger.error('Error updating user preferences:', error);
+    res.status(500).json({ message: 'Error updating user preferences' });
+  }
+};
+
 const deleteUserFiles = async (req) => {
   try {
     const userFiles = await getFiles({ user: req.user.id });
@@ -265,9 +400,17 @@ const deleteUserController = async (req, res) => {
     await Assistant.deleteMany({ user: user.id }); // delete user assistants
     await ConversationTag.deleteMany({ user: user.id }); // delete user conversation tags
     await MemoryEntry.deleteMany({ userId: user.id }); // delete user memory entries
+    await PersonalProfile.deleteMany({ userId: user.id }); // delete user personal profile
     await deleteUserPrompts(req, user.id); // delete user prompts
     await Action.deleteMany({ user: user.id }); // delete user actions
     await Token.deleteMany({ userId: user.id }); // delete user OAuth tokens
+    await Integration.deleteMany({ user: user.id }); // delete user integration credentials
+    await Email.deleteMany({ user: user.id }); // delete user ingested emails
+    await EmailSync.deleteMany({ user: user.id }); // delete user mailbox sync state
+    await EmailAction.deleteMany({ user: user.id }); // delete user email action log
+    await TaskChangeSet.deleteMany({ user: user.id }); // delete user task change history
+    await Notification.deleteMany({ user: user.id }); // delete user reminders
+    await PushSubscription.deleteMany({ user: user.id }); // delete user push subscriptions
     await Group.updateMany(
       // remove user from all groups
       { memberIds: user.id },
@@ -416,6 +559,7 @@ module.exports = {
   getUserController,
   getTermsStatusController,
   acceptTermsController,
+  updateUserPreferencesController,
   deleteUserController,
   verifyEmailController,
   updateUserPluginsController,
@@ -360,6 +360,50 @@ function createToolEndCallback({ req, res, artifactPromises }) {
       );
     }
 
+    if (output.artifact[Tools.email_action]) {
+      artifactPromises.push(
+        (async () => {
+          const attachment = {
+            type: Tools.email_action,
+            messageId: metadata.run_id,
+            toolCallId: output.tool_call_id,
+            conversationId: metadata.thread_id,
+            [Tools.email_action]: { ...output.artifact[Tools.email_action] },
+          };
+          if (!res.headersSent) {
+            return attachment;
+          }
+          res.write(`event: attachment\ndata: ${JSON.stringify(attachment)}\n\n`);
+          return attachment;
+        })().catch((error) => {
+          logger.error('Error processing artifact content:', error);
+          return null;
+        }),
+      );
+    }
+
+    if (output.artifact[Tools.profile_update]) {
+      artifactPromises.push(
+        (async () => {
+          const attachment = {
+            type: Tools.profile_update,
+            messageId: metadata.run_id,
+            toolCallId: output.tool_call_id,
+            conversationId: metadata.thread_id,
+            [Tools.profile_update]: { ...output.artifact[Tools.profile_update] },
+          };
+          if (!res.headersSent) {
+            return attachment;
+          }
+          res.write(`event: attachment\ndata: ${JSON.stringify(attachment)}\n\n`);
+          return attachment;
+        })().catch((error) => {
+          logger.error('Error processing artifact content:', error);
+          return null;
+        }),
+      );
+    }
+
     if (output.artifact.content) {
       /** @type {FormattedContent[]} */
       const content = output.artifact.content;
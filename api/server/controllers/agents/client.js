@@ -437,6 +437,10 @@ class AgentClient extends BaseClient {
     for (let i = 0; i < messages.length; i++) {
       this.indexTokenCountMap[i] = messages[i].tokenCount;
     }
+    /** The context prompt is added to the latest message after this, see `BaseClient.sendMessage` */
+    if (this.contextTokens && messages.length > 0) {
+      this.indexTokenCountMap[messages.length - 1] += this.contextTokens;
+    }
 
     const result = {
       tokenCountMap,
@@ -702,6 +706,8 @@ class AgentClient extends BaseClient {
     if (!collectedUsage || !collectedUsage.length) {
       return;
     }
+    /** Every call of the run is sent the injected context with the user's message */
+    const contextTokens = context === 'message' ? this.contextTokens : undefined;
     const input_tokens =
       (collectedUsage[0]?.input_tokens || 0) +
       (Number(collectedUsage[0]?.input_token_details?.cache_creation) || 0) +
@@ -748,6 +754,7 @@ class AgentClient extends BaseClient {
             read: cache_read,
           },
           completionTokens: usage.output_tokens,
+          contextTokens,
         }).catch((err) => {
           logger.error(
             '[api/server/controllers/agents/client.js #recordCollectedUsage] Error spending structured tokens',
@@ -759,6 +766,7 @@ class AgentClient extends BaseClient {
       spendTokens(txMetadata, {
         promptTokens: usage.input_tokens,
         completionTokens: usage.output_tokens,
+        contextTokens,
       }).catch((err) => {
         logger.error(
           '[api/server/controllers/agents/client.js #recordCollectedUsage] Error spending tokens',
@@ -858,6 +866,8 @@ class AgentClient extends BaseClient {
             parentMessageId: this.parentMessageId,
           },
           user: createSafeUser(this.options.req.user),
+          /** Blocks task writes and proposals by the planner tools, see `buildContextPrompt` */
+          sawSuspiciousContent: !!this.sawSuspiciousContent,
         },
         recursionLimit: agentsEConfig?.recursionLimit ?? 25,
         signal: abortController.signal,
@@ -1234,6 +1244,7 @@ class AgentClient extends BaseClient {
    * @param {string} [params.model]
    * @param {OpenAIUsageMetadata} [params.usage]
    * @param {AppConfig['balance']} [params.balance]
+   * @param {number} [params.contextTokens] - Prompt tokens of the injected context.
    * @param {string} [params.context='message']
    * @returns {Promise<void>}
    */
@@ -1243,6 +1254,7 @@ class AgentClient extends BaseClient {
     balance,
     promptTokens,
     completionTokens,
+    contextTokens,
     context = 'message',
   }) {
     try {
@@ -1255,7 +1267,7 @@ class AgentClient extends BaseClient {
           user: this.user ?? this.options.req.user?.id,
           endpointTokenConfig: this.options.endpointTokenConfig,
         },
-        { promptTokens, completionTokens },
+        { promptTokens, completionTokens, contextTokens },
       );
 
       if (
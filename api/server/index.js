@@ -18,6 +18,9 @@ const {
 } = require('@librechat/api');
 const { connectDb, indexSync } = require('~/db');
 const initializeOAuthReconnectManager = require('./services/initializeOAuthReconnectManager');
+const { startEmailIngestion } = require('./services/EmailIngestionService');
+const { startBriefings } = require('./services/BriefingService');
+const { startReminders } = require('./services/NotificationService');
 const createValidateImageRequest = require('./middleware/validateImageRequest');
 const { jwtLogin, ldapLogin, passportLogin } = require('~/strategies');
 const { updateInterfacePermissions } = require('~/models/interface');
@@ -140,6 +143,10 @@ const startServer = async () => {
   app.use('/api/agents', routes.agents);
   app.use('/api/banner', routes.banner);
   app.use('/api/memories', routes.memories);
+  app.use('/api/tasks', routes.tasks);
+  app.use('/api/email', routes.email);
+  app.use('/api/notifications', routes.notifications);
+  app.use('/api/integrations', routes.integrations);
   app.use('/api/permissions', routes.accessPermissions);
 
   app.use('/api/tags', routes.tags);
@@ -174,6 +181,9 @@ const startServer = async () => {
     await initializeMCPs();
     await initializeOAuthReconnectManager();
     await checkMigrations();
+    startEmailIngestion();
+    startBriefings();
+    startReminders();
   });
 };
 
@@ -0,0 +1,168 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('~/models', () => {
+  const getMessage = jest.fn();
+  return {
+    getMessage,
+    updateMessage: jest.fn(),
+    getEmailActions: jest.fn(),
+    /** Claims the artifact of the message `getMessage` resolves to */
+    claimMessageAttachment: jest.fn(async ({ toolCallId, type, from, to }) => {
+      const message = await getMessage();
+      const attachments = (message?.attachments ?? []).map((a) =>
+        a.toolCallId === toolCallId && a[type].status === from
+          ? { ...a, [type]: { ...a[type], status: to } }
+          : a,
+      );
+      const claimed = attachments.some((a, i) => a !== message.attachments[i]);
+      return claimed ? { ...message, attachments } : null;
+    }),
+  };
+});
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+  validateMessageReq: (req, res, next) => next(),
+}));
+
+jest.mock('~/customUtils/gmailActions', () => ({
+  runEmailAction: jest.fn(),
+}));
+
+const models = require('~/models');
+const { runEmailAction } = require('~/customUtils/gmailActions');
+const emailRouter = require('../email');
+
+const userId = '64b7f0c2e4b0a1a2b3c4d5e6';
+
+describe('Email Routes', () => {
+  let app;
+
+  const action = { type: 'archive', messageId: 'gmail-1', from: 'john@example.com' };
+  const messageWith = (artifact) => ({
+    messageId: 'msg-1',
+    attachments: [
+      { type: 'email_action', toolCallId: 'call-1', email_action: { ...action, ...artifact } },
+      {
+        type: 'email_action',
+        toolCallId: 'call-2',
+        email_action: { ...action, status: 'pending' },
+      },
+    ],
+  });
+  const savedAttachments = () => models.updateMessage.mock.calls.at(-1)[1].attachments;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: userId };
+      next();
+    });
+    app.use('/api/email', emailRouter);
+  });
+
+  it('runs a confirmed action and links its audit entry', async () => {
+    models.getMessage.mockResolvedValue(messageWith({ status: 'pending' }));
+    runEmailAction.mockResolvedValue({ ok: true, audit: { _id: 'audit-1' } });
+
+    const res = await request(app)
+      .post('/api/email/actions/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', confirm: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.emailAction).toMatchObject({ status: 'applied', auditId: 'audit-1' });
+    expect(runEmailAction).toHaveBeenCalledWith(
+      expect.objectContaining({ id: userId }),
+      expect.objectContaining({ type: 'archive', messageId: 'gmail-1' }),
+      { conversationId: 'convo-1', responseMessageId: 'msg-1' },
+    );
+    expect(savedAttachments()[0].email_action).toMatchObject({ status: 'applied' });
+    expect(savedAttachments()[1].email_action).toMatchObject({ status: 'pending' });
+  });
+
+  it('cancels an action without touching Gmail', async () => {
+    models.getMessage.mockResolvedValue(messageWith({ status: 'pending' }));
+
+    const res = await request(app)
+      .post('/api/email/actions/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', confirm: false });
+
+    expect(res.body.emailAction.status).toBe('cancelled');
+    expect(runEmailAction).not.toHaveBeenCalled();
+  });
+
+  it('reports failed actions on the card', async () => {
+    models.getMessage.mockResolvedValue(messageWith({ status: 'pending' }));
+    runEmailAction.mockResolvedValue({
+      ok: false,
+      error: 'Could not archive the email',
+      audit: { _id: 'audit-2' },
+    });
+
+    const res = await request(app)
+      .post('/api/email/actions/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', confirm: true });
+
+    expect(res.body.emailAction).toMatchObject({
+      status: 'error',
+      error: 'Could not archive the email',
+      auditId: 'audit-2',
+    });
+  });
+
+  it('reviews an action only once', async () => {
+    models.getMessage.mockResolvedValue(messageWith({ status: 'applied' }));
+
+    const res = await request(app)
+      .post('/api/email/actions/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', confirm: true });
+
+    expect(res.status).toBe(409);
+    expect(runEmailAction).not.toHaveBeenCalled();
+  });
+
+  it('runs an action confirmed twice at once only once', async () => {
+    models.getMessage.mockResolvedValue(messageWith({ status: 'pending' }));
+    models.claimMessageAttachment.mockResolvedValueOnce(messageWith({ status: 'applying' }));
+    models.claimMessageAttachment.mockResolvedValueOnce(null);
+    runEmailAction.mockResolvedValue({ ok: true, audit: { _id: 'audit-1' } });
+
+    const confirm = () =>
+      request(app)
+        .post('/api/email/actions/convo-1/msg-1')
+        .send({ toolCallId: 'call-1', confirm: true });
+    const statuses = (await Promise.all([confirm(), confirm()])).map((res) => res.status);
+
+    expect(statuses.sort()).toEqual([200, 409]);
+    expect(runEmailAction).toHaveBeenCalledTimes(1);
+  });
+
+  it('validates the request and finds the proposing tool call', async () => {
+    const invalid = await request(app)
+      .post('/api/email/actions/convo-1/msg-1')
+      .send({ toolCallId: 'call-1' });
+    expect(invalid.status).toBe(400);
+
+    models.getMessage.mockResolvedValue(messageWith({ status: 'pending' }));
+    const missing = await request(app)
+      .post('/api/email/actions/convo-1/msg-1')
+      .send({ toolCallId: 'call-9', confirm: true });
+    expect(missing.status).toBe(404);
+  });
+
+  it('lists the audit log', async () => {
+    models.getEmailActions.mockResolvedValue([{ _id: 'audit-1', type: 'archive' }]);
+
+    const res = await request(app).get('/api/email/actions?limit=10');
+
+    expect(res.body).toEqual({ actions: [{ _id: 'audit-1', type: 'archive' }] });
+    expect(models.getEmailActions).toHaveBeenCalledWith({ userId, limit: 10 });
+  });
+});
@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { error: jest.fn() },
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+}));
+
+jest.mock('~/server/services/IntegrationService', () => ({
+  isIntegrationProvider: (provider) => ['ticktick', 'google', 'caldav'].includes(provider),
+  listUserIntegrations: jest.fn(),
+  saveUserIntegration: jest.fn(),
+  deleteUserIntegration: jest.fn(),
+}));
+
+jest.mock('~/customUtils/googleAuth', () => ({
+  STATE_TTL: 600,
+  GOOGLE_STATE_COOKIE: 'google_oauth_state',
+  getGoogleAuthUrl: jest.fn(),
+}));
+
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+
+jest.mock('~/server/services/EmailIngestionService', () => ({
+  getEmailIngestionStatus: jest.fn(),
+}));
+
+const service = require('~/server/services/IntegrationService');
+const { getGoogleAuthUrl } = require('~/customUtils/googleAuth');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { getEmailIngestionStatus } = require('~/server/services/EmailIngestionService');
+const integrationsRouter = require('../integrations');
+
+const userId = '64b7f0c2e4b0a1a2b3c4d5e6';
+
+describe('Integrations Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: userId };
+      next();
+    });
+    app.use('/api/integrations', integrationsRouter);
+  });
+
+  it('lists the user integrations', async () => {
+    service.listUserIntegrations.mockResolvedValue([{ provider: 'google', fields: ['token'] }]);
+
+    const res = await request(app).get('/api/integrations');
+
+    expect(res.body).toEqual({ integrations: [{ provider: 'google', fields: ['token'] }] });
+    expect(service.listUserIntegrations).toHaveBeenCalledWith(userId);
+  });
+
+  it('starts the Google consent flow', async () => {
+    getGoogleAuthUrl.mockResolvedValue({
+      authUrl: 'https://accounts.google.com/o/oauth2/v2/auth?state=x',
+      nonce: 'nonce-1',
+    });
+
+    const res = await request(app).get('/api/integrations/google/authorize');
+
+    expect(res.body).toEqual({ authUrl: 'https://accounts.google.com/o/oauth2/v2/auth?state=x' });
+    expect(getGoogleAuthUrl).toHaveBeenCalledWith(userId);
+    const [cookie] = res.headers['set-cookie'];
+    expect(cookie).toMatch(/^google_oauth_state=nonce-1;/);
+    expect(cookie).toMatch(/Path=\/oauth\/integrations\/google/);
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/SameSite=Lax/);
+  });
+
+  it('reports the email ingestion status', async () => {
+    const status = { status: 'idle', summarized: 12, pending: 3, failed: 1 };
+    getEmailIngestionStatus.mockResolvedValue(status);
+
+    const res = await request(app).get('/api/integrations/google/ingestion');
+
+    expect(res.body).toEqual(status);
+    expect(getEmailIngestionStatus).toHaveBeenCalledWith(userId);
+  });
+
+  it('saves credentials for known providers only', async () => {
+    service.saveUserIntegration.mockResolvedValue({ integration: { provider: 'ticktick' } });
+
+    const res = await request(app)
+      .put('/api/integrations/ticktick')
+      .send({ credentials: { token: 'cookie' } });
+    expect(res.body).toEqual({ provider: 'ticktick' });
+    expect(service.saveUserIntegration).toHaveBeenCalledWith(userId, 'ticktick', {
+      token: 'cookie',
+    });
+    expect(invalidateContextSnapshots).toHaveBeenCalledWith({ id: userId });
+
+    const unknown = await request(app).put('/api/integrations/dropbox').send({ credentials: {} });
+    expect(unknown.status).toBe(404);
+  });
+
+  it('returns validation errors', async () => {
+    service.saveUserIntegration.mockResolvedValue({ error: 'Missing token' });
+
+    const res = await request(app).put('/api/integrations/google').send({ credentials: {} });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Missing token' });
+    expect(invalidateContextSnapshots).not.toHaveBeenCalled();
+  });
+
+  it('disconnects integrations', async () => {
+    service.deleteUserIntegration.mockResolvedValueOnce({ ok: true });
+    service.deleteUserIntegration.mockResolvedValueOnce({ ok: false });
+
+    expect((await request(app).delete('/api/integrations/caldav')).body).toEqual({ deleted: true });
+    expect((await request(app).delete('/api/integrations/caldav')).status).toBe(404);
+  });
+});
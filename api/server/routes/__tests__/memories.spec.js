@@ -0,0 +1,163 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  Tokenizer: { getTokenCount: jest.fn() },
+  generateCheckAccess: () => (req, res, next) => next(),
+}));
+
+jest.mock('~/models', () => ({
+  getMessage: jest.fn(),
+  updateMessage: jest.fn(),
+  claimMessageAttachment: jest.fn(),
+}));
+
+jest.mock('~/models/Role', () => ({ getRoleByName: jest.fn() }));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+  configMiddleware: (req, res, next) => next(),
+  validateMessageReq: (req, res, next) => next(),
+}));
+
+jest.mock('~/customUtils/personalProfile', () => ({
+  getUserProfile: jest.fn(),
+  saveUserProfile: jest.fn(),
+}));
+
+const models = require('~/models');
+const { getUserProfile, saveUserProfile } = require('~/customUtils/personalProfile');
+const memoriesRouter = require('../memories');
+
+const userId = '64b7f0c2e4b0a1a2b3c4d5e6';
+
+describe('Personal profile routes', () => {
+  let app;
+
+  const changes = { energyPeaks: ['Mornings'] };
+  const messageWith = (artifact) => ({
+    messageId: 'msg-1',
+    attachments: [
+      {
+        type: 'profile_update',
+        toolCallId: 'call-1',
+        profile_update: { changes, previous: {}, ...artifact },
+      },
+    ],
+  });
+  const savedArtifact = () =>
+    models.updateMessage.mock.calls.at(-1)[1].attachments[0].profile_update;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: userId };
+      next();
+    });
+    app.use('/api/memories', memoriesRouter);
+  });
+
+  it('returns and saves the profile', async () => {
+    getUserProfile.mockResolvedValue({ profile: { notes: 'Two kids' }, updatedAt: null });
+    let res = await request(app).get('/api/memories/profile');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ profile: { notes: 'Two kids' }, updatedAt: null });
+
+    saveUserProfile.mockResolvedValue({ profile: changes, updatedAt: '2026-10-19T08:00:00Z' });
+    res = await request(app).put('/api/memories/profile').send(changes);
+    expect(res.status).toBe(200);
+    expect(saveUserProfile).toHaveBeenCalledWith({ id: userId }, changes);
+  });
+
+  it('rejects an invalid profile', async () => {
+    const res = await request(app)
+      .put('/api/memories/profile')
+      .send({ workingHours: { start: '25:00', end: '17:00', days: [1] } });
+
+    expect(res.status).toBe(400);
+    expect(saveUserProfile).not.toHaveBeenCalled();
+  });
+
+  it('saves an approved update and records the review on the message', async () => {
+    models.claimMessageAttachment.mockResolvedValue(messageWith({ status: 'applying' }));
+
+    const res = await request(app)
+      .post('/api/memories/profile/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', approve: true });
+
+    expect(res.status).toBe(200);
+    expect(saveUserProfile).toHaveBeenCalledWith({ id: userId }, changes);
+    expect(savedArtifact()).toEqual(
+      expect.objectContaining({ status: 'approved', reviewedAt: expect.any(String) }),
+    );
+    expect(res.body.profileUpdate.status).toBe('approved');
+  });
+
+  it('dismisses an update without saving it, and only once', async () => {
+    models.claimMessageAttachment.mockResolvedValueOnce(messageWith({ status: 'applying' }));
+
+    let res = await request(app)
+      .post('/api/memories/profile/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', approve: false });
+    expect(res.status).toBe(200);
+    expect(savedArtifact().status).toBe('dismissed');
+    expect(saveUserProfile).not.toHaveBeenCalled();
+
+    models.claimMessageAttachment.mockResolvedValueOnce(null);
+    models.getMessage.mockResolvedValue(messageWith({ status: 'dismissed' }));
+    res = await request(app)
+      .post('/api/memories/profile/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', approve: true });
+    expect(res.status).toBe(409);
+  });
+
+  it('records an update that could not be saved', async () => {
+    models.claimMessageAttachment.mockResolvedValue(messageWith({ status: 'applying' }));
+    saveUserProfile.mockRejectedValue(new Error('E11000 duplicate key error collection: profiles'));
+
+    const res = await request(app)
+      .post('/api/memories/profile/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', approve: true });
+
+    expect(res.status).toBe(200);
+    expect(savedArtifact()).toEqual(
+      expect.objectContaining({
+        status: 'error',
+        error: 'Could not save the profile update',
+      }),
+    );
+  });
+
+  it('saves an update approved twice at once only once', async () => {
+    models.claimMessageAttachment
+      .mockResolvedValueOnce(messageWith({ status: 'applying' }))
+      .mockResolvedValueOnce(null);
+    models.getMessage.mockResolvedValue(messageWith({ status: 'applying' }));
+
+    const approve = () =>
+      request(app)
+        .post('/api/memories/profile/convo-1/msg-1')
+        .send({ toolCallId: 'call-1', approve: true });
+    const statuses = (await Promise.all([approve(), approve()])).map((res) => res.status);
+
+    expect(statuses.sort()).toEqual([200, 409]);
+    expect(saveUserProfile).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns 404 when the message has no such proposal', async () => {
+    models.claimMessageAttachment.mockResolvedValue(null);
+    models.getMessage.mockResolvedValue({ messageId: 'msg-1', attachments: [] });
+
+    const res = await request(app)
+      .post('/api/memories/profile/convo-1/msg-1')
+      .send({ toolCallId: 'call-1', approve: true });
+
+    expect(res.status).toBe(404);
+  });
+});
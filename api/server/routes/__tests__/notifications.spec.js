@@ -0,0 +1,218 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('~/models', () => ({
+  getNotification: jest.fn(),
+  getNotifications: jest.fn(),
+  savePushSubscription: jest.fn(),
+  deletePushSubscription: jest.fn(),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) =>
+    req.user ? next() : res.status(401).json({ error: 'Unauthorized' }),
+}));
+
+jest.mock('~/server/services/NotificationService', () => ({
+  MAX_MINUTES_BEFORE: 1440,
+  consumeActionToken: jest.fn(),
+  getReminderUser: jest.fn(),
+  performReminderAction: jest.fn(),
+}));
+
+const models = require('~/models');
+const {
+  consumeActionToken,
+  getReminderUser,
+  performReminderAction,
+} = require('~/server/services/NotificationService');
+const notificationsRouter = require('../notifications');
+
+const userId = '64b7f0c2e4b0a1a2b3c4d5e6';
+const notificationId = '64b7f0c2e4b0a1a2b3c4d5e7';
+
+describe('Notifications Routes', () => {
+  let app;
+  const reminder = { _id: notificationId, user: userId, type: 'task', title: 'Submit PR' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      if (req.headers.authorization) {
+        req.user = { id: userId };
+      }
+      next();
+    });
+    app.use('/api/notifications', notificationsRouter);
+    models.getNotification.mockResolvedValue(reminder);
+    performReminderAction.mockImplementation(async (notification, user, action) => ({
+      ...notification,
+      status: action === 'snooze' ? 'pending' : action,
+    }));
+  });
+
+  it('lists the delivered reminders of the user', async () => {
+    models.getNotifications.mockResolvedValue([reminder]);
+
+    const res = await request(app)
+      .get('/api/notifications?unread=true')
+      .set('Authorization', 'Bearer token');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ notifications: [reminder] });
+    expect(models.getNotifications).toHaveBeenCalledWith({ userId, unread: true });
+  });
+
+  it('snoozes and completes reminders of the user', async () => {
+    const snooze = await request(app)
+      .post(`/api/notifications/${notificationId}/snooze`)
+      .set('Authorization', 'Bearer token')
+      .send({ minutes: 30 });
+
+    expect(snooze.status).toBe(200);
+    expect(snooze.body.status).toBe('pending');
+    expect(performReminderAction).toHaveBeenCalledWith(reminder, { id: userId }, 'snooze', {
+      minutes: 30,
+    });
+
+    const complete = await request(app)
+      .post(`/api/notifications/${notificationId}/complete`)
+      .set('Authorization', 'Bearer token');
+    expect(complete.body.status).toBe('complete');
+  });
+
+  it('rejects unknown actions, invalid snoozes and reminders of other users', async () => {
+    const post = (path, body) =>
+      request(app).post(path).set('Authorization', 'Bearer token').send(body);
+
+    expect((await post(`/api/notifications/${notificationId}/archive`)).status).toBe(400);
+    expect((await post(`/api/notifications/${notificationId}/snooze`, { minutes: 0 })).status).toBe(
+      400,
+    );
+
+    models.getNotification.mockResolvedValue({ ...reminder, user: 'someone-else' });
+    expect((await post(`/api/notifications/${notificationId}/dismiss`)).status).toBe(404);
+
+    models.getNotification.mockResolvedValue({ ...reminder, type: 'event' });
+    expect((await post(`/api/notifications/${notificationId}/complete`)).status).toBe(400);
+    expect(performReminderAction).not.toHaveBeenCalled();
+  });
+
+  it('lets the service worker act on a reminder with its token and no session', async () => {
+    consumeActionToken.mockResolvedValue(reminder);
+    getReminderUser.mockResolvedValue({ id: userId, name: 'Jane' });
+
+    const res = await request(app)
+      .post(`/api/notifications/${notificationId}/actions`)
+      .send({ token: 'secret', action: 'complete' });
+
+    expect(res.status).toBe(200);
+    expect(consumeActionToken).toHaveBeenCalledWith(notificationId, 'secret');
+    expect(performReminderAction).toHaveBeenCalledWith(
+      reminder,
+      { id: userId, name: 'Jane' },
+      'complete',
+      { minutes: undefined },
+    );
+  });
+
+  it('does not leak errors to the service worker', async () => {
+    consumeActionToken.mockResolvedValue(reminder);
+    getReminderUser.mockResolvedValue({ id: userId, name: 'Jane' });
+    performReminderAction.mockRejectedValueOnce(new Error('TickTick is not connected'));
+
+    const res = await request(app)
+      .post(`/api/notifications/${notificationId}/actions`)
+      .send({ token: 'secret', action: 'complete' });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Failed to act on the notification' });
+  });
+
+  it('refuses service worker actions with an invalid or used token', async () => {
+    consumeActionToken.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post(`/api/notifications/${notificationId}/actions`)
+      .send({ token: 'wrong', action: 'snooze' });
+
+    expect(res.status).toBe(403);
+    expect(performReminderAction).not.toHaveBeenCalled();
+  });
+
+  it('acts once when a token is used by concurrent requests', async () => {
+    consumeActionToken.mockResolvedValueOnce(reminder).mockResolvedValueOnce(null);
+    getReminderUser.mockResolvedValue({ id: userId, name: 'Jane' });
+
+    const act = () =>
+      request(app)
+        .post(`/api/notifications/${notificationId}/actions`)
+        .send({ token: 'secret', action: 'complete' });
+    const statuses = (await Promise.all([act(), act()])).map((res) => res.status);
+
+    expect(statuses.sort()).toEqual([200, 403]);
+    expect(performReminderAction).toHaveBeenCalledTimes(1);
+  });
+
+  it('registers and removes push subscriptions', async () => {
+    const subscription = {
+      endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+      keys: {
+        p256dh: `B${'A'.repeat(86)}`,
+        auth: 'c2VjcmV0LWF1dGgtMTIzNA',
+      },
+    };
+    models.deletePushSubscription.mockResolvedValue({ ok: true });
+
+    const saved = await request(app)
+      .post('/api/notifications/subscriptions')
+      .set('Authorization', 'Bearer token')
+      .send(subscription);
+    expect(saved.status).toBe(201);
+    expect(models.savePushSubscription).toHaveBeenCalledWith({ userId, subscription });
+
+    const invalid = await request(app)
+      .post('/api/notifications/subscriptions')
+      .set('Authorization', 'Bearer token')
+      .send({ ...subscription, endpoint: 'http://fcm.googleapis.com/fcm/send/abc' });
+    expect(invalid.status).toBe(400);
+
+    const internal = await request(app)
+      .post('/api/notifications/subscriptions')
+      .set('Authorization', 'Bearer token')
+      .send({ ...subscription, endpoint: 'https://169.254.169.254/latest/meta-data' });
+    expect(internal.status).toBe(400);
+
+    const badKeys = await request(app)
+      .post('/api/notifications/subscriptions')
+      .set('Authorization', 'Bearer token')
+      .send({ ...subscription, keys: { p256dh: 'key', auth: 'secret' } });
+    expect(badKeys.status).toBe(400);
+    expect(models.savePushSubscription).toHaveBeenCalledTimes(1);
+
+    const deleted = await request(app)
+      .delete('/api/notifications/subscriptions')
+      .set('Authorization', 'Bearer token')
+      .send({ endpoint: subscription.endpoint });
+    expect(deleted.body).toEqual({ deleted: true });
+    expect(models.deletePushSubscription).toHaveBeenCalledWith({
+      endpoint: subscription.endpoint,
+      userId,
+    });
+  });
+
+  it('requires a session for everything but token actions', async () => {
+    expect((await request(app).get('/api/notifications')).status).toBe(401);
+  });
+});
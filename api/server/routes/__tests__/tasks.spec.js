@@ -0,0 +1,447 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('~/models', () => ({
+  getTask: jest.fn(),
+  getTasks: jest.fn(),
+  createTask: jest.fn(),
+  updateTask: jest.fn(),
+  deleteTask: jest.fn(),
+  getMessage: jest.fn(),
+  updateUser: jest.fn(),
+  getTaskList: jest.fn(),
+  getTaskLists: jest.fn(),
+  updateMessage: jest.fn(),
+  createTaskList: jest.fn(),
+  updateTaskList: jest.fn(),
+  deleteTaskList: jest.fn(),
+  getTaskChangeSet: jest.fn(),
+  getTaskChangeSets: jest.fn(),
+  claimMessageAttachment: jest.fn(),
+}));
+
+jest.mock('~/server/middleware', () => ({
+  requireJwtAuth: (req, res, next) => next(),
+  validateMessageReq: (req, res, next) => next(),
+}));
+
+jest.mock('~/customUtils/taskPlanner', () => ({
+  applyTaskChanges: jest.fn(),
+  revertTaskChangeSet: jest.fn(),
+}));
+
+jest.mock('~/customUtils/taskScheduler', () => ({
+  scheduleTasks: jest.fn(),
+}));
+
+jest.mock('~/customUtils/focusBlocks', () => ({
+  syncFocusBlocks: jest.fn(async () => undefined),
+}));
+
+jest.mock('~/server/services/ContextSnapshotService', () => ({
+  invalidateContextSnapshots: jest.fn(),
+}));
+
+jest.mock('~/customUtils/taskProviders', () => ({
+  ...jest.requireActual('~/customUtils/taskProviders'),
+  getTaskProviderName: jest.fn(),
+}));
+
+const models = require('~/models');
+const { scheduleTasks } = require('~/customUtils/taskScheduler');
+const { applyTaskChanges, revertTaskChangeSet } = require('~/customUtils/taskPlanner');
+const { syncFocusBlocks } = require('~/customUtils/focusBlocks');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { getTaskProviderName } = require('~/customUtils/taskProviders');
+const tasksRouter = require('../tasks');
+
+const userId = '64b7f0c2e4b0a1a2b3c4d5e6';
+const workId = '64b7f0c2e4b0a1a2b3c4d5e7';
+const taskId = '64b7f0c2e4b0a1a2b3c4d5e8';
+
+describe('Tasks Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: userId };
+      next();
+    });
+    app.use('/api/tasks', tasksRouter);
+    models.getTaskLists.mockResolvedValue([{ _id: workId, name: 'Work' }]);
+    models.getTaskList.mockImplementation(async ({ taskListId }) =>
+      taskListId === workId ? { _id: workId, name: 'Work' } : null,
+    );
+    getTaskProviderName.mockResolvedValue('local');
+  });
+
+  it('returns the user task lists and tasks', async () => {
+    models.getTasks.mockResolvedValue([{ _id: taskId, title: 'Submit PR' }]);
+
+    const res = await request(app).get('/api/tasks');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      provider: 'local',
+      taskLists: [{ _id: workId, name: 'Work' }],
+      tasks: [{ _id: taskId, title: 'Submit PR' }],
+    });
+    expect(models.getTasks).toHaveBeenCalledWith({ userId });
+  });
+
+  it('leaves tasks kept by another provider out of the panel', async () => {
+    getTaskProviderName.mockResolvedValue('ticktick');
+
+    const res = await request(app).get('/api/tasks');
+    expect(res.body).toEqual({ provider: 'ticktick', taskLists: [], tasks: [] });
+    expect(models.getTasks).not.toHaveBeenCalled();
+
+    const created = await request(app).post('/api/tasks').send({ title: 'Email John' });
+    const updated = await request(app).patch(`/api/tasks/${taskId}`).send({ completed: true });
+    const deleted = await request(app).delete(`/api/tasks/lists/${workId}`);
+    expect([created.status, updated.status, deleted.status]).toEqual([409, 409, 409]);
+    expect(models.createTask).not.toHaveBeenCalled();
+    expect(models.updateTask).not.toHaveBeenCalled();
+    expect(models.deleteTaskList).not.toHaveBeenCalled();
+  });
+
+  it('creates tasks in the Inbox when no list is given', async () => {
+    models.createTaskList.mockResolvedValue({ _id: 'inbox', name: 'Inbox' });
+    models.createTask.mockImplementation(async (params) => ({ _id: taskId, ...params }));
+
+    const res = await request(app)
+      .post('/api/tasks')
+      .send({ title: '  Email John ', dueDate: '2025-12-24T14:00:00.000Z' });
+
+    expect(res.status).toBe(201);
+    expect(models.createTaskList).toHaveBeenCalledWith({ userId, name: 'Inbox' });
+    expect(models.createTask).toHaveBeenCalledWith({
+      userId,
+      taskListId: 'inbox',
+      title: 'Email John',
+      dueDate: new Date('2025-12-24T14:00:00.000Z'),
+    });
+  });
+
+  it('validates task fields', async () => {
+    const missingTitle = await request(app).post('/api/tasks').send({ content: 'x' });
+    expect(missingTitle.status).toBe(400);
+
+    const badDate = await request(app)
+      .patch(`/api/tasks/${taskId}`)
+      .send({ dueDate: 'next tuesday' });
+    expect(badDate.status).toBe(400);
+
+    const badDuration = await request(app).patch(`/api/tasks/${taskId}`).send({ duration: 12.5 });
+    expect(badDuration.status).toBe(400);
+    expect(models.updateTask).not.toHaveBeenCalled();
+    expect(invalidateContextSnapshots).not.toHaveBeenCalled();
+  });
+
+  it('updates recurrence, priority, tags, checklists and parents', async () => {
+    const parentId = '64b7f0c2e4b0a1a2b3c4d5e9';
+    const tasks = new Map([
+      [taskId, { _id: taskId, parent: null }],
+      [parentId, { _id: parentId, parent: null }],
+    ]);
+    models.getTask.mockImplementation(async (params) => tasks.get(params.taskId) ?? null);
+    models.updateTask.mockResolvedValue({ _id: taskId });
+
+    const res = await request(app)
+      .patch(`/api/tasks/${taskId}`)
+      .send({
+        repeat: 'RRULE:FREQ=WEEKLY;BYDAY=MO',
+        priority: 5,
+        tags: ['#dev', 'dev', 'github'],
+        items: [{ title: ' Run lint ', completed: true }],
+        parentId,
+      });
+
+    expect(res.status).toBe(200);
+    expect(models.updateTask).toHaveBeenCalledWith({
+      userId,
+      taskId,
+      updates: {
+        repeat: 'FREQ=WEEKLY;BYDAY=MO',
+        priority: 5,
+        tags: ['dev', 'github'],
+        items: [{ title: 'Run lint', completed: true }],
+        parent: parentId,
+      },
+    });
+    // None of these fields shows on the focus block
+    expect(syncFocusBlocks).not.toHaveBeenCalled();
+
+    const invalid = [
+      { repeat: 'every monday' },
+      { priority: 2 },
+      { tags: [''] },
+      { items: [{ title: 'Lint' }] },
+      { parentId: taskId },
+      { parentId: '64b7f0c2e4b0a1a2b3c4d5ff' },
+    ];
+    for (const body of invalid) {
+      const response = await request(app).patch(`/api/tasks/${taskId}`).send(body);
+      expect(response.status).toBe(400);
+    }
+    expect(models.updateTask).toHaveBeenCalledTimes(1);
+    expect(models.getTasks).not.toHaveBeenCalled();
+
+    // The parent of the parent is the task itself
+    tasks.set(parentId, { _id: parentId, parent: taskId });
+    const cycle = await request(app).patch(`/api/tasks/${taskId}`).send({ parentId });
+    expect(cycle.status).toBe(400);
+    expect(cycle.body.error).toBe('A task cannot be a subtask of itself or of its own subtasks.');
+    expect(models.updateTask).toHaveBeenCalledTimes(1);
+  });
+
+  it('reschedules, completes and moves tasks', async () => {
+    models.updateTask.mockResolvedValue({ _id: taskId, completed: true });
+
+    const res = await request(app)
+      .patch(`/api/tasks/${taskId}`)
+      .send({ completed: true, dueDate: null, taskListId: workId });
+
+    expect(res.status).toBe(200);
+    expect(models.updateTask).toHaveBeenCalledWith({
+      userId,
+      taskId,
+      updates: { completed: true, dueDate: null, taskList: workId },
+    });
+    expect(invalidateContextSnapshots).toHaveBeenCalledWith({ id: userId }, ['tasks']);
+    expect(syncFocusBlocks).toHaveBeenCalledWith({ id: userId }, [
+      expect.objectContaining({ taskId, provider: 'local', completed: true, start: null }),
+    ]);
+  });
+
+  it('moves the focus block of a task given a new time and duration', async () => {
+    models.updateTask.mockResolvedValue({
+      _id: taskId,
+      title: 'Write report',
+      completed: false,
+      dueDate: new Date('2025-12-19T15:00:00Z'),
+      duration: 45,
+    });
+
+    await request(app)
+      .patch(`/api/tasks/${taskId}`)
+      .send({ dueDate: '2025-12-19T15:00:00Z', duration: 45 });
+
+    const [[, [change]]] = syncFocusBlocks.mock.calls;
+    expect(change).toMatchObject({ taskId, name: 'Write report', duration: 45 });
+    expect(change.start.toUTC().toISO()).toBe('2025-12-19T15:00:00.000Z');
+    expect(models.updateTask).toHaveBeenCalledWith(
+      expect.objectContaining({ updates: expect.objectContaining({ duration: 45 }) }),
+    );
+  });
+
+  it('leaves focus blocks alone when only the position changes', async () => {
+    models.updateTask.mockResolvedValue({ _id: taskId, position: 2 });
+
+    await request(app).patch(`/api/tasks/${taskId}`).send({ position: 2 });
+
+    expect(syncFocusBlocks).not.toHaveBeenCalled();
+  });
+
+  it('schedules tasks into free time', async () => {
+    scheduleTasks.mockResolvedValue({ scheduled: [], unscheduled: [] });
+
+    const res = await request(app).post('/api/tasks/schedule').send({ days: 3, focusBlocks: true });
+
+    expect(res.status).toBe(200);
+    expect(scheduleTasks).toHaveBeenCalledWith({ id: userId }, { days: 3, focusBlocks: true });
+
+    const invalid = await request(app).post('/api/tasks/schedule').send({ days: 'soon' });
+    expect(invalid.status).toBe(400);
+
+    scheduleTasks.mockRejectedValue(new Error('Request failed with status code 502'));
+    const failed = await request(app).post('/api/tasks/schedule').send({});
+    expect(failed.status).toBe(500);
+    expect(failed.body).toEqual({ error: 'Failed to schedule tasks' });
+  });
+
+  it("refuses to move tasks into another user's list", async () => {
+    const res = await request(app)
+      .patch(`/api/tasks/${taskId}`)
+      .send({ taskListId: '64b7f0c2e4b0a1a2b3c4d5ff' });
+
+    expect(res.status).toBe(404);
+    expect(models.updateTask).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for unknown tasks', async () => {
+    models.deleteTask.mockResolvedValue({ ok: false });
+
+    expect((await request(app).delete(`/api/tasks/${taskId}`)).status).toBe(404);
+    expect((await request(app).delete('/api/tasks/not-an-id')).status).toBe(404);
+  });
+
+  it('creates and deletes task lists', async () => {
+    models.createTaskList.mockResolvedValue({ _id: 'home', name: 'Home' });
+    models.deleteTaskList.mockResolvedValue({ ok: true });
+
+    const created = await request(app).post('/api/tasks/lists').send({ name: 'Home' });
+    expect(created.status).toBe(201);
+    expect(models.createTaskList).toHaveBeenCalledWith({ userId, name: 'Home', position: 1 });
+
+    const deleted = await request(app).delete(`/api/tasks/lists/${workId}`);
+    expect(deleted.body).toEqual({ deleted: true });
+  });
+
+  describe('task changes', () => {
+    const changeSetId = '64b7f0c2e4b0a1a2b3c4d5ea';
+    const changes = [{ id: 'add-0', type: 'add', project: 'Work', name: 'Email John' }];
+    const messageWith = (artifact) => ({
+      messageId: 'msg-1',
+      attachments: [{ type: 'task_changes', task_changes: { changes, ...artifact } }],
+    });
+    const savedArtifact = () =>
+      models.updateMessage.mock.calls.at(-1)[1].attachments[0].task_changes;
+
+    it('records the accepted changes as a change set of the message', async () => {
+      models.claimMessageAttachment.mockResolvedValue(messageWith({ status: 'applying' }));
+      applyTaskChanges.mockResolvedValue({ ok: true, changeSet: { _id: changeSetId } });
+
+      const res = await request(app)
+        .post('/api/tasks/changes/convo-1/msg-1')
+        .send({ accept: ['add-0'] });
+
+      expect(res.body.taskChanges).toMatchObject({ status: 'applied', changeSetId });
+      expect(applyTaskChanges).toHaveBeenCalledWith(changes, ['add-0'], expect.anything(), {
+        conversationId: 'convo-1',
+        messageId: 'msg-1',
+      });
+      expect(savedArtifact()).toMatchObject({ status: 'applied', changeSetId });
+      expect(models.claimMessageAttachment).toHaveBeenCalledWith({
+        user: userId,
+        messageId: 'msg-1',
+        type: 'task_changes',
+        from: 'pending',
+        to: 'applying',
+      });
+    });
+
+    it('applies the changes of a message only once when accepted concurrently', async () => {
+      models.claimMessageAttachment
+        .mockResolvedValueOnce(messageWith({ status: 'applying' }))
+        .mockResolvedValueOnce(null);
+      models.getMessage.mockResolvedValue(messageWith({ status: 'applying' }));
+      applyTaskChanges.mockResolvedValue({ ok: true, changeSet: { _id: changeSetId } });
+
+      const accept = () =>
+        request(app)
+          .post('/api/tasks/changes/convo-1/msg-1')
+          .send({ accept: ['add-0'] });
+      const statuses = (await Promise.all([accept(), accept()])).map((res) => res.status);
+
+      expect(statuses.sort()).toEqual([200, 409]);
+      expect(applyTaskChanges).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not store provider errors in the reviewed changes', async () => {
+      models.claimMessageAttachment.mockResolvedValue(messageWith({ status: 'applying' }));
+      applyTaskChanges.mockRejectedValue(new Error('connect ECONNREFUSED 10.0.0.5:443'));
+
+      const res = await request(app)
+        .post('/api/tasks/changes/convo-1/msg-1')
+        .send({ accept: ['add-0'] });
+
+      const expected = { status: 'error', error: 'The task changes could not be applied' };
+      expect(res.body.taskChanges).toMatchObject(expected);
+      expect(savedArtifact()).toMatchObject(expected);
+    });
+
+    it('returns 404 when the message has no proposed changes', async () => {
+      models.claimMessageAttachment.mockResolvedValue(null);
+      models.getMessage.mockResolvedValue({ messageId: 'msg-1', attachments: [] });
+
+      const res = await request(app).post('/api/tasks/changes/convo-1/msg-1').send({ accept: [] });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('undoes the changes applied from a message once', async () => {
+      const changeSet = { _id: changeSetId, messageId: 'msg-1', provider: 'local' };
+      models.getMessage.mockResolvedValue(messageWith({ status: 'applied', changeSetId }));
+      models.getTaskChangeSet.mockResolvedValue(changeSet);
+      revertTaskChangeSet.mockResolvedValue({ ok: true, changeSet: { _id: 'revert' } });
+
+      const res = await request(app).post('/api/tasks/changes/convo-1/msg-1/undo');
+
+      expect(res.status).toBe(200);
+      expect(models.getTaskChangeSet).toHaveBeenCalledWith(userId, changeSetId);
+      expect(revertTaskChangeSet).toHaveBeenCalledWith(changeSet, expect.anything());
+      expect(res.body.taskChanges).toMatchObject({ status: 'undone', changeSetId });
+      expect(savedArtifact().status).toBe('undone');
+
+      models.getTaskChangeSet.mockResolvedValue({ ...changeSet, revertedAt: new Date() });
+      const again = await request(app).post('/api/tasks/changes/convo-1/msg-1/undo');
+      expect(again.status).toBe(409);
+
+      models.getTaskChangeSet.mockResolvedValue(changeSet);
+      revertTaskChangeSet.mockResolvedValue(null);
+      const concurrent = await request(app).post('/api/tasks/changes/convo-1/msg-1/undo');
+      expect(concurrent.status).toBe(409);
+      revertTaskChangeSet.mockResolvedValue({ ok: true, changeSet: { _id: 'revert' } });
+
+      models.getMessage.mockResolvedValue(messageWith({ status: 'rejected' }));
+      const rejected = await request(app).post('/api/tasks/changes/convo-1/msg-1/undo');
+      expect(rejected.status).toBe(404);
+    });
+
+    it('lists and restores change sets', async () => {
+      models.getTaskChangeSets.mockResolvedValue([{ _id: changeSetId }]);
+      const history = await request(app).get('/api/tasks/history?limit=10');
+      expect(history.body).toEqual({ changeSets: [{ _id: changeSetId }] });
+      expect(models.getTaskChangeSets).toHaveBeenCalledWith({ userId, limit: 10 });
+      expect((await request(app).get('/api/tasks/history?limit=0')).status).toBe(400);
+
+      const revert = { _id: changeSetId, messageId: 'msg-1', revertOf: 'older', provider: 'local' };
+      models.getTaskChangeSet.mockResolvedValue(revert);
+      revertTaskChangeSet.mockResolvedValue({ ok: true, changeSet: null });
+      const restored = await request(app).post(`/api/tasks/history/${changeSetId}/restore`);
+      expect(restored.body).toEqual({ ok: true, changeSet: null });
+      expect(models.updateMessage).not.toHaveBeenCalled();
+
+      revertTaskChangeSet.mockResolvedValue(null);
+      const concurrent = await request(app).post(`/api/tasks/history/${changeSetId}/restore`);
+      expect(concurrent.status).toBe(409);
+
+      models.getTaskChangeSet.mockResolvedValue(null);
+      const missing = await request(app).post(`/api/tasks/history/${changeSetId}/restore`);
+      expect(missing.status).toBe(404);
+    });
+
+    it('does not leak provider errors when a restore fails', async () => {
+      models.getTaskChangeSet.mockResolvedValue({ _id: changeSetId, provider: 'local' });
+      revertTaskChangeSet.mockRejectedValue(new Error('connect ECONNREFUSED 10.0.0.5:443'));
+
+      const res = await request(app).post(`/api/tasks/history/${changeSetId}/restore`);
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ error: 'Failed to restore task changes' });
+    });
+  });
+
+  it('selects the task provider', async () => {
+    models.updateUser.mockResolvedValue({ personalization: { taskProvider: 'local' } });
+
+    const res = await request(app).patch('/api/tasks/provider').send({ provider: 'local' });
+    expect(res.body).toEqual({ updated: true, provider: 'local' });
+
+    const invalid = await request(app).patch('/api/tasks/provider').send({ provider: 'jira' });
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -7,6 +7,7 @@ const {
   removeNullishValues,
   defaultSocialLogins,
 } = require('librechat-data-provider');
+const { checkWebPushConfig } = require('~/server/utils/sendWebPush');
 const { getLdapConfig } = require('~/server/services/Config/ldap');
 const { getAppConfig } = require('~/server/services/Config/app');
 const { getProjectByName } = require('~/models/Project');
@@ -130,6 +131,7 @@ router.get('/', async function (req, res) {
         !!process.env.EMAIL_USERNAME &&
         !!process.env.EMAIL_PASSWORD &&
         !!process.env.EMAIL_FROM,
+      webPushPublicKey: checkWebPushConfig() ? process.env.VAPID_PUBLIC_KEY : undefined,
       passwordResetEnabled,
       showBirthdayIcon:
         isBirthday() ||
@@ -139,6 +141,7 @@ router.get('/', async function (req, res) {
       interface: appConfig?.interfaceConfig,
       turnstile: appConfig?.turnstileConfig,
       modelSpecs: appConfig?.modelSpecs,
+      contextSources: appConfig?.contextSources?.map(({ name, scope }) => ({ name, scope })),
       balance: balanceConfig,
       sharedLinksEnabled,
       publicSharedLinksEnabled,
@@ -0,0 +1,83 @@
+const express = require('express');
+const { logger } = require('@librechat/data-schemas');
+const { Tools } = require('librechat-data-provider');
+const { requireJwtAuth, validateMessageReq } = require('~/server/middleware');
+const { reviewMessageArtifact } = require('~/server/services/ArtifactReviewService');
+const { runEmailAction } = require('~/customUtils/gmailActions');
+const { getEmailActions } = require('~/models');
+
+const router = express.Router();
+router.use(requireJwtAuth);
+
+/**
+ * GET /actions
+ * Lists the Gmail actions the user confirmed, newest first, as recorded in their audit log.
+ * Query: { limit?: number } - 1 to 100, default 50.
+ * Returns 200 and { actions }.
+ */
+router.get('/actions', async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'Limit must be an integer from 1 to 100.' });
+  }
+
+  try {
+    res.json({ actions: await getEmailActions({ userId: req.user.id, limit }) });
+  } catch (error) {
+    logger.error('[/email/actions] Error getting email actions:', error);
+    res.status(500).json({ error: 'Failed to get email actions' });
+  }
+});
+
+/**
+ * POST /actions/:conversationId/:messageId
+ * Confirms or cancels a Gmail action proposed on an assistant message. A confirmed action runs in
+ * Gmail and is recorded in the audit log.
+ * Body: { toolCallId: string, confirm: boolean }
+ * Returns the reviewed `email_action` artifact.
+ */
+router.post('/actions/:conversationId/:messageId', validateMessageReq, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const { toolCallId, confirm } = req.body ?? {};
+
+  if (typeof toolCallId !== 'string' || !toolCallId || typeof confirm !== 'boolean') {
+    return res.status(400).json({ error: '`toolCallId` and `confirm` are required' });
+  }
+
+  try {
+    const result = await reviewMessageArtifact(req, {
+      messageId,
+      toolCallId,
+      type: Tools.email_action,
+      review: async (artifact) => {
+        const reviewed = { ...artifact, reviewedAt: new Date().toISOString() };
+        if (!confirm) {
+          reviewed.status = 'cancelled';
+          return reviewed;
+        }
+        const result = await runEmailAction(req.user, artifact, {
+          conversationId,
+          responseMessageId: messageId,
+        });
+        reviewed.status = result.ok ? 'applied' : 'error';
+        reviewed.auditId = result.audit._id.toString();
+        if (!result.ok) {
+          reviewed.error = result.error;
+        }
+        return reviewed;
+      },
+    });
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'No proposed email action found for this message' });
+    }
+    if (result.status === 'already_reviewed') {
+      return res.status(409).json({ error: 'This email action has already been reviewed' });
+    }
+    res.json({ messageId, conversationId, toolCallId, emailAction: result.artifact });
+  } catch (error) {
+    logger.error('[/email/actions] Error reviewing an email action:', error);
+    res.status(500).json({ error: 'Failed to review the email action' });
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const accessPermissions = require('./accessPermissions');
+const notifications = require('./notifications');
+const integrations = require('./integrations');
 const assistants = require('./assistants');
 const categories = require('./categories');
 const tokenizer = require('./tokenizer');
@@ -13,6 +15,8 @@ const plugins = require('./plugins');
 const actions = require('./actions');
 const banner = require('./banner');
 const search = require('./search');
+const email = require('./email');
+const tasks = require('./tasks');
 const models = require('./models');
 const convos = require('./convos');
 const config = require('./config');
@@ -32,9 +36,11 @@ module.exports = {
   mcp,
   edit,
   auth,
+  email,
   keys,
   user,
   tags,
+  tasks,
   roles,
   oauth,
   files,
@@ -56,6 +62,8 @@ module.exports = {
   tokenizer,
   assistants,
   categories,
+  integrations,
   staticRoute,
+  notifications,
   accessPermissions,
 };
@@ -0,0 +1,117 @@
+const express = require('express');
+const { logger } = require('@librechat/data-schemas');
+const { requireJwtAuth } = require('~/server/middleware');
+const { STATE_TTL, GOOGLE_STATE_COOKIE, getGoogleAuthUrl } = require('~/customUtils/googleAuth');
+const {
+  isIntegrationProvider,
+  listUserIntegrations,
+  saveUserIntegration,
+  deleteUserIntegration,
+} = require('~/server/services/IntegrationService');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const { getEmailIngestionStatus } = require('~/server/services/EmailIngestionService');
+
+const router = express.Router();
+router.use(requireJwtAuth);
+
+/**
+ * GET /integrations
+ * Returns the integrations connected by the authenticated user, without credentials.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const integrations = await listUserIntegrations(req.user.id);
+    res.json({ integrations });
+  } catch (error) {
+    logger.error('[/integrations] Error listing integrations:', error);
+    res.status(500).json({ error: 'Failed to list integrations' });
+  }
+});
+
+/**
+ * GET /integrations/google/authorize
+ * Returns the Google consent URL; the consent screen redirects to `/oauth/integrations/google/callback`.
+ * Sets the nonce cookie the callback checks the consent `state` against.
+ */
+router.get('/google/authorize', async (req, res) => {
+  try {
+    const { authUrl, nonce } = await getGoogleAuthUrl(req.user.id);
+    res.cookie(GOOGLE_STATE_COOKIE, nonce, {
+      maxAge: STATE_TTL * 1000,
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      /** Sent with the top-level redirect back from Google */
+      sameSite: 'lax',
+      path: '/oauth/integrations/google',
+    });
+    res.json({ authUrl });
+  } catch (error) {
+    logger.error('[/integrations/google/authorize] Error building consent URL:', error);
+    res.status(500).json({ error: 'Failed to start Google authorization' });
+  }
+});
+
+/**
+ * GET /integrations/google/ingestion
+ * Returns how far the background worker has ingested the user's Gmail mailbox.
+ */
+router.get('/google/ingestion', async (req, res) => {
+  try {
+    res.json(await getEmailIngestionStatus(req.user.id));
+  } catch (error) {
+    logger.error('[/integrations/google/ingestion] Error reading ingestion status:', error);
+    res.status(500).json({ error: 'Failed to read email ingestion status' });
+  }
+});
+
+/**
+ * PUT /integrations/:provider
+ * Connects or updates an integration. Blank credential fields keep their saved values.
+ * Cached context is dropped, so the next message uses the new credentials.
+ * Body: { credentials: Record<string, string> }
+ */
+router.put('/:provider', async (req, res) => {
+  const { provider } = req.params;
+  if (!isIntegrationProvider(provider)) {
+    return res.status(404).json({ error: 'Unknown integration' });
+  }
+  try {
+    const { integration, error } = await saveUserIntegration(
+      req.user.id,
+      provider,
+      req.body?.credentials,
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await invalidateContextSnapshots(req.user);
+    res.json(integration);
+  } catch (error) {
+    logger.error(`[/integrations/${provider}] Error saving integration:`, error);
+    res.status(500).json({ error: 'Failed to save integration' });
+  }
+});
+
+/**
+ * DELETE /integrations/:provider
+ * Disconnects an integration and deletes its stored credentials.
+ */
+router.delete('/:provider', async (req, res) => {
+  const { provider } = req.params;
+  if (!isIntegrationProvider(provider)) {
+    return res.status(404).json({ error: 'Unknown integration' });
+  }
+  try {
+    const { ok } = await deleteUserIntegration(req.user.id, provider);
+    if (!ok) {
+      return res.status(404).json({ error: 'Integration not connected' });
+    }
+    await invalidateContextSnapshots(req.user);
+    res.json({ deleted: true });
+  } catch (error) {
+    logger.error(`[/integrations/${provider}] Error deleting integration:`, error);
+    res.status(500).json({ error: 'Failed to delete integration' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
+const { logger } = require('@librechat/data-schemas');
 const { Tokenizer, generateCheckAccess } = require('@librechat/api');
-const { PermissionTypes, Permissions } = require('librechat-data-provider');
+const {
+  Tools,
+  Permissions,
+  PermissionTypes,
+  personalProfileSchema,
+} = require('librechat-data-provider');
 const {
   getAllUserMemories,
   toggleUserMemories,
@@ -8,7 +14,9 @@ const {
   deleteMemory,
   setMemory,
 } = require('~/models');
-const { requireJwtAuth, configMiddleware } = require('~/server/middleware');
+const { requireJwtAuth, configMiddleware, validateMessageReq } = require('~/server/middleware');
+const { reviewMessageArtifact } = require('~/server/services/ArtifactReviewService');
+const { getUserProfile, saveUserProfile } = require('~/customUtils/personalProfile');
 const { getRoleByName } = require('~/models/Role');
 
 const router = express.Router();
@@ -190,6 +198,91 @@ router.patch('/preferences', checkMemoryOptOut, async (req, res) => {
   }
 });
 
+/**
+ * GET /memories/profile
+ * Returns the user's personal profile. It is available to every user, regardless of the
+ * memory permissions.
+ * Returns 200 and { profile, updatedAt }; `updatedAt` is null until the profile is saved.
+ */
+router.get('/profile', async (req, res) => {
+  try {
+    res.json(await getUserProfile(req.user));
+  } catch (error) {
+    logger.error('[/memories/profile] Error getting the personal profile:', error);
+    res.status(500).json({ error: 'Failed to get the personal profile' });
+  }
+});
+
+/**
+ * PUT /memories/profile
+ * Saves the user's personal profile; fields left out are kept.
+ * Body: TPersonalProfile
+ * Returns 200 and { profile, updatedAt }.
+ */
+router.put('/profile', memoryPayloadLimit, async (req, res) => {
+  const parsed = personalProfileSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid profile', issues: parsed.error.issues });
+  }
+
+  try {
+    res.json(await saveUserProfile(req.user, parsed.data));
+  } catch (error) {
+    logger.error('[/memories/profile] Error saving the personal profile:', error);
+    res.status(500).json({ error: 'Failed to save the personal profile' });
+  }
+});
+
+/**
+ * POST /memories/profile/:conversationId/:messageId
+ * Approves or dismisses a profile update proposed on an assistant message. An approved update is
+ * saved to the user's profile.
+ * Body: { toolCallId: string, approve: boolean }
+ * Returns the reviewed `profile_update` artifact.
+ */
+router.post('/profile/:conversationId/:messageId', validateMessageReq, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const { toolCallId, approve } = req.body ?? {};
+
+  if (typeof toolCallId !== 'string' || !toolCallId || typeof approve !== 'boolean') {
+    return res.status(400).json({ error: '`toolCallId` and `approve` are required' });
+  }
+
+  try {
+    const result = await reviewMessageArtifact(req, {
+      messageId,
+      toolCallId,
+      type: Tools.profile_update,
+      review: async (artifact) => {
+        const reviewed = { ...artifact, reviewedAt: new Date().toISOString() };
+        if (!approve) {
+          reviewed.status = 'dismissed';
+          return reviewed;
+        }
+        try {
+          await saveUserProfile(req.user, artifact.changes);
+          reviewed.status = 'approved';
+        } catch (error) {
+          logger.error('[/memories/profile] Error applying a profile update:', error);
+          reviewed.status = 'error';
+          reviewed.error = 'Could not save the profile update';
+        }
+        return reviewed;
+      },
+    });
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'No proposed profile update found for this message' });
+    }
+    if (result.status === 'already_reviewed') {
+      return res.status(409).json({ error: 'This profile update has already been reviewed' });
+    }
+    res.json({ messageId, conversationId, toolCallId, profileUpdate: result.artifact });
+  } catch (error) {
+    logger.error('[/memories/profile] Error reviewing a profile update:', error);
+    res.status(500).json({ error: 'Failed to review the profile update' });
+  }
+});
+
 /**
  * PATCH /memories/:key
  * Updates the value of an existing memory entry for the authenticated user.
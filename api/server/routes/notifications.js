@@ -0,0 +1,187 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { logger } = require('@librechat/data-schemas');
+const { requireJwtAuth } = require('~/server/middleware');
+const { isPushServiceEndpoint, isValidSubscriptionKeys } = require('~/server/utils/sendWebPush');
+const {
+  MAX_MINUTES_BEFORE,
+  consumeActionToken,
+  getReminderUser,
+  performReminderAction,
+} = require('~/server/services/NotificationService');
+const {
+  getNotification,
+  getNotifications,
+  savePushSubscription,
+  deletePushSubscription,
+} = require('~/models');
+
+const router = express.Router();
+
+const ACTIONS = ['snooze', 'complete', 'dismiss'];
+
+/**
+ * Validates the action and snooze length of a request.
+ * @param {string} action
+ * @param {unknown} minutes
+ * @returns {string | null} An error, or null when valid.
+ */
+function validateAction(action, minutes) {
+  if (!ACTIONS.includes(action)) {
+    return `Action must be one of ${ACTIONS.join(', ')}.`;
+  }
+  if (
+    minutes !== undefined &&
+    (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MINUTES_BEFORE)
+  ) {
+    return `Minutes must be an integer from 1 to ${MAX_MINUTES_BEFORE}.`;
+  }
+  return null;
+}
+
+/**
+ * Acts on a reminder and responds with the updated reminder.
+ * @param {ServerResponse} res
+ * @param {INotificationLean} notification
+ * @param {IUser} user
+ * @param {string} action
+ * @param {number} [minutes]
+ */
+async function respondWithAction(res, notification, user, action, minutes) {
+  if (action === 'complete' && notification.type !== 'task') {
+    return res.status(400).json({ error: 'Only task reminders can be completed.' });
+  }
+  const updated = await performReminderAction(notification, user, action, { minutes });
+  res.json(updated);
+}
+
+/**
+ * POST /:notificationId/actions
+ * Acts on a reminder from a push notification. The service worker has no session, so the
+ * request is authorized by the single-use token delivered with the notification.
+ * Body: { token: string, action: 'snooze' | 'complete' | 'dismiss', minutes?: number }
+ * Returns 200 and the updated reminder.
+ */
+router.post('/:notificationId/actions', async (req, res) => {
+  const { notificationId } = req.params;
+  const { token, action, minutes } = req.body ?? {};
+  const error = validateAction(action, minutes);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    return res.status(404).json({ error: 'Notification not found.' });
+  }
+
+  try {
+    const notification = await consumeActionToken(notificationId, token);
+    if (!notification) {
+      return res.status(403).json({ error: 'Invalid or used notification token.' });
+    }
+    const user = await getReminderUser(notification);
+    if (!user) {
+      return res.status(404).json({ error: 'Notification not found.' });
+    }
+    await respondWithAction(res, notification, user, action, minutes);
+  } catch (error) {
+    logger.error('[/notifications] Error acting on a notification from a push:', error);
+    res.status(500).json({ error: 'Failed to act on the notification' });
+  }
+});
+
+router.use(requireJwtAuth);
+
+/**
+ * GET /
+ * Lists the reminders delivered to the authenticated user, newest first.
+ * Query: { unread?: 'true' } - only those not acted on or dismissed yet.
+ * Returns 200 and { notifications }.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const notifications = await getNotifications({
+      userId: req.user.id,
+      unread: req.query.unread === 'true',
+    });
+    res.json({ notifications });
+  } catch (error) {
+    logger.error('[/notifications] Error getting notifications:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+/**
+ * POST /subscriptions
+ * Registers a browser's push subscription for reminders. The endpoint must belong to a known
+ * push service, as the server posts reminders to it, and the keys must be a base64url P-256
+ * public key and 16-byte auth secret.
+ * Body: { endpoint: string, keys: { p256dh: string, auth: string } }
+ * Returns 201 and { saved: true }.
+ */
+router.post('/subscriptions', async (req, res) => {
+  const { endpoint, keys } = req.body ?? {};
+  if (!isPushServiceEndpoint(endpoint) || !isValidSubscriptionKeys(keys)) {
+    return res.status(400).json({ error: 'Invalid push subscription.' });
+  }
+
+  try {
+    await savePushSubscription({ userId: req.user.id, subscription: { endpoint, keys } });
+    res.status(201).json({ saved: true });
+  } catch (error) {
+    logger.error('[/notifications/subscriptions] Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+/**
+ * DELETE /subscriptions
+ * Removes a browser's push subscription.
+ * Body: { endpoint: string }
+ * Returns 200 and { deleted: boolean }.
+ */
+router.delete('/subscriptions', async (req, res) => {
+  const { endpoint } = req.body ?? {};
+  if (typeof endpoint !== 'string' || !endpoint) {
+    return res.status(400).json({ error: 'Endpoint is required.' });
+  }
+
+  try {
+    const { ok } = await deletePushSubscription({ endpoint, userId: req.user.id });
+    res.json({ deleted: ok });
+  } catch (error) {
+    logger.error('[/notifications/subscriptions] Error deleting push subscription:', error);
+    res.status(500).json({ error: 'Failed to delete push subscription' });
+  }
+});
+
+/**
+ * POST /:notificationId/:action
+ * Snoozes, completes or dismisses one of the authenticated user's reminders from the app.
+ * Completing a task reminder completes the task.
+ * Body: { minutes?: number } - snooze length, 10 minutes by default.
+ * Returns 200 and the updated reminder.
+ */
+router.post('/:notificationId/:action', async (req, res) => {
+  const { notificationId, action } = req.params;
+  const { minutes } = req.body ?? {};
+  const error = validateAction(action, minutes);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+    return res.status(404).json({ error: 'Notification not found.' });
+  }
+
+  try {
+    const notification = await getNotification(notificationId);
+    if (!notification || notification.user.toString() !== req.user.id) {
+      return res.status(404).json({ error: 'Notification not found.' });
+    }
+    await respondWithAction(res, notification, req.user, action, minutes);
+  } catch (error) {
+    logger.error('[/notifications] Error acting on a notification:', error);
+    res.status(500).json({ error: 'Failed to act on the notification' });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,11 @@ const { isEnabled, createSetBalanceConfig } = require('@librechat/api');
 const { checkDomainAllowed, loginLimiter, logHeaders, checkBan } = require('~/server/middleware');
 const { syncUserEntraGroupMemberships } = require('~/server/services/PermissionService');
 const { setAuthTokens, setOpenIDAuthTokens } = require('~/server/services/AuthService');
+const {
+  GOOGLE_STATE_COOKIE,
+  connectGoogleAccount,
+  verifyGoogleAuthState,
+} = require('~/customUtils/googleAuth');
 const { getAppConfig } = require('~/server/services/Config');
 const { Balance } = require('~/db/models');
 
@@ -225,4 +230,41 @@ router.post(
   oauthHandler,
 );
 
+/**
+ * Google Integration Routes
+ * Consent callback for connecting Gmail and Calendar from Settings > Integrations.
+ * The consent window carries no auth header, so the signed `state` identifies the user; it must
+ * match the nonce cookie set when the same browser started the consent.
+ */
+router.get('/integrations/google/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const nonce = req.cookies?.[GOOGLE_STATE_COOKIE];
+  res.clearCookie(GOOGLE_STATE_COOKIE, { path: '/oauth/integrations/google' });
+  if (error) {
+    return res.redirect(`${domains.client}/oauth/error?error=${encodeURIComponent(error)}`);
+  }
+  if (!code) {
+    return res.redirect(`${domains.client}/oauth/error?error=missing_code`);
+  }
+  if (!state) {
+    return res.redirect(`${domains.client}/oauth/error?error=missing_state`);
+  }
+
+  let userId;
+  try {
+    userId = verifyGoogleAuthState(state, nonce);
+  } catch (err) {
+    logger.error('[/oauth/integrations/google/callback] Error verifying state parameter:', err);
+    return res.redirect(`${domains.client}/oauth/error?error=invalid_state`);
+  }
+
+  try {
+    await connectGoogleAccount(userId, code);
+    res.redirect(`${domains.client}/oauth/success?serverName=Google`);
+  } catch (err) {
+    logger.error('[/oauth/integrations/google/callback] Error connecting Google:', err);
+    res.redirect(`${domains.client}/oauth/error?error=callback_failed`);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,682 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const { logger } = require('@librechat/data-schemas');
+const { Tools, ContextSources } = require('librechat-data-provider');
+const { requireJwtAuth, validateMessageReq } = require('~/server/middleware');
+const { invalidateContextSnapshots } = require('~/server/services/ContextSnapshotService');
+const {
+  findMessageArtifact,
+  saveMessageArtifact,
+  reviewMessageArtifact,
+} = require('~/server/services/ArtifactReviewService');
+const { applyTaskChanges, revertTaskChangeSet } = require('~/customUtils/taskPlanner');
+const { scheduleTasks } = require('~/customUtils/taskScheduler');
+const { syncFocusBlocks } = require('~/customUtils/focusBlocks');
+const { isTaskProvider, getTaskProviderName } = require('~/customUtils/taskProviders');
+const { TASK_PRIORITIES, normalizeRepeat } = require('~/customUtils/taskModels');
+const {
+  getTask,
+  getTasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  updateUser,
+  getTaskList,
+  getTaskLists,
+  getTaskChangeSet,
+  getTaskChangeSets,
+  createTaskList,
+  updateTaskList,
+  deleteTaskList,
+} = require('~/models');
+
+const router = express.Router();
+router.use(requireJwtAuth);
+
+const DEFAULT_TASK_LIST = 'Inbox';
+
+/**
+ * Drops the cached task context so the next message sees the change.
+ * @param {IUser} user
+ */
+const invalidateTaskContext = (user) => invalidateContextSnapshots(user, [ContextSources.tasks]);
+
+/**
+ * Lets task and task list edits through only when the user's task provider is `local`. The Tasks
+ * panel works on LibreChat's own task collections, which the planner ignores when the user's tasks
+ * are kept in TickTick or CalDAV.
+ * @param {ServerRequest} req
+ * @param {ServerResponse} res
+ * @param {Function} next
+ */
+async function requireLocalTasks(req, res, next) {
+  try {
+    if ((await getTaskProviderName(req.user)) !== 'local') {
+      return res.status(409).json({ error: 'Tasks are managed by another task provider.' });
+    }
+    next();
+  } catch (error) {
+    logger.error('[/tasks] Error resolving the task provider:', error);
+    res.status(500).json({ error: 'Failed to resolve the task provider' });
+  }
+}
+
+/** Task fields shown on a task's focus block */
+const FOCUS_BLOCK_FIELDS = ['title', 'completed', 'dueDate', 'duration'];
+
+/**
+ * Moves or removes the focus block of a task edited in the Tasks panel. Runs in the background so
+ * the panel does not wait on Google; tasks in the panel belong to the `local` provider.
+ * @param {IUser} user
+ * @param {string} taskId
+ * @param {ITaskLean | null} task - The updated task, or null when it was deleted.
+ */
+function syncTaskFocusBlock(user, taskId, task) {
+  const change = task
+    ? {
+        taskId,
+        provider: 'local',
+        name: task.title,
+        completed: task.completed,
+        start: task.dueDate ? DateTime.fromJSDate(new Date(task.dueDate)) : null,
+        duration: task.duration ?? null,
+      }
+    : { taskId, provider: 'local', deleted: true };
+  syncFocusBlocks(user, [change]).catch((error) =>
+    logger.error('[/tasks] Error syncing the focus block of a task:', error),
+  );
+}
+
+/**
+ * Validates the task fields of a request body.
+ * @param {Object} body
+ * @param {boolean} partial - Whether fields may be omitted (updates).
+ * @returns {{ fields?: Object, error?: string }}
+ */
+function parseTaskFields(body = {}, partial) {
+  const { title, content, completed, dueDate, duration, position, taskListId } = body;
+  const { repeat, priority, tags, items, parentId } = body;
+  const fields = {};
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== 'string' || title.trim() === '') {
+      return { error: 'Title is required and must be a non-empty string.' };
+    }
+    fields.title = title.trim();
+  }
+  if (content !== undefined) {
+    if (typeof content !== 'string') {
+      return { error: 'Content must be a string.' };
+    }
+    fields.content = content;
+  }
+  if (completed !== undefined) {
+    if (typeof completed !== 'boolean') {
+      return { error: 'Completed must be a boolean.' };
+    }
+    fields.completed = completed;
+  }
+  if (dueDate !== undefined) {
+    const date = dueDate === null ? null : new Date(dueDate);
+    if (date && Number.isNaN(date.getTime())) {
+      return { error: 'Due date must be an ISO date string or null.' };
+    }
+    fields.dueDate = date;
+  }
+  if (duration !== undefined) {
+    if (duration !== null && (!Number.isInteger(duration) || duration <= 0)) {
+      return { error: 'Duration must be a positive number of minutes or null.' };
+    }
+    fields.duration = duration;
+  }
+  if (repeat !== undefined) {
+    const rule = repeat === null ? null : normalizeRepeat(String(repeat));
+    if (repeat !== null && !rule) {
+      return { error: 'Repeat must be an RRULE with a FREQ, e.g. FREQ=WEEKLY, or null.' };
+    }
+    fields.repeat = rule;
+  }
+  if (priority !== undefined) {
+    if (!Object.values(TASK_PRIORITIES).includes(priority)) {
+      return { error: 'Priority must be 0 (none), 1 (low), 3 (medium) or 5 (high).' };
+    }
+    fields.priority = priority;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string' || !tag.trim())) {
+      return { error: 'Tags must be an array of non-empty strings.' };
+    }
+    fields.tags = [...new Set(tags.map((tag) => tag.trim().replace(/^#/, '')))];
+  }
+  if (items !== undefined) {
+    const valid =
+      Array.isArray(items) &&
+      items.every(
+        (item) =>
+          typeof item?.title === 'string' &&
+          item.title.trim() !== '' &&
+          typeof item.completed === 'boolean',
+      );
+    if (!valid) {
+      return { error: 'Items must be an array of { title, completed } checklist items.' };
+    }
+    fields.items = items.map(({ title, completed }) => ({ title: title.trim(), completed }));
+  }
+  if (parentId !== undefined) {
+    if (parentId !== null && !mongoose.Types.ObjectId.isValid(parentId)) {
+      return { error: 'Invalid parent task id.' };
+    }
+    fields.parent = parentId;
+  }
+  if (position !== undefined) {
+    if (typeof position !== 'number' || !Number.isFinite(position)) {
+      return { error: 'Position must be a number.' };
+    }
+    fields.position = position;
+  }
+  if (taskListId !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(taskListId)) {
+      return { error: 'Invalid task list id.' };
+    }
+    fields.taskList = taskListId;
+  }
+  return { fields };
+}
+
+/**
+ * @param {string} userId
+ * @param {string} taskListId
+ */
+async function ownsTaskList(userId, taskListId) {
+  return !!(await getTaskList({ userId, taskListId }));
+}
+
+/**
+ * Checks that a subtask may point at `parentId`: the parent must be another task of the same
+ * user, and not the subtask itself or one of its own subtasks.
+ * @param {string} userId
+ * @param {string | null | undefined} parentId
+ * @param {string} [taskId] - The subtask, when it already exists.
+ * @returns {Promise<string | null>} An error, or null when valid.
+ */
+async function checkParent(userId, parentId, taskId) {
+  if (parentId == null) {
+    return null;
+  }
+  const seen = new Set(taskId ? [taskId.toString()] : []);
+  let ancestorId = parentId.toString();
+  while (ancestorId) {
+    if (seen.has(ancestorId)) {
+      return 'A task cannot be a subtask of itself or of its own subtasks.';
+    }
+    seen.add(ancestorId);
+    const ancestor = await getTask({ userId, taskId: ancestorId });
+    if (!ancestor) {
+      return ancestorId === parentId.toString() ? 'Parent task not found.' : null;
+    }
+    ancestorId = ancestor.parent?.toString();
+  }
+  return null;
+}
+
+/**
+ * Reverts a change set. When it applied the changes proposed on a message, the proposal is
+ * marked as undone there.
+ * @param {ServerRequest} req
+ * @param {ITaskChangeSetLean} changeSet
+ * @returns {Promise<{ ok: boolean, changeSet: ITaskChangeSetLean | null, taskChanges: TaskChangesArtifact | null } | null>}
+ *   Null when the change set was reverted by another request.
+ */
+async function undoChangeSet(req, changeSet) {
+  const result = await revertTaskChangeSet(changeSet, req.user);
+  if (!result) {
+    return null;
+  }
+  if (!changeSet.messageId || changeSet.revertOf) {
+    return { ...result, taskChanges: null };
+  }
+
+  const found = await findMessageArtifact(req.user.id, changeSet.messageId, Tools.task_changes);
+  if (found.artifact?.changeSetId !== changeSet._id.toString()) {
+    return { ...result, taskChanges: null };
+  }
+  const taskChanges = {
+    ...found.artifact,
+    status: 'undone',
+    undoneAt: new Date().toISOString(),
+  };
+  if (result.ok) {
+    delete taskChanges.error;
+  } else {
+    taskChanges.error = 'Some tasks could not be restored';
+  }
+  await saveMessageArtifact(req, changeSet.messageId, found, Tools.task_changes, taskChanges);
+  return { ...result, taskChanges };
+}
+
+/**
+ * GET /
+ * Returns the authenticated user's task provider and, when it is `local`, their task lists and
+ * tasks. Tasks kept by another provider are not listed.
+ * Returns 200 and { provider, taskLists, tasks }.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const provider = await getTaskProviderName(req.user);
+    if (provider !== 'local') {
+      return res.json({ provider, taskLists: [], tasks: [] });
+    }
+    const [taskLists, tasks] = await Promise.all([
+      getTaskLists(req.user.id),
+      getTasks({ userId: req.user.id }),
+    ]);
+    res.json({ provider, taskLists, tasks });
+  } catch (error) {
+    logger.error('[/tasks] Error getting tasks:', error);
+    res.status(500).json({ error: 'Failed to get tasks' });
+  }
+});
+
+/**
+ * POST /
+ * Creates a task. Without `taskListId` the task goes to the user's Inbox list.
+ * Body: { title: string, content?: string, completed?: boolean, dueDate?: string | null,
+ *   duration?: number | null, repeat?: string | null, priority?: 0 | 1 | 3 | 5, tags?: string[],
+ *   items?: { title: string, completed: boolean }[], parentId?: string | null, position?: number,
+ *   taskListId?: string }
+ * Returns 201 and the created task.
+ */
+router.post('/', requireLocalTasks, async (req, res) => {
+  const { fields, error } = parseTaskFields(req.body, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    let taskListId = fields.taskList;
+    if (!taskListId) {
+      const inbox = await createTaskList({ userId: req.user.id, name: DEFAULT_TASK_LIST });
+      taskListId = inbox._id;
+    } else if (!(await ownsTaskList(req.user.id, taskListId))) {
+      return res.status(404).json({ error: 'Task list not found.' });
+    }
+    const parentError = await checkParent(req.user.id, fields.parent);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+
+    const { taskList: _taskList, ...rest } = fields;
+    const task = await createTask({ userId: req.user.id, taskListId, ...rest });
+    await invalidateTaskContext(req.user);
+    res.status(201).json(task);
+  } catch (error) {
+    logger.error('[/tasks] Error creating task:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+/**
+ * POST /lists
+ * Creates a task list, or returns the existing list with the same name.
+ * Body: { name: string }
+ * Returns 201 and the task list.
+ */
+router.post('/lists', requireLocalTasks, async (req, res) => {
+  const { name } = req.body;
+  if (typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Name is required and must be a non-empty string.' });
+  }
+
+  try {
+    const lists = await getTaskLists(req.user.id);
+    const taskList = await createTaskList({
+      userId: req.user.id,
+      name: name.trim(),
+      position: lists.length,
+    });
+    await invalidateTaskContext(req.user);
+    res.status(201).json(taskList);
+  } catch (error) {
+    logger.error('[/tasks/lists] Error creating task list:', error);
+    res.status(500).json({ error: 'Failed to create task list' });
+  }
+});
+
+/**
+ * PATCH /lists/:taskListId
+ * Renames or reorders a task list.
+ * Body: { name?: string, position?: number }
+ * Returns 200 and the updated task list.
+ */
+router.patch('/lists/:taskListId', requireLocalTasks, async (req, res) => {
+  const { taskListId } = req.params;
+  const { name, position } = req.body;
+  const updates = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'Name must be a non-empty string.' });
+    }
+    updates.name = name.trim();
+  }
+  if (position !== undefined) {
+    if (typeof position !== 'number' || !Number.isFinite(position)) {
+      return res.status(400).json({ error: 'Position must be a number.' });
+    }
+    updates.position = position;
+  }
+  if (!mongoose.Types.ObjectId.isValid(taskListId)) {
+    return res.status(404).json({ error: 'Task list not found.' });
+  }
+
+  try {
+    const taskList = await updateTaskList({ userId: req.user.id, taskListId, updates });
+    if (!taskList) {
+      return res.status(404).json({ error: 'Task list not found.' });
+    }
+    await invalidateTaskContext(req.user);
+    res.json(taskList);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A task list with this name already exists.' });
+    }
+    logger.error('[/tasks/lists] Error updating task list:', error);
+    res.status(500).json({ error: 'Failed to update task list' });
+  }
+});
+
+/**
+ * DELETE /lists/:taskListId
+ * Deletes a task list and its tasks.
+ * Returns 200 and { deleted: true } when successful.
+ */
+router.delete('/lists/:taskListId', requireLocalTasks, async (req, res) => {
+  const { taskListId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(taskListId)) {
+    return res.status(404).json({ error: 'Task list not found.' });
+  }
+
+  try {
+    const { ok } = await deleteTaskList({ userId: req.user.id, taskListId });
+    if (!ok) {
+      return res.status(404).json({ error: 'Task list not found.' });
+    }
+    await invalidateTaskContext(req.user);
+    res.json({ deleted: true });
+  } catch (error) {
+    logger.error('[/tasks/lists] Error deleting task list:', error);
+    res.status(500).json({ error: 'Failed to delete task list' });
+  }
+});
+
+/**
+ * POST /changes/:conversationId/:messageId
+ * Reviews the task changes proposed on an assistant message.
+ * Body: { accept: string[] } - ids of the changes to write; an empty list rejects them all.
+ * Returns the reviewed `task_changes` artifact.
+ */
+router.post('/changes/:conversationId/:messageId', validateMessageReq, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const { accept } = req.body;
+
+  if (!Array.isArray(accept) || accept.some((id) => typeof id !== 'string')) {
+    return res.status(400).json({ error: '`accept` must be an array of change ids' });
+  }
+
+  try {
+    const result = await reviewMessageArtifact(req, {
+      messageId,
+      type: Tools.task_changes,
+      review: async (artifact) => {
+        const accepted = new Set(accept);
+        const reviewed = {
+          ...artifact,
+          changes: artifact.changes.map((change) => ({
+            ...change,
+            accepted: accepted.has(change.id),
+          })),
+          reviewedAt: new Date().toISOString(),
+        };
+
+        if (accepted.size === 0) {
+          reviewed.status = 'rejected';
+          return reviewed;
+        }
+        try {
+          const { ok, changeSet } = await applyTaskChanges(artifact.changes, accept, req.user, {
+            conversationId,
+            messageId,
+          });
+          reviewed.status = ok ? 'applied' : 'error';
+          if (changeSet) {
+            reviewed.changeSetId = changeSet._id.toString();
+          }
+          if (!ok) {
+            reviewed.error = 'Some changes could not be written to the task list';
+          }
+        } catch (error) {
+          logger.error('[/tasks/changes] Error applying task changes:', error);
+          reviewed.status = 'error';
+          reviewed.error = 'The task changes could not be applied';
+        }
+        return reviewed;
+      },
+    });
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'No proposed task changes found for this message' });
+    }
+    if (result.status === 'already_reviewed') {
+      return res.status(409).json({ error: 'These task changes have already been reviewed' });
+    }
+    res.json({ messageId, conversationId, taskChanges: result.artifact });
+  } catch (error) {
+    logger.error('[/tasks/changes] Error reviewing task changes:', error);
+    res.status(500).json({ error: 'Failed to review task changes' });
+  }
+});
+
+/**
+ * POST /changes/:conversationId/:messageId/undo
+ * Reverts the task changes applied from an assistant message, putting the affected tasks back
+ * the way they were.
+ * Returns the `task_changes` artifact, marked as undone.
+ */
+router.post('/changes/:conversationId/:messageId/undo', validateMessageReq, async (req, res) => {
+  const { conversationId, messageId } = req.params;
+
+  try {
+    const { artifact } = await findMessageArtifact(req.user.id, messageId, Tools.task_changes);
+    const changeSet = artifact?.changeSetId
+      ? await getTaskChangeSet(req.user.id, artifact.changeSetId)
+      : null;
+    if (!changeSet) {
+      return res.status(404).json({ error: 'No applied task changes found for this message' });
+    }
+    if (changeSet.revertedAt) {
+      return res.status(409).json({ error: 'These task changes have already been undone' });
+    }
+
+    const undone = await undoChangeSet(req, changeSet);
+    if (!undone) {
+      return res.status(409).json({ error: 'These task changes have already been undone' });
+    }
+    const { taskChanges } = undone;
+    res.json({ messageId, conversationId, taskChanges });
+  } catch (error) {
+    logger.error('[/tasks/changes] Error undoing task changes:', error);
+    res.status(500).json({ error: 'Failed to undo task changes' });
+  }
+});
+
+/**
+ * GET /history
+ * Lists the change sets written to the user's task provider, newest first.
+ * Query: { limit?: number } - 1 to 100, default 50.
+ * Returns 200 and { changeSets }.
+ */
+router.get('/history', async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'Limit must be an integer from 1 to 100.' });
+  }
+
+  try {
+    res.json({ changeSets: await getTaskChangeSets({ userId: req.user.id, limit }) });
+  } catch (error) {
+    logger.error('[/tasks/history] Error getting task history:', error);
+    res.status(500).json({ error: 'Failed to get task history' });
+  }
+});
+
+/**
+ * POST /history/:changeSetId/restore
+ * Restores the tasks of a change set to how they were before it.
+ * Returns 200 and { ok, changeSet } with the change set of the restore, or null when the tasks
+ * were already back.
+ */
+router.post('/history/:changeSetId/restore', async (req, res) => {
+  const { changeSetId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(changeSetId)) {
+    return res.status(404).json({ error: 'Change set not found.' });
+  }
+
+  try {
+    const changeSet = await getTaskChangeSet(req.user.id, changeSetId);
+    if (!changeSet) {
+      return res.status(404).json({ error: 'Change set not found.' });
+    }
+    if (changeSet.revertedAt) {
+      return res.status(409).json({ error: 'This change set has already been restored' });
+    }
+
+    const restored = await undoChangeSet(req, changeSet);
+    if (!restored) {
+      return res.status(409).json({ error: 'This change set has already been restored' });
+    }
+    const { ok, changeSet: restore } = restored;
+    res.json({ ok, changeSet: restore });
+  } catch (error) {
+    logger.error('[/tasks/history] Error restoring task changes:', error);
+    res.status(500).json({ error: 'Failed to restore task changes' });
+  }
+});
+
+/**
+ * POST /schedule
+ * Places open tasks that have a duration but no date into free time from the user's Google
+ * Calendar, optionally creating a focus block event for each.
+ * Body: { days?: number, focusBlocks?: boolean }
+ * Returns 200 and { scheduled, unscheduled }.
+ */
+router.post('/schedule', async (req, res) => {
+  const { days, focusBlocks } = req.body;
+  if (days !== undefined && (!Number.isInteger(days) || days <= 0)) {
+    return res.status(400).json({ error: 'Days must be a positive integer.' });
+  }
+  if (focusBlocks !== undefined && typeof focusBlocks !== 'boolean') {
+    return res.status(400).json({ error: 'focusBlocks must be a boolean.' });
+  }
+
+  try {
+    res.json(await scheduleTasks(req.user, { days, focusBlocks }));
+  } catch (error) {
+    logger.error('[/tasks/schedule] Error scheduling tasks:', error);
+    res.status(500).json({ error: 'Failed to schedule tasks' });
+  }
+});
+
+/**
+ * PATCH /provider
+ * Selects the task backend for the authenticated user.
+ * Body: { provider: 'ticktick' | 'caldav' | 'local' }
+ * Returns 200 and { updated: true, provider } when successful.
+ */
+router.patch('/provider', async (req, res) => {
+  const { provider } = req.body;
+
+  if (typeof provider !== 'string' || !isTaskProvider(provider)) {
+    return res.status(400).json({ error: 'Unknown task provider' });
+  }
+
+  try {
+    const updatedUser = await updateUser(req.user.id, {
+      'personalization.taskProvider': provider,
+    });
+
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    await invalidateTaskContext(req.user);
+    res.json({ updated: true, provider: updatedUser.personalization?.taskProvider });
+  } catch (error) {
+    logger.error('[/tasks/provider] Error updating task provider:', error);
+    res.status(500).json({ error: 'Failed to update task provider' });
+  }
+});
+
+/**
+ * PATCH /:taskId
+ * Updates a task: inline completion, rescheduling (`dueDate`), moving (`taskListId`) or editing.
+ * Body: any of the fields accepted by POST /
+ * Returns 200 and the updated task.
+ */
+router.patch('/:taskId', requireLocalTasks, async (req, res) => {
+  const { taskId } = req.params;
+  const { fields, error } = parseTaskFields(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    return res.status(404).json({ error: 'Task not found.' });
+  }
+
+  try {
+    if (fields.taskList && !(await ownsTaskList(req.user.id, fields.taskList))) {
+      return res.status(404).json({ error: 'Task list not found.' });
+    }
+    const parentError = await checkParent(req.user.id, fields.parent, taskId);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+    const task = await updateTask({ userId: req.user.id, taskId, updates: fields });
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found.' });
+    }
+    await invalidateTaskContext(req.user);
+    if (FOCUS_BLOCK_FIELDS.some((field) => field in fields)) {
+      syncTaskFocusBlock(req.user, taskId, task);
+    }
+    res.json(task);
+  } catch (error) {
+    logger.error('[/tasks] Error updating task:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+/**
+ * DELETE /:taskId
+ * Returns 200 and { deleted: true } when successful.
+ */
+router.delete('/:taskId', requireLocalTasks, async (req, res) => {
+  const { taskId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    return res.status(404).json({ error: 'Task not found.' });
+  }
+
+  try {
+    const { ok } = await deleteTask({ userId: req.user.id, taskId });
+    if (!ok) {
+      return res.status(404).json({ error: 'Task not found.' });
+    }
+    await invalidateTaskContext(req.user);
+    syncTaskFocusBlock(req.user, taskId, null);
+    res.json({ deleted: true });
+  } catch (error) {
+    logger.error('[/tasks] Error deleting task:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+module.exports = router;
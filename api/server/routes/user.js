@@ -4,6 +4,7 @@ const {
   resendVerificationController,
   getTermsStatusController,
   acceptTermsController,
+  updateUserPreferencesController,
   verifyEmailController,
   deleteUserController,
   getUserController,
@@ -20,6 +21,7 @@ const router = express.Router();
 router.get('/', requireJwtAuth, getUserController);
 router.get('/terms', requireJwtAuth, getTermsStatusController);
 router.post('/terms/accept', requireJwtAuth, acceptTermsController);
+router.patch('/preferences', requireJwtAuth, updateUserPreferencesController);
 router.post('/plugins', requireJwtAuth, updateUserPluginsController);
 router.delete('/delete', requireJwtAuth, canDeleteAccount, configMiddleware, deleteUserController);
 router.post('/verify', verifyEmailController);
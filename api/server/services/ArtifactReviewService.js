@@ -0,0 +1,96 @@
+const { getMessage, updateMessage, claimMessageAttachment } = require('~/models');
+
+/**
+ * Finds an artifact a tool attached to one of the user's messages.
+ * @param {TMessage | null} message
+ * @param {string} type - Attachment type; the artifact is stored under this key.
+ * @param {string} [toolCallId] - Tool call that attached the artifact; the first artifact of the
+ *   type when omitted.
+ * @returns {{ attachments: Object[], index: number, artifact: Object | null }}
+ */
+function locateArtifact(message, type, toolCallId) {
+  const attachments = message?.attachments ?? [];
+  const index = attachments.findIndex(
+    (a) => a?.type === type && (toolCallId == null || a.toolCallId === toolCallId),
+  );
+  return {
+    attachments,
+    index,
+    artifact: index === -1 ? null : attachments[index][type],
+  };
+}
+
+/**
+ * @param {string} userId
+ * @param {string} messageId
+ * @param {string} type
+ * @param {string} [toolCallId]
+ * @returns {Promise<{ attachments: Object[], index: number, artifact: Object | null }>}
+ */
+async function findMessageArtifact(userId, messageId, type, toolCallId) {
+  const message = await getMessage({ user: userId, messageId });
+  return locateArtifact(message, type, toolCallId);
+}
+
+/**
+ * Writes an artifact back into its message.
+ * @param {ServerRequest} req
+ * @param {string} messageId
+ * @param {{ attachments: Object[], index: number }} found - From `findMessageArtifact`.
+ * @param {string} type
+ * @param {Object} artifact
+ */
+async function saveMessageArtifact(req, messageId, { attachments, index }, type, artifact) {
+  const updatedAttachments = [...attachments];
+  updatedAttachments[index] = { ...attachments[index], [type]: artifact };
+  await updateMessage(
+    req,
+    { messageId, attachments: updatedAttachments },
+    { context: `${req.method} ${req.baseUrl}${req.path}` },
+  );
+}
+
+/**
+ * Reviews an artifact a tool proposed on one of the user's messages, such as task changes, a
+ * Gmail action or a profile update.
+ * The artifact is claimed first, moving it from `pending` to `applying` in one conditional update,
+ * so a double click or a second tab cannot apply it twice. `review` receives the artifact as
+ * proposed and returns it reviewed, which replaces it in the message. When `review` throws, the
+ * artifact is released back to `pending`.
+ * @template T
+ * @param {ServerRequest} req
+ * @param {Object} params
+ * @param {string} params.messageId
+ * @param {string} params.type
+ * @param {string} [params.toolCallId]
+ * @param {(artifact: T) => Promise<T>} params.review
+ * @returns {Promise<{ status: 'reviewed', artifact: T } | { status: 'not_found' | 'already_reviewed' }>}
+ */
+async function reviewMessageArtifact(req, { messageId, type, toolCallId, review }) {
+  const user = req.user.id;
+  const claim = (from, to) =>
+    claimMessageAttachment({ user, messageId, type, toolCallId, from, to });
+
+  const claimed = await claim('pending', 'applying');
+  if (!claimed) {
+    const { artifact } = await findMessageArtifact(user, messageId, type, toolCallId);
+    return { status: artifact ? 'already_reviewed' : 'not_found' };
+  }
+
+  const found = locateArtifact(claimed, type, toolCallId);
+  let reviewed;
+  try {
+    reviewed = await review({ ...found.artifact, status: 'pending' });
+  } catch (error) {
+    await claim('applying', 'pending');
+    throw error;
+  }
+  await saveMessageArtifact(req, messageId, found, type, reviewed);
+  return { status: 'reviewed', artifact: reviewed };
+}
+
+module.exports = {
+  findMessageArtifact,
+  saveMessageArtifact,
+  reviewMessageArtifact,
+};
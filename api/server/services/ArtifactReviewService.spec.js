@@ -0,0 +1,78 @@
+jest.mock('~/models', () => ({
+  getMessage: jest.fn(),
+  updateMessage: jest.fn(),
+  claimMessageAttachment: jest.fn(),
+}));
+
+const models = require('~/models');
+const { reviewMessageArtifact } = require('./ArtifactReviewService');
+
+describe('reviewMessageArtifact', () => {
+  const req = { user: { id: 'user-1' }, method: 'POST', baseUrl: '/api/email', path: '/actions' };
+  const messageWith = (status) => ({
+    messageId: 'msg-1',
+    attachments: [
+      { type: 'email_action', toolCallId: 'call-0', email_action: { status: 'applied' } },
+      { type: 'email_action', toolCallId: 'call-1', email_action: { status, subject: 'Hi' } },
+    ],
+  });
+  const params = (review) => ({
+    messageId: 'msg-1',
+    type: 'email_action',
+    toolCallId: 'call-1',
+    review,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('reviews the claimed artifact as proposed and saves it into its message', async () => {
+    models.claimMessageAttachment.mockResolvedValue(messageWith('applying'));
+    const review = jest.fn(async (artifact) => ({ ...artifact, status: 'applied' }));
+
+    const result = await reviewMessageArtifact(req, params(review));
+
+    expect(models.claimMessageAttachment).toHaveBeenCalledWith({
+      user: 'user-1',
+      messageId: 'msg-1',
+      type: 'email_action',
+      toolCallId: 'call-1',
+      from: 'pending',
+      to: 'applying',
+    });
+    expect(review).toHaveBeenCalledWith({ status: 'pending', subject: 'Hi' });
+    expect(result).toEqual({ status: 'reviewed', artifact: { status: 'applied', subject: 'Hi' } });
+    const [, update, { context }] = models.updateMessage.mock.calls[0];
+    expect(update.attachments[0].email_action.status).toBe('applied');
+    expect(update.attachments[1].email_action).toEqual({ status: 'applied', subject: 'Hi' });
+    expect(context).toBe('POST /api/email/actions');
+  });
+
+  it('tells a reviewed artifact from a missing one when it cannot be claimed', async () => {
+    const review = jest.fn();
+    models.claimMessageAttachment.mockResolvedValue(null);
+
+    models.getMessage.mockResolvedValue(messageWith('applying'));
+    expect(await reviewMessageArtifact(req, params(review))).toEqual({
+      status: 'already_reviewed',
+    });
+
+    models.getMessage.mockResolvedValue(null);
+    expect(await reviewMessageArtifact(req, params(review))).toEqual({ status: 'not_found' });
+    expect(review).not.toHaveBeenCalled();
+  });
+
+  it('releases the artifact when the review fails', async () => {
+    models.claimMessageAttachment.mockResolvedValueOnce(messageWith('applying'));
+    const review = jest.fn(async () => {
+      throw new Error('Gmail is down');
+    });
+
+    await expect(reviewMessageArtifact(req, params(review))).rejects.toThrow('Gmail is down');
+    expect(models.claimMessageAttachment).toHaveBeenLastCalledWith(
+      expect.objectContaining({ from: 'applying', to: 'pending' }),
+    );
+    expect(models.updateMessage).not.toHaveBeenCalled();
+  });
+});
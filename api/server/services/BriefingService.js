@@ -0,0 +1,372 @@
+const { v4 } = require('uuid');
+const { DateTime } = require('luxon');
+const { logger } = require('@librechat/data-schemas');
+const { checkEmailConfig } = require('@librechat/api');
+const {
+  Time,
+  Constants,
+  isTimeOfDay,
+  getUserDateSettings,
+  defaultStructuredOutput,
+} = require('librechat-data-provider');
+const { findUsers, updateUser, saveMessage, saveConvo, getEmailSummaries } = require('~/models');
+const { createConversationTag, bulkIncrementTagCounts } = require('~/models/ConversationTag');
+const { getConvosByCursor } = require('~/models/Conversation');
+const { formatTaskDate } = require('~/customUtils/taskModels');
+const listCalendar = require('~/customUtils/calendarFetch');
+const { getTaskProvider } = require('~/customUtils/taskProviders');
+const { createLeaderInterval } = require('~/server/utils/leaderInterval');
+const sendEmail = require('~/server/utils/sendEmail');
+
+/** Minutes between checks for due briefings; `0` turns the scheduler off. */
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+/** A briefing is still generated this long after its time, e.g. after a restart; later it is skipped. */
+const LATE_WINDOW = 2 * Time.ONE_HOUR;
+
+/** Important emails received this long before the morning briefing are included. */
+const EMAIL_WINDOW = Time.ONE_DAY;
+const MAX_EMAILS = 10;
+
+/** Conversation tag of each kind of briefing, created for the user on first use. */
+const BRIEFING_TAGS = {
+  morning: 'Morning briefing',
+  evening: 'Evening review',
+};
+
+const BRIEFING_KINDS = Object.keys(BRIEFING_TAGS);
+
+/**
+ * @typedef {Object} BriefingSection
+ * @property {string} title
+ * @property {string[]} items
+ * @property {string} empty - Shown when the section has no items.
+ * @property {string} [error] - Shown instead when its source could not be loaded.
+ */
+
+/**
+ * @typedef {Object} Briefing
+ * @property {'morning' | 'evening'} kind
+ * @property {string} title
+ * @property {BriefingSection[]} sections
+ * @property {string} closing - Invites the user to reply.
+ */
+
+/**
+ * Lists the briefings due for a user: those whose local time has passed today, within
+ * `LATE_WINDOW`, and that were not generated yet today.
+ * @param {IUser} user
+ * @param {DateTime} [now]
+ * @returns {Array<'morning' | 'evening'>}
+ */
+function getDueBriefings(user, now = DateTime.now()) {
+  const { timezone } = getUserDateSettings(user);
+  const briefing = user.personalization?.briefing ?? {};
+  const local = now.setZone(timezone);
+  const today = local.toISODate();
+
+  return BRIEFING_KINDS.filter((kind) => {
+    const time = briefing[kind];
+    if (!isTimeOfDay(time) || briefing.lastSent?.[kind] === today) {
+      return false;
+    }
+    const [hour, minute] = time.split(':').map(Number);
+    const scheduled = local.set({ hour, minute, second: 0, millisecond: 0 });
+    const elapsed = local.toMillis() - scheduled.toMillis();
+    return elapsed >= 0 && elapsed < LATE_WINDOW;
+  });
+}
+
+/**
+ * Loads the items of a briefing section. A source that fails is reported in its section
+ * instead of stopping the briefing.
+ * @param {string} title
+ * @param {string} empty
+ * @param {() => Promise<string[]>} load
+ * @returns {Promise<BriefingSection>}
+ */
+async function loadSection(title, empty, load) {
+  try {
+    return { title, empty, items: await load() };
+  } catch (error) {
+    logger.warn(`[BriefingService] Could not load "${title}"`, error);
+    return { title, empty, items: [], error: `Could not load: ${error.message}` };
+  }
+}
+
+/**
+ * @param {IUser} user
+ * @returns {Promise<string[]>} Today's calendar events.
+ */
+async function loadEvents(user) {
+  const result = JSON.parse(await listCalendar(user, { days: 1, quarantine: false }));
+  if (!Array.isArray(result)) {
+    throw new Error(String(result).replace(/^Error: /, ''));
+  }
+  return result;
+}
+
+/**
+ * Lists the user's open tasks due before `before`, oldest first.
+ * @param {IUser} user
+ * @param {DateTime} before
+ * @returns {Promise<string[]>}
+ */
+async function loadOpenTasks(user, before) {
+  const { dateFormat } = getUserDateSettings(user);
+  const provider = await getTaskProvider(user);
+  const tasks = [];
+  for (const project of await provider.fetchAllTasks()) {
+    for (const task of project.tasks) {
+      const due = provider.getDueDateTime(task);
+      if (!task.completed && due && due < before) {
+        tasks.push({ due, label: `${task.name} (${project.name})` });
+      }
+    }
+  }
+  return tasks
+    .sort((a, b) => a.due.toMillis() - b.due.toMillis())
+    .map(({ due, label }) => `${label}, due ${formatTaskDate(due, dateFormat)}`);
+}
+
+/**
+ * @param {IUser} user
+ * @param {DateTime} now
+ * @returns {Promise<string[]>} Summaries of the important emails received in the past day.
+ */
+async function loadImportantEmails(user, now) {
+  const emails = await getEmailSummaries({
+    userId: user._id.toString(),
+    since: new Date(now.toMillis() - EMAIL_WINDOW),
+    important: true,
+    limit: MAX_EMAILS,
+  });
+  return emails.map(({ from, subject, summary }) => `${from}: ${subject} — ${summary}`);
+}
+
+/**
+ * Gathers the content of a briefing:
+ * - morning: today's events, overdue tasks and important new emails;
+ * - evening: the tasks still open today, with a question about which ones got done.
+ * @param {IUser} user
+ * @param {'morning' | 'evening'} kind
+ * @param {DateTime} [now]
+ * @returns {Promise<Briefing>}
+ */
+async function buildBriefing(user, kind, now = DateTime.now()) {
+  const { timezone, dateFormat } = getUserDateSettings(user);
+  const local = now.setZone(timezone);
+  const title = `${BRIEFING_TAGS[kind]} — ${local.toFormat(`cccc ${dateFormat}`)}`;
+
+  if (kind === 'evening') {
+    const open = await loadSection('Still open today', 'Nothing left open today.', () =>
+      loadOpenTasks(user, local.endOf('day')),
+    );
+    return {
+      kind,
+      title,
+      sections: [open],
+      closing: open.items.length
+        ? 'Which of these did you get done today? Reply with the tasks you finished, and anything you want to move to tomorrow.'
+        : 'How did today go? Reply with anything you want to plan for tomorrow.',
+    };
+  }
+
+  return {
+    kind,
+    title,
+    sections: [
+      await loadSection("Today's events", 'No events today.', () => loadEvents(user)),
+      await loadSection('Overdue tasks', 'No overdue tasks.', () =>
+        loadOpenTasks(user, local.startOf('day')),
+      ),
+      await loadSection('Important new emails', 'No important new emails.', () =>
+        loadImportantEmails(user, now),
+      ),
+    ],
+    closing: 'Reply to plan your day.',
+  };
+}
+
+/**
+ * @param {Briefing} briefing
+ * @returns {string} The briefing as the markdown of an assistant message.
+ */
+function formatBriefing({ title, sections, closing }) {
+  const body = sections.map(({ title: heading, items, empty, error }) => {
+    const lines = items.length ? items.map((item) => `- ${item}`) : [`_${error ?? empty}_`];
+    return `### ${heading}\n\n${lines.join('\n')}`;
+  });
+  return [`## ${title}`, ...body, closing].join('\n\n');
+}
+
+/**
+ * Endpoint and model of the user's latest conversation, so that replying to a briefing works
+ * like their other chats; users without conversations get the structured-output default.
+ * @param {string} userId
+ * @returns {Promise<Partial<TConversation>>}
+ */
+async function getConversationSettings(userId) {
+  const { conversations } = await getConvosByCursor(userId, { limit: 1 });
+  const latest = conversations?.[0];
+  if (!latest?.endpoint) {
+    return { endpoint: defaultStructuredOutput.endpoint, model: defaultStructuredOutput.model };
+  }
+  const { endpoint, model, agent_id, assistant_id, spec, iconURL } = latest;
+  return Object.fromEntries(
+    Object.entries({ endpoint, model, agent_id, assistant_id, spec, iconURL }).filter(
+      ([, value]) => value != null,
+    ),
+  );
+}
+
+/**
+ * Saves a briefing as a new conversation with a single assistant message, tagged with its kind.
+ * @param {IUser} user
+ * @param {Briefing} briefing
+ * @returns {Promise<string>} The conversation id.
+ */
+async function saveBriefingConversation(user, briefing) {
+  const userId = user._id.toString();
+  const req = { user: { id: userId } };
+  const conversationId = v4();
+  const tag = BRIEFING_TAGS[briefing.kind];
+  const settings = await getConversationSettings(userId);
+
+  await saveMessage(
+    req,
+    {
+      messageId: v4(),
+      conversationId,
+      parentMessageId: Constants.NO_PARENT,
+      sender: 'Planner',
+      text: formatBriefing(briefing),
+      isCreatedByUser: false,
+      endpoint: settings.endpoint,
+      model: settings.model,
+    },
+    { context: 'BriefingService - saveBriefingConversation' },
+  );
+
+  await createConversationTag(userId, { tag, description: `Daily ${tag.toLowerCase()}s` });
+  await saveConvo(
+    req,
+    { conversationId, ...settings, title: briefing.title, tags: [tag] },
+    { context: 'BriefingService - saveBriefingConversation' },
+  );
+  await bulkIncrementTagCounts(userId, [tag]);
+  return conversationId;
+}
+
+/**
+ * Sends a briefing to the user's email address with a link to its conversation.
+ * @param {IUser} user
+ * @param {Briefing} briefing
+ * @param {string} conversationId
+ */
+async function emailBriefing(user, briefing, conversationId) {
+  await sendEmail({
+    email: user.email,
+    subject: briefing.title,
+    payload: {
+      appName: process.env.APP_TITLE || 'LibreChat',
+      name: user.name || user.username || user.email,
+      title: briefing.title,
+      sections: briefing.sections.map((section) => ({
+        ...section,
+        note: section.error ?? section.empty,
+      })),
+      closing: briefing.closing,
+      link: `${process.env.DOMAIN_CLIENT}/c/${conversationId}`,
+      year: new Date().getFullYear(),
+    },
+    template: 'briefing.handlebars',
+    throwError: false,
+  });
+}
+
+/**
+ * Generates a briefing, saves it as a conversation, emails it when the user asked for it and
+ * email is configured, and records it as sent today.
+ * @param {IUser} user
+ * @param {'morning' | 'evening'} kind
+ * @param {DateTime} [now]
+ * @returns {Promise<string>} The conversation id.
+ */
+async function generateBriefing(user, kind, now = DateTime.now()) {
+  const briefing = await buildBriefing(user, kind, now);
+  const conversationId = await saveBriefingConversation(user, briefing);
+
+  if (user.personalization?.briefing?.email && user.email && checkEmailConfig()) {
+    await emailBriefing(user, briefing, conversationId);
+  }
+
+  const { timezone } = getUserDateSettings(user);
+  await updateUser(user._id.toString(), {
+    [`personalization.briefing.lastSent.${kind}`]: now.setZone(timezone).toISODate(),
+  });
+  return conversationId;
+}
+
+/**
+ * Generates the briefings that are due for every user who has turned them on.
+ * A failing briefing is logged and retried on the next run, within its `LATE_WINDOW`.
+ * @returns {Promise<{ generated: number, failed: number }>}
+ */
+async function generateDueBriefings() {
+  let generated = 0;
+  let failed = 0;
+  try {
+    const now = DateTime.now();
+    const users = await findUsers(
+      {
+        $or: BRIEFING_KINDS.map((kind) => ({
+          [`personalization.briefing.${kind}`]: { $nin: [null, ''] },
+        })),
+      },
+      'name username email personalization',
+    );
+    for (const user of users) {
+      for (const kind of getDueBriefings(user, now)) {
+        try {
+          await generateBriefing(user, kind, now);
+          generated++;
+        } catch (error) {
+          failed++;
+          logger.warn(
+            `[runBriefings] Could not generate the ${kind} briefing of ${user._id}`,
+            error,
+          );
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('[runBriefings] Briefing run failed', error);
+  }
+  return { generated, failed };
+}
+
+/**
+ * The briefing scheduler, checking every `BRIEFING_INTERVAL` minutes for due briefings.
+ * `runBriefings` resolves to `null` when the run was skipped.
+ */
+const {
+  run: runBriefings,
+  start: startBriefings,
+  stop: stopBriefings,
+} = createLeaderInterval({
+  name: 'Briefing scheduler',
+  getMinutes: () => Number(process.env.BRIEFING_INTERVAL ?? DEFAULT_INTERVAL_MINUTES),
+  task: generateDueBriefings,
+});
+
+module.exports = {
+  BRIEFING_TAGS,
+  getDueBriefings,
+  buildBriefing,
+  formatBriefing,
+  generateBriefing,
+  runBriefings,
+  startBriefings,
+  stopBriefings,
+};
@@ -0,0 +1,215 @@
+const { DateTime } = require('luxon');
+const { Task, Project } = require('~/customUtils/taskModels');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  isLeader: jest.fn(),
+  checkEmailConfig: jest.fn(),
+}));
+
+jest.mock('~/models', () => ({
+  findUsers: jest.fn(),
+  updateUser: jest.fn(),
+  saveMessage: jest.fn(),
+  saveConvo: jest.fn(),
+  getEmailSummaries: jest.fn(),
+}));
+
+jest.mock('~/models/ConversationTag', () => ({
+  createConversationTag: jest.fn(),
+  bulkIncrementTagCounts: jest.fn(),
+}));
+
+jest.mock('~/models/Conversation', () => ({ getConvosByCursor: jest.fn() }));
+jest.mock('~/customUtils/calendarFetch', () => jest.fn());
+jest.mock('~/customUtils/taskProviders', () => ({ getTaskProvider: jest.fn() }));
+jest.mock('~/server/utils/sendEmail', () => jest.fn());
+
+const { isLeader, checkEmailConfig } = require('@librechat/api');
+const models = require('~/models');
+const sendEmail = require('~/server/utils/sendEmail');
+const listCalendar = require('~/customUtils/calendarFetch');
+const { getConvosByCursor } = require('~/models/Conversation');
+const { getTaskProvider } = require('~/customUtils/taskProviders');
+const TaskProvider = require('~/customUtils/taskProviders/TaskProvider');
+const { createConversationTag, bulkIncrementTagCounts } = require('~/models/ConversationTag');
+const {
+  getDueBriefings,
+  buildBriefing,
+  formatBriefing,
+  generateBriefing,
+  runBriefings,
+  stopBriefings,
+} = require('./BriefingService');
+
+const TIMEZONE = 'America/New_York';
+/** Monday 2026-10-19, 08:10 in New York */
+const now = DateTime.fromISO('2026-10-19T12:10:00Z');
+
+const makeUser = (briefing = {}) => ({
+  _id: { toString: () => 'user-1' },
+  name: 'Jane',
+  email: 'jane@example.com',
+  personalization: { timezone: TIMEZONE, briefing: { morning: '08:00', ...briefing } },
+});
+
+describe('BriefingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isLeader.mockResolvedValue(true);
+    checkEmailConfig.mockReturnValue(true);
+    getConvosByCursor.mockResolvedValue({
+      conversations: [{ endpoint: 'openAI', model: 'gpt-4o', title: 'Plan my day' }],
+    });
+    listCalendar.mockResolvedValue(JSON.stringify(['[Work] Standup on Mon 10/19/2026 (09:00 AM)']));
+    models.getEmailSummaries.mockResolvedValue([
+      { from: 'John', subject: 'Contract', summary: 'sign by Fri' },
+    ]);
+
+    const provider = new TaskProvider({ timezone: TIMEZONE });
+    provider.fetchAllTasks = jest.fn(async () => [
+      new Project('💰 Work', [
+        new Task('Submit PR', false, 2026, 10, 18, 17, 0),
+        new Task('Send invoice', false, 2026, 10, 16, 9, 0),
+        new Task('Review budget', false, 2026, 10, 19, 15, 0),
+        new Task('Old report', true, 2026, 10, 15, 9, 0),
+        new Task('Someday', false, 0, 0, 0, 0, 0),
+      ]),
+    ]);
+    getTaskProvider.mockResolvedValue(provider);
+  });
+
+  afterEach(() => {
+    stopBriefings();
+  });
+
+  it('lists the briefings whose local time has passed today and that were not sent yet', () => {
+    expect(getDueBriefings(makeUser({ evening: '18:00' }), now)).toEqual(['morning']);
+    expect(getDueBriefings(makeUser({ lastSent: { morning: '2026-10-19' } }), now)).toEqual([]);
+    expect(getDueBriefings(makeUser({ morning: '08:15' }), now)).toEqual([]);
+    expect(getDueBriefings(makeUser({ morning: '05:00' }), now)).toEqual([]);
+    expect(getDueBriefings(makeUser({ morning: null }), now)).toEqual([]);
+  });
+
+  it('builds the morning briefing from events, overdue tasks and important emails', async () => {
+    const briefing = await buildBriefing(makeUser(), 'morning', now);
+
+    expect(briefing.title).toBe('Morning briefing — Monday 10/19/2026');
+    expect(briefing.sections.map(({ items }) => items)).toEqual([
+      ['[Work] Standup on Mon 10/19/2026 (09:00 AM)'],
+      ['Send invoice (💰 Work), due 10/16/2026 09:00', 'Submit PR (💰 Work), due 10/18/2026 17:00'],
+      ['John: Contract — sign by Fri'],
+    ]);
+    expect(listCalendar).toHaveBeenCalledWith(expect.anything(), { days: 1, quarantine: false });
+    expect(models.getEmailSummaries).toHaveBeenCalledWith({
+      userId: 'user-1',
+      since: new Date('2026-10-18T12:10:00Z'),
+      important: true,
+      limit: 10,
+    });
+  });
+
+  it('reports a source that fails in its section', async () => {
+    listCalendar.mockResolvedValue(JSON.stringify('Error: invalid_grant'));
+    models.getEmailSummaries.mockResolvedValue([]);
+
+    const text = formatBriefing(await buildBriefing(makeUser(), 'morning', now));
+
+    expect(text).toContain("### Today's events\n\n_Could not load: invalid_grant_");
+    expect(text).toContain('### Important new emails\n\n_No important new emails._');
+  });
+
+  it('asks which of the tasks still open today got done in the evening review', async () => {
+    const briefing = await buildBriefing(makeUser(), 'evening', now);
+
+    expect(briefing.sections[0].items).toEqual([
+      'Send invoice (💰 Work), due 10/16/2026 09:00',
+      'Submit PR (💰 Work), due 10/18/2026 17:00',
+      'Review budget (💰 Work), due 10/19/2026 15:00',
+    ]);
+    expect(briefing.closing).toContain('Which of these did you get done today?');
+  });
+
+  it('saves a tagged conversation, emails it on request and records it as sent', async () => {
+    const user = makeUser({ email: true });
+    const conversationId = await generateBriefing(user, 'morning', now);
+
+    const [[req, message]] = models.saveMessage.mock.calls;
+    expect(req).toEqual({ user: { id: 'user-1' } });
+    expect(message).toMatchObject({
+      conversationId,
+      isCreatedByUser: false,
+      endpoint: 'openAI',
+      model: 'gpt-4o',
+      text: expect.stringContaining('## Morning briefing — Monday 10/19/2026'),
+    });
+    expect(createConversationTag).toHaveBeenCalledWith('user-1', {
+      tag: 'Morning briefing',
+      description: 'Daily morning briefings',
+    });
+    expect(models.saveConvo).toHaveBeenCalledWith(
+      req,
+      {
+        conversationId,
+        endpoint: 'openAI',
+        model: 'gpt-4o',
+        title: 'Morning briefing — Monday 10/19/2026',
+        tags: ['Morning briefing'],
+      },
+      expect.anything(),
+    );
+    expect(bulkIncrementTagCounts).toHaveBeenCalledWith('user-1', ['Morning briefing']);
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: 'jane@example.com',
+        template: 'briefing.handlebars',
+        payload: expect.objectContaining({
+          link: expect.stringContaining(`/c/${conversationId}`),
+        }),
+      }),
+    );
+    expect(models.updateUser).toHaveBeenCalledWith('user-1', {
+      'personalization.briefing.lastSent.morning': '2026-10-19',
+    });
+  });
+
+  it('only emails briefings when the user asked for it and email is configured', async () => {
+    await generateBriefing(makeUser(), 'morning', now);
+    checkEmailConfig.mockReturnValue(false);
+    await generateBriefing(makeUser({ email: true }), 'morning', now);
+
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('only generates briefings on the cluster leader', async () => {
+    isLeader.mockResolvedValue(false);
+
+    expect(await runBriefings()).toBeNull();
+    expect(models.findUsers).not.toHaveBeenCalled();
+  });
+
+  it('generates the due briefings of every user and continues past failures', async () => {
+    jest.useFakeTimers().setSystemTime(now.toJSDate());
+    try {
+      models.findUsers.mockResolvedValue([makeUser(), makeUser({ morning: '06:00' }), makeUser()]);
+      models.saveMessage.mockRejectedValueOnce(new Error('write failed'));
+
+      expect(await runBriefings()).toEqual({ generated: 1, failed: 1 });
+      expect(models.findUsers).toHaveBeenCalledWith(
+        {
+          $or: [
+            { 'personalization.briefing.morning': { $nin: [null, ''] } },
+            { 'personalization.briefing.evening': { $nin: [null, ''] } },
+          ],
+        },
+        'name username email personalization',
+      );
+      expect(models.updateUser).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,113 @@
+const { logger } = require('@librechat/data-schemas');
+const { CacheKeys, ContextSources } = require('librechat-data-provider');
+const { getUserId } = require('~/server/services/IntegrationService');
+const getLogStores = require('~/cache/getLogStores');
+
+/**
+ * Refreshes in flight by snapshot key, so a stale snapshot is refreshed once
+ * however many requests read it meanwhile.
+ * @type {Map<string, Promise<unknown>>}
+ */
+const pendingRefreshes = new Map();
+
+/**
+ * @param {string} userId
+ * @param {string} source
+ */
+const getSnapshotKey = (userId, source) => `${userId}:${source}`;
+
+/**
+ * Fetches a source and stores the result as its new snapshot.
+ * A snapshot invalidated while the fetch was in flight is not overwritten with the outdated result.
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fetch
+ * @returns {Promise<T>}
+ */
+function refreshSnapshot(key, fetch) {
+  const pending = pendingRefreshes.get(key);
+  if (pending) {
+    return pending;
+  }
+
+  const refresh = (async () => {
+    const content = await fetch();
+    if (pendingRefreshes.get(key) === refresh) {
+      const cache = getLogStores(CacheKeys.CONTEXT_SNAPSHOTS);
+      await cache.set(key, { content, fetchedAt: Date.now() });
+    }
+    return content;
+  })().finally(() => {
+    if (pendingRefreshes.get(key) === refresh) {
+      pendingRefreshes.delete(key);
+    }
+  });
+
+  pendingRefreshes.set(key, refresh);
+  return refresh;
+}
+
+/**
+ * Returns a user's snapshot of a context source, fetching it only when needed.
+ * - No snapshot: fetched and cached before returning.
+ * - Snapshot older than `ttl`: returned as is while a refresh runs in the background.
+ * Fetch errors are not cached; a failed background refresh keeps the stale snapshot.
+ * Snapshots are stored as JSON, so `fetch` must resolve to a serializable value.
+ *
+ * @template T
+ * @param {Object} params
+ * @param {IUser | string} params.user
+ * @param {string} params.source
+ * @param {number} [params.ttl] - Milliseconds a snapshot is fresh for; falsy disables caching.
+ * @param {() => Promise<T>} params.fetch
+ * @returns {Promise<T>}
+ */
+async function getContextSnapshot({ user, source, ttl, fetch }) {
+  const userId = getUserId(user);
+  if (!userId || !ttl) {
+    return await fetch();
+  }
+
+  const key = getSnapshotKey(userId, source);
+  const cache = getLogStores(CacheKeys.CONTEXT_SNAPSHOTS);
+  const snapshot = await cache.get(key);
+  if (!snapshot) {
+    return await refreshSnapshot(key, fetch);
+  }
+
+  if (Date.now() - snapshot.fetchedAt >= ttl) {
+    refreshSnapshot(key, fetch).catch((error) =>
+      logger.warn(`[getContextSnapshot] Could not refresh the ${source} snapshot`, error),
+    );
+  }
+  return snapshot.content;
+}
+
+/**
+ * Drops a user's cached snapshots so the next message fetches them again.
+ * @param {IUser | string | undefined} user
+ * @param {string[]} [sources] - Defaults to every source.
+ */
+async function invalidateContextSnapshots(user, sources = Object.values(ContextSources)) {
+  const userId = getUserId(user);
+  if (!userId) {
+    return;
+  }
+  const cache = getLogStores(CacheKeys.CONTEXT_SNAPSHOTS);
+  await Promise.all(
+    sources.map(async (source) => {
+      const key = getSnapshotKey(userId, source);
+      pendingRefreshes.delete(key);
+      try {
+        await cache.delete(key);
+      } catch (error) {
+        logger.error(`[invalidateContextSnapshots] Could not drop the ${source} snapshot`, error);
+      }
+    }),
+  );
+}
+
+module.exports = {
+  getContextSnapshot,
+  invalidateContextSnapshots,
+};
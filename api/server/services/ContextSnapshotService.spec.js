@@ -0,0 +1,87 @@
+const { Time } = require('librechat-data-provider');
+
+const mockStore = new Map();
+jest.mock('~/cache/getLogStores', () => () => ({
+  get: async (key) => mockStore.get(key),
+  set: async (key, value) => mockStore.set(key, value),
+  delete: async (key) => mockStore.delete(key),
+}));
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserId: (user) => (typeof user === 'string' ? user : user?.id),
+}));
+
+const { getContextSnapshot, invalidateContextSnapshots } = require('./ContextSnapshotService');
+
+const user = { id: 'user-1' };
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('ContextSnapshotService', () => {
+  beforeEach(() => {
+    mockStore.clear();
+  });
+
+  it('caches a fetched snapshot until its TTL passes', async () => {
+    const fetch = jest.fn().mockResolvedValueOnce('v1').mockResolvedValueOnce('v2');
+    const params = { user, source: 'calendar', ttl: Time.FIVE_MINUTES, fetch };
+
+    expect(await getContextSnapshot(params)).toBe('v1');
+    expect(await getContextSnapshot(params)).toBe('v1');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves a stale snapshot while refreshing it once in the background', async () => {
+    mockStore.set('user-1:email', { content: 'old', fetchedAt: Date.now() - Time.ONE_HOUR });
+    let resolveFetch;
+    const fetch = jest.fn(() => new Promise((resolve) => (resolveFetch = resolve)));
+    const params = { user, source: 'email', ttl: Time.TEN_MINUTES, fetch };
+
+    expect(await getContextSnapshot(params)).toBe('old');
+    expect(await getContextSnapshot(params)).toBe('old');
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    resolveFetch('new');
+    await flush();
+    expect(await getContextSnapshot(params)).toBe('new');
+  });
+
+  it('keeps the stale snapshot when a refresh fails', async () => {
+    mockStore.set('user-1:tasks', { content: 'old', fetchedAt: 0 });
+    const fetch = jest.fn().mockRejectedValue(new Error('TickTick is down'));
+    const params = { user, source: 'tasks', ttl: Time.FIVE_MINUTES, fetch };
+
+    expect(await getContextSnapshot(params)).toBe('old');
+    await flush();
+    expect(mockStore.get('user-1:tasks').content).toBe('old');
+  });
+
+  it('does not cache failed fetches or sources without a TTL', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('Google access has expired'));
+    await expect(
+      getContextSnapshot({ user, source: 'calendar', ttl: Time.FIVE_MINUTES, fetch: failing }),
+    ).rejects.toThrow('Google access has expired');
+
+    const fetch = jest.fn().mockResolvedValue('live');
+    await getContextSnapshot({ user, source: 'personal', ttl: 0, fetch });
+    await getContextSnapshot({ user, source: 'personal', ttl: 0, fetch });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(mockStore.size).toBe(0);
+  });
+
+  it('drops invalidated snapshots, including ones being refreshed', async () => {
+    mockStore.set('user-1:calendar', { content: 'calendar', fetchedAt: Date.now() });
+    mockStore.set('user-1:tasks', { content: 'stale', fetchedAt: 0 });
+    let resolveFetch;
+    const fetch = jest.fn(() => new Promise((resolve) => (resolveFetch = resolve)));
+    await getContextSnapshot({ user, source: 'tasks', ttl: Time.FIVE_MINUTES, fetch });
+
+    await invalidateContextSnapshots(user, ['tasks']);
+    resolveFetch('outdated');
+    await flush();
+
+    expect(mockStore.has('user-1:tasks')).toBe(false);
+    expect(mockStore.has('user-1:calendar')).toBe(true);
+
+    await invalidateContextSnapshots('user-1');
+    expect(mockStore.size).toBe(0);
+  });
+});
@@ -0,0 +1,77 @@
+const { logger } = require('@librechat/data-schemas');
+const { getIntegrationsByProvider, getEmailSync, countEmails } = require('~/models');
+const { syncMailbox } = require('~/customUtils/gmailFetch');
+const { returnSnoozedEmails } = require('~/customUtils/gmailActions');
+const { createLeaderInterval } = require('~/server/utils/leaderInterval');
+
+/** Minutes between ingestion runs; `0` turns the worker off. */
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+/**
+ * Syncs the mailbox of every user with an active Google connection, one user at a time, after
+ * returning their snoozed messages that are due to the inbox.
+ * A failing mailbox is recorded in its sync status and does not stop the others.
+ * @returns {Promise<{ synced: number, failed: number }>}
+ */
+async function ingestEmails() {
+  let synced = 0;
+  let failed = 0;
+  try {
+    const integrations = await getIntegrationsByProvider({ provider: 'google', status: 'active' });
+    for (const { user } of integrations) {
+      await returnSnoozedEmails(user.toString()).catch((error) =>
+        logger.warn(
+          `[runEmailIngestion] Could not return the snoozed emails of user ${user}`,
+          error,
+        ),
+      );
+      try {
+        await syncMailbox(user.toString());
+        synced++;
+      } catch (error) {
+        failed++;
+        logger.warn(`[runEmailIngestion] Could not sync the mailbox of user ${user}`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('[runEmailIngestion] Email ingestion failed', error);
+  }
+  return { synced, failed };
+}
+
+/**
+ * The email ingestion worker, on the interval set by `EMAIL_INGESTION_INTERVAL` (minutes).
+ * `runEmailIngestion` resolves to `null` when the run was skipped.
+ */
+const {
+  run: runEmailIngestion,
+  start: startEmailIngestion,
+  stop: stopEmailIngestion,
+} = createLeaderInterval({
+  name: 'Email ingestion worker',
+  getMinutes: () => Number(process.env.EMAIL_INGESTION_INTERVAL ?? DEFAULT_INTERVAL_MINUTES),
+  task: ingestEmails,
+});
+
+/**
+ * Reports how far a user's mailbox has been ingested.
+ * @param {string} userId
+ * @returns {Promise<TEmailIngestionStatus>}
+ */
+async function getEmailIngestionStatus(userId) {
+  const [sync, counts] = await Promise.all([getEmailSync(userId), countEmails(userId)]);
+  return {
+    status: sync?.status ?? 'idle',
+    error: sync?.error ?? null,
+    lastSyncAt: sync?.lastSyncAt ?? null,
+    lastFullSyncAt: sync?.lastFullSyncAt ?? null,
+    ...counts,
+  };
+}
+
+module.exports = {
+  runEmailIngestion,
+  startEmailIngestion,
+  stopEmailIngestion,
+  getEmailIngestionStatus,
+};
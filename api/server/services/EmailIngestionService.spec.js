@@ -0,0 +1,117 @@
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  isLeader: jest.fn(),
+}));
+
+jest.mock('~/models', () => ({
+  getIntegrationsByProvider: jest.fn(),
+  getEmailSync: jest.fn(),
+  countEmails: jest.fn(),
+}));
+
+jest.mock('~/customUtils/gmailFetch', () => ({
+  syncMailbox: jest.fn(),
+}));
+
+jest.mock('~/customUtils/gmailActions', () => ({
+  returnSnoozedEmails: jest.fn(async () => 0),
+}));
+
+const { isLeader } = require('@librechat/api');
+const models = require('~/models');
+const { syncMailbox } = require('~/customUtils/gmailFetch');
+const { returnSnoozedEmails } = require('~/customUtils/gmailActions');
+const {
+  runEmailIngestion,
+  startEmailIngestion,
+  stopEmailIngestion,
+  getEmailIngestionStatus,
+} = require('./EmailIngestionService');
+
+describe('EmailIngestionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isLeader.mockResolvedValue(true);
+    models.getIntegrationsByProvider.mockResolvedValue([{ user: 'user-1' }, { user: 'user-2' }]);
+  });
+
+  afterEach(() => {
+    stopEmailIngestion();
+    delete process.env.EMAIL_INGESTION_INTERVAL;
+  });
+
+  it('syncs every active Google mailbox and continues past failures', async () => {
+    syncMailbox.mockRejectedValueOnce(new Error('invalid_grant'));
+
+    expect(await runEmailIngestion()).toEqual({ synced: 1, failed: 1 });
+    expect(models.getIntegrationsByProvider).toHaveBeenCalledWith({
+      provider: 'google',
+      status: 'active',
+    });
+    expect(syncMailbox).toHaveBeenCalledWith('user-1');
+    expect(syncMailbox).toHaveBeenCalledWith('user-2');
+  });
+
+  it('returns due snoozed emails before syncing, even when that fails', async () => {
+    returnSnoozedEmails.mockRejectedValueOnce(new Error('quota'));
+
+    expect(await runEmailIngestion()).toEqual({ synced: 2, failed: 0 });
+    expect(returnSnoozedEmails).toHaveBeenCalledWith('user-1');
+    expect(returnSnoozedEmails).toHaveBeenCalledWith('user-2');
+  });
+
+  it('only ingests on the cluster leader', async () => {
+    isLeader.mockResolvedValue(false);
+
+    expect(await runEmailIngestion()).toBeNull();
+    expect(syncMailbox).not.toHaveBeenCalled();
+  });
+
+  it('never overlaps runs', async () => {
+    let finish;
+    syncMailbox.mockImplementationOnce(() => new Promise((resolve) => (finish = resolve)));
+
+    const first = runEmailIngestion();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(await runEmailIngestion()).toBeNull();
+
+    finish();
+    expect(await first).toEqual({ synced: 2, failed: 0 });
+  });
+
+  it('runs on the configured interval unless turned off', async () => {
+    jest.useFakeTimers();
+    try {
+      process.env.EMAIL_INGESTION_INTERVAL = '0';
+      startEmailIngestion();
+      expect(isLeader).not.toHaveBeenCalled();
+
+      process.env.EMAIL_INGESTION_INTERVAL = '2';
+      startEmailIngestion();
+      expect(isLeader).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+      expect(isLeader).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('reports the sync state with email counts', async () => {
+    models.getEmailSync.mockResolvedValue({ status: 'error', error: 'quota', lastSyncAt: null });
+    models.countEmails.mockResolvedValue({ summarized: 4, pending: 1, failed: 2 });
+
+    expect(await getEmailIngestionStatus('user-1')).toEqual({
+      status: 'error',
+      error: 'quota',
+      lastSyncAt: null,
+      lastFullSyncAt: null,
+      summarized: 4,
+      pending: 1,
+      failed: 2,
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const { logger } = require('@librechat/data-schemas');
+const { encryptV2, decryptV2 } = require('@librechat/api');
+const { isPublicHttpsUrl } = require('~/server/utils/publicUrl');
+const {
+  deleteTokens,
+  getIntegrations,
+  deleteUserEmails,
+  findIntegration,
+  upsertIntegration,
+  deleteIntegration,
+  updateIntegrationStatus,
+} = require('~/models');
+
+/**
+ * Credential fields accepted for each integration provider.
+ * `required` fields must be set before an integration can be saved.
+ */
+const integrationProviders = {
+  ticktick: { fields: ['token', 'deviceId'], required: ['token'] },
+  google: { fields: ['token', 'client'], required: ['token'] },
+  caldav: { fields: ['url', 'username', 'password'], required: ['url', 'username', 'password'] },
+  /** Replaced by the personal profile, which takes this text over when it is first saved */
+  personal: { fields: ['info'], required: ['info'] },
+};
+
+/** Google fields hold the JSON files downloaded from the Google Cloud console. */
+const jsonFields = { google: ['token', 'client'] };
+
+/** Servers the server sends requests to with the user's credentials; see `isPublicHttpsUrl`. */
+const urlFields = { caldav: ['url'] };
+
+/** @param {string} provider */
+function isIntegrationProvider(provider) {
+  return Object.prototype.hasOwnProperty.call(integrationProviders, provider);
+}
+
+/**
+ * Resolves the user id from a request user or a plain id.
+ * @param {IUser | string | undefined} user
+ * @returns {string | undefined}
+ */
+function getUserId(user) {
+  if (typeof user === 'string') {
+    return user;
+  }
+  return user?.id ?? user?._id?.toString();
+}
+
+/**
+ * Identifier of an integration's OAuth tokens in the Token collection.
+ * The refresh token is stored under `${identifier}:refresh`.
+ * @param {string} userId
+ * @param {string} provider
+ */
+function getIntegrationTokenIdentifier(userId, provider) {
+  return `${userId}:integration:${provider}`;
+}
+
+/**
+ * Lists the integrations a user has connected. Credentials are never included.
+ * @param {string} userId
+ */
+async function listUserIntegrations(userId) {
+  return await getIntegrations(userId);
+}
+
+/**
+ * Retrieves a user's integration for one provider with its credentials decrypted.
+ * @param {IUser | string | undefined} user - The request user, or their id.
+ * @param {string} provider
+ * @returns {Promise<(Object & { credentials: Record<string, unknown> }) | null>}
+ *   `null` when the user has not connected the provider.
+ */
+async function getUserIntegration(user, provider) {
+  const userId = getUserId(user);
+  if (!userId) {
+    return null;
+  }
+  const integration = await findIntegration({ userId, provider });
+  if (!integration) {
+    return null;
+  }
+  try {
+    return { ...integration, credentials: JSON.parse(await decryptV2(integration.credentials)) };
+  } catch (error) {
+    logger.error(`[getUserIntegration] Could not decrypt ${provider} credentials`, error);
+    return null;
+  }
+}
+
+/**
+ * Retrieves and decrypts a user's credentials for one provider.
+ * @param {IUser | string | undefined} user - The request user, or their id.
+ * @param {string} provider
+ * @returns {Promise<Record<string, unknown> | null>} `null` when the user has not connected the provider.
+ */
+async function getUserIntegrationCredentials(user, provider) {
+  const integration = await getUserIntegration(user, provider);
+  return integration?.credentials ?? null;
+}
+
+/**
+ * Validates and merges credential fields from a request.
+ * Blank fields keep their saved value so secrets do not have to be re-entered.
+ * @param {string} provider
+ * @param {Record<string, unknown>} input
+ * @param {Record<string, unknown> | null} existing
+ * @returns {{ credentials?: Record<string, unknown>, error?: string }}
+ */
+function mergeCredentials(provider, input, existing) {
+  const { fields, required } = integrationProviders[provider];
+  const credentials = { ...(existing ?? {}) };
+
+  for (const field of fields) {
+    const value = input?.[field];
+    if (value == null || value === '') {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    if (!jsonFields[provider]?.includes(field)) {
+      credentials[field] = value.trim();
+      continue;
+    }
+    try {
+      credentials[field] = JSON.parse(value);
+    } catch {
+      return { error: `${field} must be valid JSON` };
+    }
+  }
+
+  const missing = required.filter((field) => !credentials[field]);
+  if (missing.length) {
+    return { error: `Missing ${missing.join(', ')}` };
+  }
+  return { credentials };
+}
+
+/**
+ * Encrypts and saves a user's credentials for one provider.
+ * @param {string} userId
+ * @param {string} provider
+ * @param {Record<string, unknown>} input - Raw credential fields from the client.
+ * @returns {Promise<{ integration?: Object, error?: string }>}
+ */
+async function saveUserIntegration(userId, provider, input) {
+  const existing = await getUserIntegrationCredentials(userId, provider);
+  const { credentials, error } = mergeCredentials(provider, input, existing);
+  if (error) {
+    return { error };
+  }
+  for (const field of urlFields[provider] ?? []) {
+    if (!(await isPublicHttpsUrl(credentials[field]))) {
+      return { error: `${field} must be an https URL of a public server` };
+    }
+  }
+  const { credentials: _encrypted, ...integration } = await upsertIntegration({
+    userId,
+    provider,
+    credentials: await encryptV2(JSON.stringify(credentials)),
+    fields: Object.keys(credentials).filter((field) => credentials[field]),
+  });
+  return { integration };
+}
+
+/**
+ * Marks an integration as connected through an OAuth consent flow.
+ * Its tokens live in the Token collection, so a previously pasted token is dropped.
+ * @param {string} userId
+ * @param {string} provider
+ */
+async function saveOAuthIntegration(userId, provider) {
+  const { token: _token, ...credentials } =
+    (await getUserIntegrationCredentials(userId, provider)) ?? {};
+  const { credentials: _encrypted, ...integration } = await upsertIntegration({
+    userId,
+    provider,
+    authType: 'oauth',
+    credentials: await encryptV2(JSON.stringify(credentials)),
+    fields: Object.keys(credentials).filter((field) => credentials[field]),
+  });
+  return integration;
+}
+
+/**
+ * Flags an integration whose grant the provider rejected, so the user is asked to reconnect.
+ * Never throws: a failed status update must not break context building.
+ * @param {IUser | string | undefined} user
+ * @param {string} provider
+ * @param {Error} error
+ */
+async function markIntegrationExpired(user, provider, error) {
+  const userId = getUserId(user);
+  if (!userId) {
+    return;
+  }
+  try {
+    await updateIntegrationStatus({
+      userId,
+      provider,
+      status: 'expired',
+      error: error?.message ?? null,
+    });
+  } catch (err) {
+    logger.error(`[markIntegrationExpired] Could not update ${provider} status`, err);
+  }
+}
+
+/**
+ * Disconnects an integration, deleting its credentials and any stored OAuth tokens.
+ * Disconnecting Google also deletes the emails ingested from the mailbox.
+ * @param {string} userId
+ * @param {string} provider
+ */
+async function deleteUserIntegration(userId, provider) {
+  const identifier = getIntegrationTokenIdentifier(userId, provider);
+  await deleteTokens({ identifier });
+  await deleteTokens({ identifier: `${identifier}:refresh` });
+  if (provider === 'google') {
+    await deleteUserEmails(userId);
+  }
+  return await deleteIntegration({ userId, provider });
+}
+
+module.exports = {
+  integrationProviders,
+  isIntegrationProvider,
+  getUserId,
+  getIntegrationTokenIdentifier,
+  listUserIntegrations,
+  getUserIntegration,
+  getUserIntegrationCredentials,
+  saveUserIntegration,
+  saveOAuthIntegration,
+  markIntegrationExpired,
+  deleteUserIntegration,
+};
@@ -0,0 +1,139 @@
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  encryptV2: jest.fn(async (value) => `enc:${value}`),
+  decryptV2: jest.fn(async (value) => value.replace(/^enc:/, '')),
+}));
+
+jest.mock('~/models', () => ({
+  getIntegrations: jest.fn(),
+  findIntegration: jest.fn(),
+  upsertIntegration: jest.fn(async (params) => ({ _id: 'i1', ...params })),
+  deleteTokens: jest.fn(),
+  deleteIntegration: jest.fn(async () => ({ ok: true })),
+  deleteUserEmails: jest.fn(),
+  updateIntegrationStatus: jest.fn(),
+}));
+
+jest.mock('~/server/utils/publicUrl', () => ({
+  isPublicHttpsUrl: jest.fn(async (url) => url.startsWith('https://dav.')),
+}));
+
+const models = require('~/models');
+const {
+  saveOAuthIntegration,
+  deleteUserIntegration,
+  markIntegrationExpired,
+  saveUserIntegration,
+  isIntegrationProvider,
+  getUserIntegrationCredentials,
+} = require('./IntegrationService');
+
+const userId = '64b7f0c2e4b0a1a2b3c4d5e6';
+
+describe('IntegrationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    models.findIntegration.mockResolvedValue(null);
+  });
+
+  it('knows the supported providers', () => {
+    expect(isIntegrationProvider('google')).toBe(true);
+    expect(isIntegrationProvider('toString')).toBe(false);
+  });
+
+  it('encrypts credentials and never returns them', async () => {
+    const { integration } = await saveUserIntegration(userId, 'ticktick', {
+      token: ' cookie ',
+      deviceId: '',
+    });
+
+    expect(models.upsertIntegration).toHaveBeenCalledWith({
+      userId,
+      provider: 'ticktick',
+      credentials: 'enc:{"token":"cookie"}',
+      fields: ['token'],
+    });
+    expect(integration).toEqual({ _id: 'i1', userId, provider: 'ticktick', fields: ['token'] });
+  });
+
+  it('keeps saved secrets when fields are left blank', async () => {
+    models.findIntegration.mockResolvedValue({
+      credentials: 'enc:{"url":"https://dav.example.com/","username":"jane","password":"secret"}',
+    });
+
+    await saveUserIntegration(userId, 'caldav', { username: 'john' });
+
+    expect(models.upsertIntegration.mock.calls[0][0].credentials).toBe(
+      'enc:{"url":"https://dav.example.com/","username":"john","password":"secret"}',
+    );
+  });
+
+  it('validates required and JSON fields', async () => {
+    expect(await saveUserIntegration(userId, 'caldav', { url: 'https://x' })).toEqual({
+      error: 'Missing username, password',
+    });
+    expect(await saveUserIntegration(userId, 'google', { token: '{not json' })).toEqual({
+      error: 'token must be valid JSON',
+    });
+    expect(models.upsertIntegration).not.toHaveBeenCalled();
+  });
+
+  it('rejects CalDAV servers that are not public https URLs', async () => {
+    expect(
+      await saveUserIntegration(userId, 'caldav', {
+        url: 'http://169.254.169.254/latest/',
+        username: 'jane',
+        password: 'secret',
+      }),
+    ).toEqual({ error: 'url must be an https URL of a public server' });
+    expect(models.upsertIntegration).not.toHaveBeenCalled();
+  });
+
+  it('resolves decrypted credentials from the request user', async () => {
+    models.findIntegration.mockResolvedValue({ credentials: 'enc:{"info":"Night owl"}' });
+
+    expect(await getUserIntegrationCredentials({ id: userId }, 'personal')).toEqual({
+      info: 'Night owl',
+    });
+    expect(models.findIntegration).toHaveBeenCalledWith({ userId, provider: 'personal' });
+    expect(await getUserIntegrationCredentials(undefined, 'personal')).toBeNull();
+  });
+
+  it('drops pasted tokens once connected through OAuth', async () => {
+    models.findIntegration.mockResolvedValue({
+      credentials: 'enc:{"token":{"access_token":"a"},"client":{"web":{}}}',
+    });
+
+    await saveOAuthIntegration(userId, 'google');
+
+    expect(models.upsertIntegration).toHaveBeenCalledWith({
+      userId,
+      provider: 'google',
+      authType: 'oauth',
+      credentials: 'enc:{"client":{"web":{}}}',
+      fields: ['client'],
+    });
+  });
+
+  it('flags expired grants and deletes OAuth tokens on disconnect', async () => {
+    await markIntegrationExpired({ id: userId }, 'google', new Error('invalid_grant'));
+    expect(models.updateIntegrationStatus).toHaveBeenCalledWith({
+      userId,
+      provider: 'google',
+      status: 'expired',
+      error: 'invalid_grant',
+    });
+
+    expect(await deleteUserIntegration(userId, 'google')).toEqual({ ok: true });
+    expect(models.deleteTokens).toHaveBeenCalledWith({
+      identifier: `${userId}:integration:google`,
+    });
+    expect(models.deleteTokens).toHaveBeenCalledWith({
+      identifier: `${userId}:integration:google:refresh`,
+    });
+    expect(models.deleteUserEmails).toHaveBeenCalledWith(userId);
+  });
+});
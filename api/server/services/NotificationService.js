@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const { logger } = require('@librechat/data-schemas');
+const { checkEmailConfig } = require('@librechat/api');
+const { Time } = require('librechat-data-provider');
+const {
+  findUsers,
+  getUserById,
+  upsertNotifications,
+  deleteStaleNotifications,
+  getDueNotifications,
+  updateNotification,
+  consumeNotificationActionToken,
+  getPushSubscriptions,
+  deletePushSubscription,
+} = require('~/models');
+const { getTaskReminders, getEventReminders } = require('~/customUtils/reminders');
+const { completeTask } = require('~/customUtils/taskPlanner');
+const { sendWebPush, checkWebPushConfig } = require('~/server/utils/sendWebPush');
+const { createLeaderInterval } = require('~/server/utils/leaderInterval');
+const sendEmail = require('~/server/utils/sendEmail');
+
+/** Minutes between reminder runs; `0` turns reminders off. Reminders are up to this late. */
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+/** Longest lead time a user can pick, in minutes. */
+const MAX_MINUTES_BEFORE = 24 * 60;
+
+/** Snooze length when none is given, in minutes. */
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+/** Reminder sources by notification type; a source that fails keeps its pending reminders. */
+const reminderSources = {
+  task: getTaskReminders,
+  event: getEventReminders,
+};
+
+/**
+ * Push urgency by notification type: event reminders are due at a fixed time and wake the device
+ * at once, while task reminders can wait for the device to be awake.
+ */
+const pushUrgency = {
+  task: 'normal',
+  event: 'high',
+};
+
+const getIntervalMinutes = () => Number(process.env.REMINDER_INTERVAL ?? DEFAULT_INTERVAL_MINUTES);
+
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+const hashActionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Uses up the action token of a delivered notification. Tokens are single-use: the token is
+ * cleared by the same update that matches it, so concurrent requests with one token act once.
+ * @param {string} notificationId
+ * @param {unknown} token
+ * @returns {Promise<INotificationLean | null>} The notification, or null when the token is
+ * invalid or already used.
+ */
+async function consumeActionToken(notificationId, token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  return consumeNotificationActionToken({
+    notificationId,
+    actionTokenHash: hashActionToken(token),
+  });
+}
+
+/**
+ * Records the reminders of a user's upcoming tasks and events, due before the lead time plus two
+ * runs from now so that each is recorded at least one run before it is due. Reminders of tasks
+ * and events that are no longer upcoming are dropped.
+ * @param {IUser} user
+ * @param {DateTime} [now]
+ * @returns {Promise<number>} The number of new reminders.
+ */
+async function syncReminders(user, now = DateTime.now()) {
+  const minutesBefore = user.personalization?.reminders?.minutesBefore;
+  const userId = user._id.toString();
+  const from = now;
+  const to = now.plus({ minutes: minutesBefore + 2 * getIntervalMinutes() });
+
+  const notifications = [];
+  const types = [];
+  for (const [type, load] of Object.entries(reminderSources)) {
+    try {
+      notifications.push(...(await load(user, { from, to, minutesBefore })));
+      types.push(type);
+    } catch (error) {
+      logger.warn(`[NotificationService] Could not load the ${type} reminders of ${userId}`, error);
+    }
+  }
+
+  const created = await upsertNotifications({ userId, notifications });
+  if (types.length) {
+    await deleteStaleNotifications({
+      userId,
+      types,
+      keys: notifications.map(({ key }) => key),
+      from: from.toJSDate(),
+      to: to.toJSDate(),
+    });
+  }
+  return created;
+}
+
+/**
+ * Pushes a reminder to every browser the user subscribed, dropping subscriptions the push
+ * service no longer knows. The payload carries a token that lets the service worker snooze or
+ * complete the reminder without a session.
+ * @param {INotificationLean} notification
+ * @param {string} token
+ * @returns {Promise<number>} The number of browsers reached.
+ */
+async function pushReminder(notification, token) {
+  const subscriptions = await getPushSubscriptions(notification.user);
+  const payload = {
+    id: notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    url: notification.link || '/',
+    token,
+  };
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    try {
+      const { ok, expired } = await sendWebPush(subscription, payload, {
+        urgency: pushUrgency[notification.type] ?? 'normal',
+      });
+      if (expired) {
+        await deletePushSubscription({ endpoint: subscription.endpoint });
+      }
+      sent += ok ? 1 : 0;
+    } catch (error) {
+      logger.warn('[NotificationService] Could not push a reminder', error);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Emails a reminder. Acting on it is done from the push notification or the in-app feed; the
+ * email links to the event or to the app.
+ * @param {INotificationLean} notification
+ * @param {IUser} user
+ */
+async function emailReminder(notification, user) {
+  await sendEmail({
+    email: user.email,
+    subject: `Reminder: ${notification.title}`,
+    payload: {
+      appName: process.env.APP_TITLE || 'LibreChat',
+      name: user.name || user.username || user.email,
+      title: notification.title,
+      body: notification.body,
+      link: notification.link || process.env.DOMAIN_CLIENT,
+      year: new Date().getFullYear(),
+    },
+    template: 'reminder.handlebars',
+    throwError: false,
+  });
+}
+
+/**
+ * Delivers a due reminder: it is marked as sent first, so a failing channel never delivers it
+ * twice, then pushed to the user's browsers and emailed when the user asked for it. The in-app
+ * feed lists it from then on.
+ * @param {INotificationLean} notification
+ * @param {IUser} user
+ */
+async function deliverReminder(notification, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await updateNotification({
+    notificationId: notification._id,
+    updates: {
+      status: 'sent',
+      sentAt: new Date(),
+      readAt: null,
+      actionTokenHash: hashActionToken(token),
+    },
+  });
+
+  if (checkWebPushConfig()) {
+    await pushReminder(notification, token);
+  }
+  if (user.personalization?.reminders?.email && user.email && checkEmailConfig()) {
+    await emailReminder(notification, user);
+  }
+}
+
+/**
+ * Snoozes, completes or dismisses a delivered reminder. Completing is only possible for task
+ * reminders and completes the task through the user's task provider.
+ * @param {INotificationLean} notification
+ * @param {IUser} user
+ * @param {'snooze' | 'complete' | 'dismiss'} action
+ * @param {Object} [options]
+ * @param {number} [options.minutes] - Snooze length.
+ * @returns {Promise<INotificationLean | null>} The updated reminder.
+ */
+async function performReminderAction(notification, user, action, { minutes } = {}) {
+  const now = Date.now();
+  const updates = { readAt: new Date(now), actionTokenHash: null };
+
+  if (action === 'snooze') {
+    updates.status = 'pending';
+    updates.remindAt = new Date(now + (minutes ?? DEFAULT_SNOOZE_MINUTES) * Time.ONE_MINUTE);
+  } else if (action === 'complete') {
+    if (notification.type !== 'task' || !notification.taskId) {
+      throw new Error('Only task reminders can be completed');
+    }
+    await completeTask(user, { provider: notification.provider, taskId: notification.taskId });
+    updates.status = 'completed';
+  } else {
+    updates.status = 'dismissed';
+  }
+
+  return updateNotification({ notificationId: notification._id, updates });
+}
+
+/**
+ * Loads the owner of a reminder with the fields needed to act on it.
+ * @param {INotificationLean} notification
+ * @returns {Promise<IUser | null>}
+ */
+async function getReminderUser(notification) {
+  const user = await getUserById(
+    notification.user.toString(),
+    'name username email personalization',
+  );
+  return user ? { ...user, id: user._id.toString() } : null;
+}
+
+/**
+ * Records the upcoming reminders of every user who turned reminders on, then delivers those that
+ * are due. Reminders of users who turned them off since are dismissed.
+ * @returns {Promise<{ synced: number, delivered: number, failed: number }>}
+ */
+async function remindUsers() {
+  let synced = 0;
+  let delivered = 0;
+  let failed = 0;
+  try {
+    const now = DateTime.now();
+    const users = await findUsers(
+      { 'personalization.reminders.minutesBefore': { $type: 'number' } },
+      'name username email personalization',
+    );
+    const usersById = new Map();
+    for (const user of users) {
+      usersById.set(user._id.toString(), { ...user, id: user._id.toString() });
+      try {
+        synced += await syncReminders(user, now);
+      } catch (error) {
+        logger.warn(`[runReminders] Could not sync the reminders of ${user._id}`, error);
+      }
+    }
+
+    for (const notification of await getDueNotifications({ now: now.toJSDate() })) {
+      const user = usersById.get(notification.user.toString());
+      try {
+        if (!user) {
+          await updateNotification({
+            notificationId: notification._id,
+            updates: { status: 'dismissed' },
+          });
+          continue;
+        }
+        await deliverReminder(notification, user);
+        delivered++;
+      } catch (error) {
+        failed++;
+        logger.warn(`[runReminders] Could not deliver reminder ${notification._id}`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('[runReminders] Reminder run failed', error);
+  }
+  return { synced, delivered, failed };
+}
+
+/**
+ * The reminder scheduler, running every `REMINDER_INTERVAL` minutes.
+ * `runReminders` resolves to `null` when the run was skipped.
+ */
+const {
+  run: runReminders,
+  start: startReminders,
+  stop: stopReminders,
+} = createLeaderInterval({
+  name: 'Reminder scheduler',
+  getMinutes: getIntervalMinutes,
+  task: remindUsers,
+});
+
+module.exports = {
+  MAX_MINUTES_BEFORE,
+  consumeActionToken,
+  syncReminders,
+  deliverReminder,
+  performReminderAction,
+  getReminderUser,
+  runReminders,
+  startReminders,
+  stopReminders,
+};
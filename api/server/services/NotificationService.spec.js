@@ -0,0 +1,224 @@
+const { DateTime } = require('luxon');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  isLeader: jest.fn(),
+  checkEmailConfig: jest.fn(),
+}));
+
+jest.mock('~/models', () => ({
+  findUsers: jest.fn(),
+  getUserById: jest.fn(),
+  upsertNotifications: jest.fn(),
+  deleteStaleNotifications: jest.fn(),
+  getDueNotifications: jest.fn(),
+  updateNotification: jest.fn(),
+  consumeNotificationActionToken: jest.fn(),
+  getPushSubscriptions: jest.fn(),
+  deletePushSubscription: jest.fn(),
+}));
+
+jest.mock('~/customUtils/reminders', () => ({
+  getTaskReminders: jest.fn(),
+  getEventReminders: jest.fn(),
+}));
+jest.mock('~/customUtils/taskPlanner', () => ({ completeTask: jest.fn() }));
+jest.mock('~/server/utils/sendWebPush', () => ({
+  sendWebPush: jest.fn(),
+  checkWebPushConfig: jest.fn(),
+}));
+jest.mock('~/server/utils/sendEmail', () => jest.fn());
+
+const models = require('~/models');
+const sendEmail = require('~/server/utils/sendEmail');
+const { isLeader, checkEmailConfig } = require('@librechat/api');
+const { completeTask } = require('~/customUtils/taskPlanner');
+const { sendWebPush, checkWebPushConfig } = require('~/server/utils/sendWebPush');
+const { getTaskReminders, getEventReminders } = require('~/customUtils/reminders');
+const {
+  consumeActionToken,
+  syncReminders,
+  deliverReminder,
+  performReminderAction,
+  runReminders,
+} = require('./NotificationService');
+
+const now = DateTime.fromISO('2026-10-19T12:10:00Z');
+
+const makeUser = (reminders = {}) => ({
+  _id: { toString: () => 'user-1' },
+  name: 'Jane',
+  email: 'jane@example.com',
+  personalization: { reminders: { minutesBefore: 15, ...reminders } },
+});
+
+const reminder = {
+  _id: { toString: () => 'n1' },
+  user: { toString: () => 'user-1' },
+  type: 'task',
+  title: 'Submit PR',
+  body: 'Due 10/19/2026 09:00 · Work',
+  provider: 'local',
+  taskId: 't1',
+  dueAt: new Date('2026-10-19T13:00:00Z'),
+};
+
+const upcoming = { type: 'task', key: 'task:local:t1:2026-10-19T13:00:00.000Z' };
+
+describe('NotificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isLeader.mockResolvedValue(true);
+    checkEmailConfig.mockReturnValue(true);
+    checkWebPushConfig.mockReturnValue(true);
+    getTaskReminders.mockResolvedValue([upcoming]);
+    getEventReminders.mockResolvedValue([]);
+    models.upsertNotifications.mockResolvedValue(1);
+    models.getPushSubscriptions.mockResolvedValue([
+      { endpoint: 'https://push.example.com/a', keys: {} },
+      { endpoint: 'https://push.example.com/b', keys: {} },
+    ]);
+    sendWebPush.mockResolvedValue({ ok: true, expired: false });
+    models.updateNotification.mockImplementation(async ({ updates }) => ({
+      ...reminder,
+      ...updates,
+    }));
+  });
+
+  it('records upcoming reminders and drops those no longer upcoming', async () => {
+    expect(await syncReminders(makeUser(), now)).toBe(1);
+
+    const window = { from: now, to: now.plus({ minutes: 25 }), minutesBefore: 15 };
+    expect(getTaskReminders).toHaveBeenCalledWith(expect.anything(), window);
+    expect(models.upsertNotifications).toHaveBeenCalledWith({
+      userId: 'user-1',
+      notifications: [upcoming],
+    });
+    expect(models.deleteStaleNotifications).toHaveBeenCalledWith({
+      userId: 'user-1',
+      types: ['task', 'event'],
+      keys: [upcoming.key],
+      from: now.toJSDate(),
+      to: now.plus({ minutes: 25 }).toJSDate(),
+    });
+  });
+
+  it('keeps the pending reminders of a source that failed to load', async () => {
+    getEventReminders.mockRejectedValue(new Error('invalid_grant'));
+
+    await syncReminders(makeUser(), now);
+
+    expect(models.deleteStaleNotifications).toHaveBeenCalledWith(
+      expect.objectContaining({ types: ['task'] }),
+    );
+  });
+
+  it('pushes a due reminder with a single-use action token and emails it on request', async () => {
+    sendWebPush.mockResolvedValueOnce({ ok: false, expired: true });
+
+    await deliverReminder(reminder, makeUser({ email: true }));
+
+    const [{ updates }] = models.updateNotification.mock.calls[0];
+    expect(updates).toMatchObject({ status: 'sent', readAt: null });
+    const [[subscription, payload, options]] = sendWebPush.mock.calls;
+    expect(subscription.endpoint).toBe('https://push.example.com/a');
+    expect(options).toEqual({ urgency: 'normal' });
+    expect(payload).toMatchObject({ id: 'n1', title: 'Submit PR', url: '/' });
+
+    models.consumeNotificationActionToken.mockResolvedValue(reminder);
+    expect(await consumeActionToken('n1', payload.token)).toBe(reminder);
+    expect(models.consumeNotificationActionToken).toHaveBeenCalledWith({
+      notificationId: 'n1',
+      actionTokenHash: updates.actionTokenHash,
+    });
+    expect(await consumeActionToken('n1', undefined)).toBeNull();
+    expect(models.consumeNotificationActionToken).toHaveBeenCalledTimes(1);
+
+    expect(sendWebPush).toHaveBeenCalledTimes(2);
+    expect(models.deletePushSubscription).toHaveBeenCalledWith({
+      endpoint: 'https://push.example.com/a',
+    });
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: 'jane@example.com',
+        subject: 'Reminder: Submit PR',
+        template: 'reminder.handlebars',
+      }),
+    );
+  });
+
+  it('pushes event reminders with high urgency', async () => {
+    await deliverReminder({ ...reminder, type: 'event', taskId: null }, makeUser());
+
+    expect(sendWebPush).toHaveBeenCalledWith(expect.anything(), expect.anything(), {
+      urgency: 'high',
+    });
+  });
+
+  it('only pushes and emails through configured channels the user asked for', async () => {
+    checkWebPushConfig.mockReturnValue(false);
+    await deliverReminder(reminder, makeUser());
+
+    expect(sendWebPush).not.toHaveBeenCalled();
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(models.updateNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('snoozes, completes and dismisses reminders, invalidating their token', async () => {
+    jest.useFakeTimers().setSystemTime(now.toJSDate());
+    try {
+      const user = { id: 'user-1' };
+
+      expect(await performReminderAction(reminder, user, 'snooze', { minutes: 30 })).toMatchObject({
+        status: 'pending',
+        remindAt: new Date('2026-10-19T12:40:00Z'),
+        actionTokenHash: null,
+      });
+
+      expect(await performReminderAction(reminder, user, 'complete')).toMatchObject({
+        status: 'completed',
+      });
+      expect(completeTask).toHaveBeenCalledWith(user, { provider: 'local', taskId: 't1' });
+
+      expect(await performReminderAction(reminder, user, 'dismiss')).toMatchObject({
+        status: 'dismissed',
+        readAt: now.toJSDate(),
+      });
+
+      await expect(
+        performReminderAction({ ...reminder, type: 'event', taskId: null }, user, 'complete'),
+      ).rejects.toThrow('Only task reminders');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('only runs on the cluster leader', async () => {
+    isLeader.mockResolvedValue(false);
+
+    expect(await runReminders()).toBeNull();
+    expect(models.findUsers).not.toHaveBeenCalled();
+  });
+
+  it('syncs opted-in users, delivers due reminders and dismisses those of opted-out users', async () => {
+    models.findUsers.mockResolvedValue([makeUser()]);
+    models.getDueNotifications.mockResolvedValue([
+      reminder,
+      { ...reminder, _id: 'n2', user: { toString: () => 'user-2' } },
+    ]);
+
+    expect(await runReminders()).toEqual({ synced: 1, delivered: 1, failed: 0 });
+    expect(models.findUsers).toHaveBeenCalledWith(
+      { 'personalization.reminders.minutesBefore': { $type: 'number' } },
+      'name username email personalization',
+    );
+    expect(models.updateNotification).toHaveBeenCalledWith({
+      notificationId: 'n2',
+      updates: { status: 'dismissed' },
+    });
+    expect(sendWebPush).toHaveBeenCalledTimes(2);
+  });
+});
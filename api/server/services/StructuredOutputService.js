@@ -0,0 +1,167 @@
+const { logger } = require('@librechat/data-schemas');
+const { Providers } = require('@librechat/agents');
+const { EModelEndpoint, getStructuredOutputModel } = require('librechat-data-provider');
+const {
+  getBalanceConfig,
+  runStructuredOutput,
+  getTransactionsConfig,
+  StructuredOutputError,
+} = require('@librechat/api');
+const { getUserKeyExpiry } = require('~/server/services/UserService');
+const { getUserId } = require('~/server/services/IntegrationService');
+const { getAppConfig } = require('~/server/services/Config');
+const { spendTokens } = require('~/models/spendTokens');
+const { getUserById } = require('~/models');
+
+/**
+ * Resolves client options for a configured endpoint, the way title generation does.
+ * Endpoint initializers expect a request, so one is built from the user; a key the user saved
+ * for the endpoint is used when the endpoint is configured as `user_provided`.
+ * @param {Object} params
+ * @param {IUser} params.user
+ * @param {AppConfig} params.appConfig
+ * @param {string} params.endpoint
+ * @param {string} params.model
+ * @param {number} [params.temperature]
+ * @returns {Promise<{ llmConfig: import('@librechat/agents').LLMConfig, endpointTokenConfig?: EndpointTokenConfig }>}
+ */
+async function getEndpointLLMConfig({ user, appConfig, endpoint, model, temperature }) {
+  /** Required here: the endpoint initializers load the clients, which load this service */
+  const { getProviderConfig } = require('~/server/services/Endpoints');
+  const { getOptions, overrideProvider } = getProviderConfig({ provider: endpoint, appConfig });
+  const { expiresAt } = await getUserKeyExpiry({ userId: user.id, name: endpoint });
+
+  const req = { user, config: appConfig, body: { key: expiresAt, endpoint, model } };
+  const options = await getOptions({
+    req,
+    res: undefined,
+    optionsOnly: true,
+    overrideEndpoint: endpoint,
+    overrideModel: model,
+    endpointOption: { model_parameters: { model, temperature } },
+  });
+
+  let provider = options.provider ?? overrideProvider;
+  if (endpoint === EModelEndpoint.azureOpenAI) {
+    provider =
+      options.llmConfig?.azureOpenAIApiInstanceName != null ? Providers.AZURE : Providers.OPENAI;
+  }
+
+  const llmConfig = { ...options.llmConfig, provider, model };
+  if (temperature != null) {
+    llmConfig.temperature = temperature;
+  }
+  if (options.configOptions) {
+    llmConfig.configuration = options.configOptions;
+  }
+  return { llmConfig, endpointTokenConfig: options.endpointTokenConfig };
+}
+
+/**
+ * Records the tokens of an extraction as transactions of the user, under the purpose as context.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {AppConfig} params.appConfig
+ * @param {StructuredOutputPurposes} params.purpose
+ * @param {string} params.model
+ * @param {string} [params.conversationId]
+ * @param {EndpointTokenConfig} [params.endpointTokenConfig]
+ * @param {import('@librechat/api').StructuredOutputUsage[]} usage
+ */
+async function recordUsage(
+  { userId, appConfig, purpose, model, conversationId, endpointTokenConfig },
+  usage,
+) {
+  const txData = {
+    user: userId,
+    context: purpose,
+    conversationId,
+    endpointTokenConfig,
+    balance: getBalanceConfig(appConfig),
+    transactions: getTransactionsConfig(appConfig),
+  };
+  for (const { input_tokens, output_tokens, model: usageModel } of usage) {
+    await spendTokens(
+      { ...txData, model: usageModel ?? model },
+      { promptTokens: input_tokens, completionTokens: output_tokens },
+    );
+  }
+}
+
+/**
+ * Extracts structured data from text on the endpoint and model configured for the purpose under
+ * `structuredOutput` in `librechat.yaml` (Gemini by default). The result is validated against
+ * `schema`, and the tokens spent are recorded for the user even when the extraction fails.
+ *
+ * @template T
+ * @param {Object} params
+ * @param {IUser | string} params.user - The user the extraction runs for; an id is looked up.
+ * @param {StructuredOutputPurposes} params.purpose
+ * @param {string} params.instructions
+ * @param {string} params.input
+ * @param {JsonSchemaType} params.schema
+ * @param {AppConfig} [params.appConfig] - Defaults to the configuration for the user's role.
+ * @param {string} [params.conversationId]
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<T>}
+ */
+async function generateStructuredOutput({
+  user: _user,
+  purpose,
+  instructions,
+  input,
+  schema,
+  appConfig: _appConfig,
+  conversationId,
+  signal,
+}) {
+  const user =
+    typeof _user === 'string' || _user?.id == null
+      ? { ...(await getUserById(getUserId(_user), 'role')), id: getUserId(_user) }
+      : _user;
+  const appConfig = _appConfig ?? (await getAppConfig({ role: user.role }));
+  const { endpoint, model, temperature, maxAttempts } = getStructuredOutputModel(
+    appConfig?.structuredOutput,
+    purpose,
+  );
+  const { llmConfig, endpointTokenConfig } = await getEndpointLLMConfig({
+    user,
+    appConfig,
+    endpoint,
+    model,
+    temperature,
+  });
+
+  const txMetadata = {
+    userId: user.id,
+    appConfig,
+    purpose,
+    model,
+    conversationId,
+    endpointTokenConfig,
+  };
+  try {
+    const { output, usage } = await runStructuredOutput({
+      userId: user.id,
+      llmConfig,
+      instructions,
+      input,
+      schema,
+      maxAttempts,
+      conversationId,
+      signal,
+    });
+    await recordUsage(txMetadata, usage);
+    return output;
+  } catch (error) {
+    if (error instanceof StructuredOutputError) {
+      await recordUsage(txMetadata, error.usage);
+    }
+    logger.warn(`[generateStructuredOutput] ${purpose} extraction on ${endpoint} failed`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  generateStructuredOutput,
+};
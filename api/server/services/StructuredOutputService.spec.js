@@ -0,0 +1,162 @@
+const { StructuredOutputPurposes } = require('librechat-data-provider');
+
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => {
+  class StructuredOutputError extends Error {
+    constructor(message, usage) {
+      super(message);
+      this.usage = usage;
+    }
+  }
+  return {
+    StructuredOutputError,
+    runStructuredOutput: jest.fn(),
+    getBalanceConfig: jest.fn(() => ({ enabled: true })),
+    getTransactionsConfig: jest.fn(() => ({ enabled: true })),
+  };
+});
+
+const mockGetOptions = jest.fn();
+jest.mock('~/server/services/Endpoints', () => ({
+  getProviderConfig: jest.fn(({ provider }) => ({
+    getOptions: mockGetOptions,
+    overrideProvider: provider === 'Ollama' ? 'openAI' : provider,
+  })),
+}));
+
+jest.mock('~/server/services/UserService', () => ({
+  getUserKeyExpiry: jest.fn(async () => ({ expiresAt: null })),
+}));
+
+jest.mock('~/server/services/IntegrationService', () => ({
+  getUserId: (user) => (typeof user === 'string' ? user : user?.id),
+}));
+
+jest.mock('~/server/services/Config', () => ({
+  getAppConfig: jest.fn(async () => ({})),
+}));
+
+jest.mock('~/models/spendTokens', () => ({ spendTokens: jest.fn() }));
+jest.mock('~/models', () => ({ getUserById: jest.fn(async () => ({ role: 'USER' })) }));
+
+const { runStructuredOutput, StructuredOutputError } = require('@librechat/api');
+const { getUserKeyExpiry } = require('~/server/services/UserService');
+const { getProviderConfig } = require('~/server/services/Endpoints');
+const { getAppConfig } = require('~/server/services/Config');
+const { spendTokens } = require('~/models/spendTokens');
+const { generateStructuredOutput } = require('./StructuredOutputService');
+
+const schema = { type: 'object', properties: { summary: { type: 'string' } } };
+const usage = [{ input_tokens: 120, output_tokens: 30, model: 'llama3.1' }];
+
+describe('StructuredOutputService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetOptions.mockResolvedValue({
+      llmConfig: { model: 'llama3.1', apiKey: 'ollama' },
+      configOptions: { baseURL: 'http://localhost:11434/v1' },
+    });
+  });
+
+  it('runs on the configured endpoint and records the tokens for the user', async () => {
+    runStructuredOutput.mockResolvedValue({ output: { summary: 'Lunch at 1pm' }, usage });
+    const appConfig = {
+      structuredOutput: {
+        purposes: {
+          [StructuredOutputPurposes.emailSummary]: { endpoint: 'Ollama', model: 'llama3.1' },
+        },
+      },
+    };
+
+    const output = await generateStructuredOutput({
+      user: { id: 'user-1', role: 'USER' },
+      appConfig,
+      conversationId: 'convo-1',
+      purpose: StructuredOutputPurposes.emailSummary,
+      instructions: 'Summarize',
+      input: 'Lunch moved to 1pm',
+      schema,
+    });
+
+    expect(output).toEqual({ summary: 'Lunch at 1pm' });
+    expect(getProviderConfig).toHaveBeenCalledWith({ provider: 'Ollama', appConfig });
+    expect(mockGetOptions).toHaveBeenCalledWith(
+      expect.objectContaining({
+        optionsOnly: true,
+        overrideEndpoint: 'Ollama',
+        overrideModel: 'llama3.1',
+        req: expect.objectContaining({ user: { id: 'user-1', role: 'USER' }, config: appConfig }),
+      }),
+    );
+    expect(runStructuredOutput).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: 'user-1',
+        schema,
+        maxAttempts: 2,
+        llmConfig: {
+          provider: 'openAI',
+          model: 'llama3.1',
+          apiKey: 'ollama',
+          configuration: { baseURL: 'http://localhost:11434/v1' },
+        },
+      }),
+    );
+    expect(spendTokens).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user: 'user-1',
+        model: 'llama3.1',
+        context: 'email_summary',
+        conversationId: 'convo-1',
+        balance: { enabled: true },
+      }),
+      { promptTokens: 120, completionTokens: 30 },
+    );
+  });
+
+  it('defaults to Gemini with the role config and a key the user saved', async () => {
+    getUserKeyExpiry.mockResolvedValue({ expiresAt: 'never' });
+    runStructuredOutput.mockResolvedValue({ output: {}, usage: [] });
+
+    await generateStructuredOutput({
+      user: 'user-2',
+      purpose: StructuredOutputPurposes.taskList,
+      instructions: 'Extract tasks',
+      input: 'Call the plumber',
+      schema,
+    });
+
+    expect(getAppConfig).toHaveBeenCalledWith({ role: 'USER' });
+    expect(getProviderConfig).toHaveBeenCalledWith(expect.objectContaining({ provider: 'google' }));
+    expect(mockGetOptions).toHaveBeenCalledWith(
+      expect.objectContaining({
+        req: expect.objectContaining({
+          user: { id: 'user-2', role: 'USER' },
+          body: expect.objectContaining({ key: 'never', endpoint: 'google' }),
+        }),
+      }),
+    );
+    expect(spendTokens).not.toHaveBeenCalled();
+  });
+
+  it('records the tokens of failed extractions', async () => {
+    runStructuredOutput.mockRejectedValue(new StructuredOutputError('invalid', usage));
+
+    await expect(
+      generateStructuredOutput({
+        user: { id: 'user-1' },
+        appConfig: {},
+        purpose: StructuredOutputPurposes.taskList,
+        instructions: 'Extract tasks',
+        input: 'Call the plumber',
+        schema,
+      }),
+    ).rejects.toThrow('invalid');
+    expect(spendTokens).toHaveBeenCalledWith(expect.objectContaining({ context: 'task_list' }), {
+      promptTokens: 120,
+      completionTokens: 30,
+    });
+  });
+});
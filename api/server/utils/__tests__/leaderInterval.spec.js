@@ -0,0 +1,76 @@
+jest.mock('@librechat/data-schemas', () => ({
+  logger: { info: jest.fn() },
+}));
+
+jest.mock('@librechat/api', () => ({
+  isLeader: jest.fn(),
+}));
+
+const { isLeader } = require('@librechat/api');
+const { logger } = require('@librechat/data-schemas');
+const { createLeaderInterval } = require('../leaderInterval');
+
+describe('createLeaderInterval', () => {
+  let task;
+  let job;
+  let minutes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isLeader.mockResolvedValue(true);
+    task = jest.fn().mockResolvedValue({ done: 1 });
+    minutes = 2;
+    job = createLeaderInterval({ name: 'Test job', getMinutes: () => minutes, task });
+  });
+
+  afterEach(() => {
+    job.stop();
+  });
+
+  it('only runs on the cluster leader', async () => {
+    expect(await job.run()).toEqual({ done: 1 });
+
+    isLeader.mockResolvedValue(false);
+    expect(await job.run()).toBeNull();
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not overlap a run still in progress, even while asking for the leader', async () => {
+    let finish;
+    task.mockImplementationOnce(() => new Promise((resolve) => (finish = resolve)));
+
+    const first = job.run();
+    expect(await job.run()).toBeNull();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(await job.run()).toBeNull();
+    expect(isLeader).toHaveBeenCalledTimes(1);
+
+    finish({ done: 2 });
+    expect(await first).toEqual({ done: 2 });
+    expect(await job.run()).toEqual({ done: 1 });
+  });
+
+  it('runs at once and then on its interval unless turned off', async () => {
+    jest.useFakeTimers();
+    try {
+      minutes = 0;
+      job.start();
+      expect(isLeader).not.toHaveBeenCalled();
+
+      minutes = 2;
+      job.start();
+      job.start();
+      expect(isLeader).toHaveBeenCalledTimes(1);
+      expect(logger.info).toHaveBeenCalledWith('Test job started, running every 2 minute(s).');
+
+      await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(2);
+
+      job.stop();
+      await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+      expect(task).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
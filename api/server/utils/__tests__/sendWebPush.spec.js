@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const webpush = require('web-push');
+
+jest.mock('web-push', () => ({
+  ...jest.requireActual('web-push'),
+  sendNotification: jest.fn(),
+}));
+
+const {
+  checkWebPushConfig,
+  isPushServiceEndpoint,
+  isValidSubscriptionKeys,
+  generateVapidKeys,
+  sendWebPush,
+} = require('../sendWebPush');
+
+/** The keys of a browser's push subscription */
+const createKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    p256dh: ecdh.getPublicKey().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url'),
+  };
+};
+
+describe('sendWebPush', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const { publicKey, privateKey } = generateVapidKeys();
+    process.env = {
+      ...env,
+      VAPID_PUBLIC_KEY: publicKey,
+      VAPID_PRIVATE_KEY: privateKey,
+      VAPID_SUBJECT: 'mailto:admin@example.com',
+    };
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('is configured when both VAPID keys are set', () => {
+    expect(checkWebPushConfig()).toBe(true);
+    delete process.env.VAPID_PRIVATE_KEY;
+    expect(checkWebPushConfig()).toBe(false);
+  });
+
+  it('sends the payload signed with the VAPID keys, with its TTL and urgency', async () => {
+    webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+    const subscription = {
+      endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+      keys: createKeys(),
+    };
+
+    expect(await sendWebPush(subscription, { title: 'Standup' }, { urgency: 'high' })).toEqual({
+      ok: true,
+      expired: false,
+    });
+    expect(webpush.sendNotification).toHaveBeenCalledWith(subscription, '{"title":"Standup"}', {
+      TTL: 86400,
+      urgency: 'high',
+      vapidDetails: {
+        subject: 'mailto:admin@example.com',
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+      },
+    });
+
+    await sendWebPush(subscription, {}, { ttl: 60 });
+    expect(webpush.sendNotification.mock.calls[1][2]).toMatchObject({ TTL: 60, urgency: 'normal' });
+  });
+
+  it('accepts subscription keys that decode to a P-256 key and a 16-byte secret', () => {
+    const keys = createKeys();
+    expect(isValidSubscriptionKeys(keys)).toBe(true);
+
+    expect(isValidSubscriptionKeys({ p256dh: 'key', auth: 'secret' })).toBe(false);
+    expect(isValidSubscriptionKeys({ ...keys, auth: keys.p256dh })).toBe(false);
+    expect(isValidSubscriptionKeys({ ...keys, p256dh: keys.p256dh.slice(0, 40) })).toBe(false);
+    expect(isValidSubscriptionKeys({ ...keys, auth: 'not base64url!!!!!!!!!!' })).toBe(false);
+    expect(isValidSubscriptionKeys({ p256dh: keys.p256dh })).toBe(false);
+    expect(isValidSubscriptionKeys(undefined)).toBe(false);
+  });
+
+  it('only accepts https endpoints of known push services', () => {
+    expect(isPushServiceEndpoint('https://fcm.googleapis.com/fcm/send/abc')).toBe(true);
+    expect(isPushServiceEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc')).toBe(
+      true,
+    );
+    expect(isPushServiceEndpoint('https://web.push.apple.com/QGuQ')).toBe(true);
+    expect(isPushServiceEndpoint('https://wns2-par02p.notify.windows.com/w/?token=abc')).toBe(true);
+
+    expect(isPushServiceEndpoint('http://fcm.googleapis.com/fcm/send/abc')).toBe(false);
+    expect(isPushServiceEndpoint('https://fcm.googleapis.com:8443/fcm/send/abc')).toBe(false);
+    expect(isPushServiceEndpoint('https://fcm.googleapis.com.example.com/abc')).toBe(false);
+    expect(isPushServiceEndpoint('https://evilfcm.googleapis.com.attacker.io/abc')).toBe(false);
+    expect(isPushServiceEndpoint('https://127.0.0.1/admin')).toBe(false);
+    expect(isPushServiceEndpoint('https://169.254.169.254/latest/meta-data')).toBe(false);
+    expect(isPushServiceEndpoint('not a url')).toBe(false);
+  });
+
+  it('does not request endpoints outside the known push services', async () => {
+    const subscription = { endpoint: 'https://10.0.0.5/internal', keys: createKeys() };
+
+    expect(await sendWebPush(subscription, {})).toEqual({ ok: false, expired: true });
+    expect(webpush.sendNotification).not.toHaveBeenCalled();
+  });
+
+  it('reports subscriptions the push service no longer knows as expired', async () => {
+    const subscription = {
+      endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+      keys: createKeys(),
+    };
+
+    webpush.sendNotification.mockRejectedValueOnce(
+      new webpush.WebPushError('Received unexpected response code', 410, {}, '', ''),
+    );
+    expect(await sendWebPush(subscription, {})).toEqual({ ok: false, expired: true });
+
+    const error = new webpush.WebPushError('Received unexpected response code', 500, {}, '', '');
+    webpush.sendNotification.mockRejectedValueOnce(error);
+    await expect(sendWebPush(subscription, {})).rejects.toBe(error);
+  });
+});
@@ -0,0 +1,56 @@
+const { isLeader } = require('@librechat/api');
+const { logger } = require('@librechat/data-schemas');
+const { Time } = require('librechat-data-provider');
+
+/**
+ * Creates a background job that runs every few minutes on the cluster leader only.
+ * Every instance runs the timer so a new leader takes over, and a run still in progress is never
+ * overlapped.
+ * @template T
+ * @param {Object} options
+ * @param {string} options.name - Named in the log when the job starts.
+ * @param {() => number} options.getMinutes - Minutes between runs; `0` turns the job off.
+ * @param {() => Promise<T>} options.task
+ * @returns {{ run: () => Promise<T | null>, start: () => void, stop: () => void }} `run`
+ *   resolves to `null` when the run was skipped.
+ */
+function createLeaderInterval({ name, getMinutes, task }) {
+  /** @type {NodeJS.Timeout | undefined} */
+  let timer;
+  let running = false;
+
+  async function run() {
+    if (running) {
+      return null;
+    }
+    running = true;
+    try {
+      if (!(await isLeader())) {
+        return null;
+      }
+      return await task();
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    const minutes = getMinutes();
+    if (timer || !(minutes > 0)) {
+      return;
+    }
+    timer = setInterval(run, minutes * Time.ONE_MINUTE);
+    timer.unref();
+    run();
+    logger.info(`${name} started, running every ${minutes} minute(s).`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = undefined;
+  }
+
+  return { run, start, stop };
+}
+
+module.exports = { createLeaderInterval };
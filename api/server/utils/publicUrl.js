@@ -0,0 +1,78 @@
+const net = require('net');
+const dns = require('dns').promises;
+
+/** Loopback, private, link-local and other non-public ranges */
+const privateAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  privateAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  privateAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} Whether the address is not reachable on the public internet.
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return privateAddresses.check(mapped[1], 'ipv4');
+  }
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Checks a user-supplied URL the server will send requests to: it must use https, carry no
+ * credentials, and its host must only resolve to public addresses.
+ * @param {string} value
+ * @returns {Promise<boolean>}
+ */
+async function isPublicHttpsUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.username || url.password) {
+    return false;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses = [host];
+  if (net.isIP(host) === 0) {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map(
+        ({ address }) => address,
+      );
+    } catch {
+      return false;
+    }
+  }
+  return addresses.length > 0 && !addresses.some(isPrivateAddress);
+}
+
+module.exports = { isPrivateAddress, isPublicHttpsUrl };
@@ -0,0 +1,126 @@
+const webpush = require('web-push');
+
+/**
+ * Web Push through the `web-push` package, which encrypts payloads for the browser and signs
+ * requests with the server's VAPID key. Keys are base64url encoded; `npm run generate-vapid-keys`
+ * prints a pair.
+ */
+
+/** Seconds a push service keeps an undelivered message. */
+const DEFAULT_TTL = 24 * 60 * 60;
+
+/** Bytes of a subscription's keys: an uncompressed P-256 point and a 16-byte auth secret. */
+const P256DH_LENGTH = 65;
+const AUTH_LENGTH = 16;
+
+/**
+ * Hosts of the push services browsers subscribe with: Chrome, Edge and other Chromium browsers
+ * (FCM), Firefox (Mozilla autopush), Safari (Apple) and Windows (WNS). Endpoints are supplied by
+ * the browser, so any other host is refused rather than requested from the server.
+ */
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'push.services.mozilla.com',
+  'push.apple.com',
+  'notify.windows.com',
+];
+
+/**
+ * Whether an endpoint is an `https` URL of a known push service (see `PUSH_SERVICE_HOSTS`).
+ * @param {unknown} endpoint
+ * @returns {boolean}
+ */
+function isPushServiceEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  return (
+    url.protocol === 'https:' &&
+    (url.port === '' || url.port === '443') &&
+    PUSH_SERVICE_HOSTS.some((allowed) => host === allowed || host.endsWith(`.${allowed}`))
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number} The decoded length of a base64url string, or -1 when it is not one.
+ */
+function decodedLength(value) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+={0,2}$/.test(value)) {
+    return -1;
+  }
+  return Buffer.from(value, 'base64url').length;
+}
+
+/**
+ * Whether a subscription's keys decode to a P-256 public key and an auth secret.
+ * @param {unknown} keys
+ * @returns {boolean}
+ */
+function isValidSubscriptionKeys(keys) {
+  return decodedLength(keys?.p256dh) === P256DH_LENGTH && decodedLength(keys?.auth) === AUTH_LENGTH;
+}
+
+/**
+ * Checks if Web Push is configured.
+ * @returns {boolean} `true` when both VAPID keys are set.
+ */
+function checkWebPushConfig() {
+  return !!process.env.VAPID_PUBLIC_KEY && !!process.env.VAPID_PRIVATE_KEY;
+}
+
+/**
+ * Generates a VAPID key pair.
+ * @returns {{ publicKey: string, privateKey: string }}
+ */
+function generateVapidKeys() {
+  return webpush.generateVAPIDKeys();
+}
+
+/**
+ * Sends a push message to a browser.
+ * @param {{ endpoint: string, keys: { p256dh: string, auth: string } }} subscription
+ * @param {Object} payload - Sent as JSON to the service worker.
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Seconds the push service keeps the message if undelivered.
+ * @param {'very-low' | 'low' | 'normal' | 'high'} [options.urgency] - How soon the push service
+ * should wake the device for the message.
+ * @returns {Promise<{ ok: boolean, expired: boolean }>} `expired` when the subscription is gone,
+ * or does not point to a known push service, and should be deleted.
+ */
+async function sendWebPush(subscription, payload, { ttl = DEFAULT_TTL, urgency = 'normal' } = {}) {
+  if (!isPushServiceEndpoint(subscription.endpoint)) {
+    return { ok: false, expired: true };
+  }
+  try {
+    await webpush.sendNotification(subscription, JSON.stringify(payload), {
+      TTL: ttl,
+      urgency,
+      vapidDetails: {
+        subject:
+          process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM || 'noreply@librechat.ai'}`,
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+      },
+    });
+    return { ok: true, expired: false };
+  } catch (error) {
+    if (error?.statusCode === 404 || error?.statusCode === 410) {
+      return { ok: false, expired: true };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  checkWebPushConfig,
+  isPushServiceEndpoint,
+  isValidSubscriptionKeys,
+  generateVapidKeys,
+  sendWebPush,
+};
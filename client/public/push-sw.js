@@ -0,0 +1,73 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Reminder push notifications. Imported by the generated service worker in production builds and
+ * registered on its own in development, where the generated worker is disabled.
+ *
+ * Each push carries a single-use token that authorizes the Snooze and Complete actions, since the
+ * service worker has no session to call the API with. Clicking the notification itself opens the
+ * app, where the reminder waits in the reminder feed.
+ */
+
+const SNOOZE_MINUTES = 10;
+
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  const actions = [{ action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` }];
+  if (data.type === 'task') {
+    actions.push({ action: 'complete', title: 'Complete' });
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Reminder', {
+      body: data.body || '',
+      tag: data.id,
+      icon: 'assets/icon-192x192.png',
+      badge: 'assets/favicon-32x32.png',
+      requireInteraction: true,
+      actions,
+      data,
+    }),
+  );
+});
+
+/**
+ * @param {{ id: string, token: string }} data
+ * @param {'snooze' | 'complete'} action
+ */
+function sendAction(data, action) {
+  const body = { token: data.token, action };
+  if (action === 'snooze') {
+    body.minutes = SNOOZE_MINUTES;
+  }
+  return fetch(`api/notifications/${data.id}/actions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }).catch(() => undefined);
+}
+
+/** Focuses an open LibreChat window on `url`, or opens one. */
+async function openApp(url) {
+  const target = new URL(url, self.registration.scope);
+  if (target.origin !== self.location.origin) {
+    return self.clients.openWindow(target.href);
+  }
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = windows.find((candidate) => candidate.url.startsWith(self.registration.scope));
+  if (client) {
+    return client.focus();
+  }
+  return self.clients.openWindow(target.href);
+}
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification } = event;
+  const data = notification.data || {};
+  notification.close();
+
+  if (event.action === 'snooze' || event.action === 'complete') {
+    event.waitUntil(sendAction(data, event.action));
+    return;
+  }
+  event.waitUntil(openApp(data.url || '/'));
+});
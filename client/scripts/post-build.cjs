@@ -4,7 +4,10 @@ async function postBuild() {
   try {
     await fs.copy('public/assets', 'dist/assets');
     await fs.copy('public/robots.txt', 'dist/robots.txt');
-    console.log('✅ PWA icons and robots.txt copied successfully. Glob pattern warnings resolved.');
+    await fs.copy('public/push-sw.js', 'dist/push-sw.js');
+    console.log(
+      '✅ PWA icons, robots.txt and push-sw.js copied successfully. Glob pattern warnings resolved.',
+    );
   } catch (err) {
     console.error('❌ Error copying files:', err);
     process.exit(1);
@@ -12,6 +12,7 @@ import { Badge } from '@librechat/client';
 import { useRecoilValue, useRecoilCallback } from 'recoil';
 import type { LucideIcon } from 'lucide-react';
 import CodeInterpreter from './CodeInterpreter';
+import ContextSources from './ContextSources';
 import { BadgeRowProvider } from '~/Providers';
 import ToolsDropdown from './ToolsDropdown';
 import type { BadgeItem } from '~/common';
@@ -371,6 +372,7 @@ function BadgeRow({
             <MCPSelect />
           </>
         )}
+        <ContextSources />
         {ghostBadge && (
           <div
             className="ghost-badge h-full"
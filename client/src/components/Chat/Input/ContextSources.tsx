@@ -0,0 +1,77 @@
+import { memo, useCallback } from 'react';
+import { BookUser } from 'lucide-react';
+import { SelectItemCheck } from '@ariakit/react';
+import { MultiSelect } from '@librechat/client';
+import { ContextSources as Sources } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useLocalize, useContextSources } from '~/hooks';
+import { useChatContext } from '~/Providers';
+
+const sourceLabels: Record<Sources, TranslationKeys> = {
+  [Sources.personal]: 'com_ui_context_source_personal',
+  [Sources.calendar]: 'com_ui_context_source_calendar',
+  [Sources.email]: 'com_ui_context_source_email',
+  [Sources.tasks]: 'com_ui_context_source_tasks',
+};
+
+function ContextSources() {
+  const localize = useLocalize();
+  const { conversation } = useChatContext();
+  const { sources, enabledSources, setEnabledSources } = useContextSources({
+    conversationId: conversation?.conversationId,
+    endpoint: conversation?.endpoint,
+    agentId: conversation?.agent_id,
+  });
+
+  const getLabel = useCallback(
+    (source: string) => {
+      const label = sourceLabels[source as Sources] as TranslationKeys | undefined;
+      return label ? localize(label) : source;
+    },
+    [localize],
+  );
+
+  const renderSelectedValues = useCallback(
+    (values: string[]) => {
+      if (values.length === 0) {
+        return localize('com_ui_context_sources_none');
+      }
+      if (values.length === 1) {
+        return getLabel(values[0]);
+      }
+      return localize('com_ui_context_sources');
+    },
+    [localize, getLabel],
+  );
+
+  const renderItemContent = useCallback(
+    (source: string) => (
+      <>
+        <SelectItemCheck className="mr-0.5 text-primary" />
+        <span className="truncate">{getLabel(source)}</span>
+      </>
+    ),
+    [getLabel],
+  );
+
+  if (sources.length === 0) {
+    return null;
+  }
+
+  return (
+    <MultiSelect
+      items={sources}
+      selectedValues={enabledSources}
+      setSelectedValues={setEnabledSources}
+      renderSelectedValues={renderSelectedValues}
+      renderItemContent={renderItemContent}
+      popoverClassName="min-w-fit"
+      className="badge-icon min-w-fit"
+      selectIcon={<BookUser className="icon-md text-text-primary" aria-hidden="true" />}
+      selectItemsClassName="border border-blue-600/50 bg-blue-500/10 hover:bg-blue-700/10"
+      selectClassName="group relative inline-flex items-center justify-center md:justify-start gap-1.5 rounded-full border border-border-medium text-sm font-medium transition-all md:w-full size-9 p-2 md:p-3 bg-transparent shadow-sm hover:bg-surface-hover hover:shadow-md active:shadow-inner"
+    />
+  );
+}
+
+export default memo(ContextSources);
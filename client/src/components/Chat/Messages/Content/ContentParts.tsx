@@ -11,6 +11,9 @@ import MemoryArtifacts from './MemoryArtifacts';
 import Sources from '~/components/Web/Sources';
 import { mapAttachments } from '~/utils/map';
 import { EditTextPart } from './Parts';
+import EmailActions from './EmailActions';
+import ProfileUpdates from './ProfileUpdate';
+import TaskChanges from './TaskChanges';
 import Part from './Part';
 
 type ContentPartsProps = {
@@ -134,6 +137,9 @@ const ContentParts = memo(
               </MessageContext.Provider>
             );
           })}
+          {!effectiveIsSubmitting && <TaskChanges attachments={attachments} />}
+          {!effectiveIsSubmitting && <EmailActions attachments={attachments} />}
+          {!effectiveIsSubmitting && <ProfileUpdates attachments={attachments} />}
         </SearchContext.Provider>
       </>
     );
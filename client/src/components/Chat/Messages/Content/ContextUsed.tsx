@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { BookUser, ChevronDown } from 'lucide-react';
+import { ContextSources } from 'librechat-data-provider';
+import type { TMessage, TContextUsage } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+const sourceLabels: Record<ContextSources, TranslationKeys> = {
+  [ContextSources.personal]: 'com_ui_context_source_personal',
+  [ContextSources.calendar]: 'com_ui_context_source_calendar',
+  [ContextSources.email]: 'com_ui_context_source_email',
+  [ContextSources.tasks]: 'com_ui_context_source_tasks',
+};
+
+/** Expandable list of the context sources injected into the prompt of a response */
+export default function ContextUsed({ metadata }: { metadata?: TMessage['metadata'] }) {
+  const localize = useLocalize();
+  const [expanded, setExpanded] = useState(false);
+  const context = metadata?.context as TContextUsage | undefined;
+
+  if (!context?.sources?.length) {
+    return null;
+  }
+
+  const hasErrors = context.sources.some((source) => source.error != null);
+
+  return (
+    <div className="my-1 text-sm">
+      <button
+        type="button"
+        onClick={() => setExpanded((prev) => !prev)}
+        aria-expanded={expanded}
+        className={cn(
+          'flex items-center gap-1 font-semibold transition-colors',
+          hasErrors
+            ? 'text-red-500 hover:text-red-600 dark:text-red-400'
+            : 'text-text-secondary-alt hover:text-text-primary',
+        )}
+      >
+        <BookUser className="size-4" aria-hidden="true" />
+        {localize('com_ui_context_used', { 0: context.tokens.toLocaleString() })}
+        <ChevronDown
+          className={cn('size-4 transition-transform', expanded && 'rotate-180')}
+          aria-hidden="true"
+        />
+      </button>
+      {expanded && (
+        <ul className="mt-1 space-y-2 rounded-xl border border-border-light bg-surface-primary-alt p-3 shadow-sm">
+          {context.sources.map(({ name, tokens, items, truncated, omitted, error }) => (
+            <li key={name}>
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium text-text-primary">
+                  {sourceLabels[name] != null ? localize(sourceLabels[name]) : name}
+                </span>
+                <span className="text-xs text-text-secondary">
+                  {[
+                    localize('com_ui_context_used_tokens', { 0: tokens.toLocaleString() }),
+                    items?.length
+                      ? localize('com_ui_context_used_items', { 0: items.length })
+                      : null,
+                    truncated === true ? localize('com_ui_context_used_truncated') : null,
+                    omitted === true ? localize('com_ui_context_used_omitted') : null,
+                  ]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </span>
+              </div>
+              {error != null && (
+                <div className="mt-1 rounded-md bg-red-50 p-2 text-xs text-red-800 dark:bg-red-900/20 dark:text-red-400">
+                  {error}
+                </div>
+              )}
+              {items?.length ? (
+                <div className="mt-1 break-all font-mono text-xs text-text-secondary">
+                  {items.join(', ')}
+                </div>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
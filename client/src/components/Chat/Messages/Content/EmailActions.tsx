@@ -0,0 +1,169 @@
+import { useMemo } from 'react';
+import { Mail } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { Tools } from 'librechat-data-provider';
+import { Button, Spinner, useToastContext } from '@librechat/client';
+import type { TAttachment, EmailActionArtifact, EmailActionType } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { formatDueDate } from '~/components/SidePanel/Tasks/utils';
+import { useReviewEmailActionMutation } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+const actionLabels: Record<EmailActionType, TranslationKeys> = {
+  draft_reply: 'com_ui_email_action_draft_reply',
+  archive: 'com_ui_email_action_archive',
+  label: 'com_ui_email_action_label',
+  mark_read: 'com_ui_email_action_mark_read',
+  snooze: 'com_ui_email_action_snooze',
+  add_event: 'com_ui_email_action_add_event',
+};
+
+const statusLabels: Record<EmailActionArtifact['status'], TranslationKeys> = {
+  pending: 'com_ui_email_action_pending',
+  applying: 'com_ui_email_action_applying',
+  applied: 'com_ui_email_action_applied',
+  cancelled: 'com_ui_email_action_cancelled',
+  error: 'com_ui_email_action_error',
+};
+
+function ActionDetails({ action }: { action: EmailActionArtifact }) {
+  const localize = useLocalize();
+
+  if (action.type === 'draft_reply') {
+    return (
+      <div className="mt-2 space-y-1">
+        <div className="text-xs text-text-secondary">
+          {localize('com_ui_email_action_to', { 0: action.to ?? action.from })}
+        </div>
+        <div className="whitespace-pre-wrap rounded-md bg-surface-secondary p-2 text-text-primary">
+          {action.body}
+        </div>
+      </div>
+    );
+  }
+  if (action.type === 'label') {
+    const labels = [
+      ...(action.addLabels ?? []).map((label) => `+ ${label}`),
+      ...(action.removeLabels ?? []).map((label) => `− ${label}`),
+    ];
+    return (
+      <div className="mt-2 flex flex-wrap gap-1">
+        {labels.map((label) => (
+          <span
+            key={label}
+            className="rounded-full border border-border-light px-2 py-0.5 text-xs text-text-primary"
+          >
+            {label}
+          </span>
+        ))}
+      </div>
+    );
+  }
+  if (action.type === 'add_event' && action.event) {
+    const { summary, start, allDay, location, organizer } = action.event;
+    /** All-day events have a plain date, read in local time */
+    const when = allDay ? format(parseISO(start), 'EEE, MMM d') : formatDueDate(start);
+    return (
+      <div className="mt-2 rounded-md bg-surface-secondary p-2">
+        <div className="font-medium text-text-primary">{summary}</div>
+        <div className="text-xs text-text-secondary">
+          {[when, location, organizer].filter(Boolean).join(' · ')}
+        </div>
+      </div>
+    );
+  }
+  if (action.type === 'snooze' && action.until) {
+    return (
+      <div className="mt-2 text-xs text-text-secondary">
+        {localize('com_ui_email_action_until', { 0: formatDueDate(action.until) })}
+      </div>
+    );
+  }
+  return null;
+}
+
+function EmailActionCard({ attachment }: { attachment: TAttachment }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const action = attachment[Tools.email_action] as EmailActionArtifact;
+
+  const reviewMutation = useReviewEmailActionMutation(
+    attachment.conversationId ?? '',
+    attachment.messageId ?? '',
+    {
+      onError: () => {
+        showToast({ message: localize('com_ui_email_action_review_error'), status: 'error' });
+      },
+    },
+  );
+
+  const isReviewing = reviewMutation.isLoading;
+  const review = (confirm: boolean) =>
+    reviewMutation.mutate({ toolCallId: attachment.toolCallId, confirm });
+
+  return (
+    <div className="my-2 rounded-xl border border-border-light bg-surface-primary-alt p-3 text-sm shadow-sm">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <h4 className="flex items-center gap-1.5 font-semibold text-text-primary">
+          <Mail className="size-4" aria-hidden="true" />
+          {localize(actionLabels[action.type])}
+        </h4>
+        <span
+          className={cn(
+            'text-xs',
+            action.status === 'error' ? 'text-red-500' : 'text-text-secondary',
+          )}
+        >
+          {localize(statusLabels[action.status])}
+        </span>
+      </div>
+
+      <div className="font-medium text-text-primary">{action.subject}</div>
+      <div className="text-xs text-text-secondary">
+        {[action.from, action.date].filter(Boolean).join(' · ')}
+      </div>
+      {action.snippet && (
+        <div className="mt-1 line-clamp-2 text-xs text-text-secondary">{action.snippet}</div>
+      )}
+      <ActionDetails action={action} />
+
+      {action.error != null && (
+        <div className="mt-2 rounded-md bg-red-50 p-2 text-xs text-red-800 dark:bg-red-900/20 dark:text-red-400">
+          {action.error}
+        </div>
+      )}
+
+      {action.status === 'pending' && (
+        <div className="mt-3 flex flex-wrap justify-end gap-2">
+          <Button variant="outline" size="sm" disabled={isReviewing} onClick={() => review(false)}>
+            {localize('com_ui_cancel')}
+          </Button>
+          <Button variant="submit" size="sm" disabled={isReviewing} onClick={() => review(true)}>
+            {isReviewing ? <Spinner className="size-4" /> : localize('com_ui_confirm')}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Preview cards of the Gmail actions proposed on a message, confirmed one at a time */
+export default function EmailActions({ attachments }: { attachments?: TAttachment[] }) {
+  const actions = useMemo(
+    () =>
+      (attachments ?? []).filter((a) => a?.type === Tools.email_action && a[Tools.email_action]),
+    [attachments],
+  );
+
+  if (actions.length === 0) {
+    return null;
+  }
+  return (
+    <>
+      {actions.map((attachment) => (
+        <EmailActionCard key={attachment.toolCallId} attachment={attachment} />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,176 @@
+import { useMemo } from 'react';
+import { UserRound } from 'lucide-react';
+import { format } from 'date-fns';
+import { Tools } from 'librechat-data-provider';
+import { Button, Spinner, useToastContext } from '@librechat/client';
+import type { TAttachment, TPersonalProfile, ProfileUpdateArtifact } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useReviewProfileUpdateMutation } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+type ProfileField = keyof TPersonalProfile;
+
+const fieldLabels: Record<ProfileField, TranslationKeys> = {
+  workingHours: 'com_ui_profile_working_hours',
+  routines: 'com_ui_profile_routines',
+  energyPeaks: 'com_ui_profile_energy_peaks',
+  commitments: 'com_ui_profile_commitments',
+  people: 'com_ui_profile_people',
+  planningPreferences: 'com_ui_profile_planning_preferences',
+  notes: 'com_ui_profile_notes',
+};
+
+const statusLabels: Record<ProfileUpdateArtifact['status'], TranslationKeys> = {
+  pending: 'com_ui_profile_update_pending',
+  applying: 'com_ui_profile_update_applying',
+  approved: 'com_ui_profile_update_approved',
+  dismissed: 'com_ui_profile_update_dismissed',
+  error: 'com_ui_profile_update_error',
+};
+
+/** Lines a profile field is shown as; none when it is not set */
+function fieldLines<T extends ProfileField>(field: T, value: TPersonalProfile[T]): string[] {
+  if (value == null || value === '') {
+    return [];
+  }
+  if (field === 'workingHours') {
+    const { start, end, days } = value as NonNullable<TPersonalProfile['workingHours']>;
+    /** ISO weekdays; January 1, 2024 was a Monday */
+    const weekdays = days.map((day) => format(new Date(2024, 0, day), 'EEE'));
+    return [[`${start}–${end}`, weekdays.join(', ')].filter(Boolean).join(' · ')];
+  }
+  if (field === 'people') {
+    return (value as NonNullable<TPersonalProfile['people']>).map(({ name, role, notes }) =>
+      [name, role ? ` (${role})` : '', notes ? `: ${notes}` : ''].join(''),
+    );
+  }
+  if (Array.isArray(value)) {
+    return value as string[];
+  }
+  return [String(value)];
+}
+
+function FieldValue({ lines, className }: { lines: string[]; className?: string }) {
+  const localize = useLocalize();
+  if (lines.length === 0) {
+    return (
+      <div className={cn('italic text-text-secondary', className)}>
+        {localize('com_ui_profile_update_unset')}
+      </div>
+    );
+  }
+  return (
+    <ul className={cn('whitespace-pre-wrap', className)}>
+      {lines.map((line, i) => (
+        <li key={i}>{line}</li>
+      ))}
+    </ul>
+  );
+}
+
+function ProfileUpdateCard({ attachment }: { attachment: TAttachment }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const update = attachment[Tools.profile_update] as ProfileUpdateArtifact;
+
+  const reviewMutation = useReviewProfileUpdateMutation(
+    attachment.conversationId ?? '',
+    attachment.messageId ?? '',
+    {
+      onError: () => {
+        showToast({ message: localize('com_ui_profile_update_review_error'), status: 'error' });
+      },
+    },
+  );
+
+  const isReviewing = reviewMutation.isLoading;
+  const review = (approve: boolean) =>
+    reviewMutation.mutate({ toolCallId: attachment.toolCallId, approve });
+
+  const fields = Object.keys(update.changes) as ProfileField[];
+
+  return (
+    <div className="my-2 rounded-xl border border-border-light bg-surface-primary-alt p-3 text-sm shadow-sm">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <h4 className="flex items-center gap-1.5 font-semibold text-text-primary">
+          <UserRound className="size-4" aria-hidden="true" />
+          {localize('com_ui_profile_update')}
+        </h4>
+        <span
+          className={cn(
+            'text-xs',
+            update.status === 'error' ? 'text-red-500' : 'text-text-secondary',
+          )}
+        >
+          {localize(statusLabels[update.status])}
+        </span>
+      </div>
+
+      {update.reason && <div className="mb-2 text-xs text-text-secondary">{update.reason}</div>}
+
+      <div className="space-y-2">
+        {fields.map((field) => {
+          const previous = fieldLines(field, update.previous[field]);
+          return (
+            <div key={field}>
+              <div className="text-xs font-medium text-text-primary">
+                {localize(fieldLabels[field])}
+              </div>
+              {previous.length > 0 && (
+                <FieldValue lines={previous} className="text-xs text-text-secondary line-through" />
+              )}
+              <FieldValue
+                lines={fieldLines(field, update.changes[field])}
+                className="text-text-primary"
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      {update.error != null && (
+        <div className="mt-2 rounded-md bg-red-50 p-2 text-xs text-red-800 dark:bg-red-900/20 dark:text-red-400">
+          {update.error}
+        </div>
+      )}
+
+      {update.status === 'pending' && (
+        <div className="mt-3 flex flex-wrap justify-end gap-2">
+          <Button variant="outline" size="sm" disabled={isReviewing} onClick={() => review(false)}>
+            {localize('com_ui_profile_update_dismiss')}
+          </Button>
+          <Button variant="submit" size="sm" disabled={isReviewing} onClick={() => review(true)}>
+            {isReviewing ? (
+              <Spinner className="size-4" />
+            ) : (
+              localize('com_ui_profile_update_approve')
+            )}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Cards of the profile changes proposed on a message, applied once the user approves them */
+export default function ProfileUpdates({ attachments }: { attachments?: TAttachment[] }) {
+  const updates = useMemo(
+    () =>
+      (attachments ?? []).filter(
+        (a) => a?.type === Tools.profile_update && a[Tools.profile_update],
+      ),
+    [attachments],
+  );
+
+  if (updates.length === 0) {
+    return null;
+  }
+  return (
+    <>
+      {updates.map((attachment) => (
+        <ProfileUpdateCard key={attachment.toolCallId} attachment={attachment} />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,271 @@
+import { useState, useMemo } from 'react';
+import { Undo2 } from 'lucide-react';
+import { Tools } from 'librechat-data-provider';
+import { Button, Checkbox, Spinner, useToastContext } from '@librechat/client';
+import type { TAttachment, TaskChangeItem } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useReviewTaskChangesMutation, useUndoTaskChangesMutation } from '~/data-provider';
+import {
+  formatDuration,
+  priorityLabels,
+  getRepeatLabel,
+  taskChangeGroups,
+} from '~/components/SidePanel/Tasks/utils';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+function ChangeDetails({ change }: { change: TaskChangeItem }) {
+  const localize = useLocalize();
+  const details: string[] = [];
+
+  if (change.previousName != null && change.previousName !== change.name) {
+    details.push(localize('com_ui_task_changes_renamed', { 0: change.previousName }));
+  }
+  if (change.fields?.includes('project') && change.fromProject) {
+    details.push(`${change.fromProject} → ${change.project}`);
+  } else if (change.type !== 'delete_project') {
+    details.push(change.project);
+  }
+  if (change.fields?.includes('due')) {
+    details.push(`${change.previousDue ?? '—'} → ${change.due ?? '—'}`);
+  } else if (change.due) {
+    details.push(change.due);
+  }
+  const duration = (task?: TaskChangeItem['after']) =>
+    task?.duration ? formatDuration(task.duration) : '—';
+  if (change.fields?.includes('duration')) {
+    details.push(`${duration(change.before)} → ${duration(change.after)}`);
+  } else if (change.after?.duration) {
+    details.push(duration(change.after));
+  }
+
+  type ChangeTask = TaskChangeItem['after'];
+  const attributes: [string, (task?: ChangeTask) => string][] = [
+    [
+      'priority',
+      (task) => {
+        const priority = priorityLabels.find(({ value }) => value === (task?.priority ?? 0));
+        return priority && priority.value > 0 ? localize(priority.label) : '';
+      },
+    ],
+    [
+      'repeat',
+      (task) => {
+        const label = getRepeatLabel(task?.repeat);
+        return label ? localize(label) : '';
+      },
+    ],
+    ['tags', (task) => (task?.tags ?? []).map((tag) => `#${tag}`).join(' ')],
+    [
+      'items',
+      (task) =>
+        (task?.items ?? [])
+          .map((item) => `${item.completed ? '☑' : '☐'} ${item.title}`)
+          .join(', '),
+    ],
+    [
+      'parent',
+      (task) =>
+        task?.parent ? localize('com_ui_task_changes_subtask_of', { 0: task.parent }) : '',
+    ],
+  ];
+  for (const [field, format] of attributes) {
+    if (change.fields?.includes(field)) {
+      details.push(`${format(change.before) || '—'} → ${format(change.after) || '—'}`);
+    } else if (change.type === 'add' && format(change.after)) {
+      details.push(format(change.after));
+    }
+  }
+
+  return <div className="text-xs text-text-secondary">{details.join(' · ')}</div>;
+}
+
+export default function TaskChanges({ attachments }: { attachments?: TAttachment[] }) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+
+  const attachment = useMemo(
+    () => attachments?.find((a) => a?.type === Tools.task_changes && a[Tools.task_changes]),
+    [attachments],
+  );
+  const artifact = attachment?.[Tools.task_changes];
+  const changes = useMemo(() => artifact?.changes ?? [], [artifact]);
+
+  /** Changes proposed after suspicious third-party content are only applied when picked one by one */
+  const suspicious = artifact?.suspicious === true;
+  const [selected, setSelected] = useState<Set<string>>(
+    () => new Set(suspicious ? [] : changes.map((change) => change.id)),
+  );
+
+  const reviewMutation = useReviewTaskChangesMutation(
+    attachment?.conversationId ?? '',
+    attachment?.messageId ?? '',
+    {
+      onError: () => {
+        showToast({ message: localize('com_ui_task_changes_error'), status: 'error' });
+      },
+    },
+  );
+
+  const undoMutation = useUndoTaskChangesMutation(
+    attachment?.conversationId ?? '',
+    attachment?.messageId ?? '',
+    {
+      onError: () => {
+        showToast({ message: localize('com_ui_task_changes_undo_error'), status: 'error' });
+      },
+    },
+  );
+
+  if (!attachment || !artifact || changes.length === 0) {
+    return null;
+  }
+
+  const isPending = artifact.status === 'pending';
+  const isReviewing = reviewMutation.isLoading;
+  /** Written changes, even partially written ones, can be undone once */
+  const canUndo =
+    artifact.changeSetId != null && (artifact.status === 'applied' || artifact.status === 'error');
+
+  const toggle = (id: string, checked: boolean) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (checked) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      return next;
+    });
+  };
+
+  const review = (accept: string[]) => reviewMutation.mutate({ accept });
+
+  const statusLabel: Record<typeof artifact.status, TranslationKeys> = {
+    pending: 'com_ui_task_changes_pending',
+    applying: 'com_ui_task_changes_applying',
+    applied: 'com_ui_task_changes_applied',
+    rejected: 'com_ui_task_changes_rejected',
+    error: 'com_ui_task_changes_error',
+    undone: 'com_ui_task_changes_undone',
+  };
+
+  return (
+    <div className="my-2 rounded-xl border border-border-light bg-surface-primary-alt p-3 text-sm shadow-sm">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <h4 className="font-semibold text-text-primary">{localize('com_ui_task_changes')}</h4>
+        <span
+          className={cn(
+            'text-xs',
+            artifact.status === 'error' ? 'text-red-500' : 'text-text-secondary',
+          )}
+        >
+          {localize(statusLabel[artifact.status])}
+        </span>
+      </div>
+
+      {suspicious && isPending && (
+        <div className="mb-2 rounded-md bg-yellow-50 p-2 text-xs text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400">
+          {localize('com_ui_task_changes_suspicious')}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {taskChangeGroups.map(({ type, label }) => {
+          const group = changes.filter((change) => change.type === type);
+          if (group.length === 0) {
+            return null;
+          }
+          return (
+            <div key={type}>
+              <div className="mb-1 text-xs font-medium uppercase tracking-wide text-text-secondary">
+                {localize(label)}
+              </div>
+              <ul className="space-y-1">
+                {group.map((change) => {
+                  const checked = isPending ? selected.has(change.id) : !!change.accepted;
+                  return (
+                    <li key={change.id} className="flex items-start gap-2">
+                      <Checkbox
+                        checked={checked}
+                        disabled={!isPending || isReviewing}
+                        onCheckedChange={(value) => toggle(change.id, value === true)}
+                        className="mt-0.5 h-4 w-4 shrink-0"
+                        aria-label={change.name}
+                      />
+                      <div className={cn(!checked && 'opacity-60')}>
+                        <div
+                          className={cn(
+                            'text-text-primary',
+                            (type === 'delete' || type === 'delete_project') && 'line-through',
+                          )}
+                        >
+                          {change.name}
+                        </div>
+                        <ChangeDetails change={change} />
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+
+      {artifact.error != null && (
+        <div className="mt-2 rounded-md bg-red-50 p-2 text-xs text-red-800 dark:bg-red-900/20 dark:text-red-400">
+          {artifact.error}
+        </div>
+      )}
+
+      {isPending && (
+        <div className="mt-3 flex flex-wrap justify-end gap-2">
+          <Button variant="outline" size="sm" disabled={isReviewing} onClick={() => review([])}>
+            {localize('com_ui_task_changes_reject')}
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={isReviewing || selected.size === 0}
+            onClick={() => review([...selected])}
+          >
+            {localize('com_ui_task_changes_apply_selected', { 0: selected.size })}
+          </Button>
+          {!suspicious && (
+            <Button
+              variant="submit"
+              size="sm"
+              disabled={isReviewing}
+              onClick={() => review(changes.map((change) => change.id))}
+            >
+              {isReviewing ? (
+                <Spinner className="size-4" />
+              ) : (
+                localize('com_ui_task_changes_accept')
+              )}
+            </Button>
+          )}
+        </div>
+      )}
+
+      {canUndo && (
+        <div className="mt-3 flex justify-end">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={undoMutation.isLoading}
+            onClick={() => undoMutation.mutate()}
+          >
+            {undoMutation.isLoading ? (
+              <Spinner className="size-4" />
+            ) : (
+              <Undo2 className="size-4" aria-hidden="true" />
+            )}
+            {localize('com_ui_task_changes_undo')}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
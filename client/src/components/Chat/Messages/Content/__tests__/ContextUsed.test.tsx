@@ -0,0 +1,59 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { ContextSources } from 'librechat-data-provider';
+import type { TContextUsage } from 'librechat-data-provider';
+import ContextUsed from '../ContextUsed';
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string, options?: Record<string, unknown>) =>
+    options?.[0] != null ? `${key}:${options[0]}` : key,
+}));
+
+describe('ContextUsed', () => {
+  const context: TContextUsage = {
+    tokens: 812,
+    sources: [
+      { name: ContextSources.personal, tokens: 40 },
+      {
+        name: ContextSources.calendar,
+        tokens: 14,
+        error: 'Google access has expired',
+      },
+      {
+        name: ContextSources.email,
+        tokens: 750,
+        items: ['m1', 'm2'],
+        truncated: true,
+      },
+      { name: ContextSources.tasks, tokens: 0, omitted: true },
+    ],
+  };
+
+  it('lists the sources of the prompt once expanded', () => {
+    render(<ContextUsed metadata={{ context }} />);
+
+    const button = screen.getByRole('button', { name: /com_ui_context_used:812/ });
+    expect(button).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByText('com_ui_context_source_email')).not.toBeInTheDocument();
+
+    fireEvent.click(button);
+    expect(button).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByText('com_ui_context_source_personal')).toBeInTheDocument();
+    expect(screen.getByText('Google access has expired')).toBeInTheDocument();
+    expect(
+      screen.getByText(
+        'com_ui_context_used_tokens:750 · com_ui_context_used_items:2 · com_ui_context_used_truncated',
+      ),
+    ).toBeInTheDocument();
+    expect(screen.getByText('m1, m2')).toBeInTheDocument();
+    expect(
+      screen.getByText('com_ui_context_used_tokens:0 · com_ui_context_used_omitted'),
+    ).toBeInTheDocument();
+  });
+
+  it('renders nothing for responses without injected context', () => {
+    const { container } = render(<ContextUsed metadata={{ agentIdMap: {} }} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,134 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { Tools } from 'librechat-data-provider';
+import type { TAttachment, EmailActionArtifact } from 'librechat-data-provider';
+import EmailActions from '../EmailActions';
+
+const mockMutate = jest.fn();
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string, options?: Record<string, unknown>) =>
+    options?.[0] != null ? `${key}:${options[0]}` : key,
+}));
+
+jest.mock('~/data-provider', () => ({
+  useReviewEmailActionMutation: () => ({ mutate: mockMutate, isLoading: false }),
+}));
+
+jest.mock('@librechat/client', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+  Spinner: () => <span />,
+  Button: ({ children, ...props }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+    <button {...props}>{children}</button>
+  ),
+}));
+
+describe('EmailActions', () => {
+  const createAttachment = (
+    toolCallId: string,
+    artifact: Partial<EmailActionArtifact>,
+  ): TAttachment =>
+    ({
+      type: Tools.email_action,
+      messageId: 'msg-1',
+      conversationId: 'convo-1',
+      toolCallId,
+      [Tools.email_action]: {
+        status: 'pending',
+        type: 'archive',
+        messageId: 'gmail-1',
+        from: 'John Doe <john@example.com>',
+        subject: 'Invoice',
+        date: 'Tue, 23 Dec 2025 10:00:00 -0500',
+        snippet: 'Please find the invoice attached',
+        ...artifact,
+      },
+    }) as TAttachment;
+
+  beforeEach(() => {
+    mockMutate.mockClear();
+  });
+
+  it('previews a draft reply and runs it only once confirmed', () => {
+    render(
+      <EmailActions
+        attachments={[
+          createAttachment('call-1', {
+            type: 'draft_reply',
+            to: 'john@example.com',
+            body: 'Thanks, paid today.',
+          }),
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('com_ui_email_action_draft_reply')).toBeInTheDocument();
+    expect(screen.getByText('Invoice')).toBeInTheDocument();
+    expect(screen.getByText('com_ui_email_action_to:john@example.com')).toBeInTheDocument();
+    expect(screen.getByText('Thanks, paid today.')).toBeInTheDocument();
+    expect(mockMutate).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('com_ui_confirm'));
+    expect(mockMutate).toHaveBeenCalledWith({ toolCallId: 'call-1', confirm: true });
+  });
+
+  it('shows a card per proposed action and cancels the chosen one', () => {
+    render(
+      <EmailActions
+        attachments={[
+          createAttachment('call-1', {
+            type: 'label',
+            addLabels: ['Finance'],
+            removeLabels: ['Todo'],
+          }),
+          createAttachment('call-2', { type: 'mark_read' }),
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('+ Finance')).toBeInTheDocument();
+    expect(screen.getByText('− Todo')).toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByText('com_ui_cancel')[1]);
+    expect(mockMutate).toHaveBeenCalledWith({ toolCallId: 'call-2', confirm: false });
+  });
+
+  it('previews the invitation event to add to the calendar', () => {
+    render(
+      <EmailActions
+        attachments={[
+          createAttachment('call-1', {
+            type: 'add_event',
+            event: {
+              uid: 'offsite@example.com',
+              summary: 'Offsite',
+              start: '2026-11-05',
+              allDay: true,
+              location: 'Lisbon',
+            },
+          }),
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('com_ui_email_action_add_event')).toBeInTheDocument();
+    expect(screen.getByText('Offsite')).toBeInTheDocument();
+    expect(screen.getByText('Thu, Nov 5 · Lisbon')).toBeInTheDocument();
+  });
+
+  it('shows the outcome of reviewed actions without buttons', () => {
+    render(
+      <EmailActions
+        attachments={[
+          createAttachment('call-1', { status: 'applied' }),
+          createAttachment('call-2', { status: 'error', error: 'Insufficient Permission' }),
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('com_ui_email_action_applied')).toBeInTheDocument();
+    expect(screen.getByText('Insufficient Permission')).toBeInTheDocument();
+    expect(screen.queryByText('com_ui_confirm')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,104 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { Tools } from 'librechat-data-provider';
+import type { TAttachment, ProfileUpdateArtifact } from 'librechat-data-provider';
+import ProfileUpdates from '../ProfileUpdate';
+
+const mockMutate = jest.fn();
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string) => key,
+}));
+
+jest.mock('~/data-provider', () => ({
+  useReviewProfileUpdateMutation: () => ({ mutate: mockMutate, isLoading: false }),
+}));
+
+jest.mock('@librechat/client', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+  Spinner: () => <span />,
+  Button: ({ children, ...props }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+    <button {...props}>{children}</button>
+  ),
+}));
+
+describe('ProfileUpdates', () => {
+  const createAttachment = (
+    toolCallId: string,
+    artifact: Partial<ProfileUpdateArtifact>,
+  ): TAttachment =>
+    ({
+      type: Tools.profile_update,
+      messageId: 'msg-1',
+      conversationId: 'convo-1',
+      toolCallId,
+      [Tools.profile_update]: {
+        status: 'pending',
+        changes: { energyPeaks: ['Late mornings'] },
+        previous: { energyPeaks: ['Early mornings'] },
+        ...artifact,
+      },
+    }) as TAttachment;
+
+  beforeEach(() => {
+    mockMutate.mockClear();
+  });
+
+  it('shows the current and proposed values and saves them only once approved', () => {
+    render(
+      <ProfileUpdates
+        attachments={[
+          createAttachment('call-1', {
+            changes: {
+              energyPeaks: ['Late mornings'],
+              workingHours: { start: '09:00', end: '17:30', days: [1, 2, 3] },
+              people: [{ name: 'Anna', role: 'manager', notes: 'Prefers Slack' }],
+            },
+            reason: 'You said you start slowly',
+          }),
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('You said you start slowly')).toBeInTheDocument();
+    expect(screen.getByText('Early mornings')).toBeInTheDocument();
+    expect(screen.getByText('Late mornings')).toBeInTheDocument();
+    expect(screen.getByText('09:00–17:30 · Mon, Tue, Wed')).toBeInTheDocument();
+    expect(screen.getByText('Anna (manager): Prefers Slack')).toBeInTheDocument();
+    expect(mockMutate).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('com_ui_profile_update_approve'));
+    expect(mockMutate).toHaveBeenCalledWith({ toolCallId: 'call-1', approve: true });
+  });
+
+  it('dismisses the chosen update', () => {
+    render(
+      <ProfileUpdates
+        attachments={[
+          createAttachment('call-1', {}),
+          createAttachment('call-2', { changes: { notes: '' }, previous: { notes: 'Vegetarian' } }),
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('com_ui_profile_update_unset')).toBeInTheDocument();
+    fireEvent.click(screen.getAllByText('com_ui_profile_update_dismiss')[1]);
+    expect(mockMutate).toHaveBeenCalledWith({ toolCallId: 'call-2', approve: false });
+  });
+
+  it('shows the outcome of reviewed updates without buttons', () => {
+    render(
+      <ProfileUpdates
+        attachments={[
+          createAttachment('call-1', { status: 'approved' }),
+          createAttachment('call-2', { status: 'error', error: 'Invalid profile' }),
+        ]}
+      />,
+    );
+
+    expect(screen.getByText('com_ui_profile_update_approved')).toBeInTheDocument();
+    expect(screen.getByText('Invalid profile')).toBeInTheDocument();
+    expect(screen.queryByText('com_ui_profile_update_approve')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,188 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { Tools } from 'librechat-data-provider';
+import type { TAttachment, TaskChangesArtifact } from 'librechat-data-provider';
+import TaskChanges from '../TaskChanges';
+
+const mockMutate = jest.fn();
+const mockUndo = jest.fn();
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string, options?: Record<string, unknown>) =>
+    options?.[0] != null ? `${key}:${options[0]}` : key,
+}));
+
+jest.mock('~/data-provider', () => ({
+  useReviewTaskChangesMutation: () => ({ mutate: mockMutate, isLoading: false }),
+  useUndoTaskChangesMutation: () => ({ mutate: mockUndo, isLoading: false }),
+}));
+
+jest.mock('@librechat/client', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+  Spinner: () => <span />,
+  Button: ({ children, ...props }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+    <button {...props}>{children}</button>
+  ),
+  Checkbox: ({
+    checked,
+    disabled,
+    onCheckedChange,
+    ...props
+  }: {
+    checked: boolean;
+    disabled?: boolean;
+    onCheckedChange: (value: boolean) => void;
+  }) => (
+    <input
+      type="checkbox"
+      checked={checked}
+      disabled={disabled}
+      onChange={(e) => onCheckedChange(e.target.checked)}
+      {...props}
+    />
+  ),
+}));
+
+describe('TaskChanges', () => {
+  const createAttachment = (artifact: Partial<TaskChangesArtifact>): TAttachment =>
+    ({
+      type: Tools.task_changes,
+      messageId: 'msg-1',
+      conversationId: 'convo-1',
+      toolCallId: 'task_changes_msg-1',
+      [Tools.task_changes]: {
+        status: 'pending',
+        changes: [
+          { id: 'add-0', type: 'add', project: '💰 Work', name: 'Email John', due: null },
+          {
+            id: 'update-0',
+            type: 'update',
+            project: '💰 Work',
+            name: 'Submit PR',
+            fields: ['due', 'duration'],
+            due: '2025-12-25 10:00',
+            previousDue: '2025-12-25 09:00',
+            before: { duration: null },
+            after: { duration: 90 },
+          },
+          { id: 'delete-0', type: 'delete', project: '💰 Work', name: 'Old task' },
+        ],
+        ...artifact,
+      },
+    }) as TAttachment;
+
+  beforeEach(() => {
+    mockMutate.mockClear();
+    mockUndo.mockClear();
+  });
+
+  test('renders nothing without a task changes attachment', () => {
+    const { container } = render(<TaskChanges attachments={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('groups proposed changes by type', () => {
+    render(<TaskChanges attachments={[createAttachment({})]} />);
+    expect(screen.getByText('com_ui_task_changes_add')).toBeInTheDocument();
+    expect(screen.getByText('com_ui_task_changes_update')).toBeInTheDocument();
+    expect(screen.getByText('com_ui_task_changes_delete')).toBeInTheDocument();
+    expect(screen.getByText('2025-12-25 09:00 → 2025-12-25 10:00', { exact: false })).toBeTruthy();
+    expect(screen.getByText('— → 1h 30m', { exact: false })).toBeTruthy();
+  });
+
+  test('shows priority, recurrence, tags, checklists and parents', () => {
+    render(
+      <TaskChanges
+        attachments={[
+          createAttachment({
+            changes: [
+              {
+                id: 'add-0',
+                type: 'add',
+                project: '💰 Work',
+                name: 'Write tests',
+                due: null,
+                after: {
+                  priority: 5,
+                  tags: ['dev'],
+                  parent: 'Submit PR',
+                  items: [{ title: 'Parser', completed: true }],
+                },
+              },
+              {
+                id: 'update-0',
+                type: 'update',
+                project: '💰 Work',
+                name: 'Standup',
+                due: null,
+                fields: ['repeat'],
+                before: { repeat: null },
+                after: { repeat: 'FREQ=WEEKLY;BYDAY=MO' },
+              },
+            ] as unknown as TaskChangesArtifact['changes'],
+          }),
+        ]}
+      />,
+    );
+    expect(
+      screen.getByText('com_ui_tasks_priority_high · #dev · ☑ Parser', { exact: false }),
+    ).toBeTruthy();
+    expect(
+      screen.getByText('com_ui_task_changes_subtask_of:Submit PR', { exact: false }),
+    ).toBeTruthy();
+    expect(screen.getByText('— → com_ui_tasks_repeat_weekly', { exact: false })).toBeTruthy();
+  });
+
+  test('accepts, rejects and cherry-picks changes', () => {
+    render(<TaskChanges attachments={[createAttachment({})]} />);
+
+    fireEvent.click(screen.getByText('com_ui_task_changes_accept'));
+    expect(mockMutate).toHaveBeenLastCalledWith({ accept: ['add-0', 'update-0', 'delete-0'] });
+
+    fireEvent.click(screen.getByText('com_ui_task_changes_reject'));
+    expect(mockMutate).toHaveBeenLastCalledWith({ accept: [] });
+
+    fireEvent.click(screen.getByLabelText('Old task'));
+    fireEvent.click(screen.getByText('com_ui_task_changes_apply_selected:2'));
+    expect(mockMutate).toHaveBeenLastCalledWith({ accept: ['add-0', 'update-0'] });
+  });
+
+  test('preselects nothing and hides accept-all after suspicious content', () => {
+    render(<TaskChanges attachments={[createAttachment({ suspicious: true })]} />);
+
+    expect(screen.getByText('com_ui_task_changes_suspicious')).toBeInTheDocument();
+    expect(screen.queryByText('com_ui_task_changes_accept')).not.toBeInTheDocument();
+    screen.getAllByRole('checkbox').forEach((checkbox) => expect(checkbox).not.toBeChecked());
+
+    fireEvent.click(screen.getByLabelText('Email John'));
+    fireEvent.click(screen.getByText('com_ui_task_changes_apply_selected:1'));
+    expect(mockMutate).toHaveBeenLastCalledWith({ accept: ['add-0'] });
+  });
+
+  test('shows the review outcome without actions once reviewed', () => {
+    render(
+      <TaskChanges
+        attachments={[createAttachment({ status: 'error', error: 'TickTick is unavailable' })]}
+      />,
+    );
+    expect(screen.getByText('com_ui_task_changes_error')).toBeInTheDocument();
+    expect(screen.getByText('TickTick is unavailable')).toBeInTheDocument();
+    expect(screen.queryByText('com_ui_task_changes_accept')).not.toBeInTheDocument();
+    screen.getAllByRole('checkbox').forEach((checkbox) => expect(checkbox).toBeDisabled());
+  });
+
+  test('offers to undo applied changes once', () => {
+    const { rerender } = render(
+      <TaskChanges attachments={[createAttachment({ status: 'applied', changeSetId: 'set-1' })]} />,
+    );
+    fireEvent.click(screen.getByText('com_ui_task_changes_undo'));
+    expect(mockUndo).toHaveBeenCalled();
+
+    rerender(
+      <TaskChanges attachments={[createAttachment({ status: 'undone', changeSetId: 'set-1' })]} />,
+    );
+    expect(screen.getByText('com_ui_task_changes_undone')).toBeInTheDocument();
+    expect(screen.queryByText('com_ui_task_changes_undo')).not.toBeInTheDocument();
+  });
+});
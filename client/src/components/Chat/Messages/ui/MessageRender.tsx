@@ -4,6 +4,7 @@ import { useRecoilValue } from 'recoil';
 import { type TMessage } from 'librechat-data-provider';
 import type { TMessageProps, TMessageIcon } from '~/common';
 import MessageContent from '~/components/Chat/Messages/Content/MessageContent';
+import ContextUsed from '~/components/Chat/Messages/Content/ContextUsed';
 import PlaceholderRow from '~/components/Chat/Messages/ui/PlaceholderRow';
 import SiblingSwitch from '~/components/Chat/Messages/SiblingSwitch';
 import HoverButtons from '~/components/Chat/Messages/HoverButtons';
@@ -194,6 +195,7 @@ const MessageRender = memo(
                   setSiblingIdx={setSiblingIdx ?? (() => ({}))}
                 />
               </MessageContext.Provider>
+              {!msg.isCreatedByUser && <ContextUsed metadata={msg.metadata} />}
             </div>
 
             {hasNoChildren && (isSubmittingFamily === true || effectiveIsSubmitting) ? (
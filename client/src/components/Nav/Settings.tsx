@@ -1,7 +1,7 @@
 import React, { useState, useRef } from 'react';
 import * as Tabs from '@radix-ui/react-tabs';
 import { SettingsTabValues } from 'librechat-data-provider';
-import { MessageSquare, Command, DollarSign } from 'lucide-react';
+import { MessageSquare, Command, DollarSign, Plug } from 'lucide-react';
 import { Dialog, DialogPanel, DialogTitle, Transition, TransitionChild } from '@headlessui/react';
 import {
   GearIcon,
@@ -18,6 +18,7 @@ import {
   Commands,
   Speech,
   Personalization,
+  Integrations,
   Data,
   Balance,
   Account,
@@ -42,6 +43,7 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
       SettingsTabValues.COMMANDS,
       SettingsTabValues.SPEECH,
       ...(hasAnyPersonalizationFeature ? [SettingsTabValues.PERSONALIZATION] : []),
+      SettingsTabValues.INTEGRATIONS,
       SettingsTabValues.DATA,
       ...(startupConfig?.balance?.enabled ? [SettingsTabValues.BALANCE] : []),
       SettingsTabValues.ACCOUNT,
@@ -102,6 +104,11 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
           },
         ]
       : []),
+    {
+      value: SettingsTabValues.INTEGRATIONS,
+      icon: <Plug className="icon-sm" />,
+      label: 'com_nav_setting_integrations',
+    },
     {
       value: SettingsTabValues.DATA,
       icon: <DataIcon />,
@@ -240,6 +247,9 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
                         />
                       </Tabs.Content>
                     )}
+                    <Tabs.Content value={SettingsTabValues.INTEGRATIONS} tabIndex={-1}>
+                      <Integrations />
+                    </Tabs.Content>
                     <Tabs.Content value={SettingsTabValues.DATA} tabIndex={-1}>
                       <Data />
                     </Tabs.Content>
@@ -0,0 +1,60 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { RecoilRoot } from 'recoil';
+import BriefingSettings from './BriefingSettings';
+
+describe('BriefingSettings', () => {
+  let mockOnChange;
+
+  beforeEach(() => {
+    mockOnChange = jest.fn();
+  });
+
+  const renderSettings = (props = {}) =>
+    render(
+      <RecoilRoot>
+        <BriefingSettings
+          briefing={{ morning: '07:30', evening: null }}
+          emailEnabled={false}
+          onChange={mockOnChange}
+          {...props}
+        />
+      </RecoilRoot>,
+    );
+
+  it('shows the time of briefings that are turned on', () => {
+    const { getByLabelText, queryByLabelText } = renderSettings();
+
+    expect(getByLabelText('Morning briefing time')).toHaveValue('07:30');
+    expect(queryByLabelText('Evening review time')).not.toBeInTheDocument();
+  });
+
+  it('turns briefings on at a default time, off, and changes their time', () => {
+    const { getAllByRole, getByLabelText } = renderSettings();
+    const [morning, evening] = getAllByRole('switch');
+
+    fireEvent.click(evening);
+    expect(mockOnChange).toHaveBeenCalledWith({ evening: '18:00' });
+
+    fireEvent.click(morning);
+    expect(mockOnChange).toHaveBeenCalledWith({ morning: null });
+
+    fireEvent.change(getByLabelText('Morning briefing time'), { target: { value: '06:45' } });
+    expect(mockOnChange).toHaveBeenCalledWith({ morning: '06:45' });
+  });
+
+  it('only offers email delivery when the server can send email', () => {
+    const { queryByText, rerender, getAllByRole } = renderSettings();
+    expect(queryByText('Also send briefings by email')).not.toBeInTheDocument();
+
+    rerender(
+      <RecoilRoot>
+        <BriefingSettings briefing={{}} emailEnabled={true} onChange={mockOnChange} />
+      </RecoilRoot>,
+    );
+    expect(queryByText('Also send briefings by email')).toBeInTheDocument();
+    fireEvent.click(getAllByRole('switch')[2]);
+    expect(mockOnChange).toHaveBeenCalledWith({ email: true });
+  });
+});
@@ -0,0 +1,91 @@
+import { Input, Switch } from '@librechat/client';
+import { isTimeOfDay } from 'librechat-data-provider';
+import type { TBriefingPreferences } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useLocalize } from '~/hooks';
+
+/** Time a briefing is given when it is turned on */
+const defaultTimes = { morning: '08:00', evening: '18:00' } as const;
+
+const briefings: Array<{
+  kind: keyof typeof defaultTimes;
+  label: TranslationKeys;
+  description: TranslationKeys;
+}> = [
+  {
+    kind: 'morning',
+    label: 'com_nav_briefing_morning',
+    description: 'com_nav_briefing_morning_description',
+  },
+  {
+    kind: 'evening',
+    label: 'com_nav_briefing_evening',
+    description: 'com_nav_briefing_evening_description',
+  },
+];
+
+/**
+ * Morning briefing and evening review conversations, each turned on with the local time it is
+ * generated at, and whether they are also sent by email when the server can send email.
+ */
+export default function BriefingSettings({
+  briefing,
+  emailEnabled,
+  onChange,
+}: {
+  briefing?: TBriefingPreferences;
+  emailEnabled: boolean;
+  onChange: (briefing: TBriefingPreferences) => void;
+}) {
+  const localize = useLocalize();
+
+  return (
+    <div className="flex flex-col gap-3">
+      {briefings.map(({ kind, label, description }) => {
+        const time = briefing?.[kind];
+        const enabled = isTimeOfDay(time);
+        const labelId = `briefing-${kind}-label`;
+        return (
+          <div key={kind} className="flex items-center justify-between gap-2">
+            <div>
+              <div id={labelId}>{localize(label)}</div>
+              <div className="text-xs text-text-secondary">{localize(description)}</div>
+            </div>
+            <div className="flex shrink-0 items-center gap-2">
+              {enabled && (
+                <Input
+                  type="time"
+                  value={time}
+                  onChange={(e) => {
+                    if (isTimeOfDay(e.target.value)) {
+                      onChange({ [kind]: e.target.value });
+                    }
+                  }}
+                  aria-label={localize('com_nav_briefing_time', { 0: localize(label) })}
+                  className="w-28"
+                />
+              )}
+              <Switch
+                checked={enabled}
+                onCheckedChange={(checked) =>
+                  onChange({ [kind]: checked ? defaultTimes[kind] : null })
+                }
+                aria-labelledby={labelId}
+              />
+            </div>
+          </div>
+        );
+      })}
+      {emailEnabled && (
+        <div className="flex items-center justify-between">
+          <div id="briefing-email-label">{localize('com_nav_briefing_email')}</div>
+          <Switch
+            checked={briefing?.email === true}
+            onCheckedChange={(checked) => onChange({ email: checked })}
+            aria-labelledby="briefing-email-label"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
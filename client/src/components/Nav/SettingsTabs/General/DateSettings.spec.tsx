@@ -0,0 +1,52 @@
+import 'test/matchMedia.mock';
+
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { DateFormats } from 'librechat-data-provider';
+import { TimezoneSelector, DateFormatSelector } from './General';
+import { RecoilRoot } from 'recoil';
+
+describe('Date settings', () => {
+  let mockOnChange;
+
+  beforeEach(() => {
+    mockOnChange = jest.fn();
+    global.ResizeObserver = class MockedResizeObserver {
+      observe = jest.fn();
+      unobserve = jest.fn();
+      disconnect = jest.fn();
+    };
+  });
+
+  it('shows the saved timezone and the browser timezone when they differ', () => {
+    const { getByText, getByRole } = render(
+      <RecoilRoot>
+        <TimezoneSelector timezone="Pacific/Chatham" onChange={mockOnChange} portal={false} />
+      </RecoilRoot>,
+    );
+
+    expect(getByText('Timezone')).toBeInTheDocument();
+    expect(getByRole('combobox')).toHaveTextContent('Pacific/Chatham');
+    const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    expect(getByText(`Your browser is set to ${browserTimezone}`)).toBeInTheDocument();
+  });
+
+  it('calls onChange with the selected date format', async () => {
+    const { getByText, getByRole, getByTestId } = render(
+      <RecoilRoot>
+        <DateFormatSelector dateFormat={DateFormats.monthFirst} onChange={mockOnChange} />
+      </RecoilRoot>,
+    );
+
+    expect(getByText('Date format')).toBeInTheDocument();
+    expect(getByRole('combobox')).toHaveTextContent('12/31/2025');
+
+    fireEvent.click(getByTestId('date-format-selector'));
+    fireEvent.click(getByRole('option', { name: '2025-12-31' }));
+
+    await waitFor(() => {
+      expect(mockOnChange).toHaveBeenCalledWith(DateFormats.iso);
+    });
+  });
+});
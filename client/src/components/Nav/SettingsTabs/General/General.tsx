@@ -2,9 +2,17 @@ import React, { useContext, useCallback } from 'react';
 import Cookies from 'js-cookie';
 import { useRecoilState } from 'recoil';
 import { Dropdown, ThemeContext } from '@librechat/client';
+import { DateFormats, getUserDateSettings } from 'librechat-data-provider';
+import {
+  useGetUserQuery,
+  useGetStartupConfig,
+  useUpdateUserPreferencesMutation,
+} from '~/data-provider';
+import { useLocalize, getBrowserTimezone } from '~/hooks';
+import ReminderSettings from './ReminderSettings';
+import BriefingSettings from './BriefingSettings';
 import ArchivedChats from './ArchivedChats';
 import ToggleSwitch from '../ToggleSwitch';
-import { useLocalize } from '~/hooks';
 import store from '~/store';
 
 const toggleSwitchConfigs = [
@@ -143,10 +151,93 @@ export const LangSelector = ({
   );
 };
 
+/** IANA timezones known to the browser; the current value is kept even if it is not listed */
+const getTimezoneOptions = (timezone: string) => {
+  const timezones: string[] = Intl.supportedValuesOf?.('timeZone') ?? [];
+  const values = timezones.includes(timezone) ? timezones : [timezone, ...timezones];
+  return values.map((value) => ({ value, label: value.replace(/_/g, ' ') }));
+};
+
+export const TimezoneSelector = ({
+  timezone,
+  onChange,
+  portal = true,
+}: {
+  timezone: string;
+  onChange: (value: string) => void;
+  portal?: boolean;
+}) => {
+  const localize = useLocalize();
+  const browserTimezone = getBrowserTimezone();
+  const labelId = 'timezone-selector-label';
+
+  return (
+    <div className="flex items-center justify-between">
+      <div id={labelId}>
+        {localize('com_nav_timezone')}
+        {browserTimezone != null && browserTimezone !== timezone && (
+          <div className="text-xs text-text-secondary">
+            {localize('com_nav_timezone_browser', { 0: browserTimezone })}
+          </div>
+        )}
+      </div>
+
+      <Dropdown
+        value={timezone}
+        onChange={onChange}
+        sizeClasses="[--anchor-max-height:256px] max-h-[60vh]"
+        options={getTimezoneOptions(timezone)}
+        testId="timezone-selector"
+        className="z-50"
+        aria-labelledby={labelId}
+        portal={portal}
+      />
+    </div>
+  );
+};
+
+/** Options are labelled with a sample date, which reads the same in every language */
+const dateFormatOptions = [
+  { value: DateFormats.monthFirst, label: '12/31/2025' },
+  { value: DateFormats.dayFirst, label: '31/12/2025' },
+  { value: DateFormats.iso, label: '2025-12-31' },
+];
+
+export const DateFormatSelector = ({
+  dateFormat,
+  onChange,
+}: {
+  dateFormat: string;
+  onChange: (value: string) => void;
+}) => {
+  const localize = useLocalize();
+  const labelId = 'date-format-selector-label';
+
+  return (
+    <div className="flex items-center justify-between">
+      <div id={labelId}>{localize('com_nav_date_format')}</div>
+
+      <Dropdown
+        value={dateFormat}
+        onChange={onChange}
+        options={dateFormatOptions}
+        sizeClasses="w-[180px]"
+        testId="date-format-selector"
+        className="z-50"
+        aria-labelledby={labelId}
+      />
+    </div>
+  );
+};
+
 function General() {
   const { theme, setTheme } = useContext(ThemeContext);
 
   const [langcode, setLangcode] = useRecoilState(store.lang);
+  const { data: user } = useGetUserQuery();
+  const { data: startupConfig } = useGetStartupConfig();
+  const { mutate: updatePreferences } = useUpdateUserPreferencesMutation();
+  const { timezone, dateFormat } = getUserDateSettings(user);
 
   const changeTheme = useCallback(
     (value: string) => {
@@ -179,6 +270,33 @@ function General() {
       <div className="pb-3">
         <LangSelector langcode={langcode} onChange={changeLang} />
       </div>
+      <div className="pb-3">
+        <TimezoneSelector
+          timezone={timezone}
+          onChange={(value) => updatePreferences({ timezone: value })}
+        />
+      </div>
+      <div className="pb-3">
+        <DateFormatSelector
+          dateFormat={dateFormat}
+          onChange={(value) => updatePreferences({ dateFormat: value as DateFormats })}
+        />
+      </div>
+      <div className="pb-3">
+        <BriefingSettings
+          briefing={user?.personalization?.briefing}
+          emailEnabled={startupConfig?.emailEnabled === true}
+          onChange={(briefing) => updatePreferences({ briefing })}
+        />
+      </div>
+      <div className="pb-3">
+        <ReminderSettings
+          reminders={user?.personalization?.reminders}
+          emailEnabled={startupConfig?.emailEnabled === true}
+          webPushPublicKey={startupConfig?.webPushPublicKey}
+          onChange={(reminders) => updatePreferences({ reminders })}
+        />
+      </div>
       {toggleSwitchConfigs.map((config) => (
         <div key={config.key} className="pb-3">
           <ToggleSwitch
@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { RecoilRoot } from 'recoil';
+import ReminderSettings from './ReminderSettings';
+
+const mockPush = {
+  supported: false,
+  subscribed: false,
+  pending: false,
+  subscribe: jest.fn(),
+  unsubscribe: jest.fn(),
+};
+jest.mock('~/hooks/usePushSubscription', () => ({
+  __esModule: true,
+  default: () => mockPush,
+}));
+
+const mockShowToast = jest.fn();
+jest.mock('@librechat/client', () => ({
+  ...jest.requireActual('@librechat/client'),
+  useToastContext: () => ({ showToast: mockShowToast }),
+}));
+
+describe('ReminderSettings', () => {
+  let mockOnChange;
+
+  beforeEach(() => {
+    mockOnChange = jest.fn();
+    mockPush.supported = false;
+    mockPush.subscribe.mockReset();
+  });
+
+  const renderSettings = (props = {}) =>
+    render(
+      <RecoilRoot>
+        <ReminderSettings
+          reminders={{ minutesBefore: null }}
+          emailEnabled={false}
+          onChange={mockOnChange}
+          {...props}
+        />
+      </RecoilRoot>,
+    );
+
+  it('turns reminders on with a default lead time and off again', () => {
+    const { getByRole, rerender } = renderSettings();
+
+    fireEvent.click(getByRole('switch'));
+    expect(mockOnChange).toHaveBeenCalledWith({ minutesBefore: 15 });
+
+    rerender(
+      <RecoilRoot>
+        <ReminderSettings
+          reminders={{ minutesBefore: 30 }}
+          emailEnabled={false}
+          onChange={mockOnChange}
+        />
+      </RecoilRoot>,
+    );
+    expect(getByRole('combobox', { name: 'Remind me' })).toHaveTextContent('30 minutes before');
+    fireEvent.click(getByRole('switch'));
+    expect(mockOnChange).toHaveBeenCalledWith({ minutesBefore: null });
+  });
+
+  it('only offers email and browser notifications when the server supports them', () => {
+    const { queryByText, getAllByRole } = renderSettings({
+      reminders: { minutesBefore: 15 },
+      emailEnabled: true,
+    });
+    expect(queryByText('Browser notifications')).not.toBeInTheDocument();
+
+    fireEvent.click(getAllByRole('switch')[1]);
+    expect(mockOnChange).toHaveBeenCalledWith({ email: true });
+  });
+
+  it('subscribes this browser to push and warns when permission is denied', async () => {
+    mockPush.supported = true;
+    mockPush.subscribe.mockResolvedValue(false);
+    const { getByText, getAllByRole } = renderSettings({ reminders: { minutesBefore: 15 } });
+
+    expect(getByText('Browser notifications')).toBeInTheDocument();
+    fireEvent.click(getAllByRole('switch')[1]);
+
+    await waitFor(() =>
+      expect(mockShowToast).toHaveBeenCalledWith({
+        message: 'Notifications are blocked for this site in your browser settings',
+        status: 'warning',
+      }),
+    );
+    expect(mockPush.subscribe).toHaveBeenCalled();
+  });
+});
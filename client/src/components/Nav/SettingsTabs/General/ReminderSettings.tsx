@@ -0,0 +1,111 @@
+import { Dropdown, Switch, useToastContext } from '@librechat/client';
+import type { TReminderPreferences } from 'librechat-data-provider';
+import { useLocalize, usePushSubscription } from '~/hooks';
+
+/** Lead time a reminder is given when reminders are turned on, in minutes */
+const DEFAULT_MINUTES_BEFORE = 15;
+
+/**
+ * Reminders of task due times and calendar events: how long before they are due, and whether
+ * they are also sent by email when the server can send email, and pushed to this browser when
+ * the server has Web Push keys.
+ */
+export default function ReminderSettings({
+  reminders,
+  emailEnabled,
+  webPushPublicKey,
+  onChange,
+}: {
+  reminders?: TReminderPreferences;
+  emailEnabled: boolean;
+  webPushPublicKey?: string;
+  onChange: (reminders: TReminderPreferences) => void;
+}) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const push = usePushSubscription(webPushPublicKey);
+  const minutesBefore = reminders?.minutesBefore;
+  const enabled = typeof minutesBefore === 'number';
+
+  const leadTimeOptions = [
+    { value: '0', label: localize('com_nav_reminders_at_due_time') },
+    ...[5, 10, 15, 30].map((minutes) => ({
+      value: String(minutes),
+      label: localize('com_nav_reminders_minutes_before', { 0: minutes }),
+    })),
+    { value: '60', label: localize('com_nav_reminders_hour_before') },
+    { value: '120', label: localize('com_nav_reminders_hours_before', { 0: 2 }) },
+    { value: '1440', label: localize('com_nav_reminders_day_before') },
+  ];
+
+  const togglePush = async (checked: boolean) => {
+    try {
+      if (!checked) {
+        await push.unsubscribe();
+      } else if (!(await push.subscribe())) {
+        showToast({ message: localize('com_nav_reminders_push_denied'), status: 'warning' });
+      }
+    } catch {
+      showToast({ message: localize('com_nav_reminders_push_error'), status: 'error' });
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <div id="reminders-label">{localize('com_nav_reminders')}</div>
+          <div className="text-xs text-text-secondary">
+            {localize('com_nav_reminders_description')}
+          </div>
+        </div>
+        <div className="flex shrink-0 items-center gap-2">
+          {enabled && (
+            <Dropdown
+              value={String(minutesBefore)}
+              onChange={(value) => onChange({ minutesBefore: Number(value) })}
+              options={leadTimeOptions}
+              sizeClasses="w-[160px]"
+              testId="reminders-lead-time"
+              className="z-50"
+              ariaLabel={localize('com_nav_reminders_lead_time')}
+            />
+          )}
+          <Switch
+            checked={enabled}
+            onCheckedChange={(checked) =>
+              onChange({ minutesBefore: checked ? DEFAULT_MINUTES_BEFORE : null })
+            }
+            aria-labelledby="reminders-label"
+          />
+        </div>
+      </div>
+      {enabled && push.supported && (
+        <div className="flex items-center justify-between gap-2">
+          <div>
+            <div id="reminders-push-label">{localize('com_nav_reminders_push')}</div>
+            <div className="text-xs text-text-secondary">
+              {localize('com_nav_reminders_push_description')}
+            </div>
+          </div>
+          <Switch
+            checked={push.subscribed}
+            disabled={push.pending}
+            onCheckedChange={togglePush}
+            aria-labelledby="reminders-push-label"
+          />
+        </div>
+      )}
+      {enabled && emailEnabled && (
+        <div className="flex items-center justify-between">
+          <div id="reminders-email-label">{localize('com_nav_reminders_email')}</div>
+          <Switch
+            checked={reminders?.email === true}
+            onCheckedChange={(checked) => onChange({ email: checked })}
+            aria-labelledby="reminders-email-label"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import { useEmailIngestionStatusQuery } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+/** Progress of the background worker that summarizes the connected Gmail mailbox */
+export default function EmailIngestionStatus() {
+  const localize = useLocalize();
+  const { data } = useEmailIngestionStatusQuery();
+
+  if (!data) {
+    return null;
+  }
+
+  if (data.status === 'error') {
+    return (
+      <div role="status" className="mt-1 text-xs text-red-600 dark:text-red-400">
+        {localize('com_nav_integrations_email_sync_error')}
+        {data.error != null && ` (${data.error})`}
+      </div>
+    );
+  }
+
+  return (
+    <div role="status" className="mt-1 text-xs text-text-secondary">
+      {data.lastSyncAt == null
+        ? localize('com_nav_integrations_email_sync_pending')
+        : localize('com_nav_integrations_email_sync_status', {
+            summarized: data.summarized,
+            pending: data.pending,
+            failed: data.failed,
+            date: new Date(data.lastSyncAt).toLocaleString(),
+          })}
+    </div>
+  );
+}
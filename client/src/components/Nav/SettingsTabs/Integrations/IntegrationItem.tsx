@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import { Button, Input, Label, Textarea, useToastContext } from '@librechat/client';
+import type { TIntegration } from 'librechat-data-provider';
+import type { IntegrationConfig } from './Integrations';
+import type { TranslationKeys } from '~/hooks';
+import {
+  useSaveIntegrationMutation,
+  useDeleteIntegrationMutation,
+  useIntegrationAuthUrlMutation,
+} from '~/data-provider';
+import EmailIngestionStatus from './EmailIngestionStatus';
+import { useLocalize } from '~/hooks';
+
+type IntegrationItemProps = {
+  config: IntegrationConfig;
+  integration?: TIntegration;
+};
+
+export default function IntegrationItem({ config, integration }: IntegrationItemProps) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [editing, setEditing] = useState(false);
+  const [values, setValues] = useState<Record<string, string>>({});
+
+  const connected = !!integration;
+  const expired = integration?.status === 'expired';
+  const viaOAuth = integration?.authType === 'oauth';
+  const close = () => {
+    setEditing(false);
+    setValues({});
+  };
+
+  const onError = (error: unknown) => {
+    const message = (error as { response?: { data?: { error?: string } } })?.response?.data?.error;
+    showToast({ message: message ?? localize('com_nav_integrations_error'), status: 'error' });
+  };
+  const saveIntegration = useSaveIntegrationMutation({
+    onError,
+    onSuccess: () => {
+      close();
+      showToast({ message: localize('com_nav_integrations_saved'), status: 'success' });
+    },
+  });
+  const deleteIntegration = useDeleteIntegrationMutation({ onError, onSuccess: close });
+  const authUrl = useIntegrationAuthUrlMutation({ onError });
+
+  /** The popup is opened before the request so it is not blocked; `/oauth/success` closes it */
+  const openConsent = () => {
+    const popup = window.open('', '_blank');
+    authUrl.mutate(config.provider, {
+      onSuccess: (data) => {
+        if (popup) {
+          popup.location.href = data.authUrl;
+        } else {
+          window.location.href = data.authUrl;
+        }
+      },
+      onError: () => popup?.close(),
+    });
+  };
+
+  /** Secrets are never sent back, so a blank field on a connected account keeps its saved value */
+  const isMissing = (name: string) => !values[name]?.trim() && !integration?.fields.includes(name);
+  const canSave = config.fields.every((field) => field.optional || !isMissing(field.name));
+
+  const labelId = `integration-${config.provider}-label`;
+  let manualLabel: TranslationKeys = connected ? 'com_ui_edit' : 'com_nav_integrations_connect';
+  if (config.oauth != null && !connected) {
+    manualLabel = 'com_nav_integrations_manual';
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <div id={labelId} className="flex items-center gap-2 font-medium">
+            {localize(config.label)}
+            {connected && !expired && (
+              <span className="rounded-full bg-green-500/10 px-2 py-0.5 text-xs text-green-600 dark:text-green-400">
+                {localize('com_nav_integrations_connected')}
+              </span>
+            )}
+            {expired && (
+              <span className="rounded-full bg-red-500/10 px-2 py-0.5 text-xs text-red-600 dark:text-red-400">
+                {localize('com_nav_integrations_expired')}
+              </span>
+            )}
+          </div>
+          <div className="mt-1 text-xs text-text-secondary">{localize(config.description)}</div>
+          {config.provider === 'google' && connected && !expired && <EmailIngestionStatus />}
+          {expired && (
+            <div role="alert" className="mt-1 text-xs text-red-600 dark:text-red-400">
+              {localize('com_nav_integrations_expired_description')}
+              {integration.error != null && ` (${integration.error})`}
+            </div>
+          )}
+        </div>
+        {!editing && (
+          <div className="flex shrink-0 gap-2">
+            {connected && (
+              <Button
+                variant="outline"
+                aria-describedby={labelId}
+                disabled={deleteIntegration.isLoading}
+                onClick={() => deleteIntegration.mutate(config.provider)}
+              >
+                {localize('com_nav_integrations_disconnect')}
+              </Button>
+            )}
+            {(!viaOAuth || expired) && (
+              <Button variant="outline" aria-describedby={labelId} onClick={() => setEditing(true)}>
+                {localize(manualLabel)}
+              </Button>
+            )}
+            {config.oauth != null && (!viaOAuth || expired) && (
+              <Button
+                variant="submit"
+                aria-describedby={labelId}
+                disabled={authUrl.isLoading}
+                onClick={openConsent}
+              >
+                {localize(expired ? 'com_nav_integrations_reconnect' : config.oauth)}
+              </Button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {editing && (
+        <form
+          className="flex flex-col gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveIntegration.mutate({ provider: config.provider, credentials: values });
+          }}
+        >
+          {config.fields.map((field) => {
+            const id = `integration-${config.provider}-${field.name}`;
+            const props = {
+              id,
+              value: values[field.name] ?? '',
+              placeholder: integration?.fields.includes(field.name)
+                ? localize('com_nav_integrations_saved_placeholder')
+                : undefined,
+              onChange: (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) =>
+                setValues((prev) => ({ ...prev, [field.name]: e.target.value })),
+            };
+            return (
+              <div key={field.name} className="flex flex-col gap-1">
+                <Label htmlFor={id} className="text-xs">
+                  {localize(field.label)}
+                  {field.optional === true && ` (${localize('com_nav_integrations_optional')})`}
+                </Label>
+                {field.type === 'textarea' ? (
+                  <Textarea {...props} rows={3} className="font-mono text-xs" />
+                ) : (
+                  <Input {...props} type={field.type} autoComplete="off" />
+                )}
+              </div>
+            );
+          })}
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="outline" onClick={close}>
+              {localize('com_ui_cancel')}
+            </Button>
+            <Button type="submit" variant="submit" disabled={!canSave || saveIntegration.isLoading}>
+              {localize('com_ui_save')}
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { IntegrationsResponse, TEmailIngestionStatus } from 'librechat-data-provider';
+import Integrations from './Integrations';
+
+const mockSave = jest.fn();
+const mockDelete = jest.fn();
+const mockAuthUrl = jest.fn();
+let mockData: IntegrationsResponse;
+let mockIngestion: TEmailIngestionStatus | undefined;
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string) => key,
+}));
+
+jest.mock('~/data-provider', () => ({
+  useIntegrationsQuery: () => ({ data: mockData, isLoading: false }),
+  useSaveIntegrationMutation: () => ({ mutate: mockSave, isLoading: false }),
+  useDeleteIntegrationMutation: () => ({ mutate: mockDelete, isLoading: false }),
+  useIntegrationAuthUrlMutation: () => ({ mutate: mockAuthUrl, isLoading: false }),
+  useEmailIngestionStatusQuery: () => ({ data: mockIngestion }),
+}));
+
+jest.mock('@librechat/client', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+  Spinner: () => <span />,
+  Label: (props: React.LabelHTMLAttributes<HTMLLabelElement>) => <label {...props} />,
+  Input: (props: React.InputHTMLAttributes<HTMLInputElement>) => <input {...props} />,
+  Textarea: (props: React.TextareaHTMLAttributes<HTMLTextAreaElement>) => <textarea {...props} />,
+  Button: ({ children, ...props }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+    <button {...props}>{children}</button>
+  ),
+}));
+
+describe('Integrations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockIngestion = undefined;
+    mockData = {
+      integrations: [
+        {
+          _id: 'i1',
+          provider: 'ticktick',
+          fields: ['token', 'deviceId'],
+          authType: 'manual',
+          status: 'active',
+        },
+      ],
+    };
+  });
+
+  it('shows which accounts are connected', () => {
+    render(<Integrations />);
+
+    expect(screen.getAllByText('com_nav_integrations_connected')).toHaveLength(1);
+    expect(screen.getAllByText('com_nav_integrations_connect')).toHaveLength(1);
+
+    fireEvent.click(screen.getByText('com_nav_integrations_disconnect'));
+    expect(mockDelete).toHaveBeenCalledWith('ticktick');
+  });
+
+  it('requires every mandatory field before connecting', () => {
+    render(<Integrations />);
+    const caldav = screen.getAllByText('com_nav_integrations_connect')[0];
+    fireEvent.click(caldav);
+
+    const save = screen.getByText('com_ui_save');
+    fireEvent.change(screen.getByLabelText('com_nav_integrations_caldav_url'), {
+      target: { value: 'https://dav.example.com/calendars/jane/' },
+    });
+    fireEvent.change(screen.getByLabelText('com_nav_integrations_caldav_username'), {
+      target: { value: 'jane' },
+    });
+    expect(save).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('com_nav_integrations_caldav_password'), {
+      target: { value: 'secret' },
+    });
+    fireEvent.click(save);
+    expect(mockSave).toHaveBeenCalledWith({
+      provider: 'caldav',
+      credentials: {
+        url: 'https://dav.example.com/calendars/jane/',
+        username: 'jane',
+        password: 'secret',
+      },
+    });
+  });
+
+  it('keeps saved secrets when editing a connected account', () => {
+    render(<Integrations />);
+    fireEvent.click(screen.getByText('com_ui_edit'));
+
+    const token = screen.getByLabelText('com_nav_integrations_ticktick_token');
+    expect(token).toHaveAttribute('placeholder', 'com_nav_integrations_saved_placeholder');
+    expect(screen.getByText('com_ui_save')).toBeEnabled();
+  });
+
+  it('starts the Google consent flow in a popup', () => {
+    const popup = { location: { href: '' }, close: jest.fn() };
+    const open = jest.spyOn(window, 'open').mockReturnValue(popup as unknown as Window);
+    mockAuthUrl.mockImplementationOnce((_provider, { onSuccess }) =>
+      onSuccess({ authUrl: 'https://accounts.google.com/o/oauth2/v2/auth?state=abc' }),
+    );
+    render(<Integrations />);
+
+    fireEvent.click(screen.getByText('com_nav_integrations_google_connect'));
+    expect(mockAuthUrl).toHaveBeenCalledWith('google', expect.any(Object));
+    expect(popup.location.href).toBe('https://accounts.google.com/o/oauth2/v2/auth?state=abc');
+    open.mockRestore();
+  });
+
+  it('shows the email sync status of a connected Google account', () => {
+    mockData.integrations.push({
+      _id: 'i2',
+      provider: 'google',
+      fields: [],
+      authType: 'oauth',
+      status: 'active',
+    });
+    mockIngestion = {
+      status: 'error',
+      error: 'quota exceeded',
+      lastSyncAt: null,
+      lastFullSyncAt: null,
+      summarized: 0,
+      pending: 4,
+      failed: 0,
+    };
+    render(<Integrations />);
+
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'com_nav_integrations_email_sync_error (quota exceeded)',
+    );
+  });
+
+  it('asks to reconnect when a grant has expired', () => {
+    mockData.integrations.push({
+      _id: 'i2',
+      provider: 'google',
+      fields: [],
+      authType: 'oauth',
+      status: 'expired',
+      error: 'invalid_grant',
+    });
+    const open = jest.spyOn(window, 'open').mockReturnValue(null);
+    render(<Integrations />);
+
+    expect(screen.getByText('com_nav_integrations_expired')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('(invalid_grant)');
+    fireEvent.click(screen.getByText('com_nav_integrations_reconnect'));
+    expect(mockAuthUrl).toHaveBeenCalledWith('google', expect.any(Object));
+    open.mockRestore();
+  });
+});
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Spinner } from '@librechat/client';
+import type { TIntegrationProvider } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { useIntegrationsQuery } from '~/data-provider';
+import IntegrationItem from './IntegrationItem';
+import { useLocalize } from '~/hooks';
+
+export type IntegrationField = {
+  name: string;
+  label: TranslationKeys;
+  type: 'text' | 'password' | 'textarea';
+  optional?: boolean;
+};
+
+export type IntegrationConfig = {
+  provider: TIntegrationProvider;
+  label: TranslationKeys;
+  description: TranslationKeys;
+  /** Label of the button that opens the provider's OAuth consent screen */
+  oauth?: TranslationKeys;
+  fields: IntegrationField[];
+};
+
+export const integrationConfigs: IntegrationConfig[] = [
+  {
+    provider: 'google',
+    label: 'com_nav_integrations_google',
+    description: 'com_nav_integrations_google_description',
+    oauth: 'com_nav_integrations_google_connect',
+    fields: [
+      { name: 'token', label: 'com_nav_integrations_google_token', type: 'textarea' },
+      {
+        name: 'client',
+        label: 'com_nav_integrations_google_client',
+        type: 'textarea',
+        optional: true,
+      },
+    ],
+  },
+  {
+    provider: 'ticktick',
+    label: 'com_nav_integrations_ticktick',
+    description: 'com_nav_integrations_ticktick_description',
+    fields: [
+      { name: 'token', label: 'com_nav_integrations_ticktick_token', type: 'password' },
+      {
+        name: 'deviceId',
+        label: 'com_nav_integrations_ticktick_device',
+        type: 'text',
+        optional: true,
+      },
+    ],
+  },
+  {
+    provider: 'caldav',
+    label: 'com_nav_integrations_caldav',
+    description: 'com_nav_integrations_caldav_description',
+    fields: [
+      { name: 'url', label: 'com_nav_integrations_caldav_url', type: 'text' },
+      { name: 'username', label: 'com_nav_integrations_caldav_username', type: 'text' },
+      { name: 'password', label: 'com_nav_integrations_caldav_password', type: 'password' },
+    ],
+  },
+];
+
+function Integrations() {
+  const localize = useLocalize();
+  const { data, isLoading } = useIntegrationsQuery();
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center p-4">
+        <Spinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-3 p-1 text-sm text-text-primary">
+      <div className="text-text-secondary">{localize('com_nav_integrations_info')}</div>
+      {integrationConfigs.map((config) => (
+        <div key={config.provider} className="border-b border-border-medium pb-3 last:border-0">
+          <IntegrationItem
+            config={config}
+            integration={data?.integrations.find((item) => item.provider === config.provider)}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default React.memo(Integrations);
@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { TrashIcon } from 'lucide-react';
+import { Button, Input, Label, Spinner, Textarea, useToastContext } from '@librechat/client';
+import type { TPersonalProfile } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import { usePersonalProfileQuery, useUpdatePersonalProfileMutation } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+type ListField = 'routines' | 'energyPeaks' | 'commitments' | 'planningPreferences';
+type Person = NonNullable<TPersonalProfile['people']>[number];
+
+/** Profile as edited: list fields are one entry per line, working hours are unset when blank */
+type Draft = Record<ListField, string> & {
+  start: string;
+  end: string;
+  days: number[];
+  people: Person[];
+  notes: string;
+};
+
+const listFields: { name: ListField; label: TranslationKeys; placeholder: TranslationKeys }[] = [
+  {
+    name: 'energyPeaks',
+    label: 'com_ui_profile_energy_peaks',
+    placeholder: 'com_ui_profile_energy_peaks_placeholder',
+  },
+  {
+    name: 'routines',
+    label: 'com_ui_profile_routines',
+    placeholder: 'com_ui_profile_routines_placeholder',
+  },
+  {
+    name: 'commitments',
+    label: 'com_ui_profile_commitments',
+    placeholder: 'com_ui_profile_commitments_placeholder',
+  },
+  {
+    name: 'planningPreferences',
+    label: 'com_ui_profile_planning_preferences',
+    placeholder: 'com_ui_profile_planning_preferences_placeholder',
+  },
+];
+
+/** ISO weekdays; January 1, 2024 was a Monday */
+const weekdays = [1, 2, 3, 4, 5, 6, 7].map((day) => ({
+  day,
+  label: format(new Date(2024, 0, day), 'EEE'),
+}));
+
+function toDraft(profile: TPersonalProfile = {}): Draft {
+  return {
+    start: profile.workingHours?.start ?? '',
+    end: profile.workingHours?.end ?? '',
+    days: profile.workingHours?.days ?? [1, 2, 3, 4, 5],
+    routines: (profile.routines ?? []).join('\n'),
+    energyPeaks: (profile.energyPeaks ?? []).join('\n'),
+    commitments: (profile.commitments ?? []).join('\n'),
+    planningPreferences: (profile.planningPreferences ?? []).join('\n'),
+    people: profile.people ?? [],
+    notes: profile.notes ?? '',
+  };
+}
+
+const toEntries = (text: string) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+function toProfile(draft: Draft): TPersonalProfile {
+  return {
+    workingHours:
+      draft.start && draft.end ? { start: draft.start, end: draft.end, days: draft.days } : null,
+    routines: toEntries(draft.routines),
+    energyPeaks: toEntries(draft.energyPeaks),
+    commitments: toEntries(draft.commitments),
+    planningPreferences: toEntries(draft.planningPreferences),
+    people: draft.people
+      .map(({ name, role, notes }) => ({
+        name: name.trim(),
+        role: role.trim(),
+        ...(notes?.trim() ? { notes: notes.trim() } : {}),
+      }))
+      .filter(({ name }) => name),
+    notes: draft.notes.trim(),
+  };
+}
+
+/** Editor of the personal profile the assistant plans with */
+export default function PersonalProfile() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { data, isLoading } = usePersonalProfileQuery();
+  const [draft, setDraft] = useState<Draft>(() => toDraft());
+
+  useEffect(() => {
+    if (data) {
+      setDraft(toDraft(data.profile));
+    }
+  }, [data]);
+
+  const updateProfile = useUpdatePersonalProfileMutation({
+    onSuccess: () => {
+      showToast({ message: localize('com_ui_profile_saved'), status: 'success' });
+    },
+    onError: () => {
+      showToast({ message: localize('com_ui_profile_save_error'), status: 'error' });
+    },
+  });
+
+  const update = (changes: Partial<Draft>) => setDraft((prev) => ({ ...prev, ...changes }));
+  const updatePerson = (index: number, changes: Partial<Person>) =>
+    update({
+      people: draft.people.map((person, i) => (i === index ? { ...person, ...changes } : person)),
+    });
+  const toggleDay = (day: number) =>
+    update({
+      days: draft.days.includes(day)
+        ? draft.days.filter((d) => d !== day)
+        : [...draft.days, day].sort((a, b) => a - b),
+    });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center p-4">
+        <Spinner />
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="flex flex-col gap-3"
+      onSubmit={(e) => {
+        e.preventDefault();
+        updateProfile.mutate(toProfile(draft));
+      }}
+    >
+      <div className="border-b border-border-medium pb-3">
+        <div className="text-base font-semibold">{localize('com_ui_profile')}</div>
+        <div className="mt-1 text-xs text-text-secondary">
+          {localize('com_ui_profile_description')}
+        </div>
+      </div>
+
+      <fieldset className="flex flex-col gap-1">
+        <legend className="mb-1 text-xs font-medium">
+          {localize('com_ui_profile_working_hours')}
+        </legend>
+        <div className="flex items-center gap-2">
+          <Input
+            type="time"
+            className="w-32"
+            value={draft.start}
+            aria-label={localize('com_ui_profile_working_hours_start')}
+            onChange={(e) => update({ start: e.target.value })}
+          />
+          <span aria-hidden="true">–</span>
+          <Input
+            type="time"
+            className="w-32"
+            value={draft.end}
+            aria-label={localize('com_ui_profile_working_hours_end')}
+            onChange={(e) => update({ end: e.target.value })}
+          />
+        </div>
+        <div className="mt-1 flex flex-wrap gap-1">
+          {weekdays.map(({ day, label }) => (
+            <button
+              key={day}
+              type="button"
+              aria-pressed={draft.days.includes(day)}
+              onClick={() => toggleDay(day)}
+              className={cn(
+                'rounded-full border px-2 py-0.5 text-xs',
+                draft.days.includes(day)
+                  ? 'border-border-heavy bg-surface-active text-text-primary'
+                  : 'border-border-light text-text-secondary',
+              )}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      {listFields.map(({ name, label, placeholder }) => (
+        <div key={name} className="flex flex-col gap-1">
+          <Label htmlFor={`profile-${name}`} className="text-xs">
+            {localize(label)}
+          </Label>
+          <Textarea
+            id={`profile-${name}`}
+            rows={2}
+            value={draft[name]}
+            placeholder={localize(placeholder)}
+            onChange={(e) => update({ [name]: e.target.value })}
+          />
+        </div>
+      ))}
+
+      <fieldset className="flex flex-col gap-1">
+        <legend className="mb-1 text-xs font-medium">{localize('com_ui_profile_people')}</legend>
+        {draft.people.map((person, index) => (
+          <div key={index} className="flex items-center gap-1">
+            <Input
+              value={person.name}
+              aria-label={localize('com_ui_profile_person_name')}
+              placeholder={localize('com_ui_profile_person_name')}
+              onChange={(e) => updatePerson(index, { name: e.target.value })}
+            />
+            <Input
+              value={person.role}
+              aria-label={localize('com_ui_profile_person_role')}
+              placeholder={localize('com_ui_profile_person_role')}
+              onChange={(e) => updatePerson(index, { role: e.target.value })}
+            />
+            <Input
+              value={person.notes ?? ''}
+              aria-label={localize('com_ui_profile_person_notes')}
+              placeholder={localize('com_ui_profile_person_notes')}
+              onChange={(e) => updatePerson(index, { notes: e.target.value })}
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              aria-label={localize('com_ui_profile_person_remove', { 0: person.name })}
+              onClick={() => update({ people: draft.people.filter((_, i) => i !== index) })}
+            >
+              <TrashIcon className="size-4" aria-hidden="true" />
+            </Button>
+          </div>
+        ))}
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          className="self-start"
+          onClick={() => update({ people: [...draft.people, { name: '', role: '' }] })}
+        >
+          {localize('com_ui_profile_person_add')}
+        </Button>
+      </fieldset>
+
+      <div className="flex flex-col gap-1">
+        <Label htmlFor="profile-notes" className="text-xs">
+          {localize('com_ui_profile_notes')}
+        </Label>
+        <Textarea
+          id="profile-notes"
+          rows={3}
+          value={draft.notes}
+          onChange={(e) => update({ notes: e.target.value })}
+        />
+      </div>
+
+      <div className="flex justify-end">
+        <Button type="submit" variant="submit" disabled={updateProfile.isLoading}>
+          {updateProfile.isLoading ? <Spinner className="size-4" /> : localize('com_ui_save')}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Switch, useToastContext } from '@librechat/client';
 import { useGetUserQuery, useUpdateMemoryPreferencesMutation } from '~/data-provider';
+import PersonalProfile from './PersonalProfile';
 import { useLocalize } from '~/hooks';
 
 interface PersonalizationProps {
@@ -85,6 +86,8 @@ export default function Personalization({
           </div>
         </>
       )}
+
+      <PersonalProfile />
     </div>
   );
 }
@@ -5,4 +5,5 @@ export { default as Balance } from './Balance/Balance';
 export { default as General } from './General/General';
 export { default as Account } from './Account/Account';
 export { default as Commands } from './Commands/Commands';
+export { default as Integrations } from './Integrations/Integrations';
 export { default as Personalization } from './Personalization';
@@ -0,0 +1,94 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import { RecoilRoot } from 'recoil';
+import ReminderToasts from './ReminderToasts';
+
+const mockMutate = jest.fn();
+const mockUser = { personalization: { reminders: { minutesBefore: 15 } } };
+const mockNotifications = [
+  {
+    _id: 'n1',
+    type: 'task',
+    title: 'Submit PR',
+    body: 'Due 10/19/2026 09:00 · Work',
+    dueAt: '2026-10-19T13:00:00.000Z',
+    status: 'sent',
+  },
+  {
+    _id: 'n2',
+    type: 'event',
+    title: 'Standup',
+    link: 'https://calendar.google.com/event?eid=e1',
+    dueAt: '2026-10-19T13:00:00.000Z',
+    status: 'sent',
+  },
+];
+
+jest.mock('~/data-provider', () => ({
+  useGetUserQuery: () => ({ data: mockUser }),
+  useUnreadNotificationsQuery: jest.fn(({ enabled }) => ({
+    data: enabled ? { notifications: mockNotifications } : undefined,
+  })),
+  useNotificationActionMutation: () => ({ mutate: mockMutate, isLoading: false }),
+}));
+
+const renderToasts = () =>
+  render(
+    <RecoilRoot>
+      <ReminderToasts />
+    </RecoilRoot>,
+  );
+
+describe('ReminderToasts', () => {
+  beforeEach(() => {
+    mockMutate.mockClear();
+    mockUser.personalization.reminders.minutesBefore = 15;
+  });
+
+  it('shows unhandled reminders with the actions that apply to them', () => {
+    const { getAllByRole, getByText, getByRole } = renderToasts();
+
+    const [task, event] = getAllByRole('alert');
+    expect(task).toHaveTextContent('Submit PR');
+    expect(task).toHaveTextContent('Complete');
+    expect(event).not.toHaveTextContent('Complete');
+    expect(getByRole('link', { name: 'Open in calendar' })).toHaveAttribute(
+      'href',
+      'https://calendar.google.com/event?eid=e1',
+    );
+    expect(getByText('Due 10/19/2026 09:00 · Work')).toBeInTheDocument();
+  });
+
+  it('snoozes, completes and dismisses reminders', () => {
+    const { getAllByText, getByText, getAllByLabelText } = renderToasts();
+
+    fireEvent.click(getAllByText('Snooze 10 min')[0]);
+    expect(mockMutate).toHaveBeenCalledWith({
+      notificationId: 'n1',
+      action: 'snooze',
+      minutes: 10,
+    });
+
+    fireEvent.click(getByText('Complete'));
+    expect(mockMutate).toHaveBeenCalledWith({
+      notificationId: 'n1',
+      action: 'complete',
+      minutes: undefined,
+    });
+
+    fireEvent.click(getAllByLabelText('Dismiss')[1]);
+    expect(mockMutate).toHaveBeenCalledWith({
+      notificationId: 'n2',
+      action: 'dismiss',
+      minutes: undefined,
+    });
+  });
+
+  it('shows nothing while reminders are turned off', () => {
+    mockUser.personalization.reminders.minutesBefore = null as unknown as number;
+    const { queryByRole } = renderToasts();
+
+    expect(queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,125 @@
+import { BellRing, XIcon } from 'lucide-react';
+import { Time } from 'librechat-data-provider';
+import { Button, useToastContext } from '@librechat/client';
+import type { TNotification } from 'librechat-data-provider';
+import type { TNotificationActionVariables } from '~/data-provider';
+import {
+  useGetUserQuery,
+  useUnreadNotificationsQuery,
+  useNotificationActionMutation,
+} from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+/** Reminders shown at once; older ones appear as these are handled */
+const MAX_VISIBLE = 3;
+const SNOOZE_MINUTES = 10;
+
+function ReminderToast({
+  notification,
+  disabled,
+  onAction,
+}: {
+  notification: TNotification;
+  disabled: boolean;
+  onAction: (action: TNotificationActionVariables['action']) => void;
+}) {
+  const localize = useLocalize();
+  const { _id, type, title, body, link } = notification;
+  const titleId = `reminder-${_id}-title`;
+
+  return (
+    <div
+      role="alert"
+      aria-labelledby={titleId}
+      className="pointer-events-auto w-80 rounded-xl border border-border-light bg-surface-primary p-3 text-sm text-text-primary shadow-lg"
+    >
+      <div className="flex items-start gap-2">
+        <BellRing className="mt-0.5 h-4 w-4 shrink-0 text-text-secondary" aria-hidden="true" />
+        <div className="min-w-0 flex-1">
+          <div id={titleId} className="truncate font-medium">
+            {title}
+          </div>
+          {body != null && body !== '' && <div className="text-xs text-text-secondary">{body}</div>}
+        </div>
+        <button
+          type="button"
+          aria-label={localize('com_ui_reminder_dismiss')}
+          className="h-6 w-6 shrink-0 opacity-70 hover:opacity-100"
+          disabled={disabled}
+          onClick={() => onAction('dismiss')}
+        >
+          <XIcon className="mx-auto h-4 w-4" />
+        </button>
+      </div>
+      <div className="mt-2 flex justify-end gap-2">
+        {link != null && link !== '' && (
+          <Button variant="ghost" size="sm" asChild>
+            <a href={link} target="_blank" rel="noreferrer">
+              {localize('com_ui_reminder_open')}
+            </a>
+          </Button>
+        )}
+        <Button variant="outline" size="sm" disabled={disabled} onClick={() => onAction('snooze')}>
+          {localize('com_ui_reminder_snooze', { 0: SNOOZE_MINUTES })}
+        </Button>
+        {type === 'task' && (
+          <Button
+            variant="submit"
+            size="sm"
+            disabled={disabled}
+            onClick={() => onAction('complete')}
+          >
+            {localize('com_ui_reminder_complete')}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Feed of delivered reminders the user has not handled yet, polled while reminders are turned
+ * on. Each can be snoozed, completed (task reminders) or dismissed, like from a push
+ * notification.
+ */
+export default function ReminderToasts() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { data: user } = useGetUserQuery();
+  const enabled = typeof user?.personalization?.reminders?.minutesBefore === 'number';
+  const { data } = useUnreadNotificationsQuery({
+    enabled,
+    refetchInterval: Time.ONE_MINUTE,
+  });
+  const { mutate, isLoading, variables } = useNotificationActionMutation({
+    onError: () =>
+      showToast({ message: localize('com_ui_reminder_action_error'), status: 'error' }),
+  });
+
+  const notifications = enabled ? (data?.notifications ?? []).slice(0, MAX_VISIBLE) : [];
+  if (!notifications.length) {
+    return null;
+  }
+
+  return (
+    <section
+      aria-label={localize('com_ui_reminders')}
+      className="pointer-events-none fixed bottom-4 right-4 z-50 flex flex-col gap-2"
+    >
+      {notifications.map((notification) => (
+        <ReminderToast
+          key={notification._id}
+          notification={notification}
+          disabled={isLoading && variables?.notificationId === notification._id}
+          onAction={(action) =>
+            mutate({
+              notificationId: notification._id,
+              action,
+              minutes: action === 'snooze' ? SNOOZE_MINUTES : undefined,
+            })
+          }
+        />
+      ))}
+    </section>
+  );
+}
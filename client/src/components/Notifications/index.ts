@@ -0,0 +1 @@
+export { default as ReminderToasts } from './ReminderToasts';
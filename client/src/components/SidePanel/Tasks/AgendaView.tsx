@@ -0,0 +1,92 @@
+import { useMemo } from 'react';
+import { format, isToday } from 'date-fns';
+import type { TTask } from 'librechat-data-provider';
+import type { TaskViewProps } from './utils';
+import { getAgenda, rescheduleTo } from './utils';
+import TaskDropZone from './TaskDropZone';
+import TaskItem from './TaskItem';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+/** Open tasks by day for the coming week; drop a task on a day to reschedule it */
+export default function AgendaView({ taskLists, tasks, onUpdate, onDelete }: TaskViewProps) {
+  const localize = useLocalize();
+  const agenda = useMemo(() => getAgenda(tasks), [tasks]);
+  const tasksById = useMemo(() => new Map(tasks.map((task) => [task._id, task])), [tasks]);
+
+  const moveToDay = (taskId: string, day: Date) => {
+    const task = tasksById.get(taskId);
+    if (task) {
+      onUpdate(taskId, { dueDate: rescheduleTo(task.dueDate, day) });
+    }
+  };
+
+  const renderTasks = (list: TTask[]) => (
+    <ul>
+      {list.map((task) => (
+        <TaskItem
+          key={task._id}
+          task={task}
+          taskLists={taskLists}
+          onUpdate={onUpdate}
+          onDelete={onDelete}
+          showList
+        />
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="space-y-2">
+      {agenda.overdue.length > 0 && (
+        <section className="p-1">
+          <h4 className="px-2 pb-1 text-sm font-semibold text-red-500">
+            {localize('com_ui_tasks_overdue')}
+          </h4>
+          {renderTasks(agenda.overdue)}
+        </section>
+      )}
+      {agenda.days.map((day) => {
+        const label = isToday(day.date)
+          ? localize('com_ui_date_today')
+          : format(day.date, 'EEEE, MMM d');
+        return (
+          <TaskDropZone
+            key={day.key}
+            aria-label={label}
+            onDropTask={(taskId) => moveToDay(taskId, day.date)}
+            className="min-h-10 p-1"
+          >
+            <h4
+              className={cn(
+                'px-2 pb-1 text-sm font-semibold',
+                isToday(day.date) ? 'text-text-primary' : 'text-text-secondary',
+              )}
+            >
+              {label}
+            </h4>
+            {renderTasks(day.tasks)}
+          </TaskDropZone>
+        );
+      })}
+      {agenda.later.length > 0 && (
+        <section className="p-1">
+          <h4 className="px-2 pb-1 text-sm font-semibold text-text-secondary">
+            {localize('com_ui_tasks_later')}
+          </h4>
+          {renderTasks(agenda.later)}
+        </section>
+      )}
+      <TaskDropZone
+        aria-label={localize('com_ui_tasks_no_date')}
+        onDropTask={(taskId) => onUpdate(taskId, { dueDate: null })}
+        className="min-h-10 p-1"
+      >
+        <h4 className="px-2 pb-1 text-sm font-semibold text-text-secondary">
+          {localize('com_ui_tasks_no_date')}
+        </h4>
+        {renderTasks(agenda.unscheduled)}
+      </TaskDropZone>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { useMemo } from 'react';
+import type { TaskViewProps } from './utils';
+import { groupTasksByList } from './utils';
+import TaskDropZone from './TaskDropZone';
+import TaskItem from './TaskItem';
+
+/** One column per list; drag tasks between columns to move them */
+export default function BoardView({ taskLists, tasks, onUpdate, onDelete }: TaskViewProps) {
+  const groups = useMemo(() => groupTasksByList(taskLists, tasks), [taskLists, tasks]);
+
+  return (
+    <div className="flex gap-2 overflow-x-auto pb-2">
+      {groups.map(({ taskList, open }) => (
+        <TaskDropZone
+          key={taskList._id}
+          aria-label={taskList.name}
+          onDropTask={(taskId) => onUpdate(taskId, { taskListId: taskList._id })}
+          className="flex min-h-32 w-56 shrink-0 flex-col border border-border-light bg-surface-primary-alt p-1"
+        >
+          <h4 className="flex items-center justify-between px-2 py-1 text-sm font-semibold text-text-primary">
+            <span className="truncate">{taskList.name}</span>
+            <span className="text-xs font-normal text-text-secondary">{open.length}</span>
+          </h4>
+          <ul className="flex-1">
+            {open.map((task) => (
+              <TaskItem
+                key={task._id}
+                task={task}
+                taskLists={taskLists}
+                onUpdate={onUpdate}
+                onDelete={onDelete}
+              />
+            ))}
+          </ul>
+        </TaskDropZone>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { useMemo, useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import type { TaskViewProps } from './utils';
+import { groupTasksByList } from './utils';
+import TaskDropZone from './TaskDropZone';
+import TaskItem from './TaskItem';
+import { useLocalize } from '~/hooks';
+
+/** Tasks grouped by list; dropping a task on another list moves it there */
+export default function ListView({ taskLists, tasks, onUpdate, onDelete }: TaskViewProps) {
+  const localize = useLocalize();
+  const groups = useMemo(() => groupTasksByList(taskLists, tasks), [taskLists, tasks]);
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+
+  const toggleCompleted = (id: string) =>
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+
+  return (
+    <div className="space-y-3">
+      {groups.map(({ taskList, open, completed }) => (
+        <TaskDropZone
+          key={taskList._id}
+          aria-label={taskList.name}
+          onDropTask={(taskId) => onUpdate(taskId, { taskListId: taskList._id })}
+          className="p-1"
+        >
+          <h4 className="px-2 pb-1 text-sm font-semibold text-text-primary">{taskList.name}</h4>
+          <ul>
+            {open.map((task) => (
+              <TaskItem
+                key={task._id}
+                task={task}
+                taskLists={taskLists}
+                onUpdate={onUpdate}
+                onDelete={onDelete}
+              />
+            ))}
+          </ul>
+          {completed.length > 0 && (
+            <>
+              <button
+                type="button"
+                onClick={() => toggleCompleted(taskList._id)}
+                className="flex items-center gap-1 px-2 py-1 text-xs text-text-secondary hover:text-text-primary"
+                aria-expanded={expanded.has(taskList._id)}
+              >
+                {expanded.has(taskList._id) ? (
+                  <ChevronDown className="size-3" aria-hidden="true" />
+                ) : (
+                  <ChevronRight className="size-3" aria-hidden="true" />
+                )}
+                {localize('com_ui_tasks_completed', { 0: completed.length })}
+              </button>
+              {expanded.has(taskList._id) && (
+                <ul>
+                  {completed.map((task) => (
+                    <TaskItem
+                      key={task._id}
+                      task={task}
+                      taskLists={taskLists}
+                      onUpdate={onUpdate}
+                      onDelete={onDelete}
+                    />
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </TaskDropZone>
+      ))}
+    </div>
+  );
+}
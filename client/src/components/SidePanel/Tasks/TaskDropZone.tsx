@@ -0,0 +1,40 @@
+import { useRef } from 'react';
+import { useDrop } from 'react-dnd';
+import type { ReactNode } from 'react';
+import type { TaskDragItem } from './utils';
+import { TASK_DRAG_TYPE } from './utils';
+import { cn } from '~/utils';
+
+type TaskDropZoneProps = {
+  onDropTask: (taskId: string) => void;
+  className?: string;
+  children: ReactNode;
+  'aria-label'?: string;
+};
+
+/** Highlights while a task is dragged over it and reports the dropped task */
+export default function TaskDropZone({
+  onDropTask,
+  className,
+  children,
+  ...props
+}: TaskDropZoneProps) {
+  const ref = useRef<HTMLDivElement>(null);
+  const [{ isOver }, drop] = useDrop<TaskDragItem, void, { isOver: boolean }>({
+    accept: TASK_DRAG_TYPE,
+    drop: (item) => onDropTask(item.id),
+    collect: (monitor) => ({ isOver: monitor.isOver() }),
+  });
+  drop(ref);
+
+  return (
+    <div
+      ref={ref}
+      role="group"
+      aria-label={props['aria-label']}
+      className={cn('rounded-lg transition-colors', isOver && 'bg-surface-hover', className)}
+    >
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { Link } from 'react-router-dom';
+import { History, MessageSquare } from 'lucide-react';
+import { Button, Spinner, useToastContext } from '@librechat/client';
+import type { TTaskChangeSet } from 'librechat-data-provider';
+import { useTaskHistoryQuery, useRestoreTaskChangeSetMutation } from '~/data-provider';
+import { formatDueDate, taskChangeGroups } from './utils';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+function ChangeSetItem({
+  changeSet,
+  onRestore,
+  isRestoring,
+}: {
+  changeSet: TTaskChangeSet;
+  onRestore: (changeSetId: string) => void;
+  isRestoring: boolean;
+}) {
+  const localize = useLocalize();
+  const restored = changeSet.revertedAt != null;
+
+  return (
+    <li className="rounded-lg border border-border-light p-2 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex flex-wrap items-center gap-x-2 text-xs text-text-secondary">
+          <span>{formatDueDate(changeSet.createdAt)}</span>
+          <span>{changeSet.provider}</span>
+          {changeSet.revertOf != null && <span>{localize('com_ui_tasks_history_restore_of')}</span>}
+          {changeSet.status === 'partial' && (
+            <span className="text-amber-500">{localize('com_ui_tasks_history_partial')}</span>
+          )}
+          {restored && <span>{localize('com_ui_tasks_history_restored')}</span>}
+        </div>
+        {changeSet.conversationId && (
+          <Link
+            to={`/c/${changeSet.conversationId}`}
+            className="shrink-0 text-text-secondary hover:text-text-primary"
+            aria-label={localize('com_ui_tasks_history_conversation')}
+            title={localize('com_ui_tasks_history_conversation')}
+          >
+            <MessageSquare className="size-3.5" aria-hidden="true" />
+          </Link>
+        )}
+      </div>
+
+      <ul className={cn('mt-1 space-y-0.5', restored && 'opacity-60')}>
+        {taskChangeGroups.map(({ type, label }) => {
+          const names = changeSet.changes
+            .filter((change) => change.type === type)
+            .map((change) => change.name);
+          if (names.length === 0) {
+            return null;
+          }
+          return (
+            <li key={type} className="text-xs">
+              <span className="font-medium text-text-primary">{localize(label)}: </span>
+              <span className="text-text-secondary">{names.join(', ')}</span>
+            </li>
+          );
+        })}
+      </ul>
+
+      {!restored && changeSet.changes.length > 0 && (
+        <div className="mt-2 flex justify-end">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={isRestoring}
+            onClick={() => onRestore(changeSet._id)}
+          >
+            <History className="size-4" aria-hidden="true" />
+            {localize('com_ui_tasks_history_restore')}
+          </Button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Past runs of task changes written to the task provider, newest first. Restoring one puts its
+ * tasks back the way they were before it, which is recorded as a change set of its own.
+ */
+export default function TaskHistory() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { data, isLoading } = useTaskHistoryQuery();
+
+  const restore = useRestoreTaskChangeSetMutation({
+    onError: (error) => {
+      const message = (error as { response?: { data?: { error?: string } } })?.response?.data
+        ?.error;
+      showToast({ message: message ?? localize('com_ui_tasks_error'), status: 'error' });
+    },
+    onSuccess: ({ ok }) => {
+      showToast({
+        message: localize(ok ? 'com_ui_tasks_history_restore_success' : 'com_ui_tasks_error'),
+        status: ok ? 'success' : 'warning',
+      });
+    },
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center p-4">
+        <Spinner />
+      </div>
+    );
+  }
+
+  const changeSets = data?.changeSets ?? [];
+  if (changeSets.length === 0) {
+    return (
+      <p className="p-4 text-center text-sm text-text-secondary">
+        {localize('com_ui_tasks_history_empty')}
+      </p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2" aria-label={localize('com_ui_tasks_view_history')}>
+      {changeSets.map((changeSet) => (
+        <ChangeSetItem
+          key={changeSet._id}
+          changeSet={changeSet}
+          onRestore={(changeSetId) => restore.mutate(changeSetId)}
+          isRestoring={restore.isLoading}
+        />
+      ))}
+    </ul>
+  );
+}
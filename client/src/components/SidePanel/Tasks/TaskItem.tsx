@@ -0,0 +1,309 @@
+import { useRef, useState } from 'react';
+import { useDrag } from 'react-dnd';
+import { Flag, ListChecks, Repeat } from 'lucide-react';
+import { TaskPriorities } from 'librechat-data-provider';
+import { Button, Checkbox, EditIcon, Input, TrashIcon } from '@librechat/client';
+import type { TTask, TTaskList, TUpdateTaskRequest, TaskPriority } from 'librechat-data-provider';
+import type { TaskDragItem } from './utils';
+import {
+  TASK_DRAG_TYPE,
+  parseTags,
+  formatDueDate,
+  getRepeatLabel,
+  formatDuration,
+  priorityLabels,
+  toDateTimeInput,
+} from './utils';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+
+const priorityColors: Record<TaskPriority, string> = {
+  [TaskPriorities.none]: '',
+  [TaskPriorities.low]: 'text-blue-500',
+  [TaskPriorities.medium]: 'text-amber-500',
+  [TaskPriorities.high]: 'text-red-500',
+};
+
+type TaskItemProps = {
+  task: TTask;
+  taskLists: TTaskList[];
+  /** Shows the task's list name, for views that are not grouped by list */
+  showList?: boolean;
+  onUpdate: (taskId: string, data: TUpdateTaskRequest) => void;
+  onDelete: (taskId: string) => void;
+};
+
+function TaskEditor({
+  task,
+  taskLists,
+  onSave,
+  onCancel,
+}: {
+  task: TTask;
+  taskLists: TTaskList[];
+  onSave: (data: {
+    title: string;
+    content: string;
+    dueDate: string | null;
+    duration: number | null;
+    priority: TaskPriority;
+    tags: string[];
+    taskListId: string;
+  }) => void;
+  onCancel: () => void;
+}) {
+  const localize = useLocalize();
+  const [title, setTitle] = useState(task.title);
+  const [content, setContent] = useState(task.content ?? '');
+  const [due, setDue] = useState(toDateTimeInput(task.dueDate));
+  const [duration, setDuration] = useState(task.duration != null ? String(task.duration) : '');
+  const [priority, setPriority] = useState<TaskPriority>(task.priority ?? TaskPriorities.none);
+  const [tags, setTags] = useState((task.tags ?? []).join(', '));
+  const [taskListId, setTaskListId] = useState(task.taskList);
+
+  const save = () => {
+    if (!title.trim()) {
+      return;
+    }
+    onSave({
+      title: title.trim(),
+      content,
+      dueDate: due ? new Date(due).toISOString() : null,
+      duration: Number.parseInt(duration, 10) > 0 ? Number.parseInt(duration, 10) : null,
+      priority,
+      tags: parseTags(tags),
+      taskListId,
+    });
+  };
+
+  return (
+    <form
+      className="flex w-full flex-col gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        save();
+      }}
+    >
+      <Input
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        aria-label={localize('com_ui_tasks_title')}
+      />
+      <Input
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={localize('com_ui_tasks_notes')}
+        aria-label={localize('com_ui_tasks_notes')}
+      />
+      <div className="flex gap-2">
+        <Input
+          type="datetime-local"
+          value={due}
+          onChange={(e) => setDue(e.target.value)}
+          aria-label={localize('com_ui_tasks_due')}
+        />
+        <Input
+          type="number"
+          min={1}
+          step={5}
+          value={duration}
+          onChange={(e) => setDuration(e.target.value)}
+          placeholder={localize('com_ui_tasks_duration_placeholder')}
+          aria-label={localize('com_ui_tasks_duration')}
+          className="w-20 shrink-0"
+        />
+        <select
+          value={taskListId}
+          onChange={(e) => setTaskListId(e.target.value)}
+          aria-label={localize('com_ui_tasks_list')}
+          className="rounded-md border border-border-light bg-transparent px-2 text-sm text-text-primary"
+        >
+          {taskLists.map((list) => (
+            <option key={list._id} value={list._id}>
+              {list.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <Input
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder={localize('com_ui_tasks_tags_placeholder')}
+          aria-label={localize('com_ui_tasks_tags')}
+        />
+        <select
+          value={priority}
+          onChange={(e) => setPriority(Number(e.target.value) as TaskPriority)}
+          aria-label={localize('com_ui_tasks_priority')}
+          className="rounded-md border border-border-light bg-transparent px-2 text-sm text-text-primary"
+        >
+          {priorityLabels.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {localize(label)}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel}>
+          {localize('com_ui_cancel')}
+        </Button>
+        <Button type="submit" variant="submit" size="sm" disabled={!title.trim()}>
+          {localize('com_ui_save')}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+export default function TaskItem({ task, taskLists, showList, onUpdate, onDelete }: TaskItemProps) {
+  const localize = useLocalize();
+  const ref = useRef<HTMLLIElement>(null);
+  const [editing, setEditing] = useState(false);
+
+  const [{ isDragging }, drag] = useDrag<TaskDragItem, unknown, { isDragging: boolean }>({
+    type: TASK_DRAG_TYPE,
+    item: { id: task._id },
+    canDrag: !editing,
+    collect: (monitor) => ({ isDragging: monitor.isDragging() }),
+  });
+  drag(ref);
+
+  const isOverdue = !task.completed && task.dueDate && new Date(task.dueDate) < new Date();
+  const listName = showList ? taskLists.find((list) => list._id === task.taskList)?.name : null;
+  const priority = priorityLabels.find(({ value }) => value === (task.priority ?? 0));
+  const repeatLabel = getRepeatLabel(task.repeat);
+  const items = task.items ?? [];
+  const tags = task.tags ?? [];
+  const hasDetails =
+    task.dueDate ||
+    task.duration ||
+    listName ||
+    task.content ||
+    repeatLabel ||
+    tags.length ||
+    items.length;
+
+  const toggleItem = (index: number, completed: boolean) =>
+    onUpdate(task._id, {
+      items: items.map((item, i) => (i === index ? { ...item, completed } : item)),
+    });
+
+  if (editing) {
+    return (
+      <li className="rounded-lg border border-border-light p-2">
+        <TaskEditor
+          task={task}
+          taskLists={taskLists}
+          onCancel={() => setEditing(false)}
+          onSave={(data) => {
+            onUpdate(task._id, data);
+            setEditing(false);
+          }}
+        />
+      </li>
+    );
+  }
+
+  return (
+    <li
+      ref={ref}
+      className={cn(
+        'group flex cursor-move items-start gap-2 rounded-lg px-2 py-1.5 hover:bg-surface-secondary',
+        isDragging && 'opacity-50',
+      )}
+    >
+      <Checkbox
+        checked={task.completed}
+        onCheckedChange={(value) => onUpdate(task._id, { completed: value === true })}
+        className="mt-0.5 h-4 w-4 shrink-0"
+        aria-label={task.title}
+      />
+      <div className="min-w-0 flex-1">
+        <div
+          className={cn(
+            'break-words text-sm text-text-primary',
+            task.completed && 'text-text-secondary line-through',
+          )}
+        >
+          {task.title}
+        </div>
+        {hasDetails ? (
+          <div className="flex flex-wrap items-center gap-x-2 text-xs text-text-secondary">
+            {task.dueDate && (
+              <span className={cn(isOverdue && 'text-red-500')}>{formatDueDate(task.dueDate)}</span>
+            )}
+            {task.duration != null && task.duration > 0 && (
+              <span>{formatDuration(task.duration)}</span>
+            )}
+            {repeatLabel && (
+              <span className="flex items-center gap-0.5" title={task.repeat ?? undefined}>
+                <Repeat className="h-3 w-3" aria-hidden="true" />
+                {localize(repeatLabel)}
+              </span>
+            )}
+            {items.length > 0 && (
+              <span className="flex items-center gap-0.5">
+                <ListChecks className="h-3 w-3" aria-hidden="true" />
+                {localize('com_ui_tasks_checklist_progress', {
+                  0: String(items.filter((item) => item.completed).length),
+                  1: String(items.length),
+                })}
+              </span>
+            )}
+            {tags.map((tag) => (
+              <span key={tag}>#{tag}</span>
+            ))}
+            {listName && <span>{listName}</span>}
+            {task.content && <span className="truncate">{task.content}</span>}
+          </div>
+        ) : null}
+        {items.length > 0 && (
+          <ul
+            className="mt-1 flex flex-col gap-0.5"
+            aria-label={localize('com_ui_tasks_checklist')}
+          >
+            {items.map((item, index) => (
+              <li key={`${index}-${item.title}`} className="flex items-center gap-1.5 text-xs">
+                <Checkbox
+                  checked={item.completed}
+                  onCheckedChange={(value) => toggleItem(index, value === true)}
+                  className="h-3 w-3 shrink-0"
+                  aria-label={item.title}
+                />
+                <span className={cn('text-text-secondary', item.completed && 'line-through')}>
+                  {item.title}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {priority && priority.value !== TaskPriorities.none && (
+        <Flag
+          className={cn('mt-1 h-3 w-3 shrink-0', priorityColors[priority.value])}
+          aria-label={localize(priority.label)}
+        />
+      )}
+      <div className="flex shrink-0 gap-1 opacity-0 focus-within:opacity-100 group-hover:opacity-100">
+        <Button
+          variant="ghost"
+          className="h-6 w-6 p-0"
+          aria-label={localize('com_ui_edit')}
+          onClick={() => setEditing(true)}
+        >
+          <EditIcon />
+        </Button>
+        <Button
+          variant="ghost"
+          className="h-6 w-6 p-0"
+          aria-label={localize('com_ui_delete')}
+          onClick={() => onDelete(task._id)}
+        >
+          <TrashIcon />
+        </Button>
+      </div>
+    </li>
+  );
+}
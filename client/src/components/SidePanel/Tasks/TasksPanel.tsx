@@ -0,0 +1,270 @@
+/* Tasks */
+import { useState } from 'react';
+import { Plus, List, History, Columns3, CalendarDays, CalendarClock } from 'lucide-react';
+import { Button, Checkbox, Input, Spinner, useToastContext } from '@librechat/client';
+import type { TasksResponse, TUpdateTaskRequest } from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+import type { TaskView } from './utils';
+import {
+  useTasksQuery,
+  useCreateTaskMutation,
+  useUpdateTaskMutation,
+  useDeleteTaskMutation,
+  useScheduleTasksMutation,
+  useCreateTaskListMutation,
+} from '~/data-provider';
+import { useLocalize, useLocalStorage } from '~/hooks';
+import TaskHistory from './TaskHistory';
+import AgendaView from './AgendaView';
+import BoardView from './BoardView';
+import ListView from './ListView';
+import { cn } from '~/utils';
+
+const viewComponents: Record<Exclude<TaskView, 'history'>, typeof ListView> = {
+  list: ListView,
+  board: BoardView,
+  agenda: AgendaView,
+};
+
+const views: { value: TaskView; label: TranslationKeys; icon: typeof List }[] = [
+  { value: 'list', label: 'com_ui_tasks_view_list', icon: List },
+  { value: 'board', label: 'com_ui_tasks_view_board', icon: Columns3 },
+  { value: 'agenda', label: 'com_ui_tasks_view_agenda', icon: CalendarDays },
+  { value: 'history', label: 'com_ui_tasks_view_history', icon: History },
+];
+
+/** Task providers other than `local`, whose tasks the panel does not show */
+const remoteProviderNames: Record<Exclude<TasksResponse['provider'], 'local'>, string> = {
+  ticktick: 'TickTick',
+  caldav: 'CalDAV',
+};
+
+export default function TasksPanel() {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const [view, setView] = useLocalStorage<TaskView>('tasksPanelView', 'list');
+  const [title, setTitle] = useState('');
+  const [taskListId, setTaskListId] = useState('');
+  const [newListName, setNewListName] = useState<string | null>(null);
+  const [focusBlocks, setFocusBlocks] = useLocalStorage<boolean>('tasksFocusBlocks', false);
+
+  const { data, isLoading } = useTasksQuery();
+  const taskLists = data?.taskLists ?? [];
+  const tasks = data?.tasks ?? [];
+  /** The panel edits LibreChat's own tasks; those of other providers are managed there */
+  const remoteProvider =
+    data?.provider && data.provider !== 'local' ? remoteProviderNames[data.provider] : null;
+
+  const onError = () => showToast({ message: localize('com_ui_tasks_error'), status: 'error' });
+  const createTask = useCreateTaskMutation({ onError, onSuccess: () => setTitle('') });
+  const updateTask = useUpdateTaskMutation({ onError });
+  const deleteTask = useDeleteTaskMutation({ onError });
+  const createTaskList = useCreateTaskListMutation({
+    onError,
+    onSuccess: (list) => {
+      setTaskListId(list._id);
+      setNewListName(null);
+    },
+  });
+
+  const scheduleTasks = useScheduleTasksMutation({
+    onError: (error) => {
+      const message = (error as { response?: { data?: { error?: string } } })?.response?.data
+        ?.error;
+      showToast({ message: message ?? localize('com_ui_tasks_error'), status: 'error' });
+    },
+    onSuccess: ({ scheduled, unscheduled }) => {
+      const messages = [localize('com_ui_tasks_scheduled', { 0: scheduled.length })];
+      if (unscheduled.length > 0) {
+        messages.push(localize('com_ui_tasks_unscheduled', { 0: unscheduled.length }));
+      }
+      showToast({
+        message: messages.join(' '),
+        status: unscheduled.length > 0 ? 'warning' : 'success',
+      });
+    },
+  });
+  /** Only open tasks with a duration and no date are placed by the scheduler */
+  const canSchedule = tasks.some((task) => !task.completed && !task.dueDate && task.duration);
+
+  const onUpdate = (id: string, update: TUpdateTaskRequest) =>
+    updateTask.mutate({ taskId: id, data: update });
+  const onDelete = (id: string) => deleteTask.mutate(id);
+
+  const addTask = () => {
+    if (!title.trim()) {
+      return;
+    }
+    createTask.mutate({ title: title.trim(), taskListId: taskListId || undefined });
+  };
+
+  const addTaskList = () => {
+    if (newListName?.trim()) {
+      createTaskList.mutate({ name: newListName.trim() });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex h-full w-full items-center justify-center p-4">
+        <Spinner />
+      </div>
+    );
+  }
+
+  const ViewComponent = (view !== 'history' && viewComponents[view]) || ListView;
+
+  return (
+    <div className="flex h-full w-full flex-col overflow-hidden">
+      <div role="region" aria-label={localize('com_ui_tasks')} className="mt-2 space-y-2">
+        <div
+          role="radiogroup"
+          aria-label={localize('com_ui_tasks_view')}
+          className="flex rounded-lg border border-border-light p-0.5"
+        >
+          {views.map(({ value, label, icon: Icon }) => (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={view === value}
+              onClick={() => setView(value)}
+              className={cn(
+                'flex flex-1 items-center justify-center gap-1 rounded-md py-1 text-xs',
+                view === value
+                  ? 'bg-surface-active text-text-primary'
+                  : 'text-text-secondary hover:bg-surface-hover',
+              )}
+            >
+              <Icon className="size-3.5" aria-hidden="true" />
+              {localize(label)}
+            </button>
+          ))}
+        </div>
+
+        {remoteProvider == null && (
+          <>
+            <form
+              className="flex gap-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                addTask();
+              }}
+            >
+              <Input
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder={localize('com_ui_tasks_add_placeholder')}
+                aria-label={localize('com_ui_tasks_add')}
+              />
+              {taskLists.length > 0 && (
+                <select
+                  value={taskListId}
+                  onChange={(e) => setTaskListId(e.target.value)}
+                  aria-label={localize('com_ui_tasks_list')}
+                  className="max-w-28 rounded-md border border-border-light bg-transparent px-1 text-sm text-text-primary"
+                >
+                  <option value="">{localize('com_ui_tasks_inbox')}</option>
+                  {taskLists
+                    .filter((list) => list.name !== 'Inbox')
+                    .map((list) => (
+                      <option key={list._id} value={list._id}>
+                        {list.name}
+                      </option>
+                    ))}
+                </select>
+              )}
+              <Button
+                type="submit"
+                variant="outline"
+                className="shrink-0 px-2"
+                disabled={!title.trim() || createTask.isLoading}
+                aria-label={localize('com_ui_tasks_add')}
+              >
+                <Plus className="size-4" aria-hidden="true" />
+              </Button>
+            </form>
+
+            {newListName == null ? (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="w-full justify-start text-text-secondary"
+                onClick={() => setNewListName('')}
+              >
+                <Plus className="size-4" aria-hidden="true" />
+                {localize('com_ui_tasks_add_list')}
+              </Button>
+            ) : (
+              <form
+                className="flex gap-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  addTaskList();
+                }}
+              >
+                <Input
+                  value={newListName}
+                  onChange={(e) => setNewListName(e.target.value)}
+                  placeholder={localize('com_ui_tasks_list_name')}
+                  aria-label={localize('com_ui_tasks_list_name')}
+                />
+                <Button type="button" variant="outline" onClick={() => setNewListName(null)}>
+                  {localize('com_ui_cancel')}
+                </Button>
+                <Button type="submit" variant="submit" disabled={!newListName.trim()}>
+                  {localize('com_ui_save')}
+                </Button>
+              </form>
+            )}
+
+            {canSchedule && (
+              <div className="flex items-center justify-between gap-2">
+                <label className="flex items-center gap-2 text-xs text-text-secondary">
+                  <Checkbox
+                    checked={focusBlocks}
+                    onCheckedChange={(value) => setFocusBlocks(value === true)}
+                    className="h-4 w-4"
+                    aria-label={localize('com_ui_tasks_focus_blocks')}
+                  />
+                  {localize('com_ui_tasks_focus_blocks')}
+                </label>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={scheduleTasks.isLoading}
+                  onClick={() => scheduleTasks.mutate({ focusBlocks })}
+                >
+                  <CalendarClock className="size-4" aria-hidden="true" />
+                  {localize('com_ui_tasks_schedule')}
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="mt-3 flex-1 overflow-y-auto">
+        {view === 'history' && <TaskHistory />}
+        {view !== 'history' && remoteProvider != null && (
+          <p className="p-4 text-center text-sm text-text-secondary">
+            {localize('com_ui_tasks_remote_provider', { 0: remoteProvider })}
+          </p>
+        )}
+        {view !== 'history' && remoteProvider == null && taskLists.length === 0 && (
+          <p className="p-4 text-center text-sm text-text-secondary">
+            {localize('com_ui_tasks_empty')}
+          </p>
+        )}
+        {view !== 'history' && taskLists.length > 0 && (
+          <ViewComponent
+            taskLists={taskLists}
+            tasks={tasks}
+            onUpdate={onUpdate}
+            onDelete={onDelete}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React from 'react';
+import { MemoryRouter } from 'react-router-dom';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { TTaskHistoryResponse } from 'librechat-data-provider';
+import TaskHistory from '../TaskHistory';
+
+const mockRestore = jest.fn();
+let mockData: TTaskHistoryResponse;
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string) => key,
+}));
+
+jest.mock('~/data-provider', () => ({
+  useTaskHistoryQuery: () => ({ data: mockData, isLoading: false }),
+  useRestoreTaskChangeSetMutation: () => ({ mutate: mockRestore, isLoading: false }),
+}));
+
+jest.mock('@librechat/client', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+  Spinner: () => <span />,
+  Button: ({ children, ...props }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+    <button {...props}>{children}</button>
+  ),
+}));
+
+const renderHistory = () =>
+  render(
+    <MemoryRouter>
+      <TaskHistory />
+    </MemoryRouter>,
+  );
+
+describe('TaskHistory', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockData = {
+      changeSets: [
+        {
+          _id: 'set-2',
+          conversationId: 'convo-1',
+          messageId: 'msg-1',
+          provider: 'ticktick',
+          status: 'applied',
+          changes: [
+            { id: 'add-0', type: 'add', project: 'Work', name: 'Email John' },
+            { id: 'add-1', type: 'add', project: 'Work', name: 'Plan sprint' },
+            { id: 'delete-0', type: 'delete', project: 'Work', name: 'Old task' },
+          ],
+          createdProjects: [],
+          createdAt: '2025-12-19T14:00:00.000Z',
+        },
+        {
+          _id: 'set-1',
+          provider: 'ticktick',
+          status: 'partial',
+          changes: [{ id: 'update-0', type: 'update', project: 'Work', name: 'Submit PR' }],
+          createdProjects: [],
+          revertedAt: '2025-12-19T15:00:00.000Z',
+          revertedBy: 'set-3',
+          createdAt: '2025-12-18T14:00:00.000Z',
+        },
+      ],
+    };
+  });
+
+  test('shows an empty state without change sets', () => {
+    mockData = { changeSets: [] };
+    renderHistory();
+    expect(screen.getByText('com_ui_tasks_history_empty')).toBeInTheDocument();
+  });
+
+  test('lists change sets with their changes and conversation', () => {
+    renderHistory();
+    expect(screen.getByText('Email John, Plan sprint')).toBeInTheDocument();
+    expect(screen.getByText('Old task')).toBeInTheDocument();
+    expect(screen.getByText('com_ui_tasks_history_partial')).toBeInTheDocument();
+    expect(screen.getByLabelText('com_ui_tasks_history_conversation')).toHaveAttribute(
+      'href',
+      '/c/convo-1',
+    );
+  });
+
+  test('restores change sets that were not restored yet', () => {
+    renderHistory();
+    const buttons = screen.getAllByText('com_ui_tasks_history_restore');
+    expect(buttons).toHaveLength(1);
+    fireEvent.click(buttons[0]);
+    expect(mockRestore).toHaveBeenCalledWith('set-2');
+    expect(screen.getByText('com_ui_tasks_history_restored')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,147 @@
+import React from 'react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { TasksResponse } from 'librechat-data-provider';
+import TasksPanel from '../TasksPanel';
+
+const mockCreateTask = jest.fn();
+const mockUpdateTask = jest.fn();
+const mockDeleteTask = jest.fn();
+const mockScheduleTasks = jest.fn();
+let mockData: TasksResponse;
+
+jest.mock('~/hooks', () => ({
+  useLocalize: () => (key: string, options?: Record<string, unknown>) =>
+    options?.[0] != null ? `${key}:${options[0]}` : key,
+  useLocalStorage: (_key: string, defaultValue: unknown) =>
+    jest.requireActual('react').useState(defaultValue),
+}));
+
+jest.mock('~/data-provider', () => ({
+  useTasksQuery: () => ({ data: mockData, isLoading: false }),
+  useCreateTaskMutation: () => ({ mutate: mockCreateTask, isLoading: false }),
+  useUpdateTaskMutation: () => ({ mutate: mockUpdateTask }),
+  useDeleteTaskMutation: () => ({ mutate: mockDeleteTask }),
+  useScheduleTasksMutation: () => ({ mutate: mockScheduleTasks, isLoading: false }),
+  useCreateTaskListMutation: () => ({ mutate: jest.fn() }),
+}));
+
+jest.mock('@librechat/client', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+  Spinner: () => <span />,
+  EditIcon: () => <span />,
+  TrashIcon: () => <span />,
+  Input: (props: React.InputHTMLAttributes<HTMLInputElement>) => <input {...props} />,
+  Button: ({ children, ...props }: React.ButtonHTMLAttributes<HTMLButtonElement>) => (
+    <button {...props}>{children}</button>
+  ),
+  Checkbox: ({
+    checked,
+    onCheckedChange,
+    ...props
+  }: {
+    checked: boolean;
+    onCheckedChange: (value: boolean) => void;
+  }) => (
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onCheckedChange(e.target.checked)}
+      {...props}
+    />
+  ),
+}));
+
+const renderPanel = () =>
+  render(
+    <DndProvider backend={HTML5Backend}>
+      <TasksPanel />
+    </DndProvider>,
+  );
+
+describe('TasksPanel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockData = {
+      provider: 'local',
+      taskLists: [
+        { _id: 'inbox', name: 'Inbox', position: 0 },
+        { _id: 'work', name: '💰 Work', position: 1 },
+      ],
+      tasks: [
+        { _id: 't1', taskList: 'work', title: 'Submit PR', completed: false, dueDate: null },
+        { _id: 't2', taskList: 'work', title: 'Old task', completed: true },
+      ],
+    };
+  });
+
+  test('shows an empty state without task lists', () => {
+    mockData = { provider: 'local', taskLists: [], tasks: [] };
+    renderPanel();
+    expect(screen.getByText('com_ui_tasks_empty')).toBeInTheDocument();
+  });
+
+  test('points to the task provider that keeps the tasks instead of editing them', () => {
+    mockData = { provider: 'ticktick', taskLists: [], tasks: [] };
+    renderPanel();
+    expect(screen.getByText('com_ui_tasks_remote_provider:TickTick')).toBeInTheDocument();
+    expect(screen.queryByPlaceholderText('com_ui_tasks_add_placeholder')).not.toBeInTheDocument();
+    expect(screen.queryByText('com_ui_tasks_empty')).not.toBeInTheDocument();
+  });
+
+  test('groups tasks by list and hides completed tasks by default', () => {
+    renderPanel();
+    expect(screen.getByRole('heading', { name: '💰 Work' })).toBeInTheDocument();
+    expect(screen.getByText('Submit PR')).toBeInTheDocument();
+    expect(screen.queryByText('Old task')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('com_ui_tasks_completed:1'));
+    expect(screen.getByText('Old task')).toBeInTheDocument();
+  });
+
+  test('adds, completes and deletes tasks', () => {
+    renderPanel();
+
+    fireEvent.change(screen.getByPlaceholderText('com_ui_tasks_add_placeholder'), {
+      target: { value: 'Email John' },
+    });
+    fireEvent.change(screen.getByLabelText('com_ui_tasks_list'), { target: { value: 'work' } });
+    fireEvent.submit(screen.getByPlaceholderText('com_ui_tasks_add_placeholder'));
+    expect(mockCreateTask).toHaveBeenCalledWith({ title: 'Email John', taskListId: 'work' });
+
+    fireEvent.click(screen.getByLabelText('Submit PR'));
+    expect(mockUpdateTask).toHaveBeenCalledWith({ taskId: 't1', data: { completed: true } });
+
+    fireEvent.click(screen.getByLabelText('com_ui_delete'));
+    expect(mockDeleteTask).toHaveBeenCalledWith('t1');
+  });
+
+  test('schedules open undated tasks that have a duration', () => {
+    mockData.tasks.push({
+      _id: 't3',
+      taskList: 'work',
+      title: 'Write report',
+      completed: false,
+      duration: 90,
+    });
+    renderPanel();
+    expect(screen.getByText('1h 30m')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('com_ui_tasks_schedule'));
+    expect(mockScheduleTasks).toHaveBeenLastCalledWith({ focusBlocks: false });
+
+    fireEvent.click(screen.getByLabelText('com_ui_tasks_focus_blocks'));
+    fireEvent.click(screen.getByText('com_ui_tasks_schedule'));
+    expect(mockScheduleTasks).toHaveBeenLastCalledWith({ focusBlocks: true });
+  });
+
+  test('switches to the agenda view', () => {
+    renderPanel();
+    fireEvent.click(screen.getByRole('radio', { name: /com_ui_tasks_view_agenda/ }));
+    expect(screen.getByText('com_ui_date_today')).toBeInTheDocument();
+    expect(screen.getByText('com_ui_tasks_no_date')).toBeInTheDocument();
+    expect(screen.getByText('Submit PR')).toBeInTheDocument();
+  });
+});
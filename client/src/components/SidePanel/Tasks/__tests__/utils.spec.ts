@@ -0,0 +1,76 @@
+import type { TTask, TTaskList } from 'librechat-data-provider';
+import { getAgenda, getRepeatLabel, groupTasksByList, parseTags, rescheduleTo } from '../utils';
+
+const task = (overrides: Partial<TTask>): TTask => ({
+  _id: 'task',
+  taskList: 'work',
+  title: 'Task',
+  completed: false,
+  dueDate: null,
+  ...overrides,
+});
+
+const taskLists: TTaskList[] = [
+  { _id: 'home', name: 'Home', position: 1 },
+  { _id: 'work', name: 'Work', position: 0 },
+];
+
+describe('Tasks panel utils', () => {
+  const now = new Date(2025, 11, 24, 12, 0);
+
+  test('groups tasks by list in list order, sorting open tasks by due date', () => {
+    const groups = groupTasksByList(taskLists, [
+      task({ _id: 'a', dueDate: new Date(2025, 11, 26, 9).toISOString() }),
+      task({ _id: 'b', dueDate: new Date(2025, 11, 25, 9).toISOString() }),
+      task({ _id: 'c' }),
+      task({ _id: 'd', completed: true }),
+      task({ _id: 'e', taskList: 'home' }),
+      task({ _id: 'f', taskList: 'missing' }),
+    ]);
+
+    expect(groups.map((group) => group.taskList.name)).toEqual(['Work', 'Home']);
+    expect(groups[0].open.map((t) => t._id)).toEqual(['b', 'a', 'c']);
+    expect(groups[0].completed.map((t) => t._id)).toEqual(['d']);
+    expect(groups[1].open.map((t) => t._id)).toEqual(['e']);
+  });
+
+  test('buckets open tasks into overdue, days, later and unscheduled', () => {
+    const agenda = getAgenda(
+      [
+        task({ _id: 'overdue', dueDate: new Date(2025, 11, 23, 9).toISOString() }),
+        task({ _id: 'today', dueDate: new Date(2025, 11, 24, 18).toISOString() }),
+        task({ _id: 'friday', dueDate: new Date(2025, 11, 26, 9).toISOString() }),
+        task({ _id: 'later', dueDate: new Date(2026, 0, 5, 9).toISOString() }),
+        task({ _id: 'none' }),
+        task({ _id: 'done', completed: true, dueDate: new Date(2025, 11, 24, 9).toISOString() }),
+      ],
+      now,
+    );
+
+    expect(agenda.overdue.map((t) => t._id)).toEqual(['overdue']);
+    expect(agenda.days).toHaveLength(7);
+    expect(agenda.days[0].tasks.map((t) => t._id)).toEqual(['today']);
+    expect(agenda.days[2]).toMatchObject({ key: '2025-12-26' });
+    expect(agenda.days[2].tasks.map((t) => t._id)).toEqual(['friday']);
+    expect(agenda.later.map((t) => t._id)).toEqual(['later']);
+    expect(agenda.unscheduled.map((t) => t._id)).toEqual(['none']);
+  });
+
+  test('reschedules to another day keeping the time of day', () => {
+    const friday = new Date(2025, 11, 26);
+    const moved = new Date(rescheduleTo(new Date(2025, 11, 24, 14, 30).toISOString(), friday));
+    expect([moved.getDate(), moved.getHours(), moved.getMinutes()]).toEqual([26, 14, 30]);
+
+    const scheduled = new Date(rescheduleTo(null, friday));
+    expect([scheduled.getDate(), scheduled.getHours()]).toEqual([26, 9]);
+  });
+
+  test('labels recurrence rules by frequency and reads typed tags', () => {
+    expect(getRepeatLabel('FREQ=WEEKLY;BYDAY=MO')).toBe('com_ui_tasks_repeat_weekly');
+    expect(getRepeatLabel('INTERVAL=2;FREQ=DAILY')).toBe('com_ui_tasks_repeat_daily');
+    expect(getRepeatLabel('FREQ=HOURLY')).toBe('com_ui_tasks_repeat');
+    expect(getRepeatLabel(null)).toBeNull();
+
+    expect(parseTags('work, #deep #focus,, work')).toEqual(['work', 'deep', 'focus']);
+  });
+});
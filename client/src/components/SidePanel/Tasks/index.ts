@@ -0,0 +1 @@
+export { default as TasksPanel } from './TasksPanel';
@@ -0,0 +1,188 @@
+import { addDays, format, isBefore, isSameDay, startOfDay } from 'date-fns';
+import { TaskPriorities } from 'librechat-data-provider';
+import type {
+  TTask,
+  TTaskList,
+  TaskPriority,
+  TaskChangeType,
+  TUpdateTaskRequest,
+} from 'librechat-data-provider';
+import type { TranslationKeys } from '~/hooks';
+
+export type TaskView = 'list' | 'board' | 'agenda' | 'history';
+
+/** Kinds of task changes, in the order proposals and the task history list them */
+export const taskChangeGroups: { type: TaskChangeType; label: TranslationKeys }[] = [
+  { type: 'add', label: 'com_ui_task_changes_add' },
+  { type: 'update', label: 'com_ui_task_changes_update' },
+  { type: 'complete', label: 'com_ui_task_changes_complete' },
+  { type: 'delete', label: 'com_ui_task_changes_delete' },
+  { type: 'delete_project', label: 'com_ui_task_changes_delete_project' },
+];
+
+/** Drag item type shared by every task drop target */
+export const TASK_DRAG_TYPE = 'task';
+
+export type TaskDragItem = { id: string };
+
+export type TaskViewProps = {
+  taskLists: TTaskList[];
+  tasks: TTask[];
+  onUpdate: (taskId: string, data: TUpdateTaskRequest) => void;
+  onDelete: (taskId: string) => void;
+};
+
+export type TaskGroup = {
+  taskList: TTaskList;
+  open: TTask[];
+  completed: TTask[];
+};
+
+export type AgendaDay = {
+  key: string;
+  date: Date;
+  tasks: TTask[];
+};
+
+/** Hour used when a task without a time is dropped onto a day */
+const DEFAULT_DUE_HOUR = 9;
+
+const dueTime = (task: TTask) =>
+  task.dueDate ? new Date(task.dueDate).getTime() : Number.POSITIVE_INFINITY;
+
+/** Orders open tasks by due date, then by their manual position */
+export function compareTasks(a: TTask, b: TTask): number {
+  return dueTime(a) - dueTime(b) || (a.position ?? 0) - (b.position ?? 0);
+}
+
+/** Groups tasks by task list, keeping lists in display order and completed tasks apart */
+export function groupTasksByList(taskLists: TTaskList[], tasks: TTask[]): TaskGroup[] {
+  const groups = new Map<string, TaskGroup>(
+    [...taskLists]
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .map((taskList) => [taskList._id, { taskList, open: [], completed: [] }]),
+  );
+  for (const task of tasks) {
+    const group = groups.get(task.taskList);
+    if (!group) {
+      continue;
+    }
+    (task.completed ? group.completed : group.open).push(task);
+  }
+  for (const group of groups.values()) {
+    group.open.sort(compareTasks);
+    group.completed.sort(
+      (a, b) => new Date(b.completedAt ?? 0).getTime() - new Date(a.completedAt ?? 0).getTime(),
+    );
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Buckets open tasks for the agenda: overdue, one entry per day starting today,
+ * later, and tasks without a due date.
+ */
+export function getAgenda(tasks: TTask[], now: Date = new Date(), days = 7) {
+  const today = startOfDay(now);
+  const agendaDays: AgendaDay[] = Array.from({ length: days }, (_, i) => {
+    const date = addDays(today, i);
+    return { key: format(date, 'yyyy-MM-dd'), date, tasks: [] };
+  });
+  const end = addDays(today, days);
+  const overdue: TTask[] = [];
+  const later: TTask[] = [];
+  const unscheduled: TTask[] = [];
+
+  for (const task of tasks) {
+    if (task.completed) {
+      continue;
+    }
+    if (!task.dueDate) {
+      unscheduled.push(task);
+      continue;
+    }
+    const due = new Date(task.dueDate);
+    if (isBefore(due, today)) {
+      overdue.push(task);
+    } else if (!isBefore(due, end)) {
+      later.push(task);
+    } else {
+      agendaDays.find((day) => isSameDay(day.date, due))?.tasks.push(task);
+    }
+  }
+
+  const sort = (list: TTask[]) => list.sort(compareTasks);
+  agendaDays.forEach((day) => sort(day.tasks));
+  return {
+    overdue: sort(overdue),
+    days: agendaDays,
+    later: sort(later),
+    unscheduled: sort(unscheduled),
+  };
+}
+
+/**
+ * Moves a due date to another day, keeping its time of day.
+ * Tasks without a due date get {@link DEFAULT_DUE_HOUR}.
+ */
+export function rescheduleTo(dueDate: string | null | undefined, day: Date): string {
+  const next = startOfDay(day);
+  if (dueDate) {
+    const current = new Date(dueDate);
+    next.setHours(current.getHours(), current.getMinutes(), 0, 0);
+  } else {
+    next.setHours(DEFAULT_DUE_HOUR, 0, 0, 0);
+  }
+  return next.toISOString();
+}
+
+/** Value for an `<input type="datetime-local">` in the browser's timezone */
+export function toDateTimeInput(dueDate?: string | null): string {
+  return dueDate ? format(new Date(dueDate), "yyyy-MM-dd'T'HH:mm") : '';
+}
+
+/** Short due label: the time for today, otherwise the date and time */
+export function formatDueDate(dueDate: string, now: Date = new Date()): string {
+  const due = new Date(dueDate);
+  return isSameDay(due, now) ? format(due, 'HH:mm') : format(due, 'EEE, MMM d HH:mm');
+}
+
+/** Duration label such as `1h 30m` */
+export function formatDuration(minutes: number): string {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours > 0 ? `${hours}h` : '', rest > 0 ? `${rest}m` : ''].filter(Boolean).join(' ');
+}
+
+/** Labels of the task priorities, highest first */
+export const priorityLabels: { value: TaskPriority; label: TranslationKeys }[] = [
+  { value: TaskPriorities.high, label: 'com_ui_tasks_priority_high' },
+  { value: TaskPriorities.medium, label: 'com_ui_tasks_priority_medium' },
+  { value: TaskPriorities.low, label: 'com_ui_tasks_priority_low' },
+  { value: TaskPriorities.none, label: 'com_ui_tasks_priority_none' },
+];
+
+const repeatLabels: Record<string, TranslationKeys> = {
+  DAILY: 'com_ui_tasks_repeat_daily',
+  WEEKLY: 'com_ui_tasks_repeat_weekly',
+  MONTHLY: 'com_ui_tasks_repeat_monthly',
+  YEARLY: 'com_ui_tasks_repeat_yearly',
+};
+
+/** Label for the frequency of a recurrence rule, e.g. "Weekly" for `FREQ=WEEKLY;BYDAY=MO` */
+export function getRepeatLabel(rule?: string | null): TranslationKeys | null {
+  if (!rule) {
+    return null;
+  }
+  const frequency = /(?:^|;)FREQ=([A-Z]+)/i.exec(rule)?.[1]?.toUpperCase() ?? '';
+  return repeatLabels[frequency] ?? 'com_ui_tasks_repeat';
+}
+
+/** Tags typed as `work, #deep #focus`; tags cannot contain spaces */
+export function parseTags(value: string): string[] {
+  const tags = value
+    .split(/[\s,]+/)
+    .map((tag) => tag.trim().replace(/^#/, ''))
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
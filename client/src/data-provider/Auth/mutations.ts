@@ -87,6 +87,25 @@ export const useDeleteUserMutation = (
   });
 };
 
+/** Saves the user's timezone and date format and updates the cached user */
+export const useUpdateUserPreferencesMutation = (
+  options?: t.MutationOptions<t.TUpdateUserPreferencesResponse, t.TUserPreferences>,
+): UseMutationResult<t.TUpdateUserPreferencesResponse, unknown, t.TUserPreferences, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.updateUserPreferences], {
+    mutationFn: (preferences: t.TUserPreferences) => dataService.updateUserPreferences(preferences),
+    ...(options || {}),
+    onSuccess: (data, ...args) => {
+      queryClient.setQueryData<t.TUser>([QueryKeys.user], (user) =>
+        user
+          ? { ...user, personalization: { ...user.personalization, ...data.preferences } }
+          : user,
+      );
+      options?.onSuccess?.(data, ...args);
+    },
+  });
+};
+
 export const useEnableTwoFactorMutation = (): UseMutationResult<
   t.TEnable2FAResponse,
   unknown,
@@ -0,0 +1,2 @@
+/* Email */
+export * from './mutations';
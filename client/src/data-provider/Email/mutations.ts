@@ -0,0 +1,41 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { dataService, QueryKeys, Tools } from 'librechat-data-provider';
+import type { UseMutationOptions } from '@tanstack/react-query';
+import type * as t from 'librechat-data-provider';
+
+/**
+ * Confirms or cancels a Gmail action proposed on an assistant message, then writes the reviewed
+ * `email_action` artifact back into the cached message.
+ */
+export const useReviewEmailActionMutation = (
+  conversationId: string,
+  messageId: string,
+  options?: UseMutationOptions<t.TReviewEmailActionResponse, Error, t.TReviewEmailActionRequest>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    (payload: t.TReviewEmailActionRequest) =>
+      dataService.reviewEmailAction(conversationId, messageId, payload),
+    {
+      ...options,
+      onSuccess: (data, vars, context) => {
+        queryClient.setQueryData<t.TMessage[]>([QueryKeys.messages, conversationId], (prev) =>
+          prev?.map((message) =>
+            message.messageId !== data.messageId
+              ? message
+              : {
+                  ...message,
+                  attachments: message.attachments?.map((attachment) =>
+                    attachment.type === Tools.email_action &&
+                    attachment.toolCallId === data.toolCallId
+                      ? { ...attachment, [Tools.email_action]: data.emailAction }
+                      : attachment,
+                  ),
+                },
+          ),
+        );
+        options?.onSuccess?.(data, vars, context);
+      },
+    },
+  );
+};
@@ -0,0 +1,3 @@
+/* Integrations */
+export * from './queries';
+export * from './mutations';
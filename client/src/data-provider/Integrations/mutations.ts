@@ -0,0 +1,46 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { dataService, QueryKeys } from 'librechat-data-provider';
+import type { UseMutationOptions } from '@tanstack/react-query';
+import type * as t from 'librechat-data-provider';
+
+/** Connected accounts feed the Tasks panel, so tasks are refetched whenever they change. */
+export const useSaveIntegrationMutation = (
+  options?: UseMutationOptions<t.TIntegration, Error, t.TSaveIntegrationRequest>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((data: t.TSaveIntegrationRequest) => dataService.saveIntegration(data), {
+    ...options,
+    onSuccess: (...params) => {
+      queryClient.invalidateQueries([QueryKeys.integrations]);
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      options?.onSuccess?.(...params);
+    },
+  });
+};
+
+export const useDeleteIntegrationMutation = (
+  options?: UseMutationOptions<{ deleted: boolean }, Error, t.TIntegrationProvider>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    (provider: t.TIntegrationProvider) => dataService.deleteIntegration(provider),
+    {
+      ...options,
+      onSuccess: (...params) => {
+        queryClient.invalidateQueries([QueryKeys.integrations]);
+        queryClient.invalidateQueries([QueryKeys.tasks]);
+        options?.onSuccess?.(...params);
+      },
+    },
+  );
+};
+
+/** Fetches a fresh consent URL; each one carries a short-lived signed state */
+export const useIntegrationAuthUrlMutation = (
+  options?: UseMutationOptions<{ authUrl: string }, Error, t.TIntegrationProvider>,
+) => {
+  return useMutation(
+    (provider: t.TIntegrationProvider) => dataService.getIntegrationAuthUrl(provider),
+    options,
+  );
+};
@@ -0,0 +1,35 @@
+import { useQuery } from '@tanstack/react-query';
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import type { UseQueryOptions, QueryObserverResult } from '@tanstack/react-query';
+import type { IntegrationsResponse, TEmailIngestionStatus } from 'librechat-data-provider';
+
+export const useIntegrationsQuery = (
+  config?: UseQueryOptions<IntegrationsResponse>,
+): QueryObserverResult<IntegrationsResponse> => {
+  return useQuery<IntegrationsResponse>(
+    [QueryKeys.integrations],
+    () => dataService.getIntegrations(),
+    {
+      /** Picks up accounts connected in the OAuth popup */
+      refetchOnWindowFocus: true,
+      refetchOnReconnect: false,
+      refetchOnMount: true,
+      ...config,
+    },
+  );
+};
+
+export const useEmailIngestionStatusQuery = (
+  config?: UseQueryOptions<TEmailIngestionStatus>,
+): QueryObserverResult<TEmailIngestionStatus> => {
+  return useQuery<TEmailIngestionStatus>(
+    [QueryKeys.emailIngestion],
+    () => dataService.getEmailIngestionStatus(),
+    {
+      refetchOnWindowFocus: true,
+      refetchOnReconnect: false,
+      refetchOnMount: true,
+      ...config,
+    },
+  );
+};
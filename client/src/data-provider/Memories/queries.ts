@@ -1,12 +1,20 @@
 /* Memories */
-import { QueryKeys, MutationKeys, dataService } from 'librechat-data-provider';
+import { QueryKeys, MutationKeys, Tools, dataService } from 'librechat-data-provider';
 import { useQuery, useQueryClient, useMutation } from '@tanstack/react-query';
 import type {
   UseQueryOptions,
   UseMutationOptions,
   QueryObserverResult,
 } from '@tanstack/react-query';
-import type { TUserMemory, MemoriesResponse } from 'librechat-data-provider';
+import type {
+  TMessage,
+  TUserMemory,
+  MemoriesResponse,
+  TPersonalProfile,
+  TPersonalProfileResponse,
+  TReviewProfileUpdateRequest,
+  TReviewProfileUpdateResponse,
+} from 'librechat-data-provider';
 
 export const useMemoriesQuery = (
   config?: UseQueryOptions<MemoriesResponse>,
@@ -114,3 +122,70 @@ export const useCreateMemoryMutation = (
     },
   );
 };
+
+export const usePersonalProfileQuery = (
+  config?: UseQueryOptions<TPersonalProfileResponse>,
+): QueryObserverResult<TPersonalProfileResponse> => {
+  return useQuery<TPersonalProfileResponse>(
+    [QueryKeys.personalProfile],
+    () => dataService.getPersonalProfile(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+export const useUpdatePersonalProfileMutation = (
+  options?: UseMutationOptions<TPersonalProfileResponse, Error, TPersonalProfile>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((profile: TPersonalProfile) => dataService.updatePersonalProfile(profile), {
+    ...options,
+    onSuccess: (data, vars, context) => {
+      queryClient.setQueryData([QueryKeys.personalProfile], data);
+      options?.onSuccess?.(data, vars, context);
+    },
+  });
+};
+
+/**
+ * Approves or dismisses a profile update proposed on an assistant message, then writes the
+ * reviewed `profile_update` artifact back into the cached message.
+ */
+export const useReviewProfileUpdateMutation = (
+  conversationId: string,
+  messageId: string,
+  options?: UseMutationOptions<TReviewProfileUpdateResponse, Error, TReviewProfileUpdateRequest>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    (payload: TReviewProfileUpdateRequest) =>
+      dataService.reviewProfileUpdate(conversationId, messageId, payload),
+    {
+      ...options,
+      onSuccess: (data, vars, context) => {
+        queryClient.setQueryData<TMessage[]>([QueryKeys.messages, conversationId], (prev) =>
+          prev?.map((message) =>
+            message.messageId !== data.messageId
+              ? message
+              : {
+                  ...message,
+                  attachments: message.attachments?.map((attachment) =>
+                    attachment.type === Tools.profile_update &&
+                    attachment.toolCallId === data.toolCallId
+                      ? { ...attachment, [Tools.profile_update]: data.profileUpdate }
+                      : attachment,
+                  ),
+                },
+          ),
+        );
+        if (data.profileUpdate.status === 'approved') {
+          queryClient.invalidateQueries([QueryKeys.personalProfile]);
+        }
+        options?.onSuccess?.(data, vars, context);
+      },
+    },
+  );
+};
@@ -0,0 +1,3 @@
+/* Notifications */
+export * from './queries';
+export * from './mutations';
@@ -0,0 +1,48 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { dataService, QueryKeys } from 'librechat-data-provider';
+import type { UseMutationOptions } from '@tanstack/react-query';
+import type * as t from 'librechat-data-provider';
+
+export type TNotificationActionVariables = {
+  notificationId: string;
+  action: 'snooze' | 'complete' | 'dismiss';
+  minutes?: number;
+};
+
+/**
+ * Snoozes, completes or dismisses a reminder and removes it from the unread feed. Completing a
+ * task reminder completes the task, so the task list and its history are refreshed.
+ */
+export const useNotificationActionMutation = (
+  options?: UseMutationOptions<t.TNotification, Error, TNotificationActionVariables>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    ({ notificationId, action, minutes }: TNotificationActionVariables) => {
+      if (action === 'snooze') {
+        return dataService.snoozeNotification(notificationId, minutes);
+      }
+      if (action === 'complete') {
+        return dataService.completeNotification(notificationId);
+      }
+      return dataService.dismissNotification(notificationId);
+    },
+    {
+      ...options,
+      onSuccess: (data, vars, context) => {
+        queryClient.setQueryData<t.TNotificationsResponse>(
+          [QueryKeys.notifications, 'unread'],
+          (prev) =>
+            prev && {
+              notifications: prev.notifications.filter(({ _id }) => _id !== vars.notificationId),
+            },
+        );
+        if (vars.action === 'complete') {
+          queryClient.invalidateQueries([QueryKeys.tasks]);
+          queryClient.invalidateQueries([QueryKeys.taskHistory]);
+        }
+        options?.onSuccess?.(data, vars, context);
+      },
+    },
+  );
+};
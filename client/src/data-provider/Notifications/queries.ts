@@ -0,0 +1,20 @@
+import { useQuery } from '@tanstack/react-query';
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import type { UseQueryOptions, QueryObserverResult } from '@tanstack/react-query';
+import type { TNotificationsResponse } from 'librechat-data-provider';
+
+/** Reminders delivered to the user that were not acted on or dismissed yet */
+export const useUnreadNotificationsQuery = (
+  config?: UseQueryOptions<TNotificationsResponse>,
+): QueryObserverResult<TNotificationsResponse> => {
+  return useQuery<TNotificationsResponse>(
+    [QueryKeys.notifications, 'unread'],
+    () => dataService.getNotifications(true),
+    {
+      refetchOnWindowFocus: true,
+      refetchOnReconnect: true,
+      refetchOnMount: true,
+      ...config,
+    },
+  );
+};
@@ -0,0 +1,3 @@
+/* Tasks */
+export * from './queries';
+export * from './mutations';
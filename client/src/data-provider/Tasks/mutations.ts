@@ -0,0 +1,202 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { dataService, QueryKeys, Tools } from 'librechat-data-provider';
+import type { QueryClient, UseMutationOptions } from '@tanstack/react-query';
+import type * as t from 'librechat-data-provider';
+
+/** Writes a reviewed or undone `task_changes` artifact back into its cached message */
+const setTaskChangesArtifact = (
+  queryClient: QueryClient,
+  conversationId: string,
+  data: t.TReviewTaskChangesResponse,
+) =>
+  queryClient.setQueryData<t.TMessage[]>([QueryKeys.messages, conversationId], (prev) => {
+    if (!prev) {
+      return prev;
+    }
+    return prev.map((message) => {
+      if (message.messageId !== data.messageId) {
+        return message;
+      }
+      return {
+        ...message,
+        attachments: message.attachments?.map((attachment) =>
+          attachment.type === Tools.task_changes
+            ? { ...attachment, [Tools.task_changes]: data.taskChanges }
+            : attachment,
+        ),
+      };
+    });
+  });
+
+/**
+ * Accepts, rejects or cherry-picks the task changes proposed on an assistant message,
+ * then writes the reviewed artifact back into the cached message.
+ */
+export const useReviewTaskChangesMutation = (
+  conversationId: string,
+  messageId: string,
+  options?: UseMutationOptions<t.TReviewTaskChangesResponse, Error, t.TReviewTaskChangesRequest>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    (payload: t.TReviewTaskChangesRequest) =>
+      dataService.reviewTaskChanges(conversationId, messageId, payload),
+    {
+      ...options,
+      onSuccess: (data, vars, context) => {
+        setTaskChangesArtifact(queryClient, conversationId, data);
+        queryClient.invalidateQueries([QueryKeys.tasks]);
+        queryClient.invalidateQueries([QueryKeys.taskHistory]);
+        options?.onSuccess?.(data, vars, context);
+      },
+    },
+  );
+};
+
+/** Reverts the task changes applied from an assistant message */
+export const useUndoTaskChangesMutation = (
+  conversationId: string,
+  messageId: string,
+  options?: UseMutationOptions<t.TReviewTaskChangesResponse, Error, void>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(() => dataService.undoTaskChanges(conversationId, messageId), {
+    ...options,
+    onSuccess: (data, vars, context) => {
+      setTaskChangesArtifact(queryClient, conversationId, data);
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      queryClient.invalidateQueries([QueryKeys.taskHistory]);
+      options?.onSuccess?.(data, vars, context);
+    },
+  });
+};
+
+/**
+ * Restores the tasks of a change set from the task history. The proposal card of the message
+ * that made the changes is refetched, since it is marked as undone.
+ */
+export const useRestoreTaskChangeSetMutation = (
+  options?: UseMutationOptions<t.TRestoreTaskChangeSetResponse, Error, string>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((changeSetId: string) => dataService.restoreTaskChangeSet(changeSetId), {
+    ...options,
+    onSuccess: (...params) => {
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      queryClient.invalidateQueries([QueryKeys.taskHistory]);
+      queryClient.invalidateQueries([QueryKeys.messages]);
+      options?.onSuccess?.(...params);
+    },
+  });
+};
+
+export const useCreateTaskMutation = (
+  options?: UseMutationOptions<t.TTask, Error, t.TCreateTaskRequest>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((data: t.TCreateTaskRequest) => dataService.createTask(data), {
+    ...options,
+    onSuccess: (...params) => {
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      options?.onSuccess?.(...params);
+    },
+  });
+};
+
+export type UpdateTaskParams = { taskId: string; data: t.TUpdateTaskRequest };
+
+/**
+ * Updates a task optimistically, so checking a task off or dropping it on another day or list
+ * is reflected immediately; the cache is rolled back if the request fails.
+ */
+export const useUpdateTaskMutation = (
+  options?: UseMutationOptions<t.TTask, Error, UpdateTaskParams, { previous?: t.TasksResponse }>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation(({ taskId, data }: UpdateTaskParams) => dataService.updateTask(taskId, data), {
+    ...options,
+    onMutate: async ({ taskId, data }) => {
+      await queryClient.cancelQueries([QueryKeys.tasks]);
+      const previous = queryClient.getQueryData<t.TasksResponse>([QueryKeys.tasks]);
+      const { taskListId, ...fields } = data;
+      queryClient.setQueryData<t.TasksResponse>([QueryKeys.tasks], (prev) =>
+        prev
+          ? {
+              ...prev,
+              tasks: prev.tasks.map((task) =>
+                task._id === taskId
+                  ? { ...task, ...fields, taskList: taskListId ?? task.taskList }
+                  : task,
+              ),
+            }
+          : prev,
+      );
+      return { previous };
+    },
+    onError: (error, vars, context) => {
+      if (context?.previous) {
+        queryClient.setQueryData([QueryKeys.tasks], context.previous);
+      }
+      options?.onError?.(error, vars, context);
+    },
+    onSettled: (...params) => {
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      options?.onSettled?.(...params);
+    },
+  });
+};
+
+export const useDeleteTaskMutation = (
+  options?: UseMutationOptions<{ deleted: boolean }, Error, string>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((taskId: string) => dataService.deleteTask(taskId), {
+    ...options,
+    onSuccess: (data, taskId, context) => {
+      queryClient.setQueryData<t.TasksResponse>([QueryKeys.tasks], (prev) =>
+        prev ? { ...prev, tasks: prev.tasks.filter((task) => task._id !== taskId) } : prev,
+      );
+      options?.onSuccess?.(data, taskId, context);
+    },
+  });
+};
+
+/** Places tasks with a duration into free calendar time; their new dates come from a refetch */
+export const useScheduleTasksMutation = (
+  options?: UseMutationOptions<t.TScheduleTasksResponse, Error, t.TScheduleTasksRequest>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((data: t.TScheduleTasksRequest) => dataService.scheduleTasks(data), {
+    ...options,
+    onSuccess: (...params) => {
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      options?.onSuccess?.(...params);
+    },
+  });
+};
+
+export const useCreateTaskListMutation = (
+  options?: UseMutationOptions<t.TTaskList, Error, { name: string }>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((data: { name: string }) => dataService.createTaskList(data), {
+    ...options,
+    onSuccess: (...params) => {
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      options?.onSuccess?.(...params);
+    },
+  });
+};
+
+export const useDeleteTaskListMutation = (
+  options?: UseMutationOptions<{ deleted: boolean }, Error, string>,
+) => {
+  const queryClient = useQueryClient();
+  return useMutation((taskListId: string) => dataService.deleteTaskList(taskListId), {
+    ...options,
+    onSuccess: (...params) => {
+      queryClient.invalidateQueries([QueryKeys.tasks]);
+      options?.onSuccess?.(...params);
+    },
+  });
+};
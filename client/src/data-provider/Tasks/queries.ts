@@ -0,0 +1,30 @@
+import { useQuery } from '@tanstack/react-query';
+import { QueryKeys, dataService } from 'librechat-data-provider';
+import type { UseQueryOptions, QueryObserverResult } from '@tanstack/react-query';
+import type { TasksResponse, TTaskHistoryResponse } from 'librechat-data-provider';
+
+export const useTasksQuery = (
+  config?: UseQueryOptions<TasksResponse>,
+): QueryObserverResult<TasksResponse> => {
+  return useQuery<TasksResponse>([QueryKeys.tasks], () => dataService.getTasks(), {
+    refetchOnWindowFocus: true,
+    refetchOnReconnect: false,
+    refetchOnMount: true,
+    ...config,
+  });
+};
+
+export const useTaskHistoryQuery = (
+  config?: UseQueryOptions<TTaskHistoryResponse>,
+): QueryObserverResult<TTaskHistoryResponse> => {
+  return useQuery<TTaskHistoryResponse>(
+    [QueryKeys.taskHistory],
+    () => dataService.getTaskHistory(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      refetchOnMount: true,
+      ...config,
+    },
+  );
+};
@@ -1,11 +1,19 @@
 export * from './Auth';
 export * from './Agents';
 export * from './Endpoints';
+/* Email */
+export * from './Email';
 export * from './Files';
+/* Integrations */
+export * from './Integrations';
 /* Memories */
 export * from './Memories';
 export * from './Messages';
+/* Notifications */
+export * from './Notifications';
 export * from './Misc';
+/* Tasks */
+export * from './Tasks';
 export * from './Tools';
 export * from './connection';
 export * from './mutations';
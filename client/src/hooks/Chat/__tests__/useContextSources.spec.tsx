@@ -0,0 +1,105 @@
+import React from 'react';
+import { Provider, createStore } from 'jotai';
+import { RecoilRoot, useRecoilValue } from 'recoil';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { Constants, LocalStorageKeys } from 'librechat-data-provider';
+import { ephemeralAgentByConvoId } from '~/store';
+import useContextSources from '../useContextSources';
+import * as dataProvider from '~/data-provider';
+
+jest.mock('~/data-provider', () => ({
+  ...jest.requireActual('~/data-provider'),
+  useGetStartupConfig: jest.fn(),
+}));
+
+const contextSources = [
+  { name: 'tasks' },
+  { name: 'calendar', scope: { endpoints: ['google'] } },
+  { name: 'email', scope: { agents: ['agent_planner'] } },
+];
+
+const createWrapper = () => {
+  const store = createStore();
+  (dataProvider.useGetStartupConfig as jest.Mock).mockReturnValue({
+    data: { contextSources },
+    isLoading: false,
+  });
+
+  const Wrapper: React.FC<{ children: React.ReactNode }> = ({ children }) => (
+    <RecoilRoot>
+      <Provider store={store}>{children}</Provider>
+    </RecoilRoot>
+  );
+  return Wrapper;
+};
+
+const useSourcesWithAgent = (params: Parameters<typeof useContextSources>[0]) => {
+  const sources = useContextSources(params);
+  const ephemeralAgent = useRecoilValue(
+    ephemeralAgentByConvoId(params.conversationId ?? Constants.NEW_CONVO),
+  );
+  return { ...sources, ephemeralAgent };
+};
+
+describe('useContextSources', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('lists the sources in scope of the endpoint or agent', () => {
+    const wrapper = createWrapper();
+    const google = renderHook(() => useContextSources({ endpoint: 'google' }), { wrapper });
+    expect(google.result.current.sources).toEqual(['tasks', 'calendar']);
+
+    const agent = renderHook(
+      () => useContextSources({ endpoint: 'agents', agentId: 'agent_planner' }),
+      { wrapper },
+    );
+    expect(agent.result.current.sources).toEqual(['tasks', 'email']);
+  });
+
+  it('sends turned-off sources with the ephemeral agent and remembers them', async () => {
+    const conversationId = 'convo-1';
+    const { result } = renderHook(
+      () => useSourcesWithAgent({ conversationId, endpoint: 'google' }),
+      { wrapper: createWrapper() },
+    );
+
+    act(() => {
+      result.current.setEnabledSources(['calendar']);
+    });
+
+    await waitFor(() => {
+      expect(result.current.enabledSources).toEqual(['calendar']);
+      expect(result.current.ephemeralAgent?.disabled_context_sources).toEqual(['tasks']);
+    });
+    expect(
+      JSON.parse(
+        localStorage.getItem(`${LocalStorageKeys.LAST_CONTEXT_SOURCES_}${conversationId}`)!,
+      ),
+    ).toEqual(['tasks']);
+  });
+
+  it('keeps the state of sources outside the current scope', async () => {
+    localStorage.setItem(
+      `${LocalStorageKeys.LAST_CONTEXT_SOURCES_}${Constants.NEW_CONVO}`,
+      JSON.stringify(['email']),
+    );
+    const { result } = renderHook(() => useSourcesWithAgent({ endpoint: 'google' }), {
+      wrapper: createWrapper(),
+    });
+    expect(result.current.enabledSources).toEqual(['tasks', 'calendar']);
+
+    act(() => {
+      result.current.setEnabledSources(['tasks']);
+    });
+
+    await waitFor(() => {
+      expect(result.current.ephemeralAgent?.disabled_context_sources).toEqual([
+        'email',
+        'calendar',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useMemo } from 'react';
+import { useAtom } from 'jotai';
+import isEqual from 'lodash/isEqual';
+import { useRecoilState } from 'recoil';
+import { Constants, isContextSourceInScope } from 'librechat-data-provider';
+import { ephemeralAgentByConvoId, disabledContextSourcesAtomFamily } from '~/store';
+import { useGetStartupConfig } from '~/data-provider';
+
+/**
+ * The context sources that apply to a conversation, and which of them are turned on.
+ * Turned-off sources are sent with the request as `ephemeralAgent.disabled_context_sources`.
+ */
+export default function useContextSources({
+  conversationId,
+  endpoint,
+  agentId,
+}: {
+  conversationId?: string | null;
+  endpoint?: string | null;
+  agentId?: string | null;
+}) {
+  const key = conversationId ?? Constants.NEW_CONVO;
+  const { data: startupConfig } = useGetStartupConfig();
+  const [disabled, setDisabled] = useAtom(disabledContextSourcesAtomFamily(key));
+  const [ephemeralAgent, setEphemeralAgent] = useRecoilState(ephemeralAgentByConvoId(key));
+
+  const sources = useMemo(
+    () =>
+      (startupConfig?.contextSources ?? [])
+        .filter((source) => isContextSourceInScope(source, { endpoint, agentId }))
+        .map((source) => source.name as string),
+    [startupConfig?.contextSources, endpoint, agentId],
+  );
+
+  /** Carries choices made on a new conversation over once it has an ID */
+  useEffect(() => {
+    const fromAgent = ephemeralAgent?.disabled_context_sources ?? [];
+    if (fromAgent.length > 0) {
+      setDisabled(fromAgent);
+    }
+  }, [ephemeralAgent?.disabled_context_sources, setDisabled]);
+
+  useEffect(() => {
+    setEphemeralAgent((prev) => {
+      if (!isEqual(prev?.disabled_context_sources ?? [], disabled)) {
+        return { ...(prev ?? {}), disabled_context_sources: disabled };
+      }
+      return prev;
+    });
+  }, [disabled, setEphemeralAgent]);
+
+  const enabledSources = useMemo(
+    () => sources.filter((source) => !disabled.includes(source)),
+    [sources, disabled],
+  );
+
+  /** Sources out of the current scope keep their state */
+  const setEnabledSources = useCallback(
+    (values: string[]) => {
+      setDisabled([
+        ...disabled.filter((source) => !sources.includes(source)),
+        ...sources.filter((source) => !values.includes(source)),
+      ]);
+    },
+    [disabled, sources, setDisabled],
+  );
+
+  return { sources, enabledSources, setEnabledSources };
+}
@@ -1,6 +1,13 @@
 import { useMemo } from 'react';
 import { Blocks, MCPIcon, AttachmentIcon } from '@librechat/client';
-import { Database, Bookmark, Settings2, ArrowRightToLine, MessageSquareQuote } from 'lucide-react';
+import {
+  Database,
+  Bookmark,
+  ListTodo,
+  Settings2,
+  ArrowRightToLine,
+  MessageSquareQuote,
+} from 'lucide-react';
 import {
   Permissions,
   EModelEndpoint,
@@ -14,6 +21,7 @@ import type { NavLink } from '~/common';
 import AgentPanelSwitch from '~/components/SidePanel/Agents/AgentPanelSwitch';
 import BookmarkPanel from '~/components/SidePanel/Bookmarks/BookmarkPanel';
 import MemoryViewer from '~/components/SidePanel/Memories/MemoryViewer';
+import TasksPanel from '~/components/SidePanel/Tasks/TasksPanel';
 import PanelSwitch from '~/components/SidePanel/Builder/PanelSwitch';
 import PromptsAccordion from '~/components/Prompts/PromptsAccordion';
 import Parameters from '~/components/SidePanel/Parameters/Panel';
@@ -119,6 +127,14 @@ export default function useSideNavLinks({
       });
     }
 
+    links.push({
+      title: 'com_ui_tasks',
+      label: '',
+      icon: ListTodo,
+      id: 'tasks',
+      Component: TasksPanel,
+    });
+
     if (
       interfaceConfig.parameters === true &&
       isParamEndpoint(endpoint ?? '', endpointType ?? '') === true &&
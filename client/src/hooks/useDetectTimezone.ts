@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+import { useGetUserQuery, useUpdateUserPreferencesMutation } from '~/data-provider';
+
+/** The browser's IANA timezone, e.g. `Europe/Berlin` */
+export const getBrowserTimezone = (): string | undefined =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || undefined;
+
+/**
+ * Saves the browser's timezone for users who have not set one yet,
+ * so planner times and task dates match their clock. A chosen timezone is never overwritten.
+ */
+export default function useDetectTimezone(isAuthenticated: boolean) {
+  const { data: user } = useGetUserQuery({ enabled: isAuthenticated });
+  const { mutate } = useUpdateUserPreferencesMutation();
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!user || user.personalization?.timezone || requested.current) {
+      return;
+    }
+    const timezone = getBrowserTimezone();
+    if (timezone) {
+      requested.current = true;
+      mutate({ timezone });
+    }
+  }, [user, mutate]);
+}
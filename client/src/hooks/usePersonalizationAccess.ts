@@ -7,7 +7,8 @@ export default function usePersonalizationAccess() {
     permission: Permissions.OPT_OUT,
   });
 
-  const hasAnyPersonalizationFeature = hasMemoryOptOut;
+  /** Every user can edit their personal profile */
+  const hasAnyPersonalizationFeature = true;
 
   return {
     hasMemoryOptOut,
@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useState } from 'react';
+import { dataService } from 'librechat-data-provider';
+import type { TPushSubscription } from 'librechat-data-provider';
+
+/** Whether the browser can receive push notifications */
+const supportsPush =
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+/**
+ * The app's service worker, which imports the push handlers in production builds. In development
+ * the generated worker is disabled, so the push worker is registered on its own.
+ */
+async function getRegistration(): Promise<ServiceWorkerRegistration> {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (registration) {
+    return registration;
+  }
+  await navigator.serviceWorker.register('push-sw.js');
+  return navigator.serviceWorker.ready;
+}
+
+/** Decodes the base64url VAPID public key into the form `pushManager.subscribe` expects */
+function decodeKey(base64url: string): Uint8Array {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Subscribes this browser to reminder push notifications, asking for permission first, and
+ * unsubscribes it. Unsupported when the browser lacks push or the server has no VAPID key.
+ * @param publicKey - The server's VAPID public key, from the startup config.
+ */
+export default function usePushSubscription(publicKey?: string) {
+  const supported = supportsPush && !!publicKey;
+  const [subscribed, setSubscribed] = useState(false);
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    if (!supported) {
+      return;
+    }
+    navigator.serviceWorker
+      .getRegistration()
+      .then((registration) => registration?.pushManager.getSubscription())
+      .then((subscription) => setSubscribed(!!subscription))
+      .catch(() => setSubscribed(false));
+  }, [supported]);
+
+  /** @returns Whether the browser is now subscribed; false when permission was denied */
+  const subscribe = useCallback(async () => {
+    if (!supported || !publicKey) {
+      return false;
+    }
+    setPending(true);
+    try {
+      if ((await Notification.requestPermission()) !== 'granted') {
+        return false;
+      }
+      const registration = await getRegistration();
+      const subscription =
+        (await registration.pushManager.getSubscription()) ??
+        (await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: decodeKey(publicKey),
+        }));
+      await dataService.savePushSubscription(subscription.toJSON() as TPushSubscription);
+      setSubscribed(true);
+      return true;
+    } finally {
+      setPending(false);
+    }
+  }, [supported, publicKey]);
+
+  const unsubscribe = useCallback(async () => {
+    if (!supported) {
+      return;
+    }
+    setPending(true);
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      const subscription = await registration?.pushManager.getSubscription();
+      if (subscription) {
+        await dataService.deletePushSubscription(subscription.endpoint);
+        await subscription.unsubscribe();
+      }
+      setSubscribed(false);
+    } finally {
+      setPending(false);
+    }
+  }, [supported]);
+
+  return { supported, subscribed, pending, subscribe, unsubscribe };
+}
@@ -4,6 +4,7 @@ import type { ContextType } from '~/common';
 import {
   useSearchEnabled,
   useAssistantsMap,
+  useDetectTimezone,
   useAuthContext,
   useAgentsMap,
   useFileMap,
@@ -20,6 +21,7 @@ import { TermsAndConditionsModal } from '~/components/ui';
 import { Nav, MobileNav } from '~/components/Nav';
 import { useHealthCheck } from '~/data-provider';
 import { Banner } from '~/components/Banners';
+import { ReminderToasts } from '~/components/Notifications';
 
 export default function Root() {
   const [showTerms, setShowTerms] = useState(false);
@@ -44,6 +46,7 @@ export default function Root() {
   });
 
   useSearchEnabled(isAuthenticated);
+  useDetectTimezone(isAuthenticated);
 
   useEffect(() => {
     if (termsData) {
@@ -80,6 +83,7 @@ export default function Root() {
                   </div>
                 </div>
               </div>
+              <ReminderToasts />
             </PromptGroupsProvider>
           </AgentsMapContext.Provider>
           {config?.interface?.termsOfService?.modalAcceptance === true && (
@@ -0,0 +1,13 @@
+import { atomFamily, atomWithStorage } from 'jotai/utils';
+import { Constants, LocalStorageKeys } from 'librechat-data-provider';
+
+/**
+ * Context sources the user turned off, per conversation.
+ * Sources are on by default, so only the ones turned off are stored.
+ */
+export const disabledContextSourcesAtomFamily = atomFamily((conversationId: string | null) => {
+  const key = conversationId ?? Constants.NEW_CONVO;
+  const storageKey = `${LocalStorageKeys.LAST_CONTEXT_SOURCES_}${key}`;
+
+  return atomWithStorage<string[]>(storageKey, [], undefined, { getOnInit: true });
+});
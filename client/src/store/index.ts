@@ -14,6 +14,7 @@ import misc from './misc';
 import isTemporary from './temporary';
 export * from './agents';
 export * from './mcp';
+export * from './contextSources';
 
 export default {
   ...artifacts,
@@ -55,6 +55,7 @@ export default defineConfig(({ command }) => ({
         globIgnores: ['images/**/*', '**/*.map', 'index.html'],
         maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
         navigateFallbackDenylist: [/^\/oauth/, /^\/api/],
+        importScripts: ['push-sw.js'],
       },
       includeAssets: [],
       manifest: {
@@ -0,0 +1,16 @@
+/**
+ * Prints a VAPID key pair for Web Push reminders, ready to paste into `.env`.
+ */
+const path = require('path');
+require('module-alias')({ base: path.resolve(__dirname, '..', 'api') });
+const { generateVapidKeys } = require('~/server/utils/sendWebPush');
+require('./helpers');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.purple('-----------------------------');
+console.purple('Generate VAPID keys for Web Push');
+console.purple('-----------------------------');
+console.cyan('Add these lines to your .env file:\n');
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
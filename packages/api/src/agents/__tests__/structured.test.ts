@@ -0,0 +1,102 @@
+import { Run, Providers } from '@librechat/agents';
+import type { JsonSchemaType } from '@librechat/data-schemas';
+import { extractJson, runStructuredOutput, StructuredOutputError } from '../structured';
+
+jest.mock('@librechat/data-schemas', () => ({
+  ...jest.requireActual('@librechat/data-schemas'),
+  logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('@librechat/agents', () => ({
+  ...jest.requireActual('@librechat/agents'),
+  Run: { create: jest.fn() },
+}));
+
+const schema: JsonSchemaType = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    urgent: { type: 'boolean' },
+  },
+  required: ['summary', 'urgent'],
+};
+
+/** Each call to `Run.create` answers with the next reply and reports 10 input / 5 output tokens */
+function mockReplies(...replies: string[]) {
+  const inputs: unknown[] = [];
+  for (const reply of replies) {
+    (Run.create as jest.Mock).mockImplementationOnce(async ({ customHandlers }) => ({
+      processStream: jest.fn(async (input) => {
+        inputs.push(input.messages.map((message: { content: unknown }) => message.content));
+        Object.values(customHandlers).forEach((handler) =>
+          (handler as { handle: (event: string, data: unknown) => void }).handle('end', {
+            output: { usage_metadata: { input_tokens: 10, output_tokens: 5, total_tokens: 15 } },
+          }),
+        );
+        return [{ type: 'text', text: reply }];
+      }),
+    }));
+  }
+  return inputs;
+}
+
+const params = {
+  userId: 'user-1',
+  llmConfig: { provider: Providers.OPENAI, model: 'gpt-4.1-mini' },
+  instructions: 'Summarize the email.',
+  input: 'Lunch moved to 1pm',
+  schema,
+};
+
+describe('runStructuredOutput', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('returns the validated object with the token usage of the call', async () => {
+    mockReplies('```json\n{"summary": "Lunch at 1pm", "urgent": false}\n```');
+
+    const result = await runStructuredOutput(params);
+
+    expect(result.output).toEqual({ summary: 'Lunch at 1pm', urgent: false });
+    expect(result.usage).toEqual([
+      expect.objectContaining({ input_tokens: 10, output_tokens: 5, model: 'gpt-4.1-mini' }),
+    ]);
+    const { graphConfig } = (Run.create as jest.Mock).mock.calls[0][0];
+    expect(graphConfig.llmConfig).toMatchObject({ provider: 'openAI', streaming: false });
+    expect(graphConfig.instructions).toContain('"required":["summary","urgent"]');
+  });
+
+  it('sends invalid output back with the validation errors', async () => {
+    const inputs = mockReplies(
+      '{"summary": "Lunch at 1pm"}',
+      '{"summary": "Lunch", "urgent": true}',
+    );
+
+    const result = await runStructuredOutput(params);
+
+    expect(result.output).toEqual({ summary: 'Lunch', urgent: true });
+    expect(result.usage).toHaveLength(2);
+    expect(inputs[1]).toEqual([
+      'Lunch moved to 1pm',
+      '{"summary": "Lunch at 1pm"}',
+      expect.stringContaining('urgent: Required'),
+    ]);
+  });
+
+  it('gives up after the last attempt and keeps the usage', async () => {
+    mockReplies('Sorry, I cannot help with that.');
+
+    const error = await runStructuredOutput({ ...params, maxAttempts: 1 }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.message).toContain('The reply contains no JSON object');
+    expect(error.usage).toHaveLength(1);
+  });
+});
+
+describe('extractJson', () => {
+  it('reads an object surrounded by text', () => {
+    expect(extractJson('Here you go: {"a": {"b": 1}} Thanks!')).toEqual({ a: { b: 1 } });
+  });
+});
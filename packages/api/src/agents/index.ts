@@ -5,3 +5,4 @@ export * from './legacy';
 export * from './resources';
 export * from './run';
 export * from './validation';
+export * from './structured';
@@ -0,0 +1,145 @@
+/** Structured output */
+import { logger } from '@librechat/data-schemas';
+import { Run, GraphEvents } from '@librechat/agents';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import type { ClientOptions, EventHandler, LLMConfig } from '@librechat/agents';
+import type { JsonSchemaType } from '@librechat/data-schemas';
+import type { BaseMessage, UsageMetadata, MessageContentComplex } from '@langchain/core/messages';
+import { convertJsonSchemaToZod } from '~/mcp/zod';
+
+export type StructuredOutputUsage = UsageMetadata & { model?: string };
+
+export interface StructuredOutputParams {
+  userId: string;
+  /** Client options of the resolved endpoint, including `provider` and `model` */
+  llmConfig: LLMConfig;
+  /** What to extract; the schema and the JSON-only rule are appended */
+  instructions: string;
+  /** The text to extract from */
+  input: string;
+  schema: JsonSchemaType;
+  /** Attempts before giving up; invalid output is sent back with the validation errors */
+  maxAttempts?: number;
+  runId?: string;
+  conversationId?: string;
+  signal?: AbortSignal;
+}
+
+export interface StructuredOutputResult<T> {
+  output: T;
+  /** Token usage of every model call made, including failed attempts */
+  usage: StructuredOutputUsage[];
+}
+
+/** Thrown when no attempt produced output matching the schema */
+export class StructuredOutputError extends Error {
+  usage: StructuredOutputUsage[];
+
+  constructor(message: string, usage: StructuredOutputUsage[]) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.usage = usage;
+  }
+}
+
+function getText(content: MessageContentComplex[] | undefined): string {
+  return (content ?? [])
+    .map((part) => (part.type === 'text' && 'text' in part ? String(part.text ?? '') : ''))
+    .join('')
+    .trim();
+}
+
+/** Reads the JSON object of a reply, ignoring code fences and text around it */
+export function extractJson(text: string): unknown {
+  const unfenced = text.replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('The reply contains no JSON object');
+  }
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+/**
+ * Runs a one-off extraction on any configured provider and validates the reply against a
+ * JSON schema. The schema is given in the prompt rather than through provider-specific JSON
+ * modes, so endpoints without tool or JSON support (e.g. local models) work as well.
+ */
+export async function runStructuredOutput<T = Record<string, unknown>>({
+  userId,
+  llmConfig,
+  instructions,
+  input,
+  schema,
+  maxAttempts = 2,
+  runId,
+  conversationId,
+  signal,
+}: StructuredOutputParams): Promise<StructuredOutputResult<T>> {
+  const validator = convertJsonSchemaToZod(schema as JsonSchemaType & Record<string, unknown>);
+  const usage: StructuredOutputUsage[] = [];
+  const model = 'model' in llmConfig ? (llmConfig.model as string | undefined) : undefined;
+  const usageHandler: EventHandler = {
+    handle: (_event, data) => {
+      const metadata = (data as { output?: { usage_metadata?: UsageMetadata } })?.output
+        ?.usage_metadata;
+      if (metadata) {
+        usage.push({ ...metadata, model });
+      }
+    },
+  };
+
+  const systemPrompt = `${instructions}
+
+Reply with a single JSON object that matches this JSON schema, and nothing else:
+${JSON.stringify(schema)}`;
+
+  const messages: BaseMessage[] = [new HumanMessage(input)];
+  let lastError = '';
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const run = await Run.create({
+      runId: runId ?? `structured-${Date.now()}`,
+      graphConfig: {
+        type: 'standard',
+        llmConfig: { ...llmConfig, streaming: false, disableStreaming: true } as ClientOptions,
+        instructions: systemPrompt,
+      },
+      customHandlers: { [GraphEvents.CHAT_MODEL_END]: usageHandler },
+      returnContent: true,
+    });
+
+    const config = {
+      runName: 'StructuredOutputRun',
+      configurable: { user_id: userId, thread_id: conversationId, provider: llmConfig.provider },
+      streamMode: 'values',
+      recursionLimit: 3,
+      version: 'v2',
+      signal,
+    } as const;
+    const content = await run.processStream({ messages }, config);
+
+    const text = getText(content);
+    try {
+      const result = validator ? validator.safeParse(extractJson(text)) : null;
+      if (!result || result.success) {
+        return { output: (result?.data ?? extractJson(text)) as T, usage };
+      }
+      lastError = result.error.issues
+        .map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+        .join('; ');
+    } catch (error) {
+      lastError = (error as Error).message;
+    }
+
+    logger.debug(`[runStructuredOutput] Attempt ${attempt} returned invalid output: ${lastError}`);
+    messages.push(
+      new AIMessage(text),
+      new HumanMessage(`That reply is invalid (${lastError}). Reply with the corrected JSON only.`),
+    );
+  }
+
+  throw new StructuredOutputError(
+    `No valid output after ${maxAttempts} attempt(s): ${lastError}`,
+    usage,
+  );
+}
@@ -230,6 +230,21 @@ describe('format.ts helper functions', () => {
       expect(result).toBe('toolkit2');
     });
 
+    it('should match toolkit when toolName is one of its listed tools', () => {
+      const toolkits: TPlugin[] = [
+        { name: 'Toolkit1', pluginKey: 'toolkit1', description: 'Test toolkit' },
+        {
+          name: 'Planner',
+          pluginKey: 'planner',
+          description: 'Test toolkit',
+          tools: ['list_tasks', 'search_email'],
+        },
+      ];
+
+      expect(getToolkitKey({ toolkits, toolName: 'search_email' })).toBe('planner');
+      expect(getToolkitKey({ toolkits, toolName: 'search_web' })).toBeUndefined();
+    });
+
     it('should handle image_edit tools with suffix matching', () => {
       const toolkits: TPlugin[] = [
         { name: 'Image Editor', pluginKey: 'image_edit_v1', description: 'Image editing' },
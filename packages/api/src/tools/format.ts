@@ -71,7 +71,7 @@ export function getToolkitKey({
         break;
       }
     }
-    if (toolName.startsWith(toolkit.pluginKey)) {
+    if (toolName.startsWith(toolkit.pluginKey) || toolkit.tools?.includes(toolName)) {
       toolkitKey = toolkit.pluginKey;
       break;
     }
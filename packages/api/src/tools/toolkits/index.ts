@@ -1,2 +1,3 @@
 export * from './oai';
+export * from './planner';
 export * from './yt';
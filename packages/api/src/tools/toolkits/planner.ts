@@ -0,0 +1,204 @@
+import { z } from 'zod';
+
+const localDateTime = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/, 'Use YYYY-MM-DD or YYYY-MM-DDTHH:mm')
+  .describe("Local date and time in the user's timezone, e.g. 2025-12-24T09:00");
+
+const duration = z.number().int().min(1).max(1440).describe('Estimated minutes of work');
+
+const priority = z.enum(['none', 'low', 'medium', 'high']).describe('Task priority');
+
+const tags = z.array(z.string().min(1)).describe('Tag names, without "#"');
+
+const repeat = z
+  .string()
+  .regex(/^(RRULE:)?FREQ=/i, 'Use an RRULE starting with FREQ=')
+  .describe('RFC 5545 RRULE for recurring tasks, e.g. FREQ=WEEKLY;BYDAY=MO');
+
+const checklist = z
+  .array(z.object({ title: z.string().min(1), completed: z.boolean().optional() }))
+  .describe('Checklist items of the task');
+
+const parentId = z
+  .string()
+  .describe('ID of the parent task (from list_tasks); makes this a subtask');
+
+export const plannerToolkit = {
+  list_tasks: {
+    name: 'list_tasks' as const,
+    description:
+      `List the user's tasks with their IDs, projects, due dates, durations, priorities, tags, recurrence, checklists and parent tasks.
+- Optional: project (only tasks of this project), query (words the task name or notes must contain), includeCompleted (default: false)
+- Returns: JSON array of tasks; use the IDs with update_task and complete_task
+- Use for: Reviewing what is planned before suggesting or changing tasks
+Example: project="Work" query="invoice"` as const,
+    schema: z.object({
+      project: z.string().optional().describe('Project name'),
+      query: z.string().optional().describe('Words to look for in task names and notes'),
+      includeCompleted: z.boolean().optional().describe('Include completed tasks'),
+    }),
+  },
+  create_task: {
+    name: 'create_task' as const,
+    description: `Create a task in the user's task manager.
+- Required: name (super concise, ideally 2-7 words)
+- Optional: project (created when missing; default: Inbox), due, duration, notes, priority, tags, repeat, checklist, parentId
+- Returns: The created task with its ID
+Example: name="Email John about invoice" project="Work" due="2025-12-23T10:00" duration=5 priority="high"` as const,
+    schema: z.object({
+      name: z.string().min(1).describe('Task name'),
+      project: z.string().optional().describe('Project name'),
+      due: localDateTime.optional(),
+      duration: duration.optional(),
+      notes: z.string().optional().describe('Details kept with the task'),
+      priority: priority.optional(),
+      tags: tags.optional(),
+      repeat: repeat.optional(),
+      checklist: checklist.optional(),
+      parentId: parentId.optional(),
+    }),
+  },
+  update_task: {
+    name: 'update_task' as const,
+    description: `Change a task; only the given fields are updated.
+- Required: id (from list_tasks)
+- Optional: name, project (moves the task), due (null removes the date), duration (null removes it), notes, priority, tags, repeat (null stops it), checklist, parentId (null makes it a top-level task)
+- Lists (tags, checklist) replace the current ones
+- Returns: The updated task
+Example: id="abc123" due="2025-12-24T14:00"` as const,
+    schema: z.object({
+      id: z.string().describe('Task ID from list_tasks'),
+      name: z.string().min(1).optional().describe('New task name'),
+      project: z.string().optional().describe('Project to move the task to'),
+      due: localDateTime.nullable().optional(),
+      duration: duration.nullable().optional(),
+      notes: z.string().optional().describe('New notes; replaces the current ones'),
+      priority: priority.optional(),
+      tags: tags.optional(),
+      repeat: repeat.nullable().optional(),
+      checklist: checklist.optional(),
+      parentId: parentId.nullable().optional(),
+    }),
+  },
+  complete_task: {
+    name: 'complete_task' as const,
+    description: `Mark a task as done.
+- Required: id (from list_tasks)
+- Returns: The completed task` as const,
+    schema: z.object({
+      id: z.string().describe('Task ID from list_tasks'),
+    }),
+  },
+  search_email: {
+    name: 'search_email' as const,
+    description: `Search the user's Gmail and read the matching emails.
+- Required: query (Gmail search syntax, e.g. from:, subject:, newer_than:, has:attachment)
+- Optional: maxResults (1-10, default: 3)
+- Returns: Sender, subject, date, message and thread IDs and the text of each email, newest first
+Example: query="from:john@example.com newer_than:7d invoice"` as const,
+    schema: z.object({
+      query: z.string().min(1).describe('Gmail search query'),
+      maxResults: z.number().int().min(1).max(10).optional().describe('Number of emails (1-10)'),
+    }),
+  },
+  propose_email_action: {
+    name: 'propose_email_action' as const,
+    description:
+      `Propose a Gmail action on one email: draft a reply, archive it, add or remove labels, mark it as read, snooze it, or add its calendar invitation to the user's calendar.
+- Nothing changes in Gmail until the user confirms the preview card shown with your response
+- Required: action, messageId (from search_email)
+- draft_reply: body (the complete reply; it is saved as a draft, never sent)
+- label: addLabels and/or removeLabels (label names; missing labels are created)
+- snooze: until (when the email returns to the inbox)
+- add_event: the email must have an invitation ("Proposed event" in search_email)
+- Returns: The proposed action; ask the user to confirm it and do not propose it again
+Example: action="draft_reply" messageId="18c2f0a1b2c3d4e5" body="Hi John, the invoice is attached."` as const,
+    schema: z.object({
+      action: z
+        .enum(['draft_reply', 'archive', 'label', 'mark_read', 'snooze', 'add_event'])
+        .describe('What to do with the email'),
+      messageId: z.string().min(1).describe('Message ID from search_email'),
+      body: z.string().optional().describe('Text of the draft reply'),
+      addLabels: z.array(z.string().min(1)).optional().describe('Label names to add'),
+      removeLabels: z.array(z.string().min(1)).optional().describe('Label names to remove'),
+      until: localDateTime.optional(),
+    }),
+    responseFormat: 'content_and_artifact' as const,
+  },
+  list_events: {
+    name: 'list_events' as const,
+    description: `List the events of all of the user's Google calendars, starting today.
+- Optional: days (1-30, default: 7), query (words the events must contain)
+- Returns: Events with calendar, title, description, location and time in the user's timezone
+Example: days=3 query="dentist"` as const,
+    schema: z.object({
+      days: z.number().int().min(1).max(30).optional().describe('Number of days to list (1-30)'),
+      query: z.string().optional().describe('Text to search for in events'),
+    }),
+  },
+  find_free_time: {
+    name: 'find_free_time' as const,
+    description:
+      `Find free time in the user's working hours (weekdays 9:00-17:00), between calendar events and dated tasks.
+- Optional: days (1-30, default: 7), duration (minimum minutes of each slot, default: 30)
+- Returns: Free slots with start and end in the user's timezone
+- Use for: Finding when a task or meeting fits before setting its due date
+Example: days=2 duration=60` as const,
+    schema: z.object({
+      days: z.number().int().min(1).max(30).optional().describe('Number of days to search (1-30)'),
+      duration: duration.optional(),
+    }),
+  },
+  propose_profile_update: {
+    name: 'propose_profile_update' as const,
+    description:
+      `Propose a change to the user's personal profile (shown as personal context): working hours, routines, energy peaks, recurring commitments, people, planning preferences or notes.
+- Only propose what the user told you or clearly confirmed; nothing changes until they approve the card shown with your response
+- Required: changes (only the fields that change); each field replaces the current value as a whole, so repeat the entries to keep
+- Optional: reason (one short sentence shown to the user)
+- Returns: The proposed update; do not propose it again
+Example: changes={"energyPeaks":["Mornings, 8:00-11:00"]} reason="You said you focus best before lunch"` as const,
+    schema: z.object({
+      changes: z
+        .object({
+          workingHours: z
+            .object({
+              start: z.string().describe('Local start time, HH:mm'),
+              end: z.string().describe('Local end time, HH:mm'),
+              days: z.array(z.number().int().min(1).max(7)).describe('ISO weekdays, 1 is Monday'),
+            })
+            .nullable()
+            .optional()
+            .describe('Usual working hours; null clears them'),
+          routines: z.array(z.string()).optional().describe('Daily or weekly routines'),
+          energyPeaks: z
+            .array(z.string())
+            .optional()
+            .describe('Times of day the user does their best focused work'),
+          commitments: z
+            .array(z.string())
+            .optional()
+            .describe('Recurring commitments, e.g. school runs or weekly classes'),
+          people: z
+            .array(
+              z.object({
+                name: z.string(),
+                role: z.string().describe('e.g. manager, partner, client'),
+                notes: z.string().optional(),
+              }),
+            )
+            .optional()
+            .describe('People the user deals with regularly'),
+          planningPreferences: z
+            .array(z.string())
+            .optional()
+            .describe('How the user likes their days planned'),
+          notes: z.string().optional().describe('Anything else, as free text'),
+        })
+        .describe('New values of the fields to change'),
+      reason: z.string().optional().describe('Why you propose the change'),
+    }),
+    responseFormat: 'content_and_artifact' as const,
+  },
+} as const;
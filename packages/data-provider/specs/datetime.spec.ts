@@ -0,0 +1,32 @@
+import {
+  DateFormats,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getUserDateSettings,
+  DEFAULT_DATE_FORMAT,
+} from '../src/datetime';
+
+describe('datetime', () => {
+  it('recognizes IANA timezones', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('UTC')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(isValidTimezone(42)).toBe(false);
+  });
+
+  it('resolves user preferences with defaults', () => {
+    expect(getUserDateSettings(undefined)).toEqual({
+      timezone: DEFAULT_TIMEZONE,
+      dateFormat: DEFAULT_DATE_FORMAT,
+    });
+    expect(
+      getUserDateSettings({
+        personalization: { timezone: 'Asia/Tokyo', dateFormat: DateFormats.iso },
+      }),
+    ).toEqual({ timezone: 'Asia/Tokyo', dateFormat: 'yyyy-MM-dd' });
+    expect(
+      getUserDateSettings({ personalization: { timezone: 'Nowhere', dateFormat: 'dd.MM.yy' } }),
+    ).toEqual({ timezone: DEFAULT_TIMEZONE, dateFormat: DEFAULT_DATE_FORMAT });
+  });
+});
@@ -0,0 +1,52 @@
+import {
+  configSchema,
+  StructuredOutputPurposes,
+  defaultStructuredOutput,
+  getStructuredOutputModel,
+} from '../src/config';
+
+describe('getStructuredOutputModel', () => {
+  it('uses the defaults when nothing is configured', () => {
+    expect(getStructuredOutputModel(undefined, StructuredOutputPurposes.taskList)).toEqual(
+      defaultStructuredOutput,
+    );
+  });
+
+  it('prefers the purpose override, then the shared settings', () => {
+    const { structuredOutput } = configSchema.parse({
+      version: '1.0.0',
+      structuredOutput: {
+        endpoint: 'Ollama',
+        model: 'llama3.1',
+        maxAttempts: 3,
+        purposes: {
+          [StructuredOutputPurposes.emailSummary]: { endpoint: 'openAI', model: 'gpt-4.1-mini' },
+          [StructuredOutputPurposes.taskList]: { temperature: 0 },
+        },
+      },
+    });
+
+    expect(
+      getStructuredOutputModel(structuredOutput, StructuredOutputPurposes.emailSummary),
+    ).toEqual({
+      endpoint: 'openAI',
+      model: 'gpt-4.1-mini',
+      temperature: undefined,
+      maxAttempts: 3,
+    });
+    expect(getStructuredOutputModel(structuredOutput, StructuredOutputPurposes.taskList)).toEqual({
+      endpoint: 'Ollama',
+      model: 'llama3.1',
+      temperature: 0,
+      maxAttempts: 3,
+    });
+  });
+
+  it('rejects unknown purposes', () => {
+    const result = configSchema.safeParse({
+      version: '1.0.0',
+      structuredOutput: { purposes: { titles: { model: 'gpt-4.1-mini' } } },
+    });
+    expect(result.success).toBe(false);
+  });
+});
@@ -336,6 +336,7 @@ export const addTagToConversation = (conversationId: string) =>
 
 export const userTerms = () => `${BASE_URL}/api/user/terms`;
 export const acceptUserTerms = () => `${BASE_URL}/api/user/terms/accept`;
+export const userPreferences = () => `${BASE_URL}/api/user/preferences`;
 export const banner = () => `${BASE_URL}/api/banner`;
 
 // Message Feedback
@@ -354,6 +355,40 @@ export const verifyTwoFactorTemp = () => `${BASE_URL}/api/auth/2fa/verify-temp`;
 export const memories = () => `${BASE_URL}/api/memories`;
 export const memory = (key: string) => `${memories()}/${encodeURIComponent(key)}`;
 export const memoryPreferences = () => `${memories()}/preferences`;
+export const personalProfile = () => `${memories()}/profile`;
+export const reviewProfileUpdate = (conversationId: string, messageId: string) =>
+  `${personalProfile()}/${conversationId}/${messageId}`;
+
+/* Tasks */
+export const tasks = () => `${BASE_URL}/api/tasks`;
+export const task = (taskId: string) => `${tasks()}/${taskId}`;
+export const taskLists = () => `${tasks()}/lists`;
+export const scheduleTasks = () => `${tasks()}/schedule`;
+export const taskList = (taskListId: string) => `${taskLists()}/${taskListId}`;
+export const taskChanges = (conversationId: string, messageId: string) =>
+  `${tasks()}/changes/${conversationId}/${messageId}`;
+export const undoTaskChanges = (conversationId: string, messageId: string) =>
+  `${taskChanges(conversationId, messageId)}/undo`;
+export const taskHistory = () => `${tasks()}/history`;
+export const restoreTaskChangeSet = (changeSetId: string) =>
+  `${taskHistory()}/${changeSetId}/restore`;
+
+/* Email */
+export const emailActions = () => `${BASE_URL}/api/email/actions`;
+export const reviewEmailAction = (conversationId: string, messageId: string) =>
+  `${emailActions()}/${conversationId}/${messageId}`;
+
+/* Notifications */
+export const notifications = (unread?: boolean) =>
+  `${BASE_URL}/api/notifications${unread ? '?unread=true' : ''}`;
+export const notificationAction = (notificationId: string, action: string) =>
+  `${notifications()}/${notificationId}/${action}`;
+export const pushSubscriptions = () => `${notifications()}/subscriptions`;
+
+export const integrations = () => `${BASE_URL}/api/integrations`;
+export const integration = (provider: string) => `${integrations()}/${provider}`;
+export const integrationAuthorize = (provider: string) => `${integration(provider)}/authorize`;
+export const emailIngestion = () => `${integration('google')}/ingestion`;
 
 export const searchPrincipals = (params: q.PrincipalSearchParams) => {
   const { q: query, limit, types } = params;
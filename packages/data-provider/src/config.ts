@@ -640,6 +640,8 @@ export type TStartupConfig = {
   socialLoginEnabled: boolean;
   passwordResetEnabled: boolean;
   emailEnabled: boolean;
+  /** VAPID public key browsers subscribe to reminder push notifications with; unset when off */
+  webPushPublicKey?: string;
   showBirthdayIcon: boolean;
   helpAndFaqURL: string;
   customFooter?: string;
@@ -662,6 +664,8 @@ export type TStartupConfig = {
     scraperProvider?: ScraperProviders;
     rerankerType?: RerankerTypes;
   };
+  /** Enabled context sources, in injection order */
+  contextSources?: Pick<TContextSource, 'name' | 'scope'>[];
   mcpServers?: Record<
     string,
     {
@@ -814,6 +818,143 @@ export const memorySchema = z.object({
 
 export type TMemoryConfig = DeepPartial<z.infer<typeof memorySchema>>;
 
+/** Personal data that can be injected into the prompt as context */
+export enum ContextSources {
+  personal = 'personal',
+  calendar = 'calendar',
+  email = 'email',
+  tasks = 'tasks',
+}
+
+export const contextSourceSchema = z.object({
+  name: z.nativeEnum(ContextSources),
+  enabled: z.boolean().optional().default(true),
+  /** Maximum tokens the source may add to the prompt */
+  tokenBudget: z.number().int().positive().optional(),
+  /** Items added from sources ranked against the user's message (email), most relevant first */
+  topK: z.number().int().positive().optional(),
+  /** How long a fetched snapshot is served before it is refreshed, in milliseconds; 0 disables caching */
+  ttl: z.number().int().nonnegative().optional(),
+  /** Sources are injected in ascending order; defaults to their position in the list */
+  order: z.number().optional(),
+  /**
+   * When the context does not fit in the model's context window, sources with the lowest
+   * priority are truncated, or left out, first
+   */
+  priority: z.number().optional(),
+  /** Limits the source to these endpoints or agents; applies everywhere when omitted */
+  scope: z
+    .object({
+      endpoints: z.array(z.string()).optional(),
+      agents: z.array(z.string()).optional(),
+    })
+    .optional(),
+});
+
+export type TContextSource = z.infer<typeof contextSourceSchema>;
+
+/**
+ * Share of the model's context window kept for the system prompt, instructions and recent
+ * messages; the context sources only fill the rest
+ */
+export const defaultContextReserve = 0.5;
+
+/**
+ * Whether a context source applies to a conversation's endpoint or agent.
+ * A scoped source applies when either the endpoint or the agent is listed.
+ */
+export function isContextSourceInScope(
+  source: Pick<TContextSource, 'scope'>,
+  { endpoint, agentId }: { endpoint?: string | null; agentId?: string | null },
+): boolean {
+  const { endpoints, agents } = source.scope ?? {};
+  if (!endpoints?.length && !agents?.length) {
+    return true;
+  }
+  return (
+    (!!endpoint && (endpoints?.includes(endpoint) ?? false)) ||
+    (!!agentId && (agents?.includes(agentId) ?? false))
+  );
+}
+
+/** What one context source added to the prompt of a message */
+export type TContextSourceUsage = {
+  name: ContextSources;
+  /** Tokens of the source's block in the prompt */
+  tokens: number;
+  /** IDs of the emails, events or tasks that were added */
+  items?: string[];
+  /** Whether the source was cut to fit its token budget or the context window */
+  truncated?: boolean;
+  /** Whether the source was left out because the context window had no room for it */
+  omitted?: boolean;
+  /** Why the source could not be fetched; its block then only holds this error */
+  error?: string;
+};
+
+/** The context injected into a message's prompt, stored as `metadata.context` of the response */
+export type TContextUsage = {
+  tokens: number;
+  sources: TContextSourceUsage[];
+};
+
+/** Background extractions that run on a configurable model */
+export enum StructuredOutputPurposes {
+  /** Reading tasks out of a free-form reply */
+  taskList = 'task_list',
+  /** Condensing an ingested email */
+  emailSummary = 'email_summary',
+}
+
+const structuredOutputModelSchema = z.object({
+  /** A default endpoint (e.g. `openAI`, `google`) or the name of a custom endpoint */
+  endpoint: z.string(),
+  model: z.string(),
+  temperature: z.number().min(0).max(2).optional(),
+});
+
+export const structuredOutputSchema = structuredOutputModelSchema.partial().extend({
+  /** Attempts per extraction; invalid output is sent back to the model with the validation errors */
+  maxAttempts: z.number().int().min(1).max(5).optional(),
+  /** Endpoint and model overrides per purpose */
+  purposes: z
+    .record(z.nativeEnum(StructuredOutputPurposes), structuredOutputModelSchema.partial())
+    .optional(),
+});
+
+export type TStructuredOutputConfig = z.infer<typeof structuredOutputSchema>;
+export type TStructuredOutputModel = z.infer<typeof structuredOutputModelSchema> & {
+  maxAttempts: number;
+};
+
+export const defaultStructuredOutput: TStructuredOutputModel = {
+  endpoint: EModelEndpoint.google,
+  model: 'gemini-2.0-flash',
+  maxAttempts: 2,
+};
+
+/** Endpoint and model used for a purpose: its override, then the shared settings, then the defaults */
+export function getStructuredOutputModel(
+  config: TStructuredOutputConfig | undefined,
+  purpose: StructuredOutputPurposes,
+): TStructuredOutputModel {
+  const { purposes, maxAttempts, ...shared } = config ?? {};
+  const override = purposes?.[purpose];
+  const selected = override?.endpoint ? override : { ...shared, ...override };
+  if (!selected.endpoint || !selected.model) {
+    return {
+      ...defaultStructuredOutput,
+      maxAttempts: maxAttempts ?? defaultStructuredOutput.maxAttempts,
+    };
+  }
+  return {
+    endpoint: selected.endpoint,
+    model: selected.model,
+    temperature: selected.temperature,
+    maxAttempts: maxAttempts ?? defaultStructuredOutput.maxAttempts,
+  };
+}
+
 const customEndpointsSchema = z.array(endpointSchema.partial()).optional();
 
 export const configSchema = z.object({
@@ -822,6 +963,9 @@ export const configSchema = z.object({
   ocr: ocrSchema.optional(),
   webSearch: webSearchSchema.optional(),
   memory: memorySchema.optional(),
+  contextSources: z.array(contextSourceSchema).optional(),
+  contextReserve: z.number().min(0).lt(1).optional(),
+  structuredOutput: structuredOutputSchema.optional(),
   secureImageLinks: z.boolean().optional(),
   imageOutputType: z.nativeEnum(EImageOutputType).default(EImageOutputType.PNG),
   includedTools: z.array(z.string()).optional(),
@@ -1323,6 +1467,10 @@ export enum CacheKeys {
    * Key for SAML session.
    */
   SAML_SESSION = 'SAML_SESSION',
+  /**
+   * Key for the cached context source snapshots injected into prompts.
+   */
+  CONTEXT_SNAPSHOTS = 'CONTEXT_SNAPSHOTS',
 }
 
 /**
@@ -1550,6 +1698,10 @@ export enum SettingsTabValues {
    * Tab for Personalization Settings
    */
   PERSONALIZATION = 'personalization',
+  /**
+   * Tab for connected accounts (Google, TickTick, CalDAV)
+   */
+  INTEGRATIONS = 'integrations',
 }
 
 export enum STTProviders {
@@ -1670,6 +1822,8 @@ export enum LocalStorageKeys {
   SHOW_ANALYSIS_CODE = 'showAnalysisCode',
   /** Last selected MCP values per conversation ID */
   LAST_MCP_ = 'LAST_MCP_',
+  /** Context sources turned off per conversation ID */
+  LAST_CONTEXT_SOURCES_ = 'LAST_CONTEXT_SOURCES_',
   /** Last checked toggle for Code Interpreter API per conversation ID */
   LAST_CODE_TOGGLE_ = 'LAST_CODE_TOGGLE_',
   /** Last checked toggle for Web Search per conversation ID */
@@ -854,6 +854,12 @@ export function acceptTerms(): Promise<t.TAcceptTermsResponse> {
   return request.post(endpoints.acceptUserTerms());
 }
 
+export function updateUserPreferences(
+  preferences: t.TUserPreferences,
+): Promise<t.TUpdateUserPreferencesResponse> {
+  return request.patch(endpoints.userPreferences(), preferences);
+}
+
 export function getBanner(): Promise<t.TBannerResponse> {
   return request.get(endpoints.banner());
 }
@@ -923,6 +929,153 @@ export const createMemory = (data: {
   return request.post(endpoints.memories(), data);
 };
 
+export const getPersonalProfile = (): Promise<q.TPersonalProfileResponse> => {
+  return request.get(endpoints.personalProfile());
+};
+
+export const updatePersonalProfile = (
+  profile: s.TPersonalProfile,
+): Promise<q.TPersonalProfileResponse> => {
+  return request.put(endpoints.personalProfile(), profile);
+};
+
+export const reviewProfileUpdate = (
+  conversationId: string,
+  messageId: string,
+  payload: t.TReviewProfileUpdateRequest,
+): Promise<t.TReviewProfileUpdateResponse> => {
+  return request.post(endpoints.reviewProfileUpdate(conversationId, messageId), payload);
+};
+
+/* Tasks */
+export const getTasks = (): Promise<q.TasksResponse> => {
+  return request.get(endpoints.tasks());
+};
+
+export const createTask = (data: q.TCreateTaskRequest): Promise<q.TTask> => {
+  return request.post(endpoints.tasks(), data);
+};
+
+export const updateTask = (taskId: string, data: q.TUpdateTaskRequest): Promise<q.TTask> => {
+  return request.patch(endpoints.task(taskId), data);
+};
+
+export const deleteTask = (taskId: string): Promise<{ deleted: boolean }> => {
+  return request.delete(endpoints.task(taskId));
+};
+
+export const createTaskList = (data: { name: string }): Promise<q.TTaskList> => {
+  return request.post(endpoints.taskLists(), data);
+};
+
+export const updateTaskList = (
+  taskListId: string,
+  data: q.TUpdateTaskListRequest,
+): Promise<q.TTaskList> => {
+  return request.patch(endpoints.taskList(taskListId), data);
+};
+
+export const deleteTaskList = (taskListId: string): Promise<{ deleted: boolean }> => {
+  return request.delete(endpoints.taskList(taskListId));
+};
+
+export const scheduleTasks = (data: q.TScheduleTasksRequest): Promise<q.TScheduleTasksResponse> => {
+  return request.post(endpoints.scheduleTasks(), data);
+};
+
+export const reviewTaskChanges = (
+  conversationId: string,
+  messageId: string,
+  payload: t.TReviewTaskChangesRequest,
+): Promise<t.TReviewTaskChangesResponse> => {
+  return request.post(endpoints.taskChanges(conversationId, messageId), payload);
+};
+
+export const undoTaskChanges = (
+  conversationId: string,
+  messageId: string,
+): Promise<t.TReviewTaskChangesResponse> => {
+  return request.post(endpoints.undoTaskChanges(conversationId, messageId));
+};
+
+export const getTaskHistory = (): Promise<q.TTaskHistoryResponse> => {
+  return request.get(endpoints.taskHistory());
+};
+
+export const restoreTaskChangeSet = (
+  changeSetId: string,
+): Promise<q.TRestoreTaskChangeSetResponse> => {
+  return request.post(endpoints.restoreTaskChangeSet(changeSetId));
+};
+
+/* Email */
+export const reviewEmailAction = (
+  conversationId: string,
+  messageId: string,
+  payload: t.TReviewEmailActionRequest,
+): Promise<t.TReviewEmailActionResponse> => {
+  return request.post(endpoints.reviewEmailAction(conversationId, messageId), payload);
+};
+
+/* Notifications */
+export const getNotifications = (unread?: boolean): Promise<q.TNotificationsResponse> => {
+  return request.get(endpoints.notifications(unread));
+};
+
+export const snoozeNotification = (
+  notificationId: string,
+  minutes?: number,
+): Promise<q.TNotification> => {
+  return request.post(endpoints.notificationAction(notificationId, 'snooze'), { minutes });
+};
+
+export const completeNotification = (notificationId: string): Promise<q.TNotification> => {
+  return request.post(endpoints.notificationAction(notificationId, 'complete'));
+};
+
+export const dismissNotification = (notificationId: string): Promise<q.TNotification> => {
+  return request.post(endpoints.notificationAction(notificationId, 'dismiss'));
+};
+
+export const savePushSubscription = (
+  subscription: q.TPushSubscription,
+): Promise<{ saved: boolean }> => {
+  return request.post(endpoints.pushSubscriptions(), subscription);
+};
+
+export const deletePushSubscription = (endpoint: string): Promise<{ deleted: boolean }> => {
+  return request.deleteWithOptions(endpoints.pushSubscriptions(), { data: { endpoint } });
+};
+
+/* Integrations */
+export const getIntegrations = (): Promise<q.IntegrationsResponse> => {
+  return request.get(endpoints.integrations());
+};
+
+export const saveIntegration = ({
+  provider,
+  credentials,
+}: q.TSaveIntegrationRequest): Promise<q.TIntegration> => {
+  return request.put(endpoints.integration(provider), { credentials });
+};
+
+/** Returns the provider's consent URL for connecting an account through OAuth */
+export const getIntegrationAuthUrl = (
+  provider: q.TIntegrationProvider,
+): Promise<{ authUrl: string }> => {
+  return request.get(endpoints.integrationAuthorize(provider));
+};
+
+export const deleteIntegration = (
+  provider: q.TIntegrationProvider,
+): Promise<{ deleted: boolean }> => {
+  return request.delete(endpoints.integration(provider));
+};
+
+export const getEmailIngestionStatus = (): Promise<q.TEmailIngestionStatus> => {
+  return request.get(endpoints.emailIngestion());
+};
+
 export function searchPrincipals(
   params: q.PrincipalSearchParams,
 ): Promise<q.PrincipalSearchResponse> {
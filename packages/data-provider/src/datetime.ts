@@ -0,0 +1,52 @@
+/** Timezone used for users who have not set one */
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+/** Date formats a user can choose, as format tokens shared by Luxon and date-fns */
+export enum DateFormats {
+  monthFirst = 'MM/dd/yyyy',
+  dayFirst = 'dd/MM/yyyy',
+  iso = 'yyyy-MM-dd',
+}
+
+export const DEFAULT_DATE_FORMAT = DateFormats.monthFirst;
+
+export type TUserDateSettings = {
+  timezone: string;
+  dateFormat: DateFormats;
+};
+
+/** Whether a value is an IANA timezone the runtime knows, e.g. `Europe/Berlin` */
+export function isValidTimezone(timezone: unknown): timezone is string {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isDateFormat(dateFormat: unknown): dateFormat is DateFormats {
+  return Object.values(DateFormats).includes(dateFormat as DateFormats);
+}
+
+/** Whether a value is a local time of day written as `HH:mm`, e.g. `07:30` */
+export function isTimeOfDay(value: unknown): value is string {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Resolves the timezone and date format to use for a user,
+ * falling back to the defaults for missing or invalid preferences.
+ */
+export function getUserDateSettings(user?: {
+  personalization?: { timezone?: string; dateFormat?: string };
+}): TUserDateSettings {
+  const { timezone, dateFormat } = user?.personalization ?? {};
+  return {
+    timezone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    dateFormat: isDateFormat(dateFormat) ? dateFormat : DEFAULT_DATE_FORMAT,
+  };
+}
@@ -3,6 +3,7 @@ export * from './azure';
 export * from './bedrock';
 export * from './config';
 export * from './file-config';
+export * from './datetime';
 /* messages  */
 export * from './messages';
 /* artifacts  */
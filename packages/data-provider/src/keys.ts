@@ -52,6 +52,14 @@ export enum QueryKeys {
   banner = 'banner',
   /* Memories */
   memories = 'memories',
+  personalProfile = 'personalProfile',
+  /* Tasks */
+  tasks = 'tasks',
+  taskHistory = 'taskHistory',
+  notifications = 'notifications',
+  /* Integrations */
+  integrations = 'integrations',
+  emailIngestion = 'emailIngestion',
   principalSearch = 'principalSearch',
   accessRoles = 'accessRoles',
   resourcePermissions = 'resourcePermissions',
@@ -87,4 +95,5 @@ export enum MutationKeys {
   enableTwoFactor = 'enableTwoFactor',
   verifyTwoFactor = 'verifyTwoFactor',
   updateMemoryPreferences = 'updateMemoryPreferences',
+  updateUserPreferences = 'updateUserPreferences',
 }
@@ -521,6 +521,8 @@ export const tPluginSchema = z.object({
   chatMenu: z.boolean().optional(),
   isButton: z.boolean().optional(),
   toolkit: z.boolean().optional(),
+  /** Names of a toolkit's tools that don't start with its `pluginKey` */
+  tools: z.array(z.string()).optional(),
 });
 
 export type TPlugin = z.infer<typeof tPluginSchema>;
@@ -629,6 +631,172 @@ export type MemoryArtifact = {
   type: 'update' | 'delete' | 'error';
 };
 
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected a time as HH:mm');
+const profileEntries = z.array(z.string().trim().min(1).max(500)).max(50);
+
+/** What the assistant knows about the user to plan their days; every field is optional */
+export const personalProfileSchema = z.object({
+  /** Usual working hours, as local times on ISO weekdays (1 is Monday) */
+  workingHours: z
+    .object({
+      start: timeOfDay,
+      end: timeOfDay,
+      days: z.array(z.number().int().min(1).max(7)).max(7),
+    })
+    .nullable()
+    .optional(),
+  routines: profileEntries.optional(),
+  /** Times of day the user does their best focused work */
+  energyPeaks: profileEntries.optional(),
+  /** Recurring commitments, such as school runs or weekly classes */
+  commitments: profileEntries.optional(),
+  people: z
+    .array(
+      z.object({
+        name: z.string().trim().min(1).max(100),
+        role: z.string().trim().max(200),
+        notes: z.string().trim().max(500).optional(),
+      }),
+    )
+    .max(100)
+    .optional(),
+  planningPreferences: profileEntries.optional(),
+  /** Anything else, in the user's own words */
+  notes: z.string().max(10000).optional(),
+});
+
+export type TPersonalProfile = z.infer<typeof personalProfileSchema>;
+
+/** A change to the personal profile proposed by the assistant; applied once the user approves it */
+export type ProfileUpdateArtifact = {
+  /** `applying` while an approved update is being saved */
+  status: 'pending' | 'applying' | 'approved' | 'dismissed' | 'error';
+  /** New values of the fields that change */
+  changes: TPersonalProfile;
+  /** Values of those fields when the change was proposed */
+  previous: TPersonalProfile;
+  /** Why the assistant proposes the change */
+  reason?: string;
+  error?: string;
+  reviewedAt?: string;
+};
+
+export type TaskChangeType = 'add' | 'update' | 'complete' | 'delete' | 'delete_project';
+
+/** Task priorities, on TickTick's scale; the other task providers map to and from it */
+export const TaskPriorities = { none: 0, low: 1, medium: 3, high: 5 } as const;
+
+export type TaskPriority = (typeof TaskPriorities)[keyof typeof TaskPriorities];
+
+export type TaskChecklistItem = {
+  title: string;
+  completed: boolean;
+};
+
+export type TaskChangeTask = {
+  name: string;
+  completed: boolean;
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  content: string;
+  id: string | null;
+  projectId: string | null;
+  /** Estimated minutes, from a `(#15m)` tag */
+  duration: number | null;
+  /** RRULE value, e.g. `FREQ=WEEKLY;BYDAY=MO` */
+  repeat: string | null;
+  priority: TaskPriority;
+  tags: string[];
+  items: TaskChecklistItem[];
+  /** Name of the parent task, for subtasks */
+  parent: string | null;
+  parentId: string | null;
+};
+
+export type TaskChangeItem = {
+  id: string;
+  type: TaskChangeType;
+  project: string;
+  fromProject?: string;
+  name: string;
+  previousName?: string;
+  due?: string | null;
+  previousDue?: string | null;
+  fields?: string[];
+  /** Id of the change adding the task that becomes the parent */
+  parentKey?: string;
+  before?: TaskChangeTask;
+  after?: TaskChangeTask;
+  projectId?: string | null;
+  accepted?: boolean;
+};
+
+export type TaskChangesArtifact = {
+  /** `applying` while an accepted review is being written */
+  status: 'pending' | 'applying' | 'applied' | 'rejected' | 'error' | 'undone';
+  changes: TaskChangeItem[];
+  error?: string;
+  reviewedAt?: string;
+  /** Change set recorded when the accepted changes were written; used to undo them */
+  changeSetId?: string;
+  undoneAt?: string;
+  /** Proposed after the prompt had third-party content that looked like instructions */
+  suspicious?: boolean;
+};
+
+export type EmailActionType =
+  | 'draft_reply'
+  | 'archive'
+  | 'label'
+  | 'mark_read'
+  | 'snooze'
+  | 'add_event';
+
+/** An event of a calendar invitation attached to an email */
+export type EmailEvent = {
+  uid: string;
+  summary: string;
+  /** ISO date-time, or ISO date for all-day events */
+  start: string;
+  end?: string | null;
+  allDay: boolean;
+  location?: string | null;
+  organizer?: string | null;
+  /** iTIP method of the invitation, e.g. `REQUEST` */
+  method?: string | null;
+};
+
+/** A Gmail action proposed by the assistant; nothing is changed in Gmail until it is confirmed */
+export type EmailActionArtifact = {
+  /** `applying` while a confirmed action runs */
+  status: 'pending' | 'applying' | 'applied' | 'cancelled' | 'error';
+  type: EmailActionType;
+  /** Gmail message acted on */
+  messageId: string;
+  threadId?: string | null;
+  from: string;
+  subject: string;
+  date?: string;
+  snippet?: string;
+  /** Recipient and text of a draft reply */
+  to?: string;
+  body?: string;
+  /** Label names added and removed */
+  addLabels?: string[];
+  removeLabels?: string[];
+  /** When a snoozed message returns to the inbox, as an ISO date */
+  until?: string;
+  /** Invitation event added to the user's calendar */
+  event?: EmailEvent;
+  error?: string;
+  reviewedAt?: string;
+  /** Audit entry recorded once the action ran */
+  auditId?: string;
+};
+
 export type UIResource = {
   type?: string;
   data?: unknown;
@@ -646,6 +814,9 @@ export type TAttachmentMetadata = {
   [Tools.ui_resources]?: UIResource[];
   [Tools.web_search]?: SearchResultData;
   [Tools.file_search]?: SearchResultData;
+  [Tools.task_changes]?: TaskChangesArtifact;
+  [Tools.email_action]?: EmailActionArtifact;
+  [Tools.profile_update]?: ProfileUpdateArtifact;
 };
 
 export type TAttachment =
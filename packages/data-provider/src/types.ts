@@ -8,9 +8,13 @@ import type {
   EModelEndpoint,
   TConversationTag,
   TAttachment,
+  TaskChangesArtifact,
+  EmailActionArtifact,
+  ProfileUpdateArtifact,
 } from './schemas';
 import type { SettingDefinition } from './generate';
 import type { TMinimalFeedback } from './feedback';
+import type { DateFormats } from './datetime';
 import type { ContentTypes } from './types/runs';
 import type { Agent } from './types/assistants';
 
@@ -99,6 +103,8 @@ export type TEphemeralAgent = {
   web_search?: boolean;
   file_search?: boolean;
   execute_code?: boolean;
+  /** Context sources turned off for the conversation */
+  disabled_context_sources?: string[];
 };
 
 export type TPayload = Partial<TMessage> &
@@ -202,6 +208,12 @@ export type TUser = {
   backupCodes?: TBackupCode[];
   personalization?: {
     memories?: boolean;
+    taskProvider?: string;
+    /** IANA timezone, detected from the browser until the user picks one */
+    timezone?: string;
+    dateFormat?: DateFormats;
+    briefing?: TBriefingPreferences;
+    reminders?: TReminderPreferences;
   };
   createdAt: string;
   updatedAt: string;
@@ -632,6 +644,38 @@ export type TAcceptTermsResponse = {
   success: boolean;
 };
 
+/**
+ * Daily briefing conversations: local `HH:mm` times of the morning briefing and the evening
+ * review, `null` when turned off, and whether each is also sent by email
+ */
+export type TBriefingPreferences = {
+  morning?: string | null;
+  evening?: string | null;
+  email?: boolean;
+};
+
+/**
+ * Reminders of task due times and calendar events: minutes before they are due, `null` when
+ * turned off, and whether they are also sent by email
+ */
+export type TReminderPreferences = {
+  minutesBefore?: number | null;
+  email?: boolean;
+};
+
+/** Date preferences applied to the planner context, task dates and calendar events */
+export type TUserPreferences = {
+  timezone?: string;
+  dateFormat?: DateFormats;
+  briefing?: TBriefingPreferences;
+  reminders?: TReminderPreferences;
+};
+
+export type TUpdateUserPreferencesResponse = {
+  updated: boolean;
+  preferences: TUserPreferences;
+};
+
 export type TBannerResponse = TBanner | null;
 
 export type TUpdateFeedbackRequest = {
@@ -644,6 +688,45 @@ export type TUpdateFeedbackResponse = {
   feedback?: TMinimalFeedback;
 };
 
+export type TReviewTaskChangesRequest = {
+  /** Ids of the proposed changes to write; an empty list rejects the proposal */
+  accept: string[];
+};
+
+export type TReviewTaskChangesResponse = {
+  messageId: string;
+  conversationId: string;
+  taskChanges: TaskChangesArtifact;
+};
+
+export type TReviewEmailActionRequest = {
+  /** Tool call that proposed the action */
+  toolCallId: string;
+  /** Whether to run the action; `false` cancels it */
+  confirm: boolean;
+};
+
+export type TReviewEmailActionResponse = {
+  messageId: string;
+  conversationId: string;
+  toolCallId: string;
+  emailAction: EmailActionArtifact;
+};
+
+export type TReviewProfileUpdateRequest = {
+  /** Tool call that proposed the update */
+  toolCallId: string;
+  /** Whether to apply the update; `false` dismisses it */
+  approve: boolean;
+};
+
+export type TReviewProfileUpdateResponse = {
+  messageId: string;
+  conversationId: string;
+  toolCallId: string;
+  profileUpdate: ProfileUpdateArtifact;
+};
+
 export type TBalanceResponse = {
   tokenCredits: number;
   // Automatic refill settings
@@ -24,6 +24,9 @@ export enum Tools {
   function = 'function',
   memory = 'memory',
   ui_resources = 'ui_resources',
+  task_changes = 'task_changes',
+  email_action = 'email_action',
+  profile_update = 'profile_update',
 }
 
 export enum EToolResources {
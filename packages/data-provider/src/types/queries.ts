@@ -138,6 +138,12 @@ export type TUserMemory = {
   tokenCount?: number;
 };
 
+export type TPersonalProfileResponse = {
+  profile: s.TPersonalProfile;
+  /** `null` until the profile is saved */
+  updatedAt: string | null;
+};
+
 export type MemoriesResponse = {
   memories: TUserMemory[];
   totalTokens: number;
@@ -145,6 +151,182 @@ export type MemoriesResponse = {
   usagePercentage: number | null;
 };
 
+/* Tasks */
+export type TTaskList = {
+  _id: string;
+  name: string;
+  position?: number;
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type TTask = {
+  _id: string;
+  taskList: string;
+  title: string;
+  content?: string;
+  completed: boolean;
+  completedAt?: string | null;
+  /** ISO date-time; `null` when the task has no due date */
+  dueDate?: string | null;
+  /** Estimated minutes; `null` when unknown */
+  duration?: number | null;
+  /** RRULE value, e.g. `FREQ=WEEKLY;BYDAY=MO`; `null` for one-off tasks */
+  repeat?: string | null;
+  priority?: s.TaskPriority;
+  tags?: string[];
+  items?: s.TaskChecklistItem[];
+  /** Parent task id, for subtasks */
+  parent?: string | null;
+  position?: number;
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type TasksResponse = {
+  /** The user's task provider; lists and tasks are only returned for `local` */
+  provider: 'ticktick' | 'caldav' | 'local';
+  taskLists: TTaskList[];
+  tasks: TTask[];
+};
+
+export type TCreateTaskRequest = {
+  title: string;
+  content?: string;
+  completed?: boolean;
+  dueDate?: string | null;
+  duration?: number | null;
+  repeat?: string | null;
+  priority?: s.TaskPriority;
+  tags?: string[];
+  items?: s.TaskChecklistItem[];
+  parentId?: string | null;
+  position?: number;
+  /** Defaults to the user's Inbox list */
+  taskListId?: string;
+};
+
+export type TUpdateTaskRequest = Partial<TCreateTaskRequest>;
+
+export type TUpdateTaskListRequest = {
+  name?: string;
+  position?: number;
+};
+
+export type TScheduleTasksRequest = {
+  /** Days ahead to look for free time, starting now */
+  days?: number;
+  /** Creates a Google Calendar focus block for every scheduled task */
+  focusBlocks?: boolean;
+};
+
+export type TScheduledTask = {
+  taskId: string;
+  name: string;
+  /** ISO date-times of the slot the task was placed in */
+  start: string;
+  end: string;
+  /** The focus block created for the task */
+  eventId?: string | null;
+};
+
+export type TScheduleTasksResponse = {
+  scheduled: TScheduledTask[];
+  /** Tasks with a duration that did not fit in the free time found */
+  unscheduled: { taskId: string; name: string; duration: number }[];
+};
+
+/** A run of task changes written to the task provider, with snapshots to restore it */
+export type TTaskChangeSet = {
+  _id: string;
+  conversationId?: string | null;
+  messageId?: string | null;
+  provider: string;
+  status: 'applied' | 'partial';
+  changes: s.TaskChangeItem[];
+  createdProjects: string[];
+  /** The change set this one restored */
+  revertOf?: string | null;
+  /** The change set that restored this one */
+  revertedBy?: string | null;
+  revertedAt?: string | null;
+  createdAt: string;
+};
+
+export type TTaskHistoryResponse = {
+  changeSets: TTaskChangeSet[];
+};
+
+export type TRestoreTaskChangeSetResponse = {
+  ok: boolean;
+  /** The change set of the restore; null when the tasks were already back */
+  changeSet: TTaskChangeSet | null;
+};
+
+/* Notifications */
+export type TNotification = {
+  _id: string;
+  type: 'task' | 'event';
+  title: string;
+  body?: string | null;
+  /** Calendar link of event reminders */
+  link?: string | null;
+  dueAt: string;
+  status: 'pending' | 'sent' | 'completed' | 'dismissed';
+  sentAt?: string | null;
+  readAt?: string | null;
+};
+
+export type TNotificationsResponse = {
+  notifications: TNotification[];
+};
+
+/** A browser's Web Push subscription, as returned by `PushSubscription.toJSON()` */
+export type TPushSubscription = {
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+};
+
+/* Integrations */
+export type TIntegrationProvider = 'ticktick' | 'google' | 'caldav' | 'personal';
+
+/** A connected integration; credentials are never sent to the client */
+export type TIntegration = {
+  _id: string;
+  provider: TIntegrationProvider;
+  /** Names of the credential fields that are set */
+  fields: string[];
+  /** `oauth` when connected through the provider's consent screen */
+  authType: 'manual' | 'oauth';
+  /** `expired` once the provider rejected the stored grant */
+  status: 'active' | 'expired';
+  error?: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+};
+
+export type IntegrationsResponse = {
+  integrations: TIntegration[];
+};
+
+export type TSaveIntegrationRequest = {
+  provider: TIntegrationProvider;
+  /** Blank fields keep their saved values */
+  credentials: Record<string, string>;
+};
+
+/** How far the background worker has ingested a user's Gmail mailbox */
+export type TEmailIngestionStatus = {
+  status: 'idle' | 'syncing' | 'error';
+  error: string | null;
+  lastSyncAt: string | null;
+  lastFullSyncAt: string | null;
+  summarized: number;
+  pending: number;
+  /** Emails whose summary failed, including those still waiting for a retry */
+  failed: number;
+};
+
 export type PrincipalSearchParams = {
   q: string;
   limit?: number;
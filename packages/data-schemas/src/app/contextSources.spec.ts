@@ -0,0 +1,54 @@
+import { ContextSources, isContextSourceInScope } from 'librechat-data-provider';
+import { loadContextSourcesConfig } from './contextSources';
+
+describe('loadContextSourcesConfig', () => {
+  it('enables every source when none are configured', () => {
+    const result = loadContextSourcesConfig(undefined);
+
+    expect(result.map((source) => source.name)).toEqual(Object.values(ContextSources));
+    expect(result.every((source) => source.enabled && source.scope == null)).toBe(true);
+  });
+
+  it('keeps only enabled sources, sorted by order', () => {
+    const result = loadContextSourcesConfig([
+      { name: ContextSources.email, enabled: true, order: 3, tokenBudget: 500 },
+      { name: ContextSources.calendar, enabled: false },
+      { name: ContextSources.tasks, enabled: true, order: 1 },
+      { name: ContextSources.personal } as never,
+    ]);
+
+    expect(result).toEqual([
+      { name: ContextSources.tasks, enabled: true, order: 1 },
+      { name: ContextSources.email, enabled: true, order: 3, tokenBudget: 500 },
+      { name: ContextSources.personal, enabled: true, order: 3 },
+    ]);
+  });
+
+  it('uses the last entry for a repeated source', () => {
+    const result = loadContextSourcesConfig([
+      { name: ContextSources.tasks, enabled: true, tokenBudget: 100 },
+      { name: ContextSources.tasks, enabled: false },
+    ]);
+
+    expect(result).toEqual([]);
+  });
+});
+
+describe('isContextSourceInScope', () => {
+  const scope = { endpoints: ['google'], agents: ['agent_planner'] };
+
+  it('applies unscoped sources everywhere', () => {
+    expect(isContextSourceInScope({}, { endpoint: 'openAI' })).toBe(true);
+  });
+
+  it('matches the endpoint or the agent', () => {
+    expect(isContextSourceInScope({ scope }, { endpoint: 'google' })).toBe(true);
+    expect(
+      isContextSourceInScope({ scope }, { endpoint: 'agents', agentId: 'agent_planner' }),
+    ).toBe(true);
+    expect(isContextSourceInScope({ scope }, { endpoint: 'agents', agentId: 'agent_other' })).toBe(
+      false,
+    );
+    expect(isContextSourceInScope({ scope }, { endpoint: 'openAI' })).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+import { ContextSources } from 'librechat-data-provider';
+import type { TCustomConfig, TContextSource } from 'librechat-data-provider';
+
+/**
+ * Loads the context sources injected into prompts, in injection order.
+ *
+ * Expected config structure:
+ *
+ * contextSources:
+ *   - name: calendar     // personal, calendar, email or tasks
+ *     enabled: true
+ *     tokenBudget: 2000
+ *     order: 1
+ *     scope:
+ *       endpoints: [google, agents]
+ *       agents: [agent_abc123]
+ *
+ * Every source is enabled when `contextSources` is omitted; otherwise only the listed ones are.
+ * A source listed more than once uses its last entry.
+ *
+ * @param config - The `contextSources` list from the custom configuration.
+ * @returns The enabled sources, sorted by `order`.
+ */
+export function loadContextSourcesConfig(
+  config: TCustomConfig['contextSources'],
+): TContextSource[] {
+  const sources: Partial<TContextSource>[] =
+    config ?? Object.values(ContextSources).map((name) => ({ name }));
+
+  const byName = new Map<string, TContextSource & { order: number }>();
+  sources.forEach(({ name, ...source }, index) => {
+    if (!name) {
+      return;
+    }
+    byName.delete(name);
+    if (source.enabled !== false) {
+      byName.set(name, { ...source, name, enabled: true, order: source.order ?? index });
+    }
+  });
+
+  return [...byName.values()].sort((a, b) => a.order - b.order);
+}
@@ -1,4 +1,5 @@
 export * from './agents';
+export * from './contextSources';
 export * from './interface';
 export * from './service';
 export * from './specs';
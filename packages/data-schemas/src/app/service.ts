@@ -7,6 +7,7 @@ import { agentsConfigSetup } from './agents';
 import { loadWebSearchConfig } from './web';
 import { processModelSpecs } from './specs';
 import { loadMemoryConfig } from './memory';
+import { loadContextSourcesConfig } from './contextSources';
 import { loadEndpoints } from './endpoints';
 import { loadOCRConfig } from './ocr';
 
@@ -41,6 +42,8 @@ export const AppService = async (params?: {
   const ocr = loadOCRConfig(config.ocr);
   const webSearch = loadWebSearchConfig(config.webSearch);
   const memory = loadMemoryConfig(config.memory);
+  const contextSources = loadContextSourcesConfig(config.contextSources);
+  const contextReserve = config.contextReserve;
   const filteredTools = config.filteredTools;
   const includedTools = config.includedTools;
   const fileStrategy = (config.fileStrategy ?? configDefaults.fileStrategy) as
@@ -65,6 +68,7 @@ export const AppService = async (params?: {
   const interfaceConfig = await loadDefaultInterface({ config, configDefaults });
   const turnstileConfig = loadTurnstileConfig(config, configDefaults);
   const speech = config.speech;
+  const structuredOutput = config.structuredOutput;
 
   const defaultConfig = {
     ocr,
@@ -72,6 +76,9 @@ export const AppService = async (params?: {
     config,
     memory,
     speech,
+    contextSources,
+    contextReserve,
+    structuredOutput,
     balance,
     transactions,
     mcpConfig,
@@ -0,0 +1,234 @@
+import type { Types } from 'mongoose';
+import type * as t from '~/types';
+
+/** Summaries stored as `ERROR: ...` before failures were tracked separately */
+const LEGACY_ERROR_SUMMARY = /^ERROR:/;
+
+// Factory function that takes mongoose instance and returns the methods
+export function createEmailMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Records newly seen messages; messages already stored are left untouched
+   * @returns The number of messages that were new
+   */
+  async function addEmails({ userId, messages }: t.AddEmailsParams): Promise<number> {
+    if (!messages.length) {
+      return 0;
+    }
+    const Email = mongoose.models.Email;
+    const result = await Email.bulkWrite(
+      messages.map(({ messageId, threadId }) => ({
+        updateOne: {
+          filter: { user: userId, messageId },
+          update: { $setOnInsert: { user: userId, messageId, threadId } },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    );
+    return result.upsertedCount;
+  }
+
+  /**
+   * Gets the emails that still need a summary: new ones, and failed ones whose retry is due
+   */
+  async function getEmailsToSummarize({
+    userId,
+    maxAttempts,
+    limit = 50,
+  }: t.GetEmailsToSummarizeParams): Promise<t.IEmailLean[]> {
+    const Email = mongoose.models.Email;
+    return (await Email.find({
+      user: userId,
+      attempts: { $not: { $gte: maxAttempts } },
+      $and: [
+        { $or: [{ summary: null }, { summary: LEGACY_ERROR_SUMMARY }] },
+        { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: new Date() } }] },
+      ],
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean()) as t.IEmailLean[];
+  }
+
+  /**
+   * Gets a user's summarized emails received since a date, newest first
+   */
+  async function getEmailSummaries({
+    userId,
+    since,
+    important,
+    limit = 500,
+  }: t.GetEmailSummariesParams): Promise<t.IEmailLean[]> {
+    const Email = mongoose.models.Email;
+    return (await Email.find({
+      user: userId,
+      summary: { $ne: null, $not: LEGACY_ERROR_SUMMARY },
+      ...(important ? { important: true } : {}),
+      // Emails summarized before `receivedAt` was stored fall back to when they were summarized
+      $or: [{ receivedAt: { $gte: since } }, { receivedAt: null, updatedAt: { $gte: since } }],
+    })
+      .sort({ receivedAt: -1 })
+      .limit(limit)
+      .lean()) as t.IEmailLean[];
+  }
+
+  /**
+   * Stores an email's summary and clears any previous failure
+   */
+  async function saveEmailSummary({
+    userId,
+    messageId,
+    summary,
+    details = {},
+  }: t.SaveEmailSummaryParams): Promise<t.IEmailLean | null> {
+    const Email = mongoose.models.Email;
+    return (await Email.findOneAndUpdate(
+      { user: userId, messageId },
+      { $set: { ...details, summary, error: null, nextAttemptAt: null } },
+      { new: true },
+    ).lean()) as t.IEmailLean | null;
+  }
+
+  /**
+   * Records a failed summary attempt and when to retry it
+   */
+  async function recordEmailFailure({
+    userId,
+    messageId,
+    error,
+    nextAttemptAt,
+    details = {},
+  }: t.RecordEmailFailureParams): Promise<t.IEmailLean | null> {
+    const Email = mongoose.models.Email;
+    return (await Email.findOneAndUpdate(
+      { user: userId, messageId },
+      { $set: { ...details, summary: null, error, nextAttemptAt }, $inc: { attempts: 1 } },
+      { new: true },
+    ).lean()) as t.IEmailLean | null;
+  }
+
+  /**
+   * Counts a user's emails by summary state
+   */
+  async function countEmails(userId: string | Types.ObjectId): Promise<t.EmailCounts> {
+    const Email = mongoose.models.Email;
+    const [summarized, pending, failed] = await Promise.all([
+      Email.countDocuments({ user: userId, summary: { $ne: null, $not: LEGACY_ERROR_SUMMARY } }),
+      Email.countDocuments({ user: userId, summary: null, error: null }),
+      Email.countDocuments({
+        user: userId,
+        $or: [{ summary: LEGACY_ERROR_SUMMARY }, { summary: null, error: { $ne: null } }],
+      }),
+    ]);
+    return { summarized, pending, failed };
+  }
+
+  /**
+   * Gets a user's mailbox sync state
+   */
+  async function getEmailSync(userId: string | Types.ObjectId): Promise<t.IEmailSyncLean | null> {
+    const EmailSync = mongoose.models.EmailSync;
+    return (await EmailSync.findOne({ user: userId }).lean()) as t.IEmailSyncLean | null;
+  }
+
+  /**
+   * Updates a user's mailbox sync state, creating it if needed
+   */
+  async function updateEmailSync({
+    userId,
+    updates,
+  }: t.UpdateEmailSyncParams): Promise<t.IEmailSyncLean> {
+    const EmailSync = mongoose.models.EmailSync;
+    return (await EmailSync.findOneAndUpdate(
+      { user: userId },
+      { $set: updates },
+      { upsert: true, new: true },
+    ).lean()) as t.IEmailSyncLean;
+  }
+
+  /**
+   * Deletes a user's stored emails together with their sync state
+   */
+  async function deleteUserEmails(userId: string | Types.ObjectId): Promise<{ ok: boolean }> {
+    const Email = mongoose.models.Email;
+    const EmailSync = mongoose.models.EmailSync;
+    await Promise.all([Email.deleteMany({ user: userId }), EmailSync.deleteOne({ user: userId })]);
+    return { ok: true };
+  }
+
+  /**
+   * Records a confirmed Gmail action in the user's audit log
+   */
+  async function createEmailAction({
+    userId,
+    details = {},
+    ...fields
+  }: t.CreateEmailActionParams): Promise<t.IEmailActionLean> {
+    const EmailAction = mongoose.models.EmailAction;
+    const action = await EmailAction.create({ user: userId, details, ...fields });
+    return action.toObject() as t.IEmailActionLean;
+  }
+
+  /**
+   * Gets a user's Gmail actions, newest first
+   */
+  async function getEmailActions({
+    userId,
+    limit = 50,
+  }: t.GetEmailActionsParams): Promise<t.IEmailActionLean[]> {
+    const EmailAction = mongoose.models.EmailAction;
+    return (await EmailAction.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean()) as t.IEmailActionLean[];
+  }
+
+  /**
+   * Gets the snoozes of a user that are due to return to the inbox
+   */
+  async function getDueSnoozes({
+    userId,
+    now = new Date(),
+  }: t.GetDueSnoozesParams): Promise<t.IEmailActionLean[]> {
+    const EmailAction = mongoose.models.EmailAction;
+    return (await EmailAction.find({
+      user: userId,
+      type: 'snooze',
+      status: 'applied',
+      unsnoozedAt: null,
+      snoozedUntil: { $lte: now },
+    }).lean()) as t.IEmailActionLean[];
+  }
+
+  /**
+   * Marks a snooze as returned to the inbox
+   */
+  async function markEmailUnsnoozed(
+    actionId: string | Types.ObjectId,
+  ): Promise<t.IEmailActionLean | null> {
+    const EmailAction = mongoose.models.EmailAction;
+    return (await EmailAction.findByIdAndUpdate(
+      actionId,
+      { $set: { unsnoozedAt: new Date() } },
+      { new: true },
+    ).lean()) as t.IEmailActionLean | null;
+  }
+
+  return {
+    addEmails,
+    getEmailsToSummarize,
+    getEmailSummaries,
+    saveEmailSummary,
+    recordEmailFailure,
+    countEmails,
+    getEmailSync,
+    updateEmailSync,
+    deleteUserEmails,
+    createEmailAction,
+    getEmailActions,
+    getDueSnoozes,
+    markEmailUnsnoozed,
+  };
+}
+
+export type EmailMethods = ReturnType<typeof createEmailMethods>;
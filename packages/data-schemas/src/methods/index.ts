@@ -4,6 +4,14 @@ import { createRoleMethods, type RoleMethods } from './role';
 import { createUserMethods, type UserMethods } from './user';
 /* Memories */
 import { createMemoryMethods, type MemoryMethods } from './memory';
+/* Tasks */
+import { createTaskMethods, type TaskMethods } from './task';
+/* Integrations */
+import { createIntegrationMethods, type IntegrationMethods } from './integration';
+/* Emails */
+import { createEmailMethods, type EmailMethods } from './email';
+/* Notifications */
+import { createNotificationMethods, type NotificationMethods } from './notification';
 /* Agent Categories */
 import { createAgentCategoryMethods, type AgentCategoryMethods } from './agentCategory';
 /* Plugin Auth */
@@ -19,6 +27,10 @@ export type AllMethods = UserMethods &
   TokenMethods &
   RoleMethods &
   MemoryMethods &
+  TaskMethods &
+  IntegrationMethods &
+  EmailMethods &
+  NotificationMethods &
   AgentCategoryMethods &
   UserGroupMethods &
   AclEntryMethods &
@@ -36,6 +48,10 @@ export function createMethods(mongoose: typeof import('mongoose')): AllMethods {
     ...createTokenMethods(mongoose),
     ...createRoleMethods(mongoose),
     ...createMemoryMethods(mongoose),
+    ...createTaskMethods(mongoose),
+    ...createIntegrationMethods(mongoose),
+    ...createEmailMethods(mongoose),
+    ...createNotificationMethods(mongoose),
     ...createAgentCategoryMethods(mongoose),
     ...createAccessRoleMethods(mongoose),
     ...createUserGroupMethods(mongoose),
@@ -51,6 +67,10 @@ export type {
   TokenMethods,
   RoleMethods,
   MemoryMethods,
+  TaskMethods,
+  IntegrationMethods,
+  EmailMethods,
+  NotificationMethods,
   AgentCategoryMethods,
   UserGroupMethods,
   AclEntryMethods,
@@ -0,0 +1,103 @@
+import type { Types } from 'mongoose';
+import type * as t from '~/types';
+
+// Factory function that takes mongoose instance and returns the methods
+export function createIntegrationMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Lists a user's connected integrations without their credentials
+   */
+  async function getIntegrations(userId: string | Types.ObjectId): Promise<t.IntegrationSummary[]> {
+    const Integration = mongoose.models.Integration;
+    return (await Integration.find({ user: userId })
+      .select('-credentials')
+      .sort({ provider: 1 })
+      .lean()) as t.IntegrationSummary[];
+  }
+
+  /**
+   * Lists every user's integrations with one provider, without their credentials
+   */
+  async function getIntegrationsByProvider({
+    provider,
+    status,
+  }: t.GetIntegrationsByProviderParams): Promise<t.IntegrationSummary[]> {
+    const Integration = mongoose.models.Integration;
+    return (await Integration.find({ provider, ...(status ? { status } : {}) })
+      .select('-credentials')
+      .lean()) as t.IntegrationSummary[];
+  }
+
+  /**
+   * Finds one integration, including its encrypted credentials
+   */
+  async function findIntegration({
+    userId,
+    provider,
+  }: t.FindIntegrationParams): Promise<t.IIntegrationLean | null> {
+    const Integration = mongoose.models.Integration;
+    return (await Integration.findOne({
+      user: userId,
+      provider,
+    }).lean()) as t.IIntegrationLean | null;
+  }
+
+  /**
+   * Creates or replaces the credentials of an integration, marking it active again
+   */
+  async function upsertIntegration({
+    userId,
+    provider,
+    credentials,
+    fields,
+    authType = 'manual',
+  }: t.UpsertIntegrationParams): Promise<t.IIntegrationLean> {
+    const Integration = mongoose.models.Integration;
+    return (await Integration.findOneAndUpdate(
+      { user: userId, provider },
+      { $set: { credentials, fields, authType, status: 'active', error: null } },
+      { upsert: true, new: true },
+    ).lean()) as t.IIntegrationLean;
+  }
+
+  /**
+   * Records whether the provider still accepts an integration's credentials
+   */
+  async function updateIntegrationStatus({
+    userId,
+    provider,
+    status,
+    error = null,
+  }: t.UpdateIntegrationStatusParams): Promise<t.IntegrationSummary | null> {
+    const Integration = mongoose.models.Integration;
+    return (await Integration.findOneAndUpdate(
+      { user: userId, provider },
+      { $set: { status, error } },
+      { new: true },
+    )
+      .select('-credentials')
+      .lean()) as t.IntegrationSummary | null;
+  }
+
+  /**
+   * Disconnects an integration
+   */
+  async function deleteIntegration({
+    userId,
+    provider,
+  }: t.FindIntegrationParams): Promise<{ ok: boolean }> {
+    const Integration = mongoose.models.Integration;
+    const result = await Integration.findOneAndDelete({ user: userId, provider });
+    return { ok: !!result };
+  }
+
+  return {
+    getIntegrations,
+    getIntegrationsByProvider,
+    findIntegration,
+    upsertIntegration,
+    updateIntegrationStatus,
+    deleteIntegration,
+  };
+}
+
+export type IntegrationMethods = ReturnType<typeof createIntegrationMethods>;
@@ -158,12 +158,68 @@ export function createMemoryMethods(mongoose: typeof import('mongoose')) {
     }
   }
 
+  /**
+   * Gets a user's personal profile
+   * Returns `null` when the user has not saved one
+   */
+  async function getPersonalProfile(
+    userId: string | Types.ObjectId,
+  ): Promise<t.IPersonalProfileLean | null> {
+    try {
+      const PersonalProfile = mongoose.models.PersonalProfile;
+      return (await PersonalProfile.findOne({ userId }).lean()) as t.IPersonalProfileLean | null;
+    } catch (error) {
+      throw new Error(
+        `Failed to get personal profile: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
+  }
+
+  /**
+   * Creates or updates a user's personal profile, replacing the given fields
+   */
+  async function savePersonalProfile({
+    userId,
+    profile,
+  }: t.SavePersonalProfileParams): Promise<t.IPersonalProfileLean> {
+    try {
+      const PersonalProfile = mongoose.models.PersonalProfile;
+      return (await PersonalProfile.findOneAndUpdate(
+        { userId },
+        { $set: profile },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true },
+      ).lean()) as t.IPersonalProfileLean;
+    } catch (error) {
+      throw new Error(
+        `Failed to save personal profile: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
+  }
+
+  /**
+   * Deletes a user's personal profile
+   */
+  async function deletePersonalProfile(userId: string | Types.ObjectId): Promise<t.MemoryResult> {
+    try {
+      const PersonalProfile = mongoose.models.PersonalProfile;
+      const result = await PersonalProfile.findOneAndDelete({ userId });
+      return { ok: !!result };
+    } catch (error) {
+      throw new Error(
+        `Failed to delete personal profile: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
+  }
+
   return {
     setMemory,
     createMemory,
     deleteMemory,
     getAllUserMemories,
     getFormattedMemories,
+    getPersonalProfile,
+    savePersonalProfile,
+    deletePersonalProfile,
   };
 }
 
@@ -0,0 +1,184 @@
+import type { Types } from 'mongoose';
+import type * as t from '~/types';
+
+// Factory function that takes mongoose instance and returns the methods
+export function createNotificationMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Records reminders of upcoming tasks and events; reminders already recorded keep their status
+   * and reminder time, so snoozed and delivered reminders are not scheduled again
+   * @returns The number of reminders that were new
+   */
+  async function upsertNotifications({
+    userId,
+    notifications,
+  }: t.UpsertNotificationsParams): Promise<number> {
+    if (!notifications.length) {
+      return 0;
+    }
+    const Notification = mongoose.models.Notification;
+    const result = await Notification.bulkWrite(
+      notifications.map(({ key, title, body, link, ...notification }) => ({
+        updateOne: {
+          filter: { user: userId, key },
+          update: {
+            $set: { title, body: body ?? null, link: link ?? null },
+            $setOnInsert: { ...notification, user: userId, key, status: 'pending' },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    );
+    return result.upsertedCount;
+  }
+
+  /**
+   * Deletes the pending reminders of tasks and events in a window that are no longer upcoming,
+   * such as completed, deleted or rescheduled tasks
+   */
+  async function deleteStaleNotifications({
+    userId,
+    types,
+    keys,
+    from,
+    to,
+  }: t.DeleteStaleNotificationsParams): Promise<number> {
+    const Notification = mongoose.models.Notification;
+    const result = await Notification.deleteMany({
+      user: userId,
+      type: { $in: types },
+      status: 'pending',
+      dueAt: { $gt: from, $lte: to },
+      key: { $nin: keys },
+    });
+    return result.deletedCount;
+  }
+
+  /**
+   * Gets the pending reminders of every user that are due, oldest first
+   */
+  async function getDueNotifications({
+    now = new Date(),
+    limit = 500,
+  }: t.GetDueNotificationsParams = {}): Promise<t.INotificationLean[]> {
+    const Notification = mongoose.models.Notification;
+    return (await Notification.find({ status: 'pending', remindAt: { $lte: now } })
+      .sort({ remindAt: 1 })
+      .limit(limit)
+      .lean()) as t.INotificationLean[];
+  }
+
+  /**
+   * Gets a user's delivered reminders, newest first
+   */
+  async function getNotifications({
+    userId,
+    unread,
+    limit = 50,
+  }: t.GetNotificationsParams): Promise<t.INotificationLean[]> {
+    const Notification = mongoose.models.Notification;
+    return (await Notification.find({
+      user: userId,
+      status: { $ne: 'pending' },
+      ...(unread ? { readAt: null } : {}),
+    })
+      .select('-actionTokenHash')
+      .sort({ sentAt: -1 })
+      .limit(limit)
+      .lean()) as t.INotificationLean[];
+  }
+
+  async function getNotification(
+    notificationId: string | Types.ObjectId,
+  ): Promise<t.INotificationLean | null> {
+    const Notification = mongoose.models.Notification;
+    return (await Notification.findById(notificationId).lean()) as t.INotificationLean | null;
+  }
+
+  /**
+   * Updates a reminder, of the given user when one is given
+   */
+  async function updateNotification({
+    notificationId,
+    userId,
+    updates,
+  }: t.UpdateNotificationParams): Promise<t.INotificationLean | null> {
+    const Notification = mongoose.models.Notification;
+    return (await Notification.findOneAndUpdate(
+      { _id: notificationId, ...(userId ? { user: userId } : {}) },
+      { $set: updates },
+      { new: true },
+    )
+      .select('-actionTokenHash')
+      .lean()) as t.INotificationLean | null;
+  }
+
+  /**
+   * Clears a reminder's action token in the same update that matches it, so a token acts once
+   * @returns The reminder, or null when no reminder has that token
+   */
+  async function consumeNotificationActionToken({
+    notificationId,
+    actionTokenHash,
+  }: t.ConsumeNotificationActionTokenParams): Promise<t.INotificationLean | null> {
+    const Notification = mongoose.models.Notification;
+    return (await Notification.findOneAndUpdate(
+      { _id: notificationId, actionTokenHash },
+      { $unset: { actionTokenHash: 1 } },
+      { new: true },
+    ).lean()) as t.INotificationLean | null;
+  }
+
+  /**
+   * Stores a browser's push subscription for the user, moving it over if another user had it
+   */
+  async function savePushSubscription({
+    userId,
+    subscription,
+  }: t.SavePushSubscriptionParams): Promise<t.IPushSubscriptionLean> {
+    const PushSubscription = mongoose.models.PushSubscription;
+    const { endpoint, keys } = subscription;
+    return (await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { $set: { user: userId, keys: { p256dh: keys.p256dh, auth: keys.auth } } },
+      { upsert: true, new: true },
+    ).lean()) as t.IPushSubscriptionLean;
+  }
+
+  async function getPushSubscriptions(
+    userId: string | Types.ObjectId,
+  ): Promise<t.IPushSubscriptionLean[]> {
+    const PushSubscription = mongoose.models.PushSubscription;
+    return (await PushSubscription.find({ user: userId }).lean()) as t.IPushSubscriptionLean[];
+  }
+
+  /**
+   * Deletes a push subscription, of the given user when one is given
+   */
+  async function deletePushSubscription({
+    endpoint,
+    userId,
+  }: t.DeletePushSubscriptionParams): Promise<{ ok: boolean }> {
+    const PushSubscription = mongoose.models.PushSubscription;
+    const result = await PushSubscription.deleteOne({
+      endpoint,
+      ...(userId ? { user: userId } : {}),
+    });
+    return { ok: result.deletedCount > 0 };
+  }
+
+  return {
+    upsertNotifications,
+    deleteStaleNotifications,
+    getDueNotifications,
+    getNotifications,
+    getNotification,
+    updateNotification,
+    consumeNotificationActionToken,
+    savePushSubscription,
+    getPushSubscriptions,
+    deletePushSubscription,
+  };
+}
+
+export type NotificationMethods = ReturnType<typeof createNotificationMethods>;
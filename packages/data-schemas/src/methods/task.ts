@@ -0,0 +1,293 @@
+import type { Types } from 'mongoose';
+import type * as t from '~/types';
+
+// Factory function that takes mongoose instance and returns the methods
+export function createTaskMethods(mongoose: typeof import('mongoose')) {
+  /**
+   * Gets all task lists for a user, in display order
+   */
+  async function getTaskLists(userId: string | Types.ObjectId): Promise<t.ITaskListLean[]> {
+    const TaskList = mongoose.models.TaskList;
+    return (await TaskList.find({ user: userId })
+      .sort({ position: 1, createdAt: 1 })
+      .lean()) as t.ITaskListLean[];
+  }
+
+  /**
+   * Gets one of the user's task lists
+   */
+  async function getTaskList({
+    userId,
+    taskListId,
+  }: t.GetTaskListParams): Promise<t.ITaskListLean | null> {
+    const TaskList = mongoose.models.TaskList;
+    return (await TaskList.findOne({
+      _id: taskListId,
+      user: userId,
+    }).lean()) as t.ITaskListLean | null;
+  }
+
+  /**
+   * Creates a task list, or returns the existing list with the same name
+   */
+  async function createTaskList({
+    userId,
+    name,
+    position = 0,
+  }: t.CreateTaskListParams): Promise<t.ITaskListLean> {
+    const TaskList = mongoose.models.TaskList;
+    return (await TaskList.findOneAndUpdate(
+      { user: userId, name },
+      { $setOnInsert: { user: userId, name, position } },
+      { upsert: true, new: true },
+    ).lean()) as t.ITaskListLean;
+  }
+
+  /**
+   * Renames or reorders a task list
+   */
+  async function updateTaskList({
+    userId,
+    taskListId,
+    updates,
+  }: t.UpdateTaskListParams): Promise<t.ITaskListLean | null> {
+    const TaskList = mongoose.models.TaskList;
+    return (await TaskList.findOneAndUpdate(
+      { _id: taskListId, user: userId },
+      { $set: updates },
+      { new: true },
+    ).lean()) as t.ITaskListLean | null;
+  }
+
+  /**
+   * Deletes a task list together with its tasks
+   */
+  async function deleteTaskList({
+    userId,
+    taskListId,
+  }: t.DeleteTaskListParams): Promise<{ ok: boolean }> {
+    const TaskList = mongoose.models.TaskList;
+    const Task = mongoose.models.Task;
+    const result = await TaskList.findOneAndDelete({ _id: taskListId, user: userId });
+    if (result) {
+      await Task.deleteMany({ taskList: taskListId, user: userId });
+    }
+    return { ok: !!result };
+  }
+
+  /**
+   * Gets the tasks of a user, optionally limited to one task list
+   */
+  async function getTasks({ userId, taskListId }: t.GetTasksParams): Promise<t.ITaskLean[]> {
+    const Task = mongoose.models.Task;
+    const filter: Record<string, unknown> = { user: userId };
+    if (taskListId) {
+      filter.taskList = taskListId;
+    }
+    return (await Task.find(filter).sort({ position: 1, createdAt: 1 }).lean()) as t.ITaskLean[];
+  }
+
+  /**
+   * Gets one of the user's tasks
+   */
+  async function getTask({ userId, taskId }: t.GetTaskParams): Promise<t.ITaskLean | null> {
+    const Task = mongoose.models.Task;
+    return (await Task.findOne({ _id: taskId, user: userId }).lean()) as t.ITaskLean | null;
+  }
+
+  /**
+   * Creates a task in one of the user's task lists
+   */
+  async function createTask({
+    userId,
+    taskListId,
+    title,
+    content = '',
+    completed = false,
+    dueDate = null,
+    duration = null,
+    repeat = null,
+    priority = 0,
+    tags = [],
+    items = [],
+    parent = null,
+    position = 0,
+  }: t.CreateTaskParams): Promise<t.ITaskLean> {
+    const Task = mongoose.models.Task;
+    const task = await Task.create({
+      user: userId,
+      taskList: taskListId,
+      title,
+      content,
+      completed,
+      completedAt: completed ? new Date() : null,
+      dueDate,
+      duration,
+      repeat,
+      priority,
+      tags,
+      items,
+      parent,
+      position,
+    });
+    return task.toObject() as t.ITaskLean;
+  }
+
+  /**
+   * Updates a task; `completedAt` follows changes to `completed`
+   */
+  async function updateTask({
+    userId,
+    taskId,
+    updates,
+  }: t.UpdateTaskParams): Promise<t.ITaskLean | null> {
+    const Task = mongoose.models.Task;
+    const $set: Record<string, unknown> = { ...updates };
+    if (updates.completed === true) {
+      const existing = await Task.findOne({ _id: taskId, user: userId }).lean<t.ITaskLean>();
+      if (existing && !existing.completed) {
+        $set.completedAt = new Date();
+      }
+    } else if (updates.completed === false) {
+      $set.completedAt = null;
+    }
+    return (await Task.findOneAndUpdate(
+      { _id: taskId, user: userId },
+      { $set },
+      {
+        new: true,
+      },
+    ).lean()) as t.ITaskLean | null;
+  }
+
+  /**
+   * Deletes a task; its subtasks become top-level tasks
+   */
+  async function deleteTask({ userId, taskId }: t.DeleteTaskParams): Promise<{ ok: boolean }> {
+    const Task = mongoose.models.Task;
+    const result = await Task.findOneAndDelete({ _id: taskId, user: userId });
+    if (result) {
+      await Task.updateMany({ parent: taskId, user: userId }, { $set: { parent: null } });
+    }
+    return { ok: !!result };
+  }
+
+  /**
+   * Records a run of task changes written to the user's task provider
+   */
+  async function createTaskChangeSet({
+    userId,
+    createdProjects = [],
+    revertOf = null,
+    ...fields
+  }: t.CreateTaskChangeSetParams): Promise<t.ITaskChangeSetLean> {
+    const TaskChangeSet = mongoose.models.TaskChangeSet;
+    const changeSet = await TaskChangeSet.create({
+      user: userId,
+      createdProjects,
+      revertOf,
+      ...fields,
+    });
+    return changeSet.toObject() as t.ITaskChangeSetLean;
+  }
+
+  /**
+   * Gets the task change sets of a user, newest first, optionally those of one message
+   */
+  async function getTaskChangeSets({
+    userId,
+    messageId,
+    limit = 50,
+  }: t.GetTaskChangeSetsParams): Promise<t.ITaskChangeSetLean[]> {
+    const TaskChangeSet = mongoose.models.TaskChangeSet;
+    const filter: Record<string, unknown> = { user: userId };
+    if (messageId) {
+      filter.messageId = messageId;
+    }
+    return (await TaskChangeSet.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean()) as t.ITaskChangeSetLean[];
+  }
+
+  /**
+   * Gets one of the user's task change sets
+   */
+  async function getTaskChangeSet(
+    userId: string | Types.ObjectId,
+    changeSetId: string | Types.ObjectId,
+  ): Promise<t.ITaskChangeSetLean | null> {
+    const TaskChangeSet = mongoose.models.TaskChangeSet;
+    return (await TaskChangeSet.findOne({
+      _id: changeSetId,
+      user: userId,
+    }).lean()) as t.ITaskChangeSetLean | null;
+  }
+
+  /**
+   * Claims a change set for reverting, in one conditional update so that it is only reverted
+   * once. Returns null when it is missing or already reverted
+   */
+  async function claimTaskChangeSetRevert({
+    userId,
+    changeSetId,
+  }: t.TaskChangeSetRevertParams): Promise<t.ITaskChangeSetLean | null> {
+    const TaskChangeSet = mongoose.models.TaskChangeSet;
+    return (await TaskChangeSet.findOneAndUpdate(
+      { _id: changeSetId, user: userId, revertedAt: null },
+      { $set: { revertedAt: new Date() } },
+      { new: true },
+    ).lean()) as t.ITaskChangeSetLean | null;
+  }
+
+  /**
+   * Releases a claimed change set whose revert failed, so it can be reverted again
+   */
+  async function releaseTaskChangeSetRevert({
+    userId,
+    changeSetId,
+  }: t.TaskChangeSetRevertParams): Promise<void> {
+    const TaskChangeSet = mongoose.models.TaskChangeSet;
+    await TaskChangeSet.updateOne(
+      { _id: changeSetId, user: userId, revertedBy: null },
+      { $set: { revertedAt: null } },
+    );
+  }
+
+  /**
+   * Marks a change set as reverted by another one
+   */
+  async function markTaskChangeSetReverted({
+    userId,
+    changeSetId,
+    revertedBy,
+  }: t.MarkTaskChangeSetRevertedParams): Promise<t.ITaskChangeSetLean | null> {
+    const TaskChangeSet = mongoose.models.TaskChangeSet;
+    return (await TaskChangeSet.findOneAndUpdate(
+      { _id: changeSetId, user: userId },
+      { $set: { revertedBy, revertedAt: new Date() } },
+      { new: true },
+    ).lean()) as t.ITaskChangeSetLean | null;
+  }
+
+  return {
+    getTaskLists,
+    getTaskList,
+    createTaskList,
+    updateTaskList,
+    deleteTaskList,
+    getTask,
+    getTasks,
+    createTask,
+    updateTask,
+    deleteTask,
+    createTaskChangeSet,
+    getTaskChangeSets,
+    getTaskChangeSet,
+    claimTaskChangeSetRevert,
+    releaseTaskChangeSetRevert,
+    markTaskChangeSetReverted,
+  };
+}
+
+export type TaskMethods = ReturnType<typeof createTaskMethods>;
@@ -19,6 +19,21 @@ export function createUserMethods(mongoose: typeof import('mongoose')) {
     return (await query.lean()) as IUser | null;
   }
 
+  /**
+   * Search for every user matching the criteria and return them as plain objects.
+   */
+  async function findUsers(
+    searchCriteria: FilterQuery<IUser>,
+    fieldsToSelect?: string | string[] | null,
+  ): Promise<IUser[]> {
+    const User = mongoose.models.User;
+    const query = User.find(searchCriteria);
+    if (fieldsToSelect) {
+      query.select(fieldsToSelect);
+    }
+    return (await query.lean()) as unknown as IUser[];
+  }
+
   /**
    * Count the number of user documents in the collection based on the provided filter.
    */
@@ -281,6 +296,7 @@ export function createUserMethods(mongoose: typeof import('mongoose')) {
 
   return {
     findUser,
+    findUsers,
     countUsers,
     createUser,
     updateUser,
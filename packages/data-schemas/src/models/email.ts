@@ -0,0 +1,6 @@
+import emailSchema from '~/schema/email';
+import type { IEmail } from '~/types/email';
+
+export function createEmailModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.Email || mongoose.model<IEmail>('Email', emailSchema);
+}
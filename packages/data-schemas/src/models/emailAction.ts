@@ -0,0 +1,8 @@
+import emailActionSchema from '~/schema/emailAction';
+import type { IEmailAction } from '~/types/email';
+
+export function createEmailActionModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.EmailAction || mongoose.model<IEmailAction>('EmailAction', emailActionSchema)
+  );
+}
@@ -0,0 +1,6 @@
+import emailSyncSchema from '~/schema/emailSync';
+import type { IEmailSync } from '~/types/email';
+
+export function createEmailSyncModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.EmailSync || mongoose.model<IEmailSync>('EmailSync', emailSyncSchema);
+}
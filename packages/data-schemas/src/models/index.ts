@@ -22,6 +22,16 @@ import { createConversationTagModel } from './conversationTag';
 import { createSharedLinkModel } from './sharedLink';
 import { createToolCallModel } from './toolCall';
 import { createMemoryModel } from './memory';
+import { createPersonalProfileModel } from './personalProfile';
+import { createTaskModel } from './task';
+import { createTaskListModel } from './taskList';
+import { createTaskChangeSetModel } from './taskChangeSet';
+import { createIntegrationModel } from './integration';
+import { createEmailModel } from './email';
+import { createEmailSyncModel } from './emailSync';
+import { createEmailActionModel } from './emailAction';
+import { createNotificationModel } from './notification';
+import { createPushSubscriptionModel } from './pushSubscription';
 import { createAccessRoleModel } from './accessRole';
 import { createAclEntryModel } from './aclEntry';
 import { createGroupModel } from './group';
@@ -55,6 +65,16 @@ export function createModels(mongoose: typeof import('mongoose')) {
     SharedLink: createSharedLinkModel(mongoose),
     ToolCall: createToolCallModel(mongoose),
     MemoryEntry: createMemoryModel(mongoose),
+    PersonalProfile: createPersonalProfileModel(mongoose),
+    Task: createTaskModel(mongoose),
+    TaskList: createTaskListModel(mongoose),
+    TaskChangeSet: createTaskChangeSetModel(mongoose),
+    Integration: createIntegrationModel(mongoose),
+    Email: createEmailModel(mongoose),
+    EmailSync: createEmailSyncModel(mongoose),
+    EmailAction: createEmailActionModel(mongoose),
+    Notification: createNotificationModel(mongoose),
+    PushSubscription: createPushSubscriptionModel(mongoose),
     AccessRole: createAccessRoleModel(mongoose),
     AclEntry: createAclEntryModel(mongoose),
     Group: createGroupModel(mongoose),
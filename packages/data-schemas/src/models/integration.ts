@@ -0,0 +1,8 @@
+import integrationSchema from '~/schema/integration';
+import type { IIntegration } from '~/types/integration';
+
+export function createIntegrationModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.Integration || mongoose.model<IIntegration>('Integration', integrationSchema)
+  );
+}
@@ -0,0 +1,9 @@
+import notificationSchema from '~/schema/notification';
+import type { INotification } from '~/types/notification';
+
+export function createNotificationModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.Notification ||
+    mongoose.model<INotification>('Notification', notificationSchema)
+  );
+}
@@ -0,0 +1,9 @@
+import personalProfileSchema from '~/schema/personalProfile';
+import type { IPersonalProfile } from '~/types/memory';
+
+export function createPersonalProfileModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.PersonalProfile ||
+    mongoose.model<IPersonalProfile>('PersonalProfile', personalProfileSchema)
+  );
+}
@@ -0,0 +1,9 @@
+import pushSubscriptionSchema from '~/schema/pushSubscription';
+import type { IPushSubscription } from '~/types/notification';
+
+export function createPushSubscriptionModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.PushSubscription ||
+    mongoose.model<IPushSubscription>('PushSubscription', pushSubscriptionSchema)
+  );
+}
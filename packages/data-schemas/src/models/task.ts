@@ -0,0 +1,6 @@
+import taskSchema from '~/schema/task';
+import type { ITask } from '~/types/task';
+
+export function createTaskModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.Task || mongoose.model<ITask>('Task', taskSchema);
+}
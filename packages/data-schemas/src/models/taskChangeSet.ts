@@ -0,0 +1,9 @@
+import taskChangeSetSchema from '~/schema/taskChangeSet';
+import type { ITaskChangeSet } from '~/types/task';
+
+export function createTaskChangeSetModel(mongoose: typeof import('mongoose')) {
+  return (
+    mongoose.models.TaskChangeSet ||
+    mongoose.model<ITaskChangeSet>('TaskChangeSet', taskChangeSetSchema)
+  );
+}
@@ -0,0 +1,6 @@
+import taskListSchema from '~/schema/taskList';
+import type { ITaskList } from '~/types/task';
+
+export function createTaskListModel(mongoose: typeof import('mongoose')) {
+  return mongoose.models.TaskList || mongoose.model<ITaskList>('TaskList', taskListSchema);
+}
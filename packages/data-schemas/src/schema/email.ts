@@ -0,0 +1,105 @@
+import { Schema } from 'mongoose';
+import type { IEmail, EmailAttachment, EmailEvent } from '~/types/email';
+
+const emailAttachmentSchema = new Schema<EmailAttachment>(
+  {
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    excerpt: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+const emailEventSchema = new Schema<EmailEvent>(
+  {
+    uid: { type: String, required: true },
+    summary: { type: String, required: true },
+    start: { type: String, required: true },
+    end: { type: String, default: null },
+    allDay: { type: Boolean, default: false },
+    location: { type: String, default: null },
+    organizer: { type: String, default: null },
+    method: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+const emailSchema: Schema<IEmail> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    /** Gmail message id, unique within the user's mailbox */
+    messageId: {
+      type: String,
+      required: true,
+    },
+    threadId: {
+      type: String,
+    },
+    from: {
+      type: String,
+    },
+    subject: {
+      type: String,
+    },
+    /** Raw `Date` header */
+    date: {
+      type: String,
+    },
+    /** Whether Gmail marked the message as important */
+    important: {
+      type: Boolean,
+      default: false,
+    },
+    /** When Gmail received the message */
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    /** Whether the message body reads like instructions to the assistant (prompt injection) */
+    suspicious: {
+      type: Boolean,
+      default: false,
+    },
+    /** Excerpts of the PDF and DOCX documents attached to the message */
+    attachments: {
+      type: [emailAttachmentSchema],
+      default: undefined,
+    },
+    /** Events of the calendar invitations attached to the message */
+    events: {
+      type: [emailEventSchema],
+      default: undefined,
+    },
+    /** `null` until the message is summarized */
+    summary: {
+      type: String,
+      default: null,
+    },
+    /** Error of the last failed summary attempt */
+    error: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    /** Earliest time a failed summary is retried */
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  /** Older versions kept user-less emails, unique by message, in `emails` */
+  { timestamps: true, collection: 'emailsummaries' },
+);
+
+emailSchema.index({ user: 1, messageId: 1 }, { unique: true });
+emailSchema.index({ user: 1, receivedAt: -1 });
+
+export default emailSchema;
@@ -0,0 +1,80 @@
+import { Schema } from 'mongoose';
+import type { IEmailAction } from '~/types/email';
+
+const emailActionSchema: Schema<IEmailAction> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['draft_reply', 'archive', 'label', 'mark_read', 'snooze', 'add_event'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['applied', 'error'],
+      required: true,
+    },
+    /** Gmail message acted on */
+    messageId: {
+      type: String,
+      required: true,
+    },
+    threadId: {
+      type: String,
+      default: null,
+    },
+    from: {
+      type: String,
+      default: null,
+    },
+    subject: {
+      type: String,
+      default: null,
+    },
+    /** Draft text, label names and invitation event, as confirmed */
+    details: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    /** Gmail draft created by a draft reply */
+    draftId: {
+      type: String,
+      default: null,
+    },
+    /** Conversation and message the action was proposed in */
+    conversationId: {
+      type: String,
+      default: null,
+    },
+    responseMessageId: {
+      type: String,
+      default: null,
+    },
+    /** When a snoozed message returns to the inbox */
+    snoozedUntil: {
+      type: Date,
+      default: null,
+    },
+    unsnoozedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+emailActionSchema.index({ user: 1, createdAt: -1 });
+emailActionSchema.index(
+  { user: 1, snoozedUntil: 1 },
+  { partialFilterExpression: { unsnoozedAt: null } },
+);
+
+export default emailActionSchema;
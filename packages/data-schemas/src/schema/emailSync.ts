@@ -0,0 +1,38 @@
+import { Schema } from 'mongoose';
+import type { IEmailSync } from '~/types/email';
+
+const emailSyncSchema: Schema<IEmailSync> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      unique: true,
+      required: true,
+    },
+    /** Gmail `historyId` the next incremental sync starts from */
+    historyId: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['idle', 'syncing', 'error'],
+      default: 'idle',
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    lastSyncAt: {
+      type: Date,
+      default: null,
+    },
+    lastFullSyncAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+export default emailSyncSchema;
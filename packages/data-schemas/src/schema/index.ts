@@ -23,4 +23,14 @@ export { default as toolCallSchema } from './toolCall';
 export { default as transactionSchema } from './transaction';
 export { default as userSchema } from './user';
 export { default as memorySchema } from './memory';
+export { default as personalProfileSchema } from './personalProfile';
+export { default as taskSchema } from './task';
+export { default as taskListSchema } from './taskList';
+export { default as taskChangeSetSchema } from './taskChangeSet';
+export { default as integrationSchema } from './integration';
+export { default as emailSchema } from './email';
+export { default as emailSyncSchema } from './emailSync';
+export { default as emailActionSchema } from './emailAction';
+export { default as notificationSchema } from './notification';
+export { default as pushSubscriptionSchema } from './pushSubscription';
 export { default as groupSchema } from './group';
@@ -0,0 +1,48 @@
+import { Schema } from 'mongoose';
+import type { IIntegration } from '~/types/integration';
+
+const integrationSchema: Schema<IIntegration> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    /** Encrypted JSON of the provider's credential fields */
+    credentials: {
+      type: String,
+      required: true,
+    },
+    /** Names of the credential fields that are set, so clients never need the secrets */
+    fields: {
+      type: [String],
+      default: [],
+    },
+    /** `manual` for pasted credentials, `oauth` when tokens come from a consent flow */
+    authType: {
+      type: String,
+      enum: ['manual', 'oauth'],
+      default: 'manual',
+    },
+    /** `expired` once the provider rejects the stored grant */
+    status: {
+      type: String,
+      enum: ['active', 'expired'],
+      default: 'active',
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+integrationSchema.index({ user: 1, provider: 1 }, { unique: true });
+
+export default integrationSchema;
@@ -0,0 +1,76 @@
+import { Schema } from 'mongoose';
+import type { INotification } from '~/types/notification';
+
+const notificationSchema: Schema<INotification> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['task', 'event'],
+      required: true,
+    },
+    /** e.g. `task:ticktick:<id>:<due>`; a rescheduled task gets a new reminder */
+    key: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      default: null,
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    taskId: {
+      type: String,
+      default: null,
+    },
+    link: {
+      type: String,
+      default: null,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    remindAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'completed', 'dismissed'],
+      default: 'pending',
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    actionTokenHash: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+notificationSchema.index({ user: 1, key: 1 }, { unique: true });
+notificationSchema.index({ status: 1, remindAt: 1 });
+notificationSchema.index({ user: 1, sentAt: -1 });
+/** Reminders are kept for a week after their due time */
+notificationSchema.index({ dueAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default notificationSchema;
@@ -0,0 +1,64 @@
+import { Schema } from 'mongoose';
+import type { IPersonalProfile, ProfilePerson, ProfileWorkingHours } from '~/types/memory';
+
+const workingHoursSchema = new Schema<ProfileWorkingHours>(
+  {
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+    /** ISO weekdays, 1 is Monday */
+    days: { type: [Number], default: [1, 2, 3, 4, 5] },
+  },
+  { _id: false },
+);
+
+const personSchema = new Schema<ProfilePerson>(
+  {
+    name: { type: String, required: true },
+    role: { type: String, default: '' },
+    notes: { type: String },
+  },
+  { _id: false },
+);
+
+/** One per user; read into the personal context source */
+const personalProfileSchema: Schema<IPersonalProfile> = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      unique: true,
+      required: true,
+    },
+    workingHours: {
+      type: workingHoursSchema,
+      default: null,
+    },
+    routines: {
+      type: [String],
+      default: [],
+    },
+    energyPeaks: {
+      type: [String],
+      default: [],
+    },
+    commitments: {
+      type: [String],
+      default: [],
+    },
+    people: {
+      type: [personSchema],
+      default: [],
+    },
+    planningPreferences: {
+      type: [String],
+      default: [],
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: true },
+);
+
+export default personalProfileSchema;
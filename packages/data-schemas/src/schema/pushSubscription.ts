@@ -0,0 +1,32 @@
+import { Schema } from 'mongoose';
+import type { IPushSubscription } from '~/types/notification';
+
+const pushSubscriptionSchema: Schema<IPushSubscription> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    /** Push service URL; unique per browser */
+    endpoint: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: true,
+      },
+      auth: {
+        type: String,
+        required: true,
+      },
+    },
+  },
+  { timestamps: true },
+);
+
+export default pushSubscriptionSchema;
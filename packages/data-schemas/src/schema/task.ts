@@ -0,0 +1,81 @@
+import { Schema } from 'mongoose';
+import type { ITask } from '~/types/task';
+
+const taskSchema: Schema<ITask> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    taskList: {
+      type: Schema.Types.ObjectId,
+      ref: 'TaskList',
+      index: true,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      default: '',
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    duration: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    repeat: {
+      type: String,
+      default: null,
+    },
+    priority: {
+      type: Number,
+      enum: [0, 1, 3, 5],
+      default: 0,
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    items: {
+      type: [
+        {
+          _id: false,
+          title: { type: String, required: true },
+          completed: { type: Boolean, default: false },
+        },
+      ],
+      default: [],
+    },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
+    position: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+taskSchema.index({ user: 1, dueDate: 1 });
+
+export default taskSchema;
@@ -0,0 +1,63 @@
+import { Schema } from 'mongoose';
+import type { ITaskChangeSet } from '~/types/task';
+
+const taskChangeSetSchema: Schema<ITaskChangeSet> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    /** Conversation and message whose proposed task changes were applied */
+    conversationId: {
+      type: String,
+      index: true,
+      default: null,
+    },
+    messageId: {
+      type: String,
+      index: true,
+      default: null,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['applied', 'partial'],
+      default: 'applied',
+    },
+    /** Applied changes, with snapshots of each task before and after */
+    changes: {
+      type: [{ type: Schema.Types.Mixed }],
+      default: [],
+    },
+    /** Projects created for the changes, removed again when they are reverted */
+    createdProjects: {
+      type: [String],
+      default: [],
+    },
+    /** The change set this one reverted */
+    revertOf: {
+      type: Schema.Types.ObjectId,
+      ref: 'TaskChangeSet',
+      default: null,
+    },
+    /** The change set that reverted this one */
+    revertedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'TaskChangeSet',
+      default: null,
+    },
+    revertedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+taskChangeSetSchema.index({ user: 1, createdAt: -1 });
+
+export default taskChangeSetSchema;
@@ -0,0 +1,27 @@
+import { Schema } from 'mongoose';
+import type { ITaskList } from '~/types/task';
+
+const taskListSchema: Schema<ITaskList> = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    position: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+taskListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+export default taskListSchema;
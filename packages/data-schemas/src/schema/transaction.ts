@@ -4,7 +4,8 @@ import mongoose, { Schema, Document, Types } from 'mongoose';
 export interface ITransaction extends Document {
   user: Types.ObjectId;
   conversationId?: string;
-  tokenType: 'prompt' | 'completion' | 'credits';
+  /** `context` is the part of the prompt injected from the personal context sources */
+  tokenType: 'prompt' | 'completion' | 'context' | 'credits';
   model?: string;
   context?: string;
   valueKey?: string;
@@ -33,7 +34,7 @@ const transactionSchema: Schema<ITransaction> = new Schema(
     },
     tokenType: {
       type: String,
-      enum: ['prompt', 'completion', 'credits'],
+      enum: ['prompt', 'completion', 'context', 'credits'],
       required: true,
     },
     model: {
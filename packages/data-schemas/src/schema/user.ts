@@ -138,6 +138,49 @@ const userSchema = new Schema<IUser>(
           type: Boolean,
           default: true,
         },
+        /** Task backend used by the planner: 'ticktick', 'caldav' or 'local' */
+        taskProvider: {
+          type: String,
+        },
+        /** IANA timezone, detected from the browser until the user picks one */
+        timezone: {
+          type: String,
+        },
+        /** Date format tokens, e.g. 'MM/dd/yyyy' */
+        dateFormat: {
+          type: String,
+        },
+        /** Daily briefing conversations; times are local `HH:mm`, unset when turned off */
+        briefing: {
+          morning: {
+            type: String,
+          },
+          evening: {
+            type: String,
+          },
+          email: {
+            type: Boolean,
+          },
+          /** Local date (`yyyy-MM-dd`) each briefing was last generated, so it runs once a day */
+          lastSent: {
+            morning: {
+              type: String,
+            },
+            evening: {
+              type: String,
+            },
+          },
+        },
+        /** Reminders of task due times and calendar events; unset when turned off */
+        reminders: {
+          /** Minutes before the task or event is due */
+          minutesBefore: {
+            type: Number,
+          },
+          email: {
+            type: Boolean,
+          },
+        },
       },
       default: {},
     },
@@ -5,6 +5,7 @@ import type {
   TAzureConfig,
   TCustomConfig,
   TMemoryConfig,
+  TContextSource,
   EModelEndpoint,
   TAgentsEndpoint,
   TCustomEndpoints,
@@ -54,6 +55,12 @@ export interface AppConfig {
   };
   /** Memory configuration */
   memory?: TMemoryConfig;
+  /** Enabled context sources, in injection order */
+  contextSources?: TContextSource[];
+  /** Share of the context window kept from the context sources */
+  contextReserve?: number;
+  /** Endpoint and model of background extractions (task lists, email summaries) */
+  structuredOutput?: TCustomConfig['structuredOutput'];
   /** Web search configuration */
   webSearch?: TCustomConfig['webSearch'];
   /** File storage strategy ('local', 's3', 'firebase', 'azure_blob') */
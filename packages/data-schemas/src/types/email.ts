@@ -0,0 +1,246 @@
+import type { Types, Document } from 'mongoose';
+
+/** Text extracted from a document attached to an email, cut to a short excerpt */
+export interface EmailAttachment {
+  filename: string;
+  mimeType: string;
+  excerpt: string;
+}
+
+/** An event of a calendar invitation (ICS) attached to an email */
+export interface EmailEvent {
+  uid: string;
+  summary: string;
+  /** ISO date-time, or ISO date for all-day events */
+  start: string;
+  end?: string | null;
+  allDay: boolean;
+  location?: string | null;
+  organizer?: string | null;
+  /** iTIP method of the invitation, e.g. `REQUEST` or `CANCEL` */
+  method?: string | null;
+}
+
+export interface IEmail extends Document {
+  user: Types.ObjectId;
+  messageId: string;
+  threadId?: string;
+  from?: string;
+  subject?: string;
+  date?: string;
+  important?: boolean;
+  receivedAt?: Date | null;
+  suspicious?: boolean;
+  attachments?: EmailAttachment[];
+  events?: EmailEvent[];
+  summary?: string | null;
+  error?: string | null;
+  attempts: number;
+  nextAttemptAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IEmailLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  messageId: string;
+  threadId?: string;
+  from?: string;
+  subject?: string;
+  date?: string;
+  important?: boolean;
+  receivedAt?: Date | null;
+  suspicious?: boolean;
+  attachments?: EmailAttachment[];
+  events?: EmailEvent[];
+  summary?: string | null;
+  error?: string | null;
+  attempts: number;
+  nextAttemptAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export type EmailSyncStatus = 'idle' | 'syncing' | 'error';
+
+export interface IEmailSync extends Document {
+  user: Types.ObjectId;
+  historyId?: string | null;
+  status: EmailSyncStatus;
+  error?: string | null;
+  lastSyncAt?: Date | null;
+  lastFullSyncAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IEmailSyncLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  historyId?: string | null;
+  status: EmailSyncStatus;
+  error?: string | null;
+  lastSyncAt?: Date | null;
+  lastFullSyncAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export type EmailActionType =
+  | 'draft_reply'
+  | 'archive'
+  | 'label'
+  | 'mark_read'
+  | 'snooze'
+  | 'add_event';
+
+export type EmailActionStatus = 'applied' | 'error';
+
+/** Parameters of an email action, as confirmed by the user */
+export interface EmailActionDetails {
+  /** Text of a draft reply */
+  body?: string;
+  /** Label names added and removed */
+  addLabels?: string[];
+  removeLabels?: string[];
+  /** Invitation event added to the calendar */
+  event?: EmailEvent;
+}
+
+/** Audit entry of a Gmail action the user confirmed */
+export interface IEmailAction extends Document {
+  user: Types.ObjectId;
+  type: EmailActionType;
+  status: EmailActionStatus;
+  /** Gmail message acted on */
+  messageId: string;
+  threadId?: string | null;
+  from?: string | null;
+  subject?: string | null;
+  details: EmailActionDetails;
+  error?: string | null;
+  /** Gmail draft created by a draft reply */
+  draftId?: string | null;
+  /** Conversation and message the action was proposed in */
+  conversationId?: string | null;
+  responseMessageId?: string | null;
+  /** When a snoozed message returns to the inbox */
+  snoozedUntil?: Date | null;
+  unsnoozedAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IEmailActionLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  type: EmailActionType;
+  status: EmailActionStatus;
+  messageId: string;
+  threadId?: string | null;
+  from?: string | null;
+  subject?: string | null;
+  details: EmailActionDetails;
+  error?: string | null;
+  draftId?: string | null;
+  conversationId?: string | null;
+  responseMessageId?: string | null;
+  snoozedUntil?: Date | null;
+  unsnoozedAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export type EmailDetails = Partial<
+  Pick<
+    IEmailLean,
+    | 'threadId'
+    | 'from'
+    | 'subject'
+    | 'date'
+    | 'important'
+    | 'receivedAt'
+    | 'suspicious'
+    | 'attachments'
+    | 'events'
+  >
+>;
+
+export interface EmailCounts {
+  summarized: number;
+  pending: number;
+  failed: number;
+}
+
+// Method parameter interfaces
+export interface AddEmailsParams {
+  userId: string | Types.ObjectId;
+  messages: { messageId: string; threadId?: string | null }[];
+}
+
+export interface GetEmailsToSummarizeParams {
+  userId: string | Types.ObjectId;
+  /** Emails that failed this many times are no longer retried */
+  maxAttempts: number;
+  limit?: number;
+}
+
+export interface GetEmailSummariesParams {
+  userId: string | Types.ObjectId;
+  since: Date;
+  /** Only emails Gmail marked as important */
+  important?: boolean;
+  limit?: number;
+}
+
+export interface SaveEmailSummaryParams {
+  userId: string | Types.ObjectId;
+  messageId: string;
+  summary: string;
+  details?: EmailDetails;
+}
+
+export interface RecordEmailFailureParams {
+  userId: string | Types.ObjectId;
+  messageId: string;
+  error: string;
+  nextAttemptAt: Date;
+  details?: EmailDetails;
+}
+
+export interface UpdateEmailSyncParams {
+  userId: string | Types.ObjectId;
+  updates: Partial<
+    Pick<IEmailSyncLean, 'historyId' | 'status' | 'error' | 'lastSyncAt' | 'lastFullSyncAt'>
+  >;
+}
+
+export interface CreateEmailActionParams {
+  userId: string | Types.ObjectId;
+  type: EmailActionType;
+  status: EmailActionStatus;
+  messageId: string;
+  threadId?: string | null;
+  from?: string | null;
+  subject?: string | null;
+  details?: EmailActionDetails;
+  error?: string | null;
+  draftId?: string | null;
+  conversationId?: string | null;
+  responseMessageId?: string | null;
+  snoozedUntil?: Date | null;
+}
+
+export interface GetEmailActionsParams {
+  userId: string | Types.ObjectId;
+  limit?: number;
+}
+
+export interface GetDueSnoozesParams {
+  userId: string | Types.ObjectId;
+  now?: Date;
+}
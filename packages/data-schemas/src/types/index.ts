@@ -19,6 +19,14 @@ export * from './share';
 export * from './pluginAuth';
 /* Memories */
 export * from './memory';
+/* Tasks */
+export * from './task';
+/* Integrations */
+export * from './integration';
+/* Emails */
+export * from './email';
+/* Notifications */
+export * from './notification';
 /* Prompts */
 export * from './prompts';
 /* Access Control */
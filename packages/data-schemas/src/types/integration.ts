@@ -0,0 +1,59 @@
+import type { Types, Document } from 'mongoose';
+
+export type IntegrationAuthType = 'manual' | 'oauth';
+
+export type IntegrationStatus = 'active' | 'expired';
+
+export interface IIntegration extends Document {
+  user: Types.ObjectId;
+  provider: string;
+  credentials: string;
+  fields: string[];
+  authType: IntegrationAuthType;
+  status: IntegrationStatus;
+  error?: string | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IIntegrationLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  provider: string;
+  credentials: string;
+  fields: string[];
+  authType: IntegrationAuthType;
+  status: IntegrationStatus;
+  error?: string | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+/** An integration as listed to its owner, without the encrypted credentials */
+export type IntegrationSummary = Omit<IIntegrationLean, 'credentials'>;
+
+export interface FindIntegrationParams {
+  userId: string | Types.ObjectId;
+  provider: string;
+}
+
+export interface GetIntegrationsByProviderParams {
+  provider: string;
+  status?: IntegrationStatus;
+}
+
+export interface UpsertIntegrationParams {
+  userId: string | Types.ObjectId;
+  provider: string;
+  credentials: string;
+  fields: string[];
+  authType?: IntegrationAuthType;
+}
+
+export interface UpdateIntegrationStatusParams {
+  userId: string | Types.ObjectId;
+  provider: string;
+  status: IntegrationStatus;
+  error?: string | null;
+}
@@ -46,3 +46,51 @@ export interface FormattedMemoriesResult {
   withoutKeys: string;
   totalTokens?: number;
 }
+
+/** Usual working hours, as local times (`HH:mm`) on ISO weekdays (1 is Monday) */
+export interface ProfileWorkingHours {
+  start: string;
+  end: string;
+  days: number[];
+}
+
+/** Someone the user deals with regularly */
+export interface ProfilePerson {
+  name: string;
+  role: string;
+  notes?: string;
+}
+
+/** What the assistant knows about the user to plan their days */
+export interface PersonalProfileFields {
+  workingHours?: ProfileWorkingHours | null;
+  routines?: string[];
+  /** Times of day the user does their best focused work */
+  energyPeaks?: string[];
+  /** Recurring commitments, such as school runs or weekly classes */
+  commitments?: string[];
+  people?: ProfilePerson[];
+  planningPreferences?: string[];
+  /** Anything else, in the user's own words */
+  notes?: string;
+}
+
+export interface IPersonalProfile extends PersonalProfileFields, Document {
+  userId: Types.ObjectId;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IPersonalProfileLean extends PersonalProfileFields {
+  _id: Types.ObjectId;
+  userId: Types.ObjectId;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export interface SavePersonalProfileParams {
+  userId: string | Types.ObjectId;
+  /** Fields to replace; fields left out are kept */
+  profile: PersonalProfileFields;
+}
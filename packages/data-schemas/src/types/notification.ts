@@ -0,0 +1,131 @@
+import type { Types, Document } from 'mongoose';
+
+export type NotificationType = 'task' | 'event';
+/**
+ * - `pending`: waiting for its `remindAt`, including after a snooze
+ * - `sent`: delivered to the user
+ * - `completed`: the task was completed from the notification
+ * - `dismissed`: read and closed by the user
+ */
+export type NotificationStatus = 'pending' | 'sent' | 'completed' | 'dismissed';
+
+/** A reminder of a task's due time or a calendar event's start */
+export interface INotification extends Document {
+  user: Types.ObjectId;
+  type: NotificationType;
+  /** Identifies the task or event and its due time, so each is reminded of once */
+  key: string;
+  title: string;
+  body?: string | null;
+  /** Task provider and task id of task reminders */
+  provider?: string | null;
+  taskId?: string | null;
+  /** Calendar link of event reminders */
+  link?: string | null;
+  dueAt: Date;
+  remindAt: Date;
+  status: NotificationStatus;
+  sentAt?: Date | null;
+  readAt?: Date | null;
+  /** SHA-256 of the token that lets the service worker act on the notification */
+  actionTokenHash?: string | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface INotificationLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  type: NotificationType;
+  key: string;
+  title: string;
+  body?: string | null;
+  provider?: string | null;
+  taskId?: string | null;
+  link?: string | null;
+  dueAt: Date;
+  remindAt: Date;
+  status: NotificationStatus;
+  sentAt?: Date | null;
+  readAt?: Date | null;
+  actionTokenHash?: string | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+/** A browser's Web Push subscription */
+export interface IPushSubscription extends Document {
+  user: Types.ObjectId;
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IPushSubscriptionLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  endpoint: string;
+  keys: { p256dh: string; auth: string };
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+// Method parameter interfaces
+export type UpcomingNotification = Pick<
+  INotificationLean,
+  'type' | 'key' | 'title' | 'body' | 'provider' | 'taskId' | 'link' | 'dueAt' | 'remindAt'
+>;
+
+export interface UpsertNotificationsParams {
+  userId: string | Types.ObjectId;
+  notifications: UpcomingNotification[];
+}
+
+export interface DeleteStaleNotificationsParams {
+  userId: string | Types.ObjectId;
+  /** Sources that were read; reminders of sources that failed to load are kept */
+  types: NotificationType[];
+  /** Keys of the tasks and events still upcoming */
+  keys: string[];
+  /** Window the upcoming tasks and events were read from */
+  from: Date;
+  to: Date;
+}
+
+export interface GetDueNotificationsParams {
+  now?: Date;
+  limit?: number;
+}
+
+export interface GetNotificationsParams {
+  userId: string | Types.ObjectId;
+  unread?: boolean;
+  limit?: number;
+}
+
+export interface UpdateNotificationParams {
+  notificationId: string | Types.ObjectId;
+  /** Omitted when acting with an action token */
+  userId?: string | Types.ObjectId;
+  updates: Partial<
+    Pick<INotificationLean, 'status' | 'remindAt' | 'sentAt' | 'readAt' | 'actionTokenHash'>
+  >;
+}
+
+export interface ConsumeNotificationActionTokenParams {
+  notificationId: string | Types.ObjectId;
+  actionTokenHash: string;
+}
+
+export interface SavePushSubscriptionParams {
+  userId: string | Types.ObjectId;
+  subscription: { endpoint: string; keys: { p256dh: string; auth: string } };
+}
+
+export interface DeletePushSubscriptionParams {
+  endpoint: string;
+  userId?: string | Types.ObjectId;
+}
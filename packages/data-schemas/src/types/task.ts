@@ -0,0 +1,218 @@
+import type { Types, Document } from 'mongoose';
+
+export interface ITaskList extends Document {
+  user: Types.ObjectId;
+  name: string;
+  position?: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface ITaskListLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  name: string;
+  position?: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+/** A checklist item of a task */
+export interface ITaskItem {
+  title: string;
+  completed: boolean;
+}
+
+export interface ITask extends Document {
+  user: Types.ObjectId;
+  taskList: Types.ObjectId;
+  title: string;
+  content?: string;
+  completed: boolean;
+  completedAt?: Date | null;
+  dueDate?: Date | null;
+  /** Estimated minutes */
+  duration?: number | null;
+  /** RRULE value, e.g. `FREQ=WEEKLY;BYDAY=MO` */
+  repeat?: string | null;
+  /** 0 none, 1 low, 3 medium, 5 high */
+  priority?: number;
+  tags?: string[];
+  items?: ITaskItem[];
+  /** Parent task of a subtask */
+  parent?: Types.ObjectId | null;
+  position?: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface ITaskLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  taskList: Types.ObjectId;
+  title: string;
+  content?: string;
+  completed: boolean;
+  completedAt?: Date | null;
+  dueDate?: Date | null;
+  /** Estimated minutes */
+  duration?: number | null;
+  /** RRULE value, e.g. `FREQ=WEEKLY;BYDAY=MO` */
+  repeat?: string | null;
+  /** 0 none, 1 low, 3 medium, 5 high */
+  priority?: number;
+  tags?: string[];
+  items?: ITaskItem[];
+  /** Parent task of a subtask */
+  parent?: Types.ObjectId | null;
+  position?: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export type TaskUpdate = Partial<
+  Pick<
+    ITaskLean,
+    | 'title'
+    | 'content'
+    | 'completed'
+    | 'dueDate'
+    | 'duration'
+    | 'repeat'
+    | 'priority'
+    | 'tags'
+    | 'items'
+    | 'position'
+  >
+> & {
+  taskList?: string | Types.ObjectId;
+  parent?: string | Types.ObjectId | null;
+};
+
+// Method parameter interfaces
+export interface CreateTaskListParams {
+  userId: string | Types.ObjectId;
+  name: string;
+  position?: number;
+}
+
+export interface UpdateTaskListParams {
+  userId: string | Types.ObjectId;
+  taskListId: string | Types.ObjectId;
+  updates: Partial<Pick<ITaskListLean, 'name' | 'position'>>;
+}
+
+export interface DeleteTaskListParams {
+  userId: string | Types.ObjectId;
+  taskListId: string | Types.ObjectId;
+}
+
+export interface GetTaskListParams {
+  userId: string | Types.ObjectId;
+  taskListId: string | Types.ObjectId;
+}
+
+export interface GetTaskParams {
+  userId: string | Types.ObjectId;
+  taskId: string | Types.ObjectId;
+}
+
+export interface GetTasksParams {
+  userId: string | Types.ObjectId;
+  taskListId?: string | Types.ObjectId;
+}
+
+export interface CreateTaskParams {
+  userId: string | Types.ObjectId;
+  taskListId: string | Types.ObjectId;
+  title: string;
+  content?: string;
+  completed?: boolean;
+  dueDate?: Date | null;
+  /** Estimated minutes */
+  duration?: number | null;
+  repeat?: string | null;
+  priority?: number;
+  tags?: string[];
+  items?: ITaskItem[];
+  parent?: string | Types.ObjectId | null;
+  position?: number;
+}
+
+export interface UpdateTaskParams {
+  userId: string | Types.ObjectId;
+  taskId: string | Types.ObjectId;
+  updates: TaskUpdate;
+}
+
+export interface DeleteTaskParams {
+  userId: string | Types.ObjectId;
+  taskId: string | Types.ObjectId;
+}
+
+export type TaskChangeSetStatus = 'applied' | 'partial';
+
+/** A run of task changes written to a task provider, with snapshots to revert it */
+export interface ITaskChangeSet extends Document {
+  user: Types.ObjectId;
+  conversationId?: string | null;
+  messageId?: string | null;
+  provider: string;
+  status: TaskChangeSetStatus;
+  /** Applied `TaskChangeItem`s with `before` and `after` task snapshots */
+  changes: Record<string, unknown>[];
+  createdProjects: string[];
+  revertOf?: Types.ObjectId | null;
+  revertedBy?: Types.ObjectId | null;
+  revertedAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface ITaskChangeSetLean {
+  _id: Types.ObjectId;
+  user: Types.ObjectId;
+  conversationId?: string | null;
+  messageId?: string | null;
+  provider: string;
+  status: TaskChangeSetStatus;
+  changes: Record<string, unknown>[];
+  createdProjects: string[];
+  revertOf?: Types.ObjectId | null;
+  revertedBy?: Types.ObjectId | null;
+  revertedAt?: Date | null;
+  createdAt?: Date;
+  updatedAt?: Date;
+  __v?: number;
+}
+
+export interface CreateTaskChangeSetParams {
+  userId: string | Types.ObjectId;
+  conversationId?: string | null;
+  messageId?: string | null;
+  provider: string;
+  status: TaskChangeSetStatus;
+  changes: Record<string, unknown>[];
+  createdProjects?: string[];
+  revertOf?: string | Types.ObjectId | null;
+}
+
+export interface GetTaskChangeSetsParams {
+  userId: string | Types.ObjectId;
+  messageId?: string;
+  limit?: number;
+}
+
+export interface TaskChangeSetRevertParams {
+  userId: string | Types.ObjectId;
+  changeSetId: string | Types.ObjectId;
+}
+
+export interface MarkTaskChangeSetRevertedParams {
+  userId: string | Types.ObjectId;
+  changeSetId: string | Types.ObjectId;
+  /** The change set of the revert; null when the tasks were already back */
+  revertedBy: string | Types.ObjectId | null;
+}
@@ -33,6 +33,19 @@ export interface IUser extends Document {
   termsAccepted?: boolean;
   personalization?: {
     memories?: boolean;
+    taskProvider?: string;
+    timezone?: string;
+    dateFormat?: string;
+    briefing?: {
+      morning?: string | null;
+      evening?: string | null;
+      email?: boolean;
+      lastSent?: { morning?: string; evening?: string };
+    };
+    reminders?: {
+      minutesBefore?: number | null;
+      email?: boolean;
+    };
   };
   createdAt?: Date;
   updatedAt?: Date;
@@ -65,6 +78,19 @@ export interface UpdateUserRequest {
   termsAccepted?: boolean;
   personalization?: {
     memories?: boolean;
+    taskProvider?: string;
+    timezone?: string;
+    dateFormat?: string;
+    briefing?: {
+      morning?: string | null;
+      evening?: string | null;
+      email?: boolean;
+      lastSent?: { morning?: string; evening?: string };
+    };
+    reminders?: {
+      minutesBefore?: number | null;
+      email?: boolean;
+    };
   };
 }
 